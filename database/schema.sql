@@ -3,6 +3,7 @@
 
 -- Enable necessary extensions
 CREATE EXTENSION IF NOT EXISTS "uuid-ossp";
+CREATE EXTENSION IF NOT EXISTS "pgcrypto";
 
 -- Users table (extends Supabase auth.users)
 CREATE TABLE IF NOT EXISTS public.users (
@@ -37,11 +38,18 @@ CREATE TABLE IF NOT EXISTS public.projects (
 CREATE TABLE IF NOT EXISTS public.project_members (
   id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
   project_id UUID REFERENCES public.projects(id) ON DELETE CASCADE NOT NULL,
-  user_id UUID REFERENCES public.users(id) ON DELETE CASCADE NOT NULL,
+  user_id UUID REFERENCES public.users(id) ON DELETE CASCADE, -- NULL while an invitation is pending
   role VARCHAR(50) DEFAULT 'member', -- 'owner', 'admin', 'member', 'viewer'
   permissions JSONB DEFAULT '{}',
+  status VARCHAR(20) DEFAULT 'active', -- 'active', 'pending', 'declined'
+  invited_email VARCHAR(255),
+  invited_by UUID REFERENCES public.users(id) ON DELETE SET NULL,
+  invite_token VARCHAR(64) UNIQUE, -- Secret in the invitation link, cleared once answered
+  invite_expires_at TIMESTAMP WITH TIME ZONE,
   joined_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
-  UNIQUE(project_id, user_id)
+  UNIQUE(project_id, user_id),
+  UNIQUE(project_id, invited_email),
+  CHECK (user_id IS NOT NULL OR invited_email IS NOT NULL)
 );
 
 -- Tasks table
@@ -89,6 +97,48 @@ CREATE TABLE IF NOT EXISTS public.user_analytics (
   UNIQUE(user_id, project_id, date)
 );
 
+-- Task events: status transitions and logged hours, aggregated nightly into user_analytics
+CREATE TABLE IF NOT EXISTS public.task_events (
+  id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+  task_id UUID REFERENCES public.tasks(id) ON DELETE CASCADE NOT NULL,
+  project_id UUID REFERENCES public.projects(id) ON DELETE CASCADE NOT NULL,
+  user_id UUID REFERENCES public.users(id) ON DELETE SET NULL, -- Assignee, or whoever made the change
+  from_status VARCHAR(50), -- NULL when the status did not change
+  to_status VARCHAR(50),
+  hours_delta DECIMAL(6,2) DEFAULT 0, -- Change in actual_hours
+  estimated_hours DECIMAL(5,2),
+  actual_hours DECIMAL(5,2),
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- MFA recovery codes: bcrypt hashes of the single-use codes shown when TOTP is enrolled
+CREATE TABLE IF NOT EXISTS public.mfa_recovery_codes (
+  id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+  user_id UUID REFERENCES auth.users(id) ON DELETE CASCADE NOT NULL,
+  code_hash TEXT NOT NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Beta waitlist: double opt-in signups from the landing page. Only confirmed signups are in the
+-- queue; every confirmed referral moves the referrer 5 places up (see get_beta_signup_status).
+-- confirmation_token and status_token are the secrets of the emailed links
+CREATE TABLE IF NOT EXISTS public.beta_signups (
+  id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+  email VARCHAR(255) UNIQUE NOT NULL, -- Lowercase
+  language VARCHAR(5) DEFAULT 'es', -- Language of the emails
+  status VARCHAR(20) DEFAULT 'pending' CHECK (status IN ('pending', 'confirmed', 'invited')),
+  confirmation_token TEXT UNIQUE, -- Cleared once confirmed
+  confirmation_expires_at TIMESTAMP WITH TIME ZONE,
+  status_token TEXT UNIQUE NOT NULL,
+  referral_code VARCHAR(12) UNIQUE NOT NULL,
+  referred_by UUID REFERENCES public.beta_signups(id) ON DELETE SET NULL,
+  referral_count INTEGER DEFAULT 0, -- Confirmed signups that used referral_code
+  requested_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(), -- Last time the email joined, see join_beta_waitlist
+  confirmed_at TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
 -- Row Level Security (RLS) Policies
 
 -- Enable RLS on all tables
@@ -98,6 +148,19 @@ ALTER TABLE public.project_members ENABLE ROW LEVEL SECURITY;
 ALTER TABLE public.tasks ENABLE ROW LEVEL SECURITY;
 ALTER TABLE public.chat_messages ENABLE ROW LEVEL SECURITY;
 ALTER TABLE public.user_analytics ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.task_events ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.mfa_recovery_codes ENABLE ROW LEVEL SECURITY;
+-- No policies: the landing page only reaches beta_signups through the beta waitlist functions
+ALTER TABLE public.beta_signups ENABLE ROW LEVEL SECURITY;
+
+-- Role of the current user in a project, or NULL when not an active member
+-- SECURITY DEFINER so policies on project_members can call it without recursing into themselves
+CREATE OR REPLACE FUNCTION public.project_role(target_project_id UUID)
+RETURNS TEXT AS $$
+  SELECT role FROM public.project_members
+  WHERE project_id = target_project_id AND user_id = auth.uid() AND status = 'active'
+  LIMIT 1;
+$$ LANGUAGE sql STABLE SECURITY DEFINER SET search_path = public;
 
 -- Users policies
 CREATE POLICY "Users can view their own profile" ON public.users
@@ -145,6 +208,17 @@ CREATE POLICY "Project owners can manage members" ON public.project_members
     )
   );
 
+-- Admins manage members and viewers, but not other admins or the owner
+CREATE POLICY "Project admins can manage members and viewers" ON public.project_members
+  FOR ALL USING (
+    public.project_role(project_members.project_id) = 'admin' AND role IN ('member', 'viewer')
+  ) WITH CHECK (
+    public.project_role(project_members.project_id) = 'admin' AND role IN ('member', 'viewer')
+  );
+
+CREATE POLICY "Members can leave projects" ON public.project_members
+  FOR DELETE USING (auth.uid() = user_id AND role <> 'owner');
+
 -- Tasks policies
 CREATE POLICY "Users can view tasks in their projects" ON public.tasks
   FOR SELECT USING (
@@ -158,22 +232,28 @@ CREATE POLICY "Users can view tasks in their projects" ON public.tasks
     )
   );
 
+-- Viewers can read tasks but not change them
 CREATE POLICY "Project members can create tasks" ON public.tasks
   FOR INSERT WITH CHECK (
-    auth.uid() IN (
-      SELECT user_id FROM public.project_members 
-      WHERE project_id = tasks.project_id
-    ) OR
+    public.project_role(tasks.project_id) IN ('owner', 'admin', 'member') OR
     auth.uid() IN (
       SELECT owner_id FROM public.projects 
       WHERE id = tasks.project_id
     )
   );
 
-CREATE POLICY "Task creators and assignees can update tasks" ON public.tasks
+CREATE POLICY "Project editors can update tasks" ON public.tasks
   FOR UPDATE USING (
-    auth.uid() = created_by OR 
-    auth.uid() = assigned_to OR
+    public.project_role(tasks.project_id) IN ('owner', 'admin', 'member') OR
+    auth.uid() IN (
+      SELECT owner_id FROM public.projects 
+      WHERE id = tasks.project_id
+    )
+  );
+
+CREATE POLICY "Project owners and admins can delete tasks" ON public.tasks
+  FOR DELETE USING (
+    public.project_role(tasks.project_id) IN ('owner', 'admin') OR
     auth.uid() IN (
       SELECT owner_id FROM public.projects 
       WHERE id = tasks.project_id
@@ -212,6 +292,17 @@ CREATE POLICY "Users can insert their own analytics" ON public.user_analytics
 CREATE POLICY "Users can update their own analytics" ON public.user_analytics
   FOR UPDATE USING (auth.uid() = user_id);
 
+-- Task events policies (rows are written by the record_task_event trigger only)
+CREATE POLICY "Users can view their own task events" ON public.task_events
+  FOR SELECT USING (auth.uid() = user_id);
+
+-- MFA recovery codes policies (rows are written by store_mfa_recovery_codes only)
+CREATE POLICY "Users can count their own recovery codes" ON public.mfa_recovery_codes
+  FOR SELECT USING (auth.uid() = user_id);
+
+CREATE POLICY "Users with aal2 can delete their own recovery codes" ON public.mfa_recovery_codes
+  FOR DELETE USING (auth.uid() = user_id AND (auth.jwt() ->> 'aal') = 'aal2');
+
 -- Functions and Triggers
 
 -- Function to handle user creation
@@ -244,6 +335,434 @@ BEGIN
 END;
 $$ LANGUAGE plpgsql;
 
+-- Function to create the onboarding project, its sample tasks and pending invitations
+-- in a single transaction (runs with the caller's permissions, so RLS still applies).
+-- The client generates the project id, so a retry after a commit whose response was
+-- lost returns the existing project instead of creating a second one
+CREATE OR REPLACE FUNCTION public.create_onboarding_project(
+  project_id UUID,
+  project JSONB,
+  tasks JSONB DEFAULT '[]',
+  invites JSONB DEFAULT '[]'
+)
+RETURNS UUID AS $$
+DECLARE
+  new_project_id UUID;
+BEGIN
+  INSERT INTO public.projects (id, name, description, owner_id, color, template)
+  VALUES (
+    project_id,
+    project->>'name',
+    project->>'description',
+    auth.uid(),
+    COALESCE(project->>'color', '#2EAFC4'),
+    COALESCE(project->>'template', 'general')
+  )
+  ON CONFLICT (id) DO NOTHING
+  RETURNING id INTO new_project_id;
+
+  IF new_project_id IS NULL THEN
+    IF EXISTS (
+      SELECT 1 FROM public.projects p
+      WHERE p.id = create_onboarding_project.project_id AND p.owner_id = auth.uid()
+    ) THEN
+      RETURN project_id;
+    END IF;
+    RAISE EXCEPTION 'Project % already exists', project_id USING ERRCODE = 'unique_violation';
+  END IF;
+
+  INSERT INTO public.project_members (project_id, user_id, role)
+  VALUES (new_project_id, auth.uid(), 'owner');
+
+  INSERT INTO public.tasks (title, project_id, created_by, status, priority, estimated_hours, position)
+  SELECT
+    task->>'title',
+    new_project_id,
+    auth.uid(),
+    COALESCE(task->>'status', 'todo'),
+    COALESCE(task->>'priority', 'medium'),
+    (task->>'estimated_hours')::DECIMAL,
+    COALESCE((task->>'position')::INTEGER, 0)
+  FROM jsonb_array_elements(tasks) AS task;
+
+  INSERT INTO public.project_members (
+    project_id, role, status, invited_email, invited_by, invite_token, invite_expires_at
+  )
+  SELECT
+    new_project_id,
+    COALESCE(invite->>'role', 'member'),
+    'pending',
+    LOWER(invite->>'email'),
+    auth.uid(),
+    encode(gen_random_bytes(24), 'hex'),
+    NOW() + INTERVAL '7 days'
+  FROM jsonb_array_elements(invites) AS invite;
+
+  RETURN new_project_id;
+END;
+$$ LANGUAGE plpgsql SECURITY INVOKER;
+
+-- Invitation functions run as SECURITY DEFINER because the invitee is not a member yet,
+-- so RLS would hide the invitation row from them; the token is the proof of access
+
+-- Preview of an invitation for the invite page (available before signing in)
+CREATE OR REPLACE FUNCTION public.get_project_invitation(token TEXT)
+RETURNS TABLE (
+  id UUID,
+  project_id UUID,
+  project_name VARCHAR,
+  role VARCHAR,
+  invited_email VARCHAR,
+  status VARCHAR,
+  invite_expires_at TIMESTAMP WITH TIME ZONE,
+  inviter_name VARCHAR
+) AS $$
+  SELECT pm.id, pm.project_id, p.name, pm.role, pm.invited_email, pm.status, pm.invite_expires_at, u.name
+  FROM public.project_members pm
+  JOIN public.projects p ON p.id = pm.project_id
+  LEFT JOIN public.users u ON u.id = pm.invited_by
+  WHERE pm.invite_token = token;
+$$ LANGUAGE sql STABLE SECURITY DEFINER SET search_path = public;
+
+-- Accept an invitation addressed to the current user's email; returns the project id
+CREATE OR REPLACE FUNCTION public.accept_project_invitation(token TEXT)
+RETURNS UUID AS $$
+DECLARE
+  invitation public.project_members%ROWTYPE;
+BEGIN
+  SELECT * INTO invitation FROM public.project_members
+  WHERE invite_token = token AND status = 'pending'
+  FOR UPDATE;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Invitación no encontrada';
+  END IF;
+  IF invitation.invite_expires_at < NOW() THEN
+    RAISE EXCEPTION 'La invitación ha caducado';
+  END IF;
+  IF LOWER(invitation.invited_email) <> LOWER((SELECT email FROM public.users WHERE id = auth.uid())) THEN
+    RAISE EXCEPTION 'La invitación es para otra dirección de email';
+  END IF;
+
+  IF EXISTS (
+    SELECT 1 FROM public.project_members
+    WHERE project_id = invitation.project_id AND user_id = auth.uid()
+  ) THEN
+    DELETE FROM public.project_members WHERE id = invitation.id;
+  ELSE
+    UPDATE public.project_members
+    SET user_id = auth.uid(), status = 'active', invite_token = NULL, joined_at = NOW()
+    WHERE id = invitation.id;
+  END IF;
+
+  RETURN invitation.project_id;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+-- Decline an invitation; kept as 'declined' so the project owner can see the answer
+CREATE OR REPLACE FUNCTION public.decline_project_invitation(token TEXT)
+RETURNS VOID AS $$
+BEGIN
+  UPDATE public.project_members
+  SET status = 'declined', invite_token = NULL
+  WHERE invite_token = token AND status = 'pending';
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Invitación no encontrada';
+  END IF;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+-- Beta waitlist functions run as SECURITY DEFINER for anonymous visitors. They never return the
+-- confirmation token: a Database Webhook on beta_signups (INSERT and UPDATE of requested_at) calls
+-- the mailer, which sends the confirmation link to pending signups and the status link to the rest
+-- (the beta-confirmation and beta-status templates of src/shared/config/emailTemplates.js)
+
+-- Join the waitlist, or ask for the links again when the email already joined; an unknown
+-- referral code is ignored. Returns the signup status and whether the email had joined before
+CREATE OR REPLACE FUNCTION public.join_beta_waitlist(signup_email TEXT, signup_language TEXT DEFAULT 'es', referral TEXT DEFAULT NULL)
+RETURNS TABLE (status VARCHAR, duplicate BOOLEAN) AS $$
+DECLARE
+  normalized_email TEXT := LOWER(TRIM(signup_email));
+  existing public.beta_signups%ROWTYPE;
+BEGIN
+  IF normalized_email !~ '^[^\s@]+@[^\s@]+\.[^\s@]+$' THEN
+    RAISE EXCEPTION 'Email no válido: %', signup_email;
+  END IF;
+
+  SELECT * INTO existing FROM public.beta_signups signup WHERE signup.email = normalized_email FOR UPDATE;
+
+  IF FOUND THEN
+    UPDATE public.beta_signups
+    SET requested_at = NOW(),
+        confirmation_token = CASE WHEN existing.status = 'pending' THEN encode(gen_random_bytes(24), 'hex') END,
+        confirmation_expires_at = CASE WHEN existing.status = 'pending' THEN NOW() + INTERVAL '48 hours' END
+    WHERE id = existing.id;
+    RETURN QUERY SELECT existing.status, TRUE;
+    RETURN;
+  END IF;
+
+  INSERT INTO public.beta_signups (email, language, confirmation_token, confirmation_expires_at, status_token, referral_code, referred_by)
+  VALUES (
+    normalized_email,
+    COALESCE(signup_language, 'es'),
+    encode(gen_random_bytes(24), 'hex'),
+    NOW() + INTERVAL '48 hours',
+    encode(gen_random_bytes(24), 'hex'),
+    UPPER(SUBSTRING(encode(gen_random_bytes(6), 'hex') FROM 1 FOR 8)),
+    (SELECT referrer.id FROM public.beta_signups referrer WHERE referrer.referral_code = UPPER(TRIM(referral)) AND referrer.status <> 'pending')
+  );
+  RETURN QUERY SELECT 'pending'::VARCHAR, FALSE;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+-- Confirm a signup from the emailed link and credit its referrer; returns the status token
+CREATE OR REPLACE FUNCTION public.confirm_beta_signup(token TEXT)
+RETURNS TEXT AS $$
+DECLARE
+  signup public.beta_signups%ROWTYPE;
+BEGIN
+  SELECT * INTO signup FROM public.beta_signups
+  WHERE confirmation_token = token AND status = 'pending'
+  FOR UPDATE;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Enlace de confirmación no válido';
+  END IF;
+  IF signup.confirmation_expires_at < NOW() THEN
+    RAISE EXCEPTION 'El enlace de confirmación ha caducado';
+  END IF;
+
+  UPDATE public.beta_signups
+  SET status = 'confirmed', confirmation_token = NULL, confirmed_at = NOW()
+  WHERE id = signup.id;
+
+  UPDATE public.beta_signups SET referral_count = referral_count + 1 WHERE id = signup.referred_by;
+
+  RETURN signup.status_token;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+-- Status page of a signup: its place in the queue, counted after moving every signup up
+-- 5 places per confirmed referral (ties keep the confirmation order)
+CREATE OR REPLACE FUNCTION public.get_beta_signup_status(token TEXT)
+RETURNS TABLE (
+  email VARCHAR,
+  status VARCHAR,
+  queue_position BIGINT,
+  queue_size BIGINT,
+  referral_code VARCHAR,
+  referral_count INTEGER
+) AS $$
+  WITH confirmed AS (
+    SELECT id, confirmed_at, ROW_NUMBER() OVER (ORDER BY confirmed_at, id) - referral_count * 5 AS score
+    FROM public.beta_signups
+    WHERE status = 'confirmed'
+  ), queue AS (
+    SELECT id, ROW_NUMBER() OVER (ORDER BY score, confirmed_at, id) AS queue_position
+    FROM confirmed
+  )
+  SELECT s.email, s.status, q.queue_position, (SELECT COUNT(*) FROM confirmed), s.referral_code, s.referral_count
+  FROM public.beta_signups s
+  LEFT JOIN queue q ON q.id = s.id
+  WHERE s.status_token = token;
+$$ LANGUAGE sql STABLE SECURITY DEFINER SET search_path = public;
+
+-- Hand a project to another active member; the previous owner stays on as admin
+CREATE OR REPLACE FUNCTION public.transfer_project_ownership(target_project_id UUID, new_owner_id UUID)
+RETURNS VOID AS $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM public.projects WHERE id = target_project_id AND owner_id = auth.uid()
+  ) THEN
+    RAISE EXCEPTION 'Solo el propietario puede transferir el proyecto';
+  END IF;
+  IF new_owner_id = auth.uid() THEN
+    RAISE EXCEPTION 'Ya eres el propietario del proyecto';
+  END IF;
+
+  UPDATE public.project_members SET role = 'owner'
+  WHERE project_id = target_project_id AND user_id = new_owner_id AND status = 'active';
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'El nuevo propietario debe ser miembro activo del proyecto';
+  END IF;
+
+  UPDATE public.project_members SET role = 'admin'
+  WHERE project_id = target_project_id AND user_id = auth.uid();
+
+  UPDATE public.projects SET owner_id = new_owner_id WHERE id = target_project_id;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+-- Replace the current user's recovery codes; only a session that passed the TOTP step (aal2) may do it
+CREATE OR REPLACE FUNCTION public.store_mfa_recovery_codes(codes TEXT[])
+RETURNS VOID AS $$
+BEGIN
+  IF auth.uid() IS NULL OR (auth.jwt() ->> 'aal') IS DISTINCT FROM 'aal2' THEN
+    RAISE EXCEPTION 'aal2 required to change recovery codes' USING ERRCODE = '42501';
+  END IF;
+
+  DELETE FROM public.mfa_recovery_codes WHERE user_id = auth.uid();
+  INSERT INTO public.mfa_recovery_codes (user_id, code_hash)
+  SELECT auth.uid(), crypt(LOWER(regexp_replace(code, '[^a-zA-Z0-9]', '', 'g')), gen_salt('bf'))
+  FROM unnest(codes) AS code;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public, extensions;
+
+-- Sign in with a recovery code: spends it and removes the user's MFA factors and remaining codes,
+-- so a refreshed session no longer needs aal2 and the user can enroll a new authenticator.
+-- Returns false when the code does not match
+CREATE OR REPLACE FUNCTION public.consume_mfa_recovery_code(recovery_code TEXT)
+RETURNS BOOLEAN AS $$
+BEGIN
+  IF auth.uid() IS NULL THEN
+    RETURN FALSE;
+  END IF;
+
+  IF NOT EXISTS (
+    SELECT 1 FROM public.mfa_recovery_codes
+    WHERE user_id = auth.uid()
+      AND code_hash = crypt(LOWER(regexp_replace(recovery_code, '[^a-zA-Z0-9]', '', 'g')), code_hash)
+  ) THEN
+    RETURN FALSE;
+  END IF;
+
+  DELETE FROM public.mfa_recovery_codes WHERE user_id = auth.uid();
+  DELETE FROM auth.mfa_factors WHERE user_id = auth.uid();
+  RETURN TRUE;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public, extensions;
+
+-- Delete the current user's account. Removing auth.users cascades to public.users and from there
+-- to owned projects (with their tasks, messages and analytics), memberships, created tasks, messages,
+-- analytics and recovery codes; assigned tasks and recorded task events are kept with a NULL user.
+-- Avatar files are not covered by foreign keys and are removed by the client first
+CREATE OR REPLACE FUNCTION public.delete_current_user()
+RETURNS VOID AS $$
+BEGIN
+  IF auth.uid() IS NULL THEN
+    RAISE EXCEPTION 'Not authenticated' USING ERRCODE = '42501';
+  END IF;
+
+  DELETE FROM auth.users WHERE id = auth.uid();
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+-- Active sessions of the current user for the sessions panel. Supabase Auth keeps them in
+-- auth.sessions; last activity is the last token refresh (roughly hourly while the app is open)
+CREATE OR REPLACE FUNCTION public.list_user_sessions()
+RETURNS TABLE (id UUID, user_agent TEXT, ip TEXT, created_at TIMESTAMPTZ, last_active_at TIMESTAMPTZ) AS $$
+  SELECT s.id, s.user_agent, host(s.ip), s.created_at,
+    COALESCE(s.refreshed_at::timestamptz, s.updated_at, s.created_at) AS last_active_at
+  FROM auth.sessions s
+  WHERE s.user_id = auth.uid()
+    AND (s.not_after IS NULL OR s.not_after > NOW())
+  ORDER BY last_active_at DESC;
+$$ LANGUAGE sql STABLE SECURITY DEFINER SET search_path = public;
+
+-- Sign out one of the current user's other devices; its refresh tokens go with the session,
+-- so the device is signed out at its next token refresh. Returns false when there is no such session
+CREATE OR REPLACE FUNCTION public.revoke_user_session(target_session_id UUID)
+RETURNS BOOLEAN AS $$
+BEGIN
+  IF auth.uid() IS NULL THEN
+    RAISE EXCEPTION 'Not authenticated' USING ERRCODE = '42501';
+  END IF;
+
+  DELETE FROM auth.sessions WHERE id = target_session_id AND user_id = auth.uid();
+  RETURN FOUND;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+-- Record task status transitions and logged hours for the productivity analytics
+CREATE OR REPLACE FUNCTION public.record_task_event()
+RETURNS TRIGGER AS $$
+DECLARE
+  status_changed BOOLEAN := NEW.status IS DISTINCT FROM OLD.status;
+  logged_hours DECIMAL := COALESCE(NEW.actual_hours, 0) - COALESCE(OLD.actual_hours, 0);
+BEGIN
+  IF status_changed OR logged_hours <> 0 THEN
+    INSERT INTO public.task_events (
+      task_id, project_id, user_id, from_status, to_status, hours_delta, estimated_hours, actual_hours
+    )
+    VALUES (
+      NEW.id,
+      NEW.project_id,
+      COALESCE(NEW.assigned_to, auth.uid()),
+      CASE WHEN status_changed THEN OLD.status END,
+      CASE WHEN status_changed THEN NEW.status END,
+      logged_hours,
+      NEW.estimated_hours,
+      NEW.actual_hours
+    );
+  END IF;
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+-- Drop a deleted task from the dependencies of the other tasks of its project, in the
+-- transaction of the delete (dependencies is a UUID[] without a foreign key to cascade)
+CREATE OR REPLACE FUNCTION public.remove_task_from_dependencies()
+RETURNS TRIGGER AS $$
+BEGIN
+  UPDATE public.tasks
+  SET dependencies = array_remove(dependencies, OLD.id)
+  WHERE project_id = OLD.project_id AND dependencies @> ARRAY[OLD.id];
+  RETURN OLD;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+-- Nightly aggregation of one day of task_events into user_analytics (one row per user and project)
+-- tasks_completed counts moves to 'done' minus reopened tasks, hours_worked sums the logged hours and
+-- efficiency_score averages estimated/actual hours (capped at 1) of the tasks completed that day.
+-- Schedule it with pg_cron, e.g.:
+--   SELECT cron.schedule('aggregate-user-analytics', '15 0 * * *', 'SELECT public.aggregate_user_analytics()');
+-- Without a session (cron) it covers every user; signed-in users can only (re)aggregate their own rows
+CREATE OR REPLACE FUNCTION public.aggregate_user_analytics(target_date DATE DEFAULT CURRENT_DATE - 1)
+RETURNS INTEGER AS $$
+DECLARE
+  affected INTEGER;
+BEGIN
+  INSERT INTO public.user_analytics (user_id, project_id, date, tasks_completed, hours_worked, efficiency_score)
+  SELECT
+    e.user_id,
+    e.project_id,
+    target_date,
+    GREATEST(0, COUNT(*) FILTER (WHERE e.to_status = 'done') - COUNT(*) FILTER (WHERE e.from_status = 'done')),
+    GREATEST(0, COALESCE(SUM(e.hours_delta), 0)),
+    ROUND(AVG(LEAST(1, e.estimated_hours / e.actual_hours))
+      FILTER (WHERE e.to_status = 'done' AND e.estimated_hours > 0 AND e.actual_hours > 0), 2)
+  FROM public.task_events e
+  WHERE e.created_at >= target_date
+    AND e.created_at < target_date + 1
+    AND e.user_id IS NOT NULL
+    AND (auth.uid() IS NULL OR e.user_id = auth.uid())
+  GROUP BY e.user_id, e.project_id
+  ON CONFLICT (user_id, project_id, date) DO UPDATE SET
+    tasks_completed = EXCLUDED.tasks_completed,
+    hours_worked = EXCLUDED.hours_worked,
+    efficiency_score = EXCLUDED.efficiency_score;
+
+  GET DIAGNOSTICS affected = ROW_COUNT;
+  RETURN affected;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+GRANT EXECUTE ON FUNCTION public.get_project_invitation(TEXT) TO anon, authenticated;
+GRANT EXECUTE ON FUNCTION public.decline_project_invitation(TEXT) TO anon, authenticated;
+GRANT EXECUTE ON FUNCTION public.join_beta_waitlist(TEXT, TEXT, TEXT) TO anon, authenticated;
+GRANT EXECUTE ON FUNCTION public.confirm_beta_signup(TEXT) TO anon, authenticated;
+GRANT EXECUTE ON FUNCTION public.get_beta_signup_status(TEXT) TO anon, authenticated;
+REVOKE EXECUTE ON FUNCTION public.aggregate_user_analytics(DATE) FROM PUBLIC, anon;
+GRANT EXECUTE ON FUNCTION public.aggregate_user_analytics(DATE) TO authenticated;
+REVOKE EXECUTE ON FUNCTION public.delete_current_user() FROM PUBLIC, anon;
+GRANT EXECUTE ON FUNCTION public.delete_current_user() TO authenticated;
+REVOKE EXECUTE ON FUNCTION public.list_user_sessions() FROM PUBLIC, anon;
+GRANT EXECUTE ON FUNCTION public.list_user_sessions() TO authenticated;
+REVOKE EXECUTE ON FUNCTION public.revoke_user_session(UUID) FROM PUBLIC, anon;
+GRANT EXECUTE ON FUNCTION public.revoke_user_session(UUID) TO authenticated;
+
 -- Triggers for updated_at
 CREATE TRIGGER update_users_updated_at BEFORE UPDATE ON public.users
   FOR EACH ROW EXECUTE FUNCTION public.update_updated_at_column();
@@ -254,17 +773,51 @@ CREATE TRIGGER update_projects_updated_at BEFORE UPDATE ON public.projects
 CREATE TRIGGER update_tasks_updated_at BEFORE UPDATE ON public.tasks
   FOR EACH ROW EXECUTE FUNCTION public.update_updated_at_column();
 
+CREATE TRIGGER update_beta_signups_updated_at BEFORE UPDATE ON public.beta_signups
+  FOR EACH ROW EXECUTE FUNCTION public.update_updated_at_column();
+
+-- Trigger feeding task_events
+CREATE TRIGGER record_task_events AFTER UPDATE ON public.tasks
+  FOR EACH ROW EXECUTE FUNCTION public.record_task_event();
+
+-- Trigger keeping task dependencies free of deleted tasks
+CREATE TRIGGER remove_deleted_task_dependencies AFTER DELETE ON public.tasks
+  FOR EACH ROW EXECUTE FUNCTION public.remove_task_from_dependencies();
+
 -- Indexes for better performance
 CREATE INDEX IF NOT EXISTS idx_projects_owner_id ON public.projects(owner_id);
 CREATE INDEX IF NOT EXISTS idx_project_members_project_id ON public.project_members(project_id);
 CREATE INDEX IF NOT EXISTS idx_project_members_user_id ON public.project_members(user_id);
+CREATE INDEX IF NOT EXISTS idx_project_members_invited_email ON public.project_members(invited_email);
+CREATE INDEX IF NOT EXISTS idx_project_members_status ON public.project_members(project_id, status);
 CREATE INDEX IF NOT EXISTS idx_tasks_project_id ON public.tasks(project_id);
 CREATE INDEX IF NOT EXISTS idx_tasks_assigned_to ON public.tasks(assigned_to);
 CREATE INDEX IF NOT EXISTS idx_tasks_created_by ON public.tasks(created_by);
 CREATE INDEX IF NOT EXISTS idx_tasks_status ON public.tasks(status);
 CREATE INDEX IF NOT EXISTS idx_chat_messages_project_id ON public.chat_messages(project_id);
+CREATE INDEX IF NOT EXISTS idx_chat_messages_project_created ON public.chat_messages(project_id, created_at);
 CREATE INDEX IF NOT EXISTS idx_user_analytics_user_id ON public.user_analytics(user_id);
 CREATE INDEX IF NOT EXISTS idx_user_analytics_date ON public.user_analytics(date);
+CREATE INDEX IF NOT EXISTS idx_task_events_user_created ON public.task_events(user_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_mfa_recovery_codes_user_id ON public.mfa_recovery_codes(user_id);
+CREATE INDEX IF NOT EXISTS idx_beta_signups_queue ON public.beta_signups(status, confirmed_at);
+
+-- Realtime: stream new chat messages to subscribed clients
+ALTER PUBLICATION supabase_realtime ADD TABLE public.chat_messages;
+
+-- Storage: public avatar pictures, one folder per user named after their id
+INSERT INTO storage.buckets (id, name, public, file_size_limit, allowed_mime_types)
+VALUES ('avatars', 'avatars', true, 2097152, ARRAY['image/png', 'image/jpeg', 'image/webp', 'image/gif'])
+ON CONFLICT (id) DO NOTHING;
+
+CREATE POLICY "Users can upload their own avatar" ON storage.objects
+  FOR INSERT WITH CHECK (bucket_id = 'avatars' AND (storage.foldername(name))[1] = auth.uid()::text);
+
+CREATE POLICY "Users can list their own avatars" ON storage.objects
+  FOR SELECT USING (bucket_id = 'avatars' AND (storage.foldername(name))[1] = auth.uid()::text);
+
+CREATE POLICY "Users can delete their own avatars" ON storage.objects
+  FOR DELETE USING (bucket_id = 'avatars' AND (storage.foldername(name))[1] = auth.uid()::text);
 
 -- Grant necessary permissions
 GRANT USAGE ON SCHEMA public TO anon, authenticated;
@@ -0,0 +1,355 @@
+/**
+ * AI Assistant
+ * Floating panel where users ask about their tasks ("what's overdue in Website?", "who is
+ * overloaded?") or give commands ("create a task…", "mark … as done"). Commands come back
+ * as a proposed change that is only applied once the user confirms it
+ */
+
+import { KANBAN_COLUMNS } from '../KanbanBoard/KanbanBoard.js'
+import { PRIORITY_KEYS } from '../TaskCard/TaskCard.js'
+import { assistantService } from '../../../shared/services/assistantService.js'
+import { ASSISTANT_INTENTS, ASSISTANT_ACTIONS } from '../../../shared/utils/assistantIntents.js'
+import { UserFeedbackSystem } from '../../../shared/services/userFeedbackSystem.js'
+import { sanitizeInput } from '../../../shared/utils/validation.js'
+import i18n from '../../../shared/utils/i18n.js'
+
+const SUGGESTION_KEYS = ['assistantSuggestOverdue', 'assistantSuggestNext', 'assistantSuggestWorkload']
+
+const REASON_KEYS = {
+  overdue: 'assistantReasonOverdue',
+  due_today: 'assistantReasonDueToday',
+  due_soon: 'assistantReasonDueSoon',
+  high_priority: 'assistantReasonPriority',
+  in_progress: 'assistantReasonInProgress',
+  critical_path: 'assistantReasonCriticalPath'
+}
+
+const ERROR_KEYS = {
+  missing_title: 'assistantMissingTitle',
+  missing_project: 'assistantMissingProject',
+  task_not_found: 'assistantTaskNotFound',
+  no_changes: 'assistantNoChanges'
+}
+
+export default class AIAssistant {
+  constructor(container, options = {}) {
+    this.container = container
+    this.router = options.router || null
+    this.projectId = options.projectId || null
+    this.service = options.assistantService || assistantService
+    this.feedback = options.feedback || new UserFeedbackSystem()
+    this.translations = i18n.getTranslations()
+
+    this.messages = []
+    this.pendingAction = null
+    this.isOpen = false
+    this.busy = false
+    this.destroyed = false
+
+    this.handleLanguageChange = () => {
+      this.translations = i18n.getTranslations()
+      this.render()
+    }
+  }
+
+  init() {
+    window.addEventListener('languageChanged', this.handleLanguageChange)
+    this.render()
+    return this
+  }
+
+  destroy() {
+    this.destroyed = true
+    window.removeEventListener('languageChanged', this.handleLanguageChange)
+    this.container.innerHTML = ''
+  }
+
+  /**
+   * Project the user is looking at; questions that name no project are scoped to it
+   * @param {string|null} projectId - Project id
+   */
+  setProjectId(projectId) {
+    this.projectId = projectId || null
+  }
+
+  toggle(open = !this.isOpen) {
+    this.isOpen = open
+    this.render()
+    if (open) {
+      this.container.querySelector('.assistant-input')?.focus()
+    } else {
+      this.container.querySelector('.assistant-toggle')?.focus()
+    }
+  }
+
+  render() {
+    const t = this.translations
+
+    this.container.innerHTML = `
+      <div class="ai-assistant fixed bottom-4 right-4 z-40 flex flex-col items-end gap-3">
+        <section id="assistant-panel" class="assistant-panel w-80 sm:w-96 bg-white dark:bg-negro-azulado rounded-anclora shadow-anclora-hover border border-gray-200 dark:border-white/10 flex flex-col max-h-[70vh]" aria-label="${t.assistantTitle}" ${this.isOpen ? '' : 'hidden'}>
+          <header class="flex items-center justify-between px-4 py-3 bg-gradient-hero text-white rounded-t-anclora">
+            <h2 class="font-semibold">${t.assistantTitle}</h2>
+            <button type="button" class="assistant-close px-2 rounded-anclora-sm hover:bg-white/15" aria-label="${t.assistantClose}">✕</button>
+          </header>
+          <div class="assistant-log flex-1 overflow-y-auto p-4 space-y-3 text-sm" role="log" aria-live="polite">
+            ${this.renderMessages()}
+          </div>
+          ${this.renderPendingAction()}
+          <form class="assistant-form flex gap-2 p-3 border-t border-gray-200 dark:border-white/10">
+            <label for="assistant-input" class="sr-only">${t.assistantPlaceholder}</label>
+            <input id="assistant-input" name="message" type="text" autocomplete="off" maxlength="500"
+              class="assistant-input flex-1 px-3 py-2 rounded-anclora-sm border border-gray-300 dark:border-white/10 bg-white dark:bg-negro-azulado text-sm focus:outline-none focus:ring-2 focus:ring-azul-claro"
+              placeholder="${t.assistantPlaceholder}" ${this.busy ? 'disabled' : ''}>
+            <button type="submit" class="px-3 py-2 rounded-anclora-sm bg-azul-claro text-white text-sm font-medium hover:bg-teal-secundario transition-colors disabled:opacity-50" ${this.busy ? 'disabled' : ''}>
+              ${t.assistantSend}
+            </button>
+          </form>
+        </section>
+        <button type="button" class="assistant-toggle px-4 py-3 rounded-full bg-azul-profundo text-white shadow-anclora hover:bg-azul-claro transition-colors"
+          aria-expanded="${this.isOpen}" aria-controls="assistant-panel">
+          ✨ ${t.assistantTitle}
+        </button>
+      </div>
+    `
+
+    this.attachEvents()
+    const log = this.container.querySelector('.assistant-log')
+    log.scrollTop = log.scrollHeight
+  }
+
+  renderMessages() {
+    const t = this.translations
+
+    if (this.messages.length === 0) {
+      return `
+        <p class="text-gray-600 dark:text-gray-300">${t.assistantIntro}</p>
+        <div class="flex flex-wrap gap-2">
+          ${SUGGESTION_KEYS.map(key => `
+            <button type="button" class="assistant-suggestion text-xs px-3 py-1 rounded-full bg-gris-claro dark:bg-white/10 text-azul-profundo dark:text-gris-claro hover:bg-azul-claro/15">${t[key]}</button>
+          `).join('')}
+        </div>
+      `
+    }
+
+    return this.messages.map(message => message.role === 'user'
+      ? `<div class="assistant-message assistant-message-user ml-8 px-3 py-2 rounded-anclora-sm bg-azul-claro text-white">${sanitizeInput(message.text)}</div>`
+      : `<div class="assistant-message assistant-message-reply mr-8 px-3 py-2 rounded-anclora-sm bg-gris-claro dark:bg-white/10 text-negro-azulado dark:text-gris-claro">${message.html}</div>`
+    ).join('') + (this.busy ? `<p class="assistant-thinking text-gray-500 dark:text-gray-400">${t.assistantThinking}</p>` : '')
+  }
+
+  renderPendingAction() {
+    if (!this.pendingAction) return ''
+    const t = this.translations
+
+    return `
+      <div class="assistant-confirm mx-3 mb-3 p-3 rounded-anclora-sm border border-ambar-suave bg-ambar-suave/10 text-sm" role="group" aria-label="${t.assistantConfirmTitle}">
+        ${this.describeAction(this.pendingAction)}
+        <div class="flex gap-2 mt-3">
+          <button type="button" class="assistant-confirm-action px-3 py-1 rounded-anclora-sm bg-azul-claro text-white font-medium hover:bg-teal-secundario disabled:opacity-50" ${this.busy ? 'disabled' : ''}>${t.assistantConfirm}</button>
+          <button type="button" class="assistant-cancel-action px-3 py-1 rounded-anclora-sm border border-gray-300 dark:border-white/10 text-gray-600 dark:text-gray-300 disabled:opacity-50" ${this.busy ? 'disabled' : ''}>${t.assistantCancel}</button>
+        </div>
+      </div>
+    `
+  }
+
+  attachEvents() {
+    const root = this.container
+
+    root.querySelector('.assistant-toggle').addEventListener('click', () => this.toggle())
+    root.querySelector('.assistant-close').addEventListener('click', () => this.toggle(false))
+    root.querySelector('.assistant-panel').addEventListener('keydown', e => {
+      if (e.key === 'Escape') this.toggle(false)
+    })
+
+    root.querySelector('.assistant-form').addEventListener('submit', e => {
+      e.preventDefault()
+      this.send(e.target.elements.message.value)
+    })
+    root.querySelectorAll('.assistant-suggestion').forEach(button => {
+      button.addEventListener('click', () => this.send(button.textContent.trim()))
+    })
+
+    root.querySelector('.assistant-confirm-action')?.addEventListener('click', () => this.confirmAction())
+    root.querySelector('.assistant-cancel-action')?.addEventListener('click', () => this.cancelAction())
+  }
+
+  async send(text) {
+    const message = text.trim()
+    if (!message || this.busy) return
+
+    this.messages.push({ role: 'user', text: message })
+    this.pendingAction = null
+    this.busy = true
+    this.render()
+
+    try {
+      const reply = await this.service.ask(message, { projectId: this.projectId })
+      if (this.destroyed) return
+      this.pendingAction = reply.action || null
+      this.messages.push({ role: 'assistant', html: this.formatReply(reply) })
+    } catch (error) {
+      if (this.destroyed) return
+      console.error('Assistant error:', error)
+      this.messages.push({ role: 'assistant', html: sanitizeInput(this.translations.assistantError) })
+    } finally {
+      this.busy = false
+    }
+
+    this.render()
+    this.container.querySelector('.assistant-input')?.focus()
+  }
+
+  async confirmAction() {
+    const action = this.pendingAction
+    if (!action || this.busy) return
+
+    this.busy = true
+    this.render()
+
+    try {
+      const task = await this.service.executeAction(action)
+      if (this.destroyed) return
+      this.pendingAction = null
+      const key = action.type === ASSISTANT_ACTIONS.CREATE_TASK ? 'assistantTaskCreated' : 'assistantTaskUpdated'
+      this.messages.push({ role: 'assistant', html: i18n.format(key, { title: sanitizeInput(task.title) }) })
+    } catch (error) {
+      if (this.destroyed) return
+      this.feedback.showError(error, { targetElement: this.container })
+    } finally {
+      this.busy = false
+    }
+
+    this.render()
+  }
+
+  cancelAction() {
+    this.pendingAction = null
+    this.messages.push({ role: 'assistant', html: sanitizeInput(this.translations.assistantActionCancelled) })
+    this.render()
+  }
+
+  /**
+   * Turn a provider reply into the HTML of an assistant message
+   * @param {import('../../../shared/utils/assistantIntents.js').AssistantReply} reply - Reply
+   * @returns {string} HTML
+   */
+  formatReply(reply) {
+    const t = this.translations
+    const scope = reply.project ? sanitizeInput(reply.project.name) : t.assistantAllProjects
+
+    if (reply.text) {
+      return sanitizeInput(reply.text)
+    }
+    if (reply.error) {
+      return sanitizeInput(t[ERROR_KEYS[reply.error]] || t.assistantUnknown)
+    }
+
+    switch (reply.intent) {
+      case ASSISTANT_INTENTS.GREETING:
+        return t.assistantGreeting
+      case ASSISTANT_INTENTS.HELP:
+        return `${t.assistantHelp}<ul class="list-disc pl-5 mt-1">${SUGGESTION_KEYS.map(key => `<li>${t[key]}</li>`).join('')}</ul>`
+      case ASSISTANT_INTENTS.OVERDUE:
+        return reply.tasks.length
+          ? `${i18n.format('assistantOverdue', { count: reply.tasks.length, scope })}${this.renderTaskList(reply.tasks)}`
+          : i18n.format('assistantNoOverdue', { scope })
+      case ASSISTANT_INTENTS.DUE_TODAY:
+        return reply.tasks.length
+          ? `${i18n.format('assistantDueToday', { count: reply.tasks.length, scope })}${this.renderTaskList(reply.tasks)}`
+          : i18n.format('assistantNothingToday', { scope })
+      case ASSISTANT_INTENTS.NEXT_TASK:
+        return reply.suggestions.length
+          ? `${t.assistantNextTasks}${this.renderTaskList(reply.suggestions.map(item => item.task), reply.suggestions)}`
+          : t.assistantNoNextTask
+      case ASSISTANT_INTENTS.WORKLOAD:
+        return this.formatWorkload(reply.workload, scope)
+      case ASSISTANT_INTENTS.CREATE_TASK:
+      case ASSISTANT_INTENTS.UPDATE_TASK:
+        return reply.action ? t.assistantConfirmPrompt : t.assistantUnknown
+      default:
+        return t.assistantUnknown
+    }
+  }
+
+  renderTaskList(tasks, suggestions = null) {
+    const t = this.translations
+
+    return `
+      <ul class="assistant-task-list mt-2 space-y-1">
+        ${tasks.map((task, index) => {
+          const reasons = suggestions?.[index]?.reasons.map(reason => t[REASON_KEYS[reason]]).filter(Boolean) || []
+          return `
+            <li data-task-id="${sanitizeInput(task.id)}">
+              <a href="${this.projectHref(task.project_id)}" data-link class="font-medium text-azul-profundo dark:text-azul-claro hover:underline">${sanitizeInput(task.title)}</a>
+              ${task.due_date ? `<span class="text-xs text-gray-500 dark:text-gray-400"> · ${t.kanbanDue} ${this.formatDate(task.due_date)}</span>` : ''}
+              ${reasons.length ? `<span class="block text-xs text-gray-500 dark:text-gray-400">${reasons.join(' · ')}</span>` : ''}
+            </li>
+          `
+        }).join('')}
+      </ul>
+    `
+  }
+
+  formatWorkload(workload, scope) {
+    if (workload.length === 0) return i18n.format('assistantNoMembers', { scope })
+
+    const overloaded = workload.filter(entry => entry.overloaded)
+    const summary = overloaded.length
+      ? i18n.format('assistantOverloaded', { names: overloaded.map(entry => sanitizeInput(entry.name)).join(', '), scope })
+      : i18n.format('assistantNoOverload', { scope })
+
+    return `
+      ${summary}
+      <ul class="assistant-workload mt-2 space-y-1">
+        ${workload.map(entry => `
+          <li class="${entry.overloaded ? 'font-semibold text-red-700 dark:text-red-400' : ''}">
+            ${sanitizeInput(entry.name)}: ${i18n.format('assistantWorkloadEntry', { tasks: entry.openTasks, hours: Math.round(entry.remainingHours), overdue: entry.overdue })}
+          </li>
+        `).join('')}
+      </ul>
+    `
+  }
+
+  describeAction(action) {
+    const t = this.translations
+    const values = action.values
+    const title = sanitizeInput(action.taskTitle)
+    const details = []
+
+    if (values.status) {
+      const column = KANBAN_COLUMNS.find(item => item.status === values.status)
+      details.push(i18n.format('assistantDetailStatus', { status: column ? t[column.labelKey] : sanitizeInput(values.status) }))
+    }
+    if (values.priority) {
+      details.push(i18n.format('assistantDetailPriority', { priority: t[PRIORITY_KEYS[values.priority]] || sanitizeInput(values.priority) }))
+    }
+    if (values.due_date) {
+      details.push(i18n.format('assistantDetailDue', { date: this.formatDate(values.due_date) }))
+    }
+    if (values.assigned_to) {
+      details.push(i18n.format('assistantDetailAssignee', { name: action.assigneeName ? sanitizeInput(action.assigneeName) : t.assistantYou }))
+    }
+
+    const heading = action.type === ASSISTANT_ACTIONS.CREATE_TASK
+      ? i18n.format('assistantConfirmCreate', { title, project: sanitizeInput(action.projectName || '') })
+      : i18n.format('assistantConfirmUpdate', { title })
+
+    return `
+      <p class="font-medium text-negro-azulado dark:text-white">${heading}</p>
+      ${details.length ? `<ul class="list-disc pl-5 mt-1 text-gray-600 dark:text-gray-300">${details.map(detail => `<li>${detail}</li>`).join('')}</ul>` : ''}
+    `
+  }
+
+  projectHref(projectId) {
+    const path = `/projects/${encodeURIComponent(projectId)}`
+    return this.router ? this.router.href(path) : path
+  }
+
+  formatDate(value) {
+    const date = new Date(value)
+    if (Number.isNaN(date.getTime())) return ''
+    const locale = i18n.getLocale()
+    return date.toLocaleDateString(locale, { day: 'numeric', month: 'short' })
+  }
+}
@@ -0,0 +1,65 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest'
+import AIAssistant from './AIAssistant.js'
+
+const action = {
+  type: 'create_task',
+  projectId: 'p1',
+  projectName: 'Website',
+  taskTitle: 'Publicar',
+  assigneeName: null,
+  values: { title: 'Publicar', priority: 'urgent' }
+}
+
+describe('AIAssistant Component', () => {
+  let container
+  let service
+  let feedback
+
+  beforeEach(() => {
+    container = document.createElement('div')
+    document.body.appendChild(container)
+    service = {
+      ask: vi.fn(),
+      executeAction: vi.fn().mockResolvedValue({ id: 't9', title: 'Publicar' })
+    }
+    feedback = { showError: vi.fn() }
+  })
+
+  const mount = () => new AIAssistant(container, { projectId: 'p1', assistantService: service, feedback }).init()
+
+  it('should ask about the current project and list the tasks in the reply', async () => {
+    service.ask.mockResolvedValue({
+      intent: 'overdue',
+      project: { id: 'p1', name: 'Website' },
+      tasks: [{ id: 't1', project_id: 'p1', title: '<b>Diseñar</b>', due_date: null }]
+    })
+    const assistant = mount()
+
+    assistant.toggle(true)
+    expect(container.querySelector('.assistant-panel').hidden).toBe(false)
+    container.querySelector('.assistant-suggestion').click()
+
+    await vi.waitFor(() => expect(container.querySelector('.assistant-task-list')).toBeTruthy())
+    expect(service.ask).toHaveBeenCalledWith(expect.any(String), { projectId: 'p1' })
+    expect(container.querySelector('.assistant-task-list a').textContent).toBe('<b>Diseñar</b>')
+    expect(container.querySelector('.assistant-task-list b')).toBeNull()
+  })
+
+  it('should only apply an action after the user confirms it', async () => {
+    service.ask.mockResolvedValue({ intent: 'create_task', project: null, action })
+    const assistant = mount()
+
+    await assistant.send('crea una tarea "Publicar" en Website con prioridad urgente')
+    expect(container.querySelector('.assistant-confirm')).toBeTruthy()
+    expect(service.executeAction).not.toHaveBeenCalled()
+
+    container.querySelector('.assistant-confirm-action').click()
+    await vi.waitFor(() => expect(container.querySelector('.assistant-confirm')).toBeNull())
+    expect(service.executeAction).toHaveBeenCalledWith(action)
+
+    await assistant.send('crea otra')
+    container.querySelector('.assistant-cancel-action').click()
+    expect(container.querySelector('.assistant-confirm')).toBeNull()
+    expect(service.executeAction).toHaveBeenCalledTimes(1)
+  })
+})
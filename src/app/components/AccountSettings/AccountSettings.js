@@ -0,0 +1,562 @@
+/**
+ * Account Settings
+ * The signed-in user's profile (name, avatar, preferences), custom themes, password, linked
+ * OAuth sign-in methods and account deletion; two-step verification lives in Security Settings
+ */
+
+import { accountService, ACCOUNT_ERROR_CODES, AVATAR_TYPES } from '../../../shared/services/accountService.js'
+import { authService } from '../../../shared/services/authService.js'
+import { sessionService, IDLE_TIMEOUT_OPTIONS } from '../../../shared/services/sessionService.js'
+import { UserFeedbackSystem } from '../../../shared/services/userFeedbackSystem.js'
+import { sanitizeInput, validateName, validatePassword } from '../../../shared/utils/validation.js'
+import { getEnabledOAuthProviders, getOAuthProviderDisplayName } from '../../../shared/config/authProviders.js'
+import { LANGUAGE_DETAILS, THEMES } from '../../../shared/utils/constants.js'
+import { BUILT_IN_THEMES, MAX_CUSTOM_THEMES, MIN_TEXT_CONTRAST } from '../../../shared/config/themes.js'
+import themeUtil, { validateTheme } from '../../../shared/utils/theme.js'
+import i18n from '../../../shared/utils/i18n.js'
+
+const providerLabel = (provider, t) => (provider === 'email' ? t.accountProviderEmail : getOAuthProviderDisplayName(provider))
+
+// Tokens a custom theme picks; the rest come from its base theme
+const CUSTOM_THEME_COLORS = ['background', 'surface', 'text', 'primary', 'accent']
+const CUSTOM_THEME_COLOR_LABELS = {
+  background: 'accountThemeColorBackground',
+  surface: 'accountThemeColorSurface',
+  text: 'accountThemeColorText',
+  primary: 'accountThemeColorPrimary',
+  accent: 'accountThemeColorAccent'
+}
+
+const inputClass = 'w-full px-3 py-2 rounded-anclora-sm border border-gray-300 dark:border-gray-600 dark:bg-negro-azulado'
+const primaryButtonClass = 'px-4 py-2 rounded-anclora-sm bg-azul-claro text-white font-medium hover:bg-teal-secundario disabled:opacity-50'
+const secondaryButtonClass = 'px-4 py-2 rounded-anclora-sm bg-gris-claro dark:bg-white/10 text-negro-azulado dark:text-gris-claro font-medium hover:bg-gray-200 disabled:opacity-50'
+const cardClass = 'bg-white dark:bg-negro-azulado rounded-anclora shadow-anclora p-6 space-y-4'
+
+export default class AccountSettings {
+  constructor(container, options = {}) {
+    this.container = container
+    this.router = options.router
+    this.account = options.accountService || accountService
+    this.auth = options.authService || authService
+    this.sessionService = options.sessionService || sessionService
+    this.feedback = options.feedback || new UserFeedbackSystem()
+    this.translations = i18n.getTranslations()
+
+    this.profile = null
+    this.identities = []
+    this.busy = false
+    this.destroyed = false
+
+    this.handleLanguageChange = () => {
+      this.translations = i18n.getTranslations()
+      if (this.profile) this.render()
+    }
+  }
+
+  async init() {
+    window.addEventListener('languageChanged', this.handleLanguageChange)
+    this.container.innerHTML = `<div class="p-6 text-center text-gray-500" aria-busy="true">${this.translations.appLoading}</div>`
+    await this.load()
+  }
+
+  destroy() {
+    this.destroyed = true
+    window.removeEventListener('languageChanged', this.handleLanguageChange)
+  }
+
+  async load() {
+    try {
+      const [profile, identities] = await Promise.all([
+        this.account.getProfile(),
+        this.account.listIdentities()
+      ])
+      if (this.destroyed) return
+      this.profile = profile
+      this.identities = identities
+      this.render()
+    } catch (error) {
+      if (this.destroyed) return
+      this.container.innerHTML = `<div class="p-6 text-center text-red-600" role="alert">${this.translations.appLoadError}</div>`
+      this.feedback.showError(error, {
+        canRetry: true,
+        retryCallback: () => this.load(),
+        targetElement: this.container
+      })
+    }
+  }
+
+  get hasPassword() {
+    return this.identities.some(identity => identity.provider === 'email')
+  }
+
+  render() {
+    const t = this.translations
+
+    this.container.innerHTML = `
+      <section class="account-settings max-w-2xl space-y-6">
+        <div class="flex items-center justify-between gap-4">
+          <h1 class="text-2xl font-bold text-gray-800 dark:text-gris-claro">${t.accountTitle}</h1>
+          <a href="${this.router ? this.router.href('/settings/security') : '/settings/security'}" data-link class="text-sm text-azul-profundo dark:text-azul-claro hover:underline">${t.accountSecurityLink}</a>
+        </div>
+        ${this.renderProfile()}
+        ${this.renderThemes()}
+        ${this.renderPassword()}
+        ${this.renderIdentities()}
+        ${this.renderDeletion()}
+      </section>
+    `
+
+    this.attachEvents()
+  }
+
+  renderProfile() {
+    const t = this.translations
+    const { name, email, avatar_url: avatarUrl, preferences } = this.profile
+    const disabled = this.busy ? 'disabled' : ''
+
+    return `
+      <form class="account-profile-form ${cardClass}" novalidate>
+        <h2 class="text-lg font-semibold text-gray-800 dark:text-gris-claro">${t.accountProfileTitle}</h2>
+        <div class="flex items-center gap-4">
+          ${avatarUrl
+            ? '<img class="account-avatar w-16 h-16 rounded-full object-cover" alt="">'
+            : `<span class="account-avatar w-16 h-16 rounded-full bg-azul-claro text-white flex items-center justify-center text-2xl font-semibold" aria-hidden="true">${sanitizeInput((name || email).charAt(0).toUpperCase())}</span>`}
+          <div class="flex flex-wrap gap-2">
+            <label class="${secondaryButtonClass} cursor-pointer">
+              ${t.accountAvatarUpload}
+              <input id="account-avatar-input" type="file" accept="${AVATAR_TYPES.join(',')}" class="sr-only" ${disabled}>
+            </label>
+            ${avatarUrl ? `<button type="button" data-action="remove-avatar" ${disabled} class="${secondaryButtonClass}">${t.accountAvatarRemove}</button>` : ''}
+          </div>
+        </div>
+        <p class="text-xs text-gray-500 dark:text-gray-400">${t.accountAvatarHint}</p>
+        <div>
+          <label for="account-name" class="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">${t.accountName}</label>
+          <input id="account-name" name="name" type="text" maxlength="50" autocomplete="name" required value="${sanitizeInput(name || '')}" class="${inputClass}">
+          <p class="account-name-error mt-1 text-sm text-red-600" role="alert" hidden></p>
+        </div>
+        <div>
+          <span class="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">${t.accountEmail}</span>
+          <span class="account-email text-sm text-gray-600 dark:text-gray-300">${sanitizeInput(email)}</span>
+        </div>
+        <div>
+          <label for="account-language" class="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">${t.accountLanguage}</label>
+          <select id="account-language" name="language" class="${inputClass}">
+            ${Object.entries(LANGUAGE_DETAILS).map(([code, { name }]) => `
+              <option value="${code}" ${preferences.language === code ? 'selected' : ''}>${name}</option>
+            `).join('')}
+          </select>
+        </div>
+        <div>
+          <label for="account-theme" class="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">${t.accountTheme}</label>
+          <select id="account-theme" name="theme" class="${inputClass}">
+            ${this.getThemeOptions().map(({ id, label }) => `
+              <option value="${id}" ${this.selectedTheme === id ? 'selected' : ''}>${label}</option>
+            `).join('')}
+          </select>
+        </div>
+        <div>
+          <label for="account-idle-timeout" class="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">${t.accountIdleTimeout}</label>
+          <select id="account-idle-timeout" name="idleTimeoutMinutes" class="${inputClass}">
+            ${IDLE_TIMEOUT_OPTIONS.map(minutes => `
+              <option value="${minutes}" ${preferences.idleTimeoutMinutes === minutes ? 'selected' : ''}>${minutes ? i18n.format('accountIdleTimeoutMinutes', { minutes }) : t.accountIdleTimeoutNever}</option>
+            `).join('')}
+          </select>
+        </div>
+        <label class="flex items-center gap-2 text-sm text-gray-700 dark:text-gray-300">
+          <input id="account-email-notifications" name="emailNotifications" type="checkbox" ${preferences.emailNotifications ? 'checked' : ''}>
+          ${t.accountEmailNotifications}
+        </label>
+        <button type="submit" ${disabled} class="${primaryButtonClass}">${t.accountSave}</button>
+      </form>
+    `
+  }
+
+  renderThemes() {
+    const t = this.translations
+    const disabled = this.busy ? 'disabled' : ''
+    const themes = this.customThemes
+    const defaults = BUILT_IN_THEMES[THEMES.LIGHT].colors
+
+    const rows = themes.map(theme => `
+      <li class="account-theme flex items-center justify-between gap-4 py-3" data-theme-id="${theme.id}">
+        <div class="flex items-center gap-3">
+          <span class="flex rounded-anclora-sm overflow-hidden border border-gray-300 dark:border-gray-600" aria-hidden="true">
+            ${CUSTOM_THEME_COLORS.map(token => `<span class="w-4 h-6" style="background-color: ${theme.colors[token] || BUILT_IN_THEMES[theme.base].colors[token]}"></span>`).join('')}
+          </span>
+          <span class="font-medium text-gray-800 dark:text-gris-claro">${sanitizeInput(theme.name)}</span>
+        </div>
+        <button type="button" data-action="delete-theme" data-theme-id="${theme.id}" ${disabled} class="${secondaryButtonClass}">${t.accountThemeDelete}</button>
+      </li>
+    `).join('')
+
+    return `
+      <form class="account-themes-form ${cardClass}" novalidate>
+        <h2 class="text-lg font-semibold text-gray-800 dark:text-gris-claro">${t.accountThemesTitle}</h2>
+        <p class="text-sm text-gray-600 dark:text-gray-300">${t.accountThemesIntro}</p>
+        ${themes.length
+          ? `<ul class="divide-y divide-gray-200 dark:divide-gray-700">${rows}</ul>`
+          : `<p class="text-sm text-gray-500 dark:text-gray-400">${t.accountThemesEmpty}</p>`}
+        <div class="grid gap-4 sm:grid-cols-2">
+          <div>
+            <label for="account-theme-name" class="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">${t.accountThemeName}</label>
+            <input id="account-theme-name" name="name" type="text" maxlength="40" required class="${inputClass}">
+          </div>
+          <div>
+            <label for="account-theme-base" class="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">${t.accountThemeBase}</label>
+            <select id="account-theme-base" name="base" class="${inputClass}">
+              <option value="${THEMES.LIGHT}">${t.themeLight}</option>
+              <option value="${THEMES.DARK}">${t.themeDark}</option>
+            </select>
+          </div>
+        </div>
+        <div class="grid grid-cols-2 sm:grid-cols-5 gap-4">
+          ${CUSTOM_THEME_COLORS.map(token => `
+            <div>
+              <label for="account-theme-${token}" class="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">${t[CUSTOM_THEME_COLOR_LABELS[token]]}</label>
+              <input id="account-theme-${token}" name="${token}" type="color" value="${defaults[token]}" class="w-full h-10 rounded-anclora-sm border border-gray-300 dark:border-gray-600">
+            </div>
+          `).join('')}
+        </div>
+        <p class="account-theme-error text-sm text-red-600" role="alert" hidden></p>
+        <button type="submit" ${disabled || (themes.length >= MAX_CUSTOM_THEMES ? 'disabled' : '')} class="${primaryButtonClass}">${t.accountThemeCreate}</button>
+      </form>
+    `
+  }
+
+  renderPassword() {
+    const t = this.translations
+
+    return `
+      <form class="account-password-form ${cardClass}" novalidate>
+        <h2 class="text-lg font-semibold text-gray-800 dark:text-gris-claro">${t.accountPasswordTitle}</h2>
+        ${this.hasPassword ? '' : `<p class="text-sm text-gray-600 dark:text-gray-300">${t.accountPasswordNone}</p>`}
+        ${this.hasPassword ? `
+          <div>
+            <label for="account-current-password" class="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">${t.accountPasswordCurrent}</label>
+            <input id="account-current-password" name="currentPassword" type="password" autocomplete="current-password" required class="${inputClass}">
+          </div>
+        ` : ''}
+        <div>
+          <label for="account-new-password" class="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">${t.accountPasswordNew}</label>
+          <input id="account-new-password" name="newPassword" type="password" autocomplete="new-password" required class="${inputClass}">
+        </div>
+        <div>
+          <label for="account-confirm-password" class="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">${t.accountPasswordConfirm}</label>
+          <input id="account-confirm-password" name="confirmPassword" type="password" autocomplete="new-password" required class="${inputClass}">
+        </div>
+        <p class="account-password-error text-sm text-red-600" role="alert" hidden></p>
+        <button type="submit" ${this.busy ? 'disabled' : ''} class="${primaryButtonClass}">${t.accountPasswordSave}</button>
+      </form>
+    `
+  }
+
+  renderIdentities() {
+    const t = this.translations
+    const disabled = this.busy ? 'disabled' : ''
+    const providers = ['email', ...getEnabledOAuthProviders().map(provider => provider.id)]
+    const canUnlink = this.identities.length > 1
+
+    const rows = providers.map(provider => {
+      const identity = this.identities.find(item => item.provider === provider)
+      let action = ''
+      if (identity && provider !== 'email') {
+        action = `<button type="button" data-action="unlink" data-provider="${provider}" ${disabled || (canUnlink ? '' : 'disabled')} title="${canUnlink ? '' : t.accountProviderLastMethod}" class="${secondaryButtonClass}">${t.accountProviderUnlink}</button>`
+      } else if (!identity && provider !== 'email') {
+        action = `<button type="button" data-action="link" data-provider="${provider}" ${disabled} class="${secondaryButtonClass}">${t.accountProviderLink}</button>`
+      }
+
+      return `
+        <li class="account-identity flex items-center justify-between gap-4 py-3" data-provider="${provider}">
+          <div>
+            <p class="font-medium text-gray-800 dark:text-gris-claro">${providerLabel(provider, t)}</p>
+            <p class="text-sm text-gray-500 dark:text-gray-400">${identity ? sanitizeInput(identity.email || t.accountProviderLinked) : t.accountProviderNotLinked}</p>
+          </div>
+          ${action}
+        </li>
+      `
+    }).join('')
+
+    return `
+      <div class="account-identities ${cardClass}">
+        <h2 class="text-lg font-semibold text-gray-800 dark:text-gris-claro">${t.accountProvidersTitle}</h2>
+        <p class="text-sm text-gray-600 dark:text-gray-300">${t.accountProvidersIntro}</p>
+        <ul class="divide-y divide-gray-200 dark:divide-gray-700">${rows}</ul>
+      </div>
+    `
+  }
+
+  renderDeletion() {
+    const t = this.translations
+
+    return `
+      <form class="account-delete-form ${cardClass} border border-red-200 dark:border-red-900" novalidate>
+        <h2 class="text-lg font-semibold text-red-600">${t.accountDeleteTitle}</h2>
+        <p class="text-sm text-gray-600 dark:text-gray-300">${t.accountDeleteIntro}</p>
+        <div>
+          <label for="account-delete-confirm" class="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">${i18n.format('accountDeleteConfirmLabel', { email: sanitizeInput(this.profile.email) })}</label>
+          <input id="account-delete-confirm" name="confirmation" type="email" autocomplete="off" class="${inputClass}">
+        </div>
+        <button type="submit" disabled class="account-delete-btn px-4 py-2 rounded-anclora-sm bg-red-600 text-white font-medium hover:bg-red-700 disabled:opacity-50">${t.accountDeleteButton}</button>
+      </form>
+    `
+  }
+
+  attachEvents() {
+    // Data URLs from the mock backend can be long; set the source as a property rather than markup
+    const avatar = this.container.querySelector('img.account-avatar')
+    if (avatar) avatar.src = this.profile.avatar_url
+
+    this.container.querySelectorAll('[data-action]').forEach(button => {
+      button.addEventListener('click', () => this.handleAction(button.dataset.action, button.dataset))
+    })
+
+    this.container.querySelector('#account-avatar-input')?.addEventListener('change', e => {
+      const file = e.target.files?.[0]
+      if (file) this.run(async () => { this.profile = await this.account.uploadAvatar(file) }, '.account-profile-form')
+    })
+
+    this.container.querySelector('.account-profile-form').addEventListener('submit', e => {
+      e.preventDefault()
+      this.saveProfile(new FormData(e.target))
+    })
+
+    const themesForm = this.container.querySelector('.account-themes-form')
+    // Start the colors from the chosen base theme
+    themesForm.querySelector('#account-theme-base').addEventListener('change', e => {
+      CUSTOM_THEME_COLORS.forEach(token => {
+        themesForm.querySelector(`#account-theme-${token}`).value = BUILT_IN_THEMES[e.target.value].colors[token]
+      })
+    })
+    themesForm.addEventListener('submit', e => {
+      e.preventDefault()
+      this.createTheme(new FormData(e.target))
+    })
+
+    this.container.querySelector('.account-password-form').addEventListener('submit', e => {
+      e.preventDefault()
+      this.changePassword(new FormData(e.target))
+    })
+
+    const deleteForm = this.container.querySelector('.account-delete-form')
+    deleteForm.querySelector('#account-delete-confirm').addEventListener('input', e => {
+      deleteForm.querySelector('.account-delete-btn').disabled = !this.matchesEmail(e.target.value)
+    })
+    deleteForm.addEventListener('submit', e => {
+      e.preventDefault()
+      this.deleteAccount(new FormData(e.target).get('confirmation'))
+    })
+  }
+
+  async handleAction(action, data = {}) {
+    if (action === 'remove-avatar') {
+      await this.run(async () => { this.profile = await this.account.removeAvatar() }, '.account-profile-form')
+    } else if (action === 'link') {
+      await this.run(async () => {
+        // With Supabase the browser is redirected to the provider and back here
+        const identities = await this.account.linkIdentity(data.provider)
+        if (identities) this.identities = identities
+      }, '.account-identities')
+    } else if (action === 'unlink') {
+      if (!window.confirm(i18n.format('accountProviderUnlinkConfirm', { provider: providerLabel(data.provider, this.translations) }))) return
+      await this.run(async () => { this.identities = await this.account.unlinkIdentity(data.provider) }, '.account-identities')
+    } else if (action === 'delete-theme') {
+      const theme = this.customThemes.find(item => item.id === data.themeId)
+      if (!theme || !window.confirm(i18n.format('accountThemeDeleteConfirm', { name: theme.name }))) return
+      // Deleting the theme in use falls back to the system one
+      await this.saveThemes(
+        this.customThemes.filter(item => item.id !== theme.id),
+        this.selectedTheme === theme.id ? THEMES.SYSTEM : this.selectedTheme
+      )
+    }
+  }
+
+  get customThemes() {
+    return this.profile.preferences.customThemes || []
+  }
+
+  get selectedTheme() {
+    return this.profile.preferences.theme || THEMES.SYSTEM
+  }
+
+  // Built-in themes, the user's own and the system option
+  getThemeOptions() {
+    const t = this.translations
+    return [
+      ...Object.values(BUILT_IN_THEMES).map(theme => ({ id: theme.id, label: t[theme.labelKey] })),
+      ...this.customThemes.map(theme => ({ id: theme.id, label: sanitizeInput(theme.name) })),
+      { id: THEMES.SYSTEM, label: t.themeSystem }
+    ]
+  }
+
+  // custom-<name>, with a number when another theme has the same name
+  createThemeId(name) {
+    const slug = name.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase()
+      .replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '')
+    const base = `custom-${slug}`.slice(0, 36).replace(/-+$/, '')
+    const ids = new Set(this.customThemes.map(theme => theme.id))
+
+    let id = base
+    for (let count = 2; ids.has(id); count++) id = `${base}-${count}`
+    return id
+  }
+
+  async createTheme(formData) {
+    const t = this.translations
+    const name = String(formData.get('name') || '').trim()
+    if (!name) {
+      this.showFieldError('.account-theme-error', t.accountThemeNameInvalid)
+      return
+    }
+    if (this.customThemes.length >= MAX_CUSTOM_THEMES) {
+      this.showFieldError('.account-theme-error', i18n.format('accountThemeLimit', { max: MAX_CUSTOM_THEMES }))
+      return
+    }
+
+    const theme = {
+      id: this.createThemeId(name),
+      name,
+      base: formData.get('base'),
+      colors: Object.fromEntries(CUSTOM_THEME_COLORS.map(token => [token, String(formData.get(token)).toUpperCase()]))
+    }
+    // Names and ids are already valid, so what remains is unreadable text
+    if (!validateTheme(theme).isValid) {
+      this.showFieldError('.account-theme-error', i18n.format('accountThemeContrast', { ratio: MIN_TEXT_CONTRAST }))
+      return
+    }
+
+    if (await this.saveThemes([...this.customThemes, theme], theme.id)) {
+      this.feedback.showSuccess(t.accountThemeSaved)
+    }
+  }
+
+  /**
+   * Save the custom themes and the selected theme, then apply them
+   * @param {Array<Object>} customThemes - Theme definitions
+   * @param {string} theme - Selected theme id
+   * @returns {Promise<boolean>} Whether they were saved
+   */
+  async saveThemes(customThemes, theme) {
+    const saved = await this.run(async () => {
+      this.profile = await this.account.updateProfile({ preferences: { customThemes, theme } })
+    }, '.account-themes-form')
+
+    if (saved) themeUtil.applyPreferences(this.profile.preferences)
+    return saved
+  }
+
+  async saveProfile(formData) {
+    const name = String(formData.get('name') || '').trim()
+    if (!validateName(name)) {
+      this.showFieldError('.account-name-error', this.translations.accountNameInvalid)
+      return
+    }
+
+    const language = formData.get('language')
+    const saved = await this.run(async () => {
+      this.profile = await this.account.updateProfile({
+        name,
+        preferences: {
+          language,
+          emailNotifications: formData.get('emailNotifications') === 'on',
+          idleTimeoutMinutes: Number(formData.get('idleTimeoutMinutes')) || 0,
+          theme: formData.get('theme')
+        }
+      })
+    }, '.account-profile-form')
+
+    if (!saved) return
+    this.sessionService.startIdleTimeout(this.profile.preferences.idleTimeoutMinutes)
+    themeUtil.setTheme(this.selectedTheme)
+    this.feedback.showSuccess(this.translations.accountSaved)
+    // Re-renders the shell and this view in the chosen language
+    if (language !== i18n.getCurrentLanguage()) i18n.setLanguage(language)
+  }
+
+  async changePassword(formData) {
+    const values = {
+      currentPassword: formData.get('currentPassword') || '',
+      newPassword: formData.get('newPassword') || '',
+      confirmPassword: formData.get('confirmPassword') || ''
+    }
+
+    const validation = validatePassword(values.newPassword, i18n.getCurrentLanguage())
+    if (!validation.isValid) {
+      this.showFieldError('.account-password-error', validation.message)
+      return
+    }
+    if (values.newPassword !== values.confirmPassword) {
+      this.showFieldError('.account-password-error', this.translations.accountPasswordMismatch)
+      return
+    }
+    if (this.hasPassword && !values.currentPassword) {
+      this.showFieldError('.account-password-error', this.translations.accountPasswordCurrentRequired)
+      return
+    }
+
+    let wrongPassword = false
+    const saved = await this.run(async () => {
+      try {
+        await this.account.changePassword(values, i18n.getCurrentLanguage())
+      } catch (error) {
+        if (error.code !== ACCOUNT_ERROR_CODES.INVALID_CURRENT_PASSWORD) throw error
+        wrongPassword = true
+      }
+    }, '.account-password-form')
+
+    if (wrongPassword) {
+      this.showFieldError('.account-password-error', this.translations.accountPasswordWrong)
+    } else if (saved) {
+      this.feedback.showSuccess(this.translations.accountPasswordChanged)
+    }
+  }
+
+  async deleteAccount(confirmation) {
+    if (!this.matchesEmail(confirmation)) return
+    if (!window.confirm(this.translations.accountDeleteConfirm)) return
+
+    const deleted = await this.run(() => this.account.deleteAccount(confirmation, i18n.getCurrentLanguage()), '.account-delete-form')
+    // The session belongs to a user that no longer exists
+    if (deleted) await this.auth.logout()
+  }
+
+  matchesEmail(value) {
+    return String(value || '').trim().toLowerCase() === String(this.profile.email).toLowerCase()
+  }
+
+  showFieldError(selector, message) {
+    const element = this.container.querySelector(selector)
+    element.textContent = message
+    element.hidden = false
+  }
+
+  /**
+   * Run a change with the buttons disabled, re-rendering afterwards
+   * @param {Function} change - Async change
+   * @param {string} cardSelector - Card the error is shown in
+   * @returns {Promise<boolean>} Whether the change succeeded
+   */
+  async run(change, cardSelector) {
+    if (this.busy) return false
+    this.busy = true
+    this.render()
+
+    try {
+      await change()
+    } catch (error) {
+      if (!this.destroyed) {
+        this.busy = false
+        this.render()
+        this.feedback.showError(error, {
+          canRetry: false,
+          targetElement: this.container.querySelector(cardSelector) || this.container
+        })
+      }
+      return false
+    }
+
+    this.busy = false
+    if (!this.destroyed) this.render()
+    return true
+  }
+}
@@ -0,0 +1,144 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest'
+import AccountSettings from './AccountSettings.js'
+import i18n from '../../../shared/utils/i18n.js'
+
+const profile = {
+  id: '1',
+  email: 'ana@example.com',
+  name: 'Ana',
+  avatar_url: null,
+  preferences: { language: 'es', emailNotifications: true, idleTimeoutMinutes: 0 }
+}
+
+const createAccount = () => ({
+  getProfile: vi.fn().mockResolvedValue(profile),
+  listIdentities: vi.fn().mockResolvedValue([{ id: 'e1', provider: 'email', email: 'ana@example.com' }]),
+  updateProfile: vi.fn(async values => ({ ...profile, name: values.name, preferences: { ...profile.preferences, ...values.preferences } })),
+  uploadAvatar: vi.fn(),
+  removeAvatar: vi.fn(),
+  changePassword: vi.fn().mockResolvedValue(true),
+  linkIdentity: vi.fn(),
+  unlinkIdentity: vi.fn(),
+  deleteAccount: vi.fn().mockResolvedValue(true)
+})
+
+describe('AccountSettings Component', () => {
+  let container
+  let account
+  let auth
+  let feedback
+  let sessions
+
+  beforeEach(() => {
+    container = document.createElement('div')
+    document.body.appendChild(container)
+    account = createAccount()
+    auth = { logout: vi.fn().mockResolvedValue() }
+    feedback = { showError: vi.fn(), showSuccess: vi.fn() }
+    sessions = { startIdleTimeout: vi.fn() }
+  })
+
+  afterEach(() => {
+    vi.restoreAllMocks()
+    container.remove()
+  })
+
+  const mount = () => {
+    const view = new AccountSettings(container, { accountService: account, authService: auth, sessionService: sessions, feedback })
+    return view.init().then(() => view)
+  }
+
+  const submit = selector => container.querySelector(selector).dispatchEvent(new Event('submit', { cancelable: true }))
+
+  it('should save the name and preferences', async () => {
+    vi.spyOn(i18n, 'getCurrentLanguage').mockReturnValue('es')
+    const setLanguage = vi.spyOn(i18n, 'setLanguage').mockImplementation(() => {})
+    await mount()
+
+    container.querySelector('#account-name').value = 'A'
+    submit('.account-profile-form')
+    expect(container.querySelector('.account-name-error').hidden).toBe(false)
+    expect(account.updateProfile).not.toHaveBeenCalled()
+
+    container.querySelector('#account-name').value = 'Ana María'
+    container.querySelector('#account-language').value = 'en'
+    container.querySelector('#account-email-notifications').checked = false
+    container.querySelector('#account-idle-timeout').value = '30'
+    submit('.account-profile-form')
+
+    await vi.waitFor(() => expect(feedback.showSuccess).toHaveBeenCalled())
+    expect(account.updateProfile).toHaveBeenCalledWith({
+      name: 'Ana María',
+      preferences: { language: 'en', emailNotifications: false, idleTimeoutMinutes: 30, theme: 'system' }
+    })
+    expect(sessions.startIdleTimeout).toHaveBeenCalledWith(30)
+    expect(setLanguage).toHaveBeenCalledWith('en')
+  })
+
+  it('should validate the new password and report a wrong current one inline', async () => {
+    await mount()
+    const fill = (current, next, confirm) => {
+      container.querySelector('#account-current-password').value = current
+      container.querySelector('#account-new-password').value = next
+      container.querySelector('#account-confirm-password').value = confirm
+      submit('.account-password-form')
+    }
+
+    fill('old', 'secret', 'secret')
+    expect(container.querySelector('.account-password-error').hidden).toBe(false)
+    expect(account.changePassword).not.toHaveBeenCalled()
+
+    account.changePassword.mockRejectedValueOnce(Object.assign(new Error('La contraseña actual no es correcta'), { code: 'invalid_current_password' }))
+    fill('old', 'Secret123', 'Secret123')
+    await vi.waitFor(() => expect(container.querySelector('.account-password-error').hidden).toBe(false))
+    expect(account.changePassword).toHaveBeenCalledWith({ currentPassword: 'old', newPassword: 'Secret123', confirmPassword: 'Secret123' }, expect.any(String))
+    expect(feedback.showError).not.toHaveBeenCalled()
+  })
+
+  it('should create custom themes with readable text, apply them and fall back to the system theme when deleted', async () => {
+    vi.spyOn(window, 'confirm').mockReturnValue(true)
+    await mount()
+    const fill = (name, colors) => {
+      container.querySelector('#account-theme-name').value = name
+      container.querySelector('#account-theme-base').value = 'light'
+      Object.entries(colors).forEach(([token, color]) => { container.querySelector(`#account-theme-${token}`).value = color })
+      submit('.account-themes-form')
+    }
+
+    fill('Café con leche', { background: '#ffffff', text: '#eeeeee' })
+    expect(container.querySelector('.account-theme-error').textContent).toContain('4.5:1')
+    expect(account.updateProfile).not.toHaveBeenCalled()
+
+    fill('Café con leche', { background: '#f4ecd8', surface: '#fffaf0', text: '#3b2f2f' })
+    await vi.waitFor(() => expect(feedback.showSuccess).toHaveBeenCalled())
+    const [{ preferences }] = account.updateProfile.mock.calls[0]
+    expect(preferences.theme).toBe('custom-cafe-con-leche')
+    expect(preferences.customThemes[0]).toMatchObject({ id: 'custom-cafe-con-leche', name: 'Café con leche', base: 'light', colors: { background: '#F4ECD8', text: '#3B2F2F' } })
+    expect(document.documentElement.dataset.theme).toBe('custom-cafe-con-leche')
+    expect(container.querySelector('#account-theme').value).toBe('custom-cafe-con-leche')
+
+    container.querySelector('[data-action="delete-theme"]').click()
+    await vi.waitFor(() => expect(account.updateProfile).toHaveBeenCalledTimes(2))
+    expect(account.updateProfile).toHaveBeenLastCalledWith({ preferences: { customThemes: [], theme: 'system' } })
+    await vi.waitFor(() => expect(document.documentElement.dataset.theme).toBe('light'))
+  })
+
+  it('should only delete the account after the email is typed and confirmed, then sign out', async () => {
+    vi.spyOn(window, 'confirm').mockReturnValue(true)
+    await mount()
+    const input = container.querySelector('#account-delete-confirm')
+    const button = container.querySelector('.account-delete-btn')
+
+    input.value = 'someone@example.com'
+    input.dispatchEvent(new Event('input'))
+    expect(button.disabled).toBe(true)
+
+    input.value = 'ANA@example.com'
+    input.dispatchEvent(new Event('input'))
+    expect(button.disabled).toBe(false)
+    submit('.account-delete-form')
+
+    await vi.waitFor(() => expect(auth.logout).toHaveBeenCalled())
+    expect(account.deleteAccount).toHaveBeenCalledWith('ANA@example.com', 'es')
+  })
+})
@@ -0,0 +1,222 @@
+/**
+ * Analytics View
+ * Personal productivity: daily trends of completed tasks, hours worked and efficiency,
+ * a per-project breakdown and this week compared with the previous one
+ */
+
+import { analyticsService } from '../../../shared/services/analyticsService.js'
+import { UserFeedbackSystem } from '../../../shared/services/userFeedbackSystem.js'
+import { drawTrendChart } from '../../../shared/utils/canvasCharts.js'
+import { ANCLORA_COLORS } from '../../../shared/utils/constants.js'
+import { sanitizeInput } from '../../../shared/utils/validation.js'
+import i18n from '../../../shared/utils/i18n.js'
+
+export const RANGE_OPTIONS = [7, 30, 90]
+const DEFAULT_RANGE = 30
+
+const CHARTS = [
+  { metric: 'tasksCompleted', labelKey: 'analyticsTasksCompleted', color: ANCLORA_COLORS.AZUL_CLARO, minScale: 1 },
+  { metric: 'hoursWorked', labelKey: 'analyticsHoursWorked', color: ANCLORA_COLORS.TEAL_SECUNDARIO, minScale: 1 },
+  { metric: 'efficiency', labelKey: 'analyticsEfficiency', color: ANCLORA_COLORS.AMBAR_SUAVE, minScale: 1 }
+]
+
+export default class AnalyticsView {
+  constructor(container, options = {}) {
+    this.container = container
+    this.router = options.router
+    this.service = options.analyticsService || analyticsService
+    this.feedback = options.feedback || new UserFeedbackSystem()
+    this.translations = i18n.getTranslations()
+
+    const days = Number(options.query?.days)
+    this.days = RANGE_OPTIONS.includes(days) ? days : DEFAULT_RANGE
+    this.report = null
+    this.destroyed = false
+
+    this.handleLanguageChange = () => {
+      this.translations = i18n.getTranslations()
+      if (this.report) this.render()
+    }
+  }
+
+  async init() {
+    window.addEventListener('languageChanged', this.handleLanguageChange)
+    this.renderLoading()
+    await this.load()
+  }
+
+  destroy() {
+    this.destroyed = true
+    window.removeEventListener('languageChanged', this.handleLanguageChange)
+  }
+
+  async load() {
+    try {
+      const report = await this.service.getProductivityReport({ days: this.days })
+      if (this.destroyed) return
+      this.report = report
+      this.render()
+    } catch (error) {
+      if (this.destroyed) return
+      this.container.innerHTML = `<div class="p-6 text-center text-red-600" role="alert">${this.translations.appLoadError}</div>`
+      this.feedback.showError(error, {
+        canRetry: true,
+        retryCallback: () => this.load(),
+        targetElement: this.container
+      })
+    }
+  }
+
+  renderLoading() {
+    this.container.innerHTML = `<div class="p-6 text-center text-gray-500" aria-busy="true">${this.translations.appLoading}</div>`
+  }
+
+  render() {
+    const t = this.translations
+    const { weekOverWeek, totals } = this.report
+    const empty = totals.tasksCompleted === 0 && totals.hoursWorked === 0
+
+    this.container.innerHTML = `
+      <section class="analytics-view space-y-6">
+        <div class="flex flex-col md:flex-row md:items-center md:justify-between gap-4">
+          <h1 class="text-2xl font-bold text-gray-800 dark:text-gris-claro">${t.analyticsTitle}</h1>
+          <label class="flex items-center gap-2 text-sm text-gray-600 dark:text-gray-300">
+            ${t.analyticsRange}
+            <select class="analytics-range px-3 py-2 rounded-anclora-sm border border-gray-300 dark:border-gray-600 dark:bg-negro-azulado">
+              ${RANGE_OPTIONS.map(days => `<option value="${days}" ${days === this.days ? 'selected' : ''}>${i18n.format('analyticsLastDays', { days })}</option>`).join('')}
+            </select>
+          </label>
+        </div>
+
+        <div class="analytics-week grid gap-4 md:grid-cols-3" aria-label="${t.analyticsWeekOverWeek}">
+          ${this.renderComparison('tasksCompleted', 'analyticsTasksCompleted', weekOverWeek, value => value)}
+          ${this.renderComparison('hoursWorked', 'analyticsHoursWorked', weekOverWeek, value => i18n.format('analyticsHours', { hours: value }))}
+          ${this.renderComparison('efficiency', 'analyticsEfficiency', weekOverWeek, value => this.formatPercent(value))}
+        </div>
+
+        ${empty ? `<p class="analytics-empty bg-white dark:bg-negro-azulado rounded-anclora shadow-anclora p-6 text-sm text-gray-500 dark:text-gray-300">${t.analyticsEmpty}</p>` : ''}
+
+        <div class="grid gap-4 lg:grid-cols-3">
+          ${CHARTS.map(chart => this.renderChart(chart)).join('')}
+        </div>
+
+        ${this.renderProjects()}
+      </section>
+    `
+
+    this.container.querySelector('.analytics-range').addEventListener('change', e => {
+      this.changeRange(Number(e.target.value))
+    })
+    this.drawCharts()
+  }
+
+  renderComparison(metric, labelKey, weekOverWeek, format) {
+    const t = this.translations
+    const current = weekOverWeek.current[metric]
+    const previous = weekOverWeek.previous[metric]
+    const change = weekOverWeek.change[metric]
+    const trend = change === null || change === 0
+      ? 'text-gray-500 dark:text-gray-400'
+      : change > 0 ? 'text-teal-secundario' : 'text-red-600'
+
+    return `
+      <article class="analytics-card bg-white dark:bg-negro-azulado rounded-anclora shadow-anclora p-5" data-metric="${metric}">
+        <h2 class="text-sm font-medium text-gray-500 dark:text-gray-300">${t[labelKey]} · ${t.analyticsThisWeek}</h2>
+        <p class="analytics-card-value text-3xl font-bold text-gray-800 dark:text-gris-claro mt-1">${current === null ? '—' : format(current)}</p>
+        <p class="text-sm mt-1">
+          <span class="analytics-card-change font-medium ${trend}">${change === null ? t.analyticsNoComparison : `${change > 0 ? '▲' : change < 0 ? '▼' : '='} ${Math.abs(change)}%`}</span>
+          <span class="text-gray-500 dark:text-gray-400">${i18n.format('analyticsPreviousWeek', { value: previous === null ? '—' : format(previous) })}</span>
+        </p>
+      </article>
+    `
+  }
+
+  renderChart({ metric, labelKey }) {
+    const { series } = this.report
+    const first = series[0]?.date
+    const last = series[series.length - 1]?.date
+
+    return `
+      <figure class="analytics-chart bg-white dark:bg-negro-azulado rounded-anclora shadow-anclora p-5">
+        <figcaption class="text-sm font-semibold text-gray-800 dark:text-gris-claro mb-3">${this.translations[labelKey]}</figcaption>
+        <canvas class="w-full h-32" data-metric="${metric}" width="360" height="128" role="img"
+          aria-label="${i18n.format('analyticsChartLabel', { metric: this.translations[labelKey], from: this.formatDate(first), to: this.formatDate(last) })}"></canvas>
+        <div class="flex justify-between text-xs text-gray-500 dark:text-gray-400 mt-2">
+          <span>${this.formatDate(first)}</span>
+          <span>${this.formatDate(last)}</span>
+        </div>
+      </figure>
+    `
+  }
+
+  renderProjects() {
+    const t = this.translations
+    const projects = this.report.projects
+    const maxTasks = Math.max(1, ...projects.map(project => project.tasksCompleted))
+
+    return `
+      <div class="analytics-projects bg-white dark:bg-negro-azulado rounded-anclora shadow-anclora p-6">
+        <h2 class="text-lg font-semibold text-gray-800 dark:text-gris-claro mb-4">${t.analyticsByProject}</h2>
+        ${projects.length === 0
+          ? `<p class="text-sm text-gray-500 dark:text-gray-300">${t.analyticsNoProjects}</p>`
+          : `
+            <table class="w-full text-sm">
+              <thead>
+                <tr class="text-left text-gray-500 dark:text-gray-400">
+                  <th scope="col" class="py-2 font-medium">${t.analyticsProject}</th>
+                  <th scope="col" class="py-2 font-medium">${t.analyticsTasksCompleted}</th>
+                  <th scope="col" class="py-2 font-medium">${t.analyticsHoursWorked}</th>
+                  <th scope="col" class="py-2 font-medium">${t.analyticsEfficiency}</th>
+                </tr>
+              </thead>
+              <tbody>
+                ${projects.map(project => `
+                  <tr class="analytics-project-row border-t border-gray-100 dark:border-white/10" data-project-id="${sanitizeInput(project.projectId)}">
+                    <td class="py-2">
+                      ${project.name
+                        ? `<a href="${this.router.href(`/projects/${encodeURIComponent(project.projectId)}`)}" data-link class="text-azul-profundo dark:text-azul-claro hover:underline">${sanitizeInput(project.name)}</a>`
+                        : `<span class="text-gray-500">${t.analyticsUnknownProject}</span>`}
+                    </td>
+                    <td class="py-2">
+                      <div class="flex items-center gap-2">
+                        <span class="w-8">${project.tasksCompleted}</span>
+                        <span class="h-2 rounded-full bg-azul-claro" style="width: ${Math.round((project.tasksCompleted / maxTasks) * 100)}px" aria-hidden="true"></span>
+                      </div>
+                    </td>
+                    <td class="py-2">${i18n.format('analyticsHours', { hours: project.hoursWorked })}</td>
+                    <td class="py-2">${project.efficiency === null ? '—' : this.formatPercent(project.efficiency)}</td>
+                  </tr>
+                `).join('')}
+              </tbody>
+            </table>
+          `}
+      </div>
+    `
+  }
+
+  drawCharts() {
+    const { series } = this.report
+    CHARTS.forEach(({ metric, color, minScale }) => {
+      const canvas = this.container.querySelector(`canvas[data-metric="${metric}"]`)
+      drawTrendChart(canvas, series.map(day => day[metric]), { color, minScale, lineWidth: 2 })
+    })
+  }
+
+  async changeRange(days) {
+    if (!RANGE_OPTIONS.includes(days) || days === this.days) return
+    this.days = days
+    this.renderLoading()
+    await this.load()
+  }
+
+  formatPercent(value) {
+    return `${Math.round(value * 100)}%`
+  }
+
+  formatDate(key) {
+    if (!key) return ''
+    const [year, month, day] = key.split('-').map(Number)
+    const locale = i18n.getLocale()
+    return new Date(year, month - 1, day).toLocaleDateString(locale, { day: 'numeric', month: 'short' })
+  }
+}
@@ -0,0 +1,66 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest'
+import AnalyticsView from './AnalyticsView.js'
+
+const report = {
+  from: '2026-10-13',
+  to: '2026-10-19',
+  series: [
+    { date: '2026-10-18', tasksCompleted: 1, hoursWorked: 5, efficiency: 0.8 },
+    { date: '2026-10-19', tasksCompleted: 2, hoursWorked: 3, efficiency: null }
+  ],
+  projects: [
+    { projectId: 'p1', name: '<i>Website</i>', tasksCompleted: 3, hoursWorked: 8, efficiency: 0.8 }
+  ],
+  totals: { tasksCompleted: 3, hoursWorked: 8, efficiency: 0.8 },
+  weekOverWeek: {
+    current: { tasksCompleted: 3, hoursWorked: 8, efficiency: 0.8 },
+    previous: { tasksCompleted: 4, hoursWorked: 0, efficiency: null },
+    change: { tasksCompleted: -25, hoursWorked: null, efficiency: null }
+  }
+}
+
+describe('AnalyticsView Component', () => {
+  let container
+  let service
+
+  beforeEach(() => {
+    container = document.createElement('div')
+    service = { getProductivityReport: vi.fn().mockResolvedValue(report) }
+    vi.spyOn(HTMLCanvasElement.prototype, 'getContext').mockReturnValue(null)
+  })
+
+  const mount = query => {
+    const view = new AnalyticsView(container, {
+      query,
+      router: { href: path => path },
+      analyticsService: service,
+      feedback: { showError: vi.fn() }
+    })
+    return view.init().then(() => view)
+  }
+
+  it('should show the week-over-week comparison and project breakdown', async () => {
+    await mount({ days: '7' })
+
+    expect(service.getProductivityReport).toHaveBeenCalledWith({ days: 7 })
+    const card = metric => container.querySelector(`.analytics-card[data-metric="${metric}"]`)
+    expect(card('tasksCompleted').querySelector('.analytics-card-change').textContent).toContain('▼ 25%')
+    expect(card('efficiency').querySelector('.analytics-card-value').textContent).toBe('80%')
+    expect(container.querySelectorAll('canvas[data-metric]')).toHaveLength(3)
+
+    const row = container.querySelector('.analytics-project-row')
+    expect(row.querySelector('a').getAttribute('href')).toBe('/projects/p1')
+    expect(row.querySelector('i')).toBeNull()
+  })
+
+  it('should reload the report when the range changes', async () => {
+    await mount({ days: 'all' })
+    expect(service.getProductivityReport).toHaveBeenCalledWith({ days: 30 })
+
+    const select = container.querySelector('.analytics-range')
+    select.value = '90'
+    select.dispatchEvent(new Event('change'))
+
+    await vi.waitFor(() => expect(service.getProductivityReport).toHaveBeenLastCalledWith({ days: 90 }))
+  })
+})
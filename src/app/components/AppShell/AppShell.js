@@ -0,0 +1,165 @@
+/**
+ * Application Shell
+ * Persistent layout (header and navigation) with an outlet where route views are mounted
+ */
+
+import AIAssistant from '../AIAssistant/AIAssistant.js'
+import SyncStatus from '../SyncStatus/SyncStatus.js'
+import { authService } from '../../../shared/services/authService.js'
+import i18n from '../../../shared/utils/i18n.js'
+import { sanitizeInput } from '../../../shared/utils/validation.js'
+
+const NAV_ITEMS = [
+  { route: 'dashboard', path: '/dashboard', labelKey: 'appNavDashboard' },
+  { route: 'chat', path: '/chat', labelKey: 'appNavChat' },
+  { route: 'analytics', path: '/analytics', labelKey: 'appNavAnalytics' },
+  { route: 'settings', path: '/settings', labelKey: 'appNavSettings' }
+]
+
+export default class AppShell {
+  constructor(container, options = {}) {
+    this.container = container
+    this.router = options.router || null
+    this.translations = i18n.getTranslations()
+    this.layout = null
+    this.view = null
+    this.currentRoute = null
+    // Kept across navigations so the conversation survives the shell being re-rendered
+    this.assistantRoot = document.createElement('div')
+    this.assistant = null
+    this.syncRoot = document.createElement('div')
+    this.syncStatus = null
+
+    window.addEventListener('languageChanged', () => {
+      this.translations = i18n.getTranslations()
+      if (this.currentRoute) this.showRoute(this.currentRoute)
+    })
+  }
+
+  setRouter(router) {
+    this.router = router
+  }
+
+  /**
+   * Render the layout a route needs and mount its view
+   * @param {Object} to - Resolved route from the router
+   */
+  async showRoute(to) {
+    this.currentRoute = to
+    const layout = to.meta.layout || 'shell'
+
+    if (this.view && typeof this.view.destroy === 'function') {
+      this.view.destroy()
+    }
+    this.view = null
+
+    if (layout !== this.layout || layout === 'shell') {
+      this.renderLayout(layout)
+    }
+    this.updateActiveNav(to)
+    if (this.assistant) {
+      this.assistant.setProjectId(to.name.startsWith('project') ? to.params.id : null)
+    }
+
+    const ViewClass = to.route.view
+    if (!ViewClass) return
+
+    const outlet = this.getOutlet()
+    const view = new ViewClass(outlet, {
+      ...(to.route.props || {}),
+      params: to.params,
+      query: to.query,
+      router: this.router
+    })
+    this.view = view
+
+    try {
+      await view.init()
+    } catch (error) {
+      console.error(`Error mounting view for route "${to.name}":`, error)
+      if (this.view === view) {
+        outlet.innerHTML = `<div class="p-6 text-center text-red-600" role="alert">${this.translations.appLoadError}</div>`
+      }
+    }
+
+    outlet.focus({ preventScroll: true })
+  }
+
+  getOutlet() {
+    return this.container.querySelector('#app-outlet')
+  }
+
+  renderLayout(layout) {
+    this.layout = layout
+
+    if (layout === 'bare') {
+      this.container.innerHTML = '<main id="app-outlet" tabindex="-1" class="outline-none"></main>'
+      return
+    }
+
+    const t = this.translations
+    const user = authService.getCurrentUser()
+    const userName = user?.user_metadata?.name || user?.name || user?.email || ''
+    const href = path => (this.router ? this.router.href(path) : path)
+
+    this.container.innerHTML = `
+      <div class="app-shell min-h-screen bg-gris-claro dark:bg-negro-azulado flex flex-col">
+        <header class="bg-gradient-hero text-white shadow-anclora">
+          <div class="max-w-7xl mx-auto px-4 py-3 flex items-center justify-between gap-4">
+            <a href="${href('/dashboard')}" data-link class="font-baskerville text-xl font-bold">Anclora Kairon</a>
+            <nav class="app-nav flex items-center gap-1" aria-label="Main">
+              ${NAV_ITEMS.map(item => `
+                <a href="${href(item.path)}" data-link data-route="${item.route}" class="app-nav-link px-3 py-2 rounded-anclora-sm text-sm font-medium hover:bg-white/15 transition-colors">${t[item.labelKey]}</a>
+              `).join('')}
+            </nav>
+            <div class="flex items-center gap-3">
+              <span class="app-user-name hidden md:inline text-sm text-white/80">${sanitizeInput(userName)}</span>
+              <button id="logout-btn" type="button" class="px-3 py-2 rounded-anclora-sm text-sm bg-white/15 hover:bg-white/25 transition-colors">${t.appLogout}</button>
+            </div>
+          </div>
+        </header>
+        <main id="app-outlet" tabindex="-1" class="flex-1 w-full max-w-7xl mx-auto px-4 py-6 outline-none"></main>
+      </div>
+    `
+
+    this.mountWidgets()
+
+    this.container.querySelector('#logout-btn').addEventListener('click', async () => {
+      try {
+        await authService.logout()
+        // Logout redirects to landing automatically
+      } catch (error) {
+        console.error('Error logout:', error)
+        alert(t.appLogoutError)
+      }
+    })
+  }
+
+  mountWidgets() {
+    if (!this.assistant) {
+      this.assistant = new AIAssistant(this.assistantRoot, { router: this.router }).init()
+    }
+    if (!this.syncStatus) {
+      this.syncStatus = new SyncStatus(this.syncRoot).init()
+    }
+    const shell = this.container.querySelector('.app-shell')
+    shell.appendChild(this.syncRoot)
+    shell.appendChild(this.assistantRoot)
+  }
+
+  updateActiveNav(to) {
+    const section = to.name === 'project-chat' ? 'chat'
+      : to.name.startsWith('project') ? 'dashboard'
+      : to.name.startsWith('settings') ? 'settings'
+      : to.name
+    this.container.querySelectorAll('.app-nav-link').forEach(link => {
+      const active = link.dataset.route === section
+      link.classList.toggle('bg-white/20', active)
+      if (active) {
+        link.setAttribute('aria-current', 'page')
+      } else {
+        link.removeAttribute('aria-current')
+      }
+    })
+  }
+}
@@ -0,0 +1,537 @@
+/**
+ * Chat Component
+ * Project chat panel with threaded replies, @mentions of project members and system messages
+ * New messages arrive through chatService.subscribe (Realtime or polling)
+ */
+
+import { KANBAN_COLUMNS } from '../KanbanBoard/KanbanBoard.js'
+import {
+  chatService,
+  getMentionHandle,
+  resolveMentions,
+  parseSystemMessage,
+  SYSTEM_EVENTS,
+  MESSAGE_TYPES,
+  DELIVERY_MODES
+} from '../../../shared/services/chatService.js'
+import { projectService } from '../../../shared/services/projectService.js'
+import { authService } from '../../../shared/services/authService.js'
+import { UserFeedbackSystem } from '../../../shared/services/userFeedbackSystem.js'
+import { sanitizeInput } from '../../../shared/utils/validation.js'
+import i18n from '../../../shared/utils/i18n.js'
+
+const MAX_SUGGESTIONS = 5
+const MENTION_PATTERN = /@([\p{L}\p{N}._-]+)/gu
+
+export default class ChatComponent {
+  constructor(container, options = {}) {
+    this.container = container
+    this.projectId = options.projectId
+    this.service = options.service || chatService
+    this.projects = options.projectService || projectService
+    this.feedback = options.feedback || new UserFeedbackSystem()
+
+    this.messages = []
+    this.members = []
+    this.membersById = new Map()
+    this.replyTo = null
+    this.expandedThreads = new Set()
+    this.firstUnreadId = null
+    this.mode = null
+    this.subscription = null
+    this.suggestions = []
+    this.activeSuggestion = 0
+    this.translations = i18n.getTranslations()
+
+    this.handleLanguageChange = () => {
+      this.translations = i18n.getTranslations()
+      this.render()
+    }
+    this.handleVisibilityChange = () => {
+      if (document.visibilityState === 'visible') this.markAsRead()
+    }
+  }
+
+  async init() {
+    this.renderLoading()
+    window.addEventListener('languageChanged', this.handleLanguageChange)
+    document.addEventListener('visibilitychange', this.handleVisibilityChange)
+
+    try {
+      await this.load()
+      this.render()
+      this.subscribe()
+      this.markAsRead()
+    } catch (error) {
+      console.error('Error loading chat:', error)
+      this.renderLoadError()
+      this.feedback.showError(error, {
+        canRetry: true,
+        retryCallback: () => this.init()
+      })
+    }
+
+    return this
+  }
+
+  async load() {
+    const [members, messages] = await Promise.all([
+      this.projects.listMembers(this.projectId),
+      this.service.listMessages(this.projectId)
+    ])
+
+    this.members = members
+    this.membersById = new Map(members.map(member => [member.user_id, member]))
+    this.messages = messages
+
+    const lastRead = this.service.getLastRead(this.projectId)
+    this.firstUnreadId = messages.find(message => this.service.isUnread(message, lastRead))?.id || null
+  }
+
+  subscribe() {
+    if (this.subscription) this.subscription.stop()
+
+    const last = this.messages[this.messages.length - 1]
+    this.subscription = this.service.subscribe(this.projectId, (message) => this.receiveMessage(message), {
+      since: last?.created_at,
+      onModeChange: (mode) => {
+        this.mode = mode
+        this.updateModeIndicator()
+      }
+    })
+  }
+
+  destroy() {
+    window.removeEventListener('languageChanged', this.handleLanguageChange)
+    document.removeEventListener('visibilitychange', this.handleVisibilityChange)
+    if (this.subscription) {
+      this.subscription.stop()
+      this.subscription = null
+    }
+    this.container.innerHTML = ''
+  }
+
+  receiveMessage(message) {
+    if (this.messages.some(item => item.id === message.id)) return
+
+    this.messages.push(message)
+    if (message.reply_to) {
+      this.expandedThreads.add(message.reply_to)
+    }
+    this.renderMessages()
+
+    if (document.visibilityState === 'visible') {
+      this.markAsRead()
+    }
+  }
+
+  markAsRead() {
+    const last = this.messages[this.messages.length - 1]
+    if (last) {
+      this.service.markAsRead(this.projectId, last.created_at)
+    }
+  }
+
+  // Helpers
+
+  getCurrentUserId() {
+    return authService.getCurrentUser()?.id || null
+  }
+
+  getAuthorName(userId) {
+    const member = this.membersById.get(userId)
+    return member?.user?.name || member?.user?.email || this.translations.chatUnknownUser
+  }
+
+  getStatusLabel(status) {
+    const column = KANBAN_COLUMNS.find(item => item.status === status)
+    return column ? this.translations[column.labelKey] : status
+  }
+
+  formatTime(timestamp) {
+    const date = new Date(timestamp)
+    const locale = i18n.getLocale()
+    const sameDay = date.toDateString() === new Date().toDateString()
+
+    return sameDay
+      ? date.toLocaleTimeString(locale, { hour: '2-digit', minute: '2-digit' })
+      : date.toLocaleString(locale, { day: 'numeric', month: 'short', hour: '2-digit', minute: '2-digit' })
+  }
+
+  /**
+   * Escape a message and highlight the @handles that resolved to members
+   */
+  formatText(message) {
+    const mentioned = new Set(message.mentions || [])
+    const handles = new Map(
+      this.members.filter(member => mentioned.has(member.user_id)).map(member => [getMentionHandle(member), member])
+    )
+
+    return sanitizeInput(message.message).replace(MENTION_PATTERN, (match, raw) => {
+      const handle = raw.toLowerCase().replace(/[._-]+$/, '')
+      if (!handles.has(handle)) return match
+
+      const trailing = raw.slice(handle.length)
+      return `<span class="chat-mention font-semibold text-azul-claro">@${raw.slice(0, handle.length)}</span>${trailing}`
+    })
+  }
+
+  formatSystemMessage(message) {
+    const event = parseSystemMessage(message)
+    if (event?.type === SYSTEM_EVENTS.TASK_STATUS_CHANGED) {
+      return i18n.format('chatTaskStatusChanged', {
+        user: this.getAuthorName(message.user_id),
+        title: event.title,
+        from: this.getStatusLabel(event.from),
+        to: this.getStatusLabel(event.to)
+      })
+    }
+    return ''
+  }
+
+  /**
+   * Split messages into top-level messages and replies grouped by parent
+   */
+  getThreads() {
+    const ids = new Set(this.messages.map(message => message.id))
+    const replies = new Map()
+    const topLevel = []
+
+    this.messages.forEach(message => {
+      if (message.reply_to && ids.has(message.reply_to)) {
+        if (!replies.has(message.reply_to)) replies.set(message.reply_to, [])
+        replies.get(message.reply_to).push(message)
+      } else {
+        topLevel.push(message)
+      }
+    })
+
+    return { topLevel, replies }
+  }
+
+  // Rendering
+
+  renderLoading() {
+    this.container.innerHTML = `
+      <div class="chat-loading p-6 text-center text-gray-500" role="status">${this.translations.chatLoading}</div>
+    `
+  }
+
+  renderLoadError() {
+    this.container.innerHTML = `
+      <div class="chat-error p-6 text-center text-red-600" role="alert">${this.translations.chatLoadError}</div>
+    `
+  }
+
+  render() {
+    const t = this.translations
+
+    this.container.innerHTML = `
+      <section class="chat-panel flex flex-col h-[32rem] bg-white dark:bg-negro-azulado border border-gray-200 dark:border-white/10 rounded-anclora-sm" aria-label="${t.chatTitle}">
+        <header class="flex items-center justify-between px-4 py-3 border-b border-gray-200 dark:border-white/10">
+          <h3 class="text-sm font-semibold text-azul-profundo dark:text-white">${t.chatTitle}</h3>
+          <span class="chat-mode inline-flex items-center gap-1 text-xs text-gray-500 dark:text-white/60"></span>
+        </header>
+        <ol class="chat-messages flex-1 overflow-y-auto px-4 py-3 flex flex-col gap-3" role="log" aria-live="polite"></ol>
+        <div class="chat-reply-banner hidden items-center justify-between px-4 py-2 text-xs bg-gris-claro dark:bg-white/5 text-gray-600 dark:text-white/70"></div>
+        <form class="chat-composer relative flex items-end gap-2 p-3 border-t border-gray-200 dark:border-white/10">
+          <ul class="chat-mention-suggestions hidden absolute bottom-full left-3 mb-1 w-64 bg-white dark:bg-negro-azulado border border-gray-200 dark:border-white/10 rounded-anclora-sm shadow-anclora py-1 z-10" role="listbox" id="chat-mention-suggestions" aria-label="${t.chatMentionSuggestions}"></ul>
+          <textarea name="message" rows="2" maxlength="4000" placeholder="${t.chatPlaceholder}" aria-label="${t.chatPlaceholder}"
+            aria-controls="chat-mention-suggestions" aria-autocomplete="list"
+            class="flex-1 resize-none px-3 py-2 rounded-anclora-sm border border-gray-300 dark:border-white/10 dark:bg-negro-azulado text-sm text-negro-azulado dark:text-white"></textarea>
+          <button type="submit" class="chat-send px-4 py-2 rounded-anclora-sm bg-azul-claro text-white text-sm font-medium hover:bg-teal-secundario transition-colors disabled:opacity-50">${t.chatSend}</button>
+        </form>
+      </section>
+    `
+
+    this.renderMessages()
+    this.renderReplyBanner()
+    this.updateModeIndicator()
+    this.setupEventListeners()
+  }
+
+  renderMessages() {
+    const list = this.container.querySelector('.chat-messages')
+    if (!list) return
+
+    if (this.messages.length === 0) {
+      list.innerHTML = `<li class="chat-empty m-auto text-sm text-gray-500 dark:text-white/60">${this.translations.chatEmpty}</li>`
+      return
+    }
+
+    const { topLevel, replies } = this.getThreads()
+    list.innerHTML = topLevel.map(message => this.renderThread(message, replies.get(message.id) || [])).join('')
+    list.scrollTop = list.scrollHeight
+  }
+
+  renderThread(message, replies) {
+    const t = this.translations
+    const expanded = this.expandedThreads.has(message.id)
+
+    return `
+      ${this.renderUnreadDivider(message)}
+      <li class="chat-thread" data-message-id="${message.id}">
+        ${this.renderMessage(message, { canReply: message.message_type !== MESSAGE_TYPES.SYSTEM })}
+        ${replies.length > 0 ? `
+          <button type="button" class="chat-toggle-thread ml-10 mt-1 text-xs text-azul-claro hover:underline" data-message-id="${message.id}" aria-expanded="${expanded}">
+            ${expanded ? t.chatHideReplies : i18n.format('chatShowReplies', { count: replies.length })}
+          </button>
+          ${expanded ? `
+            <ol class="chat-replies ml-10 mt-2 pl-3 flex flex-col gap-2 border-l-2 border-gray-200 dark:border-white/10">
+              ${replies.map(reply => `${this.renderUnreadDivider(reply)}<li>${this.renderMessage(reply, { canReply: false })}</li>`).join('')}
+            </ol>
+          ` : ''}
+        ` : ''}
+      </li>
+    `
+  }
+
+  renderUnreadDivider(message) {
+    if (message.id !== this.firstUnreadId) return ''
+    return `
+      <li class="chat-unread-divider flex items-center gap-2 text-xs text-red-600" role="separator">
+        <span class="flex-1 border-t border-red-300"></span>${this.translations.chatNewMessages}<span class="flex-1 border-t border-red-300"></span>
+      </li>
+    `
+  }
+
+  renderMessage(message, { canReply }) {
+    if (message.message_type === MESSAGE_TYPES.SYSTEM) {
+      return `
+        <div class="chat-message chat-system-message text-center text-xs text-gray-500 dark:text-white/60" data-message-id="${message.id}">
+          ${sanitizeInput(this.formatSystemMessage(message))}
+          <time class="ml-1 opacity-70" datetime="${message.created_at}">${this.formatTime(message.created_at)}</time>
+        </div>
+      `
+    }
+
+    const mentionsMe = (message.mentions || []).includes(this.getCurrentUserId())
+    const author = this.getAuthorName(message.user_id)
+
+    return `
+      <article class="chat-message flex gap-2 ${mentionsMe ? 'chat-message-mentions-me bg-ambar-suave/20 rounded-anclora-sm p-1' : ''}" data-message-id="${message.id}">
+        <span class="w-8 h-8 shrink-0 rounded-full bg-azul-claro/15 text-azul-profundo dark:text-white text-xs font-semibold flex items-center justify-center" aria-hidden="true">${sanitizeInput(author.charAt(0).toUpperCase())}</span>
+        <div class="min-w-0 flex-1">
+          <div class="flex items-baseline gap-2">
+            <span class="chat-author text-sm font-semibold text-negro-azulado dark:text-white">${sanitizeInput(author)}</span>
+            <time class="text-xs text-gray-500 dark:text-white/60" datetime="${message.created_at}">${this.formatTime(message.created_at)}</time>
+          </div>
+          <p class="chat-message-text text-sm text-gray-700 dark:text-white/80 whitespace-pre-wrap break-words">${this.formatText(message)}</p>
+          ${canReply ? `<button type="button" class="chat-reply-btn text-xs text-gray-500 hover:text-azul-claro" data-message-id="${message.id}">${this.translations.chatReply}</button>` : ''}
+        </div>
+      </article>
+    `
+  }
+
+  renderReplyBanner() {
+    const banner = this.container.querySelector('.chat-reply-banner')
+    if (!banner) return
+
+    const parent = this.replyTo && this.messages.find(message => message.id === this.replyTo)
+    if (!parent) {
+      banner.classList.add('hidden')
+      banner.classList.remove('flex')
+      banner.innerHTML = ''
+      return
+    }
+
+    banner.classList.remove('hidden')
+    banner.classList.add('flex')
+    banner.innerHTML = `
+      <span>${sanitizeInput(i18n.format('chatReplyingTo', { name: this.getAuthorName(parent.user_id) }))}</span>
+      <button type="button" class="chat-cancel-reply text-azul-claro hover:underline">${this.translations.chatCancelReply}</button>
+    `
+    banner.querySelector('.chat-cancel-reply').addEventListener('click', () => this.setReplyTo(null))
+  }
+
+  renderSuggestions() {
+    const list = this.container.querySelector('.chat-mention-suggestions')
+    const textarea = this.container.querySelector('.chat-composer textarea')
+
+    if (this.suggestions.length === 0) {
+      list.classList.add('hidden')
+      list.innerHTML = ''
+      textarea.removeAttribute('aria-activedescendant')
+      return
+    }
+
+    list.classList.remove('hidden')
+    list.innerHTML = this.suggestions.map((member, index) => `
+      <li id="chat-mention-option-${index}" role="option" aria-selected="${index === this.activeSuggestion}" data-index="${index}"
+        class="chat-mention-option px-3 py-1.5 text-sm cursor-pointer ${index === this.activeSuggestion ? 'bg-azul-claro/15' : ''}">
+        <span class="font-medium text-negro-azulado dark:text-white">${sanitizeInput(member.user?.name || member.user_id)}</span>
+        <span class="text-xs text-gray-500">@${sanitizeInput(getMentionHandle(member))}</span>
+      </li>
+    `).join('')
+    textarea.setAttribute('aria-activedescendant', `chat-mention-option-${this.activeSuggestion}`)
+  }
+
+  updateModeIndicator() {
+    const indicator = this.container.querySelector('.chat-mode')
+    if (!indicator || !this.mode) return
+
+    const live = this.mode === DELIVERY_MODES.REALTIME
+    indicator.innerHTML = `
+      <span class="w-2 h-2 rounded-full ${live ? 'bg-teal-secundario' : 'bg-ambar-suave'}"></span>
+      ${live ? this.translations.chatLive : this.translations.chatPolling}
+    `
+  }
+
+  // Event handling
+
+  setupEventListeners() {
+    const list = this.container.querySelector('.chat-messages')
+    const form = this.container.querySelector('.chat-composer')
+    const textarea = form.querySelector('textarea')
+
+    list.addEventListener('click', (e) => {
+      const replyButton = e.target.closest('.chat-reply-btn')
+      if (replyButton) {
+        this.setReplyTo(replyButton.dataset.messageId)
+        return
+      }
+
+      const toggle = e.target.closest('.chat-toggle-thread')
+      if (toggle) {
+        this.toggleThread(toggle.dataset.messageId)
+      }
+    })
+
+    form.addEventListener('submit', (e) => {
+      e.preventDefault()
+      this.sendMessage(textarea.value)
+    })
+
+    textarea.addEventListener('input', () => this.updateSuggestions())
+    textarea.addEventListener('keydown', (e) => this.onComposerKeyDown(e))
+
+    this.container.querySelector('.chat-mention-suggestions').addEventListener('mousedown', (e) => {
+      const option = e.target.closest('.chat-mention-option')
+      if (!option) return
+      e.preventDefault()
+      this.insertMention(this.suggestions[Number(option.dataset.index)])
+    })
+  }
+
+  onComposerKeyDown(e) {
+    if (this.suggestions.length > 0) {
+      if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+        e.preventDefault()
+        const step = e.key === 'ArrowDown' ? 1 : -1
+        this.activeSuggestion = (this.activeSuggestion + step + this.suggestions.length) % this.suggestions.length
+        this.renderSuggestions()
+        return
+      }
+      if (e.key === 'Enter' || e.key === 'Tab') {
+        e.preventDefault()
+        this.insertMention(this.suggestions[this.activeSuggestion])
+        return
+      }
+      if (e.key === 'Escape') {
+        e.preventDefault()
+        this.closeSuggestions()
+        return
+      }
+    }
+
+    if (e.key === 'Enter' && !e.shiftKey) {
+      e.preventDefault()
+      this.sendMessage(e.target.value)
+    }
+  }
+
+  setReplyTo(messageId) {
+    this.replyTo = messageId
+    this.renderReplyBanner()
+    const textarea = this.container.querySelector('.chat-composer textarea')
+    if (textarea) textarea.focus()
+  }
+
+  toggleThread(messageId) {
+    if (this.expandedThreads.has(messageId)) {
+      this.expandedThreads.delete(messageId)
+    } else {
+      this.expandedThreads.add(messageId)
+    }
+    this.renderMessages()
+  }
+
+  /**
+   * Offer members whose handle starts with the @word being typed at the caret
+   */
+  updateSuggestions() {
+    const textarea = this.container.querySelector('.chat-composer textarea')
+    const beforeCaret = textarea.value.slice(0, textarea.selectionStart)
+    const match = beforeCaret.match(/(?:^|\s)@([\p{L}\p{N}._-]*)$/u)
+
+    if (!match) {
+      this.closeSuggestions()
+      return
+    }
+
+    const prefix = match[1].toLowerCase()
+    this.suggestions = this.members
+      .filter(member => getMentionHandle(member).startsWith(prefix))
+      .slice(0, MAX_SUGGESTIONS)
+    this.activeSuggestion = 0
+    this.renderSuggestions()
+  }
+
+  closeSuggestions() {
+    this.suggestions = []
+    this.renderSuggestions()
+  }
+
+  insertMention(member) {
+    if (!member) return
+
+    const textarea = this.container.querySelector('.chat-composer textarea')
+    const caret = textarea.selectionStart
+    const beforeCaret = textarea.value.slice(0, caret).replace(/@[\p{L}\p{N}._-]*$/u, `@${getMentionHandle(member)} `)
+
+    textarea.value = beforeCaret + textarea.value.slice(caret)
+    textarea.setSelectionRange(beforeCaret.length, beforeCaret.length)
+    textarea.focus()
+    this.closeSuggestions()
+  }
+
+  // Persistence
+
+  /**
+   * Send a message, resolving its @mentions against the project members
+   * @param {string} text - Message text
+   * @returns {Promise<boolean>} Whether the message was sent
+   */
+  async sendMessage(text) {
+    if (!text || !text.trim()) return false
+
+    const form = this.container.querySelector('.chat-composer')
+    const sendButton = form.querySelector('.chat-send')
+    const replyTo = this.replyTo
+    sendButton.disabled = true
+
+    try {
+      const message = await this.service.sendMessage(this.projectId, {
+        message: text,
+        replyTo,
+        mentions: resolveMentions(text, this.members)
+      })
+
+      form.querySelector('textarea').value = ''
+      this.replyTo = null
+      this.firstUnreadId = null
+      this.renderReplyBanner()
+      this.receiveMessage(message)
+      return true
+    } catch (error) {
+      console.error('Error sending chat message:', error)
+      this.feedback.showError(error, {
+        canRetry: true,
+        retryCallback: () => this.sendMessage(text)
+      })
+      return false
+    } finally {
+      sendButton.disabled = false
+    }
+  }
+}
@@ -0,0 +1,141 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest'
+import ChatComponent from './ChatComponent.js'
+import { authService } from '../../../shared/services/authService.js'
+
+const createMessage = (id, values = {}) => ({
+  id,
+  project_id: 'p1',
+  user_id: 'user-2',
+  message: `Message ${id}`,
+  message_type: 'text',
+  mentions: [],
+  reply_to: null,
+  created_at: `2025-06-01T10:00:0${id.slice(-1)}.000Z`,
+  ...values
+})
+
+const members = [
+  { user_id: 'user-1', role: 'owner', user: { id: 'user-1', name: 'Ana García' } },
+  { user_id: 'user-2', role: 'member', user: { id: 'user-2', name: 'Luis' } }
+]
+
+const createService = () => {
+  const service = {
+    listMessages: vi.fn().mockResolvedValue([
+      createMessage('m1', { message: 'Hola @ana.garcía', mentions: ['user-1'] }),
+      createMessage('m2', { reply_to: 'm1', user_id: 'user-1' }),
+      createMessage('m3', {
+        message_type: 'system',
+        message: JSON.stringify({ type: 'task_status_changed', title: 'Diseño', from: 'todo', to: 'done' })
+      })
+    ]),
+    sendMessage: vi.fn((projectId, values) => Promise.resolve(createMessage('m9', {
+      user_id: 'user-1',
+      message: values.message,
+      mentions: values.mentions,
+      reply_to: values.replyTo
+    }))),
+    subscribe: vi.fn((projectId, onMessage, options) => {
+      service.push = onMessage
+      options.onModeChange('polling')
+      return { stop: vi.fn() }
+    }),
+    getLastRead: vi.fn().mockReturnValue('2025-06-01T10:00:01.000Z'),
+    isUnread: (message, lastRead) => message.user_id !== 'user-1' && message.created_at > lastRead,
+    markAsRead: vi.fn()
+  }
+  return service
+}
+
+describe('ChatComponent', () => {
+  let container
+  let service
+  let feedback
+
+  beforeEach(() => {
+    container = document.createElement('div')
+    document.body.appendChild(container)
+    service = createService()
+    feedback = { showError: vi.fn() }
+    authService.currentUser = { id: 'user-1' }
+  })
+
+  const createChat = async () => {
+    const chat = new ChatComponent(container, {
+      projectId: 'p1',
+      service,
+      projectService: { listMembers: vi.fn().mockResolvedValue(members) },
+      feedback
+    })
+    await chat.init()
+    return chat
+  }
+
+  it('renders threads, mentions, system messages and the unread divider', async () => {
+    await createChat()
+
+    const first = container.querySelector('.chat-message[data-message-id="m1"]')
+    expect(first.querySelector('.chat-mention').textContent).toBe('@ana.garcía')
+    expect(first.classList.contains('chat-message-mentions-me')).toBe(true)
+
+    expect(container.querySelector('[data-message-id="m2"]')).toBeNull()
+    container.querySelector('.chat-toggle-thread').click()
+    expect(container.querySelector('.chat-replies [data-message-id="m2"]')).not.toBeNull()
+
+    expect(container.querySelector('.chat-system-message').textContent).toContain('Diseño')
+    expect(container.querySelector('.chat-unread-divider + .chat-thread').dataset.messageId).toBe('m3')
+    expect(container.querySelector('.chat-mode').textContent).toContain('Actualizando')
+    expect(service.markAsRead).toHaveBeenCalledWith('p1', '2025-06-01T10:00:03.000Z')
+  })
+
+  it('sends replies with resolved mentions', async () => {
+    await createChat()
+
+    container.querySelector('.chat-reply-btn[data-message-id="m1"]').click()
+    expect(container.querySelector('.chat-reply-banner').textContent).toContain('Luis')
+
+    const textarea = container.querySelector('.chat-composer textarea')
+    textarea.value = 'Gracias @luis'
+    textarea.dispatchEvent(new KeyboardEvent('keydown', { key: 'Enter', bubbles: true }))
+
+    await vi.waitFor(() => expect(service.sendMessage).toHaveBeenCalled())
+    expect(service.sendMessage).toHaveBeenCalledWith('p1', { message: 'Gracias @luis', replyTo: 'm1', mentions: ['user-2'] })
+    await vi.waitFor(() => expect(container.querySelector('.chat-replies [data-message-id="m9"]')).not.toBeNull())
+    expect(textarea.value).toBe('')
+  })
+
+  it('suggests members while typing a mention', async () => {
+    await createChat()
+    const textarea = container.querySelector('.chat-composer textarea')
+
+    textarea.value = 'Hola @lu'
+    textarea.setSelectionRange(8, 8)
+    textarea.dispatchEvent(new Event('input'))
+
+    const options = container.querySelectorAll('.chat-mention-option')
+    expect(options).toHaveLength(1)
+
+    textarea.dispatchEvent(new KeyboardEvent('keydown', { key: 'Tab', bubbles: true }))
+    expect(textarea.value).toBe('Hola @luis ')
+    expect(container.querySelectorAll('.chat-mention-option')).toHaveLength(0)
+    expect(service.sendMessage).not.toHaveBeenCalled()
+  })
+
+  it('appends live messages once', async () => {
+    await createChat()
+
+    service.push(createMessage('m4', { message: 'En directo' }))
+    service.push(createMessage('m4', { message: 'En directo' }))
+
+    expect(container.querySelectorAll('.chat-message[data-message-id="m4"]')).toHaveLength(1)
+  })
+
+  it('reports failed sends with a retry', async () => {
+    service.sendMessage.mockRejectedValueOnce(new Error('Network error'))
+    vi.spyOn(console, 'error').mockImplementation(() => {})
+    const chat = await createChat()
+
+    expect(await chat.sendMessage('Hola')).toBe(false)
+    expect(feedback.showError).toHaveBeenCalledWith(expect.any(Error), expect.objectContaining({ canRetry: true }))
+  })
+})
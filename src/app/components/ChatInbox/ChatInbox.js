@@ -0,0 +1,70 @@
+/**
+ * Chat Inbox View
+ * Lists the user's projects with their unread chat counts
+ */
+
+import { projectService } from '../../../shared/services/projectService.js'
+import { chatService } from '../../../shared/services/chatService.js'
+import { UserFeedbackSystem } from '../../../shared/services/userFeedbackSystem.js'
+import { sanitizeInput } from '../../../shared/utils/validation.js'
+import i18n from '../../../shared/utils/i18n.js'
+
+export default class ChatInbox {
+  constructor(container, options = {}) {
+    this.container = container
+    this.router = options.router
+    this.projects = options.projectService || projectService
+    this.service = options.service || chatService
+    this.feedback = options.feedback || new UserFeedbackSystem()
+    this.translations = i18n.getTranslations()
+    this.destroyed = false
+  }
+
+  async init() {
+    this.container.innerHTML = `<div class="p-6 text-center text-gray-500" aria-busy="true">${this.translations.appLoading}</div>`
+
+    try {
+      const { data: projects } = await this.projects.listProjects({ pageSize: 100 })
+      const unread = await this.service.getUnreadCounts(projects.map(project => project.id))
+      if (this.destroyed) return
+      this.render(projects, unread)
+    } catch (error) {
+      if (this.destroyed) return
+      this.container.innerHTML = `<div class="p-6 text-center text-red-600" role="alert">${this.translations.chatLoadError}</div>`
+      this.feedback.showError(error, {
+        canRetry: true,
+        retryCallback: () => this.init(),
+        targetElement: this.container
+      })
+    }
+  }
+
+  destroy() {
+    this.destroyed = true
+  }
+
+  render(projects, unread) {
+    const t = this.translations
+
+    this.container.innerHTML = `
+      <section class="chat-inbox bg-white dark:bg-negro-azulado rounded-anclora shadow-anclora p-6">
+        <h1 class="text-2xl font-bold text-gray-800 dark:text-gris-claro mb-4">${t.appNavChat}</h1>
+        ${projects.length === 0
+          ? `<p class="text-sm text-gray-500 dark:text-gray-300">${t.chatNoProjects}</p>`
+          : `<ul class="divide-y divide-gray-200 dark:divide-white/10">
+              ${projects.map(project => `
+                <li>
+                  <a href="${this.router.href(`/projects/${encodeURIComponent(project.id)}/chat`)}" data-link
+                    class="flex items-center justify-between py-3 hover:text-azul-claro">
+                    <span class="font-medium">${sanitizeInput(project.name)}</span>
+                    ${unread[project.id] > 0
+                      ? `<span class="chat-unread-badge text-xs px-2 py-0.5 rounded-full bg-red-500 text-white">${i18n.format('chatUnread', { count: unread[project.id] })}</span>`
+                      : ''}
+                  </a>
+                </li>
+              `).join('')}
+            </ul>`}
+      </section>
+    `
+  }
+}
@@ -0,0 +1,116 @@
+/**
+ * Dashboard View
+ * Lists the current user's projects and creates new ones
+ */
+
+import { projectService } from '../../../shared/services/projectService.js'
+import { authService } from '../../../shared/services/authService.js'
+import { UserFeedbackSystem } from '../../../shared/services/userFeedbackSystem.js'
+import { sanitizeInput } from '../../../shared/utils/validation.js'
+import i18n from '../../../shared/utils/i18n.js'
+
+export default class Dashboard {
+  constructor(container, options = {}) {
+    this.container = container
+    this.router = options.router
+    this.service = options.service || projectService
+    this.feedback = options.feedback || new UserFeedbackSystem()
+    this.translations = i18n.getTranslations()
+    this.projects = []
+    this.destroyed = false
+  }
+
+  async init() {
+    this.renderLoading()
+    await this.load()
+  }
+
+  destroy() {
+    this.destroyed = true
+  }
+
+  async load() {
+    try {
+      const result = await this.service.listProjects({ pageSize: 100 })
+      if (this.destroyed) return
+      this.projects = result.data
+      this.render()
+    } catch (error) {
+      if (this.destroyed) return
+      this.container.innerHTML = `<div class="p-6 text-center text-red-600" role="alert">${this.translations.appLoadError}</div>`
+      this.feedback.showError(error, {
+        canRetry: true,
+        retryCallback: () => this.load(),
+        targetElement: this.container
+      })
+    }
+  }
+
+  renderLoading() {
+    this.container.innerHTML = `<div class="p-6 text-center text-gray-500" aria-busy="true">${this.translations.appLoading}</div>`
+  }
+
+  render() {
+    const t = this.translations
+    const user = authService.getCurrentUser()
+    const userName = user?.user_metadata?.name || user?.name || user?.email || ''
+
+    this.container.innerHTML = `
+      <section class="dashboard space-y-6">
+        <h1 class="text-2xl font-bold text-gray-800 dark:text-gris-claro">${i18n.format('appWelcome', { name: sanitizeInput(userName) })}</h1>
+
+        <div class="bg-white dark:bg-negro-azulado rounded-anclora shadow-anclora p-6">
+          <div class="flex flex-col md:flex-row md:items-center md:justify-between gap-4 mb-6">
+            <h2 class="text-lg font-semibold text-gray-800 dark:text-gris-claro">${t.appProjects}</h2>
+            <form id="create-project-form" class="flex gap-2">
+              <input name="name" type="text" required maxlength="100" placeholder="${t.appNewProjectPlaceholder}" aria-label="${t.appNewProjectPlaceholder}"
+                class="flex-1 px-3 py-2 rounded-anclora-sm border border-gray-300 dark:border-gray-600 dark:bg-negro-azulado text-sm">
+              <button type="submit" class="px-4 py-2 rounded-anclora-sm bg-azul-claro text-white text-sm font-medium hover:bg-teal-secundario transition-colors">${t.appCreateProject}</button>
+            </form>
+          </div>
+          ${this.projects.length === 0
+            ? `<p class="text-gray-500 dark:text-gray-300 text-sm">${t.appNoProjects}</p>`
+            : `<ul class="project-list grid gap-4 md:grid-cols-2 lg:grid-cols-3">${this.projects.map(project => this.renderProject(project)).join('')}</ul>`}
+        </div>
+      </section>
+    `
+
+    this.container.querySelector('#create-project-form').addEventListener('submit', (e) => {
+      e.preventDefault()
+      this.handleCreate(e.target)
+    })
+  }
+
+  renderProject(project) {
+    return `
+      <li>
+        <a href="${this.router.href(`/projects/${encodeURIComponent(project.id)}`)}" data-link
+          class="block h-full p-4 rounded-anclora-sm border border-gray-200 dark:border-gray-700 hover:shadow-anclora-hover transition-shadow">
+          <h3 class="font-semibold text-gray-800 dark:text-gris-claro">${sanitizeInput(project.name)}</h3>
+          ${project.description ? `<p class="mt-1 text-sm text-gray-500 dark:text-gray-300">${sanitizeInput(project.description)}</p>` : ''}
+        </a>
+      </li>
+    `
+  }
+
+  async handleCreate(form) {
+    const name = form.elements.name.value.trim()
+    if (!name) return
+
+    const submitButton = form.querySelector('button[type="submit"]')
+    submitButton.disabled = true
+
+    try {
+      const project = await this.service.createProject({ name })
+      if (this.destroyed) return
+      this.router.navigate(`/projects/${encodeURIComponent(project.id)}`)
+    } catch (error) {
+      submitButton.disabled = false
+      this.feedback.showError(error, {
+        canRetry: true,
+        retryCallback: () => this.handleCreate(form),
+        targetElement: this.container
+      })
+    }
+  }
+}
@@ -0,0 +1,178 @@
+/**
+ * Invitation View
+ * Landing page of an invite link: shows the project and role, and lets the invitee accept or decline
+ * Visitors without a session accept through the auth modal, which accepts the invitation once they
+ * have registered or signed in
+ */
+
+import AuthModalVanilla from '../../../shared/components/AuthModalVanilla.js'
+import { authService } from '../../../shared/services/authService.js'
+import { invitationService } from '../../../shared/services/invitationService.js'
+import { MEMBER_STATUS } from '../../../shared/services/projectService.js'
+import { ROLE_LABEL_KEYS } from '../ProjectMembers/ProjectMembers.js'
+import { UserFeedbackSystem } from '../../../shared/services/userFeedbackSystem.js'
+import { sanitizeInput } from '../../../shared/utils/validation.js'
+import i18n from '../../../shared/utils/i18n.js'
+
+export default class InvitationView {
+  constructor(container, options = {}) {
+    this.container = container
+    this.router = options.router
+    this.token = options.params?.token
+    this.service = options.invitationService || invitationService
+    this.feedback = options.feedback || new UserFeedbackSystem()
+    this.translations = i18n.getTranslations()
+    this.invitation = null
+    this.authModal = null
+    this.busy = false
+    this.destroyed = false
+  }
+
+  async init() {
+    this.renderMessage(this.translations.appLoading)
+
+    try {
+      this.invitation = await this.service.getInvitation(this.token)
+    } catch (error) {
+      if (this.destroyed) return
+      this.renderMessage(this.translations.appLoadError)
+      this.feedback.showError(error, {
+        canRetry: true,
+        retryCallback: () => this.init(),
+        targetElement: this.container
+      })
+      return
+    }
+    if (this.destroyed) return
+
+    this.render()
+  }
+
+  destroy() {
+    this.destroyed = true
+    if (this.authModal && this.authModal.isOpen) {
+      this.authModal.close()
+    }
+    this.authModal = null
+  }
+
+  render() {
+    const t = this.translations
+    const invitation = this.invitation
+
+    if (!invitation || invitation.status !== MEMBER_STATUS.PENDING) {
+      this.renderMessage(t.invitationNotFound, true)
+      return
+    }
+    if (invitation.expired) {
+      this.renderMessage(t.invitationExpired, true)
+      return
+    }
+
+    const role = t[ROLE_LABEL_KEYS[invitation.role]] || invitation.role
+    const description = invitation.inviterName
+      ? i18n.format('invitationFrom', { name: sanitizeInput(invitation.inviterName), role })
+      : i18n.format('invitationRole', { role })
+
+    this.renderCard(`
+      <h1 class="text-2xl font-bold text-gray-800 dark:text-gris-claro mb-2">
+        ${i18n.format('invitationTitle', { project: sanitizeInput(invitation.projectName) })}
+      </h1>
+      <p class="text-gray-500 dark:text-gray-300">${description}</p>
+      <p class="text-sm text-gray-500 dark:text-gray-300 mb-8">${i18n.format('invitationSentTo', { email: sanitizeInput(invitation.email) })}</p>
+      <div class="flex flex-col gap-3">
+        <button id="invitation-accept" type="button" class="w-full px-6 py-3 rounded-anclora-sm bg-azul-claro text-white font-medium hover:bg-teal-secundario transition-colors">
+          ${t.invitationAccept}
+        </button>
+        <button id="invitation-decline" type="button" class="w-full px-6 py-3 rounded-anclora-sm border border-gray-300 dark:border-white/10 text-gray-600 dark:text-gray-300 font-medium hover:bg-gris-claro dark:hover:bg-white/5 transition-colors">
+          ${t.invitationDecline}
+        </button>
+      </div>
+    `)
+
+    this.container.querySelector('#invitation-accept').addEventListener('click', () => this.handleAccept())
+    this.container.querySelector('#invitation-decline').addEventListener('click', () => this.decline())
+  }
+
+  renderMessage(message, withLinks = false) {
+    this.renderCard(`
+      <p class="text-gray-600 dark:text-gray-300 ${withLinks ? 'mb-6' : ''}" role="status">${message}</p>
+      ${withLinks ? `<a href="${this.router.href('/dashboard')}" data-link class="text-sm text-azul-claro hover:underline">${this.translations.appBackToDashboard}</a>` : ''}
+    `)
+  }
+
+  renderCard(content) {
+    this.container.innerHTML = `
+      <div class="min-h-screen bg-gradient-hero flex items-center justify-center p-4">
+        <div class="invitation-card bg-white dark:bg-negro-azulado rounded-anclora shadow-anclora-hover p-8 text-center max-w-md w-full">
+          ${content}
+        </div>
+      </div>
+    `
+  }
+
+  /**
+   * Accept straight away with a session; otherwise ask the visitor to register or sign in first
+   */
+  handleAccept() {
+    if (authService.isAuthenticated()) {
+      this.accept()
+      return
+    }
+
+    // Survives leaving the page for OAuth or email confirmation; LoginView comes back here
+    this.service.rememberPendingInvitation(this.token)
+
+    this.authModal = new AuthModalVanilla({
+      invitation: {
+        token: this.token,
+        email: this.invitation.email,
+        projectName: this.invitation.projectName
+      },
+      onAuthenticated: (user, { joinedProjectId } = {}) => {
+        if (joinedProjectId) {
+          this.openProject(joinedProjectId)
+        } else {
+          this.accept()
+        }
+      }
+    })
+    this.authModal.open('register')
+  }
+
+  async accept() {
+    if (this.busy) return
+    this.busy = true
+
+    try {
+      const projectId = await this.service.acceptInvitation(this.token)
+      if (this.destroyed) return
+      this.openProject(projectId)
+    } catch (error) {
+      if (this.destroyed) return
+      this.feedback.showError(error, { targetElement: this.container })
+    } finally {
+      this.busy = false
+    }
+  }
+
+  async decline() {
+    if (this.busy) return
+    this.busy = true
+
+    try {
+      await this.service.declineInvitation(this.token)
+      if (this.destroyed) return
+      this.renderMessage(this.translations.invitationDeclined, authService.isAuthenticated())
+    } catch (error) {
+      if (this.destroyed) return
+      this.feedback.showError(error, { targetElement: this.container })
+    } finally {
+      this.busy = false
+    }
+  }
+
+  openProject(projectId) {
+    this.router.replace(`/projects/${encodeURIComponent(projectId)}`)
+  }
+}
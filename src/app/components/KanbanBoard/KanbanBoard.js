@@ -0,0 +1,419 @@
+/**
+ * Kanban Board Component
+ * Status columns backed by the tasks table, with drag-and-drop and keyboard moves
+ * Moves are applied optimistically and rolled back if persisting them fails
+ * Roles without task.update permission get a read-only board
+ */
+
+import TaskCard from '../TaskCard/TaskCard.js'
+import { taskService, TASK_STATUS } from '../../../shared/services/taskService.js'
+import { UserFeedbackSystem } from '../../../shared/services/userFeedbackSystem.js'
+import { PERMISSIONS, PROJECT_ROLES, createPermissionChecker } from '../../../shared/utils/permissions.js'
+import i18n from '../../../shared/utils/i18n.js'
+
+export const KANBAN_COLUMNS = [
+  { status: TASK_STATUS.TODO, labelKey: 'kanbanTodo', accent: 'border-t-gray-400' },
+  { status: TASK_STATUS.IN_PROGRESS, labelKey: 'kanbanInProgress', accent: 'border-t-azul-claro' },
+  { status: TASK_STATUS.IN_REVIEW, labelKey: 'kanbanInReview', accent: 'border-t-ambar-suave' },
+  { status: TASK_STATUS.DONE, labelKey: 'kanbanDone', accent: 'border-t-teal-secundario' }
+]
+
+export default class KanbanBoard {
+  constructor(container, options = {}) {
+    this.container = container
+    this.projectId = options.projectId
+    this.service = options.service || taskService
+    this.feedback = options.feedback || new UserFeedbackSystem()
+    this.onTaskClick = options.onTaskClick || null
+    // Without a checker the board is editable and the database decides
+    this.permissions = options.permissions || createPermissionChecker(PROJECT_ROLES.OWNER)
+    this.canEdit = this.permissions.can(PERMISSIONS.TASK_UPDATE)
+
+    this.columns = this.createEmptyColumns()
+    this.translations = i18n.getTranslations()
+    this.dragTaskId = null
+    this.grabbed = null
+    this.focusedTaskId = null
+
+    this.handleLanguageChange = () => {
+      this.translations = i18n.getTranslations()
+      this.render()
+    }
+  }
+
+  async init() {
+    this.renderLoading()
+    window.addEventListener('languageChanged', this.handleLanguageChange)
+
+    try {
+      await this.load()
+      this.render()
+    } catch (error) {
+      console.error('Error loading kanban board:', error)
+      this.renderLoadError()
+      this.feedback.showError(error, {
+        canRetry: true,
+        retryCallback: () => this.init()
+      })
+    }
+
+    return this
+  }
+
+  async load() {
+    this.columns = await this.service.getTasksByStatus(this.projectId)
+  }
+
+  destroy() {
+    window.removeEventListener('languageChanged', this.handleLanguageChange)
+    this.container.innerHTML = ''
+  }
+
+  createEmptyColumns() {
+    return Object.fromEntries(KANBAN_COLUMNS.map(({ status }) => [status, []]))
+  }
+
+  cloneColumns() {
+    return Object.fromEntries(
+      Object.entries(this.columns).map(([status, tasks]) => [status, tasks.map(task => ({ ...task }))])
+    )
+  }
+
+  getColumnLabel(status) {
+    const column = KANBAN_COLUMNS.find(item => item.status === status)
+    return column ? this.translations[column.labelKey] : status
+  }
+
+  findTask(taskId) {
+    for (const [status, tasks] of Object.entries(this.columns)) {
+      const index = tasks.findIndex(task => task.id === taskId)
+      if (index !== -1) {
+        return { task: tasks[index], status, index }
+      }
+    }
+    return null
+  }
+
+  // Rendering
+
+  renderLoading() {
+    this.container.innerHTML = `
+      <div class="kanban-loading p-6 text-center text-gray-500" role="status">${this.translations.kanbanLoading}</div>
+    `
+  }
+
+  renderLoadError() {
+    this.container.innerHTML = `
+      <div class="kanban-error p-6 text-center text-red-600" role="alert">${this.translations.kanbanLoadError}</div>
+    `
+  }
+
+  render() {
+    const t = this.translations
+
+    this.container.innerHTML = `
+      <div class="kanban-board flex flex-col gap-3">
+        ${this.canEdit
+          ? `<p id="kanban-keyboard-help" class="sr-only">${t.kanbanKeyboardHelp}</p>`
+          : `<p id="kanban-keyboard-help" class="kanban-read-only text-xs text-gray-500 dark:text-white/60">${t.kanbanReadOnly}</p>`}
+        <div class="kanban-live-region sr-only" aria-live="assertive" aria-atomic="true"></div>
+        <div class="kanban-columns grid gap-4 md:grid-cols-2 xl:grid-cols-4" aria-describedby="kanban-keyboard-help">
+          ${KANBAN_COLUMNS.map(({ status, labelKey, accent }) => `
+            <section class="kanban-column flex flex-col bg-gris-claro dark:bg-white/5 rounded-anclora-sm border-t-4 ${accent} min-h-[12rem]" data-status="${status}" aria-labelledby="kanban-heading-${status}">
+              <header class="flex items-center justify-between px-3 py-2">
+                <h3 id="kanban-heading-${status}" class="text-sm font-semibold text-azul-profundo dark:text-white">${t[labelKey]}</h3>
+                <span class="kanban-column-count text-xs text-gray-500 dark:text-white/60">${this.columns[status].length}</span>
+              </header>
+              <div class="kanban-column-list flex-1 flex flex-col gap-2 px-3 pb-3" role="list" data-status="${status}"></div>
+            </section>
+          `).join('')}
+        </div>
+      </div>
+    `
+
+    this.container.querySelectorAll('.kanban-column-list').forEach(list => {
+      const status = list.dataset.status
+      const tasks = this.columns[status]
+
+      if (tasks.length === 0) {
+        list.innerHTML = `<p class="kanban-empty text-xs text-gray-400 text-center py-6">${t.kanbanEmptyColumn}</p>`
+      }
+
+      tasks.forEach(task => {
+        const card = new TaskCard(task, {
+          draggable: this.canEdit,
+          grabbed: this.grabbed?.taskId === task.id,
+          onClick: this.onTaskClick
+        }).render()
+        list.appendChild(card)
+      })
+    })
+
+    this.setupEventListeners()
+    this.updateRovingFocus()
+  }
+
+  updateRovingFocus() {
+    const cards = [...this.container.querySelectorAll('.task-card')]
+    if (cards.length === 0) return
+
+    const target = cards.find(card => card.dataset.taskId === this.focusedTaskId) || cards[0]
+    cards.forEach(card => { card.tabIndex = card === target ? 0 : -1 })
+  }
+
+  focusTask(taskId) {
+    this.focusedTaskId = taskId
+    this.updateRovingFocus()
+    const card = this.container.querySelector(`.task-card[data-task-id="${taskId}"]`)
+    if (card) card.focus()
+  }
+
+  announce(message) {
+    const region = this.container.querySelector('.kanban-live-region')
+    if (region) region.textContent = message
+  }
+
+  // Event handling
+
+  setupEventListeners() {
+    const board = this.container.querySelector('.kanban-board')
+
+    board.addEventListener('dragstart', (e) => {
+      const card = e.target.closest('.task-card')
+      if (!card || !this.canEdit) return
+      this.dragTaskId = card.dataset.taskId
+      card.classList.add('opacity-50')
+      if (e.dataTransfer) {
+        e.dataTransfer.effectAllowed = 'move'
+        e.dataTransfer.setData('text/plain', this.dragTaskId)
+      }
+    })
+
+    board.addEventListener('dragend', (e) => {
+      const card = e.target.closest('.task-card')
+      if (card) card.classList.remove('opacity-50')
+      this.dragTaskId = null
+      this.clearDropHighlight()
+    })
+
+    board.addEventListener('dragover', (e) => {
+      const list = e.target.closest('.kanban-column-list')
+      if (!list || !this.dragTaskId) return
+      e.preventDefault()
+      if (e.dataTransfer) e.dataTransfer.dropEffect = 'move'
+      this.clearDropHighlight()
+      list.classList.add('ring-2', 'ring-azul-claro/50', 'rounded-anclora-sm')
+    })
+
+    board.addEventListener('drop', (e) => {
+      const list = e.target.closest('.kanban-column-list')
+      const taskId = this.dragTaskId || e.dataTransfer?.getData('text/plain')
+      if (!list || !taskId || !this.canEdit) return
+      e.preventDefault()
+      this.clearDropHighlight()
+
+      const index = this.getDropIndex(list, e.clientY, taskId)
+      this.moveTask(taskId, list.dataset.status, index)
+    })
+
+    board.addEventListener('keydown', (e) => this.handleKeyDown(e))
+
+    board.addEventListener('focusin', (e) => {
+      const card = e.target.closest('.task-card')
+      if (card) {
+        this.focusedTaskId = card.dataset.taskId
+        this.updateRovingFocus()
+      }
+    })
+  }
+
+  clearDropHighlight() {
+    this.container.querySelectorAll('.kanban-column-list').forEach(list => {
+      list.classList.remove('ring-2', 'ring-azul-claro/50', 'rounded-anclora-sm')
+    })
+  }
+
+  getDropIndex(list, clientY, draggedTaskId) {
+    const cards = [...list.querySelectorAll('.task-card')].filter(card => card.dataset.taskId !== draggedTaskId)
+    const index = cards.findIndex(card => {
+      const rect = card.getBoundingClientRect()
+      return clientY < rect.top + rect.height / 2
+    })
+    return index === -1 ? cards.length : index
+  }
+
+  handleKeyDown(e) {
+    const card = e.target.closest('.task-card')
+    if (!card) return
+
+    const taskId = card.dataset.taskId
+    const location = this.findTask(taskId)
+    if (!location) return
+
+    const statuses = KANBAN_COLUMNS.map(column => column.status)
+    const columnIndex = statuses.indexOf(location.status)
+
+    if ((e.key === ' ' || e.key === 'Enter') && this.canEdit) {
+      e.preventDefault()
+      if (this.grabbed) {
+        this.dropGrabbed()
+      } else {
+        this.grab(taskId)
+      }
+      return
+    }
+
+    if (e.key === 'Escape' && this.grabbed) {
+      e.preventDefault()
+      this.cancelGrab()
+      return
+    }
+
+    const moves = {
+      ArrowUp: { column: columnIndex, index: location.index - 1 },
+      ArrowDown: { column: columnIndex, index: location.index + 1 },
+      ArrowLeft: { column: columnIndex - 1, index: location.index },
+      ArrowRight: { column: columnIndex + 1, index: location.index }
+    }
+    const move = moves[e.key]
+    if (!move || move.column < 0 || move.column >= statuses.length) return
+    e.preventDefault()
+
+    const targetStatus = statuses[move.column]
+
+    if (this.grabbed) {
+      const sameColumn = targetStatus === location.status
+      const maxIndex = this.columns[targetStatus].length - (sameColumn ? 1 : 0)
+      if (move.index < 0 || move.index > maxIndex) return
+
+      this.applyLocalMove(taskId, targetStatus, move.index)
+      this.render()
+      this.focusTask(taskId)
+      this.announce(i18n.format('kanbanTaskPosition', {
+        column: this.getColumnLabel(targetStatus),
+        position: move.index + 1
+      }))
+      return
+    }
+
+    // Plain arrow keys move focus between cards
+    const targetTasks = this.columns[targetStatus]
+    if (targetTasks.length === 0) return
+    const target = targetTasks[Math.max(0, Math.min(move.index, targetTasks.length - 1))]
+    this.focusTask(target.id)
+  }
+
+  grab(taskId) {
+    const location = this.findTask(taskId)
+    this.grabbed = {
+      taskId,
+      originStatus: location.status,
+      originIndex: location.index,
+      snapshot: this.cloneColumns()
+    }
+    this.render()
+    this.focusTask(taskId)
+    this.announce(i18n.format('kanbanTaskGrabbed', {
+      title: location.task.title,
+      column: this.getColumnLabel(location.status),
+      position: location.index + 1
+    }))
+  }
+
+  cancelGrab() {
+    const { taskId, snapshot } = this.grabbed
+    this.columns = snapshot
+    this.grabbed = null
+    this.render()
+    this.focusTask(taskId)
+    this.announce(this.translations.kanbanMoveCancelled)
+  }
+
+  async dropGrabbed() {
+    const { taskId, originStatus, originIndex, snapshot } = this.grabbed
+    const location = this.findTask(taskId)
+    this.grabbed = null
+    this.render()
+    this.focusTask(taskId)
+
+    if (location.status === originStatus && location.index === originIndex) {
+      this.announce(this.translations.kanbanMoveCancelled)
+      return true
+    }
+
+    return this.persistMove(taskId, location.status, location.index, snapshot)
+  }
+
+  // Moves
+
+  applyLocalMove(taskId, status, index) {
+    const location = this.findTask(taskId)
+    if (!location) return false
+
+    this.columns[location.status].splice(location.index, 1)
+    const destination = this.columns[status]
+    const clamped = Math.max(0, Math.min(index, destination.length))
+    destination.splice(clamped, 0, { ...location.task, status })
+
+    // Keep local positions in step with what the service will persist
+    new Set([location.status, status]).forEach(columnStatus => {
+      this.columns[columnStatus].forEach((task, position) => { task.position = position })
+    })
+
+    return true
+  }
+
+  /**
+   * Move a task optimistically, rolling back if persisting fails
+   * @param {string} taskId - Task id
+   * @param {string} status - Destination status
+   * @param {number} index - Destination index inside the column
+   * @returns {Promise<boolean>} Whether the move was persisted
+   */
+  async moveTask(taskId, status, index) {
+    const location = this.findTask(taskId)
+    if (!location) return false
+    if (location.status === status && location.index === index) return true
+
+    const snapshot = this.cloneColumns()
+    this.applyLocalMove(taskId, status, index)
+    this.render()
+
+    return this.persistMove(taskId, status, index, snapshot)
+  }
+
+  async persistMove(taskId, status, index, snapshot) {
+    const title = this.findTask(taskId)?.task.title || ''
+
+    try {
+      const updated = await this.service.moveTask(taskId, { status, position: index })
+      this.reconcile(updated)
+      this.announce(i18n.format('kanbanTaskMoved', {
+        title,
+        column: this.getColumnLabel(status),
+        position: index + 1
+      }))
+      return true
+    } catch (error) {
+      console.error('Error moving task:', error)
+      this.columns = snapshot
+      this.render()
+      this.focusTask(taskId)
+      this.announce(this.translations.kanbanMoveReverted)
+      this.feedback.showError(error, {
+        canRetry: true,
+        retryCallback: () => this.moveTask(taskId, status, index)
+      })
+      return false
+    }
+  }
+
+  reconcile(updatedTasks = []) {
+    updatedTasks.filter(Boolean).forEach(updated => {
+      const location = this.findTask(updated.id)
+      if (location) {
+        Object.assign(location.task, updated)
+      }
+    })
+  }
+}
@@ -0,0 +1,120 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest'
+import KanbanBoard from './KanbanBoard.js'
+import { createPermissionChecker } from '../../../shared/utils/permissions.js'
+
+const createTask = (id, status, position) => ({
+  id,
+  title: `Task ${id}`,
+  status,
+  position,
+  priority: 'medium',
+  tags: []
+})
+
+const createService = () => ({
+  getTasksByStatus: vi.fn().mockResolvedValue({
+    'todo': [createTask('a', 'todo', 0), createTask('b', 'todo', 1)],
+    'in-progress': [createTask('c', 'in-progress', 0)],
+    'in-review': [],
+    'done': []
+  }),
+  moveTask: vi.fn().mockResolvedValue([])
+})
+
+const pressKey = (element, key) => {
+  element.dispatchEvent(new KeyboardEvent('keydown', { key, bubbles: true }))
+}
+
+const columnIds = (container, status) =>
+  [...container.querySelectorAll(`.kanban-column-list[data-status="${status}"] .task-card`)].map(card => card.dataset.taskId)
+
+describe('KanbanBoard Component', () => {
+  let container
+  let service
+  let feedback
+
+  beforeEach(() => {
+    localStorage.clear()
+    container = document.createElement('div')
+    document.body.appendChild(container)
+    service = createService()
+    feedback = { showError: vi.fn() }
+    vi.spyOn(console, 'error').mockImplementation(() => {})
+  })
+
+  it('should render one column per schema status', async () => {
+    await new KanbanBoard(container, { projectId: 'p1', service, feedback }).init()
+
+    const statuses = [...container.querySelectorAll('.kanban-column')].map(column => column.dataset.status)
+    expect(statuses).toEqual(['todo', 'in-progress', 'in-review', 'done'])
+    expect(columnIds(container, 'todo')).toEqual(['a', 'b'])
+    expect(container.querySelector('.kanban-column[data-status="in-review"] .kanban-empty')).toBeTruthy()
+  })
+
+  it('should persist keyboard moves on drop', async () => {
+    await new KanbanBoard(container, { projectId: 'p1', service, feedback }).init()
+
+    pressKey(container.querySelector('[data-task-id="a"]'), ' ')
+    pressKey(container.querySelector('[data-task-id="a"]'), 'ArrowRight')
+    pressKey(container.querySelector('[data-task-id="a"]'), 'ArrowDown')
+    pressKey(container.querySelector('[data-task-id="a"]'), ' ')
+    await vi.waitFor(() => expect(service.moveTask).toHaveBeenCalled())
+
+    expect(service.moveTask).toHaveBeenCalledWith('a', { status: 'in-progress', position: 1 })
+    expect(columnIds(container, 'in-progress')).toEqual(['c', 'a'])
+    await vi.waitFor(() => expect(container.querySelector('.kanban-live-region').textContent).toContain('Task a'))
+  })
+
+  it('should restore the original order when a keyboard move is cancelled', async () => {
+    await new KanbanBoard(container, { projectId: 'p1', service, feedback }).init()
+
+    pressKey(container.querySelector('[data-task-id="a"]'), 'Enter')
+    pressKey(container.querySelector('[data-task-id="a"]'), 'ArrowDown')
+    expect(columnIds(container, 'todo')).toEqual(['b', 'a'])
+
+    pressKey(container.querySelector('[data-task-id="a"]'), 'Escape')
+
+    expect(columnIds(container, 'todo')).toEqual(['a', 'b'])
+    expect(service.moveTask).not.toHaveBeenCalled()
+  })
+
+  it('should roll back an optimistic move and report the error', async () => {
+    service.moveTask.mockRejectedValue(new Error('Network request failed'))
+    const board = await new KanbanBoard(container, { projectId: 'p1', service, feedback }).init()
+
+    const persisted = await board.moveTask('b', 'done', 0)
+
+    expect(persisted).toBe(false)
+    expect(columnIds(container, 'todo')).toEqual(['a', 'b'])
+    expect(columnIds(container, 'done')).toEqual([])
+    expect(feedback.showError).toHaveBeenCalledWith(expect.any(Error), expect.objectContaining({ canRetry: true }))
+  })
+
+  it('should move a task dropped on another column', async () => {
+    await new KanbanBoard(container, { projectId: 'p1', service, feedback }).init()
+
+    const card = container.querySelector('[data-task-id="b"]')
+    card.dispatchEvent(new Event('dragstart', { bubbles: true }))
+    const list = container.querySelector('.kanban-column-list[data-status="done"]')
+    list.dispatchEvent(new Event('drop', { bubbles: true }))
+
+    await vi.waitFor(() => expect(service.moveTask).toHaveBeenCalledWith('b', { status: 'done', position: 0 }))
+    expect(columnIds(container, 'done')).toEqual(['b'])
+  })
+
+  it('should be read-only for roles that cannot update tasks', async () => {
+    const permissions = createPermissionChecker({ role: 'viewer' })
+    await new KanbanBoard(container, { projectId: 'p1', service, feedback, permissions }).init()
+
+    const card = container.querySelector('[data-task-id="a"]')
+    expect(card.draggable).toBe(false)
+    expect(container.querySelector('.kanban-read-only')).toBeTruthy()
+
+    pressKey(card, ' ')
+    pressKey(container.querySelector('[data-task-id="a"]'), 'ArrowRight')
+    pressKey(container.querySelector('[data-task-id="a"]'), ' ')
+
+    expect(columnIds(container, 'todo')).toEqual(['a', 'b'])
+    expect(service.moveTask).not.toHaveBeenCalled()
+  })
+})
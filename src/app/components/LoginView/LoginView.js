@@ -0,0 +1,67 @@
+/**
+ * Login View
+ * Sign-in prompt for unauthenticated visitors; opens the shared auth modal
+ */
+
+import AuthModalVanilla from '../../../shared/components/AuthModalVanilla.js'
+import { invitationService } from '../../../shared/services/invitationService.js'
+import i18n from '../../../shared/utils/i18n.js'
+
+export default class LoginView {
+  constructor(container, options = {}) {
+    this.container = container
+    this.router = options.router
+    this.query = options.query || {}
+    this.translations = i18n.getTranslations()
+    this.authModal = null
+  }
+
+  async init() {
+    this.authModal = new AuthModalVanilla({
+      onAuthenticated: () => this.router.replace(this.getRedirectPath())
+    })
+    this.render()
+  }
+
+  destroy() {
+    if (this.authModal && this.authModal.isOpen) {
+      this.authModal.close()
+    }
+    this.authModal = null
+  }
+
+  /**
+   * Only follow in-app redirects so the query string cannot send users off-site
+   * An invitation left unanswered to sign in takes precedence
+   */
+  getRedirectPath() {
+    const pendingInvitation = invitationService.getPendingInvitation()
+    if (pendingInvitation) {
+      return `/invite/${encodeURIComponent(pendingInvitation)}`
+    }
+
+    const redirect = this.query.redirect
+    return redirect && redirect.startsWith('/') && !redirect.startsWith('//') ? redirect : '/dashboard'
+  }
+
+  render() {
+    const t = this.translations
+
+    this.container.innerHTML = `
+      <div class="min-h-screen bg-gradient-hero flex items-center justify-center p-4">
+        <div class="bg-white dark:bg-negro-azulado rounded-anclora shadow-anclora-hover p-8 text-center max-w-md w-full">
+          <h1 class="text-2xl font-bold text-gray-800 dark:text-gris-claro mb-4">🔐 ${t.appLoginRequired}</h1>
+          <p class="text-gray-500 dark:text-gray-300 mb-8">${t.appLoginRequiredDesc}</p>
+          <button id="login-btn" type="button" class="w-full mb-4 px-6 py-3 rounded-anclora-sm bg-azul-claro text-white font-medium hover:bg-teal-secundario transition-colors">
+            🔑 ${t.appLoginButton}
+          </button>
+          <a href="/" class="text-sm text-azul-claro hover:underline">${t.appBackToLanding}</a>
+        </div>
+      </div>
+    `
+
+    this.container.querySelector('#login-btn').addEventListener('click', () => {
+      this.authModal.open('login')
+    })
+  }
+}
@@ -0,0 +1,29 @@
+/**
+ * Onboarding View
+ * Hosts the onboarding wizard for new users and returns to the dashboard when it finishes
+ */
+
+import OnboardingWizard from '../../../shared/components/OnboardingWizard.js'
+
+export default class OnboardingView {
+  constructor(container, options = {}) {
+    this.container = container
+    this.router = options.router
+    this.wizard = null
+  }
+
+  async init() {
+    this.container.innerHTML = '<div class="min-h-screen bg-gradient-hero"></div>'
+    this.wizard = new OnboardingWizard({
+      onComplete: () => this.router.replace('/dashboard')
+    })
+    await this.wizard.open()
+  }
+
+  destroy() {
+    if (this.wizard && this.wizard.isOpen) {
+      this.wizard.close()
+    }
+    this.wizard = null
+  }
+}
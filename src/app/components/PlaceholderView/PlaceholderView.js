@@ -0,0 +1,26 @@
+/**
+ * Placeholder View
+ * Stand-in for sections that are routed but not built yet
+ */
+
+import i18n from '../../../shared/utils/i18n.js'
+
+export default class PlaceholderView {
+  constructor(container, options = {}) {
+    this.container = container
+    this.titleKey = options.titleKey
+  }
+
+  async init() {
+    const t = i18n.getTranslations()
+
+    this.container.innerHTML = `
+      <section class="bg-white dark:bg-negro-azulado rounded-anclora shadow-anclora p-8 text-center">
+        <h1 class="text-2xl font-bold text-gray-800 dark:text-gris-claro mb-2">${t[this.titleKey] || ''}</h1>
+        <p class="text-gray-500 dark:text-gray-300">${t.appComingSoon}</p>
+      </section>
+    `
+  }
+
+  destroy() {}
+}
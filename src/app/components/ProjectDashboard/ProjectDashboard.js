@@ -0,0 +1,243 @@
+/**
+ * Project Dashboard View
+ * Project header with overview, board, timeline, chat and members tabs; each tab has its own route
+ * The current user's role drives a permission checker that child views use to hide or disable actions
+ */
+
+import KanbanBoard, { KANBAN_COLUMNS } from '../KanbanBoard/KanbanBoard.js'
+import TimelineView from '../TimelineView/TimelineView.js'
+import ChatComponent from '../Chat/ChatComponent.js'
+import ProjectMembers, { ROLE_LABEL_KEYS } from '../ProjectMembers/ProjectMembers.js'
+import { projectService } from '../../../shared/services/projectService.js'
+import { taskService } from '../../../shared/services/taskService.js'
+import { chatService } from '../../../shared/services/chatService.js'
+import { UserFeedbackSystem } from '../../../shared/services/userFeedbackSystem.js'
+import { createPermissionChecker } from '../../../shared/utils/permissions.js'
+import { sanitizeInput } from '../../../shared/utils/validation.js'
+import themeUtil from '../../../shared/utils/theme.js'
+import i18n from '../../../shared/utils/i18n.js'
+
+const PROJECT_TABS = [
+  { id: 'overview', path: '', labelKey: 'appProjectOverview' },
+  { id: 'board', path: '/board', labelKey: 'appProjectBoard' },
+  { id: 'timeline', path: '/timeline', labelKey: 'appProjectTimeline' },
+  { id: 'chat', path: '/chat', labelKey: 'appProjectChat' },
+  { id: 'members', path: '/members', labelKey: 'appProjectMembers' }
+]
+
+export default class ProjectDashboard {
+  constructor(container, options = {}) {
+    this.container = container
+    this.router = options.router
+    this.projectId = options.params?.id
+    this.tab = options.tab || 'overview'
+    this.projects = options.projectService || projectService
+    this.tasks = options.taskService || taskService
+    this.chat = options.chatService || chatService
+    this.feedback = options.feedback || new UserFeedbackSystem()
+    this.translations = i18n.getTranslations()
+    this.project = null
+    this.permissions = createPermissionChecker(null)
+    this.unreadCount = 0
+    this.child = null
+    this.destroyed = false
+
+    // The high-contrast theme drops the project color, other themes bring it back
+    this.handleThemeChange = () => this.applyAccent()
+  }
+
+  async init() {
+    window.addEventListener('themeChanged', this.handleThemeChange)
+    this.container.innerHTML = `<div class="p-6 text-center text-gray-500" aria-busy="true">${this.translations.appLoading}</div>`
+
+    this.project = await this.projects.getProject(this.projectId)
+    if (this.destroyed) return
+
+    if (!this.project) {
+      this.renderNotFound()
+      return
+    }
+
+    this.permissions = createPermissionChecker(await this.getMembership())
+    this.unreadCount = await this.getUnreadCount()
+    if (this.destroyed) return
+
+    this.render()
+    await this.mountTab()
+  }
+
+  /**
+   * Current user's membership; without one every action is hidden and RLS has the final say
+   */
+  async getMembership() {
+    try {
+      return await this.projects.getMembership(this.projectId)
+    } catch (error) {
+      console.warn('Could not load project membership:', error)
+      return null
+    }
+  }
+
+  /**
+   * Unread chat messages for the tab badge; the badge is optional so failures are ignored
+   */
+  async getUnreadCount() {
+    if (this.tab === 'chat') return 0
+
+    try {
+      const counts = await this.chat.getUnreadCounts([this.projectId])
+      return counts[this.projectId] || 0
+    } catch (error) {
+      console.warn('Could not load unread chat count:', error)
+      return 0
+    }
+  }
+
+  destroy() {
+    this.destroyed = true
+    window.removeEventListener('themeChanged', this.handleThemeChange)
+    if (this.child && typeof this.child.destroy === 'function') {
+      this.child.destroy()
+    }
+    this.child = null
+  }
+
+  renderNotFound() {
+    const t = this.translations
+    this.container.innerHTML = `
+      <section class="bg-white dark:bg-negro-azulado rounded-anclora shadow-anclora p-8 text-center">
+        <h1 class="text-xl font-bold text-gray-800 dark:text-gris-claro mb-4">${t.appProjectNotFound}</h1>
+        <a href="${this.router.href('/dashboard')}" data-link class="text-sm text-azul-claro hover:underline">${t.appBackToDashboard}</a>
+      </section>
+    `
+  }
+
+  render() {
+    const t = this.translations
+    const basePath = `/projects/${encodeURIComponent(this.projectId)}`
+
+    this.container.innerHTML = `
+      <section class="project-dashboard space-y-6">
+        <header>
+          <a href="${this.router.href('/dashboard')}" data-link class="text-sm text-azul-claro hover:underline">${t.appBackToDashboard}</a>
+          <div class="mt-2 flex items-center gap-3">
+            <h1 class="text-2xl font-bold text-gray-800 dark:text-gris-claro">${sanitizeInput(this.project.name)}</h1>
+            ${this.permissions.role ? `<span class="project-role text-xs px-2 py-0.5 rounded-full bg-gris-claro text-azul-profundo">${t[ROLE_LABEL_KEYS[this.permissions.role]]}</span>` : ''}
+          </div>
+          ${this.project.description ? `<p class="mt-1 text-gray-500 dark:text-gray-300">${sanitizeInput(this.project.description)}</p>` : ''}
+        </header>
+        <nav class="project-tabs flex gap-2 border-b border-gray-200 dark:border-gray-700" aria-label="${sanitizeInput(this.project.name)}">
+          ${PROJECT_TABS.map(tab => `
+            <a href="${this.router.href(`${basePath}${tab.path}`)}" data-link data-tab="${tab.id}"
+              ${tab.id === this.tab ? 'aria-current="page"' : ''}
+              class="px-4 py-2 -mb-px text-sm font-medium border-b-2 ${tab.id === this.tab ? 'border-theme-project text-theme-project' : 'border-transparent text-gray-500 hover:text-gray-800 dark:hover:text-gris-claro'}">${t[tab.labelKey]}${tab.id === 'chat' && this.unreadCount > 0 ? ` <span class="chat-unread-badge ml-1 text-xs px-1.5 py-0.5 rounded-full bg-red-500 text-white" aria-label="${i18n.format('chatUnread', { count: this.unreadCount })}">${this.unreadCount}</span>` : ''}</a>
+          `).join('')}
+        </nav>
+        <div id="project-tab-content"></div>
+      </section>
+    `
+
+    this.applyAccent()
+  }
+
+  // Tabs and children use the theme-project color, which is the project's own color when it has one
+  applyAccent() {
+    themeUtil.applyProjectAccent(this.container.querySelector('.project-dashboard'), this.project?.color)
+  }
+
+  async mountTab() {
+    const content = this.container.querySelector('#project-tab-content')
+
+    switch (this.tab) {
+      case 'board':
+        this.child = new KanbanBoard(content, {
+          projectId: this.projectId,
+          service: this.tasks,
+          permissions: this.permissions,
+          feedback: this.feedback
+        })
+        await this.child.init()
+        break
+      case 'chat':
+        this.child = new ChatComponent(content, {
+          projectId: this.projectId,
+          service: this.chat,
+          projectService: this.projects,
+          feedback: this.feedback
+        })
+        await this.child.init()
+        break
+      case 'timeline':
+        this.child = new TimelineView(content, {
+          projectId: this.projectId,
+          service: this.tasks,
+          permissions: this.permissions,
+          feedback: this.feedback
+        })
+        await this.child.init()
+        break
+      case 'members':
+        this.child = new ProjectMembers(content, {
+          projectId: this.projectId,
+          projectName: this.project.name,
+          router: this.router,
+          projectService: this.projects,
+          permissions: this.permissions,
+          feedback: this.feedback,
+          onMembershipChange: (change) => this.handleMembershipChange(change)
+        })
+        await this.child.init()
+        break
+      default:
+        await this.renderOverview(content)
+    }
+  }
+
+  /**
+   * Leaving the project ends access to it; a transfer changes the current user's role
+   */
+  handleMembershipChange(change) {
+    if (change === 'left') {
+      this.router.replace('/dashboard')
+      return
+    }
+
+    this.destroy()
+    this.destroyed = false
+    this.init()
+  }
+
+  async renderOverview(content) {
+    const t = this.translations
+
+    try {
+      const tasksByStatus = await this.tasks.getTasksByStatus(this.projectId)
+      if (this.destroyed) return
+
+      const total = Object.values(tasksByStatus).reduce((sum, tasks) => sum + tasks.length, 0)
+      const stats = [
+        { label: t.appTasksTotal, value: total },
+        ...KANBAN_COLUMNS.map(column => ({ label: t[column.labelKey], value: tasksByStatus[column.status].length }))
+      ]
+
+      content.innerHTML = `
+        <dl class="grid gap-4 grid-cols-2 md:grid-cols-5">
+          ${stats.map(stat => `
+            <div class="bg-white dark:bg-negro-azulado rounded-anclora-sm shadow-anclora p-4">
+              <dt class="text-sm text-gray-500 dark:text-gray-300">${stat.label}</dt>
+              <dd class="mt-1 text-2xl font-bold text-gray-800 dark:text-gris-claro">${stat.value}</dd>
+            </div>
+          `).join('')}
+        </dl>
+      `
+    } catch (error) {
+      if (this.destroyed) return
+      content.innerHTML = `<div class="p-6 text-center text-red-600" role="alert">${t.appLoadError}</div>`
+      this.feedback.showError(error, {
+        canRetry: true,
+        retryCallback: () => this.renderOverview(content),
+        targetElement: content
+      })
+    }
+  }
+}
@@ -0,0 +1,308 @@
+/**
+ * Project Members Component
+ * Members with their roles, pending invitations and invite links; new invitations are also emailed
+ * Actions are shown according to the current user's permission checker, mirroring the RLS policies
+ */
+
+import { projectService, MEMBER_STATUS } from '../../../shared/services/projectService.js'
+import { invitationService, INVITATION_TTL_DAYS } from '../../../shared/services/invitationService.js'
+import { emailService } from '../../../shared/services/emailService.js'
+import { authService } from '../../../shared/services/authService.js'
+import { UserFeedbackSystem } from '../../../shared/services/userFeedbackSystem.js'
+import { PERMISSIONS, PROJECT_ROLES, createPermissionChecker, applyPermissions } from '../../../shared/utils/permissions.js'
+import { sanitizeInput } from '../../../shared/utils/validation.js'
+import i18n from '../../../shared/utils/i18n.js'
+
+export const ROLE_LABEL_KEYS = {
+  [PROJECT_ROLES.OWNER]: 'memberRoleOwner',
+  [PROJECT_ROLES.ADMIN]: 'memberRoleAdmin',
+  [PROJECT_ROLES.MEMBER]: 'memberRoleMember',
+  [PROJECT_ROLES.VIEWER]: 'memberRoleViewer'
+}
+
+export default class ProjectMembers {
+  constructor(container, options = {}) {
+    this.container = container
+    this.projectId = options.projectId
+    this.projectName = options.projectName || ''
+    this.router = options.router
+    this.projects = options.projectService || projectService
+    this.invitations = options.invitationService || invitationService
+    this.mailer = options.emailService || emailService
+    this.permissions = options.permissions || createPermissionChecker(null)
+    this.feedback = options.feedback || new UserFeedbackSystem()
+    this.onMembershipChange = options.onMembershipChange || null
+
+    this.members = []
+    this.pendingInvitations = []
+    this.lastInviteLink = null
+    this.inviteEmailFailed = false
+    this.translations = i18n.getTranslations()
+    this.destroyed = false
+
+    this.handleLanguageChange = () => {
+      this.translations = i18n.getTranslations()
+      this.render()
+    }
+  }
+
+  async init() {
+    this.container.innerHTML = `<div class="p-6 text-center text-gray-500" aria-busy="true">${this.translations.appLoading}</div>`
+    window.addEventListener('languageChanged', this.handleLanguageChange)
+
+    try {
+      await this.load()
+      if (this.destroyed) return
+      this.render()
+    } catch (error) {
+      if (this.destroyed) return
+      this.container.innerHTML = `<div class="p-6 text-center text-red-600" role="alert">${this.translations.appLoadError}</div>`
+      this.feedback.showError(error, {
+        canRetry: true,
+        retryCallback: () => this.init(),
+        targetElement: this.container
+      })
+    }
+
+    return this
+  }
+
+  async load() {
+    const canInvite = this.permissions.can(PERMISSIONS.MEMBERS_INVITE)
+    const [members, invitations] = await Promise.all([
+      this.projects.listMembers(this.projectId),
+      canInvite ? this.invitations.listInvitations(this.projectId) : []
+    ])
+    this.members = members
+    this.pendingInvitations = invitations
+  }
+
+  destroy() {
+    this.destroyed = true
+    window.removeEventListener('languageChanged', this.handleLanguageChange)
+  }
+
+  getRoleLabel(role) {
+    return this.translations[ROLE_LABEL_KEYS[role]] || role
+  }
+
+  getInviteLink(token) {
+    return `${window.location.origin}${this.router.href(`/invite/${encodeURIComponent(token)}`)}`
+  }
+
+  render() {
+    const t = this.translations
+    const assignable = this.permissions.assignableRoles
+
+    this.container.innerHTML = `
+      <div class="project-members grid gap-6 lg:grid-cols-2">
+        <section class="bg-white dark:bg-negro-azulado rounded-anclora shadow-anclora p-6">
+          <h2 class="text-lg font-semibold text-gray-800 dark:text-gris-claro mb-4">${t.membersTitle}</h2>
+          <ul class="members-list divide-y divide-gray-200 dark:divide-white/10">
+            ${this.members.map(member => this.renderMember(member)).join('')}
+          </ul>
+        </section>
+        <section class="members-invitations bg-white dark:bg-negro-azulado rounded-anclora shadow-anclora p-6" data-permission="${PERMISSIONS.MEMBERS_INVITE}">
+          <h2 class="text-lg font-semibold text-gray-800 dark:text-gris-claro mb-4">${t.membersInvite}</h2>
+          <form class="members-invite-form flex flex-wrap items-end gap-3 mb-4">
+            <label class="flex-1 min-w-[12rem] flex flex-col gap-1 text-xs text-gray-500 dark:text-white/60">
+              ${t.authEmail}
+              <input name="email" type="email" required placeholder="email@ejemplo.com"
+                class="px-3 py-2 rounded-anclora-sm border border-gray-300 dark:border-white/10 dark:bg-negro-azulado text-sm text-negro-azulado dark:text-white">
+            </label>
+            <label class="flex flex-col gap-1 text-xs text-gray-500 dark:text-white/60">
+              ${t.membersRole}
+              <select name="role" class="px-2 py-2 rounded-anclora-sm border border-gray-300 dark:border-white/10 dark:bg-negro-azulado text-sm text-negro-azulado dark:text-white">
+                ${assignable.map(role => `<option value="${role}" ${role === PROJECT_ROLES.MEMBER ? 'selected' : ''}>${this.getRoleLabel(role)}</option>`).join('')}
+              </select>
+            </label>
+            <button type="submit" class="px-4 py-2 rounded-anclora-sm bg-azul-claro text-white text-sm font-medium hover:bg-teal-secundario transition-colors">${t.membersSendInvite}</button>
+          </form>
+          ${this.lastInviteLink ? `
+            <div class="members-invite-link mb-4 p-3 rounded-anclora-sm bg-gris-claro dark:bg-white/5 text-sm">
+              <p class="text-gray-600 dark:text-gray-300 mb-2">${this.inviteEmailFailed ? t.membersInviteEmailFailed : t.membersInviteLinkReady}</p>
+              <input readonly value="${sanitizeInput(this.lastInviteLink)}" aria-label="${t.membersInviteLink}"
+                class="w-full px-2 py-1 rounded border border-gray-300 dark:border-white/10 dark:bg-negro-azulado text-xs text-negro-azulado dark:text-white">
+            </div>
+          ` : ''}
+          ${this.pendingInvitations.length === 0
+            ? `<p class="text-sm text-gray-500 dark:text-white/60">${t.membersNoInvitations}</p>`
+            : `<ul class="members-invitation-list divide-y divide-gray-200 dark:divide-white/10">
+                ${this.pendingInvitations.map(invitation => this.renderInvitation(invitation)).join('')}
+              </ul>`}
+        </section>
+      </div>
+    `
+
+    applyPermissions(this.container, this.permissions)
+    this.setupEventListeners()
+  }
+
+  renderMember(member) {
+    const t = this.translations
+    const currentUserId = authService.getCurrentUser()?.id
+    const isSelf = member.user_id === currentUserId
+    const canManage = !isSelf && this.permissions.canManage(member.role)
+    const name = member.user?.name || member.user?.email || member.user_id
+    const roleOptions = [...new Set([member.role, ...this.permissions.assignableRoles])]
+
+    return `
+      <li class="member-row flex flex-wrap items-center justify-between gap-3 py-3" data-user-id="${sanitizeInput(member.user_id)}">
+        <div class="min-w-0">
+          <p class="font-medium text-gray-800 dark:text-gris-claro truncate">${sanitizeInput(name)}${isSelf ? ` <span class="text-xs text-gray-500">(${t.membersYou})</span>` : ''}</p>
+          ${member.user?.email ? `<p class="text-xs text-gray-500 dark:text-white/60 truncate">${sanitizeInput(member.user.email)}</p>` : ''}
+        </div>
+        <div class="flex items-center gap-2">
+          ${canManage
+            ? `<select class="member-role-select px-2 py-1 rounded-anclora-sm border border-gray-300 dark:border-white/10 dark:bg-negro-azulado text-sm" aria-label="${i18n.format('membersRoleOf', { name: sanitizeInput(name) })}">
+                ${roleOptions.map(role => `<option value="${role}" ${role === member.role ? 'selected' : ''}>${this.getRoleLabel(role)}</option>`).join('')}
+              </select>`
+            : `<span class="member-role text-xs px-2 py-0.5 rounded-full bg-gris-claro text-azul-profundo">${this.getRoleLabel(member.role)}</span>`}
+          ${!isSelf && member.role !== PROJECT_ROLES.OWNER ? `
+            <button type="button" class="member-transfer text-xs text-azul-claro hover:underline" data-permission="${PERMISSIONS.PROJECT_TRANSFER}">${t.membersTransferOwnership}</button>
+          ` : ''}
+          ${canManage ? `<button type="button" class="member-remove text-xs text-red-600 hover:underline">${t.membersRemove}</button>` : ''}
+          ${isSelf && member.role !== PROJECT_ROLES.OWNER ? `<button type="button" class="member-leave text-xs text-red-600 hover:underline">${t.membersLeave}</button>` : ''}
+        </div>
+      </li>
+    `
+  }
+
+  renderInvitation(invitation) {
+    const t = this.translations
+    const expired = invitation.invite_expires_at && new Date(invitation.invite_expires_at) < new Date()
+    const statusLabel = invitation.status === MEMBER_STATUS.DECLINED
+      ? t.membersInvitationDeclined
+      : expired ? t.membersInvitationExpired : t.membersInvitationPending
+
+    return `
+      <li class="invitation-row flex flex-wrap items-center justify-between gap-3 py-3" data-invitation-id="${sanitizeInput(invitation.id)}">
+        <div class="min-w-0">
+          <p class="font-medium text-gray-800 dark:text-gris-claro truncate">${sanitizeInput(invitation.invited_email)}</p>
+          <p class="text-xs text-gray-500 dark:text-white/60">${this.getRoleLabel(invitation.role)} · ${statusLabel}</p>
+        </div>
+        <div class="flex items-center gap-2">
+          ${invitation.invite_token && !expired ? `<button type="button" class="invitation-copy text-xs text-azul-claro hover:underline" data-token="${sanitizeInput(invitation.invite_token)}">${t.membersCopyLink}</button>` : ''}
+          <button type="button" class="invitation-revoke text-xs text-red-600 hover:underline">${t.membersRevoke}</button>
+        </div>
+      </li>
+    `
+  }
+
+  // Event handling
+
+  setupEventListeners() {
+    const form = this.container.querySelector('.members-invite-form')
+    if (form && !form.closest('[hidden]')) {
+      form.addEventListener('submit', (e) => {
+        e.preventDefault()
+        this.invite(form.elements.email.value, form.elements.role.value)
+      })
+    }
+
+    this.container.querySelectorAll('.member-row').forEach(row => {
+      const userId = row.dataset.userId
+      row.querySelector('.member-role-select')?.addEventListener('change', (e) => this.changeRole(userId, e.target.value))
+      row.querySelector('.member-remove')?.addEventListener('click', () => this.removeMember(userId))
+      row.querySelector('.member-leave')?.addEventListener('click', () => this.leave(userId))
+      row.querySelector('.member-transfer')?.addEventListener('click', () => this.transferOwnership(userId))
+    })
+
+    this.container.querySelectorAll('.invitation-row').forEach(row => {
+      row.querySelector('.invitation-copy')?.addEventListener('click', (e) => this.copyLink(e.target.dataset.token))
+      row.querySelector('.invitation-revoke').addEventListener('click', () => this.revoke(row.dataset.invitationId))
+    })
+  }
+
+  // Actions
+
+  async invite(email, role) {
+    await this.runAction(async () => {
+      const invitation = await this.invitations.createInvitation(this.projectId, email, role)
+      this.lastInviteLink = this.getInviteLink(invitation.invite_token)
+      await this.sendInviteEmail(email.trim().toLowerCase(), role)
+    })
+  }
+
+  // A failed email does not undo the invitation: its link stays on screen to share by hand
+  async sendInviteEmail(email, role) {
+    const inviter = authService.getCurrentUser()
+    try {
+      await this.mailer.send('team-invite', {
+        to: email,
+        data: {
+          inviterName: inviter?.name || inviter?.email,
+          projectName: this.projectName,
+          role,
+          link: this.lastInviteLink,
+          days: INVITATION_TTL_DAYS
+        }
+      })
+      this.inviteEmailFailed = false
+      this.feedback.showSuccess(i18n.format('membersInviteEmailSent', { email }))
+    } catch (error) {
+      console.warn('Error sending invitation email:', error)
+      this.inviteEmailFailed = true
+    }
+  }
+
+  async changeRole(userId, role) {
+    await this.runAction(() => this.projects.updateMemberRole(this.projectId, userId, role))
+  }
+
+  async removeMember(userId) {
+    if (!window.confirm(this.translations.membersRemoveConfirm)) return
+    await this.runAction(() => this.projects.removeMember(this.projectId, userId))
+  }
+
+  async leave(userId) {
+    if (!window.confirm(this.translations.membersLeaveConfirm)) return
+    await this.runAction(() => this.projects.removeMember(this.projectId, userId), 'left')
+  }
+
+  async transferOwnership(userId) {
+    if (!window.confirm(this.translations.membersTransferConfirm)) return
+    await this.runAction(() => this.projects.transferOwnership(this.projectId, userId), 'transferred')
+  }
+
+  async revoke(invitationId) {
+    await this.runAction(() => this.invitations.revokeInvitation(invitationId))
+  }
+
+  async copyLink(token) {
+    const link = this.getInviteLink(token)
+    try {
+      await navigator.clipboard.writeText(link)
+      this.feedback.showSuccess(this.translations.membersLinkCopied)
+    } catch (error) {
+      // Clipboard access can be denied; show the link so it can be copied by hand
+      this.lastInviteLink = link
+      this.render()
+    }
+  }
+
+  /**
+   * Run a membership change, then reload the list (or let the host react when the
+   * current user's own role changed)
+   * @param {Function} action - Async change
+   * @param {string|null} membershipChange - 'left' or 'transferred' when it affects the current user
+   */
+  async runAction(action, membershipChange = null) {
+    try {
+      await action()
+      if (this.destroyed) return
+
+      if (membershipChange && this.onMembershipChange) {
+        this.onMembershipChange(membershipChange)
+        return
+      }
+
+      await this.load()
+      if (this.destroyed) return
+      this.render()
+    } catch (error) {
+      if (this.destroyed) return
+      this.feedback.showError(error, { targetElement: this.container })
+    }
+  }
+}
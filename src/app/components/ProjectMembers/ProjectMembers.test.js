@@ -0,0 +1,116 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest'
+import ProjectMembers from './ProjectMembers.js'
+import { authService } from '../../../shared/services/authService.js'
+import { createPermissionChecker } from '../../../shared/utils/permissions.js'
+
+const members = [
+  { user_id: 'user-1', role: 'owner', user: { id: 'user-1', name: 'Ana', email: 'ana@example.com' } },
+  { user_id: 'user-2', role: 'admin', user: { id: 'user-2', name: 'Luis', email: 'luis@example.com' } },
+  { user_id: 'user-3', role: 'viewer', user: { id: 'user-3', name: 'Marta', email: 'marta@example.com' } }
+]
+
+const createServices = () => ({
+  projectService: {
+    listMembers: vi.fn().mockResolvedValue(members),
+    updateMemberRole: vi.fn().mockResolvedValue({}),
+    removeMember: vi.fn().mockResolvedValue(true),
+    transferOwnership: vi.fn().mockResolvedValue(true)
+  },
+  invitationService: {
+    listInvitations: vi.fn().mockResolvedValue([
+      { id: 'inv-1', invited_email: 'new@example.com', role: 'member', status: 'pending', invite_token: 'abc123' }
+    ]),
+    createInvitation: vi.fn().mockResolvedValue({ id: 'inv-2', invite_token: 'def456' }),
+    revokeInvitation: vi.fn().mockResolvedValue(true)
+  },
+  emailService: {
+    send: vi.fn().mockResolvedValue({ success: true, messageId: 'm1' })
+  }
+})
+
+const router = { href: path => path, replace: vi.fn() }
+
+describe('ProjectMembers Component', () => {
+  let container
+  let services
+  let feedback
+
+  beforeEach(() => {
+    container = document.createElement('div')
+    document.body.appendChild(container)
+    services = createServices()
+    feedback = { showError: vi.fn(), showSuccess: vi.fn() }
+  })
+
+  const mount = (role, userId) => {
+    authService.currentUser = { id: userId, name: members.find(member => member.user_id === userId)?.user.name }
+    return new ProjectMembers(container, {
+      projectId: 'p1',
+      projectName: 'Lanzamiento Q3',
+      router,
+      feedback,
+      permissions: createPermissionChecker({ role }),
+      ...services
+    }).init()
+  }
+
+  it('should let admins manage viewers but not the owner or themselves', async () => {
+    await mount('admin', 'user-2')
+
+    const row = userId => container.querySelector(`.member-row[data-user-id="${userId}"]`)
+    expect(row('user-1').querySelector('.member-role-select')).toBeNull()
+    expect(row('user-2').querySelector('.member-leave')).toBeTruthy()
+    expect(row('user-3').querySelector('.member-transfer').hidden).toBe(true)
+
+    const select = row('user-3').querySelector('.member-role-select')
+    expect([...select.options].map(option => option.value)).toEqual(['viewer', 'member'])
+    select.value = 'member'
+    select.dispatchEvent(new Event('change'))
+
+    await vi.waitFor(() => expect(services.projectService.updateMemberRole).toHaveBeenCalledWith('p1', 'user-3', 'member'))
+  })
+
+  it('should hide invitations from viewers', async () => {
+    await mount('viewer', 'user-3')
+
+    expect(container.querySelector('.members-invitations').hidden).toBe(true)
+    expect(container.querySelector('.member-role-select')).toBeNull()
+    expect(services.invitationService.listInvitations).not.toHaveBeenCalled()
+  })
+
+  const submitInvite = (email, role) => {
+    const form = container.querySelector('.members-invite-form')
+    form.elements.email.value = email
+    form.elements.role.value = role
+    form.dispatchEvent(new Event('submit', { cancelable: true }))
+  }
+
+  it('should create invitations, email them and show their link', async () => {
+    await mount('owner', 'user-1')
+
+    submitInvite('Sara@example.com', 'viewer')
+
+    await vi.waitFor(() => expect(container.querySelector('.members-invite-link input')).toBeTruthy())
+    const link = `${window.location.origin}/invite/def456`
+    expect(services.invitationService.createInvitation).toHaveBeenCalledWith('p1', 'Sara@example.com', 'viewer')
+    expect(container.querySelector('.members-invite-link input').value).toBe(link)
+    expect(services.emailService.send).toHaveBeenCalledWith('team-invite', {
+      to: 'sara@example.com',
+      data: { inviterName: 'Ana', projectName: 'Lanzamiento Q3', role: 'viewer', link, days: 7 }
+    })
+    expect(feedback.showSuccess).toHaveBeenCalledWith('Hemos enviado la invitación a sara@example.com')
+  })
+
+  it('should keep the invitation and its link when the email cannot be sent', async () => {
+    vi.spyOn(console, 'warn').mockImplementation(() => {})
+    services.emailService.send.mockRejectedValue(new Error('El servicio de email respondió 502'))
+    await mount('owner', 'user-1')
+
+    submitInvite('sara@example.com', 'member')
+
+    await vi.waitFor(() => expect(container.querySelector('.members-invite-link')).toBeTruthy())
+    expect(container.querySelector('.members-invite-link p').textContent).toContain('No se pudo enviar el email de invitación')
+    expect(feedback.showError).not.toHaveBeenCalled()
+    console.warn.mockRestore()
+  })
+})
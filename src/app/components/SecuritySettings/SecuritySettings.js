@@ -0,0 +1,338 @@
+/**
+ * Security Settings
+ * Two-step verification (TOTP) for the signed-in user: enrollment with a QR code or setup key,
+ * the one-time display of recovery codes, regenerating them and turning MFA off; and the
+ * active sessions on other devices, which can be signed out from here
+ */
+
+import { authService } from '../../../shared/services/authService.js'
+import { authErrorHandler } from '../../../shared/services/authErrorHandler.js'
+import { sessionService } from '../../../shared/services/sessionService.js'
+import { UserFeedbackSystem } from '../../../shared/services/userFeedbackSystem.js'
+import { sanitizeInput } from '../../../shared/utils/validation.js'
+import { DEVICE_TYPES } from '../../../shared/utils/userAgent.js'
+import i18n from '../../../shared/utils/i18n.js'
+
+const DEVICE_LABELS = {
+  [DEVICE_TYPES.DESKTOP]: 'securityDeviceDesktop',
+  [DEVICE_TYPES.MOBILE]: 'securityDeviceMobile',
+  [DEVICE_TYPES.TABLET]: 'securityDeviceTablet'
+}
+
+export default class SecuritySettings {
+  constructor(container, options = {}) {
+    this.container = container
+    this.router = options.router
+    this.auth = options.authService || authService
+    this.sessionService = options.sessionService || sessionService
+    this.feedback = options.feedback || new UserFeedbackSystem()
+    this.translations = i18n.getTranslations()
+
+    this.status = null
+    this.enrollment = null
+    // Shown once, right after they are generated
+    this.recoveryCodes = null
+    // null while loading or when the list could not be loaded
+    this.sessions = null
+    this.busy = false
+    this.destroyed = false
+
+    this.handleLanguageChange = () => {
+      this.translations = i18n.getTranslations()
+      if (this.status) this.render()
+    }
+  }
+
+  async init() {
+    window.addEventListener('languageChanged', this.handleLanguageChange)
+    this.container.innerHTML = `<div class="p-6 text-center text-gray-500" aria-busy="true">${this.translations.appLoading}</div>`
+    await this.load()
+  }
+
+  destroy() {
+    this.destroyed = true
+    window.removeEventListener('languageChanged', this.handleLanguageChange)
+  }
+
+  async load() {
+    try {
+      const [status, sessions] = await Promise.all([
+        this.auth.getMfaStatus(),
+        // The sessions card reports its own failure; it must not hide the MFA settings
+        this.sessionService.listSessions().catch(error => {
+          console.warn('Error loading active sessions:', error)
+          return null
+        })
+      ])
+      if (this.destroyed) return
+      this.status = status
+      this.sessions = sessions
+      this.render()
+    } catch (error) {
+      if (this.destroyed) return
+      this.container.innerHTML = `<div class="p-6 text-center text-red-600" role="alert">${this.translations.appLoadError}</div>`
+      this.showError(error, () => this.load())
+    }
+  }
+
+  render() {
+    const t = this.translations
+
+    this.container.innerHTML = `
+      <section class="security-settings max-w-2xl space-y-6">
+        <h1 class="text-2xl font-bold text-gray-800 dark:text-gris-claro">${t.securityTitle}</h1>
+        <div class="mfa-card bg-white dark:bg-negro-azulado rounded-anclora shadow-anclora p-6 space-y-4">
+          <div class="flex items-center justify-between gap-4">
+            <h2 class="text-lg font-semibold text-gray-800 dark:text-gris-claro">${t.securityMfaTitle}</h2>
+            <span class="mfa-state px-3 py-1 rounded-full text-xs font-medium ${this.status.enabled ? 'bg-teal-secundario/15 text-teal-secundario' : 'bg-gris-claro dark:bg-white/10 text-gray-600 dark:text-gray-300'}">
+              ${this.status.enabled ? t.securityMfaOn : t.securityMfaOff}
+            </span>
+          </div>
+          ${this.recoveryCodes ? this.renderRecoveryCodes() : this.enrollment ? this.renderEnrollment() : this.renderStatus()}
+        </div>
+        ${this.renderSessions()}
+      </section>
+    `
+
+    this.attachEvents()
+  }
+
+  renderStatus() {
+    const t = this.translations
+    const disabled = this.busy ? 'disabled' : ''
+
+    if (!this.status.enabled) {
+      return `
+        <p class="text-sm text-gray-600 dark:text-gray-300">${t.securityMfaIntro}</p>
+        <button type="button" data-action="enroll" ${disabled} class="px-4 py-2 rounded-anclora-sm bg-azul-claro text-white font-medium hover:bg-teal-secundario disabled:opacity-50">${t.securityMfaEnable}</button>
+      `
+    }
+
+    const factor = this.status.factors[0]
+    return `
+      <p class="text-sm text-gray-600 dark:text-gray-300">
+        ${i18n.format('securityMfaEnabledSince', { name: sanitizeInput(factor.friendlyName || t.securityMfaAuthenticator), date: this.formatDate(factor.createdAt) })}
+      </p>
+      <p class="mfa-remaining text-sm ${this.status.recoveryCodesRemaining <= 2 ? 'text-red-600' : 'text-gray-600 dark:text-gray-300'}">
+        ${i18n.format('securityRecoveryRemaining', { count: this.status.recoveryCodesRemaining })}
+      </p>
+      <div class="flex flex-wrap gap-2">
+        <button type="button" data-action="regenerate" ${disabled} class="px-4 py-2 rounded-anclora-sm bg-gris-claro dark:bg-white/10 text-negro-azulado dark:text-gris-claro font-medium hover:bg-gray-200 disabled:opacity-50">${t.securityRecoveryRegenerate}</button>
+        <button type="button" data-action="disable" data-factor-id="${sanitizeInput(factor.id)}" ${disabled} class="px-4 py-2 rounded-anclora-sm border border-red-300 text-red-600 font-medium hover:bg-red-50 dark:hover:bg-red-900/20 disabled:opacity-50">${t.securityMfaDisable}</button>
+      </div>
+    `
+  }
+
+  renderEnrollment() {
+    const t = this.translations
+    const { secret, uri, qrCode } = this.enrollment
+
+    return `
+      <ol class="mfa-enrollment list-decimal pl-5 space-y-4 text-sm text-gray-700 dark:text-gray-300">
+        <li>
+          <p>${qrCode ? t.securityEnrollScan : t.securityEnrollManual}</p>
+          ${qrCode ? `<img class="mfa-qr mt-3 w-44 h-44 bg-white p-2 rounded-anclora-sm" alt="${t.securityEnrollQrAlt}">` : ''}
+          <p class="mt-3">${t.securityEnrollKey}</p>
+          <code class="mfa-secret block mt-1 px-3 py-2 rounded-anclora-sm bg-gris-claro dark:bg-white/10 font-mono tracking-wider break-all">${sanitizeInput(this.formatSecret(secret))}</code>
+          <a class="mfa-uri inline-block mt-2 text-azul-profundo dark:text-azul-claro hover:underline" href="${sanitizeInput(uri)}">${t.securityEnrollOpenApp}</a>
+        </li>
+        <li>
+          <form class="mfa-confirm-form space-y-3" novalidate>
+            <label for="mfa-enroll-code" class="block">${t.securityEnrollConfirm}</label>
+            <input id="mfa-enroll-code" name="code" type="text" inputmode="numeric" autocomplete="one-time-code" maxlength="7" placeholder="000000" required
+              class="w-40 px-3 py-2 text-center tracking-widest rounded-anclora-sm border border-gray-300 dark:border-gray-600 dark:bg-negro-azulado">
+            <div class="flex flex-wrap gap-2">
+              <button type="submit" ${this.busy ? 'disabled' : ''} class="px-4 py-2 rounded-anclora-sm bg-azul-claro text-white font-medium hover:bg-teal-secundario disabled:opacity-50">${t.securityEnrollVerify}</button>
+              <button type="button" data-action="cancel-enroll" class="px-4 py-2 rounded-anclora-sm bg-gris-claro dark:bg-white/10 text-negro-azulado dark:text-gris-claro font-medium hover:bg-gray-200">${t.securityCancel}</button>
+            </div>
+          </form>
+        </li>
+      </ol>
+    `
+  }
+
+  renderRecoveryCodes() {
+    const t = this.translations
+
+    return `
+      <div class="mfa-recovery space-y-3" role="region" aria-label="${t.securityRecoveryTitle}">
+        <h3 class="font-semibold text-gray-800 dark:text-gris-claro">${t.securityRecoveryTitle}</h3>
+        <p class="text-sm text-gray-600 dark:text-gray-300">${t.securityRecoveryIntro}</p>
+        <ol class="mfa-recovery-codes grid grid-cols-2 gap-2 font-mono text-sm">
+          ${this.recoveryCodes.map(code => `<li class="px-3 py-1 rounded-anclora-sm bg-gris-claro dark:bg-white/10">${sanitizeInput(code)}</li>`).join('')}
+        </ol>
+        <div class="flex flex-wrap gap-2">
+          <button type="button" data-action="copy-codes" class="px-4 py-2 rounded-anclora-sm bg-gris-claro dark:bg-white/10 text-negro-azulado dark:text-gris-claro font-medium hover:bg-gray-200">${t.securityRecoveryCopy}</button>
+          <button type="button" data-action="codes-saved" class="px-4 py-2 rounded-anclora-sm bg-azul-claro text-white font-medium hover:bg-teal-secundario">${t.securityRecoverySaved}</button>
+        </div>
+      </div>
+    `
+  }
+
+  renderSessions() {
+    const t = this.translations
+    const disabled = this.busy ? 'disabled' : ''
+
+    if (!this.sessions) {
+      return `
+        <div class="sessions-card bg-white dark:bg-negro-azulado rounded-anclora shadow-anclora p-6 space-y-4">
+          <h2 class="text-lg font-semibold text-gray-800 dark:text-gris-claro">${t.securitySessionsTitle}</h2>
+          <p class="text-sm text-red-600" role="alert">${t.appLoadError}</p>
+        </div>
+      `
+    }
+
+    const hasOthers = this.sessions.some(session => !session.current)
+    const rows = this.sessions.map(session => `
+      <li class="session-item flex items-center justify-between gap-4 py-3" data-session-id="${sanitizeInput(session.id)}">
+        <div>
+          <p class="font-medium text-gray-800 dark:text-gris-claro">
+            ${sanitizeInput(this.describeSession(session))}
+            ${session.current ? `<span class="session-current ml-2 px-2 py-0.5 rounded-full text-xs font-medium bg-teal-secundario/15 text-teal-secundario">${t.securitySessionCurrent}</span>` : ''}
+          </p>
+          <p class="text-sm text-gray-500 dark:text-gray-400">
+            ${t[DEVICE_LABELS[session.deviceType]]}${session.ip ? ` · ${sanitizeInput(session.ip)}` : ''}
+            · ${session.current ? t.securitySessionActiveNow : i18n.format('securitySessionLastActive', { date: this.formatDateTime(session.lastActiveAt) })}
+          </p>
+        </div>
+        ${session.current ? '' : `<button type="button" data-action="revoke-session" data-session-id="${sanitizeInput(session.id)}" ${disabled} class="px-3 py-1.5 rounded-anclora-sm border border-red-300 text-red-600 text-sm font-medium hover:bg-red-50 dark:hover:bg-red-900/20 disabled:opacity-50">${t.securitySessionRevoke}</button>`}
+      </li>
+    `).join('')
+
+    return `
+      <div class="sessions-card bg-white dark:bg-negro-azulado rounded-anclora shadow-anclora p-6 space-y-4">
+        <div class="flex items-center justify-between gap-4">
+          <h2 class="text-lg font-semibold text-gray-800 dark:text-gris-claro">${t.securitySessionsTitle}</h2>
+          ${hasOthers ? `<button type="button" data-action="revoke-other-sessions" ${disabled} class="px-4 py-2 rounded-anclora-sm bg-gris-claro dark:bg-white/10 text-negro-azulado dark:text-gris-claro text-sm font-medium hover:bg-gray-200 disabled:opacity-50">${t.securitySessionsRevokeOthers}</button>` : ''}
+        </div>
+        <p class="text-sm text-gray-600 dark:text-gray-300">${t.securitySessionsIntro}</p>
+        <ul class="sessions-list divide-y divide-gray-200 dark:divide-gray-700">${rows}</ul>
+      </div>
+    `
+  }
+
+  attachEvents() {
+    // Supabase returns the QR code as an SVG data URL; set it as a property rather than markup
+    const qr = this.container.querySelector('.mfa-qr')
+    if (qr) qr.src = this.enrollment.qrCode
+
+    this.container.querySelectorAll('[data-action]').forEach(button => {
+      button.addEventListener('click', () => this.handleAction(button.dataset.action, button.dataset))
+    })
+
+    this.container.querySelector('.mfa-confirm-form')?.addEventListener('submit', e => {
+      e.preventDefault()
+      this.confirmEnrollment(new FormData(e.target).get('code'))
+    })
+  }
+
+  async handleAction(action, data = {}) {
+    if (action === 'cancel-enroll') {
+      this.enrollment = null
+      this.render()
+    } else if (action === 'codes-saved') {
+      this.recoveryCodes = null
+      this.render()
+    } else if (action === 'copy-codes') {
+      await navigator.clipboard?.writeText(this.recoveryCodes.join('\n'))
+    } else if (action === 'enroll') {
+      await this.run(async () => {
+        this.enrollment = await this.auth.enrollMfa(this.translations.securityMfaAuthenticator)
+      })
+    } else if (action === 'regenerate') {
+      if (!window.confirm(this.translations.securityRecoveryRegenerateConfirm)) return
+      await this.run(async () => {
+        this.recoveryCodes = await this.auth.regenerateRecoveryCodes()
+        this.status = await this.auth.getMfaStatus()
+      })
+    } else if (action === 'revoke-session') {
+      await this.run(async () => {
+        await this.sessionService.revokeSession(data.sessionId)
+        this.sessions = await this.sessionService.listSessions()
+      })
+    } else if (action === 'revoke-other-sessions') {
+      if (!window.confirm(this.translations.securitySessionsRevokeOthersConfirm)) return
+      await this.run(async () => {
+        await this.sessionService.revokeOtherSessions()
+        this.sessions = await this.sessionService.listSessions()
+      })
+    } else if (action === 'disable') {
+      if (!window.confirm(this.translations.securityMfaDisableConfirm)) return
+      await this.run(async () => {
+        await this.auth.disableMfa(data.factorId)
+        this.status = await this.auth.getMfaStatus()
+      })
+    }
+
+    if (action === 'enroll' && this.enrollment) {
+      this.container.querySelector('#mfa-enroll-code')?.focus()
+    }
+  }
+
+  async confirmEnrollment(code) {
+    if (!String(code || '').trim()) {
+      this.container.querySelector('#mfa-enroll-code')?.focus()
+      return
+    }
+
+    await this.run(async () => {
+      this.recoveryCodes = await this.auth.confirmMfaEnrollment(this.enrollment.factorId, code)
+      this.enrollment = null
+      this.status = await this.auth.getMfaStatus()
+    })
+  }
+
+  /**
+   * Run a change with the buttons disabled, re-rendering afterwards
+   */
+  async run(change) {
+    if (this.busy) return
+    this.busy = true
+    this.render()
+
+    try {
+      await change()
+    } catch (error) {
+      if (!this.destroyed) {
+        this.busy = false
+        this.render()
+        this.showError(error)
+      }
+      return
+    }
+
+    this.busy = false
+    if (!this.destroyed) this.render()
+  }
+
+  showError(error, retryCallback = null) {
+    this.feedback.showError(authErrorHandler.classifyError(error), {
+      canRetry: !!retryCallback,
+      retryCallback,
+      targetElement: this.container.querySelector('.mfa-card') || this.container
+    })
+  }
+
+  formatSecret(secret) {
+    return secret.match(/.{1,4}/g).join(' ')
+  }
+
+  describeSession(session) {
+    const t = this.translations
+    return i18n.format('securitySessionDevice', {
+      browser: session.browser || t.securitySessionUnknownBrowser,
+      os: session.os || t.securitySessionUnknownOs
+    })
+  }
+
+  formatDateTime(value) {
+    const locale = i18n.getLocale()
+    return new Date(value).toLocaleString(locale, { day: 'numeric', month: 'short', hour: '2-digit', minute: '2-digit' })
+  }
+
+  formatDate(value) {
+    if (!value) return ''
+    const locale = i18n.getLocale()
+    return new Date(value).toLocaleDateString(locale, { day: 'numeric', month: 'long', year: 'numeric' })
+  }
+}
@@ -0,0 +1,128 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest'
+import SecuritySettings from './SecuritySettings.js'
+
+const enabledStatus = {
+  enabled: true,
+  factors: [{ id: 'factor-1', friendlyName: 'Phone', createdAt: '2026-10-01T09:00:00Z' }],
+  recoveryCodesRemaining: 2
+}
+
+const createAuth = () => ({
+  getMfaStatus: vi.fn().mockResolvedValue({ enabled: false, factors: [], recoveryCodesRemaining: 0 }),
+  enrollMfa: vi.fn().mockResolvedValue({
+    factorId: 'factor-1',
+    secret: 'JBSWY3DPEHPK3PXPJBSWY3DP',
+    uri: 'otpauth://totp/Anclora%20Kairon:ana%40example.com?secret=JBSWY3DPEHPK3PXPJBSWY3DP',
+    qrCode: 'data:image/svg+xml;utf-8,<svg></svg>'
+  }),
+  confirmMfaEnrollment: vi.fn().mockResolvedValue(['abcde-fghij', 'klmno-pqrst']),
+  regenerateRecoveryCodes: vi.fn(),
+  disableMfa: vi.fn().mockResolvedValue(true)
+})
+
+const createSessions = () => ({
+  listSessions: vi.fn().mockResolvedValue([
+    { id: 's1', browser: 'Chrome', os: 'macOS', deviceType: 'desktop', ip: null, lastActiveAt: '2026-10-19T09:00:00Z', current: true },
+    { id: 's2', browser: 'Safari', os: 'iOS', deviceType: 'mobile', ip: '203.0.113.7', lastActiveAt: '2026-10-18T20:00:00Z', current: false }
+  ]),
+  revokeSession: vi.fn().mockResolvedValue(true),
+  revokeOtherSessions: vi.fn().mockResolvedValue(true)
+})
+
+describe('SecuritySettings Component', () => {
+  let container
+  let auth
+  let sessions
+  let feedback
+
+  beforeEach(() => {
+    container = document.createElement('div')
+    document.body.appendChild(container)
+    auth = createAuth()
+    sessions = createSessions()
+    feedback = { showError: vi.fn(), showSuccess: vi.fn() }
+  })
+
+  afterEach(() => {
+    vi.restoreAllMocks()
+    container.remove()
+  })
+
+  const mount = () => {
+    const view = new SecuritySettings(container, { authService: auth, sessionService: sessions, feedback })
+    return view.init().then(() => view)
+  }
+
+  it('should enroll with the QR code and show the recovery codes once', async () => {
+    await mount()
+    container.querySelector('[data-action="enroll"]').click()
+
+    await vi.waitFor(() => expect(container.querySelector('.mfa-qr')).toBeTruthy())
+    expect(container.querySelector('.mfa-qr').src).toContain('data:image/svg+xml')
+    expect(container.querySelector('.mfa-secret').textContent).toBe('JBSW Y3DP EHPK 3PXP JBSW Y3DP')
+
+    auth.getMfaStatus.mockResolvedValue(enabledStatus)
+    container.querySelector('#mfa-enroll-code').value = '123456'
+    container.querySelector('.mfa-confirm-form').dispatchEvent(new Event('submit', { cancelable: true }))
+
+    await vi.waitFor(() => expect(container.querySelectorAll('.mfa-recovery-codes li')).toHaveLength(2))
+    expect(auth.confirmMfaEnrollment).toHaveBeenCalledWith('factor-1', '123456')
+
+    container.querySelector('[data-action="codes-saved"]').click()
+    expect(container.querySelector('.mfa-recovery-codes')).toBeNull()
+    expect(container.querySelector('.mfa-remaining').classList.contains('text-red-600')).toBe(true)
+  })
+
+  it('should only turn MFA off once the user confirms', async () => {
+    auth.getMfaStatus.mockResolvedValue(enabledStatus)
+    await mount()
+    const confirm = vi.spyOn(window, 'confirm').mockReturnValueOnce(false).mockReturnValueOnce(true)
+
+    container.querySelector('[data-action="disable"]').click()
+    expect(confirm).toHaveBeenCalledTimes(1)
+    expect(auth.disableMfa).not.toHaveBeenCalled()
+
+    auth.getMfaStatus.mockResolvedValue({ enabled: false, factors: [], recoveryCodesRemaining: 0 })
+    container.querySelector('[data-action="disable"]').click()
+
+    await vi.waitFor(() => expect(container.querySelector('[data-action="enroll"]')).toBeTruthy())
+    expect(auth.disableMfa).toHaveBeenCalledWith('factor-1')
+  })
+
+  it('should report failed changes through the feedback system', async () => {
+    auth.enrollMfa.mockRejectedValue({ code: 'mfa_totp_enroll_not_enabled', message: 'MFA enroll is disabled for TOTP' })
+    await mount()
+
+    container.querySelector('[data-action="enroll"]').click()
+
+    await vi.waitFor(() => expect(feedback.showError).toHaveBeenCalledWith('MFA_ENROLLMENT_FAILED', expect.any(Object)))
+    expect(container.querySelector('[data-action="enroll"]').disabled).toBe(false)
+  })
+
+  it('should list the active sessions and sign out another device', async () => {
+    await mount()
+
+    const items = container.querySelectorAll('.session-item')
+    expect(items).toHaveLength(2)
+    expect(items[0].querySelector('.session-current')).toBeTruthy()
+    expect(items[0].querySelector('[data-action="revoke-session"]')).toBeNull()
+    expect(items[1].textContent).toContain('Safari')
+    expect(items[1].textContent).toContain('203.0.113.7')
+
+    sessions.listSessions.mockResolvedValue([{ id: 's1', browser: 'Chrome', os: 'macOS', deviceType: 'desktop', ip: null, lastActiveAt: '2026-10-19T09:00:00Z', current: true }])
+    items[1].querySelector('[data-action="revoke-session"]').click()
+
+    await vi.waitFor(() => expect(container.querySelectorAll('.session-item')).toHaveLength(1))
+    expect(sessions.revokeSession).toHaveBeenCalledWith('s2')
+    expect(container.querySelector('[data-action="revoke-other-sessions"]')).toBeNull()
+  })
+
+  it('should keep the MFA settings when the sessions cannot be loaded', async () => {
+    vi.spyOn(console, 'warn').mockImplementation(() => {})
+    sessions.listSessions.mockRejectedValue(new Error('permission denied for function list_user_sessions'))
+    await mount()
+
+    expect(container.querySelector('[data-action="enroll"]')).toBeTruthy()
+    expect(container.querySelector('.sessions-card [role="alert"]')).toBeTruthy()
+  })
+})
@@ -0,0 +1,233 @@
+/**
+ * Sync Status
+ * Shows how many changes made offline are waiting to be sent, and lets the user resolve the
+ * ones the offline outbox could not replay: rows changed or deleted on the server in the
+ * meantime, and changes the server rejected
+ */
+
+import {
+  offlineOutbox,
+  OUTBOX_ENTITIES,
+  OUTBOX_ACTIONS,
+  OUTBOX_STATUS,
+  CONFLICT_TYPES,
+  CONFLICT_RESOLUTIONS
+} from '../../../shared/services/offlineOutbox.js'
+import { UserFeedbackSystem } from '../../../shared/services/userFeedbackSystem.js'
+import { sanitizeInput } from '../../../shared/utils/validation.js'
+import i18n from '../../../shared/utils/i18n.js'
+
+const ENTITY_KEYS = {
+  [OUTBOX_ENTITIES.TASK]: 'syncEntityTask',
+  [OUTBOX_ENTITIES.PROJECT]: 'syncEntityProject',
+  [OUTBOX_ENTITIES.CHAT_MESSAGE]: 'syncEntityMessage'
+}
+
+export default class SyncStatus {
+  constructor(container, options = {}) {
+    this.container = container
+    this.outbox = options.outbox || offlineOutbox
+    this.feedback = options.feedback || new UserFeedbackSystem()
+    this.translations = i18n.getTranslations()
+
+    this.isOpen = false
+    this.busy = false
+    this.destroyed = false
+    this.unsubscribe = null
+
+    this.handleLanguageChange = () => {
+      this.translations = i18n.getTranslations()
+      this.render()
+    }
+  }
+
+  init() {
+    window.addEventListener('languageChanged', this.handleLanguageChange)
+    this.unsubscribe = this.outbox.addEventListener('change', () => {
+      if (!this.destroyed) this.render()
+    })
+    this.render()
+    // Changes queued before a reload are sent as soon as the app is back online
+    this.ready = this.outbox.load().then(() => {
+      if (this.destroyed) return
+      this.render()
+      if (this.outbox.getSummary().pending > 0) return this.sync()
+    })
+    return this
+  }
+
+  destroy() {
+    this.destroyed = true
+    window.removeEventListener('languageChanged', this.handleLanguageChange)
+    if (this.unsubscribe) this.unsubscribe()
+    this.container.innerHTML = ''
+  }
+
+  async sync() {
+    if (this.outbox.shouldQueue()) return
+    try {
+      await this.outbox.replay()
+    } catch (error) {
+      this.feedback.showError(error, { targetElement: this.container })
+    }
+  }
+
+  toggle(open = !this.isOpen) {
+    this.isOpen = open
+    this.render()
+    if (open) {
+      this.container.querySelector('.sync-panel')?.focus()
+    } else {
+      this.container.querySelector('.sync-review')?.focus()
+    }
+  }
+
+  render() {
+    const t = this.translations
+    const { pending, conflicts, failed } = this.outbox.getSummary()
+    const attention = conflicts + failed
+
+    if (attention === 0) this.isOpen = false
+    if (pending === 0 && attention === 0) {
+      this.container.innerHTML = ''
+      return
+    }
+
+    this.container.innerHTML = `
+      <div class="sync-status fixed bottom-4 left-4 z-40 flex flex-col items-start gap-3">
+        ${this.isOpen && attention > 0 ? this.renderPanel() : ''}
+        <div class="flex items-center gap-2 px-4 py-2 rounded-full bg-white dark:bg-negro-azulado shadow-anclora text-sm" role="status">
+          ${pending > 0 ? `
+            <span class="sync-pending text-gray-700 dark:text-gris-claro">${i18n.format('syncPending', { count: pending })}</span>
+            ${this.outbox.shouldQueue() ? '' : `<button type="button" class="sync-now text-azul-profundo dark:text-azul-claro font-medium hover:underline">${t.syncNow}</button>`}
+          ` : ''}
+          ${attention > 0 ? `
+            <button type="button" class="sync-review px-3 py-1 rounded-full bg-ambar-suave text-negro-azulado font-medium hover:opacity-90"
+              aria-expanded="${this.isOpen}" aria-controls="sync-panel">${i18n.format('syncReview', { count: attention })}</button>
+          ` : ''}
+        </div>
+      </div>
+    `
+
+    this.attachEvents()
+  }
+
+  renderPanel() {
+    const t = this.translations
+
+    return `
+      <section id="sync-panel" class="sync-panel w-80 sm:w-[28rem] max-h-[70vh] overflow-y-auto bg-white dark:bg-negro-azulado rounded-anclora shadow-anclora-hover border border-gray-200 dark:border-white/10" tabindex="-1" aria-label="${t.syncTitle}">
+        <header class="flex items-center justify-between px-4 py-3 bg-gradient-hero text-white rounded-t-anclora">
+          <h2 class="font-semibold">${t.syncTitle}</h2>
+          <button type="button" class="sync-close px-2 rounded-anclora-sm hover:bg-white/15" aria-label="${t.syncClose}">✕</button>
+        </header>
+        <p class="px-4 pt-3 text-sm text-gray-600 dark:text-gray-300">${t.syncIntro}</p>
+        <div class="p-4 space-y-4">
+          ${this.outbox.getConflicts().map(entry => this.renderEntry(entry)).join('')}
+        </div>
+      </section>
+    `
+  }
+
+  renderEntry(entry) {
+    const t = this.translations
+    const disabled = this.busy ? 'disabled' : ''
+    const button = (action, labelKey, primary = false) => `
+      <button type="button" data-action="${action}" ${disabled}
+        class="px-3 py-1 rounded-anclora-sm text-sm font-medium disabled:opacity-50 ${primary ? 'bg-azul-claro text-white hover:bg-teal-secundario' : 'bg-gris-claro dark:bg-white/10 text-negro-azulado dark:text-gris-claro hover:bg-gray-200'}">${t[labelKey]}</button>
+    `
+
+    let message
+    let actions
+    if (entry.status === OUTBOX_STATUS.FAILED) {
+      message = i18n.format('syncFailed', { error: sanitizeInput(entry.error || '') })
+      actions = button('retry', 'syncRetry', true) + button('discard', 'syncDiscard')
+    } else if (entry.conflict.type === CONFLICT_TYPES.DELETED) {
+      message = t.syncConflictDeleted
+      actions = button('discard', 'syncDiscard', true)
+    } else {
+      message = t.syncConflictModified
+      actions = button('keep-local', 'syncKeepMine', true) + button('keep-remote', 'syncKeepServer')
+    }
+
+    return `
+      <article class="sync-entry border border-gray-200 dark:border-white/10 rounded-anclora-sm p-3 text-sm" data-entry-id="${sanitizeInput(entry.id)}">
+        <h3 class="font-semibold text-gray-800 dark:text-gris-claro">
+          ${t[ENTITY_KEYS[entry.entity]] || sanitizeInput(entry.entity)} · ${entry.label ? sanitizeInput(entry.label) : t.syncUntitled}
+        </h3>
+        <p class="sync-entry-message text-gray-600 dark:text-gray-300 mt-1">${message}</p>
+        ${entry.action === OUTBOX_ACTIONS.DELETE ? `<p class="mt-1 text-gray-600 dark:text-gray-300">${t.syncYourDelete}</p>` : ''}
+        ${entry.conflict?.type === CONFLICT_TYPES.MODIFIED && entry.action === OUTBOX_ACTIONS.UPDATE ? this.renderDiff(entry) : ''}
+        <div class="flex flex-wrap gap-2 mt-3">${actions}</div>
+      </article>
+    `
+  }
+
+  renderDiff(entry) {
+    const t = this.translations
+    const remote = entry.conflict.remote || {}
+
+    return `
+      <table class="sync-diff w-full mt-2 text-xs">
+        <thead>
+          <tr class="text-left text-gray-500 dark:text-gray-400">
+            <th scope="col" class="py-1 font-medium">${t.syncField}</th>
+            <th scope="col" class="py-1 font-medium">${t.syncYours}</th>
+            <th scope="col" class="py-1 font-medium">${t.syncServer}</th>
+          </tr>
+        </thead>
+        <tbody>
+          ${Object.entries(entry.values || {}).map(([field, value]) => `
+            <tr class="border-t border-gray-100 dark:border-white/10 ${this.formatValue(value) === this.formatValue(remote[field]) ? '' : 'font-semibold'}">
+              <td class="py-1"><code>${sanitizeInput(field)}</code></td>
+              <td class="py-1">${sanitizeInput(this.formatValue(value))}</td>
+              <td class="py-1">${sanitizeInput(this.formatValue(remote[field]))}</td>
+            </tr>
+          `).join('')}
+        </tbody>
+      </table>
+    `
+  }
+
+  formatValue(value) {
+    if (value === null || value === undefined || value === '') return '—'
+    if (Array.isArray(value)) return value.length > 0 ? value.join(', ') : '—'
+    if (typeof value === 'object') return JSON.stringify(value)
+    return String(value)
+  }
+
+  attachEvents() {
+    this.container.querySelector('.sync-now')?.addEventListener('click', () => this.sync())
+    this.container.querySelector('.sync-review')?.addEventListener('click', () => this.toggle())
+    this.container.querySelector('.sync-close')?.addEventListener('click', () => this.toggle(false))
+
+    this.container.querySelectorAll('.sync-entry [data-action]').forEach(button => {
+      button.addEventListener('click', () => {
+        this.handleAction(button.closest('.sync-entry').dataset.entryId, button.dataset.action)
+      })
+    })
+  }
+
+  async handleAction(entryId, action) {
+    if (this.busy) return
+    this.busy = true
+    this.render()
+
+    try {
+      if (action === 'keep-local') {
+        await this.outbox.resolveConflict(entryId, CONFLICT_RESOLUTIONS.KEEP_LOCAL)
+      } else if (action === 'keep-remote') {
+        await this.outbox.resolveConflict(entryId, CONFLICT_RESOLUTIONS.KEEP_REMOTE)
+      } else if (action === 'retry') {
+        await this.outbox.retry(entryId)
+      } else if (action === 'discard') {
+        await this.outbox.discard(entryId)
+      }
+    } catch (error) {
+      this.feedback.showError(error, { targetElement: this.container })
+    } finally {
+      this.busy = false
+      if (!this.destroyed) this.render()
+    }
+  }
+}
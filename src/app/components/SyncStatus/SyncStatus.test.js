@@ -0,0 +1,79 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest'
+import SyncStatus from './SyncStatus.js'
+import {
+  OfflineOutbox,
+  LocalStorageOutboxStorage,
+  OUTBOX_ENTITIES,
+  OUTBOX_ACTIONS,
+  OUTBOX_SOURCES
+} from '../../../shared/services/offlineOutbox.js'
+
+const V1 = '2026-10-19T10:00:00.000Z'
+const V2 = '2026-10-19T11:00:00.000Z'
+
+describe('SyncStatus Component', () => {
+  let container
+  let outbox
+  let remote
+  let handler
+
+  beforeEach(async () => {
+    localStorage.clear()
+    container = document.createElement('div')
+    document.body.appendChild(container)
+
+    remote = { id: 't1', title: 'Theirs', tags: ['web'], updated_at: V2 }
+    handler = {
+      get: vi.fn(async () => remote),
+      update: vi.fn(async entry => ({ ...remote, ...entry.values, updated_at: '2026-10-19T12:00:00.000Z' }))
+    }
+    outbox = new OfflineOutbox({ storage: new LocalStorageOutboxStorage() })
+    outbox.registerHandler(OUTBOX_ENTITIES.TASK, handler)
+    outbox.remember(OUTBOX_ENTITIES.TASK, { id: 't1', title: 'Brief', tags: ['web'], updated_at: V1 })
+    outbox.setAvailable(OUTBOX_SOURCES.NETWORK, false)
+    await outbox.run({
+      entity: OUTBOX_ENTITIES.TASK,
+      action: OUTBOX_ACTIONS.UPDATE,
+      recordId: 't1',
+      values: { title: '<i>Mine</i>', tags: ['web'] }
+    }, vi.fn())
+  })
+
+  it('should show pending changes and replay them when the user syncs', async () => {
+    const status = new SyncStatus(container, { outbox, feedback: { showError: vi.fn() } }).init()
+    await status.ready
+
+    expect(container.querySelector('.sync-pending').textContent).toContain('1')
+    expect(container.querySelector('.sync-now')).toBeNull()
+
+    outbox.setAvailable(OUTBOX_SOURCES.NETWORK, true)
+    remote = { ...remote, updated_at: V1 }
+    status.render()
+    container.querySelector('.sync-now').click()
+
+    await vi.waitFor(() => expect(container.innerHTML).toBe(''))
+    expect(handler.update).toHaveBeenCalledTimes(1)
+  })
+
+  it('should list conflicts with a field diff and keep the server version on request', async () => {
+    outbox.setAvailable(OUTBOX_SOURCES.NETWORK, true)
+    const status = new SyncStatus(container, { outbox, feedback: { showError: vi.fn() } }).init()
+    await status.ready
+
+    container.querySelector('.sync-review').click()
+    const entry = container.querySelector('.sync-entry')
+    expect(entry.textContent).toContain('<i>Mine</i>')
+    expect(entry.querySelector('i')).toBeNull()
+
+    const rows = [...entry.querySelectorAll('.sync-diff tbody tr')]
+    expect(rows.map(row => row.querySelector('code').textContent)).toEqual(['title', 'tags'])
+    expect(rows[0].classList.contains('font-semibold')).toBe(true)
+    expect(rows[1].classList.contains('font-semibold')).toBe(false)
+
+    entry.querySelector('[data-action="keep-remote"]').click()
+
+    await vi.waitFor(() => expect(outbox.getEntries()).toEqual([]))
+    expect(handler.update).not.toHaveBeenCalled()
+    expect(container.innerHTML).toBe('')
+  })
+})
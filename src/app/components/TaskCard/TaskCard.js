@@ -0,0 +1,79 @@
+/**
+ * Task Card Component
+ * Draggable, focusable card representing one row of the tasks table
+ */
+
+import i18n from '../../../shared/utils/i18n.js'
+import { sanitizeInput } from '../../../shared/utils/validation.js'
+
+const PRIORITY_STYLES = {
+  low: 'bg-gray-100 text-gray-700',
+  medium: 'bg-azul-claro/15 text-azul-profundo',
+  high: 'bg-ambar-suave/40 text-negro-azulado',
+  urgent: 'bg-red-100 text-red-700'
+}
+
+export const PRIORITY_KEYS = {
+  low: 'priorityLow',
+  medium: 'priorityMedium',
+  high: 'priorityHigh',
+  urgent: 'priorityUrgent'
+}
+
+export default class TaskCard {
+  constructor(task, options = {}) {
+    this.task = task
+    this.options = {
+      draggable: true,
+      grabbed: false,
+      onClick: null,
+      ...options
+    }
+  }
+
+  render() {
+    const { task } = this
+    const t = i18n.getTranslations()
+    const priority = PRIORITY_KEYS[task.priority] ? task.priority : 'medium'
+
+    const card = document.createElement('article')
+    card.className = `task-card bg-white dark:bg-negro-azulado border border-gray-200 dark:border-white/10 rounded-anclora-sm p-3 shadow-sm ${this.options.draggable ? 'cursor-grab' : 'cursor-default'} focus:outline-none focus:ring-2 focus:ring-azul-claro transition-shadow ${this.options.grabbed ? 'ring-2 ring-ambar-suave shadow-anclora' : ''}`
+    card.dataset.taskId = task.id
+    card.tabIndex = -1
+    card.draggable = this.options.draggable
+    card.setAttribute('role', 'listitem')
+    card.setAttribute('aria-roledescription', 'task')
+    card.setAttribute('aria-grabbed', this.options.grabbed ? 'true' : 'false')
+    card.setAttribute('aria-label', task.title)
+
+    const tags = (task.tags || [])
+      .map(tag => `<span class="task-card-tag text-xs px-2 py-0.5 rounded-full bg-gris-claro text-azul-profundo">${sanitizeInput(tag)}</span>`)
+      .join('')
+
+    card.innerHTML = `
+      <div class="flex items-start justify-between gap-2 mb-2">
+        <h4 class="task-card-title text-sm font-semibold text-negro-azulado dark:text-white">${sanitizeInput(task.title)}</h4>
+        <span class="task-card-priority text-xs px-2 py-0.5 rounded-full whitespace-nowrap ${PRIORITY_STYLES[priority]}">${t[PRIORITY_KEYS[priority]]}</span>
+      </div>
+      ${task.description ? `<p class="task-card-description text-xs text-gray-600 dark:text-white/70 mb-2 line-clamp-2">${sanitizeInput(task.description)}</p>` : ''}
+      ${tags ? `<div class="flex flex-wrap gap-1 mb-2">${tags}</div>` : ''}
+      <div class="flex items-center justify-between text-xs text-gray-500 dark:text-white/60">
+        <span class="task-card-assignee">${task.assigned_to ? '👤' : t.kanbanUnassigned}</span>
+        ${task.due_date ? `<time class="task-card-due" datetime="${sanitizeInput(task.due_date)}">${t.kanbanDue} ${this.formatDate(task.due_date)}</time>` : ''}
+      </div>
+    `
+
+    if (this.options.onClick) {
+      card.addEventListener('click', () => this.options.onClick(task))
+    }
+
+    return card
+  }
+
+  formatDate(value) {
+    const date = new Date(value)
+    if (Number.isNaN(date.getTime())) return ''
+    const locale = i18n.getLocale()
+    return date.toLocaleDateString(locale, { day: 'numeric', month: 'short' })
+  }
+}
@@ -0,0 +1,545 @@
+/**
+ * Timeline View
+ * Gantt chart of a project's tasks with dependency arrows and critical-path highlighting
+ * Bars end at the task's due date and span its estimated hours; dragging a bar moves it,
+ * dragging its right edge resizes it. Changes are applied optimistically and rolled back on failure
+ */
+
+import { taskService } from '../../../shared/services/taskService.js'
+import { UserFeedbackSystem } from '../../../shared/services/userFeedbackSystem.js'
+import { PERMISSIONS, PROJECT_ROLES, createPermissionChecker, applyPermissions } from '../../../shared/utils/permissions.js'
+import {
+  addDays,
+  diffDays,
+  startOfDay,
+  getTaskSchedule,
+  getRescheduleChanges,
+  computeCriticalPath
+} from '../../../shared/utils/taskSchedule.js'
+import { sanitizeInput } from '../../../shared/utils/validation.js'
+import i18n from '../../../shared/utils/i18n.js'
+
+export const TIMELINE_ZOOM = {
+  day: { labelKey: 'timelineZoomDay', dayWidth: 40, padding: 3 },
+  week: { labelKey: 'timelineZoomWeek', dayWidth: 16, padding: 7 },
+  month: { labelKey: 'timelineZoomMonth', dayWidth: 4, padding: 30 }
+}
+
+const ROW_HEIGHT = 40
+const HEADER_HEIGHT = 32
+const BAR_INSET = 8
+
+const PRIORITY_BAR_STYLES = {
+  low: 'bg-gray-400',
+  medium: 'bg-azul-claro',
+  high: 'bg-ambar-suave',
+  urgent: 'bg-red-500'
+}
+
+export default class TimelineView {
+  constructor(container, options = {}) {
+    this.container = container
+    this.projectId = options.projectId
+    this.service = options.service || taskService
+    this.feedback = options.feedback || new UserFeedbackSystem()
+    this.zoom = TIMELINE_ZOOM[options.zoom] ? options.zoom : 'week'
+    // Without a checker the timeline is editable and the database decides
+    this.permissions = options.permissions || createPermissionChecker(PROJECT_ROLES.OWNER)
+    this.canEdit = this.permissions.can(PERMISSIONS.TASK_UPDATE)
+    this.showCriticalPath = true
+
+    this.tasks = []
+    this.translations = i18n.getTranslations()
+    this.drag = null
+    this.rangeStart = null
+
+    this.handleLanguageChange = () => {
+      this.translations = i18n.getTranslations()
+      this.render()
+    }
+    this.handlePointerMove = (e) => this.onPointerMove(e)
+    this.handlePointerUp = (e) => this.onPointerUp(e)
+  }
+
+  async init() {
+    this.renderLoading()
+    window.addEventListener('languageChanged', this.handleLanguageChange)
+
+    try {
+      await this.load()
+      this.render()
+    } catch (error) {
+      console.error('Error loading timeline:', error)
+      this.renderLoadError()
+      this.feedback.showError(error, {
+        canRetry: true,
+        retryCallback: () => this.init()
+      })
+    }
+
+    return this
+  }
+
+  async load() {
+    this.tasks = await this.service.listAllTasks(this.projectId)
+  }
+
+  destroy() {
+    window.removeEventListener('languageChanged', this.handleLanguageChange)
+    this.stopDragging()
+    this.container.innerHTML = ''
+  }
+
+  findTask(taskId) {
+    return this.tasks.find(task => task.id === taskId) || null
+  }
+
+  setZoom(zoom) {
+    if (!TIMELINE_ZOOM[zoom] || zoom === this.zoom) return
+    this.zoom = zoom
+    this.render()
+  }
+
+  getDayWidth() {
+    return TIMELINE_ZOOM[this.zoom].dayWidth
+  }
+
+  formatDate(date) {
+    const locale = i18n.getLocale()
+    return date.toLocaleDateString(locale, { day: 'numeric', month: 'short' })
+  }
+
+  /**
+   * Label for a bar's dates; the schedule end is exclusive so the last day is shown
+   */
+  formatSchedule(task) {
+    const schedule = getTaskSchedule(task)
+    return {
+      title: task.title,
+      start: this.formatDate(schedule.start),
+      end: this.formatDate(addDays(schedule.end, -1))
+    }
+  }
+
+  // Layout
+
+  /**
+   * Scheduled rows in display order with their bar geometry
+   */
+  getRows() {
+    const scheduled = this.tasks
+      .map(task => ({ task, schedule: getTaskSchedule(task) }))
+      .filter(row => row.schedule)
+      .sort((a, b) => a.schedule.start - b.schedule.start || (a.task.position ?? 0) - (b.task.position ?? 0))
+
+    const today = startOfDay(new Date())
+    const padding = TIMELINE_ZOOM[this.zoom].padding
+    const earliest = Math.min(today, ...scheduled.map(row => row.schedule.start))
+    const latest = Math.max(addDays(today, 1), ...scheduled.map(row => row.schedule.end))
+
+    this.rangeStart = addDays(new Date(earliest), -padding)
+    this.rangeDays = diffDays(this.rangeStart, addDays(new Date(latest), padding))
+
+    const dayWidth = this.getDayWidth()
+    return scheduled.map((row, index) => ({
+      ...row,
+      left: diffDays(this.rangeStart, row.schedule.start) * dayWidth,
+      width: row.schedule.days * dayWidth,
+      top: HEADER_HEIGHT + index * ROW_HEIGHT
+    }))
+  }
+
+  isTick(date) {
+    if (this.zoom === 'day') return true
+    if (this.zoom === 'week') return date.getDay() === 1
+    return date.getDate() === 1
+  }
+
+  // Rendering
+
+  renderLoading() {
+    this.container.innerHTML = `
+      <div class="timeline-loading p-6 text-center text-gray-500" role="status">${this.translations.timelineLoading}</div>
+    `
+  }
+
+  renderLoadError() {
+    this.container.innerHTML = `
+      <div class="timeline-error p-6 text-center text-red-600" role="alert">${this.translations.timelineLoadError}</div>
+    `
+  }
+
+  render() {
+    const t = this.translations
+    const rows = this.getRows()
+    const critical = computeCriticalPath(this.tasks)
+    const unscheduled = this.tasks.filter(task => !getTaskSchedule(task))
+    const canvasWidth = this.rangeDays * this.getDayWidth()
+    const canvasHeight = HEADER_HEIGHT + Math.max(rows.length, 1) * ROW_HEIGHT
+
+    this.critical = critical
+
+    this.container.innerHTML = `
+      <div class="timeline-view flex flex-col gap-4">
+        ${this.canEdit
+          ? `<p id="timeline-keyboard-help" class="sr-only">${t.timelineKeyboardHelp}</p>`
+          : `<p id="timeline-keyboard-help" class="timeline-read-only text-xs text-gray-500 dark:text-white/60">${t.timelineReadOnly}</p>`}
+        <div class="timeline-live-region sr-only" aria-live="assertive" aria-atomic="true"></div>
+
+        <div class="timeline-toolbar flex flex-wrap items-center gap-4">
+          <div class="timeline-zoom inline-flex rounded-anclora-sm border border-gray-200 dark:border-white/10 overflow-hidden" role="group" aria-label="${t.timelineZoom}">
+            ${Object.entries(TIMELINE_ZOOM).map(([zoom, { labelKey }]) => `
+              <button type="button" data-zoom="${zoom}" aria-pressed="${zoom === this.zoom}"
+                class="px-3 py-1.5 text-sm ${zoom === this.zoom ? 'bg-azul-claro text-white' : 'bg-white dark:bg-negro-azulado text-gray-600 dark:text-white/70 hover:bg-gris-claro dark:hover:bg-white/10'}">${t[labelKey]}</button>
+            `).join('')}
+          </div>
+          <label class="inline-flex items-center gap-2 text-sm text-gray-600 dark:text-white/70">
+            <input type="checkbox" class="timeline-critical-toggle" ${this.showCriticalPath ? 'checked' : ''}>
+            ${t.timelineCriticalPath}
+          </label>
+          ${critical.totalHours > 0 ? `<span class="timeline-critical-hours text-sm text-gray-500 dark:text-white/60">${i18n.format('timelineCriticalHours', { hours: critical.totalHours })}</span>` : ''}
+        </div>
+
+        ${rows.length === 0
+          ? `<p class="timeline-empty p-6 text-center text-sm text-gray-500 dark:text-white/60">${t.timelineEmpty}</p>`
+          : `
+        <div class="timeline-chart flex bg-white dark:bg-negro-azulado border border-gray-200 dark:border-white/10 rounded-anclora-sm overflow-hidden">
+          <ul class="timeline-labels w-48 shrink-0 border-r border-gray-200 dark:border-white/10" style="padding-top: ${HEADER_HEIGHT}px" aria-label="${t.timelineTasks}">
+            ${rows.map(({ task }) => `
+              <li class="flex items-center px-3 text-sm truncate text-negro-azulado dark:text-white" style="height: ${ROW_HEIGHT}px" title="${sanitizeInput(task.title)}">${sanitizeInput(task.title)}</li>
+            `).join('')}
+          </ul>
+          <div class="timeline-scroll flex-1 overflow-x-auto">
+            <div class="timeline-canvas relative select-none" style="width: ${canvasWidth}px; height: ${canvasHeight}px" aria-describedby="timeline-keyboard-help">
+              ${this.renderTicks()}
+              ${this.renderToday(canvasHeight)}
+              ${this.renderArrows(rows, canvasWidth, canvasHeight)}
+              ${rows.map(row => this.renderBar(row)).join('')}
+            </div>
+          </div>
+        </div>`}
+
+        ${unscheduled.length > 0 ? `
+          <section class="timeline-unscheduled">
+            <h3 class="text-sm font-semibold text-azul-profundo dark:text-white mb-2">${t.timelineUnscheduled}</h3>
+            <ul class="flex flex-wrap gap-2">
+              ${unscheduled.map(task => `<li class="text-xs px-2 py-1 rounded-full bg-gris-claro dark:bg-white/10 text-gray-600 dark:text-white/70">${sanitizeInput(task.title)}</li>`).join('')}
+            </ul>
+          </section>
+        ` : ''}
+
+        ${this.renderDependencies()}
+      </div>
+    `
+
+    this.setupEventListeners()
+  }
+
+  renderTicks() {
+    const dayWidth = this.getDayWidth()
+    const ticks = []
+
+    for (let day = 0; day < this.rangeDays; day++) {
+      const date = addDays(this.rangeStart, day)
+      if (!this.isTick(date)) continue
+
+      ticks.push(`
+        <div class="timeline-tick absolute top-0 bottom-0 border-l border-gray-200 dark:border-white/10 pointer-events-none" style="left: ${day * dayWidth}px">
+          <span class="absolute top-1 left-1 text-xs text-gray-500 dark:text-white/60 whitespace-nowrap">${this.formatDate(date)}</span>
+        </div>
+      `)
+    }
+
+    return ticks.join('')
+  }
+
+  renderToday(canvasHeight) {
+    const left = diffDays(this.rangeStart, new Date()) * this.getDayWidth()
+    return `
+      <div class="timeline-today absolute top-0 w-0.5 bg-ambar-suave pointer-events-none z-10" style="left: ${left}px; height: ${canvasHeight}px" title="${this.translations.timelineToday}"></div>
+    `
+  }
+
+  /**
+   * Elbow arrows from the end of each dependency to the start of the dependent task
+   */
+  renderArrows(rows, width, height) {
+    const byId = new Map(rows.map(row => [row.task.id, row]))
+    const paths = []
+
+    rows.forEach(row => {
+      (row.task.dependencies || []).forEach(dependencyId => {
+        const from = byId.get(dependencyId)
+        if (!from) return
+
+        const x1 = from.left + from.width
+        const y1 = from.top + ROW_HEIGHT / 2
+        const x2 = row.left
+        const y2 = row.top + ROW_HEIGHT / 2
+        const d = x2 - x1 >= 16
+          ? `M ${x1} ${y1} H ${x1 + 8} V ${y2} H ${x2}`
+          : `M ${x1} ${y1} H ${x1 + 8} V ${(y1 + y2) / 2} H ${x2 - 8} V ${y2} H ${x2}`
+        const isCritical = this.showCriticalPath &&
+          this.critical.taskIds.has(dependencyId) && this.critical.taskIds.has(row.task.id)
+
+        paths.push(`
+          <path class="timeline-arrow ${isCritical ? 'is-critical' : ''}" data-from="${dependencyId}" data-to="${row.task.id}" d="${d}"
+            fill="none" stroke="${isCritical ? '#ef4444' : '#94a3b8'}" stroke-width="${isCritical ? 2 : 1.5}" marker-end="url(#timeline-arrowhead${isCritical ? '-critical' : ''})"></path>
+        `)
+      })
+    })
+
+    return `
+      <svg class="timeline-arrows absolute inset-0 pointer-events-none" width="${width}" height="${height}" aria-hidden="true">
+        <defs>
+          <marker id="timeline-arrowhead" viewBox="0 0 8 8" refX="8" refY="4" markerWidth="6" markerHeight="6" orient="auto">
+            <path d="M 0 0 L 8 4 L 0 8 z" fill="#94a3b8"></path>
+          </marker>
+          <marker id="timeline-arrowhead-critical" viewBox="0 0 8 8" refX="8" refY="4" markerWidth="6" markerHeight="6" orient="auto">
+            <path d="M 0 0 L 8 4 L 0 8 z" fill="#ef4444"></path>
+          </marker>
+        </defs>
+        ${paths.join('')}
+      </svg>
+    `
+  }
+
+  renderBar({ task, left, width, top }) {
+    const priority = PRIORITY_BAR_STYLES[task.priority] ? task.priority : 'medium'
+    const isCritical = this.showCriticalPath && this.critical.taskIds.has(task.id)
+    const label = i18n.format('timelineBarLabel', this.formatSchedule(task))
+
+    return `
+      <div class="timeline-bar absolute flex items-center rounded-md shadow-sm ${this.canEdit ? 'cursor-grab' : 'cursor-default'} focus:outline-none focus:ring-2 focus:ring-azul-profundo ${PRIORITY_BAR_STYLES[priority]} ${task.status === 'done' ? 'opacity-60' : ''} ${isCritical ? 'is-critical ring-2 ring-red-500' : ''}"
+        data-task-id="${task.id}" tabindex="0" role="button" aria-label="${sanitizeInput(label)}"
+        style="left: ${left}px; width: ${width}px; top: ${top + BAR_INSET}px; height: ${ROW_HEIGHT - BAR_INSET * 2}px">
+        <span class="px-2 text-xs font-medium text-white truncate pointer-events-none">${sanitizeInput(task.title)}</span>
+        ${this.canEdit ? '<span class="timeline-bar-handle absolute right-0 top-0 bottom-0 w-2 cursor-ew-resize rounded-r-md bg-black/10"></span>' : ''}
+      </div>
+    `
+  }
+
+  renderDependencies() {
+    const t = this.translations
+    const titles = new Map(this.tasks.map(task => [task.id, task.title]))
+    const dependencies = this.tasks.flatMap(task =>
+      (task.dependencies || []).filter(id => titles.has(id)).map(dependencyId => ({ task, dependencyId }))
+    )
+    const options = this.tasks
+      .map(task => `<option value="${task.id}">${sanitizeInput(task.title)}</option>`)
+      .join('')
+
+    return `
+      <section class="timeline-dependencies bg-white dark:bg-negro-azulado border border-gray-200 dark:border-white/10 rounded-anclora-sm p-4">
+        <h3 class="text-sm font-semibold text-azul-profundo dark:text-white mb-3">${t.timelineDependencies}</h3>
+        ${this.tasks.length > 1 ? `
+          <form class="timeline-dependency-form flex flex-wrap items-end gap-3 mb-4" data-permission="${PERMISSIONS.TASK_UPDATE}">
+            <label class="flex flex-col gap-1 text-xs text-gray-500 dark:text-white/60">
+              ${t.timelineTask}
+              <select name="taskId" class="px-2 py-1.5 rounded-anclora-sm border border-gray-300 dark:border-white/10 dark:bg-negro-azulado text-sm text-negro-azulado dark:text-white">${options}</select>
+            </label>
+            <label class="flex flex-col gap-1 text-xs text-gray-500 dark:text-white/60">
+              ${t.timelineDependsOn}
+              <select name="dependencyId" class="px-2 py-1.5 rounded-anclora-sm border border-gray-300 dark:border-white/10 dark:bg-negro-azulado text-sm text-negro-azulado dark:text-white">${options}</select>
+            </label>
+            <button type="submit" class="px-3 py-1.5 rounded-anclora-sm bg-azul-claro text-white text-sm font-medium hover:bg-teal-secundario transition-colors">${t.timelineAddDependency}</button>
+          </form>
+        ` : ''}
+        ${dependencies.length === 0
+          ? `<p class="text-sm text-gray-500 dark:text-white/60">${t.timelineNoDependencies}</p>`
+          : `<ul class="flex flex-col gap-2">
+              ${dependencies.map(({ task, dependencyId }) => `
+                <li class="timeline-dependency flex items-center justify-between gap-2 text-sm text-negro-azulado dark:text-white">
+                  <span>${sanitizeInput(i18n.format('timelineDependencyLabel', { task: task.title, dependency: titles.get(dependencyId) }))}</span>
+                  <button type="button" class="timeline-remove-dependency text-xs text-red-600 hover:underline" data-permission="${PERMISSIONS.TASK_UPDATE}" data-task-id="${task.id}" data-dependency-id="${dependencyId}">${t.timelineRemoveDependency}</button>
+                </li>
+              `).join('')}
+            </ul>`}
+      </section>
+    `
+  }
+
+  focusBar(taskId) {
+    const bar = this.container.querySelector(`.timeline-bar[data-task-id="${taskId}"]`)
+    if (bar) bar.focus()
+  }
+
+  announce(message) {
+    const region = this.container.querySelector('.timeline-live-region')
+    if (region) region.textContent = message
+  }
+
+  // Event handling
+
+  setupEventListeners() {
+    this.container.querySelectorAll('[data-zoom]').forEach(button => {
+      button.addEventListener('click', () => this.setZoom(button.dataset.zoom))
+    })
+
+    this.container.querySelector('.timeline-critical-toggle').addEventListener('change', (e) => {
+      this.showCriticalPath = e.target.checked
+      this.render()
+    })
+
+    applyPermissions(this.container, this.permissions)
+    if (!this.canEdit) return
+
+    const canvas = this.container.querySelector('.timeline-canvas')
+    if (canvas) {
+      canvas.addEventListener('pointerdown', (e) => this.onPointerDown(e))
+      canvas.addEventListener('keydown', (e) => this.onKeyDown(e))
+    }
+
+    const form = this.container.querySelector('.timeline-dependency-form')
+    if (form) {
+      form.addEventListener('submit', (e) => {
+        e.preventDefault()
+        this.addDependency(form.elements.taskId.value, form.elements.dependencyId.value)
+      })
+    }
+
+    this.container.querySelectorAll('.timeline-remove-dependency').forEach(button => {
+      button.addEventListener('click', () => {
+        this.removeDependency(button.dataset.taskId, button.dataset.dependencyId)
+      })
+    })
+  }
+
+  onPointerDown(e) {
+    const bar = e.target.closest('.timeline-bar')
+    if (!bar || (e.button !== undefined && e.button !== 0)) return
+
+    e.preventDefault()
+    this.drag = {
+      taskId: bar.dataset.taskId,
+      mode: e.target.closest('.timeline-bar-handle') ? 'resize' : 'move',
+      bar,
+      originX: e.clientX,
+      left: parseFloat(bar.style.left),
+      width: parseFloat(bar.style.width),
+      delta: 0
+    }
+    bar.classList.add('cursor-grabbing', 'shadow-anclora')
+    document.addEventListener('pointermove', this.handlePointerMove)
+    document.addEventListener('pointerup', this.handlePointerUp)
+  }
+
+  onPointerMove(e) {
+    if (!this.drag) return
+
+    const dayWidth = this.getDayWidth()
+    const { bar, mode, left, width } = this.drag
+    const delta = Math.round((e.clientX - this.drag.originX) / dayWidth)
+    this.drag.delta = delta
+
+    if (mode === 'move') {
+      bar.style.left = `${left + delta * dayWidth}px`
+    } else {
+      bar.style.width = `${Math.max(dayWidth, width + delta * dayWidth)}px`
+    }
+  }
+
+  onPointerUp(e) {
+    if (!this.drag) return
+
+    this.onPointerMove(e)
+    const { taskId, mode, delta } = this.drag
+    this.stopDragging()
+
+    if (delta === 0) {
+      this.render()
+      return
+    }
+
+    this.rescheduleTask(taskId, mode === 'move' ? delta : 0, delta)
+  }
+
+  stopDragging() {
+    document.removeEventListener('pointermove', this.handlePointerMove)
+    document.removeEventListener('pointerup', this.handlePointerUp)
+    this.drag = null
+  }
+
+  onKeyDown(e) {
+    const bar = e.target.closest('.timeline-bar')
+    if (!bar || (e.key !== 'ArrowLeft' && e.key !== 'ArrowRight')) return
+
+    e.preventDefault()
+    const delta = e.key === 'ArrowLeft' ? -1 : 1
+    this.rescheduleTask(bar.dataset.taskId, e.shiftKey ? 0 : delta, delta)
+  }
+
+  // Persistence
+
+  /**
+   * Move a task's start and end by whole days
+   * @param {string} taskId - Task id
+   * @param {number} startDelta - Days to move the start by
+   * @param {number} endDelta - Days to move the end by
+   * @returns {Promise<boolean>} Whether the change was saved
+   */
+  async rescheduleTask(taskId, startDelta, endDelta) {
+    const task = this.findTask(taskId)
+    if (!task) return false
+
+    const changes = getRescheduleChanges(task, startDelta, endDelta)
+    if (!changes) {
+      this.render()
+      this.focusBar(taskId)
+      return true
+    }
+
+    const snapshot = { ...task }
+    Object.assign(task, changes)
+    this.render()
+    this.focusBar(taskId)
+
+    try {
+      const updated = await this.service.updateTask(taskId, changes)
+      Object.assign(task, updated)
+      this.render()
+      this.focusBar(taskId)
+      this.announce(i18n.format('timelineRescheduled', this.formatSchedule(task)))
+      return true
+    } catch (error) {
+      console.error('Error rescheduling task:', error)
+      Object.keys(changes).forEach(key => { task[key] = snapshot[key] })
+      this.render()
+      this.focusBar(taskId)
+      this.announce(this.translations.timelineRescheduleReverted)
+      this.feedback.showError(error, {
+        canRetry: true,
+        retryCallback: () => this.rescheduleTask(taskId, startDelta, endDelta)
+      })
+      return false
+    }
+  }
+
+  async addDependency(taskId, dependencyId) {
+    try {
+      const updated = await this.service.addDependency(taskId, dependencyId)
+      Object.assign(this.findTask(taskId), updated)
+      this.render()
+      return true
+    } catch (error) {
+      // Cycles are rejected by the service; retrying would fail the same way
+      this.feedback.showError(error, { canRetry: false })
+      return false
+    }
+  }
+
+  async removeDependency(taskId, dependencyId) {
+    try {
+      const updated = await this.service.removeDependency(taskId, dependencyId)
+      Object.assign(this.findTask(taskId), updated)
+      this.render()
+      return true
+    } catch (error) {
+      this.feedback.showError(error, {
+        canRetry: true,
+        retryCallback: () => this.removeDependency(taskId, dependencyId)
+      })
+      return false
+    }
+  }
+}
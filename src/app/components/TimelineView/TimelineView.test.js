@@ -0,0 +1,132 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest'
+import TimelineView, { TIMELINE_ZOOM } from './TimelineView.js'
+
+const createTask = (id, values = {}) => ({
+  id,
+  title: `Task ${id}`,
+  status: 'todo',
+  priority: 'medium',
+  position: 0,
+  estimated_hours: 8,
+  due_date: '2025-06-10T12:00:00.000Z',
+  dependencies: [],
+  ...values
+})
+
+const createService = () => ({
+  listAllTasks: vi.fn().mockResolvedValue([
+    createTask('a', { estimated_hours: 16, due_date: '2025-06-05T12:00:00.000Z' }),
+    createTask('b', { dependencies: ['a'] }),
+    createTask('c', { estimated_hours: 4, due_date: '2025-06-06T12:00:00.000Z' }),
+    createTask('d', { due_date: null })
+  ]),
+  updateTask: vi.fn((id, changes) => Promise.resolve({ id, ...changes })),
+  addDependency: vi.fn(),
+  removeDependency: vi.fn()
+})
+
+const bar = (container, id) => container.querySelector(`.timeline-bar[data-task-id="${id}"]`)
+
+describe('TimelineView Component', () => {
+  let container
+  let service
+  let feedback
+
+  beforeEach(() => {
+    container = document.createElement('div')
+    document.body.appendChild(container)
+    service = createService()
+    feedback = { showError: vi.fn() }
+    vi.spyOn(console, 'error').mockImplementation(() => {})
+  })
+
+  const createView = async () => {
+    const view = new TimelineView(container, { projectId: 'p1', service, feedback })
+    await view.init()
+    return view
+  }
+
+  it('renders scheduled bars, unscheduled tasks and dependency arrows', async () => {
+    await createView()
+
+    expect(container.querySelectorAll('.timeline-bar')).toHaveLength(3)
+    expect(bar(container, 'a').style.width).toBe(`${2 * TIMELINE_ZOOM.week.dayWidth}px`)
+    expect(container.querySelector('.timeline-unscheduled').textContent).toContain('Task d')
+    expect(container.querySelector('.timeline-arrow[data-from="a"][data-to="b"]')).not.toBeNull()
+  })
+
+  it('highlights the critical path and can turn it off', async () => {
+    await createView()
+
+    expect(bar(container, 'a').classList.contains('is-critical')).toBe(true)
+    expect(bar(container, 'b').classList.contains('is-critical')).toBe(true)
+    expect(bar(container, 'c').classList.contains('is-critical')).toBe(false)
+
+    const toggle = container.querySelector('.timeline-critical-toggle')
+    toggle.checked = false
+    toggle.dispatchEvent(new Event('change'))
+
+    expect(container.querySelectorAll('.timeline-bar.is-critical')).toHaveLength(0)
+  })
+
+  it('changes the scale when zooming', async () => {
+    await createView()
+
+    container.querySelector('[data-zoom="day"]').click()
+
+    expect(bar(container, 'a').style.width).toBe(`${2 * TIMELINE_ZOOM.day.dayWidth}px`)
+    expect(container.querySelector('[data-zoom="day"]').getAttribute('aria-pressed')).toBe('true')
+  })
+
+  it('moves and resizes bars with the keyboard', async () => {
+    await createView()
+
+    bar(container, 'c').dispatchEvent(new KeyboardEvent('keydown', { key: 'ArrowRight', bubbles: true }))
+    await vi.waitFor(() => expect(service.updateTask).toHaveBeenCalledTimes(1))
+    expect(service.updateTask.mock.calls[0][1]).toEqual({ due_date: '2025-06-07T12:00:00.000Z' })
+
+    bar(container, 'c').dispatchEvent(new KeyboardEvent('keydown', { key: 'ArrowRight', shiftKey: true, bubbles: true }))
+    await vi.waitFor(() => expect(service.updateTask).toHaveBeenCalledTimes(2))
+    expect(service.updateTask.mock.calls[1][1]).toEqual({ due_date: '2025-06-08T12:00:00.000Z', estimated_hours: 16 })
+  })
+
+  it('resizes bars by dragging the handle', async () => {
+    await createView()
+    const dayWidth = TIMELINE_ZOOM.week.dayWidth
+    const handle = bar(container, 'c').querySelector('.timeline-bar-handle')
+
+    handle.dispatchEvent(new MouseEvent('pointerdown', { clientX: 100, button: 0, bubbles: true }))
+    document.dispatchEvent(new MouseEvent('pointermove', { clientX: 100 + dayWidth * 2, bubbles: true }))
+    document.dispatchEvent(new MouseEvent('pointerup', { clientX: 100 + dayWidth * 2, bubbles: true }))
+
+    await vi.waitFor(() => expect(service.updateTask).toHaveBeenCalled())
+    expect(service.updateTask.mock.calls[0][1]).toEqual({ due_date: '2025-06-08T12:00:00.000Z', estimated_hours: 24 })
+  })
+
+  it('restores the schedule when saving fails', async () => {
+    service.updateTask.mockRejectedValueOnce(new Error('Network error'))
+    const view = await createView()
+    const originalLeft = bar(container, 'c').style.left
+
+    const saved = await view.rescheduleTask('c', 3, 3)
+
+    expect(saved).toBe(false)
+    expect(view.findTask('c').due_date).toBe('2025-06-06T12:00:00.000Z')
+    expect(bar(container, 'c').style.left).toBe(originalLeft)
+    expect(feedback.showError).toHaveBeenCalledWith(expect.any(Error), expect.objectContaining({ canRetry: true }))
+  })
+
+  it('reports rejected dependencies without retrying', async () => {
+    service.addDependency.mockRejectedValueOnce(new Error('Dependencia circular: Task a → Task b → Task a'))
+    await createView()
+
+    const form = container.querySelector('.timeline-dependency-form')
+    form.elements.taskId.value = 'a'
+    form.elements.dependencyId.value = 'b'
+    form.dispatchEvent(new Event('submit', { cancelable: true }))
+
+    await vi.waitFor(() => expect(feedback.showError).toHaveBeenCalled())
+    expect(service.addDependency).toHaveBeenCalledWith('a', 'b')
+    expect(feedback.showError.mock.calls[0][1]).toEqual({ canRetry: false })
+  })
+})
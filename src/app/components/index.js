@@ -1,8 +1,15 @@
 // App specific components exports
 
+export { default as AppShell } from './AppShell/AppShell.js'
 export { default as Dashboard } from './Dashboard/Dashboard.js'
 export { default as KanbanBoard } from './KanbanBoard/KanbanBoard.js'
 export { default as TaskCard } from './TaskCard/TaskCard.js'
+export { default as TimelineView } from './TimelineView/TimelineView.js'
 export { default as ProjectDashboard } from './ProjectDashboard/ProjectDashboard.js'
 export { default as ChatComponent } from './Chat/ChatComponent.js'
-export { default as AIAssistant } from './AIAssistant/AIAssistant.js'
\ No newline at end of file
+export { default as ChatInbox } from './ChatInbox/ChatInbox.js'
+export { default as AnalyticsView } from './AnalyticsView/AnalyticsView.js'
+export { default as AIAssistant } from './AIAssistant/AIAssistant.js'
+export { default as SyncStatus } from './SyncStatus/SyncStatus.js'
+export { default as AccountSettings } from './AccountSettings/AccountSettings.js'
+export { default as SecuritySettings } from './SecuritySettings/SecuritySettings.js'
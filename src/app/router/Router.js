@@ -0,0 +1,209 @@
+/**
+ * Client-side Router
+ * History API router with path params, query parsing, guards and link interception
+ */
+
+const MAX_REDIRECTS = 5
+
+/**
+ * Compile a route path such as '/projects/:id/board' into a matcher
+ * @param {string} path - Route path
+ * @returns {{ regex: RegExp, keys: Array<string> }} Matcher
+ */
+export function compilePath(path) {
+  const keys = []
+  const pattern = path
+    .replace(/\/+$/, '')
+    .replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+    .replace(/:(\w+)/g, (_, key) => {
+      keys.push(key)
+      return '([^/]+)'
+    })
+
+  return { regex: new RegExp(`^${pattern || ''}/?$`), keys }
+}
+
+export default class Router {
+  /**
+   * @param {Object} options - Router options
+   * @param {Array<Object>} options.routes - Routes as { name, path, meta, redirect, ... }
+   * @param {string} options.base - Path prefix the app is served under (e.g. '/src/app')
+   * @param {Array<Function>} options.guards - Guards called as guard(to, from); return true to
+   *   continue, a path string to redirect or false to cancel
+   * @param {Function} options.onRouteChange - Called with the resolved route after guards pass
+   * @param {string} options.fallback - Path to redirect to when nothing matches
+   */
+  constructor(options = {}) {
+    this.base = (options.base || '').replace(/\/+$/, '')
+    this.guards = options.guards || []
+    this.onRouteChange = options.onRouteChange || (() => {})
+    this.fallback = options.fallback || '/'
+    this.routes = []
+    this.current = null
+    this.started = false
+
+    this.handlePopState = () => this.resolve(this.getLocationPath(), { replace: true, fromHistory: true })
+    this.handleLinkClick = (e) => this.interceptLink(e)
+
+    const routes = options.routes || []
+    routes.forEach(route => this.addRoute(route))
+  }
+
+  addRoute(route) {
+    this.routes.push({ meta: {}, ...route, ...compilePath(route.path) })
+    return this
+  }
+
+  start() {
+    if (this.started) return this.resolve(this.getLocationPath(), { replace: true })
+    this.started = true
+    window.addEventListener('popstate', this.handlePopState)
+    document.addEventListener('click', this.handleLinkClick)
+    return this.resolve(this.getLocationPath(), { replace: true })
+  }
+
+  stop() {
+    this.started = false
+    window.removeEventListener('popstate', this.handlePopState)
+    document.removeEventListener('click', this.handleLinkClick)
+  }
+
+  /**
+   * Build an absolute href for an app path
+   * @param {string} path - App path such as '/projects/1'
+   * @returns {string} Href including the base
+   */
+  href(path) {
+    return `${this.base}${path.startsWith('/') ? path : `/${path}`}`
+  }
+
+  getLocationPath() {
+    const { pathname, search } = window.location
+    const path = this.base && pathname.startsWith(this.base)
+      ? pathname.slice(this.base.length)
+      : pathname
+    return `${path.replace(/\/index\.html$/, '') || '/'}${search}`
+  }
+
+  /**
+   * Match an app path against the routes
+   * @param {string} fullPath - App path, optionally with a query string
+   * @returns {Object|null} Match as { route, name, path, params, query, meta }
+   */
+  match(fullPath) {
+    const [path, search = ''] = fullPath.split('?')
+    const query = Object.fromEntries(new URLSearchParams(search))
+
+    for (const route of this.routes) {
+      const result = route.regex.exec(path)
+      if (result) {
+        let params
+        try {
+          params = Object.fromEntries(
+            route.keys.map((key, index) => [key, decodeURIComponent(result[index + 1])])
+          )
+        } catch {
+          // Malformed escapes like %E0 cannot name anything: fall through to not-found
+          return null
+        }
+        return { route, name: route.name, path: fullPath, params, query, meta: route.meta }
+      }
+    }
+
+    return null
+  }
+
+  navigate(path, options = {}) {
+    return this.resolve(path, { replace: false, ...options })
+  }
+
+  replace(path) {
+    return this.resolve(path, { replace: true })
+  }
+
+  back() {
+    window.history.back()
+  }
+
+  /**
+   * Resolve a path: match it, run guards, update history and notify
+   * @param {string} path - App path
+   * @param {Object} options - { replace, fromHistory }
+   * @returns {Promise<Object|null>} The route that was activated, or null if cancelled
+   */
+  async resolve(path, options = {}) {
+    let target = path
+    let replace = !!options.replace
+
+    for (let redirects = 0; redirects <= MAX_REDIRECTS; redirects++) {
+      const to = this.match(target)
+      if (!to) {
+        if (target === this.fallback) {
+          console.error(`Router: fallback route "${this.fallback}" is not registered`)
+          return null
+        }
+        target = this.fallback
+        replace = true
+        continue
+      }
+
+      if (to.route.redirect) {
+        target = to.route.redirect
+        replace = true
+        continue
+      }
+
+      const outcome = await this.runGuards(to, this.current)
+      if (outcome === false) return null
+      if (typeof outcome === 'string' && outcome !== target) {
+        target = outcome
+        replace = true
+        continue
+      }
+
+      const url = this.href(target)
+      const currentUrl = `${window.location.pathname}${window.location.search}`
+      if (!options.fromHistory || url !== currentUrl) {
+        if (replace || url === currentUrl) {
+          window.history.replaceState({ path: target }, '', url)
+        } else {
+          window.history.pushState({ path: target }, '', url)
+        }
+      }
+
+      const from = this.current
+      this.current = to
+      await this.onRouteChange(to, from)
+      return to
+    }
+
+    console.error(`Router: too many redirects while resolving "${path}"`)
+    return null
+  }
+
+  async runGuards(to, from) {
+    for (const guard of this.guards) {
+      const result = await guard(to, from)
+      if (result !== true && result !== undefined) {
+        return result
+      }
+    }
+    return true
+  }
+
+  interceptLink(e) {
+    if (e.defaultPrevented || e.button !== 0 || e.metaKey || e.ctrlKey || e.shiftKey || e.altKey) return
+
+    const link = e.target.closest && e.target.closest('a[data-link]')
+    if (!link || link.target === '_blank') return
+
+    const url = new URL(link.href, window.location.href)
+    if (url.origin !== window.location.origin) return
+
+    e.preventDefault()
+    const path = this.base && url.pathname.startsWith(this.base)
+      ? url.pathname.slice(this.base.length)
+      : url.pathname
+    this.navigate(`${path || '/'}${url.search}`)
+  }
+}
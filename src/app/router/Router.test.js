@@ -0,0 +1,112 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest'
+import Router, { compilePath } from './Router.js'
+
+const createRouter = (options = {}) => new Router({
+  routes: [
+    { name: 'root', path: '/', redirect: '/dashboard' },
+    { name: 'login', path: '/login', meta: { public: true } },
+    { name: 'dashboard', path: '/dashboard' },
+    { name: 'project', path: '/projects/:id' },
+    { name: 'project-board', path: '/projects/:id/board' }
+  ],
+  fallback: '/dashboard',
+  ...options
+})
+
+describe('Router', () => {
+  let router
+
+  beforeEach(() => {
+    window.history.replaceState(null, '', '/')
+  })
+
+  afterEach(() => {
+    if (router) router.stop()
+    router = null
+  })
+
+  it('compiles paths with params', () => {
+    const { regex, keys } = compilePath('/projects/:id/board')
+    expect(keys).toEqual(['id'])
+    expect(regex.exec('/projects/42/board')[1]).toBe('42')
+    expect(regex.test('/projects/42')).toBe(false)
+  })
+
+  it('matches params and query strings', () => {
+    router = createRouter()
+    const match = router.match('/projects/p%201/board?view=compact')
+
+    expect(match.name).toBe('project-board')
+    expect(match.params).toEqual({ id: 'p 1' })
+    expect(match.query).toEqual({ view: 'compact' })
+  })
+
+  it('follows route redirects and falls back for unknown paths', async () => {
+    const onRouteChange = vi.fn()
+    router = createRouter({ onRouteChange })
+
+    expect((await router.navigate('/')).name).toBe('dashboard')
+    expect((await router.navigate('/nope')).name).toBe('dashboard')
+    expect(window.location.pathname).toBe('/dashboard')
+    expect(onRouteChange).toHaveBeenCalledTimes(2)
+  })
+
+  it('treats malformed escapes as unknown paths', async () => {
+    router = createRouter()
+
+    expect(router.match('/projects/%E0')).toBeNull()
+    expect((await router.navigate('/projects/%E0')).name).toBe('dashboard')
+  })
+
+  it('lets guards redirect or cancel navigation', async () => {
+    const onRouteChange = vi.fn()
+    const guard = vi.fn((to) => {
+      if (to.name === 'project' && to.params.id === 'locked') return false
+      if (!to.meta.public) return `/login?redirect=${encodeURIComponent(to.path)}`
+      return true
+    })
+    router = createRouter({ guards: [guard], onRouteChange })
+
+    const to = await router.navigate('/projects/1')
+    expect(to.name).toBe('login')
+    expect(to.query.redirect).toBe('/projects/1')
+
+    expect(await router.navigate('/projects/locked')).toBeNull()
+    expect(onRouteChange).toHaveBeenCalledTimes(1)
+  })
+
+  it('stops after too many redirects', async () => {
+    const errorSpy = vi.spyOn(console, 'error').mockImplementation(() => {})
+    router = createRouter({ guards: [(to) => (to.name === 'login' ? '/dashboard' : '/login')] })
+
+    expect(await router.navigate('/dashboard')).toBeNull()
+    expect(errorSpy).toHaveBeenCalled()
+    errorSpy.mockRestore()
+  })
+
+  it('prefixes hrefs and strips the base from the location', async () => {
+    router = createRouter({ base: '/src/app/' })
+    expect(router.href('/projects/1')).toBe('/src/app/projects/1')
+
+    await router.navigate('/projects/1?tab=board')
+    expect(window.location.pathname).toBe('/src/app/projects/1')
+    expect(router.getLocationPath()).toBe('/projects/1?tab=board')
+  })
+
+  it('intercepts clicks on data-link anchors', async () => {
+    const onRouteChange = vi.fn()
+    router = createRouter({ onRouteChange })
+    router.start()
+    await vi.waitFor(() => expect(onRouteChange).toHaveBeenCalled())
+
+    const link = document.createElement('a')
+    link.href = '/projects/7'
+    link.setAttribute('data-link', '')
+    document.body.appendChild(link)
+    link.click()
+
+    await vi.waitFor(() => expect(router.current?.name).toBe('project'))
+    expect(router.current.params.id).toBe('7')
+    link.remove()
+  })
+})
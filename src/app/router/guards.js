@@ -0,0 +1,47 @@
+/**
+ * Route guards for the application shell
+ * Routes opt out with meta.public (login) and meta.onboarding (the onboarding route itself);
+ * public routes send signed-in users away unless they also set meta.allowSession (invite links)
+ */
+
+import { authService } from '../../shared/services/authService.js'
+
+/**
+ * Send unauthenticated users to the login route, remembering where they were going
+ */
+export function authGuard(to) {
+  const isAuthenticated = authService.isAuthenticated()
+
+  if (to.meta.public) {
+    return isAuthenticated && !to.meta.allowSession ? (to.query.redirect || '/dashboard') : true
+  }
+
+  if (!isAuthenticated) {
+    return `/login?redirect=${encodeURIComponent(to.path)}`
+  }
+
+  return true
+}
+
+/**
+ * Keep new users on the onboarding route until they finish it
+ */
+export function onboardingGuard(to) {
+  if (to.meta.public || !authService.isAuthenticated()) {
+    return true
+  }
+
+  const needsOnboarding = authService.isNewUser()
+
+  if (needsOnboarding && !to.meta.onboarding) {
+    return '/onboarding'
+  }
+
+  if (!needsOnboarding && to.meta.onboarding) {
+    return '/dashboard'
+  }
+
+  return true
+}
+
+export const defaultGuards = [authGuard, onboardingGuard]
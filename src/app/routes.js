@@ -0,0 +1,34 @@
+/**
+ * Application routes
+ * meta.public marks routes reachable without a session (meta.allowSession keeps them reachable with one),
+ * meta.layout 'bare' renders without the shell
+ */
+
+import LoginView from './components/LoginView/LoginView.js'
+import OnboardingView from './components/OnboardingView/OnboardingView.js'
+import Dashboard from './components/Dashboard/Dashboard.js'
+import ProjectDashboard from './components/ProjectDashboard/ProjectDashboard.js'
+import ChatInbox from './components/ChatInbox/ChatInbox.js'
+import AnalyticsView from './components/AnalyticsView/AnalyticsView.js'
+import InvitationView from './components/InvitationView/InvitationView.js'
+import SecuritySettings from './components/SecuritySettings/SecuritySettings.js'
+import AccountSettings from './components/AccountSettings/AccountSettings.js'
+
+export const routes = [
+  { name: 'login', path: '/login', view: LoginView, meta: { public: true, layout: 'bare' } },
+  { name: 'invitation', path: '/invite/:token', view: InvitationView, meta: { public: true, allowSession: true, layout: 'bare' } },
+  { name: 'onboarding', path: '/onboarding', view: OnboardingView, meta: { onboarding: true, layout: 'bare' } },
+  { name: 'root', path: '/', redirect: '/dashboard' },
+  { name: 'dashboard', path: '/dashboard', view: Dashboard },
+  { name: 'project', path: '/projects/:id', view: ProjectDashboard, props: { tab: 'overview' } },
+  { name: 'project-board', path: '/projects/:id/board', view: ProjectDashboard, props: { tab: 'board' } },
+  { name: 'project-timeline', path: '/projects/:id/timeline', view: ProjectDashboard, props: { tab: 'timeline' } },
+  { name: 'project-chat', path: '/projects/:id/chat', view: ProjectDashboard, props: { tab: 'chat' } },
+  { name: 'project-members', path: '/projects/:id/members', view: ProjectDashboard, props: { tab: 'members' } },
+  { name: 'chat', path: '/chat', view: ChatInbox },
+  { name: 'analytics', path: '/analytics', view: AnalyticsView },
+  { name: 'settings', path: '/settings', view: AccountSettings },
+  { name: 'settings-security', path: '/settings/security', view: SecuritySettings }
+]
+
+export default routes
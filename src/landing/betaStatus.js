@@ -0,0 +1,14 @@
+import './style.css'
+import '../shared/styles/anclora-design-system.css'
+
+import BetaStatus from './components/BetaStatus/BetaStatus.js'
+import themeUtil from '../shared/utils/theme.js'
+import i18n from '../shared/utils/i18n.js'
+
+// Entry point of beta/status.html, the page the waitlist emails link to
+document.addEventListener('DOMContentLoaded', () => {
+  themeUtil.init()
+  i18n.init()
+
+  BetaStatus.init('#beta-status')
+})
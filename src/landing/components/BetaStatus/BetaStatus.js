@@ -0,0 +1,140 @@
+// Beta Status Component - waitlist page opened from the emailed links
+// ?confirm=<token> confirms the signup first; ?token=<status token> shows the place in the
+// queue, the referral link and how many people joined through it
+import { betaWaitlistService, BETA_SIGNUP_STATUS, REFERRAL_BOOST } from '../../../shared/services/betaWaitlistService.js'
+import { sanitizeInput } from '../../../shared/utils/validation.js'
+import i18n from '../../../shared/utils/i18n.js'
+
+const cardClass = 'w-full max-w-lg bg-theme-surface text-theme-text rounded-anclora shadow-anclora border border-theme-border p-8 space-y-6 text-center'
+
+export default class BetaStatus {
+  constructor(container, options = {}) {
+    this.container = container
+    this.service = options.service || betaWaitlistService
+    this.params = new URLSearchParams(options.search ?? window.location.search)
+    this.status = null
+    this.confirmed = false
+    this.errorKey = null
+
+    this.handleLanguageChange = () => this.render()
+  }
+
+  async init() {
+    window.addEventListener('languageChanged', this.handleLanguageChange)
+    this.render()
+    await this.load()
+  }
+
+  destroy() {
+    window.removeEventListener('languageChanged', this.handleLanguageChange)
+  }
+
+  async load() {
+    const confirmation = this.params.get('confirm')
+    let token = this.params.get('token')
+
+    if (confirmation) {
+      try {
+        token = await this.service.confirm(confirmation)
+      } catch (error) {
+        console.warn('Beta signup confirmation failed:', error)
+        this.errorKey = 'statusConfirmFailed'
+        this.render()
+        return
+      }
+      this.confirmed = true
+      // Reloading the page shows the status instead of spending the confirmation link again
+      window.history.replaceState(null, '', `${window.location.pathname}?token=${encodeURIComponent(token)}`)
+    }
+
+    try {
+      this.status = await this.service.getStatus(token)
+      if (!this.status) this.errorKey = 'statusNotFound'
+    } catch (error) {
+      console.error('Error loading beta status:', error)
+      this.errorKey = 'statusLoadError'
+    }
+    this.render()
+  }
+
+  render() {
+    const t = i18n.getTranslations(null, 'beta')
+
+    let content
+    if (this.errorKey) {
+      content = `<p class="beta-status-error text-lg" role="alert">${t[this.errorKey]}</p>`
+    } else if (!this.status) {
+      content = `<p class="text-theme-text/70" aria-busy="true">${t.statusLoading}</p>`
+    } else {
+      content = this.renderStatus()
+    }
+
+    this.container.innerHTML = `
+      <main class="min-h-screen bg-theme-background flex items-center justify-center px-6 py-12">
+        <section class="beta-status ${cardClass}">
+          <h1 class="text-3xl font-bold font-baskerville">${t.statusTitle}</h1>
+          ${content}
+          <a href="/" class="inline-block text-sm text-theme-primary hover:underline">${t.statusBackHome}</a>
+        </section>
+      </main>
+    `
+
+    this.container.querySelector('[data-action="copy"]')?.addEventListener('click', () => this.copyReferralLink())
+  }
+
+  renderStatus() {
+    const t = i18n.getTranslations(null, 'beta')
+    const { status, position, queueSize, referralLink, referralCount } = this.status
+
+    let summary = `<p class="beta-status-message">${t.statusPending}</p>`
+    if (status === BETA_SIGNUP_STATUS.CONFIRMED) {
+      summary = `<p class="beta-status-position text-4xl font-bold text-theme-primary">${i18n.format('beta:statusPosition', { position, total: queueSize })}</p>`
+    } else if (status === BETA_SIGNUP_STATUS.INVITED) {
+      summary = `<p class="beta-status-message">${t.statusInvited}</p>`
+    }
+
+    // Pending signups are not in the queue yet, so their code would not count
+    const referral = status === BETA_SIGNUP_STATUS.PENDING ? '' : `
+      <div class="beta-referral space-y-3 pt-6 border-t border-theme-border">
+        <h2 class="text-xl font-semibold">${t.statusReferralTitle}</h2>
+        <p class="text-sm text-theme-text/80">${i18n.format('beta:statusReferralText', { boost: REFERRAL_BOOST })}</p>
+        <div class="flex gap-2">
+          <input class="beta-referral-link flex-1 px-3 py-2 rounded-anclora-sm border border-theme-border bg-theme-background text-theme-text text-sm" readonly value="${sanitizeInput(referralLink)}" aria-label="${t.statusReferralTitle}">
+          <button type="button" data-action="copy" class="px-4 py-2 rounded-anclora-sm bg-theme-primary text-theme-on-primary font-semibold text-sm">${t.statusCopyLink}</button>
+        </div>
+        <p class="beta-referral-count text-sm text-theme-text/80">${i18n.format('beta:statusReferralCount', { count: referralCount })}</p>
+      </div>
+    `
+
+    return `
+      ${this.confirmed ? `<p class="beta-status-confirmed font-semibold text-theme-success">${t.statusConfirmed}</p>` : ''}
+      <p class="text-sm text-theme-text/70">${sanitizeInput(this.status.email)}</p>
+      ${summary}
+      ${referral}
+    `
+  }
+
+  async copyReferralLink() {
+    const button = this.container.querySelector('[data-action="copy"]')
+    try {
+      await navigator.clipboard.writeText(this.status.referralLink)
+    } catch {
+      // Without clipboard access the link stays selected for a manual copy
+      this.container.querySelector('.beta-referral-link').select()
+      return
+    }
+    button.textContent = i18n.getTranslations(null, 'beta').statusLinkCopied
+  }
+
+  // Static method for easy initialization
+  static init(selector) {
+    const container = document.querySelector(selector)
+    if (container) {
+      const betaStatus = new BetaStatus(container)
+      betaStatus.init()
+      return betaStatus
+    }
+    console.warn(`BetaStatus: Container not found for selector "${selector}"`)
+    return null
+  }
+}
@@ -0,0 +1,82 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest'
+import BetaStatus from './BetaStatus.js'
+
+const confirmedStatus = {
+  email: 'ana@example.com',
+  status: 'confirmed',
+  position: 12,
+  queueSize: 40,
+  referralCode: 'AB12CD34',
+  referralCount: 2,
+  referralLink: 'http://localhost:3000/?ref=AB12CD34'
+}
+
+describe('BetaStatus Component', () => {
+  let container
+  let service
+
+  beforeEach(() => {
+    container = document.createElement('div')
+    document.body.appendChild(container)
+    service = {
+      confirm: vi.fn().mockResolvedValue('status-token'),
+      getStatus: vi.fn().mockResolvedValue(confirmedStatus)
+    }
+    vi.spyOn(console, 'warn').mockImplementation(() => {})
+  })
+
+  afterEach(() => {
+    vi.restoreAllMocks()
+    container.remove()
+  })
+
+  it('should confirm the signup and swap the confirmation link for the status link', async () => {
+    const replaceState = vi.spyOn(window.history, 'replaceState')
+    const betaStatus = new BetaStatus(container, { service, search: '?confirm=confirm-token' })
+
+    await betaStatus.init()
+
+    expect(service.confirm).toHaveBeenCalledWith('confirm-token')
+    expect(service.getStatus).toHaveBeenCalledWith('status-token')
+    expect(replaceState).toHaveBeenCalledWith(null, '', expect.stringContaining('?token=status-token'))
+    expect(container.querySelector('.beta-status-confirmed')).toBeTruthy()
+    expect(container.querySelector('.beta-status-position').textContent).toContain('12')
+    expect(container.querySelector('.beta-referral-link').value).toBe(confirmedStatus.referralLink)
+    expect(container.querySelector('.beta-referral-count').textContent).toContain('2')
+    betaStatus.destroy()
+  })
+
+  it('should show an error when the confirmation link is not valid', async () => {
+    service.confirm.mockRejectedValue(new Error('El enlace de confirmación ha caducado'))
+    const betaStatus = new BetaStatus(container, { service, search: '?confirm=old' })
+
+    await betaStatus.init()
+
+    expect(service.getStatus).not.toHaveBeenCalled()
+    expect(container.querySelector('.beta-status-error')).toBeTruthy()
+    betaStatus.destroy()
+  })
+
+  it('should show the status page of a token without a referral link while pending', async () => {
+    service.getStatus.mockResolvedValue({ ...confirmedStatus, status: 'pending', position: null })
+    const betaStatus = new BetaStatus(container, { service, search: '?token=status-token' })
+
+    await betaStatus.init()
+
+    expect(service.confirm).not.toHaveBeenCalled()
+    expect(container.querySelector('.beta-status-confirmed')).toBeNull()
+    expect(container.querySelector('.beta-status-message')).toBeTruthy()
+    expect(container.querySelector('.beta-referral')).toBeNull()
+    betaStatus.destroy()
+  })
+
+  it('should report unknown tokens', async () => {
+    service.getStatus.mockResolvedValue(null)
+    const betaStatus = new BetaStatus(container, { service, search: '?token=unknown' })
+
+    await betaStatus.init()
+
+    expect(container.querySelector('.beta-status-error')).toBeTruthy()
+    betaStatus.destroy()
+  })
+})
@@ -1,5 +1,5 @@
 // Final CTA Section Component
-import EmailService from '../../../shared/services/emailService.js'
+import { betaWaitlistService, BETA_SIGNUP_STATUS } from '../../../shared/services/betaWaitlistService.js'
 import i18n from '../../../shared/utils/i18n.js'
 
 export default class FinalCtaSection {
@@ -78,8 +78,8 @@ export default class FinalCtaSection {
             <div class="flex items-center justify-center space-x-2 text-green-800">
               <span class="text-2xl">🎉</span>
               <div>
-                <p class="font-bold">¡Bienvenido a la revolución!</p>
-                <p class="text-sm">Te contactaremos pronto con los detalles de acceso.</p>
+                <p class="beta-success-title font-bold"></p>
+                <p class="beta-success-text text-sm"></p>
               </div>
             </div>
           </div>
@@ -101,37 +101,49 @@ export default class FinalCtaSection {
         const email = emailInput.value.trim()
         if (!email) return
 
+        const t = i18n.getTranslations(null, 'beta')
+
         // Show loading state
-        submitBtn.textContent = 'Procesando...'
+        submitBtn.textContent = t.signupProcessing
         submitBtn.disabled = true
-        
-        // Send confirmation email
+
         try {
-          await EmailService.sendBetaEmail(email)
+          const result = await betaWaitlistService.join(email, {
+            referralCode: betaWaitlistService.getRememberedReferral(),
+            language: i18n.getCurrentLanguage()
+          })
 
           // Hide form and show success message
           form.style.display = 'none'
-          successMessage.classList.remove('hidden')
-
-          // Store email in localStorage for demo purposes
-          localStorage.setItem('beta-signup-email', email)
+          this.showSignupResult(successMessage, result, email)
 
           // Dispatch custom event
           window.dispatchEvent(new CustomEvent('betaSignup', {
-            detail: { email }
+            detail: { email, ...result }
           }))
-
-          console.log('Beta signup with email confirmation:', email)
         } catch (error) {
-          console.error('Error sending beta confirmation email:', error)
+          console.error('Error in beta signup:', error)
           // Show error message but don't reset form
-          submitBtn.textContent = 'Error - Reintentar'
+          submitBtn.textContent = t.signupRetry
           submitBtn.disabled = false
         }
       })
     }
   }
 
+  // Double opt-in: the signup only enters the waitlist once the emailed link is opened
+  showSignupResult(element, { status, duplicate }, email) {
+    const t = i18n.getTranslations(null, 'beta')
+    let textKey = 'signupPendingText'
+    if (duplicate) {
+      textKey = status === BETA_SIGNUP_STATUS.PENDING ? 'signupDuplicatePendingText' : 'signupDuplicateConfirmedText'
+    }
+
+    element.querySelector('.beta-success-title').textContent = duplicate ? t.signupDuplicateTitle : t.signupPendingTitle
+    element.querySelector('.beta-success-text').textContent = i18n.format(`beta:${textKey}`, { email })
+    element.classList.remove('hidden')
+  }
+
   setupLanguageListener() {
     window.addEventListener('languageChanged', (e) => {
       this.translations = e.detail.translations || i18n.getTranslations(e.detail.language)
@@ -1,22 +1,18 @@
 // Floating Controls Component - Theme and Language selectors in bottom left corner
+import { LANGUAGES, LANGUAGE_DETAILS, STORAGE_KEYS } from '../../../shared/utils/constants.js'
+import { THEME_ICONS } from '../../../shared/config/themes.js'
+import themeUtil from '../../../shared/utils/theme.js'
+
 export default class FloatingControls {
   constructor(container) {
     this.container = container
-    this.currentTheme = this.getStoredTheme() || this.getSystemTheme()
-    this.currentLanguage = this.getStoredLanguage() || 'es'
+    this.currentTheme = themeUtil.getSelectedTheme()
+    this.currentLanguage = this.getStoredLanguage() || LANGUAGES.ES
     this.init()
   }
 
-  getSystemTheme() {
-    return window.matchMedia('(prefers-color-scheme: dark)').matches ? 'dark' : 'light'
-  }
-
-  getStoredTheme() {
-    return localStorage.getItem('ANCLORA_THEME')
-  }
-
   getStoredLanguage() {
-    return localStorage.getItem('ANCLORA_LANGUAGE')
+    return localStorage.getItem(STORAGE_KEYS.LANGUAGE)
   }
 
   init() {
@@ -61,78 +57,36 @@ export default class FloatingControls {
 
   updateThemeIcon() {
     const icon = this.container.querySelector('.theme-icon')
-
-    if (!this.getStoredTheme()) {
-      // System theme
-      icon.textContent = '💻'
-    } else if (this.currentTheme === 'dark') {
-      icon.textContent = '🌙'
-    } else {
-      icon.textContent = '☀️'
-    }
+    icon.textContent = THEME_ICONS[this.currentTheme] || THEME_ICONS.custom
   }
 
   updateLanguageIcon() {
     const icon = this.container.querySelector('.language-icon')
 
-    if (this.currentLanguage === 'en') {
-      icon.textContent = '🇺🇸'
-    } else {
-      icon.textContent = '🇪🇸'
-    }
+    const details = LANGUAGE_DETAILS[this.currentLanguage] || LANGUAGE_DETAILS[LANGUAGES.ES]
+    icon.textContent = details.flag
+    icon.setAttribute('aria-label', details.name)
   }
 
   toggleTheme() {
-    let newTheme
-    const storedTheme = this.getStoredTheme()
-
-    if (!storedTheme) {
-      // Currently using system, switch to opposite
-      newTheme = this.getSystemTheme() === 'dark' ? 'light' : 'dark'
-    } else if (this.currentTheme === 'dark') {
-      newTheme = 'light'
-    } else {
-      newTheme = 'dark'
-    }
-
-    // Apply theme
-    this.currentTheme = newTheme
-    localStorage.setItem('ANCLORA_THEME', newTheme)
-    const root = document.documentElement
-    const body = document.body
-
-    if (newTheme === 'dark') {
-      root.classList.add('dark')
-      body.classList.add('dark')
-    } else {
-      root.classList.remove('dark')
-      body.classList.remove('dark')
-    }
-
-    // Update icon
+    // Light → dark → high contrast → system; the engine applies it and dispatches themeChanged
+    this.currentTheme = themeUtil.toggle()
     this.updateThemeIcon()
-
-    // Dispatch event
-    window.dispatchEvent(new CustomEvent('themeChanged', { detail: { theme: newTheme } }))
   }
 
   toggleLanguage() {
-    const newLang = this.currentLanguage === 'en' ? 'es' : 'en'
+    // Cycles through the supported languages in the order of LANGUAGES
+    const languages = Object.values(LANGUAGES)
+    const newLang = languages[(languages.indexOf(this.currentLanguage) + 1) % languages.length]
 
     // Apply language
     this.currentLanguage = newLang
-    localStorage.setItem('ANCLORA_LANGUAGE', newLang)
 
     // Update icon
     this.updateLanguageIcon()
 
-    // Dispatch event with translations
-    import('../../../shared/utils/i18n.js').then(({ default: i18n }) => {
-      const translations = i18n.getTranslations(newLang)
-      window.dispatchEvent(new CustomEvent('languageChanged', {
-        detail: { language: newLang, translations }
-      }))
-    })
+    // i18n persists the language and dispatches languageChanged with its translations
+    import('../../../shared/utils/i18n.js').then(({ default: i18n }) => i18n.setLanguage(newLang))
   }
 
   setupScrollBehavior() {
@@ -1,6 +1,6 @@
 // Hero Section Component with value proposition
 import Button from '../../../shared/components/Button/Button.js'
-import EmailService from '../../../shared/services/emailService.js'
+import { betaWaitlistService, BETA_SIGNUP_STATUS } from '../../../shared/services/betaWaitlistService.js'
 import i18n from '../../../shared/utils/i18n.js'
 
 export default class HeroSection {
@@ -94,8 +94,8 @@ export default class HeroSection {
               <div class="flex items-center justify-center space-x-2 text-green-800">
                 <span class="text-2xl">🎉</span>
                 <div>
-                  <p class="font-bold">¡Bienvenido a la revolución!</p>
-                  <p class="text-sm">Te contactaremos pronto con los detalles de acceso.</p>
+                  <p class="beta-success-title font-bold"></p>
+                  <p class="beta-success-text text-sm"></p>
                 </div>
               </div>
             </div>
@@ -141,10 +141,7 @@ export default class HeroSection {
 
   openDemoModal() {
     // For now, show alert - later implement demo modal
-    const currentLang = i18n.getCurrentLanguage()
-    const message = currentLang === 'es'
-      ? '🎬 Demo disponible próximamente!\n\nEstamos preparando una demostración interactiva. Por ahora puedes explorar las características más abajo.'
-      : '🎬 Demo coming soon!\n\nWe\'re preparing an interactive demonstration. For now, you can explore the features below.'
+    const message = i18n.translate('heroDemoComingSoon')
     
     alert(message)
     const featuresSection = document.getElementById('features')
@@ -182,39 +179,51 @@ export default class HeroSection {
         const email = emailInput.value.trim()
         if (!email) return
 
+        const t = i18n.getTranslations(null, 'beta')
+
         try {
           // Show loading state
-          submitBtn.textContent = 'Procesando...'
+          submitBtn.textContent = t.signupProcessing
           submitBtn.disabled = true
 
-          // Send beta confirmation email
-          await EmailService.sendBetaEmail(email)
+          const result = await betaWaitlistService.join(email, {
+            referralCode: betaWaitlistService.getRememberedReferral(),
+            language: i18n.getCurrentLanguage()
+          })
 
           // Hide form and show success message
           form.style.display = 'none'
-          successMessage.classList.remove('hidden')
-
-          // Store email in localStorage for demo purposes
-          localStorage.setItem('hero-beta-signup-email', email)
+          this.showSignupResult(successMessage, result, email)
 
           // Dispatch custom event
           window.dispatchEvent(new CustomEvent('heroBetaSignup', {
-            detail: { email }
+            detail: { email, ...result }
           }))
-
-          console.log('Hero beta signup:', email)
         } catch (error) {
           console.error('Error in hero beta signup:', error)
-          submitBtn.textContent = 'Error - Reintentar'
+          submitBtn.textContent = t.signupRetry
           submitBtn.disabled = false
 
           // Show error message to user
-          alert('Error al procesar la solicitud. Por favor, inténtalo de nuevo.')
+          alert(t.signupError)
         }
       })
     }
   }
 
+  // Double opt-in: the signup only enters the waitlist once the emailed link is opened
+  showSignupResult(element, { status, duplicate }, email) {
+    const t = i18n.getTranslations(null, 'beta')
+    let textKey = 'signupPendingText'
+    if (duplicate) {
+      textKey = status === BETA_SIGNUP_STATUS.PENDING ? 'signupDuplicatePendingText' : 'signupDuplicateConfirmedText'
+    }
+
+    element.querySelector('.beta-success-title').textContent = duplicate ? t.signupDuplicateTitle : t.signupPendingTitle
+    element.querySelector('.beta-success-text').textContent = i18n.format(`beta:${textKey}`, { email })
+    element.classList.remove('hidden')
+  }
+
   setupSecondaryCTA() {
     const secondaryCTA = this.container.querySelector('#cta-secondary')
 
@@ -6,4 +6,5 @@ export { default as PainSection } from './PainSection/PainSection.js'
 export { default as EpiphanySection } from './EpiphanySection/EpiphanySection.js'
 export { default as HowItWorksSection } from './HowItWorksSection/HowItWorksSection.js'
 export { default as OfferSection } from './OfferSection/OfferSection.js'
-export { default as FinalCtaSection } from './FinalCtaSection/FinalCtaSection.js'
\ No newline at end of file
+export { default as FinalCtaSection } from './FinalCtaSection/FinalCtaSection.js'
+export { default as BetaStatus } from './BetaStatus/BetaStatus.js'
@@ -13,6 +13,7 @@ import FinalCtaSection from './components/FinalCtaSection/FinalCtaSection.js'
 // Import utilities
 import themeUtil from '../shared/utils/theme.js'
 import i18n from '../shared/utils/i18n.js'
+import { betaWaitlistService } from '../shared/services/betaWaitlistService.js'
 
 // Landing page entry point
 console.log('Anclora Kairon Landing Page loaded')
@@ -25,6 +26,9 @@ document.addEventListener('DOMContentLoaded', () => {
   themeUtil.init()
   i18n.init()
   console.log('✅ Theme and i18n systems initialized')
+
+  // Visitors from a referral link (?ref=CODE, shared from the waitlist status page) sign up with it
+  betaWaitlistService.rememberReferral(new URLSearchParams(window.location.search).get('ref'))
   
   // Initialize components
   try {
@@ -3,7 +3,7 @@
 import DevSetup from './dev-setup.js'
 import fs from 'fs'
 import path from 'path'
-import { fileURLToPath } from 'url'
+import { fileURLToPath, pathToFileURL } from 'url'
 
 const __filename = fileURLToPath(import.meta.url)
 const __dirname = path.dirname(__filename)
@@ -47,7 +47,7 @@ class AutoSetup {
 }
 
 // Run auto-setup if this script is executed directly
-if (import.meta.url === `file://${process.argv[1]}`) {
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
   const autoSetup = new AutoSetup()
   autoSetup.run().catch(error => {
     console.error('❌ Auto-setup script failed:', error.message)
@@ -3,19 +3,20 @@
 import { execSync } from 'child_process'
 import fs from 'fs'
 import path from 'path'
-import { fileURLToPath } from 'url'
+import { fileURLToPath, pathToFileURL } from 'url'
+import PortInspector, { isDevServerProcess } from './portInspector.js'
+import { PROJECT_PORTS, PORTS_ENV_FILE, writePortOverrides } from './devPorts.js'
 
 const __filename = fileURLToPath(import.meta.url)
 const __dirname = path.dirname(__filename)
 
 class DevSetup {
-  constructor() {
+  constructor({ inspector = new PortInspector(), dryRun = false } = {}) {
     this.projectRoot = path.resolve(__dirname, '../..')
-    this.ports = {
-      landing: 5174,
-      app: 5175,
-      production: 4174
-    }
+    this.inspector = inspector
+    this.dryRun = dryRun
+    this.ports = { ...PROJECT_PORTS }
+    this.activePorts = { ...PROJECT_PORTS }
   }
 
   // Check if virtual environment is active (Node.js nvm or Python venv)
@@ -47,56 +48,60 @@ class DevSetup {
     }
   }
 
-  // Check and manage ports
+  // Check and manage ports: stop stale dev servers, move to a fallback port when
+  // something else holds one, and write the result for the Vite configs
   async checkPorts() {
     console.log('🔍 Checking port availability...')
 
     const occupiedPorts = []
+    const overrides = {}
+    const reserved = Object.values(this.ports)
 
     for (const [service, port] of Object.entries(this.ports)) {
-      try {
-        // Check if port is in use (Windows)
-        const netstatOutput = execSync(`netstat -ano | findstr :${port}`, { encoding: 'utf8' })
-
-        if (netstatOutput.trim()) {
-          console.log(`⚠️  Port ${port} (${service}) is occupied`)
-
-          // Extract PID from netstat output
-          const lines = netstatOutput.trim().split('\n')
-          for (const line of lines) {
-            if (line.includes(`:${port}`)) {
-              const parts = line.trim().split(/\s+/)
-              const pid = parts[parts.length - 1]
-
-              if (pid && pid !== '0') {
-                console.log(`🔍 Found process PID: ${pid} on port ${port}`)
-
-                // Check if it's a development server (likely Node.js)
-                try {
-                  const taskInfo = execSync(`tasklist /FI "PID eq ${pid}" /FO CSV /NH`, { encoding: 'utf8' })
-                  if (taskInfo.includes('node.exe') || taskInfo.includes('vite')) {
-                    console.log(`🛑 Killing development server (PID: ${pid}) on port ${port}`)
-                    execSync(`taskkill /PID ${pid} /F`, { stdio: 'inherit' })
-                    console.log(`✅ Killed process ${pid} on port ${port}`)
-                  } else {
-                    console.log(`⚠️  Process ${pid} is not a development server, leaving it running`)
-                  }
-                } catch (error) {
-                  console.log(`ℹ️  Could not identify process ${pid}, leaving it running`)
-                }
-              }
-            }
-          }
-
-          occupiedPorts.push(port)
+      const { processes, tool } = this.inspector.findProcesses(port)
+
+      if (processes.length === 0 && await this.inspector.isPortFree(port)) {
+        console.log(`✅ Port ${port} (${service}) is available`)
+        continue
+      }
+
+      console.log(`⚠️  Port ${port} (${service}) is occupied${tool ? ` (found with ${tool})` : ''}`)
+      occupiedPorts.push(port)
+
+      for (const item of processes) {
+        if (!item.pid) {
+          console.log('ℹ️  It belongs to another user, leaving it running')
+        } else if (!isDevServerProcess(item)) {
+          console.log(`⚠️  Process ${item.pid} (${item.command || 'unknown'}) is not a development server, leaving it running`)
+        } else if (this.dryRun) {
+          console.log(`🔍 Would stop development server (PID: ${item.pid}) on port ${port}`)
         } else {
-          console.log(`✅ Port ${port} (${service}) is available`)
+          console.log(`🛑 Killing development server (PID: ${item.pid}) on port ${port}`)
+          const killed = await this.inspector.killProcess(item.pid)
+          console.log(killed ? `✅ Killed process ${item.pid} on port ${port}` : `❌ Could not stop process ${item.pid}`)
         }
-      } catch (error) {
-        // netstat command failed, port is likely available
-        console.log(`✅ Port ${port} (${service}) is available`)
+      }
+
+      if (this.dryRun || await this.inspector.isPortFree(port)) continue
+
+      const fallback = await this.inspector.findFreePort(port + 1, {
+        exclude: [...reserved, ...Object.values(overrides)]
+      })
+      if (fallback) {
+        overrides[service] = fallback
+        console.log(`↪️  ${service} will use port ${fallback} instead`)
+      } else {
+        console.log(`❌ No free port found near ${port} for ${service}`)
+      }
+    }
+
+    if (!this.dryRun) {
+      writePortOverrides(overrides, this.projectRoot)
+      if (Object.keys(overrides).length > 0) {
+        console.log(`📝 Fallback ports written to ${PORTS_ENV_FILE}`)
       }
     }
+    this.activePorts = { ...this.ports, ...overrides }
 
     return occupiedPorts
   }
@@ -118,14 +123,16 @@ class DevSetup {
       // Step 3: Summary
       if (occupiedPorts.length === 0) {
         console.log('✅ All ports are available')
+      } else if (this.dryRun) {
+        console.log(`ℹ️  Dry run: ${occupiedPorts.length} occupied port(s) left untouched`)
       } else {
-        console.log(`⚠️  Cleaned up ${occupiedPorts.length} occupied port(s)`)
+        console.log(`⚠️  Handled ${occupiedPorts.length} occupied port(s)`)
       }
 
       console.log('\n🎯 Ready for development!')
-      console.log(`📖 Check PUERTOS.md for port configuration`)
-      console.log(`🔗 Landing Page: http://localhost:${this.ports.landing}`)
-      console.log(`🔗 Main App: http://localhost:${this.ports.app}`)
+      console.log('📖 Check docs/PUERTOS_ANCLORA_KAIRON.md for port configuration')
+      console.log(`🔗 Landing Page: http://localhost:${this.activePorts.landing}`)
+      console.log(`🔗 Main App: http://localhost:${this.activePorts.app}`)
 
     } catch (error) {
       console.error('❌ Setup failed:', error.message)
@@ -135,8 +142,8 @@ class DevSetup {
 }
 
 // Run setup if this script is executed directly
-if (import.meta.url === `file://${process.argv[1]}`) {
-  const setup = new DevSetup()
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  const setup = new DevSetup({ dryRun: process.argv.includes('--dry-run') })
   setup.setup()
 }
 
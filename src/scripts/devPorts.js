@@ -0,0 +1,81 @@
+// Development port map shared by the setup scripts and the Vite configs
+// When a port is taken by something that is not ours, dev-setup.js picks a free fallback and
+// writes it to .env.ports.local; the Vite configs read it from there
+import fs from 'fs'
+import path from 'path'
+import { fileURLToPath } from 'url'
+
+const __filename = fileURLToPath(import.meta.url)
+const __dirname = path.dirname(__filename)
+
+export const PROJECT_ROOT = path.resolve(__dirname, '../..')
+
+export const PROJECT_PORTS = {
+  landing: 5174,
+  app: 5175,
+  production: 4174
+}
+
+// Env variable holding each service's fallback port
+export const PORT_ENV_KEYS = {
+  landing: 'VITE_LANDING_PORT',
+  app: 'VITE_APP_PORT',
+  production: 'VITE_PREVIEW_PORT'
+}
+
+// Ignored by git through the *.local pattern
+export const PORTS_ENV_FILE = '.env.ports.local'
+
+/**
+ * Read the fallback ports written by dev-setup.js
+ * @param {string} root - Project root
+ * @returns {Object} Fallback port by service, only for services that have one
+ */
+export function readPortOverrides(root = PROJECT_ROOT) {
+  const file = path.join(root, PORTS_ENV_FILE)
+  if (!fs.existsSync(file)) return {}
+
+  const values = {}
+  for (const line of fs.readFileSync(file, 'utf8').split(/\r?\n/)) {
+    const match = line.match(/^\s*([A-Z_]+)\s*=\s*(\d+)\s*$/)
+    if (match) values[match[1]] = parseInt(match[2], 10)
+  }
+
+  const overrides = {}
+  for (const [service, key] of Object.entries(PORT_ENV_KEYS)) {
+    if (values[key]) overrides[service] = values[key]
+  }
+  return overrides
+}
+
+/**
+ * Write the fallback ports, removing the file once every service is back on its own port
+ * @param {Object} overrides - Fallback port by service
+ * @param {string} root - Project root
+ */
+export function writePortOverrides(overrides, root = PROJECT_ROOT) {
+  const file = path.join(root, PORTS_ENV_FILE)
+  const lines = Object.entries(overrides)
+    .filter(([service, port]) => PORT_ENV_KEYS[service] && port && port !== PROJECT_PORTS[service])
+    .map(([service, port]) => `${PORT_ENV_KEYS[service]}=${port}`)
+
+  if (lines.length === 0) {
+    if (fs.existsSync(file)) fs.unlinkSync(file)
+    return
+  }
+
+  const header = '# Written by src/scripts/dev-setup.js: fallback ports while the usual ones are taken\n'
+  fs.writeFileSync(file, header + lines.join('\n') + '\n')
+}
+
+/**
+ * Port a service should use: the env variable if set (e.g. VITE_APP_PORT=5185 npm run dev:app),
+ * then the fallback written by dev-setup.js, then the usual port
+ * @param {string} service - landing, app or production
+ * @param {string} root - Project root
+ * @returns {number} Port
+ */
+export function getDevPort(service, root = PROJECT_ROOT) {
+  const fromEnv = parseInt(process.env[PORT_ENV_KEYS[service]], 10)
+  return fromEnv || readPortOverrides(root)[service] || PROJECT_PORTS[service]
+}
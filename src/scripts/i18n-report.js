@@ -0,0 +1,187 @@
+// i18n Report - Compares every locale in src/shared/locales with the Spanish reference
+// Lists per namespace the keys a language lacks (they fall back to Spanish at runtime), keys only
+// that language has, messages whose {placeholders} differ from Spanish and messages that do not parse
+import fs from 'fs'
+import path from 'path'
+import { fileURLToPath, pathToFileURL } from 'url'
+import { getMessageArguments } from '../shared/utils/messageFormat.js'
+
+const __filename = fileURLToPath(import.meta.url)
+const __dirname = path.dirname(__filename)
+
+export const DEFAULT_LOCALES_DIR = path.resolve(__dirname, '../shared/locales')
+export const REFERENCE_LANGUAGE = 'es'
+
+/**
+ * Import every <language>/<namespace>.js file of a locales directory
+ * @param {string} dir - Locales directory
+ * @returns {Promise<Object>} Messages by language and namespace
+ */
+export async function loadLocales(dir = DEFAULT_LOCALES_DIR) {
+  const locales = {}
+  const languages = fs.readdirSync(dir, { withFileTypes: true })
+    .filter(entry => entry.isDirectory())
+    .map(entry => entry.name)
+    .sort()
+
+  for (const language of languages) {
+    locales[language] = {}
+    const files = fs.readdirSync(path.join(dir, language)).filter(file => file.endsWith('.js')).sort()
+    for (const file of files) {
+      const localeModule = await import(pathToFileURL(path.join(dir, language, file)).href)
+      locales[language][path.basename(file, '.js')] = localeModule.default || {}
+    }
+  }
+  return locales
+}
+
+function argumentsOf(message) {
+  try {
+    return { names: getMessageArguments(message) }
+  } catch (error) {
+    return { error: error.message }
+  }
+}
+
+/**
+ * Compare the messages of one namespace with the reference ones
+ * @param {Object} reference - Reference messages
+ * @param {Object} messages - Messages of the language being checked
+ * @returns {Object} { missing, extra, placeholders: [{ key, expected, actual }], invalid: [{ key, error }] }
+ */
+export function compareMessages(reference, messages) {
+  const result = { missing: [], extra: [], placeholders: [], invalid: [] }
+
+  Object.keys(reference).forEach(key => {
+    if (!(key in messages)) result.missing.push(key)
+  })
+
+  Object.keys(messages).forEach(key => {
+    if (!(key in reference)) {
+      result.extra.push(key)
+      return
+    }
+
+    const actual = argumentsOf(messages[key])
+    if (actual.error) {
+      result.invalid.push({ key, error: actual.error })
+      return
+    }
+    const expected = argumentsOf(reference[key])
+    if (!expected.error && expected.names.join() !== actual.names.join()) {
+      result.placeholders.push({ key, expected: expected.names, actual: actual.names })
+    }
+  })
+
+  return result
+}
+
+/**
+ * @param {Object} locales - Messages by language and namespace, as loadLocales returns them
+ * @param {Object} options - { reference, languages } to check only some languages
+ * @returns {Object} { reference, languages: { [language]: { missingNamespaces, namespaces, problems } }, problems }
+ */
+export function buildReport(locales, options = {}) {
+  const reference = options.reference || REFERENCE_LANGUAGE
+  if (!locales[reference]) throw new Error(`Reference language "${reference}" has no locale files`)
+
+  const languages = (options.languages || Object.keys(locales)).filter(language => language !== reference)
+  const report = { reference, languages: {}, problems: 0 }
+
+  // The reference is checked against itself so messages that do not parse show up there too
+  const checked = [reference, ...languages]
+  checked.forEach(language => {
+    if (!locales[language]) throw new Error(`Unknown language "${language}"`)
+
+    const entry = { missingNamespaces: [], namespaces: {}, problems: 0 }
+    Object.entries(locales[reference]).forEach(([namespace, messages]) => {
+      if (!locales[language][namespace]) {
+        entry.missingNamespaces.push(namespace)
+        entry.problems += Object.keys(messages).length
+        return
+      }
+      const comparison = compareMessages(messages, locales[language][namespace])
+      entry.namespaces[namespace] = comparison
+      entry.problems += comparison.missing.length + comparison.placeholders.length + comparison.invalid.length
+    })
+
+    report.languages[language] = entry
+    report.problems += entry.problems
+  })
+
+  return report
+}
+
+/**
+ * @param {Object} report - Report from buildReport
+ * @returns {string} Report for the terminal
+ */
+export function formatReport(report) {
+  const lines = ['🌐 Anclora Kairon i18n Report', '============================', `Reference: ${report.reference}`, '']
+
+  Object.entries(report.languages).forEach(([language, entry]) => {
+    lines.push(`${entry.problems ? '⚠️ ' : '✅'} ${language}: ${entry.problems} problem${entry.problems === 1 ? '' : 's'}`)
+
+    entry.missingNamespaces.forEach(namespace => {
+      lines.push(`   ❌ ${namespace}: namespace file missing, every key falls back to ${report.reference}`)
+    })
+
+    Object.entries(entry.namespaces).forEach(([namespace, comparison]) => {
+      comparison.missing.forEach(key => lines.push(`   ❌ ${namespace}:${key} missing`))
+      comparison.placeholders.forEach(({ key, expected, actual }) => {
+        lines.push(`   ⚠️  ${namespace}:${key} uses {${actual.join(', ')}}, ${report.reference} uses {${expected.join(', ')}}`)
+      })
+      comparison.invalid.forEach(({ key, error }) => lines.push(`   ❌ ${namespace}:${key} does not parse: ${error}`))
+      comparison.extra.forEach(key => lines.push(`   🔍 ${namespace}:${key} not in ${report.reference} (unused?)`))
+    })
+  })
+
+  return lines.join('\n')
+}
+
+function parseArgs(args) {
+  const options = { dir: DEFAULT_LOCALES_DIR, languages: null, json: false, strict: false }
+
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === '--lang') options.languages = args[++i].split(',')
+    else if (args[i] === '--dir') options.dir = path.resolve(args[++i])
+    else if (args[i] === '--json') options.json = true
+    else if (args[i] === '--strict') options.strict = true
+    else throw new Error(`Unknown option: ${args[i]}`)
+  }
+  return options
+}
+
+function printUsage() {
+  console.log('Usage:')
+  console.log('  node src/scripts/i18n-report.js                # Every language against es')
+  console.log('  node src/scripts/i18n-report.js --lang en,pt   # Only some languages')
+  console.log('  node src/scripts/i18n-report.js --json         # Machine-readable output')
+  console.log('  node src/scripts/i18n-report.js --strict       # Exit with 1 when there are problems (CI)')
+}
+
+// CLI interface
+async function main() {
+  let options
+  try {
+    options = parseArgs(process.argv.slice(2))
+  } catch (error) {
+    console.error(`❌ ${error.message}`)
+    printUsage()
+    process.exit(1)
+  }
+
+  try {
+    const report = buildReport(await loadLocales(options.dir), { languages: options.languages })
+    console.log(options.json ? JSON.stringify(report, null, 2) : formatReport(report))
+    if (options.strict && report.problems > 0) process.exit(1)
+  } catch (error) {
+    console.error(`❌ ${error.message}`)
+    process.exit(1)
+  }
+}
+
+// Run if executed directly
+if (process.argv[1] && process.argv[1].includes('i18n-report.js')) {
+  main()
+}
@@ -0,0 +1,44 @@
+import { describe, it, expect } from 'vitest'
+import { buildReport, compareMessages, formatReport, loadLocales } from './i18n-report.js'
+
+const locales = {
+  es: {
+    common: { hello: 'Hola {name}', tasks: '{count, plural, one {# tarea} other {# tareas}}', bye: 'Adiós' },
+    auth: { NETWORK_ERROR: 'Error de conexión' }
+  },
+  pt: {
+    common: { hello: 'Olá {nome}', tasks: '{count, plural, one {# tarefa}}', extra: 'Extra' }
+  }
+}
+
+describe('compareMessages', () => {
+  it('should find missing and extra keys, different placeholders and messages that do not parse', () => {
+    expect(compareMessages(locales.es.common, locales.pt.common)).toEqual({
+      missing: ['bye'],
+      extra: ['extra'],
+      placeholders: [{ key: 'hello', expected: ['name'], actual: ['nome'] }],
+      invalid: [{ key: 'tasks', error: expect.stringContaining('plural needs an "other" option') }]
+    })
+  })
+})
+
+describe('buildReport', () => {
+  it('should count problems per language, including namespaces without a file', () => {
+    const report = buildReport(locales)
+
+    expect(report.languages.es.problems).toBe(0)
+    expect(report.languages.pt.missingNamespaces).toEqual(['auth'])
+    // bye + hello + tasks + the auth key; extra keys are listed but not counted
+    expect(report.languages.pt.problems).toBe(4)
+    expect(report.problems).toBe(4)
+    expect(formatReport(report)).toContain('❌ auth: namespace file missing, every key falls back to es')
+    expect(() => buildReport(locales, { languages: ['fr'] })).toThrow('Unknown language "fr"')
+  })
+
+  it('should pass for the locale files in the repository', async () => {
+    const report = buildReport(await loadLocales())
+
+    expect(Object.keys(report.languages)).toEqual(expect.arrayContaining(['es', 'en']))
+    expect(report.problems).toBe(0)
+  })
+})
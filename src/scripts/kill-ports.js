@@ -1,132 +1,95 @@
 #!/usr/bin/env node
-// Port Killer Script - Force kills processes on specified ports
-import { execSync } from 'child_process'
-import fs from 'fs'
-import path from 'path'
-import { fileURLToPath } from 'url'
-
-const __filename = fileURLToPath(import.meta.url)
-const __dirname = path.dirname(__filename)
+// Port Killer Script - Stops the processes listening on the project ports (Linux, macOS and Windows)
+import PortInspector from './portInspector.js'
+import { PROJECT_PORTS } from './devPorts.js'
 
 class PortKiller {
-  constructor() {
-    this.projectRoot = path.resolve(__dirname, '../..')
-    this.ports = {
-      landing: 5174,
-      app: 5175,
-      production: 4174
-    }
+  constructor({ inspector = new PortInspector(), dryRun = false } = {}) {
+    this.inspector = inspector
+    this.dryRun = dryRun
+    this.ports = { ...PROJECT_PORTS }
   }
 
-  // Get all PIDs using specified ports
-  getPortPIDs(port) {
-    try {
-      console.log(`🔍 Checking port ${port}...`)
-      const output = execSync(`netstat -ano | findstr :${port}`, { encoding: 'utf8' })
-      const pids = new Set()
-
-      console.log(`Debug: netstat output for port ${port}:`, output.trim() || '(empty)')
-
-      if (output && output.trim()) {
-        const lines = output.trim().split('\n')
-        console.log(`Debug: Found ${lines.length} lines in netstat output`)
-
-        for (const line of lines) {
-          console.log(`Debug: Processing line: "${line}"`)
-
-          if (line.includes(`:${port}`)) {
-            const parts = line.trim().split(/\s+/)
-            const pid = parts[parts.length - 1]
-            console.log(`Debug: Extracted PID: "${pid}" from parts:`, parts)
-
-            if (pid && pid !== '0' && !isNaN(parseInt(pid))) {
-              console.log(`✅ Found valid PID: ${pid} on port ${port}`)
-              pids.add(pid)
-            } else {
-              console.log(`❌ Invalid PID: "${pid}"`)
-            }
-          }
-        }
-      } else {
-        console.log(`✅ Port ${port} is available`)
-      }
+  // Describe the processes on a port; returns them
+  listPort(port, service = null) {
+    const label = service ? `${port} (${service})` : `${port}`
+    const { processes, tool } = this.inspector.findProcesses(port)
 
-      return Array.from(pids)
-    } catch (error) {
-      console.log(`✅ Port ${port} is available (netstat command failed/returned empty)`)
-      return []
+    if (processes.length === 0) {
+      console.log(`✅ Port ${label} is free`)
+      return processes
     }
+
+    console.log(`🛑 Port ${label} is in use${tool ? ` (found with ${tool})` : ''}:`)
+    for (const item of processes) {
+      console.log(item.pid
+        ? `   📋 PID ${item.pid} - ${item.command || 'unknown command'}`
+        : '   📋 A process owned by another user (run as administrator/root to see it)')
+    }
+    return processes
   }
 
-  // Kill process by PID
-  killPID(pid) {
-    try {
-      // First try graceful termination
-      execSync(`taskkill /PID ${pid} /T`, { stdio: 'inherit' })
-      console.log(`✅ Gracefully terminated PID: ${pid}`)
-      return true
-    } catch (error) {
-      try {
-        // Force kill if graceful fails
-        execSync(`taskkill /PID ${pid} /F /T`, { stdio: 'inherit' })
-        console.log(`🔨 Force killed PID: ${pid}`)
-        return true
-      } catch (forceError) {
-        console.error(`❌ Failed to kill PID: ${pid}`)
-        return false
+  // Stop every visible process on a port
+  async killProcesses(processes) {
+    let killed = 0
+    const errors = []
+
+    for (const item of processes) {
+      if (!item.pid) {
+        errors.push('unknown')
+        continue
+      }
+
+      if (await this.inspector.killProcess(item.pid)) {
+        console.log(`✅ Stopped PID: ${item.pid}`)
+        killed++
+      } else {
+        console.error(`❌ Failed to stop PID: ${item.pid}`)
+        errors.push(item.pid)
       }
     }
+
+    return { killed, errors }
   }
 
   // Main function to kill all project ports
   async killAllPorts() {
     console.log('🔪 Anclora Kairon Port Killer')
     console.log('==============================\n')
+    if (this.dryRun) console.log('ℹ️  Dry run: listing only, nothing will be stopped\n')
 
     let killedCount = 0
+    let busyCount = 0
     const errors = []
 
     for (const [service, port] of Object.entries(this.ports)) {
-      console.log(`🔍 Checking port ${port} (${service})...`)
-
-      const pids = this.getPortPIDs(port)
+      const processes = this.listPort(port, service)
+      if (processes.length > 0) busyCount++
 
-      if (pids.length === 0) {
-        console.log(`✅ Port ${port} is already free`)
-      } else {
-        console.log(`🛑 Found ${pids.length} process(es) on port ${port}: ${pids.join(', ')}`)
-
-        for (const pid of pids) {
-          // Get process info before killing
-          try {
-            const taskInfo = execSync(`tasklist /FI "PID eq ${pid}" /FO CSV /NH`, { encoding: 'utf8' })
-            console.log(`📋 Process info: ${taskInfo.trim()}`)
-          } catch (error) {
-            console.log(`📋 Could not get process info for PID ${pid}`)
-          }
-
-          // Kill the process
-          if (this.killPID(pid)) {
-            killedCount++
-          } else {
-            errors.push(pid)
-          }
-        }
+      if (!this.dryRun && processes.length > 0) {
+        const result = await this.killProcesses(processes)
+        killedCount += result.killed
+        errors.push(...result.errors)
       }
       console.log('')
     }
 
     // Summary
     console.log('📊 Summary:')
+    if (this.dryRun) {
+      console.log(busyCount === 0 ? 'ℹ️  All ports are free' : `ℹ️  ${busyCount} port(s) in use`)
+      return true
+    }
+
     console.log(`✅ Successfully killed: ${killedCount} process(es)`)
 
     if (errors.length > 0) {
       console.log(`❌ Failed to kill: ${errors.length} process(es) - ${errors.join(', ')}`)
     }
 
-    if (killedCount === 0) {
+    if (killedCount === 0 && errors.length === 0) {
       console.log('ℹ️  All ports were already free')
-    } else {
+    } else if (errors.length === 0) {
       console.log('\n🎯 All project ports are now available!')
     }
 
@@ -135,49 +98,48 @@ class PortKiller {
 
   // Kill specific port only
   async killPort(port) {
-    console.log(`🔪 Killing processes on port ${port}...`)
-
-    const pids = this.getPortPIDs(port)
-
-    if (pids.length === 0) {
-      console.log(`✅ Port ${port} is already free`)
-      return true
-    }
+    const processes = this.listPort(port)
+    if (this.dryRun || processes.length === 0) return true
 
-    let successCount = 0
-    for (const pid of pids) {
-      if (this.killPID(pid)) {
-        successCount++
-      }
-    }
+    console.log(`🔪 Killing processes on port ${port}...`)
+    const { killed, errors } = await this.killProcesses(processes)
 
-    console.log(`✅ Successfully killed ${successCount}/${pids.length} process(es) on port ${port}`)
-    return successCount === pids.length
+    console.log(`✅ Successfully killed ${killed}/${processes.length} process(es) on port ${port}`)
+    return errors.length === 0
   }
 }
 
+function printUsage() {
+  console.log('Usage:')
+  console.log('  node src/scripts/kill-ports.js                    # Kill all project ports')
+  console.log('  node src/scripts/kill-ports.js --port 5174        # Kill specific port')
+  console.log('  node src/scripts/kill-ports.js --dry-run          # Only list what is on the ports')
+  console.log('  node src/scripts/kill-ports.js --port 5174 --dry-run')
+}
+
 // CLI interface
 async function main() {
   const args = process.argv.slice(2)
-  const killer = new PortKiller()
+  const dryRun = args.includes('--dry-run')
+  const rest = args.filter(arg => arg !== '--dry-run')
+  const killer = new PortKiller({ dryRun })
 
-  if (args.length === 0) {
+  if (rest.length === 0) {
     // Kill all project ports
     await killer.killAllPorts()
-  } else if (args[0] === '--port' && args[1]) {
+  } else if (rest[0] === '--port' && rest[1] && rest.length === 2) {
     // Kill specific port
-    const port = parseInt(args[1])
+    const port = parseInt(rest[1], 10)
     if (isNaN(port)) {
       console.error('❌ Invalid port number')
       process.exit(1)
     }
     await killer.killPort(port)
   } else {
-    console.log('Usage:')
-    console.log('  node src/scripts/kill-ports.js          # Kill all project ports')
-    console.log('  node src/scripts/kill-ports.js --port 5174  # Kill specific port')
+    printUsage()
     process.exit(1)
   }
+  // Ports that could not be freed do not fail the script: dev-setup.js moves to a fallback port
 }
 
 // Run if executed directly
@@ -188,4 +150,4 @@ if (process.argv[1] && process.argv[1].includes('kill-ports.js')) {
   })
 }
 
-export default PortKiller
\ No newline at end of file
+export default PortKiller
@@ -0,0 +1,249 @@
+#!/usr/bin/env node
+// Log Collector - Receives the batches errorLogger ships (see src/shared/services/logShipper.js)
+// and appends them to one NDJSON file per day, for local development and CI runs
+// POST /logs takes NDJSON, optionally gzip-compressed; GET /health answers 200
+// POST /v1/traces takes OTLP/JSON spans (src/shared/services/tracing.js) and appends each request
+// as one line of traces/<date>.jsonl, which the OpenTelemetry Collector's otlpjsonfile receiver reads
+import http from 'http'
+import fs from 'fs'
+import path from 'path'
+import zlib from 'zlib'
+import { fileURLToPath } from 'url'
+
+const __filename = fileURLToPath(import.meta.url)
+const __dirname = path.dirname(__filename)
+
+export const DEFAULT_COLLECTOR_PORT = 4180
+export const DEFAULT_LOG_DIR = path.resolve(__dirname, '../../logs/remote')
+
+const MAX_BODY_BYTES = 1024 * 1024
+
+/**
+ * Parse an NDJSON body into entries; blank lines are skipped and a line that is not a JSON
+ * object fails the whole batch, so a client bug does not go unnoticed
+ * @param {string} text - Request body
+ * @returns {Array<Object>} Entries
+ */
+export function parseNdjson(text) {
+  return String(text || '')
+    .split(/\r?\n/)
+    .filter(line => line.trim())
+    .map((line, index) => {
+      let entry
+      try {
+        entry = JSON.parse(line)
+      } catch (error) {
+        throw new Error(`Line ${index + 1} is not valid JSON`)
+      }
+      if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+        throw new Error(`Line ${index + 1} is not a JSON object`)
+      }
+      return entry
+    })
+}
+
+/**
+ * Parse an OTLP/JSON ExportTraceServiceRequest
+ * @param {string} text - Request body
+ * @returns {Object} Request
+ */
+export function parseTraceRequest(text) {
+  let request
+  try {
+    request = JSON.parse(text)
+  } catch (error) {
+    throw new Error('Body is not valid JSON')
+  }
+  if (!Array.isArray(request?.resourceSpans)) {
+    throw new Error('Body is not an OTLP trace request (resourceSpans is missing)')
+  }
+  return request
+}
+
+/**
+ * @param {Object} request - ExportTraceServiceRequest
+ * @returns {number} Spans in the request
+ */
+export function countSpans(request) {
+  return request.resourceSpans.reduce((total, resourceSpan) => total + (resourceSpan.scopeSpans || [])
+    .reduce((sum, scopeSpan) => sum + (scopeSpan.spans || []).length, 0), 0)
+}
+
+/**
+ * @param {Date} date - Date
+ * @param {string} extension - File extension
+ * @returns {string} File name for that day, e.g. 2024-05-01.ndjson
+ */
+export function logFileName(date = new Date(), extension = 'ndjson') {
+  return `${date.toISOString().slice(0, 10)}.${extension}`
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = []
+    let size = 0
+
+    req.on('data', chunk => {
+      size += chunk.length
+      if (size > MAX_BODY_BYTES) {
+        reject(Object.assign(new Error('Payload too large'), { status: 413 }))
+        req.destroy()
+        return
+      }
+      chunks.push(chunk)
+    })
+    req.on('end', () => resolve(Buffer.concat(chunks)))
+    req.on('error', reject)
+  })
+}
+
+function decodeBody(buffer, encoding) {
+  if (encoding === 'gzip') {
+    try {
+      return zlib.gunzipSync(buffer, { maxOutputLength: MAX_BODY_BYTES * 10 }).toString('utf8')
+    } catch (error) {
+      throw Object.assign(new Error('Invalid gzip body'), { status: 400 })
+    }
+  }
+  return buffer.toString('utf8')
+}
+
+// Browsers send the key as a Bearer token, beacons as ?api_key=
+function isAuthorized(req, url, apiKey) {
+  if (!apiKey) return true
+  return req.headers.authorization === `Bearer ${apiKey}` || url.searchParams.get('api_key') === apiKey
+}
+
+function send(res, status, body = null) {
+  res.writeHead(status, body ? { 'Content-Type': 'application/json' } : {})
+  res.end(body ? JSON.stringify(body) : undefined)
+}
+
+async function appendLines(file, lines) {
+  await fs.promises.mkdir(path.dirname(file), { recursive: true })
+  await fs.promises.appendFile(file, lines.join('\n') + '\n')
+}
+
+async function handleLogs(req, { dir, onEntries }) {
+  const entries = parseNdjson(decodeBody(await readBody(req), req.headers['content-encoding']))
+  const receivedAt = new Date()
+
+  if (entries.length > 0) {
+    const lines = entries.map(entry => JSON.stringify({ ...entry, receivedAt: receivedAt.toISOString() }))
+    await appendLines(path.join(dir, logFileName(receivedAt)), lines)
+  }
+  onEntries?.(entries)
+}
+
+async function handleTraces(req, { dir, onSpans }) {
+  const request = parseTraceRequest(decodeBody(await readBody(req), req.headers['content-encoding']))
+  const spanCount = countSpans(request)
+
+  if (spanCount > 0) {
+    await appendLines(path.join(dir, 'traces', logFileName(new Date(), 'jsonl')), [JSON.stringify(request)])
+  }
+  onSpans?.(spanCount)
+}
+
+/**
+ * Create the collector server (not listening yet)
+ * @param {Object} options - Options
+ * @param {string} options.dir - Directory for the NDJSON files
+ * @param {string} options.apiKey - Key clients must send; none means anyone may post
+ * @param {Function} options.onEntries - Called with the entries of every accepted batch
+ * @param {Function} options.onSpans - Called with the span count of every accepted trace request
+ * @returns {http.Server} Server
+ */
+export function createLogCollector({ dir = DEFAULT_LOG_DIR, apiKey = null, onEntries = null, onSpans = null } = {}) {
+  const routes = {
+    '/logs': req => handleLogs(req, { dir, onEntries }),
+    '/v1/traces': req => handleTraces(req, { dir, onSpans })
+  }
+
+  return http.createServer(async (req, res) => {
+    // The app posts from another port
+    res.setHeader('Access-Control-Allow-Origin', req.headers.origin || '*')
+    res.setHeader('Access-Control-Allow-Headers', 'Authorization, Content-Type, Content-Encoding')
+    res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS')
+
+    const url = new URL(req.url, 'http://localhost')
+
+    if (req.method === 'OPTIONS') return send(res, 204)
+    if (req.method === 'GET' && url.pathname === '/health') return send(res, 200, { status: 'ok' })
+    const route = routes[url.pathname]
+    if (req.method !== 'POST' || !route) return send(res, 404, { error: 'Not found' })
+    if (!isAuthorized(req, url, apiKey)) return send(res, 401, { error: 'Invalid API key' })
+
+    try {
+      await route(req)
+      send(res, 204)
+    } catch (error) {
+      send(res, error.status || 400, { error: error.message })
+    }
+  })
+}
+
+function parseArgs(args) {
+  const options = {
+    port: parseInt(process.env.LOG_COLLECTOR_PORT, 10) || DEFAULT_COLLECTOR_PORT,
+    dir: DEFAULT_LOG_DIR,
+    apiKey: process.env.LOG_COLLECTOR_API_KEY || null
+  }
+
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === '--port') options.port = parseInt(args[++i], 10)
+    else if (args[i] === '--dir') options.dir = path.resolve(args[++i])
+    else if (args[i] === '--api-key') options.apiKey = args[++i]
+    else throw new Error(`Unknown option: ${args[i]}`)
+  }
+
+  if (isNaN(options.port)) throw new Error('Invalid port number')
+  return options
+}
+
+function printUsage() {
+  console.log('Usage:')
+  console.log('  node src/scripts/log-collector.js                     # Listen on port 4180, write to logs/remote')
+  console.log('  node src/scripts/log-collector.js --port 4181 --dir /tmp/ci-logs')
+  console.log('  node src/scripts/log-collector.js --api-key secret    # Or LOG_COLLECTOR_API_KEY=secret')
+  console.log('')
+  console.log('Point the app at it with VITE_LOG_ENDPOINT=http://localhost:4180/logs')
+  console.log('and VITE_TRACES_ENDPOINT=http://localhost:4180/v1/traces')
+}
+
+// CLI interface
+function main() {
+  let options
+  try {
+    options = parseArgs(process.argv.slice(2))
+  } catch (error) {
+    console.error(`❌ ${error.message}`)
+    printUsage()
+    process.exit(1)
+  }
+
+  const server = createLogCollector({
+    ...options,
+    onEntries: entries => console.log(`📥 Received ${entries.length} entr${entries.length === 1 ? 'y' : 'ies'}`),
+    onSpans: count => console.log(`🧵 Received ${count} span${count === 1 ? '' : 's'}`)
+  })
+
+  server.on('error', error => {
+    console.error(`❌ Could not start the log collector: ${error.message}`)
+    process.exit(1)
+  })
+
+  server.listen(options.port, () => {
+    console.log('📡 Anclora Kairon Log Collector')
+    console.log('===============================\n')
+    console.log(`✅ Logs:   http://localhost:${options.port}/logs`)
+    console.log(`✅ Traces: http://localhost:${options.port}/v1/traces`)
+    console.log(`📁 Writing to ${options.dir}`)
+    if (options.apiKey) console.log('🔐 API key required')
+  })
+}
+
+// Run if executed directly
+if (process.argv[1] && process.argv[1].includes('log-collector.js')) {
+  main()
+}
@@ -0,0 +1,82 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest'
+import fs from 'fs'
+import os from 'os'
+import path from 'path'
+import zlib from 'zlib'
+import { createLogCollector, parseNdjson, parseTraceRequest, countSpans, logFileName } from './log-collector.js'
+
+describe('parseNdjson', () => {
+  it('should read one object per line and reject anything else', () => {
+    expect(parseNdjson('{"id":"a"}\n\n{"id":"b"}\n')).toEqual([{ id: 'a' }, { id: 'b' }])
+    expect(() => parseNdjson('{"id":"a"}\nnot json')).toThrow('Line 2 is not valid JSON')
+    expect(() => parseNdjson('[1,2]')).toThrow('Line 1 is not a JSON object')
+  })
+})
+
+describe('parseTraceRequest', () => {
+  it('should accept OTLP trace requests and count their spans', () => {
+    const request = parseTraceRequest('{"resourceSpans":[{"scopeSpans":[{"spans":[{"name":"a"},{"name":"b"}]}]}]}')
+    expect(countSpans(request)).toBe(2)
+    expect(() => parseTraceRequest('{"spans":[]}')).toThrow('resourceSpans is missing')
+  })
+})
+
+describe('log collector', () => {
+  let dir
+  let server
+  let endpoint
+
+  beforeEach(async () => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'kairon-logs-'))
+    server = createLogCollector({ dir, apiKey: 'secret' })
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve))
+    endpoint = `http://127.0.0.1:${server.address().port}/logs`
+  })
+
+  afterEach(async () => {
+    await new Promise(resolve => server.close(resolve))
+    fs.rmSync(dir, { recursive: true, force: true })
+  })
+
+  function readLogFile() {
+    return parseNdjson(fs.readFileSync(path.join(dir, logFileName()), 'utf8'))
+  }
+
+  it('should append gzip and plain batches to the daily NDJSON file', async () => {
+    const gzipped = await fetch(endpoint, {
+      method: 'POST',
+      headers: { Authorization: 'Bearer secret', 'Content-Encoding': 'gzip' },
+      body: zlib.gzipSync('{"type":"error","id":"a"}\n{"type":"metric","id":"b"}\n')
+    })
+    // Beacons carry the key in the query string
+    const beacon = await fetch(`${endpoint}?api_key=secret`, { method: 'POST', body: '{"type":"error","id":"c"}\n' })
+
+    expect(gzipped.status).toBe(204)
+    expect(beacon.status).toBe(204)
+
+    const entries = readLogFile()
+    expect(entries.map(entry => entry.id)).toEqual(['a', 'b', 'c'])
+    expect(entries[0].receivedAt).toBeTruthy()
+  })
+
+  it('should refuse requests without the API key or with malformed bodies', async () => {
+    const unauthorized = await fetch(endpoint, { method: 'POST', body: '{"id":"a"}' })
+    const malformed = await fetch(endpoint, { method: 'POST', headers: { Authorization: 'Bearer secret' }, body: 'oops' })
+
+    expect(unauthorized.status).toBe(401)
+    expect(malformed.status).toBe(400)
+    expect(fs.existsSync(path.join(dir, logFileName()))).toBe(false)
+  })
+
+  it('should write each OTLP trace request as one line of the daily traces file', async () => {
+    const request = { resourceSpans: [{ scopeSpans: [{ spans: [{ name: 'auth.login', traceId: 'abc' }] }] }] }
+    const response = await fetch(endpoint.replace('/logs', '/v1/traces'), {
+      method: 'POST',
+      headers: { Authorization: 'Bearer secret', 'Content-Type': 'application/json' },
+      body: JSON.stringify(request)
+    })
+
+    expect(response.status).toBe(204)
+    expect(parseNdjson(fs.readFileSync(path.join(dir, 'traces', logFileName(new Date(), 'jsonl')), 'utf8'))).toEqual([request])
+  })
+})
@@ -0,0 +1,359 @@
+// Port Inspector - Finds which processes listen on a port, on Linux, macOS and Windows
+// Linux tries lsof, then ss, then /proc (always there, even in slim containers); macOS uses lsof
+// and Windows netstat + tasklist. Whether a port is free is always decided by trying to bind it,
+// as the tools only show other users' processes when run as root
+import { spawnSync } from 'child_process'
+import fs from 'fs'
+import net from 'net'
+import path from 'path'
+
+export const PORT_TOOLS = {
+  LSOF: 'lsof',
+  SS: 'ss',
+  PROC: 'proc',
+  NETSTAT: 'netstat'
+}
+
+// Processes the setup scripts may stop without asking: our own Vite dev servers
+const DEV_SERVER_PATTERN = /node|vite/i
+
+const KILL_WAIT_MS = 2000
+const KILL_POLL_MS = 100
+
+/**
+ * @typedef {Object} PortProcess
+ * @property {number|null} pid - Null when the port is taken by a process we are not allowed to see
+ * @property {string|null} command - Executable name, e.g. "node" or "node.exe"
+ */
+
+/**
+ * Parse `lsof -Fpc` output: a "p<pid>" line followed by a "c<command>" line per process
+ * @param {string} output - lsof output
+ * @returns {Array<PortProcess>} Processes
+ */
+export function parseLsofOutput(output) {
+  const processes = []
+  let current = null
+
+  for (const line of String(output || '').split(/\r?\n/)) {
+    if (line.startsWith('p')) {
+      current = { pid: parseInt(line.slice(1), 10), command: null }
+      processes.push(current)
+    } else if (line.startsWith('c') && current) {
+      current.command = line.slice(1)
+    }
+  }
+
+  return processes.filter(item => item.pid > 0)
+}
+
+/**
+ * Parse `ss -ltnpH` output; the process column reads users:(("node",pid=123,fd=20),...)
+ * and is missing for other users' processes unless run as root
+ * @param {string} output - ss output, already filtered to one port
+ * @returns {Array<PortProcess>} Processes
+ */
+export function parseSsOutput(output) {
+  const processes = []
+
+  for (const line of String(output || '').split(/\r?\n/)) {
+    if (!line.trim()) continue
+
+    const owners = [...line.matchAll(/\("([^"]+)",pid=(\d+)/g)]
+    if (owners.length === 0) {
+      processes.push({ pid: null, command: null })
+      continue
+    }
+    owners.forEach(([, command, pid]) => processes.push({ pid: parseInt(pid, 10), command }))
+  }
+
+  return uniqueProcesses(processes)
+}
+
+/**
+ * Parse Windows `netstat -ano -p TCP` output, keeping sockets listening on the port
+ * @param {string} output - netstat output
+ * @param {number} port - Port
+ * @returns {Array<PortProcess>} Processes, without command names (see parseTasklistOutput)
+ */
+export function parseNetstatOutput(output, port) {
+  const processes = []
+
+  for (const line of String(output || '').split(/\r?\n/)) {
+    // Proto, local address, foreign address, state, PID
+    const parts = line.trim().split(/\s+/)
+    if (parts.length < 5 || parts[3] !== 'LISTENING') continue
+    if (!parts[1].endsWith(`:${port}`)) continue
+
+    const pid = parseInt(parts[4], 10)
+    if (pid > 0) processes.push({ pid, command: null })
+  }
+
+  return uniqueProcesses(processes)
+}
+
+/**
+ * Parse `tasklist /FO CSV /NH` output into the image name, e.g. "node.exe"
+ * @param {string} output - tasklist output for one PID
+ * @returns {string|null} Image name
+ */
+export function parseTasklistOutput(output) {
+  const match = String(output || '').match(/^"([^"]+)"/m)
+  return match ? match[1] : null
+}
+
+/**
+ * Socket inodes listening on a port, from /proc/net/tcp or /proc/net/tcp6
+ * @param {string} content - File content
+ * @param {number} port - Port
+ * @returns {Array<string>} Inodes
+ */
+export function parseProcNetTcp(content, port) {
+  const portHex = port.toString(16).toUpperCase().padStart(4, '0')
+  const inodes = []
+
+  for (const line of String(content || '').split(/\r?\n/).slice(1)) {
+    // sl, local_address, rem_address, st, tx/rx queue, tr/tm->when, retrnsmt, uid, timeout, inode
+    const parts = line.trim().split(/\s+/)
+    if (parts.length < 10) continue
+
+    const localPort = parts[1].split(':')[1]
+    // 0A is TCP_LISTEN
+    if (localPort === portHex && parts[3] === '0A' && parts[9] !== '0') {
+      inodes.push(parts[9])
+    }
+  }
+
+  return inodes
+}
+
+/**
+ * Whether a process looks like one of our development servers
+ * @param {PortProcess} processInfo - Process
+ * @returns {boolean} True for node and vite processes
+ */
+export function isDevServerProcess(processInfo) {
+  return !!processInfo?.command && DEV_SERVER_PATTERN.test(processInfo.command)
+}
+
+function uniqueProcesses(processes) {
+  const seen = new Set()
+  return processes.filter(item => {
+    const key = item.pid === null ? 'unknown' : String(item.pid)
+    if (seen.has(key)) return false
+    seen.add(key)
+    return true
+  })
+}
+
+class PortInspector {
+  /**
+   * @param {Object} options - Overrides, for tests
+   * @param {string} options.platform - process.platform value
+   * @param {Function} options.run - (command, args) => { stdout, missing }
+   * @param {Object} options.fileSystem - fs-like module used for /proc
+   */
+  constructor({ platform = process.platform, run = null, fileSystem = fs } = {}) {
+    this.platform = platform
+    this.run = run || ((command, args) => {
+      const result = spawnSync(command, args, { encoding: 'utf8', timeout: 10000 })
+      return { stdout: result.stdout || '', missing: result.error?.code === 'ENOENT' }
+    })
+    this.fs = fileSystem
+  }
+
+  /**
+   * Processes listening on a port
+   * @param {number} port - Port
+   * @returns {{ processes: Array<PortProcess>, tool: string|null }} Processes and the tool that found them
+   */
+  findProcesses(port) {
+    if (this.platform === 'win32') {
+      return { processes: this.findWithNetstat(port), tool: PORT_TOOLS.NETSTAT }
+    }
+
+    const lsof = this.findWithLsof(port)
+    if (lsof) return { processes: lsof, tool: PORT_TOOLS.LSOF }
+    if (this.platform !== 'linux') return { processes: [], tool: null }
+
+    const ss = this.findWithSs(port)
+    if (ss) return { processes: ss, tool: PORT_TOOLS.SS }
+
+    return { processes: this.findWithProc(port), tool: PORT_TOOLS.PROC }
+  }
+
+  /**
+   * @returns {Array<PortProcess>|null} Processes, or null when lsof is not installed
+   */
+  findWithLsof(port) {
+    const { stdout, missing } = this.run('lsof', ['-nP', `-iTCP:${port}`, '-sTCP:LISTEN', '-Fpc'])
+    // lsof exits with 1 and prints nothing when no process matches
+    return missing ? null : parseLsofOutput(stdout)
+  }
+
+  /**
+   * @returns {Array<PortProcess>|null} Processes, or null when ss is not installed
+   */
+  findWithSs(port) {
+    const { stdout, missing } = this.run('ss', ['-ltnpH', `sport = :${port}`])
+    return missing ? null : parseSsOutput(stdout)
+  }
+
+  findWithProc(port) {
+    const inodes = new Set()
+    for (const file of ['/proc/net/tcp', '/proc/net/tcp6']) {
+      try {
+        parseProcNetTcp(this.fs.readFileSync(file, 'utf8'), port).forEach(inode => inodes.add(inode))
+      } catch (error) {
+        // tcp6 is missing when IPv6 is disabled
+      }
+    }
+    if (inodes.size === 0) return []
+
+    const processes = []
+    for (const entry of this.fs.readdirSync('/proc')) {
+      if (!/^\d+$/.test(entry)) continue
+
+      let fds
+      try {
+        fds = this.fs.readdirSync(path.join('/proc', entry, 'fd'))
+      } catch (error) {
+        // Other users' processes, or one that just exited
+        continue
+      }
+
+      const ownsSocket = fds.some(fd => {
+        try {
+          const target = this.fs.readlinkSync(path.join('/proc', entry, 'fd', fd))
+          return inodes.has(target.replace(/^socket:\[(\d+)\]$/, '$1'))
+        } catch (error) {
+          return false
+        }
+      })
+
+      if (ownsSocket) {
+        processes.push({ pid: parseInt(entry, 10), command: this.readProcCommand(entry) })
+      }
+    }
+
+    // The socket exists but belongs to a process we cannot read
+    return processes.length > 0 ? processes : [{ pid: null, command: null }]
+  }
+
+  readProcCommand(pid) {
+    try {
+      return this.fs.readFileSync(path.join('/proc', String(pid), 'comm'), 'utf8').trim()
+    } catch (error) {
+      return null
+    }
+  }
+
+  findWithNetstat(port) {
+    const { stdout } = this.run('netstat', ['-ano', '-p', 'TCP'])
+    return parseNetstatOutput(stdout, port).map(item => ({
+      ...item,
+      command: parseTasklistOutput(this.run('tasklist', ['/FI', `PID eq ${item.pid}`, '/FO', 'CSV', '/NH']).stdout)
+    }))
+  }
+
+  /**
+   * Whether the port can be bound on the loopback and wildcard addresses Vite may use
+   * @param {number} port - Port
+   * @returns {Promise<boolean>} True when free
+   */
+  async isPortFree(port) {
+    for (const host of ['127.0.0.1', '::1', '0.0.0.0']) {
+      const result = await this.tryListen(port, host)
+      if (result === false) return false
+    }
+    return true
+  }
+
+  /**
+   * @returns {Promise<boolean|null>} False when taken, null when the address does not exist here
+   */
+  tryListen(port, host) {
+    return new Promise(resolve => {
+      const server = net.createServer()
+      server.unref()
+      server.once('error', error => {
+        resolve(['EADDRINUSE', 'EACCES'].includes(error.code) ? false : null)
+      })
+      server.listen({ port, host, exclusive: true }, () => {
+        server.close(() => resolve(true))
+      })
+    })
+  }
+
+  /**
+   * First free port from `start` upwards
+   * @param {number} start - First port to try
+   * @param {Object} options - Options
+   * @param {Array<number>} options.exclude - Ports not to hand out (other services' ports)
+   * @param {number} options.attempts - Ports to try before giving up
+   * @returns {Promise<number|null>} Free port, or null if none was found
+   */
+  async findFreePort(start, { exclude = [], attempts = 50 } = {}) {
+    for (let port = start; port < start + attempts && port <= 65535; port++) {
+      if (exclude.includes(port)) continue
+      if (await this.isPortFree(port)) return port
+    }
+    return null
+  }
+
+  /**
+   * Stop a process, forcing it if it does not exit within two seconds
+   * @param {number} pid - Process id
+   * @returns {Promise<boolean>} True once the process is gone
+   */
+  async killProcess(pid) {
+    if (!pid || pid === process.pid) return false
+
+    if (this.platform === 'win32') {
+      // /T also stops the child processes npm and vite start
+      this.run('taskkill', ['/PID', String(pid), '/T'])
+      if (await this.waitForExit(pid)) return true
+      this.run('taskkill', ['/PID', String(pid), '/F', '/T'])
+      return this.waitForExit(pid)
+    }
+
+    try {
+      process.kill(pid, 'SIGTERM')
+    } catch (error) {
+      return error.code === 'ESRCH'
+    }
+    if (await this.waitForExit(pid)) return true
+
+    try {
+      process.kill(pid, 'SIGKILL')
+    } catch (error) {
+      return error.code === 'ESRCH'
+    }
+    return this.waitForExit(pid)
+  }
+
+  async waitForExit(pid) {
+    const deadline = Date.now() + KILL_WAIT_MS
+    while (Date.now() < deadline) {
+      if (!this.isRunning(pid)) return true
+      await new Promise(resolve => setTimeout(resolve, KILL_POLL_MS))
+    }
+    return !this.isRunning(pid)
+  }
+
+  isRunning(pid) {
+    if (this.platform === 'win32') {
+      return !!parseTasklistOutput(this.run('tasklist', ['/FI', `PID eq ${pid}`, '/FO', 'CSV', '/NH']).stdout)
+    }
+
+    try {
+      process.kill(pid, 0)
+      return true
+    } catch (error) {
+      // EPERM: it exists but belongs to another user
+      return error.code === 'EPERM'
+    }
+  }
+}
+
+export default PortInspector
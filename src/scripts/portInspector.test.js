@@ -0,0 +1,102 @@
+import { describe, it, expect, afterEach } from 'vitest'
+import fs from 'fs'
+import os from 'os'
+import path from 'path'
+import PortInspector, {
+  PORT_TOOLS,
+  parseLsofOutput,
+  parseSsOutput,
+  parseNetstatOutput,
+  parseProcNetTcp,
+  isDevServerProcess
+} from './portInspector.js'
+import { readPortOverrides, writePortOverrides, getDevPort, PORTS_ENV_FILE } from './devPorts.js'
+
+const NETSTAT_OUTPUT = `
+Active Connections
+
+  Proto  Local Address          Foreign Address        State           PID
+  TCP    0.0.0.0:5174           0.0.0.0:0              LISTENING       4321
+  TCP    [::]:5174              [::]:0                 LISTENING       4321
+  TCP    127.0.0.1:51740        127.0.0.1:443          ESTABLISHED     999
+  TCP    127.0.0.1:5174         127.0.0.1:60000        TIME_WAIT       0
+`
+
+describe('port inspector parsers', () => {
+  it('should read the processes reported by lsof, ss and netstat', () => {
+    expect(parseLsofOutput('p1234\ncnode\np5678\ncvite\n')).toEqual([
+      { pid: 1234, command: 'node' },
+      { pid: 5678, command: 'vite' }
+    ])
+    expect(parseSsOutput('LISTEN 0 511 127.0.0.1:5174 0.0.0.0:* users:(("node",pid=1234,fd=20),("node",pid=1234,fd=21))\n'))
+      .toEqual([{ pid: 1234, command: 'node' }])
+    // Another user's process: the port is taken but the owner is hidden
+    expect(parseSsOutput('LISTEN 0 511 0.0.0.0:5174 0.0.0.0:*\n')).toEqual([{ pid: null, command: null }])
+    expect(parseNetstatOutput(NETSTAT_OUTPUT, 5174)).toEqual([{ pid: 4321, command: null }])
+  })
+
+  it('should find listening sockets in /proc/net/tcp', () => {
+    const content = [
+      '  sl  local_address rem_address   st tx_queue rx_queue tr tm->when retrnsmt   uid  timeout inode',
+      '   0: 0100007F:142E 00000000:0000 0A 00000000:00000000 00:00000000 00000000  1000        0 424242 1 0000000000000000 100 0 0 10 0',
+      '   1: 0100007F:142E 0100007F:C350 01 00000000:00000000 00:00000000 00000000  1000        0 515151 1 0000000000000000 20 4 30 10 -1'
+    ].join('\n')
+
+    expect(parseProcNetTcp(content, 5166)).toEqual(['424242'])
+    expect(parseProcNetTcp(content, 5174)).toEqual([])
+  })
+
+  it('should only treat node and vite processes as dev servers', () => {
+    expect(isDevServerProcess({ pid: 1, command: 'node.exe' })).toBe(true)
+    expect(isDevServerProcess({ pid: 1, command: 'python3' })).toBe(false)
+    expect(isDevServerProcess({ pid: null, command: null })).toBe(false)
+  })
+})
+
+describe('PortInspector', () => {
+  it('should fall back from lsof to ss on Linux', () => {
+    const calls = []
+    const run = (command) => {
+      calls.push(command)
+      return command === 'lsof'
+        ? { stdout: '', missing: true }
+        : { stdout: 'LISTEN 0 511 *:5174 *:* users:(("node",pid=77,fd=3))', missing: false }
+    }
+
+    const inspector = new PortInspector({ platform: 'linux', run })
+    expect(inspector.findProcesses(5174)).toEqual({ processes: [{ pid: 77, command: 'node' }], tool: PORT_TOOLS.SS })
+    expect(calls).toEqual(['lsof', 'ss'])
+  })
+
+  it('should use netstat and tasklist on Windows', () => {
+    const run = (command) => (command === 'netstat'
+      ? { stdout: NETSTAT_OUTPUT, missing: false }
+      : { stdout: '"node.exe","4321","Console","1","52,100 K"\r\n', missing: false })
+
+    const inspector = new PortInspector({ platform: 'win32', run })
+    expect(inspector.findProcesses(5174)).toEqual({ processes: [{ pid: 4321, command: 'node.exe' }], tool: PORT_TOOLS.NETSTAT })
+  })
+})
+
+describe('dev port overrides', () => {
+  let root
+
+  afterEach(() => {
+    if (root) fs.rmSync(root, { recursive: true, force: true })
+    root = null
+  })
+
+  it('should write fallback ports and remove the file once the usual ports are back', () => {
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'kairon-ports-'))
+
+    writePortOverrides({ landing: 5176, app: 5175 }, root)
+    expect(fs.readFileSync(path.join(root, PORTS_ENV_FILE), 'utf8')).toContain('VITE_LANDING_PORT=5176')
+    expect(readPortOverrides(root)).toEqual({ landing: 5176 })
+    expect(getDevPort('landing', root)).toBe(5176)
+    expect(getDevPort('app', root)).toBe(5175)
+
+    writePortOverrides({}, root)
+    expect(fs.existsSync(path.join(root, PORTS_ENV_FILE))).toBe(false)
+    expect(getDevPort('landing', root)).toBe(5174)
+  })
+})
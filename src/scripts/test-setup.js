@@ -4,6 +4,8 @@ import { execSync } from 'child_process'
 import fs from 'fs'
 import path from 'path'
 import { fileURLToPath } from 'url'
+import PortInspector from './portInspector.js'
+import { PROJECT_PORTS } from './devPorts.js'
 
 const __filename = fileURLToPath(import.meta.url)
 const __dirname = path.dirname(__filename)
@@ -53,23 +55,18 @@ try {
 
 // Test 4: Check ports
 console.log('\n4️⃣  Testing port availability...')
-try {
-  const portTest = execSync('netstat -ano | findstr :5174', { encoding: 'utf8' })
-  if (portTest.trim()) {
-    console.log('   ⚠️  Port 5174 is occupied')
-    console.log('   💡 Run: npm run kill-ports')
-  } else {
-    console.log('   ✅ Port 5174 is available')
-    tests.push('✅ Port 5174 free')
-  }
-} catch (error) {
-  console.log('   ✅ Port 5174 is available')
-  tests.push('✅ Port 5174 free')
+const landingPort = PROJECT_PORTS.landing
+if (await new PortInspector().isPortFree(landingPort)) {
+  console.log(`   ✅ Port ${landingPort} is available`)
+  tests.push(`✅ Port ${landingPort} free`)
+} else {
+  console.log(`   ⚠️  Port ${landingPort} is occupied`)
+  console.log('   💡 Run: npm run kill-ports -- --dry-run')
 }
 
 // Test 5: Check scripts exist
 console.log('\n5️⃣  Testing script files...')
-const scripts = ['dev-setup.js', 'kill-ports.js', 'auto-setup.js']
+const scripts = ['dev-setup.js', 'kill-ports.js', 'auto-setup.js', 'portInspector.js', 'devPorts.js']
 scripts.forEach(script => {
   const scriptPath = path.join(__dirname, script)
   if (fs.existsSync(scriptPath)) {
@@ -1,8 +1,10 @@
-import { validateEmail, validatePassword, validateRegistrationForm, validateLoginForm } from '../utils/validation.js';
+import { validateEmail, validatePassword, validateRegistrationForm, validateLoginForm, sanitizeInput } from '../utils/validation.js';
 import { authService } from '../services/authService.js';
+import { invitationService } from '../services/invitationService.js';
 import { connectionMonitor, CONNECTION_STATUS } from '../services/connectionMonitor.js';
 import { ConnectionStatusIndicator } from './ConnectionStatusIndicator.js';
 import { UserFeedbackSystem } from '../services/userFeedbackSystem.js';
+import { getEnabledOAuthProviders } from '../config/authProviders.js';
 import i18n from '../utils/i18n.js';
 
 /**
@@ -10,10 +12,23 @@ import i18n from '../utils/i18n.js';
  * Provides login, register, and forgot password functionality
  */
 export default class AuthModalVanilla {
-  constructor() {
+  /**
+   * @param {Object} options - Modal options
+   * @param {Function} options.onAuthenticated - Called after a successful sign in or registration
+   *   instead of redirecting to /app, with the user and { joinedProjectId }
+   * @param {Object} options.invitation - Project invitation being answered ({ token, email, projectName });
+   *   its email is prefilled and the invitation is accepted once the user is signed in
+   */
+  constructor(options = {}) {
+    this.onAuthenticated = options.onAuthenticated || null;
+    this.invitation = options.invitation || null;
     this.isOpen = false;
     this.activeTab = 'login';
     this.showForgotPassword = false;
+    this.showMfaChallenge = false;
+    this.mfaMode = 'totp'; // 'totp' or 'recovery'
+    this.showMagicLink = false;
+    this.magicLinkEmail = null; // Set once the sign-in email has been sent
     this.modalElement = null;
     this.backdropElement = null;
     this.translations = i18n.getTranslations();
@@ -30,6 +45,11 @@ export default class AuthModalVanilla {
   open(tab = 'login') {
     this.activeTab = tab;
     this.showForgotPassword = false;
+    // A sign in restored halfway (password accepted, code pending) resumes at the code step
+    this.showMfaChallenge = authService.isMfaRequired();
+    this.mfaMode = 'totp';
+    this.showMagicLink = false;
+    this.magicLinkEmail = null;
     this.isOpen = true;
     this.translations = i18n.getTranslations(); // Update translations when opening
     this.initConnectionIndicator(); // Initialize connection indicator
@@ -38,6 +58,59 @@ export default class AuthModalVanilla {
     document.body.style.overflow = 'hidden';
   }
 
+  /**
+   * Hand control back to the host page after authentication
+   */
+  async finishAuthentication() {
+    const user = authService.getCurrentUser();
+    const joinedProjectId = await this.acceptInvitation(user);
+
+    if (this.onAuthenticated) {
+      this.onAuthenticated(user, { joinedProjectId });
+    } else {
+      window.location.href = '/app';
+    }
+  }
+
+  /**
+   * Accept the invitation the modal was opened for, once there is a session
+   * Failures are not fatal: the invitation stays pending and the invite page shows why
+   * @param {Object|null} user - Signed-in user
+   * @returns {Promise<string|null>} Id of the project joined
+   */
+  async acceptInvitation(user) {
+    if (!this.invitation?.token || !user) {
+      return null;
+    }
+
+    try {
+      return await invitationService.acceptInvitation(this.invitation.token);
+    } catch (error) {
+      console.warn('Could not accept invitation after authentication:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Render the notice shown when the modal was opened from an invite link
+   */
+  renderInvitationNotice() {
+    if (!this.invitation) {
+      return '';
+    }
+
+    const notice = i18n.format('authInvitationNotice', {
+      project: sanitizeInput(this.invitation.projectName || ''),
+      email: sanitizeInput(this.invitation.email || '')
+    });
+
+    return `
+      <div id="auth-invitation-notice" class="p-3 bg-theme-primary/10 border-l-4 border-theme-primary rounded-r-lg text-sm text-theme-text">
+        ${notice}
+      </div>
+    `;
+  }
+
   /**
    * Close the modal
    */
@@ -74,10 +147,14 @@ export default class AuthModalVanilla {
 
     // Create modal content
     this.modalElement = document.createElement('div');
-    this.modalElement.className = 'relative w-full max-w-md bg-[#162032] rounded-2xl shadow-2xl overflow-hidden border border-[#2EAFC4]/30 max-h-[90vh] overflow-y-auto';
+    this.modalElement.className = 'relative w-full max-w-md bg-theme-background rounded-2xl shadow-2xl overflow-hidden border border-theme-primary/30 max-h-[90vh] overflow-y-auto';
 
     if (this.showForgotPassword) {
       this.modalElement.innerHTML = this.renderForgotPasswordForm();
+    } else if (this.showMfaChallenge) {
+      this.modalElement.innerHTML = this.renderMfaChallengeForm();
+    } else if (this.showMagicLink) {
+      this.modalElement.innerHTML = this.renderMagicLinkForm();
     } else {
       this.modalElement.innerHTML = this.renderAuthTabs();
     }
@@ -95,32 +172,33 @@ export default class AuthModalVanilla {
   renderAuthTabs() {
     return `
       <!-- Close button -->
-      <button id="auth-close-btn" class="absolute top-5 right-5 z-10 w-10 h-10 flex items-center justify-center rounded-full bg-[#202837] hover:bg-[#2EAFC4]/20 transition-all duration-200 border border-[#2EAFC4]/30">
-        <svg class="w-5 h-5 text-[#F6F7F9]" fill="none" stroke="currentColor" viewBox="0 0 24 24" stroke-width="2">
+      <button id="auth-close-btn" class="absolute top-5 right-5 z-10 w-10 h-10 flex items-center justify-center rounded-full bg-theme-surface hover:bg-theme-primary/20 transition-all duration-200 border border-theme-primary/30">
+        <svg class="w-5 h-5 text-theme-text" fill="none" stroke="currentColor" viewBox="0 0 24 24" stroke-width="2">
           <path stroke-linecap="round" stroke-linejoin="round" d="M6 18L18 6M6 6l12 12" />
         </svg>
       </button>
 
       <!-- Tab Navigation -->
-      <div class="flex border-b border-[#2EAFC4]/30 bg-[#202837]">
+      <div class="flex border-b border-theme-primary/30 bg-theme-surface">
         <button id="login-tab" class="flex-1 py-5 px-6 text-center font-semibold text-base transition-all duration-200 ${
           this.activeTab === 'login'
-            ? 'text-[#F6F7F9] border-b-3 border-[#2EAFC4] bg-[#162032] shadow-sm'
-            : 'text-[#F6F7F9]/70 hover:text-[#F6F7F9] hover:bg-[#2EAFC4]/10'
+            ? 'text-theme-text border-b-3 border-theme-primary bg-theme-background shadow-sm'
+            : 'text-theme-text/70 hover:text-theme-text hover:bg-theme-primary/10'
         }">
           ${this.translations.authLoginTab}
         </button>
         <button id="register-tab" class="flex-1 py-5 px-6 text-center font-semibold text-base transition-all duration-200 ${
           this.activeTab === 'register'
-            ? 'text-[#F6F7F9] border-b-3 border-[#2EAFC4] bg-[#162032] shadow-sm'
-            : 'text-[#F6F7F9]/70 hover:text-[#F6F7F9] hover:bg-[#2EAFC4]/10'
+            ? 'text-theme-text border-b-3 border-theme-primary bg-theme-background shadow-sm'
+            : 'text-theme-text/70 hover:text-theme-text hover:bg-theme-primary/10'
         }">
           ${this.translations.authRegisterTab}
         </button>
       </div>
 
       <!-- Tab Content -->
-      <div class="p-6">
+      <div class="p-6 space-y-5">
+        ${this.renderInvitationNotice()}
         ${this.activeTab === 'login' ? this.renderLoginForm() : this.renderRegisterForm()}
       </div>
     `;
@@ -133,8 +211,8 @@ export default class AuthModalVanilla {
     return `
       <div class="space-y-6">
         <div class="text-center">
-          <h2 class="text-2xl font-bold text-[#F6F7F9] mb-2 leading-tight">${this.translations.authWelcomeBack}</h2>
-          <p class="text-[#F6F7F9]/80 text-sm leading-relaxed">${this.translations.authWelcomeBackDesc}</p>
+          <h2 class="text-2xl font-bold text-theme-text mb-2 leading-tight">${this.translations.authWelcomeBack}</h2>
+          <p class="text-theme-text/80 text-sm leading-relaxed">${this.translations.authWelcomeBackDesc}</p>
         </div>
 
         <div id="login-error" class="hidden p-4 bg-red-900/20 border-l-4 border-red-400 rounded-r-lg">
@@ -152,25 +230,26 @@ export default class AuthModalVanilla {
 
         <form id="login-form" class="space-y-4">
           <div>
-            <label for="login-email" class="block text-sm font-semibold text-[#F6F7F9] mb-1">${this.translations.authEmail}</label>
+            <label for="login-email" class="block text-sm font-semibold text-theme-text mb-1">${this.translations.authEmail}</label>
             <input
               type="email"
               id="login-email"
               name="email"
-              class="w-full px-3 py-3 text-sm border-2 border-[#2EAFC4]/30 rounded-lg focus:ring-2 focus:ring-[#2EAFC4] focus:border-[#2EAFC4] transition-all duration-200 bg-[#202837] placeholder-[#F6F7F9]/50 text-[#F6F7F9]"
+              class="w-full px-3 py-3 text-sm border-2 border-theme-primary/30 rounded-lg focus:ring-2 focus:ring-theme-primary focus:border-theme-primary transition-all duration-200 bg-theme-surface placeholder-theme-text/50 text-theme-text"
               placeholder="tu@email.com"
+              value="${sanitizeInput(this.invitation?.email || '')}"
               required
             />
             <div class="error-message text-red-400 text-xs mt-1 hidden font-medium"></div>
           </div>
 
           <div>
-            <label for="login-password" class="block text-sm font-semibold text-[#F6F7F9] mb-1">${this.translations.authPassword}</label>
+            <label for="login-password" class="block text-sm font-semibold text-theme-text mb-1">${this.translations.authPassword}</label>
             <input
               type="password"
               id="login-password"
               name="password"
-              class="w-full px-3 py-3 text-sm border-2 border-[#2EAFC4]/30 rounded-lg focus:ring-2 focus:ring-[#2EAFC4] focus:border-[#2EAFC4] transition-all duration-200 bg-[#202837] placeholder-[#F6F7F9]/50 text-[#F6F7F9]"
+              class="w-full px-3 py-3 text-sm border-2 border-theme-primary/30 rounded-lg focus:ring-2 focus:ring-theme-primary focus:border-theme-primary transition-all duration-200 bg-theme-surface placeholder-theme-text/50 text-theme-text"
               placeholder="••••••••"
               required
             />
@@ -179,10 +258,10 @@ export default class AuthModalVanilla {
 
           <div class="flex items-center justify-between pt-1">
             <label class="flex items-center cursor-pointer">
-              <input type="checkbox" class="w-4 h-4 rounded border-2 border-[#2EAFC4]/30 text-[#2EAFC4] focus:ring-[#2EAFC4] focus:ring-2 bg-[#202837]" />
-              <span class="ml-2 text-sm text-[#F6F7F9]/80 font-medium">${this.translations.authRememberMe}</span>
+              <input type="checkbox" class="w-4 h-4 rounded border-2 border-theme-primary/30 text-theme-primary focus:ring-theme-primary focus:ring-2 bg-theme-surface" />
+              <span class="ml-2 text-sm text-theme-text/80 font-medium">${this.translations.authRememberMe}</span>
             </label>
-            <button type="button" id="forgot-password-btn" class="text-sm text-[#2EAFC4] hover:text-[#FFC979] transition-colors font-semibold underline decoration-1 underline-offset-1">
+            <button type="button" id="forgot-password-btn" class="text-sm text-theme-primary hover:text-theme-accent transition-colors font-semibold underline decoration-1 underline-offset-1">
               ${this.translations.authForgotPassword}
             </button>
           </div>
@@ -190,7 +269,7 @@ export default class AuthModalVanilla {
           <button
             type="submit"
             id="login-submit"
-            class="w-full py-3 px-4 bg-gradient-to-r from-[#2EAFC4] to-[#FFC979] text-[#162032] font-bold text-base rounded-lg hover:shadow-lg transform hover:-translate-y-0.5 transition-all duration-300 disabled:opacity-50 disabled:cursor-not-allowed disabled:transform-none border-2 border-transparent hover:border-[#2EAFC4]/20"
+            class="w-full py-3 px-4 bg-gradient-to-r from-theme-primary to-theme-accent text-theme-on-primary font-bold text-base rounded-lg hover:shadow-lg transform hover:-translate-y-0.5 transition-all duration-300 disabled:opacity-50 disabled:cursor-not-allowed disabled:transform-none border-2 border-transparent hover:border-theme-primary/20"
           >
             ${this.translations.authLoginButton}
           </button>
@@ -198,30 +277,21 @@ export default class AuthModalVanilla {
 
         <div class="relative py-2">
           <div class="absolute inset-0 flex items-center">
-            <div class="w-full border-t border-[#2EAFC4]/30"></div>
+            <div class="w-full border-t border-theme-primary/30"></div>
           </div>
           <div class="relative flex justify-center text-sm">
-            <span class="px-3 bg-[#162032] text-[#F6F7F9]/70 font-medium">${this.translations.authOrContinueWith}</span>
+            <span class="px-3 bg-theme-background text-theme-text/70 font-medium">${this.translations.authOrContinueWith}</span>
           </div>
         </div>
 
-        <div class="grid grid-cols-2 gap-3">
-          <button type="button" id="google-login" class="flex items-center justify-center px-3 py-3 border border-[#2EAFC4]/30 rounded-lg hover:bg-[#2EAFC4]/10 hover:border-[#2EAFC4] transition-all duration-200 disabled:opacity-50 disabled:cursor-not-allowed disabled:hover:bg-[#202837] font-medium text-[#F6F7F9] text-sm">
-            <svg class="w-4 h-4 mr-2" viewBox="0 0 24 24">
-              <path fill="#4285F4" d="M22.56 12.25c0-.78-.07-1.53-.2-2.25H12v4.26h5.92c-.26 1.37-1.04 2.53-2.21 3.31v2.77h3.57c2.08-1.92 3.28-4.74 3.28-8.09z"/>
-              <path fill="#34A853" d="M12 23c2.97 0 5.46-.98 7.28-2.66l-3.57-2.77c-.98.66-2.23 1.06-3.71 1.06-2.86 0-5.29-1.93-6.16-4.53H2.18v2.84C3.99 20.53 7.7 23 12 23z"/>
-              <path fill="#FBBC05" d="M5.84 14.09c-.22-.66-.35-1.36-.35-2.09s.13-1.43.35-2.09V7.07H2.18C1.43 8.55 1 10.22 1 12s.43 3.45 1.18 4.93l2.85-2.22.81-.62z"/>
-              <path fill="#EA4335" d="M12 5.38c1.62 0 3.06.56 4.21 1.64l3.15-3.15C17.45 2.09 14.97 1 12 1 7.7 1 3.99 3.47 2.18 7.07l3.66 2.84c.87-2.6 3.3-4.53 6.16-4.53z"/>
-            </svg>
-            ${this.translations.authGoogle}
-          </button>
-          <button type="button" id="github-login" class="flex items-center justify-center px-3 py-3 border border-[#2EAFC4]/30 rounded-lg hover:bg-[#2EAFC4]/10 hover:border-[#2EAFC4] transition-all duration-200 disabled:opacity-50 disabled:cursor-not-allowed disabled:hover:bg-[#202837] font-medium text-[#F6F7F9] text-sm">
-            <svg class="w-4 h-4 mr-2" fill="currentColor" viewBox="0 0 24 24">
-              <path d="M12 0c-6.626 0-12 5.373-12 12 0 5.302 3.438 9.8 8.207 11.387.599.111.793-.261.793-.577v-2.234c-3.338.726-4.033-1.416-4.033-1.416-.546-1.387-1.333-1.756-1.333-1.756-1.089-.745.083-.729.083-.729 1.205.084 1.839 1.237 1.839 1.237 1.07 1.834 2.807 1.304 3.492.997.107-.775.418-1.305.762-1.604-2.665-.305-5.467-1.334-5.467-5.931 0-1.311.469-2.381 1.236-3.221-.124-.303-.535-1.524.117-3.176 0 0 1.008-.322 3.301 1.23.957-.266 1.983-.399 3.003-.404 1.02.005 2.047.138 3.006.404 2.291-1.552 3.297-1.23 3.297-1.23.653 1.653.242 2.874.118 3.176.77.84 1.235 1.911 1.235 3.221 0 4.609-2.807 5.624-5.479 5.921.43.372.823 1.102.823 2.222v3.293c0 .319.192.694.801.576 4.765-1.589 8.199-6.086 8.199-11.386 0-6.627-5.373-12-12-12z"/>
-            </svg>
-            ${this.translations.authGitHub}
-          </button>
-        </div>
+        ${this.renderOAuthButtons('login')}
+
+        <button type="button" id="magic-link-btn" class="w-full flex items-center justify-center px-3 py-3 border border-theme-primary/30 rounded-lg hover:bg-theme-primary/10 hover:border-theme-primary transition-all duration-200 font-medium text-theme-text text-sm">
+          <svg class="w-4 h-4 mr-2" fill="none" stroke="currentColor" viewBox="0 0 24 24" stroke-width="2">
+            <path stroke-linecap="round" stroke-linejoin="round" d="M3 8l7.89 5.26a2 2 0 002.22 0L21 8M5 19h14a2 2 0 002-2V7a2 2 0 00-2-2H5a2 2 0 00-2 2v10a2 2 0 002 2z" />
+          </svg>
+          ${this.translations.authMagicLinkButton}
+        </button>
       </div>
     `;
   }
@@ -233,8 +303,8 @@ export default class AuthModalVanilla {
     return `
       <div class="space-y-5">
         <div class="text-center">
-          <h2 class="text-2xl font-bold text-[#F6F7F9] mb-2 leading-tight">${this.translations.authCreateAccount}</h2>
-          <p class="text-[#F6F7F9]/80 text-sm leading-relaxed">${this.translations.authCreateAccountDesc}</p>
+          <h2 class="text-2xl font-bold text-theme-text mb-2 leading-tight">${this.translations.authCreateAccount}</h2>
+          <p class="text-theme-text/80 text-sm leading-relaxed">${this.translations.authCreateAccountDesc}</p>
         </div>
 
         <div id="register-error" class="hidden p-4 bg-red-900/20 border-l-4 border-red-400 rounded-r-lg">
@@ -252,12 +322,12 @@ export default class AuthModalVanilla {
 
         <form id="register-form" class="space-y-4">
           <div>
-            <label for="register-name" class="block text-sm font-semibold text-[#F6F7F9] mb-1">${this.translations.authFullName}</label>
+            <label for="register-name" class="block text-sm font-semibold text-theme-text mb-1">${this.translations.authFullName}</label>
             <input
               type="text"
               id="register-name"
               name="name"
-              class="w-full px-3 py-3 text-sm border-2 border-[#2EAFC4]/30 rounded-lg focus:ring-2 focus:ring-[#2EAFC4] focus:border-[#2EAFC4] transition-all duration-200 bg-[#202837] placeholder-[#F6F7F9]/50 text-[#F6F7F9]"
+              class="w-full px-3 py-3 text-sm border-2 border-theme-primary/30 rounded-lg focus:ring-2 focus:ring-theme-primary focus:border-theme-primary transition-all duration-200 bg-theme-surface placeholder-theme-text/50 text-theme-text"
               placeholder="${this.translations.authFullName}"
               required
             />
@@ -265,39 +335,40 @@ export default class AuthModalVanilla {
           </div>
 
           <div>
-            <label for="register-email" class="block text-sm font-semibold text-[#F6F7F9] mb-1">${this.translations.authEmail}</label>
+            <label for="register-email" class="block text-sm font-semibold text-theme-text mb-1">${this.translations.authEmail}</label>
             <input
               type="email"
               id="register-email"
               name="email"
-              class="w-full px-3 py-3 text-sm border-2 border-[#2EAFC4]/30 rounded-lg focus:ring-2 focus:ring-[#2EAFC4] focus:border-[#2EAFC4] transition-all duration-200 bg-[#202837] placeholder-[#F6F7F9]/50 text-[#F6F7F9]"
+              class="w-full px-3 py-3 text-sm border-2 border-theme-primary/30 rounded-lg focus:ring-2 focus:ring-theme-primary focus:border-theme-primary transition-all duration-200 bg-theme-surface placeholder-theme-text/50 text-theme-text"
               placeholder="tu@email.com"
+              value="${sanitizeInput(this.invitation?.email || '')}"
               required
             />
             <div class="error-message text-red-400 text-xs mt-1 hidden font-medium"></div>
           </div>
 
           <div>
-            <label for="register-password" class="block text-sm font-semibold text-[#F6F7F9] mb-1">${this.translations.authPassword}</label>
+            <label for="register-password" class="block text-sm font-semibold text-theme-text mb-1">${this.translations.authPassword}</label>
             <input
               type="password"
               id="register-password"
               name="password"
-              class="w-full px-3 py-3 text-sm border-2 border-[#2EAFC4]/30 rounded-lg focus:ring-2 focus:ring-[#2EAFC4] focus:border-[#2EAFC4] transition-all duration-200 bg-[#202837] placeholder-[#F6F7F9]/50 text-[#F6F7F9]"
+              class="w-full px-3 py-3 text-sm border-2 border-theme-primary/30 rounded-lg focus:ring-2 focus:ring-theme-primary focus:border-theme-primary transition-all duration-200 bg-theme-surface placeholder-theme-text/50 text-theme-text"
               placeholder="••••••••"
               required
             />
             <div class="error-message text-red-400 text-xs mt-1 hidden font-medium"></div>
-            <p class="mt-1 text-xs text-[#F6F7F9]/60 font-medium">${this.translations.authPasswordRequirements}</p>
+            <p class="mt-1 text-xs text-theme-text/60 font-medium">${this.translations.authPasswordRequirements}</p>
           </div>
 
           <div>
-            <label for="register-confirm-password" class="block text-sm font-semibold text-[#F6F7F9] mb-1">${this.translations.authConfirmPassword}</label>
+            <label for="register-confirm-password" class="block text-sm font-semibold text-theme-text mb-1">${this.translations.authConfirmPassword}</label>
             <input
               type="password"
               id="register-confirm-password"
               name="confirmPassword"
-              class="w-full px-3 py-3 text-sm border-2 border-[#2EAFC4]/30 rounded-lg focus:ring-2 focus:ring-[#2EAFC4] focus:border-[#2EAFC4] transition-all duration-200 bg-[#202837] placeholder-[#F6F7F9]/50 text-[#F6F7F9]"
+              class="w-full px-3 py-3 text-sm border-2 border-theme-primary/30 rounded-lg focus:ring-2 focus:ring-theme-primary focus:border-theme-primary transition-all duration-200 bg-theme-surface placeholder-theme-text/50 text-theme-text"
               placeholder="••••••••"
               required
             />
@@ -305,17 +376,17 @@ export default class AuthModalVanilla {
           </div>
 
           <div class="flex items-start pt-1">
-            <input type="checkbox" id="terms" class="mt-0.5 w-4 h-4 rounded border-2 border-[#2EAFC4]/30 text-[#2EAFC4] focus:ring-[#2EAFC4] focus:ring-2 bg-[#202837]" required />
-            <label for="terms" class="ml-2 text-xs text-[#F6F7F9]/80 leading-relaxed">
-              ${this.translations.authAcceptTerms} <a href="/terms" class="text-[#2EAFC4] hover:text-[#FFC979] transition-colors font-semibold underline decoration-1 underline-offset-1">${this.translations.authTermsAndConditions}</a>
-              ${this.translations.authAnd} <a href="/privacy" class="text-[#2EAFC4] hover:text-[#FFC979] transition-colors font-semibold underline decoration-1 underline-offset-1">${this.translations.authPrivacyPolicy}</a>
+            <input type="checkbox" id="terms" class="mt-0.5 w-4 h-4 rounded border-2 border-theme-primary/30 text-theme-primary focus:ring-theme-primary focus:ring-2 bg-theme-surface" required />
+            <label for="terms" class="ml-2 text-xs text-theme-text/80 leading-relaxed">
+              ${this.translations.authAcceptTerms} <a href="/terms" class="text-theme-primary hover:text-theme-accent transition-colors font-semibold underline decoration-1 underline-offset-1">${this.translations.authTermsAndConditions}</a>
+              ${this.translations.authAnd} <a href="/privacy" class="text-theme-primary hover:text-theme-accent transition-colors font-semibold underline decoration-1 underline-offset-1">${this.translations.authPrivacyPolicy}</a>
             </label>
           </div>
 
           <button
             type="submit"
             id="register-submit"
-            class="w-full py-3 px-4 bg-gradient-to-r from-[#2EAFC4] to-[#FFC979] text-[#162032] font-bold text-base rounded-lg hover:shadow-lg transform hover:-translate-y-0.5 transition-all duration-300 disabled:opacity-50 disabled:cursor-not-allowed disabled:transform-none border-2 border-transparent hover:border-[#2EAFC4]/20"
+            class="w-full py-3 px-4 bg-gradient-to-r from-theme-primary to-theme-accent text-theme-on-primary font-bold text-base rounded-lg hover:shadow-lg transform hover:-translate-y-0.5 transition-all duration-300 disabled:opacity-50 disabled:cursor-not-allowed disabled:transform-none border-2 border-transparent hover:border-theme-primary/20"
           >
             ${this.translations.authRegisterButton}
           </button>
@@ -323,34 +394,42 @@ export default class AuthModalVanilla {
 
         <div class="relative py-2">
           <div class="absolute inset-0 flex items-center">
-            <div class="w-full border-t border-[#2EAFC4]/30"></div>
+            <div class="w-full border-t border-theme-primary/30"></div>
           </div>
           <div class="relative flex justify-center text-sm">
-            <span class="px-3 bg-[#162032] text-[#F6F7F9]/70 font-medium">${this.translations.authOrRegisterWith}</span>
+            <span class="px-3 bg-theme-background text-theme-text/70 font-medium">${this.translations.authOrRegisterWith}</span>
           </div>
         </div>
 
-        <div class="grid grid-cols-2 gap-3">
-          <button type="button" id="google-register" class="flex items-center justify-center px-3 py-3 border border-[#2EAFC4]/30 rounded-lg hover:bg-[#2EAFC4]/10 hover:border-[#2EAFC4] transition-all duration-200 disabled:opacity-50 disabled:cursor-not-allowed disabled:hover:bg-[#202837] font-medium text-[#F6F7F9] text-sm">
-            <svg class="w-4 h-4 mr-2" viewBox="0 0 24 24">
-              <path fill="#4285F4" d="M22.56 12.25c0-.78-.07-1.53-.2-2.25H12v4.26h5.92c-.26 1.37-1.04 2.53-2.21 3.31v2.77h3.57c2.08-1.92 3.28-4.74 3.28-8.09z"/>
-              <path fill="#34A853" d="M12 23c2.97 0 5.46-.98 7.28-2.66l-3.57-2.77c-.98.66-2.23 1.06-3.71 1.06-2.86 0-5.29-1.93-6.16-4.53H2.18v2.84C3.99 20.53 7.7 23 12 23z"/>
-              <path fill="#FBBC05" d="M5.84 14.09c-.22-.66-.35-1.36-.35-2.09s.13-1.43.35-2.09V7.07H2.18C1.43 8.55 1 10.22 1 12s.43 3.45 1.18 4.93l2.85-2.22.81-.62z"/>
-              <path fill="#EA4335" d="M12 5.38c1.62 0 3.06.56 4.21 1.64l3.15-3.15C17.45 2.09 14.97 1 12 1 7.7 1 3.99 3.47 2.18 7.07l3.66 2.84c.87-2.6 3.3-4.53 6.16-4.53z"/>
-            </svg>
-            ${this.translations.authGoogle}
-          </button>
-          <button type="button" id="github-register" class="flex items-center justify-center px-3 py-3 border border-[#2EAFC4]/30 rounded-lg hover:bg-[#2EAFC4]/10 hover:border-[#2EAFC4] transition-all duration-200 disabled:opacity-50 disabled:cursor-not-allowed disabled:hover:bg-[#202837] font-medium text-[#F6F7F9] text-sm">
-            <svg class="w-4 h-4 mr-2" fill="currentColor" viewBox="0 0 24 24">
-              <path d="M12 0c-6.626 0-12 5.373-12 12 0 5.302 3.438 9.8 8.207 11.387.599.111.793-.261.793-.577v-2.234c-3.338.726-4.033-1.416-4.033-1.416-.546-1.387-1.333-1.756-1.333-1.756-1.089-.745.083-.729.083-.729 1.205.084 1.839 1.237 1.839 1.237 1.07 1.834 2.807 1.304 3.492.997.107-.775.418-1.305.762-1.604-2.665-.305-5.467-1.334-5.467-5.931 0-1.311.469-2.381 1.236-3.221-.124-.303-.535-1.524.117-3.176 0 0 1.008-.322 3.301 1.23.957-.266 1.983-.399 3.003-.404 1.02.005 2.047.138 3.006.404 2.291-1.552 3.297-1.23 3.297-1.23.653 1.653.242 2.874.118 3.176.77.84 1.235 1.911 1.235 3.221 0 4.609-2.807 5.624-5.479 5.921.43.372.823 1.102.823 2.222v3.293c0 .319.192.694.801.576 4.765-1.589 8.199-6.086 8.199-11.386 0-6.627-5.373-12-12-12z"/>
-            </svg>
-            ${this.translations.authGitHub}
-          </button>
-        </div>
+        ${this.renderOAuthButtons('register')}
       </div>
     `;
   }
 
+  /**
+   * Render a sign-in button for each enabled OAuth provider, with ids like "google-login"
+   * @param {string} form - 'login' or 'register'
+   */
+  renderOAuthButtons(form) {
+    const providers = getEnabledOAuthProviders();
+    if (providers.length === 0) return '';
+
+    const buttons = providers.map((provider, index) => {
+      // An odd last button takes the whole row
+      const span = providers.length % 2 === 1 && index === providers.length - 1 ? 'col-span-2' : '';
+      return `
+          <button type="button" id="${provider.id}-${form}" data-oauth-provider="${provider.id}" class="${span} flex items-center justify-center px-3 py-3 border border-theme-primary/30 rounded-lg hover:bg-theme-primary/10 hover:border-theme-primary transition-all duration-200 disabled:opacity-50 disabled:cursor-not-allowed disabled:hover:bg-theme-surface font-medium text-theme-text text-sm">
+            ${provider.icon}
+            ${provider.displayName}
+          </button>`;
+    }).join('');
+
+    return `
+        <div class="grid grid-cols-2 gap-3">${buttons}
+        </div>
+    `;
+  }
+
   /**
    * Render forgot password form
    */
@@ -358,13 +437,13 @@ export default class AuthModalVanilla {
     return `
       <div class="p-6">
         <div class="text-center mb-6">
-          <button id="back-to-login" class="absolute top-5 left-5 w-10 h-10 flex items-center justify-center rounded-full bg-[#202837] hover:bg-[#2EAFC4]/20 transition-all duration-200 border border-[#2EAFC4]/30">
-            <svg class="w-5 h-5 text-[#F6F7F9]" fill="none" stroke="currentColor" viewBox="0 0 24 24" stroke-width="2">
+          <button id="back-to-login" class="absolute top-5 left-5 w-10 h-10 flex items-center justify-center rounded-full bg-theme-surface hover:bg-theme-primary/20 transition-all duration-200 border border-theme-primary/30">
+            <svg class="w-5 h-5 text-theme-text" fill="none" stroke="currentColor" viewBox="0 0 24 24" stroke-width="2">
               <path stroke-linecap="round" stroke-linejoin="round" d="M15 19l-7-7 7-7" />
             </svg>
           </button>
-          <h2 class="text-2xl font-bold text-[#F6F7F9] mb-2 leading-tight">${this.translations.authForgotPasswordTitle}</h2>
-          <p class="text-[#F6F7F9]/80 text-sm leading-relaxed">${this.translations.authForgotPasswordDesc}</p>
+          <h2 class="text-2xl font-bold text-theme-text mb-2 leading-tight">${this.translations.authForgotPasswordTitle}</h2>
+          <p class="text-theme-text/80 text-sm leading-relaxed">${this.translations.authForgotPasswordDesc}</p>
         </div>
 
         <div id="forgot-error" class="hidden mb-4 p-4 bg-red-900/20 border-l-4 border-red-400 rounded-r-lg">
@@ -382,12 +461,12 @@ export default class AuthModalVanilla {
 
         <form id="forgot-form" class="space-y-4">
           <div>
-            <label for="forgot-email" class="block text-sm font-semibold text-[#F6F7F9] mb-1">${this.translations.authEmail}</label>
+            <label for="forgot-email" class="block text-sm font-semibold text-theme-text mb-1">${this.translations.authEmail}</label>
             <input
               type="email"
               id="forgot-email"
               name="email"
-              class="w-full px-3 py-3 text-sm border-2 border-[#2EAFC4]/30 rounded-lg focus:ring-2 focus:ring-[#2EAFC4] focus:border-[#2EAFC4] transition-all duration-200 bg-[#202837] placeholder-[#F6F7F9]/50 text-[#F6F7F9]"
+              class="w-full px-3 py-3 text-sm border-2 border-theme-primary/30 rounded-lg focus:ring-2 focus:ring-theme-primary focus:border-theme-primary transition-all duration-200 bg-theme-surface placeholder-theme-text/50 text-theme-text"
               placeholder="tu@email.com"
               required
             />
@@ -397,14 +476,14 @@ export default class AuthModalVanilla {
           <button
             type="submit"
             id="forgot-submit"
-            class="w-full py-3 px-4 bg-gradient-to-r from-[#2EAFC4] to-[#FFC979] text-[#162032] font-bold text-base rounded-lg hover:shadow-lg transform hover:-translate-y-0.5 transition-all duration-300 disabled:opacity-50 disabled:cursor-not-allowed disabled:transform-none border-2 border-transparent hover:border-[#2EAFC4]/20"
+            class="w-full py-3 px-4 bg-gradient-to-r from-theme-primary to-theme-accent text-theme-on-primary font-bold text-base rounded-lg hover:shadow-lg transform hover:-translate-y-0.5 transition-all duration-300 disabled:opacity-50 disabled:cursor-not-allowed disabled:transform-none border-2 border-transparent hover:border-theme-primary/20"
           >
             ${this.translations.authSendRecoveryLink}
           </button>
         </form>
 
         <div class="mt-6 text-center">
-          <button id="back-to-login-link" class="text-sm text-[#2EAFC4] hover:text-[#FFC979] transition-colors font-semibold underline decoration-1 underline-offset-1">
+          <button id="back-to-login-link" class="text-sm text-theme-primary hover:text-theme-accent transition-colors font-semibold underline decoration-1 underline-offset-1">
             ${this.translations.authBackToLogin}
           </button>
         </div>
@@ -412,6 +491,137 @@ export default class AuthModalVanilla {
     `;
   }
 
+  /**
+   * Render the second login step: a TOTP code, or a recovery code when the authenticator is lost
+   */
+  renderMfaChallengeForm() {
+    const recovery = this.mfaMode === 'recovery';
+    const email = authService.getMfaChallenge()?.email || '';
+
+    return `
+      <div class="p-6">
+        <div class="text-center mb-6">
+          <button id="mfa-back" class="absolute top-5 left-5 w-10 h-10 flex items-center justify-center rounded-full bg-theme-surface hover:bg-theme-primary/20 transition-all duration-200 border border-theme-primary/30" aria-label="${this.translations.authBackToLoginSuccess}">
+            <svg class="w-5 h-5 text-theme-text" fill="none" stroke="currentColor" viewBox="0 0 24 24" stroke-width="2">
+              <path stroke-linecap="round" stroke-linejoin="round" d="M15 19l-7-7 7-7" />
+            </svg>
+          </button>
+          <h2 class="text-2xl font-bold text-theme-text mb-2 leading-tight">${this.translations.authMfaTitle}</h2>
+          <p class="text-theme-text/80 text-sm leading-relaxed">${recovery ? this.translations.authMfaRecoveryDesc : this.translations.authMfaDesc}</p>
+          ${email ? `<p class="mt-2 text-theme-primary text-sm font-medium">${sanitizeInput(email)}</p>` : ''}
+        </div>
+
+        <form id="mfa-form" class="space-y-4" novalidate>
+          <div>
+            <label for="mfa-code" class="block text-sm font-semibold text-theme-text mb-1">${recovery ? this.translations.authMfaRecoveryCode : this.translations.authMfaCode}</label>
+            <input
+              type="text"
+              id="mfa-code"
+              name="code"
+              class="w-full px-3 py-3 text-lg tracking-widest text-center border-2 border-theme-primary/30 rounded-lg focus:ring-2 focus:ring-theme-primary focus:border-theme-primary transition-all duration-200 bg-theme-surface placeholder-theme-text/50 text-theme-text"
+              ${recovery
+                ? 'placeholder="xxxxx-xxxxx" autocomplete="off" maxlength="16"'
+                : 'placeholder="000000" inputmode="numeric" autocomplete="one-time-code" pattern="[0-9 ]*" maxlength="7"'}
+              required
+            />
+            <div class="error-message text-red-400 text-xs mt-1 hidden font-medium"></div>
+          </div>
+
+          <button
+            type="submit"
+            id="mfa-submit"
+            class="w-full py-3 px-4 bg-gradient-to-r from-theme-primary to-theme-accent text-theme-on-primary font-bold text-base rounded-lg hover:shadow-lg transform hover:-translate-y-0.5 transition-all duration-300 disabled:opacity-50 disabled:cursor-not-allowed disabled:transform-none border-2 border-transparent hover:border-theme-primary/20"
+          >
+            ${this.translations.authMfaVerify}
+          </button>
+        </form>
+
+        <div class="mt-6 text-center">
+          <button type="button" id="mfa-toggle-mode" class="text-sm text-theme-primary hover:text-theme-accent transition-colors font-semibold underline decoration-1 underline-offset-1">
+            ${recovery ? this.translations.authMfaUseApp : this.translations.authMfaUseRecovery}
+          </button>
+        </div>
+      </div>
+    `;
+  }
+
+  /**
+   * Render passwordless sign in: ask for the email, then wait for the link or its 6-digit code
+   */
+  renderMagicLinkForm() {
+    const sent = !!this.magicLinkEmail;
+    const inputClass = 'w-full px-3 py-3 border-2 border-theme-primary/30 rounded-lg focus:ring-2 focus:ring-theme-primary focus:border-theme-primary transition-all duration-200 bg-theme-surface placeholder-theme-text/50 text-theme-text';
+    const submitClass = 'w-full py-3 px-4 bg-gradient-to-r from-theme-primary to-theme-accent text-theme-on-primary font-bold text-base rounded-lg hover:shadow-lg transform hover:-translate-y-0.5 transition-all duration-300 disabled:opacity-50 disabled:cursor-not-allowed disabled:transform-none border-2 border-transparent hover:border-theme-primary/20';
+    const linkClass = 'text-sm text-theme-primary hover:text-theme-accent transition-colors font-semibold underline decoration-1 underline-offset-1';
+
+    return `
+      <div class="p-6">
+        <div class="text-center mb-6">
+          <button id="magic-link-back" class="absolute top-5 left-5 w-10 h-10 flex items-center justify-center rounded-full bg-theme-surface hover:bg-theme-primary/20 transition-all duration-200 border border-theme-primary/30" aria-label="${this.translations.authBackToLoginSuccess}">
+            <svg class="w-5 h-5 text-theme-text" fill="none" stroke="currentColor" viewBox="0 0 24 24" stroke-width="2">
+              <path stroke-linecap="round" stroke-linejoin="round" d="M15 19l-7-7 7-7" />
+            </svg>
+          </button>
+          <h2 class="text-2xl font-bold text-theme-text mb-2 leading-tight">${sent ? this.translations.authMagicLinkSentTitle : this.translations.authMagicLinkTitle}</h2>
+          <p class="text-theme-text/80 text-sm leading-relaxed">${sent
+            ? i18n.format('authMagicLinkSentDesc', { email: sanitizeInput(this.magicLinkEmail) })
+            : this.translations.authMagicLinkDesc}</p>
+        </div>
+
+        ${sent ? `
+          <form id="email-otp-form" class="space-y-4" novalidate>
+            <div>
+              <label for="email-otp-code" class="block text-sm font-semibold text-theme-text mb-1">${this.translations.authEmailOtpCode}</label>
+              <input
+                type="text"
+                id="email-otp-code"
+                name="code"
+                class="${inputClass} text-lg tracking-widest text-center"
+                placeholder="000000"
+                inputmode="numeric"
+                autocomplete="one-time-code"
+                pattern="[0-9 ]*"
+                maxlength="7"
+                required
+              />
+              <div class="error-message text-red-400 text-xs mt-1 hidden font-medium"></div>
+            </div>
+
+            <button type="submit" id="email-otp-submit" class="${submitClass}">
+              ${this.translations.authEmailOtpVerify}
+            </button>
+          </form>
+
+          <div class="mt-6 flex justify-between">
+            <button type="button" id="magic-link-other-email" class="${linkClass}">${this.translations.authMagicLinkOtherEmail}</button>
+            <button type="button" id="magic-link-resend" class="${linkClass}">${this.translations.authMagicLinkResend}</button>
+          </div>
+        ` : `
+          <form id="magic-link-form" class="space-y-4" novalidate>
+            <div>
+              <label for="magic-link-email" class="block text-sm font-semibold text-theme-text mb-1">${this.translations.authEmail}</label>
+              <input
+                type="email"
+                id="magic-link-email"
+                name="email"
+                class="${inputClass} text-sm"
+                placeholder="tu@email.com"
+                value="${sanitizeInput(this.invitation?.email || '')}"
+                autocomplete="email"
+                required
+              />
+              <div class="error-message text-red-400 text-xs mt-1 hidden font-medium"></div>
+            </div>
+
+            <button type="submit" id="magic-link-submit" class="${submitClass}">
+              ${this.translations.authMagicLinkSend}
+            </button>
+          </form>
+        `}
+      </div>
+    `;
+  }
+
   /**
    * Setup event listeners for the modal
    */
@@ -481,6 +691,61 @@ export default class AuthModalVanilla {
       });
     }
 
+    // Second factor step
+    const mfaBack = document.getElementById('mfa-back');
+    if (mfaBack) {
+      mfaBack.addEventListener('click', () => this.leaveMfaChallenge());
+    }
+
+    const mfaToggle = document.getElementById('mfa-toggle-mode');
+    if (mfaToggle) {
+      mfaToggle.addEventListener('click', () => {
+        this.mfaMode = this.mfaMode === 'recovery' ? 'totp' : 'recovery';
+        this.render();
+        this.setupEventListeners();
+        document.getElementById('mfa-code')?.focus();
+      });
+    }
+
+    // Passwordless sign in
+    const magicLinkBtn = document.getElementById('magic-link-btn');
+    if (magicLinkBtn) {
+      magicLinkBtn.addEventListener('click', () => {
+        this.showMagicLink = true;
+        this.render();
+        this.setupEventListeners();
+        document.getElementById('magic-link-email')?.focus();
+      });
+    }
+
+    const magicLinkBack = document.getElementById('magic-link-back');
+    if (magicLinkBack) {
+      magicLinkBack.addEventListener('click', () => {
+        this.showMagicLink = false;
+        this.magicLinkEmail = null;
+        this.activeTab = 'login';
+        this.render();
+        this.setupEventListeners();
+      });
+    }
+
+    const otherEmail = document.getElementById('magic-link-other-email');
+    if (otherEmail) {
+      otherEmail.addEventListener('click', () => {
+        this.magicLinkEmail = null;
+        this.render();
+        this.setupEventListeners();
+        document.getElementById('magic-link-email')?.focus();
+      });
+    }
+
+    const resend = document.getElementById('magic-link-resend');
+    if (resend) {
+      resend.addEventListener('click', () => {
+        this.sendMagicLink(this.magicLinkEmail, document.getElementById('email-otp-form').parentElement);
+      });
+    }
+
     // Form submissions
     this.setupFormHandlers();
     this.setupOAuthHandlers();
@@ -514,6 +779,38 @@ export default class AuthModalVanilla {
       this.setupInputErrorClearing(registerForm, 'register');
     }
 
+    // Second factor form
+    const mfaForm = document.getElementById('mfa-form');
+    if (mfaForm) {
+      mfaForm.addEventListener('submit', async (e) => {
+        e.preventDefault();
+        await this.handleMfaChallenge(e.target);
+      });
+
+      this.setupInputErrorClearing(mfaForm, 'mfa');
+    }
+
+    // Passwordless forms
+    const magicLinkForm = document.getElementById('magic-link-form');
+    if (magicLinkForm) {
+      magicLinkForm.addEventListener('submit', async (e) => {
+        e.preventDefault();
+        await this.handleMagicLink(e.target);
+      });
+
+      this.setupInputErrorClearing(magicLinkForm, 'magic-link');
+    }
+
+    const emailOtpForm = document.getElementById('email-otp-form');
+    if (emailOtpForm) {
+      emailOtpForm.addEventListener('submit', async (e) => {
+        e.preventDefault();
+        await this.handleEmailOtp(e.target);
+      });
+
+      this.setupInputErrorClearing(emailOtpForm, 'email-otp');
+    }
+
     // Forgot password form
     const forgotForm = document.getElementById('forgot-form');
     if (forgotForm) {
@@ -538,7 +835,7 @@ export default class AuthModalVanilla {
         const errorDiv = input.parentElement.querySelector('.error-message');
         if (errorDiv && !errorDiv.classList.contains('hidden')) {
           input.classList.remove('border-red-400', 'focus:border-red-400', 'focus:ring-red-400');
-          input.classList.add('border-[#2EAFC4]/30', 'focus:border-[#2EAFC4]', 'focus:ring-[#2EAFC4]');
+          input.classList.add('border-theme-primary/30', 'focus:border-theme-primary', 'focus:ring-theme-primary');
           errorDiv.classList.add('hidden');
           errorDiv.textContent = '';
         }
@@ -553,7 +850,7 @@ export default class AuthModalVanilla {
         const errorDiv = input.parentElement.querySelector('.error-message');
         if (errorDiv && !errorDiv.classList.contains('hidden')) {
           input.classList.remove('border-red-400', 'focus:border-red-400', 'focus:ring-red-400');
-          input.classList.add('border-[#2EAFC4]/30', 'focus:border-[#2EAFC4]', 'focus:ring-[#2EAFC4]');
+          input.classList.add('border-theme-primary/30', 'focus:border-theme-primary', 'focus:ring-theme-primary');
         }
       });
     });
@@ -563,29 +860,9 @@ export default class AuthModalVanilla {
    * Setup OAuth handlers
    */
   setupOAuthHandlers() {
-    // Google OAuth
-    const googleLogin = document.getElementById('google-login');
-    const googleRegister = document.getElementById('google-register');
-
-    if (googleLogin) {
-      googleLogin.addEventListener('click', () => this.handleGoogleAuth());
-    }
-
-    if (googleRegister) {
-      googleRegister.addEventListener('click', () => this.handleGoogleAuth());
-    }
-
-    // GitHub OAuth
-    const githubLogin = document.getElementById('github-login');
-    const githubRegister = document.getElementById('github-register');
-
-    if (githubLogin) {
-      githubLogin.addEventListener('click', () => this.handleGitHubAuth());
-    }
-
-    if (githubRegister) {
-      githubRegister.addEventListener('click', () => this.handleGitHubAuth());
-    }
+    document.querySelectorAll('[data-oauth-provider]').forEach(button => {
+      button.addEventListener('click', () => this.handleOAuth(button.dataset.oauthProvider));
+    });
   }
 
   /**
@@ -647,7 +924,11 @@ export default class AuthModalVanilla {
         language: i18n.getCurrentLanguage()
       });
 
-      if (result.success) {
+      if (result.success && result.mfaRequired) {
+        // Password accepted; the account also needs its TOTP code
+        this.feedbackSystem.hideLoading(loginContainer);
+        this.showMfaStep();
+      } else if (result.success) {
         // Show success message
         this.feedbackSystem.showSuccess('login', loginContainer, 2000);
         
@@ -659,7 +940,7 @@ export default class AuthModalVanilla {
         // Close modal after brief delay to show success
         setTimeout(() => {
           this.close();
-          window.location.href = '/app';
+          this.finishAuthentication();
         }, 1500);
       } else {
         // Handle specific login error scenarios
@@ -675,6 +956,167 @@ export default class AuthModalVanilla {
     }
   }
 
+  /**
+   * Switch the modal to the second factor step
+   */
+  showMfaStep() {
+    this.showMfaChallenge = true;
+    this.mfaMode = 'totp';
+    this.render();
+    this.setupEventListeners();
+    document.getElementById('mfa-code')?.focus();
+  }
+
+  /**
+   * Abandon the second factor step and go back to the login form
+   * @param {Object} error - Processed error to show on the login form, if any
+   */
+  async leaveMfaChallenge(error = null) {
+    await authService.cancelMfaChallenge();
+    this.showMfaChallenge = false;
+    this.activeTab = 'login';
+    this.render();
+    this.setupEventListeners();
+
+    if (error) {
+      this.feedbackSystem.showError(error.type, {
+        canRetry: false,
+        targetElement: document.querySelector('#login-form').parentElement
+      });
+    }
+  }
+
+  /**
+   * Handle the TOTP or recovery code submitted in the second factor step
+   * @param {HTMLFormElement} form - The MFA form
+   */
+  async handleMfaChallenge(form) {
+    const code = new FormData(form).get('code')?.trim() || '';
+    const container = form.parentElement;
+
+    this.clearFormErrors('mfa');
+    if (!code) {
+      this.showFormErrors('mfa', { code: this.translations.authMfaCodeRequired });
+      return;
+    }
+
+    this.feedbackSystem.showLoading('mfa', null, container);
+
+    const result = await authService.verifyMfaWithErrorHandling(code, {
+      recovery: this.mfaMode === 'recovery',
+      language: i18n.getCurrentLanguage()
+    });
+
+    if (result.success) {
+      // Signing in with a recovery code turns MFA off, so say how to turn it back on
+      this.feedbackSystem.showSuccess(result.mfaDisabled ? this.translations.authMfaRecoveryUsed : 'login', container, 2000);
+      setTimeout(() => {
+        this.close();
+        this.finishAuthentication();
+      }, result.mfaDisabled ? 4000 : 1500);
+      return;
+    }
+
+    if (result.error.type === 'MFA_CHALLENGE_EXPIRED') {
+      await this.leaveMfaChallenge(result.error);
+      return;
+    }
+
+    this.feedbackSystem.showError(result.error.type, {
+      canRetry: false,
+      targetElement: container
+    });
+    const input = form.querySelector('[name="code"]');
+    input.value = '';
+    input.focus();
+  }
+
+  /**
+   * Handle the email submitted to request a magic link
+   * @param {HTMLFormElement} form - The magic link form
+   */
+  async handleMagicLink(form) {
+    const email = new FormData(form).get('email')?.trim() || '';
+
+    this.clearFormErrors('magic-link');
+    const validation = validateEmail(email, i18n.getCurrentLanguage());
+    if (!validation.isValid) {
+      this.showFormErrors('magic-link', { email: validation.message });
+      return;
+    }
+
+    await this.sendMagicLink(email, form.parentElement);
+  }
+
+  /**
+   * Send (or resend) the sign-in email and move to the code step
+   * @param {string} email - Email to send the link to
+   * @param {HTMLElement} container - Container element for feedback
+   */
+  async sendMagicLink(email, container) {
+    this.feedbackSystem.showLoading('magicLink', null, container);
+
+    const result = await authService.loginWithMagicLink(email, {
+      language: i18n.getCurrentLanguage()
+    });
+
+    if (!result.success) {
+      this.feedbackSystem.showError(result.error.type, {
+        canRetry: false,
+        targetElement: container
+      });
+      return;
+    }
+
+    this.magicLinkEmail = result.email;
+    this.render();
+    this.setupEventListeners();
+    this.feedbackSystem.showSuccess('magicLink', document.getElementById('email-otp-form').parentElement, 3000);
+    document.getElementById('email-otp-code')?.focus();
+  }
+
+  /**
+   * Handle the 6-digit code typed from the sign-in email
+   * @param {HTMLFormElement} form - The email code form
+   */
+  async handleEmailOtp(form) {
+    const code = new FormData(form).get('code')?.trim() || '';
+    const container = form.parentElement;
+
+    this.clearFormErrors('email-otp');
+    if (!code) {
+      this.showFormErrors('email-otp', { code: this.translations.authEmailOtpRequired });
+      return;
+    }
+
+    this.feedbackSystem.showLoading('login', null, container);
+
+    const result = await authService.loginWithEmailOtp(this.magicLinkEmail, code, {
+      language: i18n.getCurrentLanguage()
+    });
+
+    if (result.success && result.mfaRequired) {
+      this.feedbackSystem.hideLoading(container);
+      this.showMagicLink = false;
+      this.magicLinkEmail = null;
+      this.showMfaStep();
+    } else if (result.success) {
+      this.feedbackSystem.showSuccess('login', container, 2000);
+      setTimeout(() => {
+        this.close();
+        this.finishAuthentication();
+      }, 1500);
+    } else {
+      this.feedbackSystem.showError(result.error.type, {
+        canRetry: false,
+        targetElement: container
+      });
+      const input = form.querySelector('[name="code"]');
+      input.value = '';
+      input.focus();
+    }
+  }
+
   /**
    * Handle specific login error scenarios with enhanced user feedback
    * @param {Object} error - Processed error object from authErrorHandler
@@ -734,24 +1176,7 @@ export default class AuthModalVanilla {
    * @param {string} language - Current language
    */
   handleUserNotFoundError(error, email, container, language) {
-    const messages = {
-      es: {
-        title: 'No encontramos una cuenta con este email',
-        suggestion: '¿Quizás quieres crear una cuenta nueva?',
-        createAccount: 'Crear Cuenta',
-        tryDifferentEmail: 'Usar otro email',
-        forgotEmail: '¿Olvidaste tu email?'
-      },
-      en: {
-        title: 'No account found with this email',
-        suggestion: 'Would you like to create a new account?',
-        createAccount: 'Create Account',
-        tryDifferentEmail: 'Try different email',
-        forgotEmail: 'Forgot your email?'
-      }
-    };
-
-    const msg = messages[language] || messages.es;
+    const t = i18n.getTranslations(language);
 
     // Create custom error message with suggestions
     const errorHtml = `
@@ -763,14 +1188,14 @@ export default class AuthModalVanilla {
             </svg>
           </div>
           <div class="ml-3 flex-1">
-            <h4 class="text-sm font-medium text-blue-800">${msg.title}</h4>
-            <p class="mt-1 text-sm text-blue-700">${msg.suggestion}</p>
+            <h4 class="text-sm font-medium text-blue-800">${t.authUserNotFoundTitle}</h4>
+            <p class="mt-1 text-sm text-blue-700">${t.authUserNotFoundSuggestion}</p>
             <div class="mt-3 flex flex-wrap gap-2">
-              <button type="button" class="create-account-btn px-4 py-2 bg-[#2EAFC4] text-white rounded-lg hover:bg-[#2EAFC4]/80 transition-colors text-sm font-medium">
-                ${msg.createAccount}
+              <button type="button" class="create-account-btn px-4 py-2 bg-theme-primary text-white rounded-lg hover:bg-theme-primary/80 transition-colors text-sm font-medium">
+                ${t.authCreateAccountAction}
               </button>
               <button type="button" class="try-different-email-btn px-4 py-2 bg-gray-200 text-gray-800 rounded-lg hover:bg-gray-300 transition-colors text-sm font-medium">
-                ${msg.tryDifferentEmail}
+                ${t.authTryDifferentEmail}
               </button>
             </div>
           </div>
@@ -826,24 +1251,7 @@ export default class AuthModalVanilla {
    * @param {string} language - Current language
    */
   handleInvalidCredentialsError(error, form, container, language) {
-    const messages = {
-      es: {
-        title: 'Email o contraseña incorrectos',
-        suggestion: 'Verifica que hayas ingresado la información correcta',
-        forgotPassword: '¿Olvidaste tu contraseña?',
-        tryAgain: 'Intentar de nuevo',
-        showPassword: 'Mostrar contraseña'
-      },
-      en: {
-        title: 'Invalid email or password',
-        suggestion: 'Please check that you entered the correct information',
-        forgotPassword: 'Forgot your password?',
-        tryAgain: 'Try again',
-        showPassword: 'Show password'
-      }
-    };
-
-    const msg = messages[language] || messages.es;
+    const t = i18n.getTranslations(language);
 
     // Highlight both email and password fields
     const emailInput = form.querySelector('[name="email"]');
@@ -862,14 +1270,14 @@ export default class AuthModalVanilla {
             </svg>
           </div>
           <div class="ml-3 flex-1">
-            <h4 class="text-sm font-medium text-red-800">${msg.title}</h4>
-            <p class="mt-1 text-sm text-red-700">${msg.suggestion}</p>
+            <h4 class="text-sm font-medium text-red-800">${t.authInvalidCredentialsTitle}</h4>
+            <p class="mt-1 text-sm text-red-700">${t.authInvalidCredentialsSuggestion}</p>
             <div class="mt-3 flex flex-wrap gap-2">
-              <button type="button" class="forgot-password-btn px-4 py-2 bg-[#FFC979] text-[#162032] rounded-lg hover:bg-[#FFC979]/80 transition-colors text-sm font-medium">
-                ${msg.forgotPassword}
+              <button type="button" class="forgot-password-btn px-4 py-2 bg-theme-accent text-theme-on-primary rounded-lg hover:bg-theme-accent/80 transition-colors text-sm font-medium">
+                ${t.authForgotPassword}
               </button>
               <button type="button" class="show-password-btn px-4 py-2 bg-gray-200 text-gray-800 rounded-lg hover:bg-gray-300 transition-colors text-sm font-medium">
-                ${msg.showPassword}
+                ${t.authShowPassword}
               </button>
             </div>
           </div>
@@ -909,10 +1317,10 @@ export default class AuthModalVanilla {
         // Toggle password visibility
         if (passwordInput.type === 'password') {
           passwordInput.type = 'text';
-          showPasswordBtn.textContent = language === 'en' ? 'Hide password' : 'Ocultar contraseña';
+          showPasswordBtn.textContent = t.authHidePassword;
         } else {
           passwordInput.type = 'password';
-          showPasswordBtn.textContent = msg.showPassword;
+          showPasswordBtn.textContent = t.authShowPassword;
         }
       });
     }
@@ -926,24 +1334,7 @@ export default class AuthModalVanilla {
    * @param {string} language - Current language
    */
   handleRateLimitedError(error, form, container, language) {
-    const messages = {
-      es: {
-        title: 'Demasiados intentos de inicio de sesión',
-        waitMessage: 'Por favor espera {seconds} segundos antes de intentar de nuevo',
-        suggestion: 'Esto es por tu seguridad. Mientras esperas, puedes:',
-        resetPassword: 'Restablecer contraseña',
-        contactSupport: 'Contactar soporte'
-      },
-      en: {
-        title: 'Too many login attempts',
-        waitMessage: 'Please wait {seconds} seconds before trying again',
-        suggestion: 'This is for your security. While you wait, you can:',
-        resetPassword: 'Reset password',
-        contactSupport: 'Contact support'
-      }
-    };
-
-    const msg = messages[language] || messages.es;
+    const t = i18n.getTranslations(language);
     
     // Extract wait time from error message or default to 60 seconds
     let waitTime = 60;
@@ -964,17 +1355,17 @@ export default class AuthModalVanilla {
             </svg>
           </div>
           <div class="ml-3 flex-1">
-            <h4 class="text-sm font-medium text-yellow-800">${msg.title}</h4>
+            <h4 class="text-sm font-medium text-yellow-800">${t.authRateLimitedTitle}</h4>
             <p class="mt-1 text-sm text-yellow-700">
-              <span class="wait-message">${msg.waitMessage.replace('{seconds}', `<span class="countdown font-bold">${remainingTime}</span>`)}</span>
+              <span class="wait-message">${i18n.format('authRateLimitedWait', { seconds: `<span class="countdown font-bold">${remainingTime}</span>` }, language)}</span>
             </p>
-            <p class="mt-2 text-sm text-yellow-700">${msg.suggestion}</p>
+            <p class="mt-2 text-sm text-yellow-700">${t.authRateLimitedSuggestion}</p>
             <div class="mt-3 flex flex-wrap gap-2">
-              <button type="button" class="reset-password-btn px-4 py-2 bg-[#FFC979] text-[#162032] rounded-lg hover:bg-[#FFC979]/80 transition-colors text-sm font-medium">
-                ${msg.resetPassword}
+              <button type="button" class="reset-password-btn px-4 py-2 bg-theme-accent text-theme-on-primary rounded-lg hover:bg-theme-accent/80 transition-colors text-sm font-medium">
+                ${t.authResetPassword}
               </button>
               <button type="button" class="retry-btn px-4 py-2 bg-gray-200 text-gray-800 rounded-lg hover:bg-gray-300 transition-colors text-sm font-medium opacity-50 cursor-not-allowed" disabled>
-                ${language === 'en' ? 'Try Again' : 'Intentar de Nuevo'} (<span class="retry-countdown">${remainingTime}</span>s)
+                ${t.authTryAgain} (<span class="retry-countdown">${remainingTime}</span>s)
               </button>
             </div>
           </div>
@@ -1011,8 +1402,8 @@ export default class AuthModalVanilla {
         if (retryBtn) {
           retryBtn.disabled = false;
           retryBtn.classList.remove('opacity-50', 'cursor-not-allowed');
-          retryBtn.classList.add('bg-[#2EAFC4]', 'text-white', 'hover:bg-[#2EAFC4]/80');
-          retryBtn.innerHTML = language === 'en' ? 'Try Again' : 'Intentar de Nuevo';
+          retryBtn.classList.add('bg-theme-primary', 'text-white', 'hover:bg-theme-primary/80');
+          retryBtn.innerHTML = t.authTryAgain;
           
           retryBtn.addEventListener('click', () => {
             container.querySelector('.rate-limited-error').remove();
@@ -1023,9 +1414,7 @@ export default class AuthModalVanilla {
         // Update wait message
         const waitMessageElement = container.querySelector('.wait-message');
         if (waitMessageElement) {
-          waitMessageElement.textContent = language === 'en' 
-            ? 'You can now try logging in again' 
-            : 'Ya puedes intentar iniciar sesión de nuevo';
+          waitMessageElement.textContent = t.authRateLimitedReady;
         }
       }
     }, 1000);
@@ -1058,26 +1447,7 @@ export default class AuthModalVanilla {
    * @param {string} language - Current language
    */
   handleUnconfirmedEmailError(error, email, container, language) {
-    const messages = {
-      es: {
-        title: 'Email no confirmado',
-        message: 'Debes confirmar tu email antes de iniciar sesión',
-        instruction: 'Revisa tu bandeja de entrada y haz clic en el enlace de confirmación',
-        resendConfirmation: 'Reenviar confirmación',
-        checkSpam: 'Revisar spam',
-        changeEmail: 'Cambiar email'
-      },
-      en: {
-        title: 'Email not confirmed',
-        message: 'You must confirm your email before signing in',
-        instruction: 'Check your inbox and click the confirmation link',
-        resendConfirmation: 'Resend confirmation',
-        checkSpam: 'Check spam folder',
-        changeEmail: 'Change email'
-      }
-    };
-
-    const msg = messages[language] || messages.es;
+    const t = i18n.getTranslations(language);
 
     const errorHtml = `
       <div class="unconfirmed-email-error bg-blue-50 border border-blue-200 rounded-lg p-4 mb-4">
@@ -1088,21 +1458,21 @@ export default class AuthModalVanilla {
             </svg>
           </div>
           <div class="ml-3 flex-1">
-            <h4 class="text-sm font-medium text-blue-800">${msg.title}</h4>
-            <p class="mt-1 text-sm text-blue-700">${msg.message}</p>
-            <p class="mt-1 text-sm text-blue-600">${msg.instruction}</p>
+            <h4 class="text-sm font-medium text-blue-800">${t.authEmailNotConfirmedTitle}</h4>
+            <p class="mt-1 text-sm text-blue-700">${t.authEmailNotConfirmedMessage}</p>
+            <p class="mt-1 text-sm text-blue-600">${t.authEmailNotConfirmedInstruction}</p>
             <div class="mt-1 text-xs text-blue-600 font-mono bg-blue-100 px-2 py-1 rounded">
               ${email}
             </div>
             <div class="mt-3 flex flex-wrap gap-2">
-              <button type="button" class="resend-confirmation-btn px-4 py-2 bg-[#2EAFC4] text-white rounded-lg hover:bg-[#2EAFC4]/80 transition-colors text-sm font-medium">
-                ${msg.resendConfirmation}
+              <button type="button" class="resend-confirmation-btn px-4 py-2 bg-theme-primary text-white rounded-lg hover:bg-theme-primary/80 transition-colors text-sm font-medium">
+                ${t.authResendConfirmation}
               </button>
-              <button type="button" class="check-spam-btn px-4 py-2 bg-[#FFC979] text-[#162032] rounded-lg hover:bg-[#FFC979]/80 transition-colors text-sm font-medium">
-                ${msg.checkSpam}
+              <button type="button" class="check-spam-btn px-4 py-2 bg-theme-accent text-theme-on-primary rounded-lg hover:bg-theme-accent/80 transition-colors text-sm font-medium">
+                ${t.authCheckSpam}
               </button>
               <button type="button" class="change-email-btn px-4 py-2 bg-gray-200 text-gray-800 rounded-lg hover:bg-gray-300 transition-colors text-sm font-medium">
-                ${msg.changeEmail}
+                ${t.authChangeEmail}
               </button>
             </div>
           </div>
@@ -1125,35 +1495,35 @@ export default class AuthModalVanilla {
       resendBtn.addEventListener('click', async () => {
         try {
           resendBtn.disabled = true;
-          resendBtn.textContent = language === 'en' ? 'Sending...' : 'Enviando...';
+          resendBtn.textContent = t.authSending;
           
           // Call resend confirmation method
           await this.resendEmailConfirmation(email);
           
           // Update button state
-          resendBtn.textContent = language === 'en' ? 'Sent!' : '¡Enviado!';
-          resendBtn.classList.remove('bg-[#2EAFC4]');
+          resendBtn.textContent = t.authSent;
+          resendBtn.classList.remove('bg-theme-primary');
           resendBtn.classList.add('bg-green-600');
           
           // Reset button after 3 seconds
           setTimeout(() => {
             resendBtn.disabled = false;
-            resendBtn.textContent = msg.resendConfirmation;
+            resendBtn.textContent = t.authResendConfirmation;
             resendBtn.classList.remove('bg-green-600');
-            resendBtn.classList.add('bg-[#2EAFC4]');
+            resendBtn.classList.add('bg-theme-primary');
           }, 3000);
           
         } catch (error) {
           console.error('Error resending confirmation:', error);
           resendBtn.disabled = false;
-          resendBtn.textContent = language === 'en' ? 'Error - Try again' : 'Error - Reintentar';
-          resendBtn.classList.remove('bg-[#2EAFC4]');
+          resendBtn.textContent = t.authSendFailedRetry;
+          resendBtn.classList.remove('bg-theme-primary');
           resendBtn.classList.add('bg-red-600');
           
           setTimeout(() => {
-            resendBtn.textContent = msg.resendConfirmation;
+            resendBtn.textContent = t.authResendConfirmation;
             resendBtn.classList.remove('bg-red-600');
-            resendBtn.classList.add('bg-[#2EAFC4]');
+            resendBtn.classList.add('bg-theme-primary');
           }, 3000);
         }
       });
@@ -1162,9 +1532,7 @@ export default class AuthModalVanilla {
     if (checkSpamBtn) {
       checkSpamBtn.addEventListener('click', () => {
         // Show helpful message about checking spam
-        const spamMessage = language === 'en' 
-          ? 'Check your spam/junk folder. Sometimes confirmation emails end up there. If you find it, mark it as "not spam" to ensure future emails reach your inbox.'
-          : 'Revisa tu carpeta de spam/correo no deseado. A veces los emails de confirmación terminan ahí. Si lo encuentras, márcalo como "no es spam" para asegurar que futuros emails lleguen a tu bandeja de entrada.';
+        const spamMessage = t.authCheckSpamHelp;
         
         // Replace the instruction text temporarily
         const instructionElement = container.querySelector('.unconfirmed-email-error p:nth-child(3)');
@@ -1192,9 +1560,7 @@ export default class AuthModalVanilla {
         // Show message about changing email
         setTimeout(() => {
           const registerContainer = document.querySelector('#register-form').parentElement;
-          const changeEmailMessage = language === 'en'
-            ? 'You can register with a different email address if needed'
-            : 'Puedes registrarte con una dirección de email diferente si es necesario';
+          const changeEmailMessage = t.authChangeEmailHelp;
           
           this.feedbackSystem.showError(changeEmailMessage, {
             canRetry: false,
@@ -1246,7 +1612,7 @@ export default class AuthModalVanilla {
         setTimeout(() => {
           this.close();
           // Redirect to onboarding or app
-          window.location.href = '/app';
+          this.finishAuthentication();
         }, 2000);
       } else {
         // Handle validation errors first
@@ -1295,8 +1661,8 @@ export default class AuthModalVanilla {
           if (errorElement) {
             const switchButton = document.createElement('button');
             switchButton.type = 'button';
-            switchButton.className = 'mt-2 px-4 py-2 bg-[#2EAFC4] text-white rounded-lg hover:bg-[#2EAFC4]/80 transition-colors text-sm font-medium';
-            switchButton.textContent = language === 'en' ? 'Switch to Login' : 'Cambiar a Iniciar Sesión';
+            switchButton.className = 'mt-2 px-4 py-2 bg-theme-primary text-white rounded-lg hover:bg-theme-primary/80 transition-colors text-sm font-medium';
+            switchButton.textContent = i18n.getTranslations(language).authSwitchToLogin;
             switchButton.onclick = () => {
               // Pre-fill email in login form
               this.activeTab = 'login';
@@ -1354,8 +1720,8 @@ export default class AuthModalVanilla {
           if (errorElement) {
             const resendButton = document.createElement('button');
             resendButton.type = 'button';
-            resendButton.className = 'mt-2 px-4 py-2 bg-[#FFC979] text-[#162032] rounded-lg hover:bg-[#FFC979]/80 transition-colors text-sm font-medium';
-            resendButton.textContent = language === 'en' ? 'Resend Confirmation' : 'Reenviar Confirmación';
+            resendButton.className = 'mt-2 px-4 py-2 bg-theme-accent text-theme-on-primary rounded-lg hover:bg-theme-accent/80 transition-colors text-sm font-medium';
+            resendButton.textContent = i18n.getTranslations(language).authResendConfirmation;
             resendButton.onclick = () => this.resendEmailConfirmation(form.querySelector('[name="email"]').value);
             errorElement.querySelector('.ml-3').appendChild(resendButton);
           }
@@ -1400,7 +1766,7 @@ export default class AuthModalVanilla {
    */
   highlightFieldError(field) {
     if (field) {
-      field.classList.remove('border-[#2EAFC4]/30', 'focus:border-[#2EAFC4]', 'focus:ring-[#2EAFC4]');
+      field.classList.remove('border-theme-primary/30', 'focus:border-theme-primary', 'focus:ring-theme-primary');
       field.classList.add('border-red-400', 'focus:border-red-400', 'focus:ring-red-400');
     }
   }
@@ -1428,22 +1794,18 @@ export default class AuthModalVanilla {
   showPasswordRequirements(passwordField, language) {
     if (!passwordField) return;
 
-    const requirements = language === 'en' ? [
-      'At least 8 characters long',
-      'Include uppercase letters (A-Z)',
-      'Include lowercase letters (a-z)',
-      'Include numbers (0-9)'
-    ] : [
-      'Al menos 8 caracteres',
-      'Incluir letras mayúsculas (A-Z)',
-      'Incluir letras minúsculas (a-z)',
-      'Incluir números (0-9)'
+    const t = i18n.getTranslations(language);
+    const requirements = [
+      t.authPasswordRuleLength,
+      t.authPasswordRuleUppercase,
+      t.authPasswordRuleLowercase,
+      t.authPasswordRuleNumber
     ];
 
     const requirementsHtml = `
       <div class="password-requirements mt-2 p-3 bg-yellow-50 border border-yellow-200 rounded-lg">
         <p class="text-sm font-medium text-yellow-800 mb-2">
-          ${language === 'en' ? 'Password must include:' : 'La contraseña debe incluir:'}
+          ${t.authPasswordMustInclude}
         </p>
         <ul class="text-xs text-yellow-700 space-y-1">
           ${requirements.map(req => `<li class="flex items-center"><span class="w-1 h-1 bg-yellow-600 rounded-full mr-2"></span>${req}</li>`).join('')}
@@ -1469,18 +1831,12 @@ export default class AuthModalVanilla {
     try {
       // This would typically call a resend confirmation endpoint
       // For now, show a success message
-      const language = i18n.getCurrentLanguage();
-      const message = language === 'en' 
-        ? 'Confirmation email sent! Please check your inbox.' 
-        : 'Email de confirmación enviado! Revisa tu bandeja de entrada.';
+      const message = i18n.getTranslations().authConfirmationResent;
       
       this.feedbackSystem.showSuccess(message, null, 5000);
     } catch (error) {
       console.error('Error resending confirmation:', error);
-      const language = i18n.getCurrentLanguage();
-      const message = language === 'en' 
-        ? 'Failed to resend confirmation email. Please try again.' 
-        : 'Error al reenviar email de confirmación. Inténtalo de nuevo.';
+      const message = i18n.getTranslations().authConfirmationResendFailed;
       
       this.feedbackSystem.showError(message);
     }
@@ -1504,7 +1860,7 @@ export default class AuthModalVanilla {
       const inputs = form.querySelectorAll('input');
       inputs.forEach(input => {
         input.classList.remove('border-red-400', 'focus:border-red-400', 'focus:ring-red-400');
-        input.classList.add('border-[#2EAFC4]/30', 'focus:border-[#2EAFC4]', 'focus:ring-[#2EAFC4]');
+        input.classList.add('border-theme-primary/30', 'focus:border-theme-primary', 'focus:ring-theme-primary');
       });
 
       // Remove password requirements
@@ -1565,57 +1921,20 @@ export default class AuthModalVanilla {
   }
 
   /**
-   * Handle Google OAuth with enhanced error handling
-   */
-  async handleGoogleAuth() {
-    const googleBtn = document.getElementById('google-login') || document.getElementById('google-register');
-    if (!googleBtn) return;
-
-    const originalText = googleBtn.innerHTML;
-    const container = googleBtn.closest('.space-y-5, .space-y-6');
-    
-    // Show loading state
-    this.feedbackSystem.showLoading('login', this.translations.authConnecting, container);
-    googleBtn.disabled = true;
-    googleBtn.innerHTML = `
-      <svg class="w-5 h-5 mr-2 animate-spin" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-        <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M4 4v5h.582m15.356 2A8.001 8.001 0 004.582 9m0 0H9m11 11v-5h-.581m0 0a8.003 8.003 0 01-15.357-2m15.357 2H15" />
-      </svg>
-      ${this.translations.authConnecting}
-    `;
-
-    try {
-      await authService.loginWithGoogle();
-      this.feedbackSystem.showSuccess('login', container, 1500);
-      setTimeout(() => {
-        this.close();
-        window.location.href = '/app';
-      }, 1000);
-    } catch (error) {
-      this.feedbackSystem.showError(error, {
-        canRetry: true,
-        retryCallback: () => this.handleGoogleAuth(),
-        targetElement: container
-      });
-      googleBtn.disabled = false;
-      googleBtn.innerHTML = originalText;
-    }
-  }
-
-  /**
-   * Handle GitHub OAuth with enhanced error handling
+   * Handle OAuth sign in with enhanced error handling
+   * @param {string} provider - Provider id from config/authProviders.js
    */
-  async handleGitHubAuth() {
-    const githubBtn = document.getElementById('github-login') || document.getElementById('github-register');
-    if (!githubBtn) return;
+  async handleOAuth(provider) {
+    const button = document.querySelector(`[data-oauth-provider="${provider}"]`);
+    if (!button) return;
 
-    const originalText = githubBtn.innerHTML;
-    const container = githubBtn.closest('.space-y-5, .space-y-6');
+    const originalText = button.innerHTML;
+    const container = button.closest('.space-y-5, .space-y-6');
     
     // Show loading state
     this.feedbackSystem.showLoading('login', this.translations.authConnecting, container);
-    githubBtn.disabled = true;
-    githubBtn.innerHTML = `
+    button.disabled = true;
+    button.innerHTML = `
       <svg class="w-5 h-5 mr-2 animate-spin" fill="none" stroke="currentColor" viewBox="0 0 24 24">
         <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M4 4v5h.582m15.356 2A8.001 8.001 0 004.582 9m0 0H9m11 11v-5h-.581m0 0a8.003 8.003 0 01-15.357-2m15.357 2H15" />
       </svg>
@@ -1623,20 +1942,20 @@ export default class AuthModalVanilla {
     `;
 
     try {
-      await authService.loginWithGitHub();
+      await authService.loginWithOAuth(provider);
       this.feedbackSystem.showSuccess('login', container, 1500);
       setTimeout(() => {
         this.close();
-        window.location.href = '/app';
+        this.finishAuthentication();
       }, 1000);
     } catch (error) {
       this.feedbackSystem.showError(error, {
         canRetry: true,
-        retryCallback: () => this.handleGitHubAuth(),
+        retryCallback: () => this.handleOAuth(provider),
         targetElement: container
       });
-      githubBtn.disabled = false;
-      githubBtn.innerHTML = originalText;
+      button.disabled = false;
+      button.innerHTML = originalText;
     }
   }
 
@@ -1656,7 +1975,7 @@ export default class AuthModalVanilla {
       
       if (input && errorDiv) {
         input.classList.add('border-red-400', 'focus:border-red-400', 'focus:ring-red-400');
-        input.classList.remove('border-[#2EAFC4]/30', 'focus:border-[#2EAFC4]', 'focus:ring-[#2EAFC4]');
+        input.classList.remove('border-theme-primary/30', 'focus:border-theme-primary', 'focus:ring-theme-primary');
         errorDiv.textContent = errors[field];
         errorDiv.classList.remove('hidden');
         errorDiv.classList.add('fade-in');
@@ -1684,7 +2003,7 @@ export default class AuthModalVanilla {
     const inputs = form.querySelectorAll('input');
     inputs.forEach(input => {
       input.classList.remove('border-red-400', 'focus:border-red-400', 'focus:ring-red-400');
-      input.classList.add('border-[#2EAFC4]/30', 'focus:border-[#2EAFC4]', 'focus:ring-[#2EAFC4]');
+      input.classList.add('border-theme-primary/30', 'focus:border-theme-primary', 'focus:ring-theme-primary');
       
       const errorDiv = input.parentElement.querySelector('.error-message');
       if (errorDiv) {
@@ -1703,9 +2022,7 @@ export default class AuthModalVanilla {
    * Show connection restored message
    */
   showConnectionRestoredMessage() {
-    const message = i18n.getCurrentLanguage() === 'es' 
-      ? 'Conexión restaurada. Continuando...'
-      : 'Connection restored. Continuing...';
+    const message = i18n.translate('connection:connectionRestoredContinuing');
     
     this.feedbackSystem.showSuccess(message, null, 2000);
   }
@@ -1740,18 +2057,18 @@ export default class AuthModalVanilla {
             <path stroke-linecap="round" stroke-linejoin="round" d="M5 13l4 4L19 7" />
           </svg>
         </div>
-        <h2 class="text-2xl font-bold text-[#F6F7F9] mb-3 leading-tight">${this.translations.authEmailSent}</h2>
-        <p class="text-[#F6F7F9]/80 text-sm leading-relaxed mb-6">
-          ${this.translations.authEmailSentDesc} <strong class="text-[#2EAFC4]">${email}</strong>. 
+        <h2 class="text-2xl font-bold text-theme-text mb-3 leading-tight">${this.translations.authEmailSent}</h2>
+        <p class="text-theme-text/80 text-sm leading-relaxed mb-6">
+          ${this.translations.authEmailSentDesc} <strong class="text-theme-primary">${email}</strong>. 
           ${this.translations.authEmailSentInstructions}
         </p>
         <div class="space-y-3">
-          <button id="back-to-login-success" class="w-full py-3 px-4 bg-gradient-to-r from-[#2EAFC4] to-[#FFC979] text-[#162032] font-bold text-base rounded-lg hover:shadow-lg transform hover:-translate-y-0.5 transition-all duration-300 border-2 border-transparent hover:border-[#2EAFC4]/20">
+          <button id="back-to-login-success" class="w-full py-3 px-4 bg-gradient-to-r from-theme-primary to-theme-accent text-theme-on-primary font-bold text-base rounded-lg hover:shadow-lg transform hover:-translate-y-0.5 transition-all duration-300 border-2 border-transparent hover:border-theme-primary/20">
             ${this.translations.authBackToLoginSuccess}
           </button>
-          <p class="text-sm text-[#F6F7F9]/70">
+          <p class="text-sm text-theme-text/70">
             ${this.translations.authDidntReceiveEmail} 
-            <button id="resend-email" class="text-[#2EAFC4] hover:text-[#FFC979] transition-colors font-semibold underline decoration-1 underline-offset-1">
+            <button id="resend-email" class="text-theme-primary hover:text-theme-accent transition-colors font-semibold underline decoration-1 underline-offset-1">
               ${this.translations.authTryAgain}
             </button>
           </p>
@@ -1797,18 +2114,18 @@ export default class AuthModalVanilla {
     const errorElement = document.getElementById(`${formType}-error`);
     if (!errorElement) return;
 
-    let errorMessage = processedError.userMessage || processedError.message || 'Error desconocido';
+    let errorMessage = processedError.userMessage || processedError.message || i18n.translate('auth:UNKNOWN_ERROR');
     
     // Add connection context if available
     if (result.connectivityRestored) {
-      errorMessage += ` (Conexión restaurada después de ${result.totalAttempts} intentos)`;
+      errorMessage += ` (${i18n.t('connection:retriedAfterRestore', { count: result.totalAttempts })})`;
     } else if (result.totalAttempts > 1) {
-      errorMessage += ` (Intentado ${result.totalAttempts} veces)`;
+      errorMessage += ` (${i18n.t('connection:retriedTimes', { count: result.totalAttempts })})`;
     }
 
     // Show retry suggestion for connection errors
     if (processedError.canRetry && processedError.type === 'NETWORK_ERROR') {
-      errorMessage += '. Verifica tu conexión e inténtalo de nuevo.';
+      errorMessage += `. ${i18n.translate('connection:retryCheckConnection')}`;
     }
 
     const errorMessageElement = errorElement.querySelector('p');
@@ -1842,7 +2159,7 @@ export default class AuthModalVanilla {
         </div>
         <div class="ml-3">
           <p class="text-green-300 text-sm font-medium">
-            ${this.translations.connectionRestored || 'Conexión restaurada'}
+            ${i18n.translate('connection:connectionRestored')}
           </p>
         </div>
       </div>
@@ -1895,7 +2212,7 @@ export default class AuthModalVanilla {
   getModalConnectionStatusConfig(status) {
     const configs = {
       [CONNECTION_STATUS.DISCONNECTED]: {
-        message: this.translations.connectionOfflineMode || 'Modo sin conexión - Funcionalidad limitada',
+        message: i18n.translate('connection:connectionOfflineMode'),
         icon: `<svg class="w-4 h-4 text-red-400" fill="none" stroke="currentColor" viewBox="0 0 24 24">
           <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M12 9v2m0 4h.01m-6.938 4h13.856c1.54 0 2.502-1.667 1.732-2.5L13.732 4c-.77-.833-1.964-.833-2.732 0L4.082 16.5c-.77.833.192 2.5 1.732 2.5z" />
         </svg>`,
@@ -1904,7 +2221,7 @@ export default class AuthModalVanilla {
         textClass: 'text-red-300'
       },
       [CONNECTION_STATUS.CHECKING]: {
-        message: this.translations.connectionChecking || 'Verificando conexión...',
+        message: i18n.translate('connection:connectionChecking'),
         icon: `<svg class="w-4 h-4 text-yellow-400 animate-spin" fill="none" stroke="currentColor" viewBox="0 0 24 24">
           <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M4 4v5h.582m15.356 2A8.001 8.001 0 004.582 9m0 0H9m11 11v-5h-.581m0 0a8.003 8.003 0 01-15.357-2m15.357 2H15" />
         </svg>`,
@@ -1938,8 +2255,8 @@ export default class AuthModalVanilla {
     this.modalElement.innerHTML = `
       <div class="p-6">
         <!-- Close button -->
-        <button id="auth-close-btn" class="absolute top-5 right-5 z-10 w-10 h-10 flex items-center justify-center rounded-full bg-[#202837] hover:bg-[#2EAFC4]/20 transition-all duration-200 border border-[#2EAFC4]/30">
-          <svg class="w-5 h-5 text-[#F6F7F9]" fill="none" stroke="currentColor" viewBox="0 0 24 24" stroke-width="2">
+        <button id="auth-close-btn" class="absolute top-5 right-5 z-10 w-10 h-10 flex items-center justify-center rounded-full bg-theme-surface hover:bg-theme-primary/20 transition-all duration-200 border border-theme-primary/30">
+          <svg class="w-5 h-5 text-theme-text" fill="none" stroke="currentColor" viewBox="0 0 24 24" stroke-width="2">
             <path stroke-linecap="round" stroke-linejoin="round" d="M6 18L18 6M6 6l12 12" />
           </svg>
         </button>
@@ -1951,32 +2268,32 @@ export default class AuthModalVanilla {
               <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M5 13l4 4L19 7" />
             </svg>
           </div>
-          <h2 class="text-xl font-bold text-[#F6F7F9] mb-2">📧 Email enviado exitosamente</h2>
-          <p class="text-[#F6F7F9]/80 text-sm">Se envió un enlace de recuperación a:</p>
-          <p class="text-[#2EAFC4] font-semibold text-sm mt-1">${email}</p>
+          <h2 class="text-xl font-bold text-theme-text mb-2">📧 Email enviado exitosamente</h2>
+          <p class="text-theme-text/80 text-sm">Se envió un enlace de recuperación a:</p>
+          <p class="text-theme-primary font-semibold text-sm mt-1">${email}</p>
         </div>
 
         <!-- Instructions -->
-        <div class="bg-[#202837] rounded-xl p-4 mb-4 border border-[#2EAFC4]/20">
-          <h3 class="text-[#F6F7F9] font-semibold mb-3 flex items-center">
-            <svg class="w-5 h-5 mr-2 text-[#2EAFC4]" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+        <div class="bg-theme-surface rounded-xl p-4 mb-4 border border-theme-primary/20">
+          <h3 class="text-theme-text font-semibold mb-3 flex items-center">
+            <svg class="w-5 h-5 mr-2 text-theme-primary" fill="none" stroke="currentColor" viewBox="0 0 24 24">
               <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M13 16h-1v-4h-1m1-4h.01M21 12a9 9 0 11-18 0 9 9 0 0118 0z" />
             </svg>
             Instrucciones importantes:
           </h3>
-          <ul class="text-[#F6F7F9]/80 text-sm space-y-2">
+          <ul class="text-theme-text/80 text-sm space-y-2">
             ${result.instructions ? result.instructions.map(instruction => `
               <li class="flex items-start">
-                <span class="text-[#2EAFC4] mr-2 mt-0.5">•</span>
+                <span class="text-theme-primary mr-2 mt-0.5">•</span>
                 ${instruction}
               </li>
             `).join('') : `
               <li class="flex items-start">
-                <span class="text-[#2EAFC4] mr-2 mt-0.5">•</span>
+                <span class="text-theme-primary mr-2 mt-0.5">•</span>
                 Revisa tu bandeja de entrada y carpeta de spam
               </li>
               <li class="flex items-start">
-                <span class="text-[#2EAFC4] mr-2 mt-0.5">•</span>
+                <span class="text-theme-primary mr-2 mt-0.5">•</span>
                 El enlace expira en 1 hora
               </li>
             `}
@@ -1991,7 +2308,7 @@ export default class AuthModalVanilla {
             </svg>
             <div>
               <h4 class="text-yellow-500 font-semibold text-sm mb-1">⚠️ MUY IMPORTANTE</h4>
-              <p class="text-[#F6F7F9]/80 text-sm">
+              <p class="text-theme-text/80 text-sm">
                 Si no ves el email en 2-3 minutos, <strong>revisa tu carpeta de SPAM</strong>. 
                 Esta es la causa más común de emails "perdidos".
               </p>
@@ -2001,7 +2318,7 @@ export default class AuthModalVanilla {
 
         <!-- Action buttons -->
         <div class="space-y-3">
-          <button id="check-email-guide" class="w-full py-3 px-4 bg-[#FFC979] text-[#162032] rounded-xl font-semibold hover:bg-[#FFC979]/90 transition-all duration-200 flex items-center justify-center">
+          <button id="check-email-guide" class="w-full py-3 px-4 bg-theme-accent text-theme-on-primary rounded-xl font-semibold hover:bg-theme-accent/90 transition-all duration-200 flex items-center justify-center">
             <svg class="w-5 h-5 mr-2" fill="none" stroke="currentColor" viewBox="0 0 24 24">
               <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M21 21l-6-6m2-5a7 7 0 11-14 0 7 7 0 0114 0z" />
             </svg>
@@ -2009,21 +2326,21 @@ export default class AuthModalVanilla {
           </button>
           
           <div class="grid grid-cols-2 gap-3">
-            <button id="resend-email-enhanced" class="py-3 px-4 border border-[#2EAFC4]/30 text-[#2EAFC4] rounded-xl font-semibold hover:bg-[#2EAFC4]/10 transition-all duration-200 text-sm">
+            <button id="resend-email-enhanced" class="py-3 px-4 border border-theme-primary/30 text-theme-primary rounded-xl font-semibold hover:bg-theme-primary/10 transition-all duration-200 text-sm">
               📤 Reenviar
             </button>
-            <button id="back-to-login-success" class="py-3 px-4 bg-[#2EAFC4] text-[#162032] rounded-xl font-semibold hover:bg-[#2EAFC4]/90 transition-all duration-200 text-sm">
+            <button id="back-to-login-success" class="py-3 px-4 bg-theme-primary text-theme-on-primary rounded-xl font-semibold hover:bg-theme-primary/90 transition-all duration-200 text-sm">
               ← Volver
             </button>
           </div>
         </div>
 
         ${result.diagnostics ? `
-          <details class="mt-4 bg-[#202837] rounded-xl p-3 border border-[#2EAFC4]/20">
-            <summary class="text-[#F6F7F9]/80 text-sm cursor-pointer hover:text-[#F6F7F9] transition-colors">
+          <details class="mt-4 bg-theme-surface rounded-xl p-3 border border-theme-primary/20">
+            <summary class="text-theme-text/80 text-sm cursor-pointer hover:text-theme-text transition-colors">
               🔧 Información técnica (para soporte)
             </summary>
-            <pre class="text-xs text-[#F6F7F9]/60 mt-2 overflow-x-auto">${JSON.stringify(result.diagnostics, null, 2)}</pre>
+            <pre class="text-xs text-theme-text/60 mt-2 overflow-x-auto">${JSON.stringify(result.diagnostics, null, 2)}</pre>
           </details>
         ` : ''}
       </div>
@@ -2039,8 +2356,8 @@ export default class AuthModalVanilla {
     this.modalElement.innerHTML = `
       <div class="p-6">
         <!-- Close button -->
-        <button id="auth-close-btn" class="absolute top-5 right-5 z-10 w-10 h-10 flex items-center justify-center rounded-full bg-[#202837] hover:bg-[#2EAFC4]/20 transition-all duration-200 border border-[#2EAFC4]/30">
-          <svg class="w-5 h-5 text-[#F6F7F9]" fill="none" stroke="currentColor" viewBox="0 0 24 24" stroke-width="2">
+        <button id="auth-close-btn" class="absolute top-5 right-5 z-10 w-10 h-10 flex items-center justify-center rounded-full bg-theme-surface hover:bg-theme-primary/20 transition-all duration-200 border border-theme-primary/30">
+          <svg class="w-5 h-5 text-theme-text" fill="none" stroke="currentColor" viewBox="0 0 24 24" stroke-width="2">
             <path stroke-linecap="round" stroke-linejoin="round" d="M6 18L18 6M6 6l12 12" />
           </svg>
         </button>
@@ -2052,19 +2369,19 @@ export default class AuthModalVanilla {
               <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M6 18L18 6M6 6l12 12" />
             </svg>
           </div>
-          <h2 class="text-xl font-bold text-[#F6F7F9] mb-2">❌ No se pudo enviar el email</h2>
+          <h2 class="text-xl font-bold text-theme-text mb-2">❌ No se pudo enviar el email</h2>
           <p class="text-red-400 font-medium text-sm">${result.error.message}</p>
         </div>
 
         <!-- Troubleshooting -->
-        <div class="bg-[#202837] rounded-xl p-4 mb-4 border border-red-500/20">
-          <h3 class="text-[#F6F7F9] font-semibold mb-3 flex items-center">
+        <div class="bg-theme-surface rounded-xl p-4 mb-4 border border-red-500/20">
+          <h3 class="text-theme-text font-semibold mb-3 flex items-center">
             <svg class="w-5 h-5 mr-2 text-red-400" fill="none" stroke="currentColor" viewBox="0 0 24 24">
               <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M9.663 17h4.673M12 3v1m6.364 1.636l-.707.707M21 12h-1M4 12H3m3.343-5.657l-.707-.707m2.828 9.9a5 5 0 117.072 0l-.548.547A3.374 3.374 0 0014 18.469V19a2 2 0 11-4 0v-.531c0-.895-.356-1.754-.988-2.386l-.548-.547z" />
             </svg>
             Soluciones recomendadas:
           </h3>
-          <ul class="text-[#F6F7F9]/80 text-sm space-y-2">
+          <ul class="text-theme-text/80 text-sm space-y-2">
             ${result.troubleshooting ? result.troubleshooting.map(step => `
               <li class="flex items-start">
                 <span class="text-red-400 mr-2 mt-0.5">•</span>
@@ -2085,26 +2402,26 @@ export default class AuthModalVanilla {
 
         <!-- Action buttons -->
         <div class="space-y-3">
-          <button id="retry-password-reset" class="w-full py-3 px-4 bg-[#2EAFC4] text-[#162032] rounded-xl font-semibold hover:bg-[#2EAFC4]/90 transition-all duration-200">
+          <button id="retry-password-reset" class="w-full py-3 px-4 bg-theme-primary text-theme-on-primary rounded-xl font-semibold hover:bg-theme-primary/90 transition-all duration-200">
             🔄 Intentar nuevamente
           </button>
           
           <div class="grid grid-cols-2 gap-3">
-            <button id="contact-support-btn" class="py-3 px-4 bg-[#FFC979] text-[#162032] rounded-xl font-semibold hover:bg-[#FFC979]/90 transition-all duration-200 text-sm">
+            <button id="contact-support-btn" class="py-3 px-4 bg-theme-accent text-theme-on-primary rounded-xl font-semibold hover:bg-theme-accent/90 transition-all duration-200 text-sm">
               📞 Soporte
             </button>
-            <button id="back-to-login-error" class="py-3 px-4 border border-[#2EAFC4]/30 text-[#2EAFC4] rounded-xl font-semibold hover:bg-[#2EAFC4]/10 transition-all duration-200 text-sm">
+            <button id="back-to-login-error" class="py-3 px-4 border border-theme-primary/30 text-theme-primary rounded-xl font-semibold hover:bg-theme-primary/10 transition-all duration-200 text-sm">
               ← Volver
             </button>
           </div>
         </div>
 
         ${result.diagnostics ? `
-          <details class="mt-4 bg-[#202837] rounded-xl p-3 border border-red-500/20">
-            <summary class="text-[#F6F7F9]/80 text-sm cursor-pointer hover:text-[#F6F7F9] transition-colors">
+          <details class="mt-4 bg-theme-surface rounded-xl p-3 border border-red-500/20">
+            <summary class="text-theme-text/80 text-sm cursor-pointer hover:text-theme-text transition-colors">
               🔧 Información para soporte técnico
             </summary>
-            <pre class="text-xs text-[#F6F7F9]/60 mt-2 overflow-x-auto">${JSON.stringify(result.diagnostics, null, 2)}</pre>
+            <pre class="text-xs text-theme-text/60 mt-2 overflow-x-auto">${JSON.stringify(result.diagnostics, null, 2)}</pre>
           </details>
         ` : ''}
       </div>
@@ -2251,52 +2568,52 @@ Gracias.
     const guideModal = document.createElement('div');
     guideModal.className = 'fixed inset-0 z-[60] flex items-center justify-center bg-black bg-opacity-50 backdrop-blur-sm p-4';
     guideModal.innerHTML = `
-      <div class="bg-[#162032] rounded-2xl max-w-2xl w-full max-h-[90vh] overflow-y-auto border border-[#2EAFC4]/30">
+      <div class="bg-theme-background rounded-2xl max-w-2xl w-full max-h-[90vh] overflow-y-auto border border-theme-primary/30">
         <div class="p-6">
           <div class="flex justify-between items-center mb-6">
-            <h3 class="text-xl font-bold text-[#F6F7F9]">🔍 ¿Dónde buscar tu email de recuperación?</h3>
-            <button class="close-guide-btn w-8 h-8 flex items-center justify-center rounded-full bg-[#202837] hover:bg-[#2EAFC4]/20 transition-all duration-200">
-              <svg class="w-4 h-4 text-[#F6F7F9]" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+            <h3 class="text-xl font-bold text-theme-text">🔍 ¿Dónde buscar tu email de recuperación?</h3>
+            <button class="close-guide-btn w-8 h-8 flex items-center justify-center rounded-full bg-theme-surface hover:bg-theme-primary/20 transition-all duration-200">
+              <svg class="w-4 h-4 text-theme-text" fill="none" stroke="currentColor" viewBox="0 0 24 24">
                 <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M6 18L18 6M6 6l12 12" />
               </svg>
             </button>
           </div>
           
-          <p class="text-[#F6F7F9]/80 mb-4">Email enviado a: <span class="text-[#2EAFC4] font-semibold">${email}</span></p>
+          <p class="text-theme-text/80 mb-4">Email enviado a: <span class="text-theme-primary font-semibold">${email}</span></p>
           
           <div class="space-y-4">
-            <div class="bg-[#202837] rounded-xl p-4 border border-[#2EAFC4]/20">
-              <h4 class="text-[#F6F7F9] font-semibold mb-2">📥 1. Bandeja de entrada principal</h4>
-              <p class="text-[#F6F7F9]/80 text-sm">Busca un email de <code class="bg-[#2EAFC4]/20 px-2 py-1 rounded text-[#2EAFC4]">noreply@supabase.co</code></p>
+            <div class="bg-theme-surface rounded-xl p-4 border border-theme-primary/20">
+              <h4 class="text-theme-text font-semibold mb-2">📥 1. Bandeja de entrada principal</h4>
+              <p class="text-theme-text/80 text-sm">Busca un email de <code class="bg-theme-primary/20 px-2 py-1 rounded text-theme-primary">noreply@supabase.co</code></p>
             </div>
             
             <div class="bg-yellow-500/10 border border-yellow-500/30 rounded-xl p-4">
               <h4 class="text-yellow-500 font-semibold mb-2">🚨 2. Carpeta de SPAM (MUY IMPORTANTE)</h4>
-              <p class="text-[#F6F7F9]/80 text-sm mb-2">Esta es la causa más común. Revisa:</p>
-              <ul class="text-[#F6F7F9]/80 text-sm space-y-1 ml-4">
+              <p class="text-theme-text/80 text-sm mb-2">Esta es la causa más común. Revisa:</p>
+              <ul class="text-theme-text/80 text-sm space-y-1 ml-4">
                 <li>• Spam / Correo no deseado</li>
                 <li>• Correo basura</li>
                 <li>• Quarantine</li>
               </ul>
             </div>
             
-            <div class="bg-[#202837] rounded-xl p-4 border border-[#2EAFC4]/20">
-              <h4 class="text-[#F6F7F9] font-semibold mb-2">📂 3. Otras carpetas (Gmail)</h4>
-              <ul class="text-[#F6F7F9]/80 text-sm space-y-1 ml-4">
+            <div class="bg-theme-surface rounded-xl p-4 border border-theme-primary/20">
+              <h4 class="text-theme-text font-semibold mb-2">📂 3. Otras carpetas (Gmail)</h4>
+              <ul class="text-theme-text/80 text-sm space-y-1 ml-4">
                 <li>• Promociones</li>
                 <li>• Actualizaciones</li>
                 <li>• Social</li>
               </ul>
             </div>
             
-            <div class="bg-[#202837] rounded-xl p-4 border border-[#2EAFC4]/20">
-              <h4 class="text-[#F6F7F9] font-semibold mb-2">🔍 4. Buscar directamente</h4>
-              <p class="text-[#F6F7F9]/80 text-sm">Busca en tu email: <code class="bg-[#2EAFC4]/20 px-2 py-1 rounded text-[#2EAFC4]">Anclora</code> o <code class="bg-[#2EAFC4]/20 px-2 py-1 rounded text-[#2EAFC4]">recuperación</code></p>
+            <div class="bg-theme-surface rounded-xl p-4 border border-theme-primary/20">
+              <h4 class="text-theme-text font-semibold mb-2">🔍 4. Buscar directamente</h4>
+              <p class="text-theme-text/80 text-sm">Busca en tu email: <code class="bg-theme-primary/20 px-2 py-1 rounded text-theme-primary">Anclora</code> o <code class="bg-theme-primary/20 px-2 py-1 rounded text-theme-primary">recuperación</code></p>
             </div>
             
             <div class="bg-blue-500/10 border border-blue-500/30 rounded-xl p-4">
               <h4 class="text-blue-400 font-semibold mb-2">💡 Para evitar esto en el futuro:</h4>
-              <ul class="text-[#F6F7F9]/80 text-sm space-y-1 ml-4">
+              <ul class="text-theme-text/80 text-sm space-y-1 ml-4">
                 <li>• Agrega <code class="bg-blue-500/20 px-2 py-1 rounded text-blue-400">noreply@supabase.co</code> a tus contactos</li>
                 <li>• Marca como "No es spam" si lo encuentras en spam</li>
                 <li>• Configura filtros para permitir emails de Supabase</li>
@@ -2305,7 +2622,7 @@ Gracias.
           </div>
           
           <div class="mt-6 text-center">
-            <button class="close-guide-btn bg-[#2EAFC4] text-[#162032] px-6 py-3 rounded-xl font-semibold hover:bg-[#2EAFC4]/90 transition-all duration-200">
+            <button class="close-guide-btn bg-theme-primary text-theme-on-primary px-6 py-3 rounded-xl font-semibold hover:bg-theme-primary/90 transition-all duration-200">
               Entendido
             </button>
           </div>
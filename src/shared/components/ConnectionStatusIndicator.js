@@ -22,7 +22,7 @@ export default class ConnectionStatusIndicator {
     this.hideTimeout = null;
     this.unsubscribeCallbacks = [];
     
-    this.translations = i18n.getTranslations();
+    this.translations = i18n.getTranslations(null, 'connection');
     this.setupLanguageListener();
     
     // Initialize the indicator
@@ -103,8 +103,8 @@ export default class ConnectionStatusIndicator {
    */
   setupLanguageListener() {
     // Listen for language changes
-    document.addEventListener('languageChanged', () => {
-      this.translations = i18n.getTranslations();
+    window.addEventListener('languageChanged', () => {
+      this.translations = i18n.getTranslations(null, 'connection');
       this.updateStatus(connectionMonitor.getStatus());
     });
   }
@@ -218,8 +218,8 @@ export default class ConnectionStatusIndicator {
   getStatusConfig(status) {
     const configs = {
       [CONNECTION_STATUS.CONNECTED]: {
-        title: this.translations.connectionConnected || 'Conectado',
-        message: this.translations.connectionConnectedDesc || 'Conexión establecida correctamente',
+        title: this.translations.connectionConnected,
+        message: this.translations.connectionConnectedDesc,
         icon: `<svg class="w-5 h-5 text-green-400" fill="none" stroke="currentColor" viewBox="0 0 24 24">
           <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M9 12l2 2 4-4m6 2a9 9 0 11-18 0 9 9 0 0118 0z" />
         </svg>`,
@@ -228,8 +228,8 @@ export default class ConnectionStatusIndicator {
         textClass: 'text-green-300'
       },
       [CONNECTION_STATUS.DISCONNECTED]: {
-        title: this.translations.connectionDisconnected || 'Sin conexión',
-        message: this.translations.connectionDisconnectedDesc || 'Verifica tu conexión a internet',
+        title: this.translations.connectionDisconnected,
+        message: this.translations.connectionDisconnectedDesc,
         icon: `<svg class="w-5 h-5 text-red-400" fill="none" stroke="currentColor" viewBox="0 0 24 24">
           <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M12 9v2m0 4h.01m-6.938 4h13.856c1.54 0 2.502-1.667 1.732-2.5L13.732 4c-.77-.833-1.964-.833-2.732 0L4.082 16.5c-.77.833.192 2.5 1.732 2.5z" />
         </svg>`,
@@ -238,8 +238,8 @@ export default class ConnectionStatusIndicator {
         textClass: 'text-red-300'
       },
       [CONNECTION_STATUS.CHECKING]: {
-        title: this.translations.connectionChecking || 'Verificando conexión',
-        message: this.translations.connectionCheckingDesc || 'Comprobando estado de la conexión...',
+        title: this.translations.connectionChecking,
+        message: this.translations.connectionCheckingDesc,
         icon: `<svg class="w-5 h-5 text-yellow-400 animate-spin" fill="none" stroke="currentColor" viewBox="0 0 24 24">
           <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M4 4v5h.582m15.356 2A8.001 8.001 0 004.582 9m0 0H9m11 11v-5h-.581m0 0a8.003 8.003 0 01-15.357-2m15.357 2H15" />
         </svg>`,
@@ -248,8 +248,8 @@ export default class ConnectionStatusIndicator {
         textClass: 'text-yellow-300'
       },
       [CONNECTION_STATUS.UNKNOWN]: {
-        title: this.translations.connectionUnknown || 'Estado desconocido',
-        message: this.translations.connectionUnknownDesc || 'No se pudo determinar el estado de la conexión',
+        title: this.translations.connectionUnknown,
+        message: this.translations.connectionUnknownDesc,
         icon: `<svg class="w-5 h-5 text-gray-400" fill="none" stroke="currentColor" viewBox="0 0 24 24">
           <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M8.228 9c.549-1.165 2.03-2 3.772-2 2.21 0 4 1.343 4 3 0 1.4-1.278 2.575-3.006 2.907-.542.104-.994.54-.994 1.093m0 3h.01M21 12a9 9 0 11-18 0 9 9 0 0118 0z" />
         </svg>`,
@@ -272,11 +272,11 @@ export default class ConnectionStatusIndicator {
     if (!this.showLatency || !latency) return '';
 
     const qualityLabels = {
-      'excellent': this.translations.connectionExcellent || 'Excelente',
-      'good': this.translations.connectionGood || 'Buena',
-      'fair': this.translations.connectionFair || 'Regular',
-      'poor': this.translations.connectionPoor || 'Lenta',
-      'very_poor': this.translations.connectionVeryPoor || 'Muy lenta'
+      'excellent': this.translations.connectionExcellent,
+      'good': this.translations.connectionGood,
+      'fair': this.translations.connectionFair,
+      'poor': this.translations.connectionPoor,
+      'very_poor': this.translations.connectionVeryPoor
     };
 
     const qualityLabel = qualityLabels[quality] || '';
@@ -0,0 +1,199 @@
+// Email Preview Component - designer tool behind emails/preview.html
+// Renders any transactional email template in any language from editable sample data, without
+// sending it, and lists the emails the local mailbox (FileTransport) has caught
+import { EMAIL_TEMPLATES, EMAIL_TEMPLATE_IDS } from '../../config/emailTemplates.js'
+import { emailService } from '../../services/emailService.js'
+import { LANGUAGE_DETAILS } from '../../utils/constants.js'
+import { sanitizeInput } from '../../utils/validation.js'
+import i18n from '../../utils/i18n.js'
+
+const fieldClass = 'px-3 py-2 rounded-anclora-sm border border-theme-border bg-theme-background text-theme-text text-sm'
+const panelClass = 'bg-theme-surface text-theme-text rounded-anclora shadow-anclora border border-theme-border p-6'
+
+export default class EmailPreview {
+  constructor(container, options = {}) {
+    this.container = container
+    this.mailer = options.emailService || emailService
+    this.templateId = EMAIL_TEMPLATE_IDS[0]
+    this.language = i18n.getCurrentLanguage()
+    this.view = 'html'
+    this.dataText = this.getSampleText()
+    this.email = null
+    this.error = null
+    this.selectedMessageId = null
+  }
+
+  async init() {
+    this.render()
+    await this.preview()
+    return this
+  }
+
+  getSampleText() {
+    return JSON.stringify(EMAIL_TEMPLATES[this.templateId].sampleData, null, 2)
+  }
+
+  // The mailbox only exists while emails are caught locally
+  getMailbox() {
+    return typeof this.mailer.transport.list === 'function' ? this.mailer.transport : null
+  }
+
+  async preview() {
+    try {
+      this.email = await this.mailer.render(this.templateId, JSON.parse(this.dataText), this.language)
+      this.error = null
+    } catch (error) {
+      this.email = null
+      this.error = error instanceof SyntaxError ? `Invalid JSON: ${error.message}` : error.message
+    }
+    this.renderOutput()
+  }
+
+  render() {
+    this.container.innerHTML = `
+      <main class="email-preview min-h-screen bg-theme-background text-theme-text p-6 space-y-6">
+        <h1 class="text-2xl font-bold font-baskerville">Email preview</h1>
+        <div class="grid gap-6 lg:grid-cols-[22rem_1fr]">
+          <section class="${panelClass} space-y-4">
+            <label class="flex flex-col gap-1 text-sm font-medium">Template
+              <select name="template" class="${fieldClass}">
+                ${EMAIL_TEMPLATE_IDS.map(id => `<option value="${id}" ${id === this.templateId ? 'selected' : ''}>${id}</option>`).join('')}
+              </select>
+            </label>
+            <label class="flex flex-col gap-1 text-sm font-medium">Language
+              <select name="language" class="${fieldClass}">
+                ${i18n.getAvailableLanguages().map(language => `<option value="${language}" ${language === this.language ? 'selected' : ''}>${LANGUAGE_DETAILS[language]?.name || language}</option>`).join('')}
+              </select>
+            </label>
+            <label class="flex flex-col gap-1 text-sm font-medium">Data
+              <textarea name="data" rows="12" spellcheck="false" class="${fieldClass} font-mono text-xs">${sanitizeInput(this.dataText)}</textarea>
+            </label>
+            <button type="button" data-action="reset" class="text-sm text-theme-primary hover:underline">Reset sample data</button>
+          </section>
+          <section class="${panelClass} space-y-4">
+            <div class="flex gap-2" role="tablist">
+              ${['html', 'text'].map(view => `<button type="button" role="tab" data-view="${view}" aria-selected="${view === this.view}" class="px-3 py-1 rounded-anclora-sm text-sm ${view === this.view ? 'bg-theme-primary text-theme-on-primary' : 'border border-theme-border'}">${view === 'html' ? 'HTML' : 'Text'}</button>`).join('')}
+            </div>
+            <div class="email-preview-output"></div>
+          </section>
+        </div>
+        ${this.renderMailbox()}
+      </main>
+    `
+    this.setupEventListeners()
+  }
+
+  renderOutput() {
+    const output = this.container.querySelector('.email-preview-output')
+    if (!output) return
+
+    if (this.error) {
+      output.innerHTML = `<p class="email-preview-error text-theme-error" role="alert">${sanitizeInput(this.error)}</p>`
+      return
+    }
+
+    output.innerHTML = `
+      <p class="email-preview-subject font-semibold">${sanitizeInput(this.email.subject)}</p>
+      ${this.view === 'html'
+        ? '<iframe class="email-preview-html w-full h-[40rem] rounded-anclora-sm border border-theme-border bg-white" sandbox title="HTML"></iframe>'
+        : `<pre class="email-preview-text whitespace-pre-wrap text-sm p-4 rounded-anclora-sm border border-theme-border">${sanitizeInput(this.email.text)}</pre>`}
+    `
+    // srcdoc keeps the email's own styles away from the page; sandbox blocks its scripts
+    const frame = output.querySelector('iframe')
+    if (frame) frame.srcdoc = this.email.html
+  }
+
+  renderMailbox() {
+    const mailbox = this.getMailbox()
+    if (!mailbox) {
+      return `<section class="${panelClass}"><p class="text-sm">Emails are sent through ${this.mailer.transport.constructor.name}, so there is no local mailbox.</p></section>`
+    }
+
+    const messages = mailbox.list()
+    return `
+      <section class="email-mailbox ${panelClass} space-y-4">
+        <div class="flex items-center justify-between">
+          <h2 class="text-lg font-semibold">Mailbox (${messages.length})</h2>
+          ${messages.length ? '<button type="button" data-action="clear" class="text-sm text-theme-error hover:underline">Clear</button>' : ''}
+        </div>
+        ${messages.length === 0
+          ? '<p class="text-sm">Emails sent while developing show up here.</p>'
+          : `<ul class="divide-y divide-theme-border">
+              ${messages.map(message => `
+                <li class="email-mailbox-row flex flex-wrap items-center justify-between gap-3 py-2 text-sm" data-message-id="${sanitizeInput(message.id)}">
+                  <button type="button" data-action="open" class="min-w-0 text-left hover:underline">
+                    <span class="font-medium">${sanitizeInput(message.subject)}</span>
+                    <span class="block text-xs opacity-70">${sanitizeInput(message.to)} · ${sanitizeInput(message.tag || '')} · ${i18n.formatDate(message.sentAt, { dateStyle: 'short', timeStyle: 'short' })}</span>
+                  </button>
+                  <button type="button" data-action="download" class="text-xs text-theme-primary hover:underline">.eml</button>
+                </li>
+              `).join('')}
+            </ul>`}
+      </section>
+    `
+  }
+
+  openMessage(id) {
+    const message = this.getMailbox().list().find(entry => entry.id === id)
+    if (!message) return
+    this.email = { subject: message.subject, text: message.text, html: message.html || '' }
+    this.error = null
+    if (!message.html) this.view = 'text'
+    this.render()
+    this.renderOutput()
+  }
+
+  setupEventListeners() {
+    const field = name => this.container.querySelector(`[name="${name}"]`)
+
+    field('template').addEventListener('change', (e) => {
+      this.templateId = e.target.value
+      this.dataText = this.getSampleText()
+      field('data').value = this.dataText
+      this.preview()
+    })
+    field('language').addEventListener('change', (e) => {
+      this.language = e.target.value
+      this.preview()
+    })
+    field('data').addEventListener('input', (e) => {
+      this.dataText = e.target.value
+      this.preview()
+    })
+    this.container.querySelector('[data-action="reset"]').addEventListener('click', () => {
+      this.dataText = this.getSampleText()
+      field('data').value = this.dataText
+      this.preview()
+    })
+    this.container.querySelectorAll('[data-view]').forEach(button => {
+      button.addEventListener('click', () => {
+        this.view = button.dataset.view
+        this.render()
+        this.renderOutput()
+      })
+    })
+
+    this.container.querySelector('[data-action="clear"]')?.addEventListener('click', () => {
+      this.getMailbox().clear()
+      this.render()
+      this.renderOutput()
+    })
+    this.container.querySelectorAll('.email-mailbox-row').forEach(row => {
+      const id = row.dataset.messageId
+      row.querySelector('[data-action="open"]').addEventListener('click', () => this.openMessage(id))
+      row.querySelector('[data-action="download"]').addEventListener('click', () => this.getMailbox().download(id))
+    })
+  }
+
+  // Static method for easy initialization
+  static init(selector) {
+    const container = document.querySelector(selector)
+    if (container) {
+      const emailPreview = new EmailPreview(container)
+      emailPreview.init()
+      return emailPreview
+    }
+    console.warn(`EmailPreview: Container not found for selector "${selector}"`)
+    return null
+  }
+}
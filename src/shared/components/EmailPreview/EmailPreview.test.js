@@ -0,0 +1,78 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest'
+import EmailPreview from './EmailPreview.js'
+import { EmailService } from '../../services/emailService.js'
+import { FileTransport, HttpApiTransport } from '../../services/mailTransports.js'
+
+describe('EmailPreview Component', () => {
+  let container
+  let mailer
+
+  beforeEach(() => {
+    localStorage.clear()
+    container = document.createElement('div')
+    document.body.appendChild(container)
+    mailer = new EmailService()
+    mailer.configure({ transport: new FileTransport() })
+    vi.spyOn(console, 'info').mockImplementation(() => {})
+  })
+
+  afterEach(() => {
+    vi.restoreAllMocks()
+    container.remove()
+  })
+
+  const select = (name, value) => {
+    const field = container.querySelector(`[name="${name}"]`)
+    field.value = value
+    field.dispatchEvent(new Event(name === 'data' ? 'input' : 'change'))
+  }
+
+  it('should render the selected template in the selected language without sending it', async () => {
+    const send = vi.spyOn(mailer.transport, 'send')
+    await new EmailPreview(container, { emailService: mailer }).init()
+
+    expect(container.querySelector('.email-preview-subject').textContent).toBe('Confirma tu email para la beta de Anclora Kairon')
+    expect(container.querySelector('.email-preview-html').srcdoc).toContain('Confirmar mi email')
+
+    select('template', 'team-invite')
+    select('language', 'en')
+    await vi.waitFor(() => expect(container.querySelector('.email-preview-subject').textContent).toBe('Ana García invited you to Lanzamiento Q3 on Anclora Kairon'))
+    expect(JSON.parse(container.querySelector('[name="data"]').value)).toMatchObject({ role: 'member', days: 7 })
+
+    container.querySelector('[data-view="text"]').click()
+    expect(container.querySelector('.email-preview-text').textContent).toContain('See the invitation: https://anclorakairon.com/src/app/invite/5d7f9b1c3e')
+    expect(send).not.toHaveBeenCalled()
+  })
+
+  it('should show what is wrong with the edited data', async () => {
+    await new EmailPreview(container, { emailService: mailer }).init()
+
+    select('data', '{ "link": ')
+    await vi.waitFor(() => expect(container.querySelector('.email-preview-error').textContent).toContain('Invalid JSON'))
+
+    select('data', '{ "link": "https://anclorakairon.com" }')
+    await vi.waitFor(() => expect(container.querySelector('.email-preview-error').textContent).toBe('Faltan datos para la plantilla beta-confirmation: hours'))
+  })
+
+  it('should list, open and clear the emails caught by the local mailbox', async () => {
+    await mailer.send('beta-status', { to: 'ana@example.com', language: 'es', data: { link: 'https://anclorakairon.com/beta/status.html?token=t1' } })
+    await new EmailPreview(container, { emailService: mailer }).init()
+
+    const rows = container.querySelectorAll('.email-mailbox-row')
+    expect(rows).toHaveLength(1)
+    rows[0].querySelector('[data-action="open"]').click()
+    expect(container.querySelector('.email-preview-subject').textContent).toBe('Tu puesto en la beta de Anclora Kairon')
+
+    container.querySelector('[data-action="clear"]').click()
+    expect(container.querySelectorAll('.email-mailbox-row')).toHaveLength(0)
+    expect(mailer.transport.list()).toEqual([])
+  })
+
+  it('should say there is no mailbox when emails go to an endpoint', async () => {
+    mailer.configure({ transport: new HttpApiTransport({ endpoint: 'https://api.test/emails' }) })
+    await new EmailPreview(container, { emailService: mailer }).init()
+
+    expect(container.querySelector('.email-mailbox')).toBeNull()
+    expect(container.textContent).toContain('sent through HttpApiTransport')
+  })
+})
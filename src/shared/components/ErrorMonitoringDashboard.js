@@ -6,6 +6,15 @@
 
 import errorAnalytics from '../services/errorAnalytics.js';
 
+const INCIDENT_TIMELINE_LIMIT = 10;
+
+// Alert messages and annotations are user-provided text
+function escapeHtml(value) {
+  return String(value ?? '').replace(/[&<>"']/g, char => ({
+    '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', '\'': '&#39;'
+  })[char]);
+}
+
 /**
  * Error Monitoring Dashboard class
  */
@@ -30,6 +39,10 @@ export class ErrorMonitoringDashboard {
       return;
     }
 
+    // Incident buttons are re-rendered on every refresh, so listen on the container
+    this.container.addEventListener('click', (event) => this.handleIncidentClick(event));
+    this.container.addEventListener('submit', (event) => this.handleAnnotationSubmit(event));
+
     this.render();
     this.startAutoRefresh();
   }
@@ -45,6 +58,9 @@ export class ErrorMonitoringDashboard {
     // Import performanceOptimizer dynamically to avoid circular dependencies
     const { performanceOptimizer } = await import('../services/performanceOptimizer.js');
     const performanceData = performanceOptimizer.getDetailedPerformanceMetrics();
+    const { alertingSystem } = await import('../services/alertingSystem.js');
+    const incidents = alertingSystem.getIncidents({ limit: INCIDENT_TIMELINE_LIMIT });
+    const incidentStats = alertingSystem.getAlertStats().incidents;
     
     this.container.innerHTML = `
       <div class="error-monitoring-dashboard">
@@ -170,6 +186,25 @@ export class ErrorMonitoringDashboard {
             </div>
           </div>
 
+          <!-- Incidents -->
+          <div class="dashboard-card incidents-card">
+            <div class="incidents-header">
+              <h3>Incidents</h3>
+              <div class="incidents-export">
+                <button class="btn btn-outline" data-incident-export="json">Export JSON</button>
+                <button class="btn btn-outline" data-incident-export="csv">Export CSV</button>
+              </div>
+            </div>
+            <div class="alert-stats">
+              <span class="alert-stat">Open: ${incidentStats.open}</span>
+              <span class="alert-stat">Acknowledged: ${incidentStats.acknowledged}</span>
+              <span class="alert-stat">Resolved: ${incidentStats.resolved}</span>
+            </div>
+            <div class="incidents-list">
+              ${this.renderIncidents(incidents)}
+            </div>
+          </div>
+
           <!-- Performance Recommendations -->
           <div class="dashboard-card recommendations-card">
             <h3>Performance Recommendations</h3>
@@ -283,6 +318,130 @@ export class ErrorMonitoringDashboard {
     `).join('');
   }
 
+  /**
+   * Render incidents with their timelines
+   * @param {Array} incidents - Incidents from alertingSystem.getIncidents
+   * @returns {string} HTML string for incidents
+   */
+  renderIncidents(incidents) {
+    if (!incidents || incidents.length === 0) {
+      return '<div class="no-alerts">No incidents</div>';
+    }
+
+    return incidents.map(incident => `
+      <div class="alert-item incident-item severity-${incident.priority} incident-${incident.status}">
+        <div class="alert-header">
+          <span class="alert-type">${escapeHtml(incident.ruleId)}</span>
+          <span class="incident-status">${incident.status}</span>
+          <span class="alert-time">${incident.alertCount} alert${incident.alertCount === 1 ? '' : 's'}</span>
+        </div>
+        <div class="alert-message">${escapeHtml(incident.message)}</div>
+        <ol class="incident-timeline">
+          ${incident.timeline.map(event => `
+            <li class="timeline-event timeline-${event.type}">
+              <span class="alert-time">${new Date(event.timestamp).toLocaleTimeString()}</span>
+              ${this.formatTimelineEvent(event)}
+            </li>
+          `).join('')}
+        </ol>
+        ${incident.status === 'resolved' ? '' : `
+          <div class="incident-actions">
+            ${incident.status === 'open' ? `
+              <button class="btn btn-outline" data-incident-action="acknowledge" data-incident-id="${escapeHtml(incident.id)}">Acknowledge</button>
+            ` : ''}
+            <button class="btn btn-primary" data-incident-action="resolve" data-incident-id="${escapeHtml(incident.id)}">Resolve</button>
+          </div>
+        `}
+        <form class="incident-annotation" data-incident-id="${escapeHtml(incident.id)}">
+          <input type="text" name="annotation" placeholder="Add a note" aria-label="Add a note to this incident">
+          <button type="submit" class="btn btn-secondary">Annotate</button>
+        </form>
+      </div>
+    `).join('');
+  }
+
+  /**
+   * Format an incident timeline event for display
+   * @param {Object} event - Timeline event
+   * @returns {string} HTML string for the event
+   */
+  formatTimelineEvent(event) {
+    switch (event.type) {
+      case 'alert':
+        return `Alert (${event.priority}): ${escapeHtml(event.message)}`;
+      case 'acknowledged':
+        return `Acknowledged${event.by ? ` by ${escapeHtml(event.by)}` : ''}`;
+      case 'escalation':
+        return `Escalation level ${event.level}: ${event.results.some(result => result.success) ? 'delivered' : 'not delivered'}`;
+      case 'annotation':
+        return `Note: ${escapeHtml(event.message)}`;
+      case 'resolved':
+        return `Resolved${event.message ? `: ${escapeHtml(event.message)}` : ''}`;
+      case 'omitted':
+        return `${event.count} more alert${event.count === 1 ? '' : 's'}`;
+      default:
+        return escapeHtml(event.type);
+    }
+  }
+
+  /**
+   * Handle incident acknowledge/resolve and export buttons
+   * @param {Event} event - Click event
+   */
+  async handleIncidentClick(event) {
+    const actionBtn = event.target.closest('[data-incident-action]');
+    const exportBtn = event.target.closest('[data-incident-export]');
+    if (!actionBtn && !exportBtn) return;
+
+    const { alertingSystem } = await import('../services/alertingSystem.js');
+
+    if (exportBtn) {
+      this.exportIncidents(alertingSystem, exportBtn.dataset.incidentExport);
+      return;
+    }
+
+    const { incidentAction, incidentId } = actionBtn.dataset;
+    if (incidentAction === 'acknowledge') {
+      alertingSystem.acknowledgeIncident(incidentId, { by: 'dashboard' });
+    } else if (incidentAction === 'resolve') {
+      alertingSystem.resolveIncident(incidentId);
+    }
+    this.render();
+  }
+
+  /**
+   * Add the typed note to the incident's timeline
+   * @param {Event} event - Submit event of an annotation form
+   */
+  async handleAnnotationSubmit(event) {
+    const form = event.target.closest('.incident-annotation');
+    if (!form) return;
+    event.preventDefault();
+
+    const text = form.elements.annotation.value.trim();
+    if (!text) return;
+
+    const { alertingSystem } = await import('../services/alertingSystem.js');
+    alertingSystem.annotateIncident(form.dataset.incidentId, text);
+    this.render();
+  }
+
+  /**
+   * Download incidents as JSON or CSV
+   * @param {Object} alertingSystem - Alerting system
+   * @param {string} format - 'json' or 'csv'
+   */
+  exportIncidents(alertingSystem, format) {
+    try {
+      const data = alertingSystem.exportIncidents(format);
+      this.downloadFile(data, format === 'csv' ? 'text/csv' : 'application/json',
+        `alert-incidents-${new Date().toISOString().split('T')[0]}.${format}`);
+    } catch (error) {
+      console.error('Error exporting incidents:', error);
+      alert('Failed to export incidents. Check console for details.');
+    }
+  }
+
   /**
    * Format alert message for display
    * @param {Object} alert - Alert object
@@ -348,23 +507,33 @@ export class ErrorMonitoringDashboard {
   exportDashboardData() {
     try {
       const data = errorAnalytics.exportData('json');
-      const blob = new Blob([data], { type: 'application/json' });
-      const url = URL.createObjectURL(blob);
-      
-      const a = document.createElement('a');
-      a.href = url;
-      a.download = `error-analytics-${new Date().toISOString().split('T')[0]}.json`;
-      document.body.appendChild(a);
-      a.click();
-      document.body.removeChild(a);
-      
-      URL.revokeObjectURL(url);
+      this.downloadFile(data, 'application/json', `error-analytics-${new Date().toISOString().split('T')[0]}.json`);
     } catch (error) {
       console.error('Error exporting dashboard data:', error);
       alert('Failed to export data. Check console for details.');
     }
   }
 
+  /**
+   * Trigger a browser download
+   * @param {string} data - File contents
+   * @param {string} type - MIME type
+   * @param {string} fileName - File name
+   */
+  downloadFile(data, type, fileName) {
+    const blob = new Blob([data], { type });
+    const url = URL.createObjectURL(blob);
+    
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = fileName;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    
+    URL.revokeObjectURL(url);
+  }
+
   /**
    * Toggle auto-refresh functionality
    */
@@ -384,7 +553,10 @@ export class ErrorMonitoringDashboard {
     if (this.refreshInterval) return;
     
     this.refreshInterval = setInterval(() => {
-      if (this.isVisible) {
+      // Re-rendering would discard a note being typed
+      const typingNote = this.container?.contains(document.activeElement) &&
+        document.activeElement.name === 'annotation';
+      if (this.isVisible && !typingNote) {
         this.render();
       }
     }, this.refreshRate);
@@ -2,6 +2,8 @@ import i18n from '../utils/i18n.js';
 import { authErrorHandler } from '../services/authErrorHandler.js';
 import { UserFeedbackSystem } from '../services/userFeedbackSystem.js';
 import errorLogger from '../services/errorLogger.js';
+import { authService } from '../services/authService.js';
+import { onboardingService } from '../services/onboardingService.js';
 
 /**
  * Rapid Onboarding Wizard - 60 seconds flow
@@ -9,13 +11,19 @@ import errorLogger from '../services/errorLogger.js';
  * Enhanced with error handling and retry logic
  */
 export default class OnboardingWizard {
-    constructor() {
+    /**
+     * @param {Object} options - Wizard options
+     * @param {Function} options.onComplete - Called after the completion message instead of
+     *   redirecting to the dashboard URL
+     */
+    constructor(options = {}) {
+        this.onComplete = options.onComplete || null;
         this.currentStep = 1;
         this.totalSteps = 4;
         this.isOpen = false;
         this.wizardElement = null;
         this.backdropElement = null;
-        this.translations = i18n.getTranslations();
+        this.translations = i18n.getTranslations(null, 'onboarding');
         this.userData = {
             name: '',
             role: '',
@@ -28,6 +36,7 @@ export default class OnboardingWizard {
         this.feedbackSystem = new UserFeedbackSystem();
         this.initializationAttempts = 0;
         this.maxRetryAttempts = 3;
+        this.createdProjectId = null;
         
         this.setupLanguageListener();
     }
@@ -111,13 +120,13 @@ export default class OnboardingWizard {
         
         try {
             // Show loading state
-            this.feedbackSystem.showLoading('default', 'Finalizando configuración...', this.wizardElement);
+            this.feedbackSystem.showLoading('default', this.translations.onboardingFinishing, this.wizardElement);
             
             // Validate required data before completion
             this.validateCompletionData();
             
-            // Generate sample data based on selected template
-            await this.generateSampleDataWithRetry();
+            // Create the sample project, its tasks and the team invitations
+            await this.persistSampleWorkspace();
 
             // Save user preferences with retry logic
             await this.saveUserDataWithRetry();
@@ -157,16 +166,16 @@ export default class OnboardingWizard {
         successOverlay.className = 'fixed inset-0 z-50 flex items-center justify-center bg-black bg-opacity-75 backdrop-blur-sm';
 
         successOverlay.innerHTML = `
-      <div class="bg-[#162032] rounded-2xl p-8 max-w-md mx-4 text-center border border-[#2EAFC4]/30">
+      <div class="bg-theme-background rounded-2xl p-8 max-w-md mx-4 text-center border border-theme-primary/30">
         <div class="w-16 h-16 mx-auto mb-4 bg-green-900/20 rounded-full flex items-center justify-center border-4 border-green-400/30">
           <svg class="w-8 h-8 text-green-400" fill="none" stroke="currentColor" viewBox="0 0 24 24">
             <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M5 13l4 4L19 7" />
           </svg>
         </div>
-        <h2 class="text-2xl font-bold text-[#F6F7F9] mb-2">¡Bienvenido a Anclora Kairon!</h2>
-        <p class="text-[#F6F7F9]/80 mb-4">Tu espacio de trabajo está listo. Redirigiendo al dashboard...</p>
-        <div class="w-full bg-[#202837] rounded-full h-2">
-          <div class="bg-gradient-to-r from-[#2EAFC4] to-[#FFC979] h-2 rounded-full transition-all duration-3000" style="width: 0%; animation: progress 3s ease-in-out forwards;"></div>
+        <h2 class="text-2xl font-bold text-theme-text mb-2">¡Bienvenido a Anclora Kairon!</h2>
+        <p class="text-theme-text/80 mb-4">Tu espacio de trabajo está listo. Redirigiendo al dashboard...</p>
+        <div class="w-full bg-theme-surface rounded-full h-2">
+          <div class="bg-gradient-to-r from-theme-primary to-theme-accent h-2 rounded-full transition-all duration-3000" style="width: 0%; animation: progress 3s ease-in-out forwards;"></div>
         </div>
       </div>
       <style>
@@ -181,7 +190,11 @@ export default class OnboardingWizard {
         // Redirect after 3 seconds
         setTimeout(() => {
             successOverlay.remove();
-            window.location.href = '/app/dashboard';
+            if (this.onComplete) {
+                this.onComplete(this.userData);
+            } else {
+                window.location.href = '/app/dashboard';
+            }
         }, 3000);
     }
 
@@ -200,7 +213,7 @@ export default class OnboardingWizard {
 
         // Create wizard content
         this.wizardElement = document.createElement('div');
-        this.wizardElement.className = 'relative w-full max-w-2xl bg-[#162032] rounded-2xl shadow-2xl overflow-hidden border border-[#2EAFC4]/30 max-h-[90vh] overflow-y-auto';
+        this.wizardElement.className = 'relative w-full max-w-2xl bg-theme-background rounded-2xl shadow-2xl overflow-hidden border border-theme-primary/30 max-h-[90vh] overflow-y-auto';
 
         this.wizardElement.innerHTML = this.renderWizardContent();
 
@@ -216,22 +229,22 @@ export default class OnboardingWizard {
 
         return `
       <!-- Progress Header -->
-      <div class="bg-[#202837] p-6 border-b border-[#2EAFC4]/30">
+      <div class="bg-theme-surface p-6 border-b border-theme-primary/30">
         <div class="flex items-center justify-between mb-4">
-          <h1 class="text-2xl font-bold text-[#F6F7F9]">
-            ${this.translations.onboardingWelcome || 'Bienvenido a Anclora Kairon'}
+          <h1 class="text-2xl font-bold text-theme-text">
+            ${this.translations.onboardingWelcome}
           </h1>
-          <button id="skip-onboarding" class="text-[#2EAFC4] hover:text-[#FFC979] text-sm font-medium transition-colors">
-            ${this.translations.onboardingSkip || 'Saltar configuración'}
+          <button id="skip-onboarding" class="text-theme-primary hover:text-theme-accent text-sm font-medium transition-colors">
+            ${this.translations.onboardingSkip}
           </button>
         </div>
         
         <!-- Progress Bar -->
-        <div class="w-full bg-[#162032] rounded-full h-2">
-          <div class="bg-gradient-to-r from-[#2EAFC4] to-[#FFC979] h-2 rounded-full transition-all duration-500" style="width: ${progressPercentage}%"></div>
+        <div class="w-full bg-theme-background rounded-full h-2">
+          <div class="bg-gradient-to-r from-theme-primary to-theme-accent h-2 rounded-full transition-all duration-500" style="width: ${progressPercentage}%"></div>
         </div>
-        <p class="text-[#F6F7F9]/70 text-sm mt-2">
-          ${this.translations.onboardingStep || 'Paso'} ${this.currentStep} ${this.translations.onboardingOf || 'de'} ${this.totalSteps}
+        <p class="text-theme-text/70 text-sm mt-2">
+          ${i18n.format('onboarding:onboardingProgress', { step: this.currentStep, total: this.totalSteps })}
         </p>
       </div>
 
@@ -241,22 +254,22 @@ export default class OnboardingWizard {
       </div>
 
       <!-- Navigation Footer -->
-      <div class="bg-[#202837] p-6 border-t border-[#2EAFC4]/30 flex justify-between">
+      <div class="bg-theme-surface p-6 border-t border-theme-primary/30 flex justify-between">
         <button 
           id="prev-step" 
-          class="px-6 py-3 border border-[#2EAFC4]/30 text-[#F6F7F9] rounded-lg hover:bg-[#2EAFC4]/10 transition-colors ${this.currentStep === 1 ? 'opacity-50 cursor-not-allowed' : ''}"
+          class="px-6 py-3 border border-theme-primary/30 text-theme-text rounded-lg hover:bg-theme-primary/10 transition-colors ${this.currentStep === 1 ? 'opacity-50 cursor-not-allowed' : ''}"
           ${this.currentStep === 1 ? 'disabled' : ''}
         >
-          ${this.translations.onboardingPrevious || 'Anterior'}
+          ${this.translations.onboardingPrevious}
         </button>
         
         <button 
           id="next-step" 
-          class="px-6 py-3 bg-gradient-to-r from-[#2EAFC4] to-[#FFC979] text-[#162032] font-bold rounded-lg hover:shadow-lg transform hover:-translate-y-0.5 transition-all duration-300"
+          class="px-6 py-3 bg-gradient-to-r from-theme-primary to-theme-accent text-theme-on-primary font-bold rounded-lg hover:shadow-lg transform hover:-translate-y-0.5 transition-all duration-300"
         >
           ${this.currentStep === this.totalSteps ?
-                (this.translations.onboardingComplete || 'Completar') :
-                (this.translations.onboardingNext || 'Siguiente')
+                this.translations.onboardingComplete :
+                this.translations.onboardingNext
             }
         </button>
       </div>
@@ -287,48 +300,48 @@ export default class OnboardingWizard {
     renderWelcomeStep() {
         return `
       <div class="text-center mb-8">
-        <div class="w-20 h-20 mx-auto mb-6 bg-gradient-to-r from-[#2EAFC4] to-[#FFC979] rounded-full flex items-center justify-center">
-          <svg class="w-10 h-10 text-[#162032]" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+        <div class="w-20 h-20 mx-auto mb-6 bg-gradient-to-r from-theme-primary to-theme-accent rounded-full flex items-center justify-center">
+          <svg class="w-10 h-10 text-theme-on-primary" fill="none" stroke="currentColor" viewBox="0 0 24 24">
             <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M13 10V3L4 14h7v7l9-11h-7z" />
           </svg>
         </div>
-        <h2 class="text-3xl font-bold text-[#F6F7F9] mb-4">
-          ${this.translations.onboardingWelcomeTitle || '¡Empecemos tu viaje!'}
+        <h2 class="text-3xl font-bold text-theme-text mb-4">
+          ${this.translations.onboardingWelcomeTitle}
         </h2>
-        <p class="text-[#F6F7F9]/80 text-lg max-w-md mx-auto">
-          ${this.translations.onboardingWelcomeDesc || 'Te ayudaremos a configurar tu espacio de trabajo en menos de 60 segundos.'}
+        <p class="text-theme-text/80 text-lg max-w-md mx-auto">
+          ${this.translations.onboardingWelcomeDesc}
         </p>
       </div>
 
       <div class="max-w-md mx-auto space-y-6">
         <div>
-          <label class="block text-sm font-semibold text-[#F6F7F9] mb-2">
-            ${this.translations.onboardingYourName || '¿Cómo te llamas?'}
+          <label class="block text-sm font-semibold text-theme-text mb-2">
+            ${this.translations.onboardingYourName}
           </label>
           <input
             type="text"
             id="user-name"
-            class="w-full px-4 py-3 text-sm border-2 border-[#2EAFC4]/30 rounded-lg focus:ring-2 focus:ring-[#2EAFC4] focus:border-[#2EAFC4] transition-all duration-200 bg-[#202837] placeholder-[#F6F7F9]/50 text-[#F6F7F9]"
-            placeholder="${this.translations.onboardingNamePlaceholder || 'Tu nombre'}"
+            class="w-full px-4 py-3 text-sm border-2 border-theme-primary/30 rounded-lg focus:ring-2 focus:ring-theme-primary focus:border-theme-primary transition-all duration-200 bg-theme-surface placeholder-theme-text/50 text-theme-text"
+            placeholder="${this.translations.onboardingNamePlaceholder}"
             value="${this.userData.name}"
           />
         </div>
 
         <div>
-          <label class="block text-sm font-semibold text-[#F6F7F9] mb-2">
-            ${this.translations.onboardingYourRole || '¿Cuál es tu rol?'}
+          <label class="block text-sm font-semibold text-theme-text mb-2">
+            ${this.translations.onboardingYourRole}
           </label>
           <select
             id="user-role"
-            class="w-full px-4 py-3 text-sm border-2 border-[#2EAFC4]/30 rounded-lg focus:ring-2 focus:ring-[#2EAFC4] focus:border-[#2EAFC4] transition-all duration-200 bg-[#202837] text-[#F6F7F9]"
+            class="w-full px-4 py-3 text-sm border-2 border-theme-primary/30 rounded-lg focus:ring-2 focus:ring-theme-primary focus:border-theme-primary transition-all duration-200 bg-theme-surface text-theme-text"
           >
-            <option value="">${this.translations.onboardingSelectRole || 'Selecciona tu rol'}</option>
-            <option value="developer">${this.translations.onboardingDeveloper || 'Desarrollador'}</option>
-            <option value="designer">${this.translations.onboardingDesigner || 'Diseñador'}</option>
-            <option value="manager">${this.translations.onboardingManager || 'Project Manager'}</option>
-            <option value="marketing">${this.translations.onboardingMarketing || 'Marketing'}</option>
-            <option value="founder">${this.translations.onboardingFounder || 'Fundador/CEO'}</option>
-            <option value="other">${this.translations.onboardingOther || 'Otro'}</option>
+            <option value="">${this.translations.onboardingSelectRole}</option>
+            <option value="developer">${this.translations.onboardingDeveloper}</option>
+            <option value="designer">${this.translations.onboardingDesigner}</option>
+            <option value="manager">${this.translations.onboardingManager}</option>
+            <option value="marketing">${this.translations.onboardingMarketing}</option>
+            <option value="founder">${this.translations.onboardingFounder}</option>
+            <option value="other">${this.translations.onboardingOther}</option>
           </select>
         </div>
       </div>
@@ -342,29 +355,29 @@ export default class OnboardingWizard {
         const templates = [
             {
                 id: 'software',
-                name: this.translations.templateSoftware || 'Desarrollo de Software',
-                description: this.translations.templateSoftwareDesc || 'Sprints, bugs, features y releases',
+                name: this.translations.templateSoftware,
+                description: this.translations.templateSoftwareDesc,
                 icon: '💻',
                 color: 'from-blue-500 to-purple-600'
             },
             {
                 id: 'marketing',
-                name: this.translations.templateMarketing || 'Marketing',
-                description: this.translations.templateMarketingDesc || 'Campañas, contenido y análisis',
+                name: this.translations.templateMarketing,
+                description: this.translations.templateMarketingDesc,
                 icon: '📈',
                 color: 'from-green-500 to-teal-600'
             },
             {
                 id: 'design',
-                name: this.translations.templateDesign || 'Diseño',
-                description: this.translations.templateDesignDesc || 'UI/UX, branding y assets creativos',
+                name: this.translations.templateDesign,
+                description: this.translations.templateDesignDesc,
                 icon: '🎨',
                 color: 'from-pink-500 to-rose-600'
             },
             {
                 id: 'general',
-                name: this.translations.templateGeneral || 'Proyecto General',
-                description: this.translations.templateGeneralDesc || 'Tareas, objetivos y seguimiento',
+                name: this.translations.templateGeneral,
+                description: this.translations.templateGeneralDesc,
                 icon: '📋',
                 color: 'from-gray-500 to-gray-600'
             }
@@ -372,20 +385,20 @@ export default class OnboardingWizard {
 
         return `
       <div class="text-center mb-8">
-        <h2 class="text-2xl font-bold text-[#F6F7F9] mb-4">
-          ${this.translations.onboardingTemplateTitle || 'Elige tu template de proyecto'}
+        <h2 class="text-2xl font-bold text-theme-text mb-4">
+          ${this.translations.onboardingTemplateTitle}
         </h2>
-        <p class="text-[#F6F7F9]/80">
-          ${this.translations.onboardingTemplateDesc || 'Selecciona el tipo de proyecto que mejor se adapte a tu trabajo'}
+        <p class="text-theme-text/80">
+          ${this.translations.onboardingTemplateDesc}
         </p>
       </div>
 
       <div class="grid grid-cols-1 md:grid-cols-2 gap-4">
         ${templates.map(template => `
-          <div class="template-card p-6 border-2 border-[#2EAFC4]/30 rounded-xl hover:border-[#2EAFC4] transition-all duration-200 cursor-pointer ${this.userData.projectTemplate === template.id ? 'border-[#2EAFC4] bg-[#2EAFC4]/10' : 'hover:bg-[#202837]/50'}" data-template="${template.id}">
+          <div class="template-card p-6 border-2 border-theme-primary/30 rounded-xl hover:border-theme-primary transition-all duration-200 cursor-pointer ${this.userData.projectTemplate === template.id ? 'border-theme-primary bg-theme-primary/10' : 'hover:bg-theme-surface/50'}" data-template="${template.id}">
             <div class="text-4xl mb-4">${template.icon}</div>
-            <h3 class="text-lg font-bold text-[#F6F7F9] mb-2">${template.name}</h3>
-            <p class="text-[#F6F7F9]/70 text-sm">${template.description}</p>
+            <h3 class="text-lg font-bold text-theme-text mb-2">${template.name}</h3>
+            <p class="text-theme-text/70 text-sm">${template.description}</p>
           </div>
         `).join('')}
       </div>
@@ -398,22 +411,22 @@ export default class OnboardingWizard {
     renderTeamStep() {
         return `
       <div class="text-center mb-8">
-        <h2 class="text-2xl font-bold text-[#F6F7F9] mb-4">
-          ${this.translations.onboardingTeamTitle || 'Invita a tu equipo'}
+        <h2 class="text-2xl font-bold text-theme-text mb-4">
+          ${this.translations.onboardingTeamTitle}
         </h2>
-        <p class="text-[#F6F7F9]/80">
-          ${this.translations.onboardingTeamDesc || 'Puedes invitar colaboradores ahora o hacerlo más tarde'}
+        <p class="text-theme-text/80">
+          ${this.translations.onboardingTeamDesc}
         </p>
       </div>
 
       <div class="max-w-md mx-auto space-y-4">
         <div id="team-members-list">
           ${this.userData.teamMembers.map((member, index) => `
-            <div class="flex items-center gap-3 p-3 bg-[#202837] rounded-lg">
+            <div class="flex items-center gap-3 p-3 bg-theme-surface rounded-lg">
               <input
                 type="email"
-                class="flex-1 px-3 py-2 text-sm border border-[#2EAFC4]/30 rounded bg-[#162032] text-[#F6F7F9] placeholder-[#F6F7F9]/50"
-                placeholder="${this.translations.onboardingEmailPlaceholder || 'email@ejemplo.com'}"
+                class="flex-1 px-3 py-2 text-sm border border-theme-primary/30 rounded bg-theme-background text-theme-text placeholder-theme-text/50"
+                placeholder="${this.translations.onboardingEmailPlaceholder}"
                 value="${member}"
               />
               <button class="remove-member text-red-400 hover:text-red-300 p-1" data-index="${index}">
@@ -425,16 +438,16 @@ export default class OnboardingWizard {
           `).join('')}
         </div>
 
-        <button id="add-member" class="w-full p-3 border-2 border-dashed border-[#2EAFC4]/50 rounded-lg text-[#2EAFC4] hover:border-[#2EAFC4] hover:bg-[#2EAFC4]/5 transition-colors">
+        <button id="add-member" class="w-full p-3 border-2 border-dashed border-theme-primary/50 rounded-lg text-theme-primary hover:border-theme-primary hover:bg-theme-primary/5 transition-colors">
           <svg class="w-5 h-5 inline mr-2" fill="none" stroke="currentColor" viewBox="0 0 24 24">
             <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M12 6v6m0 0v6m0-6h6m-6 0H6" />
           </svg>
-          ${this.translations.onboardingAddMember || 'Agregar miembro del equipo'}
+          ${this.translations.onboardingAddMember}
         </button>
 
         <div class="text-center pt-4">
-          <button id="skip-team" class="text-[#F6F7F9]/70 hover:text-[#F6F7F9] text-sm transition-colors">
-            ${this.translations.onboardingSkipTeam || 'Saltar por ahora, lo haré después'}
+          <button id="skip-team" class="text-theme-text/70 hover:text-theme-text text-sm transition-colors">
+            ${this.translations.onboardingSkipTeam}
           </button>
         </div>
       </div>
@@ -453,40 +466,40 @@ export default class OnboardingWizard {
           </svg>
         </div>
         
-        <h2 class="text-3xl font-bold text-[#F6F7F9] mb-4">
-          ${this.translations.onboardingCompleteTitle || '¡Todo listo!'}
+        <h2 class="text-3xl font-bold text-theme-text mb-4">
+          ${this.translations.onboardingCompleteTitle}
         </h2>
         
-        <p class="text-[#F6F7F9]/80 text-lg mb-8 max-w-md mx-auto">
-          ${this.translations.onboardingCompleteDesc || 'Hemos preparado tu espacio de trabajo con datos de ejemplo para que puedas empezar inmediatamente.'}
+        <p class="text-theme-text/80 text-lg mb-8 max-w-md mx-auto">
+          ${this.translations.onboardingCompleteDesc}
         </p>
 
-        <div class="bg-[#202837] rounded-xl p-6 mb-8 max-w-md mx-auto">
-          <h3 class="text-lg font-bold text-[#F6F7F9] mb-4">
-            ${this.translations.onboardingSetupSummary || 'Resumen de configuración:'}
+        <div class="bg-theme-surface rounded-xl p-6 mb-8 max-w-md mx-auto">
+          <h3 class="text-lg font-bold text-theme-text mb-4">
+            ${this.translations.onboardingSetupSummary}
           </h3>
           <div class="space-y-3 text-left">
             <div class="flex justify-between">
-              <span class="text-[#F6F7F9]/70">${this.translations.onboardingName || 'Nombre'}:</span>
-              <span class="text-[#F6F7F9]">${this.userData.name || 'Usuario'}</span>
+              <span class="text-theme-text/70">${this.translations.onboardingName}:</span>
+              <span class="text-theme-text">${this.userData.name || this.translations.onboardingDefaultName}</span>
             </div>
             <div class="flex justify-between">
-              <span class="text-[#F6F7F9]/70">${this.translations.onboardingRole || 'Rol'}:</span>
-              <span class="text-[#F6F7F9]">${this.userData.role || 'No especificado'}</span>
+              <span class="text-theme-text/70">${this.translations.onboardingRole}:</span>
+              <span class="text-theme-text">${this.userData.role || this.translations.onboardingRoleUnspecified}</span>
             </div>
             <div class="flex justify-between">
-              <span class="text-[#F6F7F9]/70">${this.translations.onboardingTemplate || 'Template'}:</span>
-              <span class="text-[#F6F7F9]">${this.getTemplateName(this.userData.projectTemplate)}</span>
+              <span class="text-theme-text/70">${this.translations.onboardingTemplate}:</span>
+              <span class="text-theme-text">${this.getTemplateName(this.userData.projectTemplate)}</span>
             </div>
             <div class="flex justify-between">
-              <span class="text-[#F6F7F9]/70">${this.translations.onboardingTeamSize || 'Equipo'}:</span>
-              <span class="text-[#F6F7F9]">${this.userData.teamMembers.length + 1} ${this.translations.onboardingMembers || 'miembros'}</span>
+              <span class="text-theme-text/70">${this.translations.onboardingTeamSize}:</span>
+              <span class="text-theme-text">${i18n.format('onboarding:onboardingMemberCount', { count: this.userData.teamMembers.length + 1 })}</span>
             </div>
           </div>
         </div>
 
-        <div class="text-[#F6F7F9]/60 text-sm">
-          ${this.translations.onboardingReadyMessage || 'Tu proyecto está listo con tareas de ejemplo y estructura inicial.'}
+        <div class="text-theme-text/60 text-sm">
+          ${this.translations.onboardingReadyMessage}
         </div>
       </div>
     `;
@@ -497,12 +510,12 @@ export default class OnboardingWizard {
      */
     getTemplateName(templateId) {
         const templates = {
-            software: this.translations.templateSoftware || 'Desarrollo de Software',
-            marketing: this.translations.templateMarketing || 'Marketing',
-            design: this.translations.templateDesign || 'Diseño',
-            general: this.translations.templateGeneral || 'Proyecto General'
+            software: this.translations.templateSoftware,
+            marketing: this.translations.templateMarketing,
+            design: this.translations.templateDesign,
+            general: this.translations.templateGeneral
         };
-        return templates[templateId] || this.translations.templateGeneral || 'Proyecto General';
+        return templates[templateId] || templates.general;
     }
 
     /**
@@ -592,13 +605,13 @@ export default class OnboardingWizard {
             card.addEventListener('click', () => {
                 // Remove selection from all cards
                 templateCards.forEach(c => {
-                    c.classList.remove('border-[#2EAFC4]', 'bg-[#2EAFC4]/10');
-                    c.classList.add('border-[#2EAFC4]/30');
+                    c.classList.remove('border-theme-primary', 'bg-theme-primary/10');
+                    c.classList.add('border-theme-primary/30');
                 });
 
                 // Add selection to clicked card
-                card.classList.remove('border-[#2EAFC4]/30');
-                card.classList.add('border-[#2EAFC4]', 'bg-[#2EAFC4]/10');
+                card.classList.remove('border-theme-primary/30');
+                card.classList.add('border-theme-primary', 'bg-theme-primary/10');
 
                 this.userData.projectTemplate = card.dataset.template;
             });
@@ -667,7 +680,7 @@ export default class OnboardingWizard {
      */
     setupLanguageListener() {
         window.addEventListener('languageChanged', (e) => {
-            this.translations = e.detail.translations || i18n.getTranslations(e.detail.language);
+            this.translations = i18n.getTranslations(e.detail.language, 'onboarding');
             if (this.isOpen) {
                 this.render();
                 this.setupEventListeners();
@@ -681,12 +694,12 @@ export default class OnboardingWizard {
     async validateUserData() {
         try {
             // Check if user is authenticated
-            if (!window.authService || !window.authService.isAuthenticated()) {
+            if (!authService.isAuthenticated()) {
                 throw new Error('User not authenticated');
             }
 
             // Get current user data
-            const currentUser = window.authService.getCurrentUser();
+            const currentUser = authService.getCurrentUser();
             if (!currentUser) {
                 throw new Error('User data not available');
             }
@@ -706,8 +719,7 @@ export default class OnboardingWizard {
             // Log validation error but don't prevent onboarding
             errorLogger.logError(error, {
                 operation: 'onboarding_user_validation',
-                hasAuthService: !!window.authService,
-                isAuthenticated: window.authService?.isAuthenticated() || false
+                isAuthenticated: authService.isAuthenticated()
             }, errorLogger.SEVERITY_LEVELS.MEDIUM);
             
             // Continue with onboarding even if validation fails
@@ -741,26 +753,22 @@ export default class OnboardingWizard {
     }
 
     /**
-     * Generate sample data with retry logic
+     * Persist the sample project, its tasks and the pending invitations
+     * The service retries the whole unit; once created it is not created again when
+     * a later completion step fails and the user retries
      */
-    async generateSampleDataWithRetry() {
-        let attempts = 0;
-        const maxAttempts = this.maxRetryAttempts;
-
-        while (attempts < maxAttempts) {
-            try {
-                await this.generateSampleData();
-                return; // Success
-            } catch (error) {
-                attempts++;
-                
-                if (attempts >= maxAttempts) {
-                    throw new Error(`Failed to generate sample data after ${maxAttempts} attempts: ${error.message}`);
-                }
+    async persistSampleWorkspace() {
+        if (this.createdProjectId) {
+            return;
+        }
 
-                // Wait before retry (exponential backoff)
-                await this.delay(Math.pow(2, attempts - 1) * 1000);
-            }
+        try {
+            const result = await onboardingService.persistOnboarding(this.userData, {
+                maxRetries: this.maxRetryAttempts - 1
+            });
+            this.createdProjectId = result.projectId;
+        } catch (error) {
+            throw new Error(`Failed to create sample project: ${error.message}`);
         }
     }
 
@@ -793,18 +801,11 @@ export default class OnboardingWizard {
      */
     async completeAuthServiceOnboarding() {
         try {
-            if (window.authService && typeof window.authService.completeOnboarding === 'function') {
-                await window.authService.completeOnboarding();
-            } else {
-                // Fallback: mark as completed locally
-                localStorage.setItem('onboarding_completed', 'true');
-            }
+            await authService.completeOnboarding();
         } catch (error) {
             // Log error but don't fail the entire onboarding
             errorLogger.logError(error, {
-                operation: 'auth_service_onboarding_completion',
-                hasAuthService: !!window.authService,
-                hasCompleteMethod: !!(window.authService?.completeOnboarding)
+                operation: 'auth_service_onboarding_completion'
             }, errorLogger.SEVERITY_LEVELS.MEDIUM);
             
             // Fallback: mark as completed locally
@@ -866,86 +867,6 @@ export default class OnboardingWizard {
         }
     }
 
-    /**
-     * Enhanced generate sample data with error handling
-     */
-    async generateSampleData() {
-        try {
-            const templates = {
-                software: {
-                    project: 'Mi Aplicación Web',
-                    tasks: [
-                        { title: 'Configurar entorno de desarrollo', status: 'done', priority: 'high' },
-                        { title: 'Diseñar base de datos', status: 'in-progress', priority: 'high' },
-                        { title: 'Implementar autenticación', status: 'todo', priority: 'medium' },
-                        { title: 'Crear API REST', status: 'todo', priority: 'medium' },
-                        { title: 'Desarrollar frontend', status: 'todo', priority: 'low' }
-                    ]
-                },
-                marketing: {
-                    project: 'Campaña de Lanzamiento',
-                    tasks: [
-                        { title: 'Investigación de mercado', status: 'done', priority: 'high' },
-                        { title: 'Crear buyer personas', status: 'in-progress', priority: 'high' },
-                        { title: 'Diseñar landing page', status: 'todo', priority: 'medium' },
-                        { title: 'Configurar Google Ads', status: 'todo', priority: 'medium' },
-                        { title: 'Analizar métricas', status: 'todo', priority: 'low' }
-                    ]
-                },
-                design: {
-                    project: 'Rediseño de Marca',
-                    tasks: [
-                        { title: 'Investigación de usuarios', status: 'done', priority: 'high' },
-                        { title: 'Crear wireframes', status: 'in-progress', priority: 'high' },
-                        { title: 'Diseñar sistema de colores', status: 'todo', priority: 'medium' },
-                        { title: 'Crear componentes UI', status: 'todo', priority: 'medium' },
-                        { title: 'Prototipo interactivo', status: 'todo', priority: 'low' }
-                    ]
-                },
-                general: {
-                    project: 'Mi Primer Proyecto',
-                    tasks: [
-                        { title: 'Definir objetivos', status: 'done', priority: 'high' },
-                        { title: 'Planificar tareas', status: 'in-progress', priority: 'high' },
-                        { title: 'Asignar responsabilidades', status: 'todo', priority: 'medium' },
-                        { title: 'Ejecutar plan', status: 'todo', priority: 'medium' },
-                        { title: 'Revisar resultados', status: 'todo', priority: 'low' }
-                    ]
-                }
-            };
-
-            const selectedTemplate = templates[this.userData.projectTemplate] || templates.general;
-
-            // Store sample data in localStorage with error handling
-            const sampleData = {
-                project: selectedTemplate.project,
-                tasks: selectedTemplate.tasks,
-                user: this.userData,
-                timestamp: new Date().toISOString()
-            };
-
-            const dataString = JSON.stringify(sampleData);
-            
-            // Check if localStorage is available and has enough space
-            if (typeof Storage === 'undefined') {
-                throw new Error('localStorage is not supported');
-            }
-
-            // Test write to ensure we have space
-            try {
-                localStorage.setItem('onboarding_sample_data', dataString);
-            } catch (storageError) {
-                if (storageError.name === 'QuotaExceededError') {
-                    throw new Error('Not enough storage space available');
-                }
-                throw storageError;
-            }
-
-        } catch (error) {
-            throw new Error(`Failed to generate sample data: ${error.message}`);
-        }
-    }
-
     /**
      * Enhanced save user data with error handling
      */
@@ -6,6 +6,7 @@
 
 import errorAnalytics from '../services/errorAnalytics.js';
 import alertingSystem from '../services/alertingSystem.js';
+import { drawTrendChart } from '../utils/canvasCharts.js';
 
 /**
  * Real-time dashboard with advanced analytics and monitoring
@@ -371,67 +372,8 @@ export class RealTimeErrorDashboard {
     const canvas = this.charts.get(canvasId);
     if (!canvas) return;
 
-    const ctx = canvas.getContext('2d');
-    const width = canvas.width;
-    const height = canvas.height;
-
-    ctx.clearRect(0, 0, width, height);
-
-    // Draw grid
-    ctx.strokeStyle = '#ecf0f1';
-    ctx.lineWidth = 1;
-    
-    // Horizontal grid lines
-    for (let i = 0; i <= 5; i++) {
-      const y = (i / 5) * height;
-      ctx.beginPath();
-      ctx.moveTo(0, y);
-      ctx.lineTo(width, y);
-      ctx.stroke();
-    }
-
-    // Vertical grid lines
-    for (let i = 0; i <= 10; i++) {
-      const x = (i / 10) * width;
-      ctx.beginPath();
-      ctx.moveTo(x, 0);
-      ctx.lineTo(x, height);
-      ctx.stroke();
-    }
-
-    // Draw error rate line
-    const errorRateData = this.dataHistory.errorRates;
-    if (errorRateData.length > 1) {
-      const maxRate = Math.max(...errorRateData, 10); // Minimum scale of 10%
-      
-      ctx.strokeStyle = '#e74c3c';
-      ctx.lineWidth = 3;
-      ctx.beginPath();
-
-      errorRateData.forEach((rate, index) => {
-        const x = (index / (errorRateData.length - 1)) * width;
-        const y = height - (rate / maxRate) * height;
-        
-        if (index === 0) {
-          ctx.moveTo(x, y);
-        } else {
-          ctx.lineTo(x, y);
-        }
-      });
-
-      ctx.stroke();
-
-      // Add data points
-      ctx.fillStyle = '#e74c3c';
-      errorRateData.forEach((rate, index) => {
-        const x = (index / (errorRateData.length - 1)) * width;
-        const y = height - (rate / maxRate) * height;
-        
-        ctx.beginPath();
-        ctx.arc(x, y, 3, 0, 2 * Math.PI);
-        ctx.fill();
-      });
-    }
+    // Error rate line, with a minimum scale of 10%
+    drawTrendChart(canvas, this.dataHistory.errorRates, { color: '#e74c3c', minScale: 10 });
   }
 
   /**
@@ -1,6 +1,7 @@
 import { describe, it, expect, beforeEach, vi } from 'vitest'
 import ThemeToggle from './ThemeToggle.js'
 import { THEMES } from '../../utils/constants.js'
+import themeUtil from '../../utils/theme.js'
 
 // Mock localStorage
 const localStorageMock = {
@@ -61,4 +62,16 @@ describe('ThemeToggle Component', () => {
     expect(document.documentElement.classList.contains('dark')).toBe(false)
     expect(document.body.classList.contains('dark')).toBe(false)
   })
+
+  it('should render custom theme names as text', () => {
+    const name = '<img src=x onerror="alert(1)">'
+    const getThemes = vi.spyOn(themeUtil, 'getThemes').mockReturnValue([{ id: 'custom-x', name }])
+
+    new ThemeToggle(container)
+
+    const option = container.querySelector('[data-theme="custom-x"]')
+    expect(option.querySelector('img')).toBeNull()
+    expect(option.textContent.trim()).toContain(name)
+    getThemes.mockRestore()
+  })
 })
\ No newline at end of file
@@ -0,0 +1,79 @@
+/**
+ * Default alert rules
+ * Rules are plain data in the language described in src/shared/services/alertRules.js, so the
+ * same definitions can be served as JSON from VITE_ALERT_RULES_URL to change alerting without a
+ * deploy. The URL's rules replace these ones when they validate; otherwise these stay active.
+ */
+
+/**
+ * Default thresholds, exposed as ALERT_CONFIG.THRESHOLDS; they live here because alertingSystem
+ * imports this module, so the rules below cannot import ALERT_CONFIG back
+ */
+export const ALERT_THRESHOLDS = {
+  ERROR_RATE_WARNING: 5,      // 5% error rate warning
+  ERROR_RATE_CRITICAL: 15,    // 15% error rate critical
+  RESPONSE_TIME_WARNING: 3000, // 3s response time warning
+  RESPONSE_TIME_CRITICAL: 5000, // 5s response time critical
+  MEMORY_WARNING: 50,         // 50MB memory warning
+  MEMORY_CRITICAL: 100,       // 100MB memory critical
+  MANAGED_OBJECTS: 500,       // Objects held by the performance optimizer
+  CONSECUTIVE_FAILURES: 5,    // 5 consecutive failures
+  NETWORK_ERROR_RATE: 10      // 10% network error rate
+};
+
+/** @type {Array<import('../services/alertRules.js').AlertRuleDefinition>} */
+export const DEFAULT_ALERT_RULES = [
+  {
+    id: 'high_error_rate',
+    priority: 'high',
+    message: 'High error rate detected',
+    when: { metric: 'errorRates.lastHour.errorRate', op: '>', value: ALERT_THRESHOLDS.ERROR_RATE_CRITICAL },
+    channels: ['console', 'browser_notification'],
+    escalate: true,
+    data: {
+      errorRate: 'errorRates.lastHour.errorRate',
+      errorCount: 'errorRates.lastHour.errorEvents',
+      totalEvents: 'errorRates.lastHour.totalEvents',
+      threshold: ALERT_THRESHOLDS.ERROR_RATE_CRITICAL
+    }
+  },
+  {
+    id: 'performance_degradation',
+    priority: 'medium',
+    message: 'Performance degradation detected',
+    when: { metric: 'performance.performanceBreakdown.averageProcessingTime', op: '>', value: ALERT_THRESHOLDS.RESPONSE_TIME_CRITICAL },
+    channels: ['console'],
+    data: {
+      averageTime: 'performance.performanceBreakdown.averageProcessingTime',
+      threshold: ALERT_THRESHOLDS.RESPONSE_TIME_CRITICAL,
+      cacheEfficiency: 'performance.performanceBreakdown.cacheEfficiency'
+    }
+  },
+  {
+    id: 'high_memory_usage',
+    priority: 'medium',
+    message: 'High memory usage detected',
+    when: { metric: 'performance.performanceBreakdown.memoryEfficiency.totalManagedObjects', op: '>', value: ALERT_THRESHOLDS.MANAGED_OBJECTS },
+    channels: ['console'],
+    data: {
+      memoryUsage: 'performance.performanceBreakdown.memoryEfficiency.totalManagedObjects',
+      threshold: ALERT_THRESHOLDS.MANAGED_OBJECTS,
+      cacheSize: 'performance.performanceBreakdown.memoryEfficiency.cacheMemoryUsage'
+    }
+  },
+  {
+    id: 'system_unhealthy',
+    priority: 'high',
+    message: 'System health issues detected',
+    // Missing health data counts as unhealthy too
+    when: { not: { metric: 'performance.health.healthy', op: '==', value: true } },
+    channels: ['console', 'browser_notification'],
+    escalate: true,
+    data: {
+      issues: 'performance.health.issues',
+      warnings: 'performance.health.warnings'
+    }
+  }
+];
+
+export default DEFAULT_ALERT_RULES;
@@ -0,0 +1,163 @@
+/**
+ * OAuth provider registry
+ * Every social sign-in option is described here once: the sign-in buttons, the options passed to
+ * Supabase, fallbacks between providers, display names and the error simulator all read from it.
+ * Adding a provider means adding an entry below and enabling it in Supabase
+ * (Authentication > Providers); VITE_OAUTH_PROVIDERS picks which registered providers are offered.
+ */
+
+/**
+ * @typedef {Object} OAuthProviderDefinition
+ * @property {string} id - Provider name as Supabase knows it (`provider` of signInWithOAuth)
+ * @property {string} displayName - Name shown to the user
+ * @property {string} icon - Inline SVG markup for the sign-in button
+ * @property {Object} oauthOptions - Extra signInWithOAuth options (scopes, queryParams)
+ * @property {Array<string>} urlHints - URL fragments of the provider's sign-in pages, for the error simulator
+ * @property {Object} mockUser - Name, email and avatar of the user signed in by the mock mode
+ */
+
+/** @type {Array<OAuthProviderDefinition>} */
+export const OAUTH_PROVIDER_REGISTRY = [
+  {
+    id: 'google',
+    displayName: 'Google',
+    icon: `<svg class="w-4 h-4 mr-2" viewBox="0 0 24 24" aria-hidden="true">
+      <path fill="#4285F4" d="M22.56 12.25c0-.78-.07-1.53-.2-2.25H12v4.26h5.92c-.26 1.37-1.04 2.53-2.21 3.31v2.77h3.57c2.08-1.92 3.28-4.74 3.28-8.09z"/>
+      <path fill="#34A853" d="M12 23c2.97 0 5.46-.98 7.28-2.66l-3.57-2.77c-.98.66-2.23 1.06-3.71 1.06-2.86 0-5.29-1.93-6.16-4.53H2.18v2.84C3.99 20.53 7.7 23 12 23z"/>
+      <path fill="#FBBC05" d="M5.84 14.09c-.22-.66-.35-1.36-.35-2.09s.13-1.43.35-2.09V7.07H2.18C1.43 8.55 1 10.22 1 12s.43 3.45 1.18 4.93l2.85-2.22.81-.62z"/>
+      <path fill="#EA4335" d="M12 5.38c1.62 0 3.06.56 4.21 1.64l3.15-3.15C17.45 2.09 14.97 1 12 1 7.7 1 3.99 3.47 2.18 7.07l3.66 2.84c.87-2.6 3.3-4.53 6.16-4.53z"/>
+    </svg>`,
+    oauthOptions: {},
+    urlHints: ['accounts.google.com', 'google'],
+    mockUser: {
+      name: 'Usuario Google',
+      email: 'usuario@gmail.com',
+      avatar: 'https://lh3.googleusercontent.com/a/default-user=s96-c'
+    }
+  },
+  {
+    id: 'github',
+    displayName: 'GitHub',
+    icon: `<svg class="w-4 h-4 mr-2" fill="currentColor" viewBox="0 0 24 24" aria-hidden="true">
+      <path d="M12 0c-6.626 0-12 5.373-12 12 0 5.302 3.438 9.8 8.207 11.387.599.111.793-.261.793-.577v-2.234c-3.338.726-4.033-1.416-4.033-1.416-.546-1.387-1.333-1.756-1.333-1.756-1.089-.745.083-.729.083-.729 1.205.084 1.839 1.237 1.839 1.237 1.07 1.834 2.807 1.304 3.492.997.107-.775.418-1.305.762-1.604-2.665-.305-5.467-1.334-5.467-5.931 0-1.311.469-2.381 1.236-3.221-.124-.303-.535-1.524.117-3.176 0 0 1.008-.322 3.301 1.23.957-.266 1.983-.399 3.003-.404 1.02.005 2.047.138 3.006.404 2.291-1.552 3.297-1.23 3.297-1.23.653 1.653.242 2.874.118 3.176.77.84 1.235 1.911 1.235 3.221 0 4.609-2.807 5.624-5.479 5.921.43.372.823 1.102.823 2.222v3.293c0 .319.192.694.801.576 4.765-1.589 8.199-6.086 8.199-11.386 0-6.627-5.373-12-12-12z"/>
+    </svg>`,
+    oauthOptions: {},
+    urlHints: ['github.com/login', 'github'],
+    mockUser: {
+      name: 'Usuario GitHub',
+      email: 'usuario@github.com',
+      avatar: 'https://github.com/identicons/sample.png'
+    }
+  },
+  {
+    // Microsoft accounts and Azure AD (Entra ID) work and school accounts
+    id: 'azure',
+    displayName: 'Microsoft',
+    icon: `<svg class="w-4 h-4 mr-2" viewBox="0 0 24 24" aria-hidden="true">
+      <rect x="1" y="1" width="10" height="10" fill="#F25022"/>
+      <rect x="13" y="1" width="10" height="10" fill="#7FBA00"/>
+      <rect x="1" y="13" width="10" height="10" fill="#00A4EF"/>
+      <rect x="13" y="13" width="10" height="10" fill="#FFB900"/>
+    </svg>`,
+    // Azure only returns the user's email address when it is asked for explicitly
+    oauthOptions: { scopes: 'email' },
+    urlHints: ['login.microsoftonline.com', 'login.live.com', 'microsoft', 'azure'],
+    mockUser: {
+      name: 'Usuario Microsoft',
+      email: 'usuario@outlook.com',
+      avatar: null
+    }
+  },
+  {
+    id: 'gitlab',
+    displayName: 'GitLab',
+    icon: `<svg class="w-4 h-4 mr-2" viewBox="0 0 24 24" aria-hidden="true">
+      <path fill="#FC6D26" d="m23.6 9.593-.033-.086L20.3.98a.851.851 0 0 0-.336-.405.875.875 0 0 0-1 .054.875.875 0 0 0-.29.44l-2.205 6.748H7.538L5.332 1.07a.857.857 0 0 0-.29-.441.875.875 0 0 0-1-.054.859.859 0 0 0-.336.405L.433 9.502l-.032.086a6.066 6.066 0 0 0 2.012 7.01l.011.009.03.021 4.976 3.727 2.462 1.863 1.5 1.132a1.009 1.009 0 0 0 1.22 0l1.499-1.132 2.462-1.863 5.006-3.749.012-.01a6.068 6.068 0 0 0 2.009-7.003z"/>
+    </svg>`,
+    oauthOptions: {},
+    urlHints: ['gitlab.com/oauth', 'gitlab'],
+    mockUser: {
+      name: 'Usuario GitLab',
+      email: 'usuario@gitlab.com',
+      avatar: null
+    }
+  },
+  {
+    id: 'apple',
+    displayName: 'Apple',
+    icon: `<svg class="w-4 h-4 mr-2" fill="currentColor" viewBox="0 0 24 24" aria-hidden="true">
+      <path d="M12.152 6.896c-.948 0-2.415-1.078-3.96-1.04-2.04.027-3.91 1.183-4.961 3.014-2.117 3.675-.546 9.103 1.519 12.09 1.013 1.454 2.208 3.09 3.792 3.039 1.52-.065 2.09-.987 3.935-.987 1.831 0 2.35.987 3.96.948 1.637-.026 2.676-1.48 3.676-2.948 1.156-1.688 1.636-3.325 1.662-3.415-.039-.013-3.182-1.221-3.22-4.857-.026-3.04 2.48-4.494 2.597-4.559-1.429-2.09-3.623-2.324-4.39-2.376-2-.156-3.675 1.09-4.61 1.09zM15.53 3.83c.843-1.012 1.4-2.427 1.245-3.83-1.207.052-2.662.805-3.532 1.818-.78.896-1.454 2.338-1.273 3.714 1.338.104 2.715-.688 3.559-1.701"/>
+    </svg>`,
+    oauthOptions: {},
+    urlHints: ['appleid.apple.com'],
+    mockUser: {
+      name: 'Usuario Apple',
+      // Apple lets users hide their address behind a relay
+      email: 'usuario@privaterelay.appleid.com',
+      avatar: null
+    }
+  }
+];
+
+/**
+ * Provider ids by constant name, e.g. OAUTH_PROVIDERS.AZURE === 'azure'
+ */
+export const OAUTH_PROVIDERS = Object.freeze(Object.fromEntries(
+  OAUTH_PROVIDER_REGISTRY.map(provider => [provider.id.toUpperCase(), provider.id])
+));
+
+/**
+ * Parse a comma separated list of provider ids, keeping registry order and dropping unknown ids
+ * @param {string} value - e.g. "google,azure"; empty offers every registered provider
+ * @returns {Array<string>} Provider ids
+ */
+export function parseEnabledProviders(value) {
+  const registered = OAUTH_PROVIDER_REGISTRY.map(provider => provider.id);
+  if (!value || !String(value).trim()) {
+    return registered;
+  }
+
+  const requested = String(value).split(',').map(id => id.trim().toLowerCase());
+  return registered.filter(id => requested.includes(id));
+}
+
+let enabledProviderIds = parseEnabledProviders(import.meta.env.VITE_OAUTH_PROVIDERS);
+
+/**
+ * Replace the providers offered to users (the build reads VITE_OAUTH_PROVIDERS)
+ * @param {Array<string>|string} ids - Provider ids, or a comma separated list
+ */
+export function setEnabledOAuthProviders(ids) {
+  enabledProviderIds = parseEnabledProviders(Array.isArray(ids) ? ids.join(',') : ids);
+}
+
+/**
+ * @param {string} id - Provider id
+ * @returns {OAuthProviderDefinition|null} Registered provider, enabled or not
+ */
+export function getOAuthProvider(id) {
+  return OAUTH_PROVIDER_REGISTRY.find(provider => provider.id === id) || null;
+}
+
+/**
+ * @param {string} id - Provider id
+ * @returns {boolean} Whether the provider is registered and offered to users
+ */
+export function isOAuthProviderEnabled(id) {
+  return enabledProviderIds.includes(id);
+}
+
+/**
+ * @returns {Array<OAuthProviderDefinition>} Providers offered to users, in registry order
+ */
+export function getEnabledOAuthProviders() {
+  return OAUTH_PROVIDER_REGISTRY.filter(provider => enabledProviderIds.includes(provider.id));
+}
+
+/**
+ * @param {string} id - Provider id
+ * @returns {string} Display name, or the id itself for unknown providers
+ */
+export function getOAuthProviderDisplayName(id) {
+  return getOAuthProvider(id)?.displayName || id;
+}
@@ -0,0 +1,111 @@
+/**
+ * Transactional email templates
+ * A template names the email namespace keys of its blocks (src/shared/locales/<lang>/email.js)
+ * and the data they need; services/emailService.js translates the blocks into the recipient's
+ * language and wraps them in the shared HTML and plain text layout. sampleData is what the
+ * preview page (emails/preview.html) renders.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * @typedef {Object} EmailTemplate
+ * @property {Array<string>} required - Data every send must include
+ * @property {string} subject - Key of the subject
+ * @property {string} heading - Key of the heading
+ * @property {Array<string|{ key: string, if: string }>} paragraphs - Keys of the body paragraphs;
+ *   an object is only rendered when the data has a value for its `if` field
+ * @property {{ label: string, url: string }} action - Key of the button label and the data field with its link
+ * @property {string} [note] - Key of the small print under the button
+ * @property {Function} [prepare] - Derives extra parameters from the data
+ * @property {Object} sampleData - Data for the preview page
+ */
+
+/**
+ * Whole days from today until a date, 0 for today or a date already gone
+ * @param {string|Date} date - Due date
+ * @param {Date} now - Today
+ * @returns {number} Days
+ */
+export function daysUntil(date, now = new Date()) {
+  const due = new Date(date);
+  const dueDay = Date.UTC(due.getFullYear(), due.getMonth(), due.getDate());
+  const today = Date.UTC(now.getFullYear(), now.getMonth(), now.getDate());
+  return Math.max(0, Math.round((dueDay - today) / DAY_MS));
+}
+
+/** @type {Object<string, EmailTemplate>} */
+export const EMAIL_TEMPLATES = {
+  'beta-confirmation': {
+    required: ['link', 'hours'],
+    subject: 'betaConfirmationSubject',
+    heading: 'betaConfirmationHeading',
+    paragraphs: ['betaConfirmationBody'],
+    action: { label: 'betaConfirmationAction', url: 'link' },
+    note: 'betaConfirmationNote',
+    sampleData: {
+      link: 'https://anclorakairon.com/beta/status.html?confirm=3f9a1c7e5b2d',
+      hours: 48
+    }
+  },
+
+  // Sent instead of a new confirmation when a confirmed signup joins again
+  'beta-status': {
+    required: ['link'],
+    subject: 'betaStatusSubject',
+    heading: 'betaStatusHeading',
+    paragraphs: ['betaStatusBody'],
+    action: { label: 'betaStatusAction', url: 'link' },
+    sampleData: {
+      link: 'https://anclorakairon.com/beta/status.html?token=8c2e4f6a1b3d'
+    }
+  },
+
+  'team-invite': {
+    required: ['inviterName', 'projectName', 'role', 'link', 'days'],
+    subject: 'teamInviteSubject',
+    heading: 'teamInviteHeading',
+    paragraphs: ['teamInviteBody'],
+    action: { label: 'teamInviteAction', url: 'link' },
+    note: 'teamInviteNote',
+    sampleData: {
+      inviterName: 'Ana García',
+      projectName: 'Lanzamiento Q3',
+      role: 'member',
+      link: 'https://anclorakairon.com/src/app/invite/5d7f9b1c3e',
+      days: 7
+    }
+  },
+
+  'task-assignment': {
+    required: ['assignerName', 'taskTitle', 'projectName', 'link'],
+    subject: 'taskAssignmentSubject',
+    heading: 'taskAssignmentHeading',
+    paragraphs: ['taskAssignmentBody', { key: 'taskAssignmentDue', if: 'dueDate' }],
+    action: { label: 'taskAssignmentAction', url: 'link' },
+    sampleData: {
+      assignerName: 'Ana García',
+      taskTitle: 'Preparar la demo para inversores',
+      projectName: 'Lanzamiento Q3',
+      dueDate: '2026-11-20T12:00:00.000Z',
+      link: 'https://anclorakairon.com/src/app/projects/q3/board'
+    }
+  },
+
+  'due-date-reminder': {
+    required: ['taskTitle', 'projectName', 'dueDate', 'link'],
+    subject: 'dueDateReminderSubject',
+    heading: 'dueDateReminderHeading',
+    paragraphs: ['dueDateReminderBody'],
+    action: { label: 'dueDateReminderAction', url: 'link' },
+    prepare: data => ({ days: daysUntil(data.dueDate) }),
+    sampleData: {
+      taskTitle: 'Preparar la demo para inversores',
+      projectName: 'Lanzamiento Q3',
+      dueDate: new Date(Date.now() + DAY_MS).toISOString(),
+      link: 'https://anclorakairon.com/src/app/projects/q3/board'
+    }
+  }
+};
+
+export const EMAIL_TEMPLATE_IDS = Object.keys(EMAIL_TEMPLATES);
@@ -1,4 +1,5 @@
 import { createClient } from '@supabase/supabase-js';
+import { OAUTH_PROVIDERS } from './authProviders.js';
 
 // Supabase configuration
 const supabaseUrl = import.meta.env.VITE_SUPABASE_URL;
@@ -31,13 +32,12 @@ export const TABLES = {
   TASKS: 'tasks',
   PROJECT_MEMBERS: 'project_members',
   CHAT_MESSAGES: 'chat_messages',
-  USER_ANALYTICS: 'user_analytics'
+  USER_ANALYTICS: 'user_analytics',
+  TASK_EVENTS: 'task_events',
+  BETA_SIGNUPS: 'beta_signups'
 };
 
-// Auth providers configuration
-export const AUTH_PROVIDERS = {
-  GOOGLE: 'google',
-  GITHUB: 'github'
-};
+// Auth providers configuration; the providers themselves are described in authProviders.js
+export const AUTH_PROVIDERS = OAUTH_PROVIDERS;
 
 export default supabase;
\ No newline at end of file
@@ -0,0 +1,119 @@
+/**
+ * Built-in themes
+ * A theme maps every color token to a hex color; utils/theme.js writes the tokens to the
+ * document as CSS custom properties (--theme-<token> as "R G B" channels) and Tailwind reads
+ * them through the theme-* colors, e.g. bg-theme-surface or border-theme-primary/30.
+ * User-defined themes extend the light or dark theme and override some of its tokens.
+ */
+
+import { ANCLORA_COLORS, THEMES } from '../utils/constants.js';
+
+/**
+ * @typedef {Object} ThemeDefinition
+ * @property {string} id - Theme id, stored in users.preferences.theme
+ * @property {string} name - Name shown in the theme pickers
+ * @property {string} [labelKey] - common key that translates the name of a built-in theme
+ * @property {string} base - 'light' or 'dark': Tailwind dark: variants follow it
+ * @property {Object<string, string>} colors - Hex color per token in THEME_TOKENS
+ */
+
+// background: page, surface: cards and dialogs, onPrimary: text on primary-colored buttons,
+// focus: focus rings
+export const THEME_TOKENS = [
+  'background',
+  'surface',
+  'text',
+  'primary',
+  'secondary',
+  'accent',
+  'onPrimary',
+  'border',
+  'success',
+  'warning',
+  'error',
+  'focus'
+];
+
+/** @type {Object<string, ThemeDefinition>} */
+export const BUILT_IN_THEMES = {
+  [THEMES.LIGHT]: {
+    id: THEMES.LIGHT,
+    name: 'Light',
+    labelKey: 'themeLight',
+    base: THEMES.LIGHT,
+    colors: {
+      background: ANCLORA_COLORS.GRIS_CLARO,
+      surface: ANCLORA_COLORS.BLANCO,
+      text: ANCLORA_COLORS.NEGRO_AZULADO,
+      primary: ANCLORA_COLORS.AZUL_CLARO,
+      secondary: ANCLORA_COLORS.TEAL_SECUNDARIO,
+      accent: ANCLORA_COLORS.AMBAR_SUAVE,
+      onPrimary: ANCLORA_COLORS.NEGRO_AZULADO,
+      border: '#D5DCE4',
+      success: ANCLORA_COLORS.TEAL_SECUNDARIO,
+      warning: ANCLORA_COLORS.AMBAR_SUAVE,
+      error: '#E74C3C',
+      focus: ANCLORA_COLORS.AZUL_PROFUNDO
+    }
+  },
+  [THEMES.DARK]: {
+    id: THEMES.DARK,
+    name: 'Dark',
+    labelKey: 'themeDark',
+    base: THEMES.DARK,
+    colors: {
+      background: ANCLORA_COLORS.NEGRO_AZULADO,
+      surface: '#202837',
+      text: ANCLORA_COLORS.GRIS_CLARO,
+      primary: ANCLORA_COLORS.AZUL_CLARO,
+      secondary: ANCLORA_COLORS.TEAL_SECUNDARIO,
+      accent: ANCLORA_COLORS.AMBAR_SUAVE,
+      onPrimary: ANCLORA_COLORS.NEGRO_AZULADO,
+      border: '#313848',
+      success: ANCLORA_COLORS.TEAL_SECUNDARIO,
+      warning: ANCLORA_COLORS.AMBAR_SUAVE,
+      error: '#FF6B5E',
+      focus: ANCLORA_COLORS.AZUL_CLARO
+    }
+  },
+  // Every color pair reaches at least 7:1 (WCAG AAA) against the black background
+  [THEMES.HIGH_CONTRAST]: {
+    id: THEMES.HIGH_CONTRAST,
+    name: 'High contrast',
+    labelKey: 'themeHighContrast',
+    base: THEMES.DARK,
+    colors: {
+      background: '#000000',
+      surface: '#000000',
+      text: '#FFFFFF',
+      primary: '#00E5FF',
+      secondary: '#7CFC9A',
+      accent: '#FFD500',
+      onPrimary: '#000000',
+      border: '#FFFFFF',
+      success: '#7CFC9A',
+      warning: '#FFD500',
+      error: '#FF7070',
+      focus: '#FFD500'
+    }
+  }
+};
+
+// Order in which the theme toggles cycle
+export const THEME_CYCLE = [THEMES.LIGHT, THEMES.DARK, THEMES.HIGH_CONTRAST, THEMES.SYSTEM];
+
+// Icons of the theme toggles; user-defined themes share the custom one
+export const THEME_ICONS = {
+  [THEMES.LIGHT]: '☀️',
+  [THEMES.DARK]: '🌙',
+  [THEMES.HIGH_CONTRAST]: '◐',
+  [THEMES.SYSTEM]: '💻',
+  custom: '🎨'
+};
+
+export const MAX_CUSTOM_THEMES = 10;
+
+// WCAG AA for normal text; user-defined themes must keep text readable on their background and surfaces
+export const MIN_TEXT_CONTRAST = 4.5;
+
+export default BUILT_IN_THEMES;
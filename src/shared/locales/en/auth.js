@@ -0,0 +1,52 @@
+// English - auth namespace: AUTH_ERROR_TYPES messages (authErrorHandler), OAuth fallbacks and password reset
+export default {
+  NETWORK_ERROR: 'Could not connect to server. Check your internet connection.',
+  SUPABASE_UNAVAILABLE: 'Authentication service is temporarily unavailable. Please try again in a few minutes.',
+  SUPABASE_MAINTENANCE: 'Service is under maintenance. We\'ll be back soon. Sorry for the inconvenience.',
+  AUTH_INVALID_CREDENTIALS: 'Invalid email or password. Please check that you entered the correct information.',
+  AUTH_USER_NOT_FOUND: 'No account found with this email address. Would you like to create a new account?',
+  AUTH_USER_EXISTS: 'An account with this email already exists. Want to sign in?',
+  AUTH_WEAK_PASSWORD: 'Password must be at least 6 characters long.',
+  AUTH_RATE_LIMITED: 'Too many login attempts. Please wait before trying again.',
+  AUTH_EMAIL_NOT_CONFIRMED: 'You must confirm your email before signing in. Check your inbox.',
+  OAUTH_GOOGLE_ERROR: 'Error signing in with Google. Please try again or use email and password.',
+  OAUTH_GITHUB_ERROR: 'Error signing in with GitHub. Please try again or use email and password.',
+  OAUTH_PROVIDER_UNAVAILABLE: 'Authentication provider is unavailable. Please try again later.',
+  OAUTH_ACCESS_DENIED: 'Access denied. You must authorize the application to continue.',
+  OAUTH_POPUP_BLOCKED: 'Popup was blocked. Please allow popups and try again.',
+  OAUTH_TIMEOUT: 'Authentication took too long. Please try again.',
+  MFA_REQUIRED: 'Enter the code from your authenticator app to continue.',
+  MFA_INVALID_CODE: 'That code is not correct. Check that your device clock is in sync and enter the current code.',
+  MFA_CHALLENGE_EXPIRED: 'The verification has expired. Please sign in again.',
+  MFA_RECOVERY_CODE_INVALID: 'That recovery code is not valid or has already been used.',
+  MFA_ENROLLMENT_FAILED: 'Two-step verification could not be turned on. Please try again.',
+  OTP_RATE_LIMITED: 'We sent you an email a moment ago. Wait a minute before requesting another one.',
+  OTP_EXPIRED: 'This link or code is invalid or has expired. Request a new one.',
+  OTP_ALREADY_USED: 'This link or code has already been used. Request a new one to sign in again.',
+  SERVER_ERROR: 'Server error. Please try again in a few moments.',
+  UNKNOWN_ERROR: 'An unexpected error occurred. Contact support if it persists.',
+
+  // OAuth fallbacks (oauthErrorHandler)
+  oauthFallback: 'Having trouble with {provider}? You can sign in with email and password.',
+  oauthAlternativeProvider: 'You can also try {providers}.',
+  oauthPopupBlocked: 'It looks like popups are blocked. Please enable them in your browser and try again.',
+  oauthUseEmailPassword: 'Use Email/Password',
+  oauthTryProvider: 'Try {provider}',
+
+  // Password reset (authService.resetPassword)
+  resetSuccess: 'Recovery email sent. Check your inbox and spam folder.',
+  resetRateLimited: 'Too many attempts. Please wait 15 minutes and try again.',
+  resetUserNotFound: 'No account found with this email. Would you like to sign up?',
+  resetNetworkError: 'Connection error. Check your internet and try again.',
+  resetConfigError: 'System configuration error. Please contact support.',
+  resetUnknownError: 'Unexpected error. Contact support if it persists.',
+  resetCheckSpam: 'If you don\'t see the email, check your spam and promotions folder.',
+  resetEmailInstructions: 'The recovery link expires in 1 hour.',
+
+  // Password reset troubleshooting, one step per line (authService.generatePasswordResetTroubleshooting)
+  resetStepsRateLimited: 'Wait 15-30 minutes before trying again\nUse a different internet connection if urgent\nVerify you\'re using the correct email',
+  resetStepsUserNotFound: 'Verify the email is spelled correctly\nTry email variations (gmail.com vs googlemail.com)\nConsider registering a new account if you don\'t have one',
+  resetStepsNetworkError: 'Check your internet connection\nTry from another network (mobile data)\nTemporarily disable VPN\nCheck Supabase status at status.supabase.com',
+  resetStepsConfigError: 'This is a system issue, not yours\nContact technical support\nInclude the exact time of the error',
+  resetStepsUnknownError: 'Check your email spam folder\nWait 5-10 minutes in case of delay\nTry with another browser\nContact support if it persists'
+}
@@ -0,0 +1,27 @@
+// English - beta namespace: landing beta signup and the waitlist status page
+export default {
+  signupProcessing: 'Processing...',
+  signupRetry: 'Error - Try again',
+  signupError: 'Something went wrong with your request. Please try again.',
+  signupPendingTitle: 'You are almost in!',
+  signupPendingText: 'We sent an email to {email}. Confirm your address to join the waitlist.',
+  signupDuplicateTitle: 'You had already signed up',
+  signupDuplicatePendingText: 'We sent the confirmation link to {email} again.',
+  signupDuplicateConfirmedText: 'We sent the link to your place in the waitlist to {email} again.',
+
+  statusTitle: 'Your place in the beta',
+  statusLoading: 'Loading...',
+  statusConfirmed: 'Email confirmed! You are on the waitlist.',
+  statusPosition: 'Place {position, number} of {total, number}',
+  statusPending: 'Confirm your email with the link we sent you to join the queue.',
+  statusInvited: 'You have access to the beta! Check your email to get started.',
+  statusReferralTitle: 'Move up the list',
+  statusReferralText: 'Everyone who confirms their email through your link moves you up {boost} places.',
+  statusReferralCount: '{count, plural, =0 {Nobody has joined through your link yet} one {# person has joined through your link} other {# people have joined through your link}}',
+  statusCopyLink: 'Copy link',
+  statusLinkCopied: 'Link copied',
+  statusNotFound: 'This link is not valid. Sign up again from the home page and we will send you a new one.',
+  statusConfirmFailed: 'We could not confirm your email: the link is not valid or has expired. Sign up again to get a new one.',
+  statusLoadError: 'Your place could not be loaded. Please try again in a few minutes.',
+  statusBackHome: 'Back to the home page'
+}
@@ -0,0 +1,501 @@
+// English - common namespace: landing page and app
+export default {
+  // Navigation
+  features: 'Features',
+  pricing: 'Pricing',
+  about: 'About',
+  contact: 'Contact',
+  login: 'Sign In',
+
+  // Hero Section
+  heroTitle: 'Master the decisive moment',
+  heroTitleHighlight: 'in every project',
+  heroSubtitle: 'Anclora Kairon, from the Greek Kairos, is the intelligent platform that helps you act at the precise moment.',
+  heroDescription: 'Simplify collaboration and transform your data into the right decision, at the right time.',
+  ctaPrimary: 'Join Beta',
+  ctaSecondary: 'Watch Demo',
+  heroDemoComingSoon: '🎬 Demo coming soon!\n\nWe\'re preparing an interactive demonstration. For now, you can explore the features below.',
+
+  // Benefits
+  benefit1Title: '2-minute setup',
+  benefit1Description: 'No complex configurations. Start working immediately.',
+  benefit2Title: 'AI that decides',
+  benefit2Description: 'Proactive suggestions so you always take the right next step.',
+  benefit3Title: 'Purposeful metrics',
+  benefit3Description: 'Clear insights to make the best decision, just in time.',
+
+  // Pre-launch CTA
+  socialProof: 'Be one of the first teams to master the decisive moment. Join our private beta.',
+
+  // Pain Agitation Section
+  painTitle: 'Tired of reacting? It\'s time to anticipate.',
+  painSubtitle: 'If this sounds familiar, you\'re not alone:',
+  pain1: 'Always "putting out fires" instead of preventing problems',
+  pain2: 'Deadlines slipping through your fingers without knowing why',
+  pain3: 'Endless meetings just to know where everything stands',
+  pain4: 'The stress that one small delay causes a domino effect',
+
+  // Epiphany Section
+  epiphanyTitle: 'We discovered the problem wasn\'t management, but timing.',
+  epiphanySubtitle: 'The breakthrough that changed everything',
+  epiphanyText: 'Current tools only measure chronological time (Chronos), but successful projects require mastering the opportune moment (Kairos). You don\'t need more data, you need to know when to act.',
+
+  // How It Works Section
+  howTitle: 'Master your projects in 3 simple steps.',
+  howStep1Title: '1. Connect',
+  howStep1Desc: 'Integrate your current workflows without changing anything',
+  howStep2Title: '2. Decide',
+  howStep2Desc: 'Kairon analyzes data and offers proactive suggestions',
+  howStep3Title: '3. Master',
+  howStep3Desc: 'Act at the precise moment with the right information',
+
+  // Irresistible Offer Section
+  offerTitle: 'Become a "Founding Member" and get exclusive benefits forever.',
+  offerSubtitle: 'The Founder Package includes:',
+  offer1: 'Priority and Free Access to Anclora Kairon beta',
+  offer2: 'Lifetime 50% Discount when we officially launch',
+  offer3: 'Direct Access to Founders for feedback',
+  offer4: 'Membership in the Private "Founding Members" Community',
+
+  // Final CTA Section
+  finalCtaTitle: 'Join now and be part of the revolution',
+  finalCtaSubtitle: 'Limited spots to ensure a high-quality experience.',
+  emailPlaceholder: 'Your professional email',
+  finalCtaButton: 'Join Beta',
+
+  // Language Selector
+  selectLanguage: 'Select language',
+  spanish: 'Español',
+  english: 'English',
+  portuguese: 'Português',
+  french: 'Français',
+
+  // Theme Selector
+  themeLight: 'Light',
+  themeDark: 'Dark',
+  themeHighContrast: 'High contrast',
+  themeSystem: 'System',
+
+  // Authentication Modal
+  authWelcomeBack: 'Welcome back!',
+  authWelcomeBackDesc: 'Sign in to continue with your projects',
+  authCreateAccount: 'Create your account',
+  authCreateAccountDesc: 'Join Anclora Kairon and organize your projects',
+  authInvitationNotice: 'You have been invited to join "{project}". Create your account or sign in with {email} to accept.',
+  authLoginTab: 'Sign In',
+  authRegisterTab: 'Sign Up',
+  authEmail: 'Email address',
+  authPassword: 'Password',
+  authConfirmPassword: 'Confirm password',
+  authFullName: 'Full name',
+  authRememberMe: 'Remember me',
+  authForgotPassword: 'Forgot your password?',
+  authLoginButton: 'Sign In',
+  authRegisterButton: 'Create Account',
+  authOrContinueWith: 'Or continue with',
+  authOrRegisterWith: 'Or sign up with',
+  authAcceptTerms: 'I accept the',
+  authTermsAndConditions: 'terms and conditions',
+  authAnd: 'and the',
+  authPrivacyPolicy: 'privacy policy',
+  authPasswordRequirements: 'Minimum 8 characters, includes uppercase, lowercase and numbers',
+  authForgotPasswordTitle: 'Reset password',
+  authForgotPasswordDesc: 'Enter your email and we\'ll send you a link to reset your password',
+  authSendRecoveryLink: 'Send recovery link',
+  authBackToLogin: '← Back to sign in',
+  authEmailSent: 'Email sent!',
+  authEmailSentDesc: 'We\'ve sent a recovery link to',
+  authEmailSentInstructions: 'Check your inbox and follow the instructions.',
+  authBackToLoginSuccess: 'Back to sign in',
+  authDidntReceiveEmail: 'Didn\'t receive the email?',
+  authTryAgain: 'Try again',
+  authConnecting: 'Connecting...',
+  authLoggingIn: 'Signing in...',
+  authCreatingAccount: 'Creating account...',
+  authSending: 'Sending...',
+  authMfaTitle: 'Two-step verification',
+  authMfaDesc: 'Enter the 6-digit code shown by your authenticator app.',
+  authMfaRecoveryDesc: 'Enter one of the recovery codes you saved when you turned on two-step verification.',
+  authMfaCode: 'Verification code',
+  authMfaRecoveryCode: 'Recovery code',
+  authMfaVerify: 'Verify',
+  authMfaUseRecovery: 'Don\'t have your device? Use a recovery code',
+  authMfaUseApp: 'Use the authenticator app',
+  authMfaCodeRequired: 'Enter the code',
+  authMfaRecoveryUsed: 'You signed in with a recovery code, so two-step verification has been turned off. Turn it back on in Settings › Security.',
+  authMagicLinkButton: 'Email me a sign-in link',
+  authMagicLinkTitle: 'Sign in without a password',
+  authMagicLinkDesc: 'We will send you a sign-in link and a 6-digit code. Both expire in one hour.',
+  authMagicLinkSend: 'Send link',
+  authMagicLinkSentTitle: 'Check your email',
+  authMagicLinkSentDesc: 'We sent a sign-in link to {email}. Open it on this device or type the code from the email here.',
+  authEmailOtpCode: 'Code from the email',
+  authEmailOtpVerify: 'Sign in',
+  authEmailOtpRequired: 'Enter the 6-digit code from the email',
+  authMagicLinkResend: 'Send another email',
+  authMagicLinkOtherEmail: 'Use a different email',
+  authMagicLinkCallbackTitle: 'We could not sign you in',
+  authMagicLinkCallbackBack: 'Back to Anclora Kairon',
+
+  // Authentication Modal - error guidance
+  authUserNotFoundTitle: 'No account found with this email',
+  authUserNotFoundSuggestion: 'Would you like to create a new account?',
+  authCreateAccountAction: 'Create Account',
+  authTryDifferentEmail: 'Try different email',
+  authInvalidCredentialsTitle: 'Invalid email or password',
+  authInvalidCredentialsSuggestion: 'Please check that you entered the correct information',
+  authShowPassword: 'Show password',
+  authHidePassword: 'Hide password',
+  authRateLimitedTitle: 'Too many login attempts',
+  authRateLimitedWait: 'Please wait {seconds} seconds before trying again',
+  authRateLimitedSuggestion: 'This is for your security. While you wait, you can:',
+  authRateLimitedReady: 'You can now try logging in again',
+  authResetPassword: 'Reset password',
+  authEmailNotConfirmedTitle: 'Email not confirmed',
+  authEmailNotConfirmedMessage: 'You must confirm your email before signing in',
+  authEmailNotConfirmedInstruction: 'Check your inbox and click the confirmation link',
+  authResendConfirmation: 'Resend confirmation',
+  authCheckSpam: 'Check spam folder',
+  authCheckSpamHelp: 'Check your spam/junk folder. Sometimes confirmation emails end up there. If you find it, mark it as "not spam" to ensure future emails reach your inbox.',
+  authChangeEmail: 'Change email',
+  authChangeEmailHelp: 'You can register with a different email address if needed',
+  authSent: 'Sent!',
+  authSendFailedRetry: 'Error - Try again',
+  authConfirmationResent: 'Confirmation email sent! Please check your inbox.',
+  authConfirmationResendFailed: 'Failed to resend confirmation email. Please try again.',
+  authSwitchToLogin: 'Switch to Login',
+  authPasswordMustInclude: 'Password must include:',
+  authPasswordRuleLength: 'At least 8 characters long',
+  authPasswordRuleUppercase: 'Include uppercase letters (A-Z)',
+  authPasswordRuleLowercase: 'Include lowercase letters (a-z)',
+  authPasswordRuleNumber: 'Include numbers (0-9)',
+
+  // Kanban Board
+  kanbanTodo: 'To do',
+  kanbanInProgress: 'In progress',
+  kanbanInReview: 'In review',
+  kanbanDone: 'Done',
+  kanbanEmptyColumn: 'Drop tasks here',
+  kanbanLoading: 'Loading board...',
+  kanbanLoadError: 'The board could not be loaded.',
+  kanbanKeyboardHelp: 'Press Space to pick up a task, use the arrow keys to move it, Space to drop it and Escape to cancel.',
+  kanbanReadOnly: 'Read only: your role cannot move tasks.',
+  kanbanTaskGrabbed: 'Task "{title}" picked up. Column {column}, position {position}.',
+  kanbanTaskPosition: 'Column {column}, position {position}.',
+  kanbanTaskMoved: 'Task "{title}" moved to {column}, position {position}.',
+  kanbanMoveCancelled: 'Move cancelled.',
+  kanbanMoveReverted: 'The task could not be moved. Its position has been restored.',
+  kanbanUnassigned: 'Unassigned',
+  kanbanDue: 'Due',
+  priorityLow: 'Low',
+  priorityMedium: 'Medium',
+  priorityHigh: 'High',
+  priorityUrgent: 'Urgent',
+
+  // Timeline
+  timelineLoading: 'Loading timeline...',
+  timelineLoadError: 'The timeline could not be loaded.',
+  timelineZoom: 'Scale',
+  timelineZoomDay: 'Day',
+  timelineZoomWeek: 'Week',
+  timelineZoomMonth: 'Month',
+  timelineToday: 'Today',
+  timelineTasks: 'Tasks',
+  timelineEmpty: 'No task has a due date yet.',
+  timelineUnscheduled: 'No due date',
+  timelineCriticalPath: 'Highlight critical path',
+  timelineCriticalHours: 'Critical path: {hours} h',
+  timelineDependencies: 'Dependencies',
+  timelineNoDependencies: 'There are no dependencies.',
+  timelineTask: 'Task',
+  timelineDependsOn: 'Depends on',
+  timelineAddDependency: 'Add dependency',
+  timelineRemoveDependency: 'Remove dependency',
+  timelineDependencyLabel: '{task} depends on {dependency}',
+  timelineBarLabel: '{title}: {start} to {end}',
+  timelineKeyboardHelp: 'Use the left and right arrows to move the task by one day. Hold Shift to change its duration.',
+  timelineRescheduled: '{title} rescheduled: {start} to {end}',
+  timelineRescheduleReverted: 'The task could not be rescheduled. Its dates were restored.',
+  timelineReadOnly: 'Read only: your role cannot reschedule tasks or change dependencies.',
+
+  // Chat
+  chatTitle: 'Project chat',
+  chatLoading: 'Loading messages...',
+  chatLoadError: 'The messages could not be loaded.',
+  chatEmpty: 'No messages yet. Start the conversation!',
+  chatPlaceholder: 'Write a message. Use @ to mention someone',
+  chatSend: 'Send',
+  chatReply: 'Reply',
+  chatReplyingTo: 'Replying to {name}',
+  chatCancelReply: 'Cancel reply',
+  chatShowReplies: '{count, plural, one {Show # reply} other {Show # replies}}',
+  chatHideReplies: 'Hide replies',
+  chatMentionSuggestions: 'People you can mention',
+  chatUnknownUser: 'User',
+  chatLive: 'Live',
+  chatPolling: 'Refreshing every few seconds',
+  chatNewMessages: 'New messages',
+  chatUnread: '{count} unread',
+  chatNoProjects: 'Create a project to start chatting with your team.',
+  chatTaskStatusChanged: '{user} moved "{title}" from {from} to {to}',
+
+  // Members
+  memberRoleOwner: 'Owner',
+  memberRoleAdmin: 'Admin',
+  memberRoleMember: 'Member',
+  memberRoleViewer: 'Viewer',
+  membersTitle: 'Members',
+  membersYou: 'you',
+  membersRole: 'Role',
+  membersRoleOf: 'Role of {name}',
+  membersInvite: 'Invite your team',
+  membersSendInvite: 'Create invitation',
+  membersInviteLink: 'Invitation link',
+  membersInviteLinkReady: 'Invitation created. Share this link with the invitee:',
+  membersInviteEmailSent: 'Invitation sent to {email}',
+  membersInviteEmailFailed: 'The invitation email could not be sent. Share this link with the invitee:',
+  membersNoInvitations: 'No pending invitations.',
+  membersInvitationPending: 'Pending',
+  membersInvitationDeclined: 'Declined',
+  membersInvitationExpired: 'Expired',
+  membersCopyLink: 'Copy link',
+  membersLinkCopied: 'Link copied',
+  membersRevoke: 'Revoke',
+  membersRemove: 'Remove',
+  membersRemoveConfirm: 'Remove this member from the project?',
+  membersLeave: 'Leave project',
+  membersLeaveConfirm: 'Are you sure you want to leave the project?',
+  membersTransferOwnership: 'Make owner',
+  membersTransferConfirm: 'Transfer ownership of the project? You will become an admin.',
+  invitationTitle: 'Invitation to "{project}"',
+  invitationFrom: '{name} invited you as {role}.',
+  invitationRole: 'You have been invited as {role}.',
+  invitationSentTo: 'Sent to {email}',
+  invitationAccept: 'Accept invitation',
+  invitationDecline: 'Decline',
+  invitationDeclined: 'You declined the invitation.',
+  invitationNotFound: 'This invitation does not exist or has already been answered.',
+  invitationExpired: 'This invitation has expired. Ask whoever invited you for a new one.',
+
+  // Assistant
+  assistantTitle: 'Assistant',
+  assistantClose: 'Close assistant',
+  assistantPlaceholder: 'Ask about your tasks or request a change',
+  assistantSend: 'Send',
+  assistantIntro: 'I can tell you what is overdue, what to do next or who is overloaded, and create or update tasks for you.',
+  assistantSuggestOverdue: 'What\'s overdue?',
+  assistantSuggestNext: 'What should I do next?',
+  assistantSuggestWorkload: 'Who is overloaded?',
+  assistantThinking: 'Thinking...',
+  assistantGreeting: 'Hi! How can I help?',
+  assistantHelp: 'Try questions like these, or ask me to "create task "Review design" in Web due tomorrow" or "mark "Review design" as done":',
+  assistantUnknown: 'I didn\'t understand that. Ask about overdue tasks, tasks due today, what to do next or the team\'s workload.',
+  assistantError: 'The assistant could not answer. Please try again.',
+  assistantAllProjects: 'all your projects',
+  assistantOverdue: '{count, plural, one {# overdue task} other {# overdue tasks}} in {scope}:',
+  assistantNoOverdue: 'Nothing is overdue in {scope}.',
+  assistantDueToday: '{count, plural, one {# task due} other {# tasks due}} today in {scope}:',
+  assistantNothingToday: 'Nothing is due today in {scope}.',
+  assistantNextTasks: 'I suggest starting with:',
+  assistantNoNextTask: 'You have no tasks available right now.',
+  assistantReasonOverdue: 'overdue',
+  assistantReasonDueToday: 'due today',
+  assistantReasonDueSoon: 'due soon',
+  assistantReasonPriority: 'high priority',
+  assistantReasonInProgress: 'already in progress',
+  assistantReasonCriticalPath: 'on the critical path',
+  assistantOverloaded: 'Overloaded in {scope}: {names}.',
+  assistantNoOverload: 'Nobody is overloaded in {scope}.',
+  assistantNoMembers: 'There are no members in {scope}.',
+  assistantWorkloadEntry: '{tasks} open tasks, {hours} h remaining, {overdue} overdue',
+  assistantMissingTitle: 'Tell me the task title, for example in quotes.',
+  assistantMissingProject: 'Tell me which project to create the task in.',
+  assistantTaskNotFound: 'I can\'t find that task. Write its title in quotes.',
+  assistantNoChanges: 'I don\'t see any change to apply to that task.',
+  assistantConfirmPrompt: 'Review the change and confirm it to apply it.',
+  assistantConfirmTitle: 'Change awaiting confirmation',
+  assistantConfirmCreate: 'Create "{title}" in {project}',
+  assistantConfirmUpdate: 'Update "{title}"',
+  assistantDetailStatus: 'Status: {status}',
+  assistantDetailPriority: 'Priority: {priority}',
+  assistantDetailDue: 'Due: {date}',
+  assistantDetailAssignee: 'Assigned to: {name}',
+  assistantYou: 'you',
+  assistantConfirm: 'Confirm',
+  assistantCancel: 'Cancel',
+  assistantActionCancelled: 'Change discarded.',
+  assistantTaskCreated: 'Task "{title}" created.',
+  assistantTaskUpdated: 'Task "{title}" updated.',
+
+  // Analytics
+  analyticsTitle: 'Your productivity',
+  analyticsRange: 'Period',
+  analyticsLastDays: 'Last {days} days',
+  analyticsWeekOverWeek: 'This week compared with the previous one',
+  analyticsThisWeek: 'last 7 days',
+  analyticsPreviousWeek: 'vs {value} the week before',
+  analyticsNoComparison: 'No previous data',
+  analyticsTasksCompleted: 'Tasks completed',
+  analyticsHoursWorked: 'Hours worked',
+  analyticsEfficiency: 'Efficiency',
+  analyticsHours: '{hours} h',
+  analyticsChartLabel: '{metric} from {from} to {to}',
+  analyticsByProject: 'By project',
+  analyticsProject: 'Project',
+  analyticsUnknownProject: 'Project you no longer access',
+  analyticsNoProjects: 'There is no activity in any project yet.',
+  analyticsEmpty: 'No activity in this period yet. Complete tasks or log hours to see your trends.',
+
+  // Offline sync
+  syncPending: 'Changes waiting to sync: {count}',
+  syncNow: 'Sync now',
+  syncReview: 'Review changes ({count})',
+  syncTitle: 'Unsynced changes',
+  syncIntro: 'These changes were made offline and could not be applied as they were. Choose what to do with each one.',
+  syncClose: 'Close',
+  syncEntityTask: 'Task',
+  syncEntityProject: 'Project',
+  syncEntityMessage: 'Message',
+  syncUntitled: 'Untitled',
+  syncConflictModified: 'Someone changed it while you were offline.',
+  syncConflictDeleted: 'It was deleted while you were offline, so your change can no longer be applied.',
+  syncFailed: 'The server rejected the change: {error}',
+  syncYourDelete: 'Your change: delete it.',
+  syncField: 'Field',
+  syncYours: 'Your version',
+  syncServer: 'On the server',
+  syncKeepMine: 'Keep mine',
+  syncKeepServer: 'Keep the server\'s',
+  syncDiscard: 'Discard my change',
+  syncRetry: 'Retry',
+
+  // Account settings
+  accountTitle: 'My account',
+  accountSecurityLink: 'Security and two-step verification →',
+  accountProfileTitle: 'Profile',
+  accountAvatarUpload: 'Change picture',
+  accountAvatarRemove: 'Remove picture',
+  accountAvatarHint: 'PNG, JPEG, WebP or GIF up to 2 MB.',
+  accountName: 'Name',
+  accountNameInvalid: 'Name must be between 2 and 50 characters',
+  accountEmail: 'Email',
+  accountLanguage: 'Language',
+  accountEmailNotifications: 'Receive email notifications',
+  accountIdleTimeout: 'Sign out after a period of inactivity',
+  accountIdleTimeoutNever: 'Never',
+  accountIdleTimeoutMinutes: '{minutes} minutes without activity',
+  accountTheme: 'Theme',
+  accountThemesTitle: 'Custom themes',
+  accountThemesIntro: 'Create your own themes from the light or dark one. They are saved to your account and follow you on every device.',
+  accountThemesEmpty: 'You have not created any themes yet.',
+  accountThemeName: 'Theme name',
+  accountThemeNameInvalid: 'The theme needs a name of up to 40 characters',
+  accountThemeBase: 'Based on',
+  accountThemeColorBackground: 'Background',
+  accountThemeColorSurface: 'Cards and dialogs',
+  accountThemeColorText: 'Text',
+  accountThemeColorPrimary: 'Primary color',
+  accountThemeColorAccent: 'Accent',
+  accountThemeCreate: 'Create theme',
+  accountThemeDelete: 'Delete',
+  accountThemeDeleteConfirm: 'Delete the theme {name}?',
+  accountThemeContrast: 'Text needs a contrast of at least {ratio}:1 with the background and cards',
+  accountThemeLimit: 'You can have up to {max} custom themes',
+  accountThemeSaved: 'Theme saved',
+  accountSave: 'Save changes',
+  accountSaved: 'Profile updated',
+  accountPasswordTitle: 'Password',
+  accountPasswordNone: 'You sign in with Google or GitHub. Create a password to also sign in with your email.',
+  accountPasswordCurrent: 'Current password',
+  accountPasswordNew: 'New password',
+  accountPasswordConfirm: 'Confirm new password',
+  accountPasswordSave: 'Change password',
+  accountPasswordMismatch: 'Passwords do not match',
+  accountPasswordCurrentRequired: 'Enter your current password',
+  accountPasswordWrong: 'Your current password is not correct',
+  accountPasswordChanged: 'Password changed',
+  accountProvidersTitle: 'Sign-in methods',
+  accountProvidersIntro: 'Link other providers to sign in to this same account with them.',
+  accountProviderEmail: 'Email and password',
+  accountProviderLink: 'Link',
+  accountProviderUnlink: 'Unlink',
+  accountProviderUnlinkConfirm: 'Unlink {provider}? You will no longer be able to sign in with that account.',
+  accountProviderLastMethod: 'This is your only sign-in method',
+  accountProviderLinked: 'Linked',
+  accountProviderNotLinked: 'Not linked',
+  accountDeleteTitle: 'Delete account',
+  accountDeleteIntro: 'This deletes your profile, the projects you own (with their tasks and messages), the tasks you created, your messages and your analytics. Tasks assigned to you become unassigned. This cannot be undone.',
+  accountDeleteConfirmLabel: 'Type {email} to confirm',
+  accountDeleteButton: 'Delete my account',
+  accountDeleteConfirm: 'Delete your account and all its data forever?',
+  accountDeleteEmailMismatch: 'Type your account email to confirm',
+
+  // Security settings
+  securityTitle: 'Security',
+  securityMfaTitle: 'Two-step verification',
+  securityMfaOn: 'On',
+  securityMfaOff: 'Off',
+  securityMfaIntro: 'Besides your password, we will ask for a code from an authenticator app (Google Authenticator, 1Password, Authy…) when you sign in.',
+  securityMfaEnable: 'Turn on',
+  securityMfaDisable: 'Turn off',
+  securityMfaDisableConfirm: 'Turn off two-step verification? Your recovery codes will stop working.',
+  securityMfaAuthenticator: 'Authenticator app',
+  securityMfaEnabledSince: '{name} · turned on {date}',
+  securityEnrollScan: 'Scan this QR code with your authenticator app.',
+  securityEnrollManual: 'Add a new account in your authenticator app with this key.',
+  securityEnrollQrAlt: 'QR code for your authenticator app',
+  securityEnrollKey: 'Setup key:',
+  securityEnrollOpenApp: 'Open in authenticator app',
+  securityEnrollConfirm: 'Enter the 6-digit code the app shows:',
+  securityEnrollVerify: 'Verify and turn on',
+  securityCancel: 'Cancel',
+  securityRecoveryTitle: 'Recovery codes',
+  securityRecoveryIntro: 'Keep them somewhere safe. Each code signs you in once if you lose your device, and you will not see them again.',
+  securityRecoveryRemaining: 'Unused recovery codes: {count}',
+  securityRecoveryRegenerate: 'Generate new codes',
+  securityRecoveryRegenerateConfirm: 'Generate new recovery codes? The previous ones will stop working.',
+  securityRecoveryCopy: 'Copy',
+  securityRecoverySaved: 'I have saved them',
+  securitySessionsTitle: 'Active sessions',
+  securitySessionsIntro: 'Devices and browsers where you are signed in. If you do not recognize one, sign it out and change your password.',
+  securitySessionDevice: '{browser} on {os}',
+  securitySessionUnknownBrowser: 'Unknown browser',
+  securitySessionUnknownOs: 'unknown system',
+  securitySessionCurrent: 'This device',
+  securitySessionActiveNow: 'Active now',
+  securitySessionLastActive: 'Last active: {date}',
+  securitySessionRevoke: 'Sign out',
+  securitySessionsRevokeOthers: 'Sign out all other sessions',
+  securitySessionsRevokeOthersConfirm: 'Sign out on every other device?',
+  securityDeviceDesktop: 'Computer',
+  securityDeviceMobile: 'Phone',
+  securityDeviceTablet: 'Tablet',
+
+  // App Shell
+  appNavDashboard: 'Dashboard',
+  appNavChat: 'Chat',
+  appNavAnalytics: 'Analytics',
+  appNavSettings: 'Settings',
+  appLogout: 'Sign out',
+  appLogoutError: 'Error signing out',
+  appLoginRequired: 'Sign in required',
+  appLoginRequiredDesc: 'You need to sign in to access the application',
+  appLoginButton: 'Sign in',
+  appBackToLanding: '← Back to landing',
+  appWelcome: 'Welcome, {name}',
+  appProjects: 'Projects',
+  appNoProjects: 'You have no projects yet. Create the first one to get started.',
+  appNewProjectPlaceholder: 'New project name',
+  appCreateProject: 'Create project',
+  appProjectOverview: 'Overview',
+  appProjectBoard: 'Board',
+  appProjectTimeline: 'Timeline',
+  appProjectChat: 'Chat',
+  appProjectMembers: 'Members',
+  appProjectNotFound: 'Project not found',
+  appBackToDashboard: '← Back to dashboard',
+  appTasksTotal: 'Tasks',
+  appComingSoon: 'This section will be available soon.',
+  appLoading: 'Loading...',
+  appLoadError: 'The content could not be loaded.'
+}
@@ -0,0 +1,35 @@
+// English - connection namespace: ConnectionStatusIndicator, recovery and offline queue messages
+export default {
+  connectionConnected: 'Connected',
+  connectionConnectedDesc: 'Connection established',
+  connectionDisconnected: 'Offline',
+  connectionDisconnectedDesc: 'Check your internet connection',
+  connectionChecking: 'Checking connection',
+  connectionCheckingDesc: 'Checking the connection status...',
+  connectionUnknown: 'Unknown status',
+  connectionUnknownDesc: 'The connection status could not be determined',
+  connectionOfflineMode: 'Offline mode - Limited functionality',
+
+  // Connection quality
+  connectionExcellent: 'Excellent',
+  connectionGood: 'Good',
+  connectionFair: 'Fair',
+  connectionPoor: 'Slow',
+  connectionVeryPoor: 'Very slow',
+
+  // Recovery and the offline queue (networkConnectivityHandler, supabaseUnavailableHandler, authService)
+  connectionRestored: 'Connection restored',
+  retriedAfterRestore: 'Connection restored after {count, plural, one {# attempt} other {# attempts}}',
+  retriedTimes: 'Tried {count, plural, one {# time} other {# times}}',
+  retryCheckConnection: 'Check your connection and try again.',
+  connectionRestoredContinuing: 'Connection restored. Continuing...',
+  connectionRestoredProcessing: 'Connection restored! Pending operations are being processed.',
+  serviceRestored: 'Service restored! You can now continue normally.',
+  operationQueued: 'Operation "{operation}" queued. Will execute when connection is restored.',
+  operationUnknown: 'unknown',
+  operationQueuedNetwork: 'Operation queued. We\'ll retry automatically when network connection is restored.',
+  operationQueuedService: 'Operation queued. We\'ll retry automatically when service is restored.',
+  queueSuccess: '{success, plural, one {# operation completed} other {# operations completed}} successfully.',
+  queueMixed: '{success, plural, one {# operation successful} other {# operations successful}}, {failure} failed.',
+  queueFailure: '{failure, plural, one {# operation failed} other {# operations failed}}. Please try again.'
+}
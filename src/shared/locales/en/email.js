@@ -0,0 +1,33 @@
+// English - email namespace: transactional email templates (src/shared/config/emailTemplates.js)
+export default {
+  layoutLinkFallback: 'If the button does not work, copy this link into your browser:',
+  layoutFooter: 'Anclora Kairon · Master the decisive moment in every project',
+
+  betaConfirmationSubject: 'Confirm your email for the Anclora Kairon beta',
+  betaConfirmationHeading: 'Confirm your email',
+  betaConfirmationBody: 'Thanks for signing up for the Anclora Kairon beta! Confirm your email to save your place in the waitlist.',
+  betaConfirmationAction: 'Confirm my email',
+  betaConfirmationNote: 'The link expires in {hours} hours. If you did not sign up, ignore this message.',
+
+  betaStatusSubject: 'Your place in the Anclora Kairon beta',
+  betaStatusHeading: 'You are on the waitlist',
+  betaStatusBody: 'See your place and your link to invite other people to the beta.',
+  betaStatusAction: 'See my place',
+
+  teamInviteSubject: '{inviterName} invited you to {projectName} on Anclora Kairon',
+  teamInviteHeading: 'You have been invited to a project',
+  teamInviteBody: '{inviterName} invited you to join {projectName} as {role, select, owner {owner} admin {admin} viewer {viewer} other {member}}.',
+  teamInviteAction: 'See the invitation',
+  teamInviteNote: 'The invitation expires in {days, plural, one {# day} other {# days}}. If you were not expecting this email, ignore it.',
+
+  taskAssignmentSubject: 'New task: {taskTitle}',
+  taskAssignmentHeading: 'A task has been assigned to you',
+  taskAssignmentBody: '{assignerName} assigned you "{taskTitle}" in {projectName}.',
+  taskAssignmentDue: 'Due date: {dueDate, date, long}.',
+  taskAssignmentAction: 'Open the task',
+
+  dueDateReminderSubject: '{days, plural, =0 {"{taskTitle}" is due today} one {"{taskTitle}" is due tomorrow} other {"{taskTitle}" is due in # days}}',
+  dueDateReminderHeading: 'Due date reminder',
+  dueDateReminderBody: '"{taskTitle}" in {projectName} is due on {dueDate, date, full}.',
+  dueDateReminderAction: 'Open the task'
+}
@@ -0,0 +1,42 @@
+// English - feedback namespace: UserFeedbackSystem errors by type, and loading and success messages by operation
+export default {
+  // Errors
+  NETWORK_ERROR: 'Could not connect to server. Check your internet connection.',
+  AUTH_INVALID_CREDENTIALS: 'Invalid email or password. Please try again.',
+  AUTH_USER_NOT_FOUND: 'No account found with this email address. Would you like to create a new account?',
+  AUTH_USER_EXISTS: 'An account with this email already exists. Want to sign in?',
+  AUTH_WEAK_PASSWORD: 'Password must be at least 6 characters long.',
+  AUTH_RATE_LIMITED: 'Too many attempts. Wait {waitTime} seconds before trying again.',
+  AUTH_EMAIL_NOT_CONFIRMED: 'You must confirm your email before signing in. Check your inbox.',
+  SERVER_ERROR: 'Server error. Please try again in a few moments.',
+  UNKNOWN_ERROR: 'An unexpected error occurred. Contact support if it persists.',
+  EMAIL_NOT_CONFIRMED: 'You must confirm your email before signing in. Check your inbox.',
+  INVALID_EMAIL_FORMAT: 'Please enter a valid email address.',
+  MFA_REQUIRED: 'Enter the code from your authenticator app to continue.',
+  MFA_INVALID_CODE: 'That code is not correct. Enter the code your app shows now.',
+  MFA_CHALLENGE_EXPIRED: 'The verification has expired. Please sign in again.',
+  MFA_RECOVERY_CODE_INVALID: 'That recovery code is not valid or has already been used.',
+  MFA_ENROLLMENT_FAILED: 'Two-step verification could not be turned on. Please try again.',
+  OTP_RATE_LIMITED: 'We sent you an email a moment ago. Wait a minute before requesting another one.',
+  OTP_EXPIRED: 'This link or code is invalid or has expired. Request a new one.',
+  OTP_ALREADY_USED: 'This link or code has already been used. Request a new one.',
+
+  // Loading
+  loadingLogin: 'Signing in...',
+  loadingRegister: 'Creating account...',
+  loadingLogout: 'Signing out...',
+  loadingForgotPassword: 'Sending recovery link...',
+  loadingMfa: 'Verifying code...',
+  loadingMagicLink: 'Sending sign-in link...',
+  loadingCheckingConnectivity: 'Checking connection...',
+  loadingRetrying: 'Retrying...',
+  loadingDefault: 'Processing...',
+
+  // Success
+  successLogin: 'Welcome back!',
+  successRegister: 'Account created successfully!',
+  successForgotPassword: 'Recovery link sent to your email.',
+  successPasswordReset: 'Password updated successfully.',
+  successEmailConfirmed: 'Email confirmed successfully.',
+  successMagicLink: 'Sign-in link sent. Check your inbox.'
+}
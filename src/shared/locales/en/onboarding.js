@@ -0,0 +1,56 @@
+// English - onboarding namespace: OnboardingWizard
+export default {
+  onboardingWelcome: 'Welcome to Anclora Kairon',
+  onboardingSkip: 'Skip setup',
+  onboardingProgress: 'Step {step} of {total}',
+  onboardingPrevious: 'Back',
+  onboardingNext: 'Next',
+  onboardingComplete: 'Finish',
+  onboardingFinishing: 'Finishing setup...',
+
+  // Step 1: welcome
+  onboardingWelcomeTitle: 'Let\'s get you started!',
+  onboardingWelcomeDesc: 'We\'ll help you set up your workspace in under 60 seconds.',
+  onboardingYourName: 'What\'s your name?',
+  onboardingNamePlaceholder: 'Your name',
+  onboardingYourRole: 'What\'s your role?',
+  onboardingSelectRole: 'Select your role',
+  onboardingDeveloper: 'Developer',
+  onboardingDesigner: 'Designer',
+  onboardingManager: 'Project Manager',
+  onboardingMarketing: 'Marketing',
+  onboardingFounder: 'Founder/CEO',
+  onboardingOther: 'Other',
+
+  // Step 2: project template
+  onboardingTemplateTitle: 'Choose your project template',
+  onboardingTemplateDesc: 'Pick the kind of project that best fits your work',
+  templateSoftware: 'Software Development',
+  templateSoftwareDesc: 'Sprints, bugs, features and releases',
+  templateMarketing: 'Marketing',
+  templateMarketingDesc: 'Campaigns, content and analytics',
+  templateDesign: 'Design',
+  templateDesignDesc: 'UI/UX, branding and creative assets',
+  templateGeneral: 'General Project',
+  templateGeneralDesc: 'Tasks, goals and tracking',
+
+  // Step 3: team
+  onboardingTeamTitle: 'Invite your team',
+  onboardingTeamDesc: 'You can invite collaborators now or later',
+  onboardingEmailPlaceholder: 'email@example.com',
+  onboardingAddMember: 'Add team member',
+  onboardingSkipTeam: 'Skip for now, I\'ll do it later',
+
+  // Step 4: summary
+  onboardingCompleteTitle: 'All set!',
+  onboardingCompleteDesc: 'We\'ve prepared your workspace with sample data so you can start right away.',
+  onboardingSetupSummary: 'Setup summary:',
+  onboardingName: 'Name',
+  onboardingDefaultName: 'User',
+  onboardingRole: 'Role',
+  onboardingRoleUnspecified: 'Not specified',
+  onboardingTemplate: 'Template',
+  onboardingTeamSize: 'Team',
+  onboardingMemberCount: '{count, plural, one {# member} other {# members}}',
+  onboardingReadyMessage: 'Your project is ready with sample tasks and an initial structure.'
+}
@@ -0,0 +1,15 @@
+// English - validation namespace: form validation (utils/validation.js and authService.validateRegistrationData)
+export default {
+  nameRequired: 'Name is required',
+  nameLength: 'Name must be between 2 and 50 characters',
+  emailRequired: 'Email is required',
+  emailInvalid: 'Please enter a valid email address',
+  emailFormat: 'Email format is invalid (example: user@domain.com)',
+  emailValid: 'Email is valid',
+  passwordRequired: 'Password is required',
+  passwordMinLength: 'Password must be at least 6 characters long',
+  passwordWeak: 'Password must be at least 8 characters long and include uppercase, lowercase, and numbers',
+  passwordValid: 'Password is valid',
+  passwordMismatch: 'Passwords do not match',
+  confirmPasswordRequired: 'You must confirm your password'
+}
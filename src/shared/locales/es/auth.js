@@ -0,0 +1,52 @@
+// Spanish - auth namespace: AUTH_ERROR_TYPES messages (authErrorHandler), OAuth fallbacks and password reset
+export default {
+  NETWORK_ERROR: 'No se pudo conectar al servidor. Verifica tu conexión a internet.',
+  SUPABASE_UNAVAILABLE: 'El servicio de autenticación no está disponible temporalmente. Inténtalo de nuevo en unos minutos.',
+  SUPABASE_MAINTENANCE: 'El servicio está en mantenimiento. Volveremos pronto. Disculpa las molestias.',
+  AUTH_INVALID_CREDENTIALS: 'Email o contraseña incorrectos. Verifica que hayas ingresado la información correcta.',
+  AUTH_USER_NOT_FOUND: 'No encontramos una cuenta con este email. ¿Quizás quieres crear una cuenta nueva?',
+  AUTH_USER_EXISTS: 'Ya existe una cuenta con este email. ¿Quieres iniciar sesión?',
+  AUTH_WEAK_PASSWORD: 'La contraseña debe tener al menos 6 caracteres.',
+  AUTH_RATE_LIMITED: 'Demasiados intentos de inicio de sesión. Por favor espera antes de intentar de nuevo.',
+  AUTH_EMAIL_NOT_CONFIRMED: 'Debes confirmar tu email antes de iniciar sesión. Revisa tu bandeja de entrada.',
+  OAUTH_GOOGLE_ERROR: 'Error al iniciar sesión con Google. Inténtalo de nuevo o usa email y contraseña.',
+  OAUTH_GITHUB_ERROR: 'Error al iniciar sesión con GitHub. Inténtalo de nuevo o usa email y contraseña.',
+  OAUTH_PROVIDER_UNAVAILABLE: 'El proveedor de autenticación no está disponible. Inténtalo de nuevo más tarde.',
+  OAUTH_ACCESS_DENIED: 'Acceso denegado. Debes autorizar la aplicación para continuar.',
+  OAUTH_POPUP_BLOCKED: 'La ventana emergente fue bloqueada. Permite ventanas emergentes e inténtalo de nuevo.',
+  OAUTH_TIMEOUT: 'La autenticación tardó demasiado. Inténtalo de nuevo.',
+  MFA_REQUIRED: 'Introduce el código de tu app de autenticación para continuar.',
+  MFA_INVALID_CODE: 'El código no es correcto. Comprueba que la hora de tu dispositivo esté sincronizada e introduce el código actual.',
+  MFA_CHALLENGE_EXPIRED: 'La verificación ha caducado. Vuelve a iniciar sesión.',
+  MFA_RECOVERY_CODE_INVALID: 'El código de recuperación no es válido o ya se ha usado.',
+  MFA_ENROLLMENT_FAILED: 'No se pudo activar la verificación en dos pasos. Inténtalo de nuevo.',
+  OTP_RATE_LIMITED: 'Ya te hemos enviado un email hace poco. Espera un minuto antes de pedir otro.',
+  OTP_EXPIRED: 'El enlace o código no es válido o ha caducado. Solicita uno nuevo.',
+  OTP_ALREADY_USED: 'Este enlace o código ya se ha usado. Solicita uno nuevo para volver a entrar.',
+  SERVER_ERROR: 'Error del servidor. Inténtalo de nuevo en unos momentos.',
+  UNKNOWN_ERROR: 'Ocurrió un error inesperado. Contacta al soporte si persiste.',
+
+  // OAuth fallbacks (oauthErrorHandler)
+  oauthFallback: '¿Problemas con {provider}? Puedes iniciar sesión con email y contraseña.',
+  oauthAlternativeProvider: 'También puedes intentar con {providers}.',
+  oauthPopupBlocked: 'Parece que las ventanas emergentes están bloqueadas. Habilítalas en tu navegador e inténtalo de nuevo.',
+  oauthUseEmailPassword: 'Usar Email/Contraseña',
+  oauthTryProvider: 'Probar {provider}',
+
+  // Password reset (authService.resetPassword)
+  resetSuccess: 'Email de recuperación enviado. Revisa tu bandeja de entrada y carpeta de spam.',
+  resetRateLimited: 'Demasiados intentos. Espera 15 minutos e intenta nuevamente.',
+  resetUserNotFound: 'No encontramos una cuenta con este email. ¿Quieres registrarte?',
+  resetNetworkError: 'Error de conexión. Verifica tu internet e intenta nuevamente.',
+  resetConfigError: 'Error de configuración del sistema. Contacta al soporte.',
+  resetUnknownError: 'Error inesperado. Contacta al soporte si persiste.',
+  resetCheckSpam: 'Si no ves el email, revisa tu carpeta de spam y promociones.',
+  resetEmailInstructions: 'El enlace de recuperación expira en 1 hora.',
+
+  // Password reset troubleshooting, one step per line (authService.generatePasswordResetTroubleshooting)
+  resetStepsRateLimited: 'Espera 15-30 minutos antes de intentar nuevamente\nUsa una conexión de internet diferente si es urgente\nVerifica que estés usando el email correcto',
+  resetStepsUserNotFound: 'Verifica que el email esté escrito correctamente\nPrueba con variaciones del email (gmail.com vs googlemail.com)\nConsidera registrar una nueva cuenta si no tienes una',
+  resetStepsNetworkError: 'Verifica tu conexión a internet\nIntenta desde otra red (datos móviles)\nDesactiva VPN temporalmente\nRevisa el estado de Supabase en status.supabase.com',
+  resetStepsConfigError: 'Este es un problema del sistema, no tuyo\nContacta al soporte técnico\nIncluye la hora exacta del error',
+  resetStepsUnknownError: 'Revisa tu carpeta de spam en el email\nEspera 5-10 minutos por si hay retraso\nIntenta con otro navegador\nContacta soporte si persiste'
+}
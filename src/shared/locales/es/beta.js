@@ -0,0 +1,27 @@
+// Spanish - beta namespace: landing beta signup and the waitlist status page
+export default {
+  signupProcessing: 'Procesando...',
+  signupRetry: 'Error - Reintentar',
+  signupError: 'Error al procesar la solicitud. Por favor, inténtalo de nuevo.',
+  signupPendingTitle: '¡Ya casi estás dentro!',
+  signupPendingText: 'Te hemos enviado un email a {email}. Confirma tu dirección para entrar en la lista de espera.',
+  signupDuplicateTitle: 'Ya te habías apuntado',
+  signupDuplicatePendingText: 'Te hemos reenviado a {email} el enlace de confirmación.',
+  signupDuplicateConfirmedText: 'Te hemos reenviado a {email} el enlace para ver tu puesto en la lista.',
+
+  statusTitle: 'Tu puesto en la beta',
+  statusLoading: 'Cargando...',
+  statusConfirmed: '¡Email confirmado! Ya estás en la lista de espera.',
+  statusPosition: 'Puesto {position, number} de {total, number}',
+  statusPending: 'Confirma tu email con el enlace que te enviamos para entrar en la lista.',
+  statusInvited: '¡Ya tienes acceso a la beta! Revisa tu email para empezar.',
+  statusReferralTitle: 'Sube en la lista',
+  statusReferralText: 'Cada persona que confirme su email con tu enlace te adelanta {boost} puestos.',
+  statusReferralCount: '{count, plural, =0 {Aún nadie se ha unido con tu enlace} one {# persona se ha unido con tu enlace} other {# personas se han unido con tu enlace}}',
+  statusCopyLink: 'Copiar enlace',
+  statusLinkCopied: 'Enlace copiado',
+  statusNotFound: 'Este enlace no es válido. Apúntate de nuevo desde la página principal y te enviaremos uno nuevo.',
+  statusConfirmFailed: 'No hemos podido confirmar tu email: el enlace no es válido o ha caducado. Apúntate de nuevo para recibir otro.',
+  statusLoadError: 'No se pudo cargar tu puesto. Inténtalo de nuevo en unos minutos.',
+  statusBackHome: 'Volver a la página principal'
+}
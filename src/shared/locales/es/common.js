@@ -0,0 +1,501 @@
+// Spanish - common namespace: landing page and app
+export default {
+  // Navigation
+  features: 'Características',
+  pricing: 'Precios',
+  about: 'Acerca de',
+  contact: 'Contacto',
+  login: 'Iniciar Sesión',
+
+  // Hero Section
+  heroTitle: 'Domina el momento decisivo',
+  heroTitleHighlight: 'en cada proyecto',
+  heroSubtitle: 'Anclora Kairon, del griego Kairos, es la plataforma inteligente que te ayuda a actuar en el instante preciso.',
+  heroDescription: 'Simplifica la colaboración y transforma tus datos en la decisión correcta, en el momento oportuno.',
+  ctaPrimary: 'Unirme a la Beta',
+  ctaSecondary: 'Ver Demo',
+  heroDemoComingSoon: '🎬 ¡Demo disponible próximamente!\n\nEstamos preparando una demostración interactiva. Por ahora puedes explorar las características más abajo.',
+
+  // Benefits
+  benefit1Title: 'Setup en 2 minutos',
+  benefit1Description: 'Sin configuraciones complejas. Empieza a trabajar inmediatamente.',
+  benefit2Title: 'IA que decide',
+  benefit2Description: 'Sugerencias proactivas para que siempre des el siguiente paso correcto.',
+  benefit3Title: 'Métricas con propósito',
+  benefit3Description: 'Insights claros para tomar la mejor decisión, justo a tiempo.',
+
+  // Pre-launch CTA
+  socialProof: 'Sé uno de los primeros equipos en dominar el momento decisivo. Únete a nuestra beta privada.',
+
+  // Pain Agitation Section
+  painTitle: '¿Cansado de reaccionar? Es hora de anticiparse.',
+  painSubtitle: 'Si te sientes identificado con esto, no estás solo:',
+  pain1: 'Siempre "apagando fuegos" en lugar de prevenir problemas',
+  pain2: 'Plazos que se escapan entre los dedos sin saber por qué',
+  pain3: 'Reuniones interminables solo para saber en qué punto está todo',
+  pain4: 'El estrés de que un pequeño retraso provoque un efecto dominó',
+
+  // Epiphany Section
+  epiphanyTitle: 'Descubrimos que el problema no era la gestión, sino el momento.',
+  epiphanySubtitle: 'La gran revelación que cambió todo',
+  epiphanyText: 'Las herramientas actuales solo miden el tiempo cronológico (Chronos), pero los proyectos exitosos requieren dominar el momento oportuno (Kairos). No necesitas más datos, necesitas saber cuándo actuar.',
+
+  // How It Works Section
+  howTitle: 'Domina tus proyectos en 3 simples pasos.',
+  howStep1Title: '1. Conecta',
+  howStep1Desc: 'Integra tus flujos de trabajo actuales sin cambiar nada',
+  howStep2Title: '2. Decide',
+  howStep2Desc: 'Kairon analiza los datos y te ofrece sugerencias proactivas',
+  howStep3Title: '3. Domina',
+  howStep3Desc: 'Actúa en el momento preciso con la información correcta',
+
+  // Irresistible Offer Section
+  offerTitle: 'Conviértete en "Founding Member" y obtén beneficios exclusivos para siempre.',
+  offerSubtitle: 'El Paquete Fundador incluye:',
+  offer1: 'Acceso Prioritario y Gratuito a la beta de Anclora Kairon',
+  offer2: 'Descuento Vitalicio del 50% cuando lancemos oficialmente',
+  offer3: 'Acceso Directo a los Fundadores para dar feedback',
+  offer4: 'Pertenencia a la Comunidad Privada de "Founding Members"',
+
+  // Final CTA Section
+  finalCtaTitle: 'Únete ahora y sé parte de la revolución',
+  finalCtaSubtitle: 'Plazas limitadas para asegurar una experiencia de alta calidad.',
+  emailPlaceholder: 'Tu email profesional',
+  finalCtaButton: 'Unirme a la Beta',
+
+  // Language Selector
+  selectLanguage: 'Seleccionar idioma',
+  spanish: 'Español',
+  english: 'English',
+  portuguese: 'Português',
+  french: 'Français',
+
+  // Theme Selector
+  themeLight: 'Claro',
+  themeDark: 'Oscuro',
+  themeHighContrast: 'Alto contraste',
+  themeSystem: 'Sistema',
+
+  // Authentication Modal
+  authWelcomeBack: '¡Bienvenido de vuelta!',
+  authWelcomeBackDesc: 'Inicia sesión para continuar con tus proyectos',
+  authCreateAccount: 'Crea tu cuenta',
+  authCreateAccountDesc: 'Únete a Anclora Kairon y organiza tus proyectos',
+  authInvitationNotice: 'Te han invitado a unirte a «{project}». Crea tu cuenta o inicia sesión con {email} para aceptar.',
+  authLoginTab: 'Iniciar Sesión',
+  authRegisterTab: 'Registrarse',
+  authEmail: 'Correo electrónico',
+  authPassword: 'Contraseña',
+  authConfirmPassword: 'Confirmar contraseña',
+  authFullName: 'Nombre completo',
+  authRememberMe: 'Recordarme',
+  authForgotPassword: '¿Olvidaste tu contraseña?',
+  authLoginButton: 'Iniciar Sesión',
+  authRegisterButton: 'Crear Cuenta',
+  authOrContinueWith: 'O continúa con',
+  authOrRegisterWith: 'O regístrate con',
+  authAcceptTerms: 'Acepto los',
+  authTermsAndConditions: 'términos y condiciones',
+  authAnd: 'y la',
+  authPrivacyPolicy: 'política de privacidad',
+  authPasswordRequirements: 'Mínimo 8 caracteres, incluye mayúsculas, minúsculas y números',
+  authForgotPasswordTitle: 'Recuperar contraseña',
+  authForgotPasswordDesc: 'Ingresa tu email y te enviaremos un enlace para restablecer tu contraseña',
+  authSendRecoveryLink: 'Enviar enlace de recuperación',
+  authBackToLogin: '← Volver al inicio de sesión',
+  authEmailSent: '¡Email enviado!',
+  authEmailSentDesc: 'Hemos enviado un enlace de recuperación a',
+  authEmailSentInstructions: 'Revisa tu bandeja de entrada y sigue las instrucciones.',
+  authBackToLoginSuccess: 'Volver al inicio de sesión',
+  authDidntReceiveEmail: '¿No recibiste el email?',
+  authTryAgain: 'Intentar de nuevo',
+  authConnecting: 'Conectando...',
+  authLoggingIn: 'Iniciando sesión...',
+  authCreatingAccount: 'Creando cuenta...',
+  authSending: 'Enviando...',
+  authMfaTitle: 'Verificación en dos pasos',
+  authMfaDesc: 'Introduce el código de 6 dígitos que muestra tu app de autenticación.',
+  authMfaRecoveryDesc: 'Introduce uno de los códigos de recuperación que guardaste al activar la verificación en dos pasos.',
+  authMfaCode: 'Código de verificación',
+  authMfaRecoveryCode: 'Código de recuperación',
+  authMfaVerify: 'Verificar',
+  authMfaUseRecovery: '¿No tienes tu dispositivo? Usa un código de recuperación',
+  authMfaUseApp: 'Usar la app de autenticación',
+  authMfaCodeRequired: 'Introduce el código',
+  authMfaRecoveryUsed: 'Has entrado con un código de recuperación y la verificación en dos pasos se ha desactivado. Vuelve a activarla en Ajustes › Seguridad.',
+  authMagicLinkButton: 'Entrar con un enlace por email',
+  authMagicLinkTitle: 'Entrar sin contraseña',
+  authMagicLinkDesc: 'Te enviaremos un enlace de acceso y un código de 6 dígitos. Caducan en una hora.',
+  authMagicLinkSend: 'Enviar enlace',
+  authMagicLinkSentTitle: 'Revisa tu email',
+  authMagicLinkSentDesc: 'Hemos enviado un enlace de acceso a {email}. Ábrelo en este dispositivo o escribe aquí el código del email.',
+  authEmailOtpCode: 'Código del email',
+  authEmailOtpVerify: 'Entrar',
+  authEmailOtpRequired: 'Introduce el código de 6 dígitos del email',
+  authMagicLinkResend: 'Enviar otro email',
+  authMagicLinkOtherEmail: 'Usar otro email',
+  authMagicLinkCallbackTitle: 'No hemos podido iniciar tu sesión',
+  authMagicLinkCallbackBack: 'Volver a Anclora Kairon',
+
+  // Authentication Modal - error guidance
+  authUserNotFoundTitle: 'No encontramos una cuenta con este email',
+  authUserNotFoundSuggestion: '¿Quizás quieres crear una cuenta nueva?',
+  authCreateAccountAction: 'Crear Cuenta',
+  authTryDifferentEmail: 'Usar otro email',
+  authInvalidCredentialsTitle: 'Email o contraseña incorrectos',
+  authInvalidCredentialsSuggestion: 'Verifica que hayas ingresado la información correcta',
+  authShowPassword: 'Mostrar contraseña',
+  authHidePassword: 'Ocultar contraseña',
+  authRateLimitedTitle: 'Demasiados intentos de inicio de sesión',
+  authRateLimitedWait: 'Por favor espera {seconds} segundos antes de intentar de nuevo',
+  authRateLimitedSuggestion: 'Esto es por tu seguridad. Mientras esperas, puedes:',
+  authRateLimitedReady: 'Ya puedes intentar iniciar sesión de nuevo',
+  authResetPassword: 'Restablecer contraseña',
+  authEmailNotConfirmedTitle: 'Email no confirmado',
+  authEmailNotConfirmedMessage: 'Debes confirmar tu email antes de iniciar sesión',
+  authEmailNotConfirmedInstruction: 'Revisa tu bandeja de entrada y haz clic en el enlace de confirmación',
+  authResendConfirmation: 'Reenviar confirmación',
+  authCheckSpam: 'Revisar spam',
+  authCheckSpamHelp: 'Revisa tu carpeta de spam/correo no deseado. A veces los emails de confirmación terminan ahí. Si lo encuentras, márcalo como "no es spam" para asegurar que futuros emails lleguen a tu bandeja de entrada.',
+  authChangeEmail: 'Cambiar email',
+  authChangeEmailHelp: 'Puedes registrarte con una dirección de email diferente si es necesario',
+  authSent: '¡Enviado!',
+  authSendFailedRetry: 'Error - Reintentar',
+  authConfirmationResent: '¡Email de confirmación enviado! Revisa tu bandeja de entrada.',
+  authConfirmationResendFailed: 'Error al reenviar email de confirmación. Inténtalo de nuevo.',
+  authSwitchToLogin: 'Cambiar a Iniciar Sesión',
+  authPasswordMustInclude: 'La contraseña debe incluir:',
+  authPasswordRuleLength: 'Al menos 8 caracteres',
+  authPasswordRuleUppercase: 'Incluir letras mayúsculas (A-Z)',
+  authPasswordRuleLowercase: 'Incluir letras minúsculas (a-z)',
+  authPasswordRuleNumber: 'Incluir números (0-9)',
+
+  // Kanban Board
+  kanbanTodo: 'Por hacer',
+  kanbanInProgress: 'En progreso',
+  kanbanInReview: 'En revisión',
+  kanbanDone: 'Hecho',
+  kanbanEmptyColumn: 'Arrastra tareas aquí',
+  kanbanLoading: 'Cargando tablero...',
+  kanbanLoadError: 'No se pudo cargar el tablero.',
+  kanbanKeyboardHelp: 'Pulsa Espacio para coger una tarea, usa las flechas para moverla, Espacio para soltarla y Escape para cancelar.',
+  kanbanReadOnly: 'Solo lectura: tu rol no permite mover tareas.',
+  kanbanTaskGrabbed: 'Tarea "{title}" cogida. Columna {column}, posición {position}.',
+  kanbanTaskPosition: 'Columna {column}, posición {position}.',
+  kanbanTaskMoved: 'Tarea "{title}" movida a {column}, posición {position}.',
+  kanbanMoveCancelled: 'Movimiento cancelado.',
+  kanbanMoveReverted: 'No se pudo mover la tarea. Se ha restaurado su posición.',
+  kanbanUnassigned: 'Sin asignar',
+  kanbanDue: 'Vence',
+  priorityLow: 'Baja',
+  priorityMedium: 'Media',
+  priorityHigh: 'Alta',
+  priorityUrgent: 'Urgente',
+
+  // Timeline
+  timelineLoading: 'Cargando cronograma...',
+  timelineLoadError: 'No se pudo cargar el cronograma.',
+  timelineZoom: 'Escala',
+  timelineZoomDay: 'Día',
+  timelineZoomWeek: 'Semana',
+  timelineZoomMonth: 'Mes',
+  timelineToday: 'Hoy',
+  timelineTasks: 'Tareas',
+  timelineEmpty: 'Ninguna tarea tiene fecha límite todavía.',
+  timelineUnscheduled: 'Sin fecha límite',
+  timelineCriticalPath: 'Resaltar ruta crítica',
+  timelineCriticalHours: 'Ruta crítica: {hours} h',
+  timelineDependencies: 'Dependencias',
+  timelineNoDependencies: 'No hay dependencias.',
+  timelineTask: 'Tarea',
+  timelineDependsOn: 'Depende de',
+  timelineAddDependency: 'Añadir dependencia',
+  timelineRemoveDependency: 'Quitar dependencia',
+  timelineDependencyLabel: '{task} depende de {dependency}',
+  timelineBarLabel: '{title}: del {start} al {end}',
+  timelineKeyboardHelp: 'Usa las flechas izquierda y derecha para mover la tarea un día. Mantén Mayúsculas para cambiar su duración.',
+  timelineRescheduled: '{title} reprogramada: del {start} al {end}',
+  timelineRescheduleReverted: 'No se pudo reprogramar la tarea. Se ha restaurado su fecha.',
+  timelineReadOnly: 'Solo lectura: tu rol no permite reprogramar tareas ni cambiar dependencias.',
+
+  // Chat
+  chatTitle: 'Chat del proyecto',
+  chatLoading: 'Cargando mensajes...',
+  chatLoadError: 'No se pudieron cargar los mensajes.',
+  chatEmpty: 'Todavía no hay mensajes. ¡Empieza la conversación!',
+  chatPlaceholder: 'Escribe un mensaje. Usa @ para mencionar a alguien',
+  chatSend: 'Enviar',
+  chatReply: 'Responder',
+  chatReplyingTo: 'Respondiendo a {name}',
+  chatCancelReply: 'Cancelar respuesta',
+  chatShowReplies: '{count, plural, one {Ver # respuesta} other {Ver # respuestas}}',
+  chatHideReplies: 'Ocultar respuestas',
+  chatMentionSuggestions: 'Personas que puedes mencionar',
+  chatUnknownUser: 'Usuario',
+  chatLive: 'En directo',
+  chatPolling: 'Actualizando cada pocos segundos',
+  chatNewMessages: 'Mensajes nuevos',
+  chatUnread: '{count} sin leer',
+  chatNoProjects: 'Crea un proyecto para empezar a chatear con tu equipo.',
+  chatTaskStatusChanged: '{user} movió «{title}» de {from} a {to}',
+
+  // Members
+  memberRoleOwner: 'Propietario',
+  memberRoleAdmin: 'Administrador',
+  memberRoleMember: 'Miembro',
+  memberRoleViewer: 'Lector',
+  membersTitle: 'Miembros',
+  membersYou: 'tú',
+  membersRole: 'Rol',
+  membersRoleOf: 'Rol de {name}',
+  membersInvite: 'Invitar al equipo',
+  membersSendInvite: 'Crear invitación',
+  membersInviteLink: 'Enlace de invitación',
+  membersInviteLinkReady: 'Invitación creada. Comparte este enlace con la persona invitada:',
+  membersInviteEmailSent: 'Hemos enviado la invitación a {email}',
+  membersInviteEmailFailed: 'No se pudo enviar el email de invitación. Comparte este enlace con la persona invitada:',
+  membersNoInvitations: 'No hay invitaciones pendientes.',
+  membersInvitationPending: 'Pendiente',
+  membersInvitationDeclined: 'Rechazada',
+  membersInvitationExpired: 'Caducada',
+  membersCopyLink: 'Copiar enlace',
+  membersLinkCopied: 'Enlace copiado',
+  membersRevoke: 'Revocar',
+  membersRemove: 'Eliminar',
+  membersRemoveConfirm: '¿Eliminar a este miembro del proyecto?',
+  membersLeave: 'Abandonar proyecto',
+  membersLeaveConfirm: '¿Seguro que quieres abandonar el proyecto?',
+  membersTransferOwnership: 'Hacer propietario',
+  membersTransferConfirm: '¿Transferir la propiedad del proyecto? Pasarás a ser administrador.',
+  invitationTitle: 'Invitación a «{project}»',
+  invitationFrom: '{name} te ha invitado como {role}.',
+  invitationRole: 'Te han invitado como {role}.',
+  invitationSentTo: 'Enviada a {email}',
+  invitationAccept: 'Aceptar invitación',
+  invitationDecline: 'Rechazar',
+  invitationDeclined: 'Has rechazado la invitación.',
+  invitationNotFound: 'Esta invitación no existe o ya se ha respondido.',
+  invitationExpired: 'Esta invitación ha caducado. Pide una nueva a quien te invitó.',
+
+  // Assistant
+  assistantTitle: 'Asistente',
+  assistantClose: 'Cerrar asistente',
+  assistantPlaceholder: 'Pregunta por tus tareas o pide un cambio',
+  assistantSend: 'Enviar',
+  assistantIntro: 'Puedo decirte qué está vencido, qué hacer ahora o quién va sobrecargado, y crear o actualizar tareas por ti.',
+  assistantSuggestOverdue: '¿Qué está vencido?',
+  assistantSuggestNext: '¿Qué debería hacer ahora?',
+  assistantSuggestWorkload: '¿Quién está sobrecargado?',
+  assistantThinking: 'Pensando...',
+  assistantGreeting: '¡Hola! ¿En qué puedo ayudarte?',
+  assistantHelp: 'Prueba con preguntas como estas, o pídeme «crea una tarea "Revisar diseño" en Web para mañana» o «marca "Revisar diseño" como hecha»:',
+  assistantUnknown: 'No he entendido la petición. Pregunta por tareas vencidas, para hoy, qué hacer ahora o la carga del equipo.',
+  assistantError: 'El asistente no ha podido responder. Inténtalo de nuevo.',
+  assistantAllProjects: 'todos tus proyectos',
+  assistantOverdue: '{count, plural, one {Hay # tarea vencida} other {Hay # tareas vencidas}} en {scope}:',
+  assistantNoOverdue: 'No hay tareas vencidas en {scope}.',
+  assistantDueToday: '{count, plural, one {Hay # tarea que vence} other {Hay # tareas que vencen}} hoy en {scope}:',
+  assistantNothingToday: 'No hay nada que venza hoy en {scope}.',
+  assistantNextTasks: 'Te sugiero empezar por:',
+  assistantNoNextTask: 'No tienes tareas disponibles ahora mismo.',
+  assistantReasonOverdue: 'vencida',
+  assistantReasonDueToday: 'vence hoy',
+  assistantReasonDueSoon: 'vence pronto',
+  assistantReasonPriority: 'prioridad alta',
+  assistantReasonInProgress: 'ya en progreso',
+  assistantReasonCriticalPath: 'en la ruta crítica',
+  assistantOverloaded: 'Van sobrecargados en {scope}: {names}.',
+  assistantNoOverload: 'Nadie va sobrecargado en {scope}.',
+  assistantNoMembers: 'No hay miembros en {scope}.',
+  assistantWorkloadEntry: '{tasks} tareas abiertas, {hours} h pendientes, {overdue} vencidas',
+  assistantMissingTitle: 'Dime el título de la tarea, por ejemplo entre comillas.',
+  assistantMissingProject: 'Dime en qué proyecto crear la tarea.',
+  assistantTaskNotFound: 'No encuentro esa tarea. Escribe su título entre comillas.',
+  assistantNoChanges: 'No veo ningún cambio que aplicar a esa tarea.',
+  assistantConfirmPrompt: 'Revisa el cambio y confírmalo para aplicarlo.',
+  assistantConfirmTitle: 'Cambio pendiente de confirmar',
+  assistantConfirmCreate: 'Crear «{title}» en {project}',
+  assistantConfirmUpdate: 'Actualizar «{title}»',
+  assistantDetailStatus: 'Estado: {status}',
+  assistantDetailPriority: 'Prioridad: {priority}',
+  assistantDetailDue: 'Vence: {date}',
+  assistantDetailAssignee: 'Asignada a: {name}',
+  assistantYou: 'ti',
+  assistantConfirm: 'Confirmar',
+  assistantCancel: 'Cancelar',
+  assistantActionCancelled: 'Cambio descartado.',
+  assistantTaskCreated: 'Tarea «{title}» creada.',
+  assistantTaskUpdated: 'Tarea «{title}» actualizada.',
+
+  // Analytics
+  analyticsTitle: 'Tu productividad',
+  analyticsRange: 'Periodo',
+  analyticsLastDays: 'Últimos {days} días',
+  analyticsWeekOverWeek: 'Esta semana frente a la anterior',
+  analyticsThisWeek: 'últimos 7 días',
+  analyticsPreviousWeek: 'frente a {value} la semana anterior',
+  analyticsNoComparison: 'Sin datos previos',
+  analyticsTasksCompleted: 'Tareas completadas',
+  analyticsHoursWorked: 'Horas trabajadas',
+  analyticsEfficiency: 'Eficiencia',
+  analyticsHours: '{hours} h',
+  analyticsChartLabel: '{metric} del {from} al {to}',
+  analyticsByProject: 'Por proyecto',
+  analyticsProject: 'Proyecto',
+  analyticsUnknownProject: 'Proyecto sin acceso',
+  analyticsNoProjects: 'Todavía no hay actividad en ningún proyecto.',
+  analyticsEmpty: 'Aún no hay actividad en este periodo. Completa tareas o registra horas para ver tus tendencias.',
+
+  // Offline sync
+  syncPending: 'Cambios pendientes de sincronizar: {count}',
+  syncNow: 'Sincronizar ahora',
+  syncReview: 'Revisar cambios ({count})',
+  syncTitle: 'Cambios sin sincronizar',
+  syncIntro: 'Estos cambios se hicieron sin conexión y no se pudieron aplicar tal cual. Elige qué hacer con cada uno.',
+  syncClose: 'Cerrar',
+  syncEntityTask: 'Tarea',
+  syncEntityProject: 'Proyecto',
+  syncEntityMessage: 'Mensaje',
+  syncUntitled: 'Sin título',
+  syncConflictModified: 'Alguien lo modificó mientras estabas sin conexión.',
+  syncConflictDeleted: 'Se eliminó mientras estabas sin conexión, así que tu cambio ya no se puede aplicar.',
+  syncFailed: 'El servidor rechazó el cambio: {error}',
+  syncYourDelete: 'Tu cambio: eliminarlo.',
+  syncField: 'Campo',
+  syncYours: 'Tu versión',
+  syncServer: 'En el servidor',
+  syncKeepMine: 'Conservar la mía',
+  syncKeepServer: 'Conservar la del servidor',
+  syncDiscard: 'Descartar mi cambio',
+  syncRetry: 'Reintentar',
+
+  // Account settings
+  accountTitle: 'Mi cuenta',
+  accountSecurityLink: 'Seguridad y verificación en dos pasos →',
+  accountProfileTitle: 'Perfil',
+  accountAvatarUpload: 'Cambiar foto',
+  accountAvatarRemove: 'Quitar foto',
+  accountAvatarHint: 'PNG, JPEG, WebP o GIF de hasta 2 MB.',
+  accountName: 'Nombre',
+  accountNameInvalid: 'El nombre debe tener entre 2 y 50 caracteres',
+  accountEmail: 'Email',
+  accountLanguage: 'Idioma',
+  accountEmailNotifications: 'Recibir notificaciones por email',
+  accountIdleTimeout: 'Cerrar sesión tras un periodo de inactividad',
+  accountIdleTimeoutNever: 'Nunca',
+  accountIdleTimeoutMinutes: '{minutes} minutos sin actividad',
+  accountTheme: 'Tema',
+  accountThemesTitle: 'Temas personalizados',
+  accountThemesIntro: 'Crea tus propios temas a partir del claro o del oscuro. Se guardan en tu cuenta y te siguen en todos tus dispositivos.',
+  accountThemesEmpty: 'Aún no has creado ningún tema.',
+  accountThemeName: 'Nombre del tema',
+  accountThemeNameInvalid: 'El tema necesita un nombre de hasta 40 caracteres',
+  accountThemeBase: 'Basado en',
+  accountThemeColorBackground: 'Fondo',
+  accountThemeColorSurface: 'Tarjetas y ventanas',
+  accountThemeColorText: 'Texto',
+  accountThemeColorPrimary: 'Color principal',
+  accountThemeColorAccent: 'Acento',
+  accountThemeCreate: 'Crear tema',
+  accountThemeDelete: 'Eliminar',
+  accountThemeDeleteConfirm: '¿Eliminar el tema {name}?',
+  accountThemeContrast: 'El texto necesita un contraste de al menos {ratio}:1 con el fondo y las tarjetas',
+  accountThemeLimit: 'Puedes tener hasta {max} temas personalizados',
+  accountThemeSaved: 'Tema guardado',
+  accountSave: 'Guardar cambios',
+  accountSaved: 'Perfil actualizado',
+  accountPasswordTitle: 'Contraseña',
+  accountPasswordNone: 'Entras con Google o GitHub. Crea una contraseña para poder entrar también con tu email.',
+  accountPasswordCurrent: 'Contraseña actual',
+  accountPasswordNew: 'Nueva contraseña',
+  accountPasswordConfirm: 'Confirmar nueva contraseña',
+  accountPasswordSave: 'Cambiar contraseña',
+  accountPasswordMismatch: 'Las contraseñas no coinciden',
+  accountPasswordCurrentRequired: 'Introduce tu contraseña actual',
+  accountPasswordWrong: 'La contraseña actual no es correcta',
+  accountPasswordChanged: 'Contraseña cambiada',
+  accountProvidersTitle: 'Métodos de acceso',
+  accountProvidersIntro: 'Vincula otros proveedores para entrar con ellos en esta misma cuenta.',
+  accountProviderEmail: 'Email y contraseña',
+  accountProviderLink: 'Vincular',
+  accountProviderUnlink: 'Desvincular',
+  accountProviderUnlinkConfirm: '¿Desvincular {provider}? Ya no podrás entrar con esa cuenta.',
+  accountProviderLastMethod: 'Es tu único método de acceso',
+  accountProviderLinked: 'Vinculado',
+  accountProviderNotLinked: 'No vinculado',
+  accountDeleteTitle: 'Eliminar cuenta',
+  accountDeleteIntro: 'Se borrarán tu perfil, los proyectos de los que eres propietario (con sus tareas y mensajes), las tareas que has creado, tus mensajes y tus estadísticas. Las tareas que tenías asignadas quedarán sin asignar. No se puede deshacer.',
+  accountDeleteConfirmLabel: 'Escribe {email} para confirmar',
+  accountDeleteButton: 'Eliminar mi cuenta',
+  accountDeleteConfirm: '¿Eliminar tu cuenta y todos sus datos para siempre?',
+  accountDeleteEmailMismatch: 'Escribe el email de tu cuenta para confirmar',
+
+  // Security settings
+  securityTitle: 'Seguridad',
+  securityMfaTitle: 'Verificación en dos pasos',
+  securityMfaOn: 'Activada',
+  securityMfaOff: 'Desactivada',
+  securityMfaIntro: 'Además de tu contraseña, pediremos un código de una app de autenticación (Google Authenticator, 1Password, Authy…) al iniciar sesión.',
+  securityMfaEnable: 'Activar',
+  securityMfaDisable: 'Desactivar',
+  securityMfaDisableConfirm: '¿Desactivar la verificación en dos pasos? Tus códigos de recuperación dejarán de funcionar.',
+  securityMfaAuthenticator: 'App de autenticación',
+  securityMfaEnabledSince: '{name} · activada el {date}',
+  securityEnrollScan: 'Escanea este código QR con tu app de autenticación.',
+  securityEnrollManual: 'Añade una cuenta nueva en tu app de autenticación con esta clave.',
+  securityEnrollQrAlt: 'Código QR para tu app de autenticación',
+  securityEnrollKey: 'Clave de configuración:',
+  securityEnrollOpenApp: 'Abrir en la app de autenticación',
+  securityEnrollConfirm: 'Introduce el código de 6 dígitos que muestra la app:',
+  securityEnrollVerify: 'Verificar y activar',
+  securityCancel: 'Cancelar',
+  securityRecoveryTitle: 'Códigos de recuperación',
+  securityRecoveryIntro: 'Guárdalos en un lugar seguro. Cada código sirve una sola vez para entrar si pierdes tu dispositivo, y no volverás a verlos.',
+  securityRecoveryRemaining: 'Códigos de recuperación sin usar: {count}',
+  securityRecoveryRegenerate: 'Generar códigos nuevos',
+  securityRecoveryRegenerateConfirm: '¿Generar códigos de recuperación nuevos? Los anteriores dejarán de funcionar.',
+  securityRecoveryCopy: 'Copiar',
+  securityRecoverySaved: 'Ya los he guardado',
+  securitySessionsTitle: 'Sesiones activas',
+  securitySessionsIntro: 'Dispositivos y navegadores donde has iniciado sesión. Si no reconoces alguno, cierra su sesión y cambia tu contraseña.',
+  securitySessionDevice: '{browser} en {os}',
+  securitySessionUnknownBrowser: 'Navegador desconocido',
+  securitySessionUnknownOs: 'sistema desconocido',
+  securitySessionCurrent: 'Este dispositivo',
+  securitySessionActiveNow: 'Activa ahora',
+  securitySessionLastActive: 'Última actividad: {date}',
+  securitySessionRevoke: 'Cerrar sesión',
+  securitySessionsRevokeOthers: 'Cerrar las demás sesiones',
+  securitySessionsRevokeOthersConfirm: '¿Cerrar la sesión en todos los demás dispositivos?',
+  securityDeviceDesktop: 'Ordenador',
+  securityDeviceMobile: 'Móvil',
+  securityDeviceTablet: 'Tableta',
+
+  // App Shell
+  appNavDashboard: 'Dashboard',
+  appNavChat: 'Chat',
+  appNavAnalytics: 'Estadísticas',
+  appNavSettings: 'Ajustes',
+  appLogout: 'Cerrar sesión',
+  appLogoutError: 'Error cerrando sesión',
+  appLoginRequired: 'Acceso requerido',
+  appLoginRequiredDesc: 'Necesitas iniciar sesión para acceder a la aplicación',
+  appLoginButton: 'Iniciar sesión',
+  appBackToLanding: '← Volver al Landing',
+  appWelcome: 'Bienvenido, {name}',
+  appProjects: 'Proyectos',
+  appNoProjects: 'Todavía no tienes proyectos. Crea el primero para empezar.',
+  appNewProjectPlaceholder: 'Nombre del nuevo proyecto',
+  appCreateProject: 'Crear proyecto',
+  appProjectOverview: 'Resumen',
+  appProjectBoard: 'Tablero',
+  appProjectTimeline: 'Cronograma',
+  appProjectChat: 'Chat',
+  appProjectMembers: 'Miembros',
+  appProjectNotFound: 'Proyecto no encontrado',
+  appBackToDashboard: '← Volver al dashboard',
+  appTasksTotal: 'Tareas',
+  appComingSoon: 'Esta sección estará disponible pronto.',
+  appLoading: 'Cargando...',
+  appLoadError: 'No se pudo cargar el contenido.'
+}
@@ -0,0 +1,35 @@
+// Spanish - connection namespace: ConnectionStatusIndicator, recovery and offline queue messages
+export default {
+  connectionConnected: 'Conectado',
+  connectionConnectedDesc: 'Conexión establecida correctamente',
+  connectionDisconnected: 'Sin conexión',
+  connectionDisconnectedDesc: 'Verifica tu conexión a internet',
+  connectionChecking: 'Verificando conexión',
+  connectionCheckingDesc: 'Comprobando estado de la conexión...',
+  connectionUnknown: 'Estado desconocido',
+  connectionUnknownDesc: 'No se pudo determinar el estado de la conexión',
+  connectionOfflineMode: 'Modo sin conexión - Funcionalidad limitada',
+
+  // Connection quality
+  connectionExcellent: 'Excelente',
+  connectionGood: 'Buena',
+  connectionFair: 'Regular',
+  connectionPoor: 'Lenta',
+  connectionVeryPoor: 'Muy lenta',
+
+  // Recovery and the offline queue (networkConnectivityHandler, supabaseUnavailableHandler, authService)
+  connectionRestored: 'Conexión restaurada',
+  retriedAfterRestore: 'Conexión restaurada después de {count, plural, one {# intento} other {# intentos}}',
+  retriedTimes: 'Intentado {count, plural, one {# vez} other {# veces}}',
+  retryCheckConnection: 'Verifica tu conexión e inténtalo de nuevo.',
+  connectionRestoredContinuing: 'Conexión restaurada. Continuando...',
+  connectionRestoredProcessing: '¡Conexión restaurada! Las operaciones pendientes se están procesando.',
+  serviceRestored: '¡Servicio restaurado! Ya puedes continuar con normalidad.',
+  operationQueued: 'Operación "{operation}" agregada a la cola. Se ejecutará cuando se restaure la conexión.',
+  operationUnknown: 'desconocida',
+  operationQueuedNetwork: 'Operación en cola. Reintentaremos automáticamente cuando se restaure la conexión de red.',
+  operationQueuedService: 'Operación en cola. Reintentaremos automáticamente cuando el servicio se restaure.',
+  queueSuccess: '{success, plural, one {# operación completada} other {# operaciones completadas}} exitosamente.',
+  queueMixed: '{success, plural, one {# operación exitosa} other {# operaciones exitosas}}, {failure, plural, one {# falló} other {# fallaron}}.',
+  queueFailure: '{failure, plural, one {# operación falló} other {# operaciones fallaron}}. Inténtalo de nuevo.'
+}
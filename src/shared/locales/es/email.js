@@ -0,0 +1,33 @@
+// Spanish - email namespace: transactional email templates (src/shared/config/emailTemplates.js)
+export default {
+  layoutLinkFallback: 'Si el botón no funciona, copia este enlace en tu navegador:',
+  layoutFooter: 'Anclora Kairon · Domina el momento decisivo en cada proyecto',
+
+  betaConfirmationSubject: 'Confirma tu email para la beta de Anclora Kairon',
+  betaConfirmationHeading: 'Confirma tu email',
+  betaConfirmationBody: '¡Gracias por apuntarte a la beta de Anclora Kairon! Confirma tu email para guardar tu puesto en la lista de espera.',
+  betaConfirmationAction: 'Confirmar mi email',
+  betaConfirmationNote: 'El enlace caduca en {hours} horas. Si no te has apuntado, ignora este mensaje.',
+
+  betaStatusSubject: 'Tu puesto en la beta de Anclora Kairon',
+  betaStatusHeading: 'Ya estás en la lista de espera',
+  betaStatusBody: 'Consulta tu puesto y tu enlace para invitar a otras personas a la beta.',
+  betaStatusAction: 'Ver mi puesto',
+
+  teamInviteSubject: '{inviterName} te invita a {projectName} en Anclora Kairon',
+  teamInviteHeading: 'Te han invitado a un proyecto',
+  teamInviteBody: '{inviterName} te ha invitado a unirte a {projectName} con el rol de {role, select, owner {propietario} admin {administrador} viewer {lector} other {miembro}}.',
+  teamInviteAction: 'Ver la invitación',
+  teamInviteNote: 'La invitación caduca en {days, plural, one {# día} other {# días}}. Si no esperabas este email, ignóralo.',
+
+  taskAssignmentSubject: 'Nueva tarea: {taskTitle}',
+  taskAssignmentHeading: 'Te han asignado una tarea',
+  taskAssignmentBody: '{assignerName} te ha asignado «{taskTitle}» en {projectName}.',
+  taskAssignmentDue: 'Fecha límite: {dueDate, date, long}.',
+  taskAssignmentAction: 'Abrir la tarea',
+
+  dueDateReminderSubject: '{days, plural, =0 {«{taskTitle}» vence hoy} one {«{taskTitle}» vence mañana} other {«{taskTitle}» vence en # días}}',
+  dueDateReminderHeading: 'Recordatorio de fecha límite',
+  dueDateReminderBody: '«{taskTitle}» de {projectName} vence el {dueDate, date, full}.',
+  dueDateReminderAction: 'Abrir la tarea'
+}
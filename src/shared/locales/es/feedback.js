@@ -0,0 +1,42 @@
+// Spanish - feedback namespace: UserFeedbackSystem errors by type, and loading and success messages by operation
+export default {
+  // Errors
+  NETWORK_ERROR: 'No se pudo conectar al servidor. Verifica tu conexión a internet.',
+  AUTH_INVALID_CREDENTIALS: 'Email o contraseña incorrectos. Inténtalo de nuevo.',
+  AUTH_USER_NOT_FOUND: 'No encontramos una cuenta con este email. ¿Quizás quieres crear una cuenta nueva?',
+  AUTH_USER_EXISTS: 'Ya existe una cuenta con este email. ¿Quieres iniciar sesión?',
+  AUTH_WEAK_PASSWORD: 'La contraseña debe tener al menos 6 caracteres.',
+  AUTH_RATE_LIMITED: 'Demasiados intentos. Espera {waitTime} segundos antes de intentar de nuevo.',
+  AUTH_EMAIL_NOT_CONFIRMED: 'Debes confirmar tu email antes de iniciar sesión. Revisa tu bandeja de entrada.',
+  SERVER_ERROR: 'Error del servidor. Inténtalo de nuevo en unos momentos.',
+  UNKNOWN_ERROR: 'Ocurrió un error inesperado. Contacta al soporte si persiste.',
+  EMAIL_NOT_CONFIRMED: 'Debes confirmar tu email antes de iniciar sesión. Revisa tu bandeja de entrada.',
+  INVALID_EMAIL_FORMAT: 'Por favor ingresa un email válido.',
+  MFA_REQUIRED: 'Introduce el código de tu app de autenticación para continuar.',
+  MFA_INVALID_CODE: 'El código no es correcto. Introduce el código que muestra ahora tu app.',
+  MFA_CHALLENGE_EXPIRED: 'La verificación ha caducado. Vuelve a iniciar sesión.',
+  MFA_RECOVERY_CODE_INVALID: 'El código de recuperación no es válido o ya se ha usado.',
+  MFA_ENROLLMENT_FAILED: 'No se pudo activar la verificación en dos pasos. Inténtalo de nuevo.',
+  OTP_RATE_LIMITED: 'Ya te hemos enviado un email hace poco. Espera un minuto antes de pedir otro.',
+  OTP_EXPIRED: 'El enlace o código no es válido o ha caducado. Solicita uno nuevo.',
+  OTP_ALREADY_USED: 'Este enlace o código ya se ha usado. Solicita uno nuevo.',
+
+  // Loading
+  loadingLogin: 'Iniciando sesión...',
+  loadingRegister: 'Creando cuenta...',
+  loadingLogout: 'Cerrando sesión...',
+  loadingForgotPassword: 'Enviando enlace de recuperación...',
+  loadingMfa: 'Verificando código...',
+  loadingMagicLink: 'Enviando enlace de acceso...',
+  loadingCheckingConnectivity: 'Verificando conexión...',
+  loadingRetrying: 'Reintentando...',
+  loadingDefault: 'Procesando...',
+
+  // Success
+  successLogin: '¡Bienvenido de vuelta!',
+  successRegister: '¡Cuenta creada exitosamente!',
+  successForgotPassword: 'Enlace de recuperación enviado a tu email.',
+  successPasswordReset: 'Contraseña actualizada exitosamente.',
+  successEmailConfirmed: 'Email confirmado exitosamente.',
+  successMagicLink: 'Enlace de acceso enviado. Revisa tu bandeja de entrada.'
+}
@@ -0,0 +1,56 @@
+// Spanish - onboarding namespace: OnboardingWizard
+export default {
+  onboardingWelcome: 'Bienvenido a Anclora Kairon',
+  onboardingSkip: 'Saltar configuración',
+  onboardingProgress: 'Paso {step} de {total}',
+  onboardingPrevious: 'Anterior',
+  onboardingNext: 'Siguiente',
+  onboardingComplete: 'Completar',
+  onboardingFinishing: 'Finalizando configuración...',
+
+  // Step 1: welcome
+  onboardingWelcomeTitle: '¡Empecemos tu viaje!',
+  onboardingWelcomeDesc: 'Te ayudaremos a configurar tu espacio de trabajo en menos de 60 segundos.',
+  onboardingYourName: '¿Cómo te llamas?',
+  onboardingNamePlaceholder: 'Tu nombre',
+  onboardingYourRole: '¿Cuál es tu rol?',
+  onboardingSelectRole: 'Selecciona tu rol',
+  onboardingDeveloper: 'Desarrollador',
+  onboardingDesigner: 'Diseñador',
+  onboardingManager: 'Project Manager',
+  onboardingMarketing: 'Marketing',
+  onboardingFounder: 'Fundador/CEO',
+  onboardingOther: 'Otro',
+
+  // Step 2: project template
+  onboardingTemplateTitle: 'Elige tu template de proyecto',
+  onboardingTemplateDesc: 'Selecciona el tipo de proyecto que mejor se adapte a tu trabajo',
+  templateSoftware: 'Desarrollo de Software',
+  templateSoftwareDesc: 'Sprints, bugs, features y releases',
+  templateMarketing: 'Marketing',
+  templateMarketingDesc: 'Campañas, contenido y análisis',
+  templateDesign: 'Diseño',
+  templateDesignDesc: 'UI/UX, branding y assets creativos',
+  templateGeneral: 'Proyecto General',
+  templateGeneralDesc: 'Tareas, objetivos y seguimiento',
+
+  // Step 3: team
+  onboardingTeamTitle: 'Invita a tu equipo',
+  onboardingTeamDesc: 'Puedes invitar colaboradores ahora o hacerlo más tarde',
+  onboardingEmailPlaceholder: 'email@ejemplo.com',
+  onboardingAddMember: 'Agregar miembro del equipo',
+  onboardingSkipTeam: 'Saltar por ahora, lo haré después',
+
+  // Step 4: summary
+  onboardingCompleteTitle: '¡Todo listo!',
+  onboardingCompleteDesc: 'Hemos preparado tu espacio de trabajo con datos de ejemplo para que puedas empezar inmediatamente.',
+  onboardingSetupSummary: 'Resumen de configuración:',
+  onboardingName: 'Nombre',
+  onboardingDefaultName: 'Usuario',
+  onboardingRole: 'Rol',
+  onboardingRoleUnspecified: 'No especificado',
+  onboardingTemplate: 'Template',
+  onboardingTeamSize: 'Equipo',
+  onboardingMemberCount: '{count, plural, one {# miembro} other {# miembros}}',
+  onboardingReadyMessage: 'Tu proyecto está listo con tareas de ejemplo y estructura inicial.'
+}
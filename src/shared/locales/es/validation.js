@@ -0,0 +1,15 @@
+// Spanish - validation namespace: form validation (utils/validation.js and authService.validateRegistrationData)
+export default {
+  nameRequired: 'El nombre es requerido',
+  nameLength: 'El nombre debe tener entre 2 y 50 caracteres',
+  emailRequired: 'El email es requerido',
+  emailInvalid: 'Por favor ingresa un email válido',
+  emailFormat: 'El formato del email no es válido (ejemplo: usuario@dominio.com)',
+  emailValid: 'Email válido',
+  passwordRequired: 'La contraseña es requerida',
+  passwordMinLength: 'La contraseña debe tener al menos 6 caracteres',
+  passwordWeak: 'La contraseña debe tener al menos 8 caracteres, incluir mayúsculas, minúsculas y números',
+  passwordValid: 'Contraseña válida',
+  passwordMismatch: 'Las contraseñas no coinciden',
+  confirmPasswordRequired: 'Debes confirmar tu contraseña'
+}
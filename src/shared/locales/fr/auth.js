@@ -0,0 +1,52 @@
+// French - auth namespace: AUTH_ERROR_TYPES messages (authErrorHandler), OAuth fallbacks and password reset
+export default {
+  NETWORK_ERROR: 'Impossible de se connecter au serveur. Vérifiez votre connexion internet.',
+  SUPABASE_UNAVAILABLE: 'Le service d\'authentification est temporairement indisponible. Veuillez réessayer dans quelques minutes.',
+  SUPABASE_MAINTENANCE: 'Le service est en maintenance. Nous serons bientôt de retour. Désolés pour la gêne occasionnée.',
+  AUTH_INVALID_CREDENTIALS: 'Email ou mot de passe incorrect. Vérifiez que vous avez saisi les bonnes informations.',
+  AUTH_USER_NOT_FOUND: 'Aucun compte ne correspond à cet email. Souhaitez-vous créer un nouveau compte ?',
+  AUTH_USER_EXISTS: 'Un compte existe déjà avec cet email. Voulez-vous vous connecter ?',
+  AUTH_WEAK_PASSWORD: 'Le mot de passe doit contenir au moins 6 caractères.',
+  AUTH_RATE_LIMITED: 'Trop de tentatives de connexion. Veuillez patienter avant de réessayer.',
+  AUTH_EMAIL_NOT_CONFIRMED: 'Vous devez confirmer votre email avant de vous connecter. Consultez votre boîte de réception.',
+  OAUTH_GOOGLE_ERROR: 'Erreur lors de la connexion avec Google. Réessayez ou utilisez votre email et votre mot de passe.',
+  OAUTH_GITHUB_ERROR: 'Erreur lors de la connexion avec GitHub. Réessayez ou utilisez votre email et votre mot de passe.',
+  OAUTH_PROVIDER_UNAVAILABLE: 'Le fournisseur d\'authentification est indisponible. Veuillez réessayer plus tard.',
+  OAUTH_ACCESS_DENIED: 'Accès refusé. Vous devez autoriser l\'application pour continuer.',
+  OAUTH_POPUP_BLOCKED: 'La fenêtre pop-up a été bloquée. Autorisez les pop-ups et réessayez.',
+  OAUTH_TIMEOUT: 'L\'authentification a pris trop de temps. Veuillez réessayer.',
+  MFA_REQUIRED: 'Saisissez le code de votre application d\'authentification pour continuer.',
+  MFA_INVALID_CODE: 'Ce code est incorrect. Vérifiez que l\'horloge de votre appareil est synchronisée et saisissez le code actuel.',
+  MFA_CHALLENGE_EXPIRED: 'La vérification a expiré. Veuillez vous reconnecter.',
+  MFA_RECOVERY_CODE_INVALID: 'Ce code de récupération n\'est pas valide ou a déjà été utilisé.',
+  MFA_ENROLLMENT_FAILED: 'Impossible d\'activer la validation en deux étapes. Veuillez réessayer.',
+  OTP_RATE_LIMITED: 'Nous venons de vous envoyer un email. Attendez une minute avant d\'en demander un autre.',
+  OTP_EXPIRED: 'Ce lien ou ce code n\'est pas valide ou a expiré. Demandez-en un nouveau.',
+  OTP_ALREADY_USED: 'Ce lien ou ce code a déjà été utilisé. Demandez-en un nouveau pour vous reconnecter.',
+  SERVER_ERROR: 'Erreur du serveur. Veuillez réessayer dans quelques instants.',
+  UNKNOWN_ERROR: 'Une erreur inattendue s\'est produite. Contactez le support si elle persiste.',
+
+  // OAuth fallbacks (oauthErrorHandler)
+  oauthFallback: 'Des difficultés avec {provider} ? Vous pouvez vous connecter avec votre email et votre mot de passe.',
+  oauthAlternativeProvider: 'Vous pouvez aussi essayer {providers}.',
+  oauthPopupBlocked: 'Les pop-ups semblent bloqués. Activez-les dans votre navigateur et réessayez.',
+  oauthUseEmailPassword: 'Utiliser email/mot de passe',
+  oauthTryProvider: 'Essayer {provider}',
+
+  // Password reset (authService.resetPassword)
+  resetSuccess: 'Email de récupération envoyé. Consultez votre boîte de réception et vos spams.',
+  resetRateLimited: 'Trop de tentatives. Patientez 15 minutes et réessayez.',
+  resetUserNotFound: 'Aucun compte ne correspond à cet email. Souhaitez-vous vous inscrire ?',
+  resetNetworkError: 'Erreur de connexion. Vérifiez votre connexion internet et réessayez.',
+  resetConfigError: 'Erreur de configuration du système. Veuillez contacter le support.',
+  resetUnknownError: 'Erreur inattendue. Contactez le support si elle persiste.',
+  resetCheckSpam: 'Si vous ne voyez pas l\'email, consultez vos dossiers spam et promotions.',
+  resetEmailInstructions: 'Le lien de récupération expire dans 1 heure.',
+
+  // Password reset troubleshooting, one step per line (authService.generatePasswordResetTroubleshooting)
+  resetStepsRateLimited: 'Patientez 15 à 30 minutes avant de réessayer\nUtilisez une autre connexion internet en cas d\'urgence\nVérifiez que vous utilisez le bon email',
+  resetStepsUserNotFound: 'Vérifiez l\'orthographe de l\'email\nEssayez des variantes de l\'email (gmail.com vs googlemail.com)\nCréez un nouveau compte si vous n\'en avez pas',
+  resetStepsNetworkError: 'Vérifiez votre connexion internet\nEssayez depuis un autre réseau (données mobiles)\nDésactivez temporairement le VPN\nConsultez l\'état de Supabase sur status.supabase.com',
+  resetStepsConfigError: 'Il s\'agit d\'un problème du système, pas du vôtre\nContactez le support technique\nIndiquez l\'heure exacte de l\'erreur',
+  resetStepsUnknownError: 'Consultez le dossier spam de votre messagerie\nPatientez 5 à 10 minutes en cas de retard\nEssayez avec un autre navigateur\nContactez le support si le problème persiste'
+}
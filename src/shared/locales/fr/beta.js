@@ -0,0 +1,27 @@
+// French - beta namespace: landing beta signup and the waitlist status page
+export default {
+  signupProcessing: 'Traitement...',
+  signupRetry: 'Erreur - Réessayer',
+  signupError: 'Erreur lors du traitement de la demande. Veuillez réessayer.',
+  signupPendingTitle: 'Vous y êtes presque !',
+  signupPendingText: 'Nous avons envoyé un email à {email}. Confirmez votre adresse pour rejoindre la liste d’attente.',
+  signupDuplicateTitle: 'Vous étiez déjà inscrit',
+  signupDuplicatePendingText: 'Nous avons renvoyé le lien de confirmation à {email}.',
+  signupDuplicateConfirmedText: 'Nous avons renvoyé à {email} le lien pour voir votre place dans la liste.',
+
+  statusTitle: 'Votre place dans la bêta',
+  statusLoading: 'Chargement...',
+  statusConfirmed: 'Email confirmé ! Vous êtes sur la liste d’attente.',
+  statusPosition: 'Place {position, number} sur {total, number}',
+  statusPending: 'Confirmez votre email avec le lien que nous vous avons envoyé pour entrer dans la file.',
+  statusInvited: 'Vous avez accès à la bêta ! Consultez votre email pour commencer.',
+  statusReferralTitle: 'Montez dans la liste',
+  statusReferralText: 'Chaque personne qui confirme son email avec votre lien vous fait avancer de {boost} places.',
+  statusReferralCount: '{count, plural, =0 {Personne n’a encore rejoint avec votre lien} one {# personne a rejoint avec votre lien} other {# personnes ont rejoint avec votre lien}}',
+  statusCopyLink: 'Copier le lien',
+  statusLinkCopied: 'Lien copié',
+  statusNotFound: 'Ce lien n’est pas valide. Inscrivez-vous à nouveau depuis la page d’accueil et nous vous en enverrons un nouveau.',
+  statusConfirmFailed: 'Nous n’avons pas pu confirmer votre email : le lien n’est pas valide ou a expiré. Inscrivez-vous à nouveau pour en recevoir un autre.',
+  statusLoadError: 'Votre place n’a pas pu être chargée. Réessayez dans quelques minutes.',
+  statusBackHome: 'Retour à la page d’accueil'
+}
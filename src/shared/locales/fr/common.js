@@ -0,0 +1,501 @@
+// French - common namespace: landing page and app
+export default {
+  // Navigation
+  features: 'Fonctionnalités',
+  pricing: 'Tarifs',
+  about: 'À propos',
+  contact: 'Contact',
+  login: 'Se connecter',
+
+  // Hero Section
+  heroTitle: 'Maîtrisez le moment décisif',
+  heroTitleHighlight: 'dans chaque projet',
+  heroSubtitle: 'Anclora Kairon, du grec Kairos, est la plateforme intelligente qui vous aide à agir au moment précis.',
+  heroDescription: 'Simplifiez la collaboration et transformez vos données en la bonne décision, au bon moment.',
+  ctaPrimary: 'Rejoindre la bêta',
+  ctaSecondary: 'Voir la démo',
+  heroDemoComingSoon: '🎬 Démo bientôt disponible !\n\nNous préparons une démonstration interactive. En attendant, vous pouvez découvrir les fonctionnalités ci-dessous.',
+
+  // Benefits
+  benefit1Title: 'Prêt en 2 minutes',
+  benefit1Description: 'Aucune configuration complexe. Commencez à travailler immédiatement.',
+  benefit2Title: 'Une IA qui décide',
+  benefit2Description: 'Des suggestions proactives pour toujours faire le bon pas suivant.',
+  benefit3Title: 'Des métriques utiles',
+  benefit3Description: 'Des insights clairs pour prendre la meilleure décision, juste à temps.',
+
+  // Pre-launch CTA
+  socialProof: 'Faites partie des premières équipes à maîtriser le moment décisif. Rejoignez notre bêta privée.',
+
+  // Pain Agitation Section
+  painTitle: 'Fatigué de réagir ? Il est temps d\'anticiper.',
+  painSubtitle: 'Si vous vous reconnaissez, vous n\'êtes pas seul :',
+  pain1: 'Toujours en train d\'« éteindre des incendies » au lieu de prévenir les problèmes',
+  pain2: 'Des délais qui filent entre les doigts sans savoir pourquoi',
+  pain3: 'Des réunions interminables juste pour savoir où en est tout',
+  pain4: 'Le stress qu\'un petit retard provoque un effet domino',
+
+  // Epiphany Section
+  epiphanyTitle: 'Nous avons découvert que le problème n\'était pas la gestion, mais le moment.',
+  epiphanySubtitle: 'La grande révélation qui a tout changé',
+  epiphanyText: 'Les outils actuels ne mesurent que le temps chronologique (Chronos), mais les projets réussis exigent de maîtriser le moment opportun (Kairos). Vous n\'avez pas besoin de plus de données, vous avez besoin de savoir quand agir.',
+
+  // How It Works Section
+  howTitle: 'Maîtrisez vos projets en 3 étapes simples.',
+  howStep1Title: '1. Connectez',
+  howStep1Desc: 'Intégrez vos flux de travail actuels sans rien changer',
+  howStep2Title: '2. Décidez',
+  howStep2Desc: 'Kairon analyse les données et vous propose des suggestions proactives',
+  howStep3Title: '3. Maîtrisez',
+  howStep3Desc: 'Agissez au moment précis avec la bonne information',
+
+  // Irresistible Offer Section
+  offerTitle: 'Devenez « Founding Member » et profitez d\'avantages exclusifs pour toujours.',
+  offerSubtitle: 'Le Pack Fondateur comprend :',
+  offer1: 'Accès prioritaire et gratuit à la bêta d\'Anclora Kairon',
+  offer2: 'Réduction à vie de 50 % lors du lancement officiel',
+  offer3: 'Accès direct aux fondateurs pour donner votre avis',
+  offer4: 'Adhésion à la communauté privée des « Founding Members »',
+
+  // Final CTA Section
+  finalCtaTitle: 'Rejoignez-nous et participez à la révolution',
+  finalCtaSubtitle: 'Places limitées pour garantir une expérience de haute qualité.',
+  emailPlaceholder: 'Votre email professionnel',
+  finalCtaButton: 'Rejoindre la bêta',
+
+  // Language Selector
+  selectLanguage: 'Choisir la langue',
+  spanish: 'Español',
+  english: 'English',
+  portuguese: 'Português',
+  french: 'Français',
+
+  // Theme Selector
+  themeLight: 'Clair',
+  themeDark: 'Sombre',
+  themeHighContrast: 'Contraste élevé',
+  themeSystem: 'Système',
+
+  // Authentication Modal
+  authWelcomeBack: 'Bon retour !',
+  authWelcomeBackDesc: 'Connectez-vous pour continuer vos projets',
+  authCreateAccount: 'Créez votre compte',
+  authCreateAccountDesc: 'Rejoignez Anclora Kairon et organisez vos projets',
+  authInvitationNotice: 'Vous avez été invité à rejoindre « {project} ». Créez votre compte ou connectez-vous avec {email} pour accepter.',
+  authLoginTab: 'Se connecter',
+  authRegisterTab: 'S\'inscrire',
+  authEmail: 'Adresse email',
+  authPassword: 'Mot de passe',
+  authConfirmPassword: 'Confirmer le mot de passe',
+  authFullName: 'Nom complet',
+  authRememberMe: 'Se souvenir de moi',
+  authForgotPassword: 'Mot de passe oublié ?',
+  authLoginButton: 'Se connecter',
+  authRegisterButton: 'Créer un compte',
+  authOrContinueWith: 'Ou continuer avec',
+  authOrRegisterWith: 'Ou s\'inscrire avec',
+  authAcceptTerms: 'J\'accepte les',
+  authTermsAndConditions: 'conditions générales',
+  authAnd: 'et la',
+  authPrivacyPolicy: 'politique de confidentialité',
+  authPasswordRequirements: '8 caractères minimum, avec majuscules, minuscules et chiffres',
+  authForgotPasswordTitle: 'Récupérer le mot de passe',
+  authForgotPasswordDesc: 'Saisissez votre email et nous vous enverrons un lien pour réinitialiser votre mot de passe',
+  authSendRecoveryLink: 'Envoyer le lien de récupération',
+  authBackToLogin: '← Retour à la connexion',
+  authEmailSent: 'Email envoyé !',
+  authEmailSentDesc: 'Nous avons envoyé un lien de récupération à',
+  authEmailSentInstructions: 'Consultez votre boîte de réception et suivez les instructions.',
+  authBackToLoginSuccess: 'Retour à la connexion',
+  authDidntReceiveEmail: 'Vous n\'avez pas reçu l\'email ?',
+  authTryAgain: 'Réessayer',
+  authConnecting: 'Connexion...',
+  authLoggingIn: 'Connexion en cours...',
+  authCreatingAccount: 'Création du compte...',
+  authSending: 'Envoi...',
+  authMfaTitle: 'Validation en deux étapes',
+  authMfaDesc: 'Saisissez le code à 6 chiffres affiché par votre application d\'authentification.',
+  authMfaRecoveryDesc: 'Saisissez l\'un des codes de récupération enregistrés lors de l\'activation de la validation en deux étapes.',
+  authMfaCode: 'Code de vérification',
+  authMfaRecoveryCode: 'Code de récupération',
+  authMfaVerify: 'Vérifier',
+  authMfaUseRecovery: 'Vous n\'avez pas votre appareil ? Utilisez un code de récupération',
+  authMfaUseApp: 'Utiliser l\'application d\'authentification',
+  authMfaCodeRequired: 'Saisissez le code',
+  authMfaRecoveryUsed: 'Vous vous êtes connecté avec un code de récupération et la validation en deux étapes a été désactivée. Réactivez-la dans Paramètres › Sécurité.',
+  authMagicLinkButton: 'Se connecter avec un lien par email',
+  authMagicLinkTitle: 'Se connecter sans mot de passe',
+  authMagicLinkDesc: 'Nous vous enverrons un lien de connexion et un code à 6 chiffres. Ils expirent dans une heure.',
+  authMagicLinkSend: 'Envoyer le lien',
+  authMagicLinkSentTitle: 'Consultez vos emails',
+  authMagicLinkSentDesc: 'Nous avons envoyé un lien de connexion à {email}. Ouvrez-le sur cet appareil ou saisissez ici le code de l\'email.',
+  authEmailOtpCode: 'Code de l\'email',
+  authEmailOtpVerify: 'Se connecter',
+  authEmailOtpRequired: 'Saisissez le code à 6 chiffres de l\'email',
+  authMagicLinkResend: 'Envoyer un autre email',
+  authMagicLinkOtherEmail: 'Utiliser un autre email',
+  authMagicLinkCallbackTitle: 'Nous n\'avons pas pu vous connecter',
+  authMagicLinkCallbackBack: 'Retour à Anclora Kairon',
+
+  // Authentication Modal - error guidance
+  authUserNotFoundTitle: 'Aucun compte ne correspond à cet email',
+  authUserNotFoundSuggestion: 'Souhaitez-vous créer un nouveau compte ?',
+  authCreateAccountAction: 'Créer un compte',
+  authTryDifferentEmail: 'Utiliser un autre email',
+  authInvalidCredentialsTitle: 'Email ou mot de passe incorrect',
+  authInvalidCredentialsSuggestion: 'Vérifiez que vous avez saisi les bonnes informations',
+  authShowPassword: 'Afficher le mot de passe',
+  authHidePassword: 'Masquer le mot de passe',
+  authRateLimitedTitle: 'Trop de tentatives de connexion',
+  authRateLimitedWait: 'Veuillez patienter {seconds} secondes avant de réessayer',
+  authRateLimitedSuggestion: 'C\'est pour votre sécurité. En attendant, vous pouvez :',
+  authRateLimitedReady: 'Vous pouvez maintenant réessayer de vous connecter',
+  authResetPassword: 'Réinitialiser le mot de passe',
+  authEmailNotConfirmedTitle: 'Email non confirmé',
+  authEmailNotConfirmedMessage: 'Vous devez confirmer votre email avant de vous connecter',
+  authEmailNotConfirmedInstruction: 'Consultez votre boîte de réception et cliquez sur le lien de confirmation',
+  authResendConfirmation: 'Renvoyer la confirmation',
+  authCheckSpam: 'Vérifier les spams',
+  authCheckSpamHelp: 'Vérifiez votre dossier spam/courrier indésirable. Les emails de confirmation y arrivent parfois. Si vous le trouvez, marquez-le comme « non spam » pour que les prochains emails arrivent dans votre boîte de réception.',
+  authChangeEmail: 'Changer d\'email',
+  authChangeEmailHelp: 'Vous pouvez vous inscrire avec une autre adresse email si nécessaire',
+  authSent: 'Envoyé !',
+  authSendFailedRetry: 'Erreur - Réessayer',
+  authConfirmationResent: 'Email de confirmation envoyé ! Consultez votre boîte de réception.',
+  authConfirmationResendFailed: 'Échec du renvoi de l\'email de confirmation. Veuillez réessayer.',
+  authSwitchToLogin: 'Passer à la connexion',
+  authPasswordMustInclude: 'Le mot de passe doit contenir :',
+  authPasswordRuleLength: 'Au moins 8 caractères',
+  authPasswordRuleUppercase: 'Des lettres majuscules (A-Z)',
+  authPasswordRuleLowercase: 'Des lettres minuscules (a-z)',
+  authPasswordRuleNumber: 'Des chiffres (0-9)',
+
+  // Kanban Board
+  kanbanTodo: 'À faire',
+  kanbanInProgress: 'En cours',
+  kanbanInReview: 'En revue',
+  kanbanDone: 'Terminé',
+  kanbanEmptyColumn: 'Déposez des tâches ici',
+  kanbanLoading: 'Chargement du tableau...',
+  kanbanLoadError: 'Impossible de charger le tableau.',
+  kanbanKeyboardHelp: 'Appuyez sur Espace pour saisir une tâche, utilisez les flèches pour la déplacer, Espace pour la déposer et Échap pour annuler.',
+  kanbanReadOnly: 'Lecture seule : votre rôle ne permet pas de déplacer des tâches.',
+  kanbanTaskGrabbed: 'Tâche « {title} » saisie. Colonne {column}, position {position}.',
+  kanbanTaskPosition: 'Colonne {column}, position {position}.',
+  kanbanTaskMoved: 'Tâche « {title} » déplacée vers {column}, position {position}.',
+  kanbanMoveCancelled: 'Déplacement annulé.',
+  kanbanMoveReverted: 'Impossible de déplacer la tâche. Sa position a été restaurée.',
+  kanbanUnassigned: 'Non assignée',
+  kanbanDue: 'Échéance',
+  priorityLow: 'Basse',
+  priorityMedium: 'Moyenne',
+  priorityHigh: 'Haute',
+  priorityUrgent: 'Urgente',
+
+  // Timeline
+  timelineLoading: 'Chargement du planning...',
+  timelineLoadError: 'Impossible de charger le planning.',
+  timelineZoom: 'Échelle',
+  timelineZoomDay: 'Jour',
+  timelineZoomWeek: 'Semaine',
+  timelineZoomMonth: 'Mois',
+  timelineToday: 'Aujourd\'hui',
+  timelineTasks: 'Tâches',
+  timelineEmpty: 'Aucune tâche n\'a encore d\'échéance.',
+  timelineUnscheduled: 'Sans échéance',
+  timelineCriticalPath: 'Mettre en évidence le chemin critique',
+  timelineCriticalHours: 'Chemin critique : {hours} h',
+  timelineDependencies: 'Dépendances',
+  timelineNoDependencies: 'Il n\'y a aucune dépendance.',
+  timelineTask: 'Tâche',
+  timelineDependsOn: 'Dépend de',
+  timelineAddDependency: 'Ajouter une dépendance',
+  timelineRemoveDependency: 'Supprimer la dépendance',
+  timelineDependencyLabel: '{task} dépend de {dependency}',
+  timelineBarLabel: '{title} : du {start} au {end}',
+  timelineKeyboardHelp: 'Utilisez les flèches gauche et droite pour déplacer la tâche d\'un jour. Maintenez Maj pour modifier sa durée.',
+  timelineRescheduled: '{title} replanifiée : du {start} au {end}',
+  timelineRescheduleReverted: 'Impossible de replanifier la tâche. Ses dates ont été restaurées.',
+  timelineReadOnly: 'Lecture seule : votre rôle ne permet pas de replanifier des tâches ni de modifier les dépendances.',
+
+  // Chat
+  chatTitle: 'Discussion du projet',
+  chatLoading: 'Chargement des messages...',
+  chatLoadError: 'Impossible de charger les messages.',
+  chatEmpty: 'Aucun message pour l\'instant. Lancez la conversation !',
+  chatPlaceholder: 'Écrivez un message. Utilisez @ pour mentionner quelqu\'un',
+  chatSend: 'Envoyer',
+  chatReply: 'Répondre',
+  chatReplyingTo: 'En réponse à {name}',
+  chatCancelReply: 'Annuler la réponse',
+  chatShowReplies: '{count, plural, one {Voir # réponse} other {Voir # réponses}}',
+  chatHideReplies: 'Masquer les réponses',
+  chatMentionSuggestions: 'Personnes que vous pouvez mentionner',
+  chatUnknownUser: 'Utilisateur',
+  chatLive: 'En direct',
+  chatPolling: 'Actualisation toutes les quelques secondes',
+  chatNewMessages: 'Nouveaux messages',
+  chatUnread: '{count} non lus',
+  chatNoProjects: 'Créez un projet pour commencer à discuter avec votre équipe.',
+  chatTaskStatusChanged: '{user} a déplacé « {title} » de {from} à {to}',
+
+  // Members
+  memberRoleOwner: 'Propriétaire',
+  memberRoleAdmin: 'Administrateur',
+  memberRoleMember: 'Membre',
+  memberRoleViewer: 'Lecteur',
+  membersTitle: 'Membres',
+  membersYou: 'vous',
+  membersRole: 'Rôle',
+  membersRoleOf: 'Rôle de {name}',
+  membersInvite: 'Invitez votre équipe',
+  membersSendInvite: 'Créer une invitation',
+  membersInviteLink: 'Lien d\'invitation',
+  membersInviteLinkReady: 'Invitation créée. Partagez ce lien avec la personne invitée :',
+  membersInviteEmailSent: 'Invitation envoyée à {email}',
+  membersInviteEmailFailed: 'L\'email d\'invitation n\'a pas pu être envoyé. Partagez ce lien avec la personne invitée :',
+  membersNoInvitations: 'Aucune invitation en attente.',
+  membersInvitationPending: 'En attente',
+  membersInvitationDeclined: 'Refusée',
+  membersInvitationExpired: 'Expirée',
+  membersCopyLink: 'Copier le lien',
+  membersLinkCopied: 'Lien copié',
+  membersRevoke: 'Révoquer',
+  membersRemove: 'Retirer',
+  membersRemoveConfirm: 'Retirer ce membre du projet ?',
+  membersLeave: 'Quitter le projet',
+  membersLeaveConfirm: 'Voulez-vous vraiment quitter le projet ?',
+  membersTransferOwnership: 'Nommer propriétaire',
+  membersTransferConfirm: 'Transférer la propriété du projet ? Vous deviendrez administrateur.',
+  invitationTitle: 'Invitation à « {project} »',
+  invitationFrom: '{name} vous a invité en tant que {role}.',
+  invitationRole: 'Vous avez été invité en tant que {role}.',
+  invitationSentTo: 'Envoyée à {email}',
+  invitationAccept: 'Accepter l\'invitation',
+  invitationDecline: 'Refuser',
+  invitationDeclined: 'Vous avez refusé l\'invitation.',
+  invitationNotFound: 'Cette invitation n\'existe pas ou a déjà reçu une réponse.',
+  invitationExpired: 'Cette invitation a expiré. Demandez-en une nouvelle à la personne qui vous a invité.',
+
+  // Assistant
+  assistantTitle: 'Assistant',
+  assistantClose: 'Fermer l\'assistant',
+  assistantPlaceholder: 'Posez une question sur vos tâches ou demandez une modification',
+  assistantSend: 'Envoyer',
+  assistantIntro: 'Je peux vous dire ce qui est en retard, quoi faire ensuite ou qui est surchargé, et créer ou mettre à jour des tâches pour vous.',
+  assistantSuggestOverdue: 'Qu\'est-ce qui est en retard ?',
+  assistantSuggestNext: 'Que dois-je faire ensuite ?',
+  assistantSuggestWorkload: 'Qui est surchargé ?',
+  assistantThinking: 'Réflexion...',
+  assistantGreeting: 'Bonjour ! Comment puis-je vous aider ?',
+  assistantHelp: 'Essayez des questions comme celles-ci, ou demandez « créer la tâche "Revoir le design" dans Web pour demain » ou « marquer "Revoir le design" comme terminée » :',
+  assistantUnknown: 'Je n\'ai pas compris. Posez une question sur les tâches en retard, les tâches du jour, quoi faire ensuite ou la charge de l\'équipe.',
+  assistantError: 'L\'assistant n\'a pas pu répondre. Veuillez réessayer.',
+  assistantAllProjects: 'tous vos projets',
+  assistantOverdue: '{count, plural, one {# tâche en retard} other {# tâches en retard}} dans {scope} :',
+  assistantNoOverdue: 'Rien n\'est en retard dans {scope}.',
+  assistantDueToday: '{count, plural, one {# tâche arrive} other {# tâches arrivent}} à échéance aujourd\'hui dans {scope} :',
+  assistantNothingToday: 'Rien n\'arrive à échéance aujourd\'hui dans {scope}.',
+  assistantNextTasks: 'Je vous suggère de commencer par :',
+  assistantNoNextTask: 'Vous n\'avez aucune tâche disponible pour le moment.',
+  assistantReasonOverdue: 'en retard',
+  assistantReasonDueToday: 'échéance aujourd\'hui',
+  assistantReasonDueSoon: 'échéance proche',
+  assistantReasonPriority: 'priorité haute',
+  assistantReasonInProgress: 'déjà en cours',
+  assistantReasonCriticalPath: 'sur le chemin critique',
+  assistantOverloaded: 'Surchargés dans {scope} : {names}.',
+  assistantNoOverload: 'Personne n\'est surchargé dans {scope}.',
+  assistantNoMembers: 'Il n\'y a aucun membre dans {scope}.',
+  assistantWorkloadEntry: '{tasks} tâches ouvertes, {hours} h restantes, {overdue} en retard',
+  assistantMissingTitle: 'Indiquez le titre de la tâche, par exemple entre guillemets.',
+  assistantMissingProject: 'Indiquez dans quel projet créer la tâche.',
+  assistantTaskNotFound: 'Je ne trouve pas cette tâche. Écrivez son titre entre guillemets.',
+  assistantNoChanges: 'Je ne vois aucune modification à appliquer à cette tâche.',
+  assistantConfirmPrompt: 'Vérifiez la modification et confirmez-la pour l\'appliquer.',
+  assistantConfirmTitle: 'Modification en attente de confirmation',
+  assistantConfirmCreate: 'Créer « {title} » dans {project}',
+  assistantConfirmUpdate: 'Mettre à jour « {title} »',
+  assistantDetailStatus: 'Statut : {status}',
+  assistantDetailPriority: 'Priorité : {priority}',
+  assistantDetailDue: 'Échéance : {date}',
+  assistantDetailAssignee: 'Assignée à : {name}',
+  assistantYou: 'vous',
+  assistantConfirm: 'Confirmer',
+  assistantCancel: 'Annuler',
+  assistantActionCancelled: 'Modification abandonnée.',
+  assistantTaskCreated: 'Tâche « {title} » créée.',
+  assistantTaskUpdated: 'Tâche « {title} » mise à jour.',
+
+  // Analytics
+  analyticsTitle: 'Votre productivité',
+  analyticsRange: 'Période',
+  analyticsLastDays: '{days} derniers jours',
+  analyticsWeekOverWeek: 'Cette semaine comparée à la précédente',
+  analyticsThisWeek: '7 derniers jours',
+  analyticsPreviousWeek: 'vs {value} la semaine précédente',
+  analyticsNoComparison: 'Aucune donnée précédente',
+  analyticsTasksCompleted: 'Tâches terminées',
+  analyticsHoursWorked: 'Heures travaillées',
+  analyticsEfficiency: 'Efficacité',
+  analyticsHours: '{hours} h',
+  analyticsChartLabel: '{metric} du {from} au {to}',
+  analyticsByProject: 'Par projet',
+  analyticsProject: 'Projet',
+  analyticsUnknownProject: 'Projet auquel vous n\'avez plus accès',
+  analyticsNoProjects: 'Aucune activité dans vos projets pour l\'instant.',
+  analyticsEmpty: 'Aucune activité sur cette période pour l\'instant. Terminez des tâches ou saisissez des heures pour voir vos tendances.',
+
+  // Offline sync
+  syncPending: 'Modifications en attente de synchronisation : {count}',
+  syncNow: 'Synchroniser maintenant',
+  syncReview: 'Vérifier les modifications ({count})',
+  syncTitle: 'Modifications non synchronisées',
+  syncIntro: 'Ces modifications ont été faites hors ligne et n\'ont pas pu être appliquées telles quelles. Choisissez quoi faire de chacune.',
+  syncClose: 'Fermer',
+  syncEntityTask: 'Tâche',
+  syncEntityProject: 'Projet',
+  syncEntityMessage: 'Message',
+  syncUntitled: 'Sans titre',
+  syncConflictModified: 'Quelqu\'un l\'a modifiée pendant que vous étiez hors ligne.',
+  syncConflictDeleted: 'Elle a été supprimée pendant que vous étiez hors ligne, votre modification ne peut donc plus être appliquée.',
+  syncFailed: 'Le serveur a refusé la modification : {error}',
+  syncYourDelete: 'Votre modification : la supprimer.',
+  syncField: 'Champ',
+  syncYours: 'Votre version',
+  syncServer: 'Sur le serveur',
+  syncKeepMine: 'Garder la mienne',
+  syncKeepServer: 'Garder celle du serveur',
+  syncDiscard: 'Abandonner ma modification',
+  syncRetry: 'Réessayer',
+
+  // Account settings
+  accountTitle: 'Mon compte',
+  accountSecurityLink: 'Sécurité et validation en deux étapes →',
+  accountProfileTitle: 'Profil',
+  accountAvatarUpload: 'Changer la photo',
+  accountAvatarRemove: 'Supprimer la photo',
+  accountAvatarHint: 'PNG, JPEG, WebP ou GIF jusqu\'à 2 Mo.',
+  accountName: 'Nom',
+  accountNameInvalid: 'Le nom doit contenir entre 2 et 50 caractères',
+  accountEmail: 'Adresse email',
+  accountLanguage: 'Langue',
+  accountEmailNotifications: 'Recevoir les notifications par email',
+  accountIdleTimeout: 'Se déconnecter après une période d\'inactivité',
+  accountIdleTimeoutNever: 'Jamais',
+  accountIdleTimeoutMinutes: '{minutes} minutes sans activité',
+  accountTheme: 'Thème',
+  accountThemesTitle: 'Thèmes personnalisés',
+  accountThemesIntro: 'Créez vos propres thèmes à partir du clair ou du sombre. Ils sont enregistrés dans votre compte et vous suivent sur tous vos appareils.',
+  accountThemesEmpty: 'Vous n’avez encore créé aucun thème.',
+  accountThemeName: 'Nom du thème',
+  accountThemeNameInvalid: 'Le thème doit avoir un nom de 40 caractères maximum',
+  accountThemeBase: 'Basé sur',
+  accountThemeColorBackground: 'Fond',
+  accountThemeColorSurface: 'Cartes et fenêtres',
+  accountThemeColorText: 'Texte',
+  accountThemeColorPrimary: 'Couleur principale',
+  accountThemeColorAccent: 'Accent',
+  accountThemeCreate: 'Créer le thème',
+  accountThemeDelete: 'Supprimer',
+  accountThemeDeleteConfirm: 'Supprimer le thème {name} ?',
+  accountThemeContrast: 'Le texte doit avoir un contraste d’au moins {ratio}:1 avec le fond et les cartes',
+  accountThemeLimit: 'Vous pouvez avoir jusqu’à {max} thèmes personnalisés',
+  accountThemeSaved: 'Thème enregistré',
+  accountSave: 'Enregistrer les modifications',
+  accountSaved: 'Profil mis à jour',
+  accountPasswordTitle: 'Mot de passe',
+  accountPasswordNone: 'Vous vous connectez avec Google ou GitHub. Créez un mot de passe pour vous connecter aussi avec votre email.',
+  accountPasswordCurrent: 'Mot de passe actuel',
+  accountPasswordNew: 'Nouveau mot de passe',
+  accountPasswordConfirm: 'Confirmer le nouveau mot de passe',
+  accountPasswordSave: 'Changer le mot de passe',
+  accountPasswordMismatch: 'Les mots de passe ne correspondent pas',
+  accountPasswordCurrentRequired: 'Saisissez votre mot de passe actuel',
+  accountPasswordWrong: 'Votre mot de passe actuel est incorrect',
+  accountPasswordChanged: 'Mot de passe modifié',
+  accountProvidersTitle: 'Méthodes de connexion',
+  accountProvidersIntro: 'Associez d\'autres fournisseurs pour vous connecter à ce même compte avec eux.',
+  accountProviderEmail: 'Email et mot de passe',
+  accountProviderLink: 'Associer',
+  accountProviderUnlink: 'Dissocier',
+  accountProviderUnlinkConfirm: 'Dissocier {provider} ? Vous ne pourrez plus vous connecter avec ce compte.',
+  accountProviderLastMethod: 'C\'est votre seule méthode de connexion',
+  accountProviderLinked: 'Associé',
+  accountProviderNotLinked: 'Non associé',
+  accountDeleteTitle: 'Supprimer le compte',
+  accountDeleteIntro: 'Cela supprime votre profil, les projets dont vous êtes propriétaire (avec leurs tâches et messages), les tâches que vous avez créées, vos messages et vos statistiques. Les tâches qui vous sont assignées ne seront plus assignées. Cette action est irréversible.',
+  accountDeleteConfirmLabel: 'Saisissez {email} pour confirmer',
+  accountDeleteButton: 'Supprimer mon compte',
+  accountDeleteConfirm: 'Supprimer définitivement votre compte et toutes ses données ?',
+  accountDeleteEmailMismatch: 'Saisissez l’email de votre compte pour confirmer',
+
+  // Security settings
+  securityTitle: 'Sécurité',
+  securityMfaTitle: 'Validation en deux étapes',
+  securityMfaOn: 'Activée',
+  securityMfaOff: 'Désactivée',
+  securityMfaIntro: 'En plus de votre mot de passe, nous vous demanderons un code d\'une application d\'authentification (Google Authenticator, 1Password, Authy…) à la connexion.',
+  securityMfaEnable: 'Activer',
+  securityMfaDisable: 'Désactiver',
+  securityMfaDisableConfirm: 'Désactiver la validation en deux étapes ? Vos codes de récupération ne fonctionneront plus.',
+  securityMfaAuthenticator: 'Application d\'authentification',
+  securityMfaEnabledSince: '{name} · activée le {date}',
+  securityEnrollScan: 'Scannez ce QR code avec votre application d\'authentification.',
+  securityEnrollManual: 'Ajoutez un nouveau compte dans votre application d\'authentification avec cette clé.',
+  securityEnrollQrAlt: 'QR code pour votre application d\'authentification',
+  securityEnrollKey: 'Clé de configuration :',
+  securityEnrollOpenApp: 'Ouvrir dans l\'application d\'authentification',
+  securityEnrollConfirm: 'Saisissez le code à 6 chiffres affiché par l\'application :',
+  securityEnrollVerify: 'Vérifier et activer',
+  securityCancel: 'Annuler',
+  securityRecoveryTitle: 'Codes de récupération',
+  securityRecoveryIntro: 'Conservez-les en lieu sûr. Chaque code vous permet de vous connecter une fois si vous perdez votre appareil, et vous ne les reverrez plus.',
+  securityRecoveryRemaining: 'Codes de récupération inutilisés : {count}',
+  securityRecoveryRegenerate: 'Générer de nouveaux codes',
+  securityRecoveryRegenerateConfirm: 'Générer de nouveaux codes de récupération ? Les précédents ne fonctionneront plus.',
+  securityRecoveryCopy: 'Copier',
+  securityRecoverySaved: 'Je les ai enregistrés',
+  securitySessionsTitle: 'Sessions actives',
+  securitySessionsIntro: 'Appareils et navigateurs sur lesquels vous êtes connecté. Si vous n\'en reconnaissez pas un, déconnectez-le et changez votre mot de passe.',
+  securitySessionDevice: '{browser} sur {os}',
+  securitySessionUnknownBrowser: 'Navigateur inconnu',
+  securitySessionUnknownOs: 'système inconnu',
+  securitySessionCurrent: 'Cet appareil',
+  securitySessionActiveNow: 'Active maintenant',
+  securitySessionLastActive: 'Dernière activité : {date}',
+  securitySessionRevoke: 'Déconnecter',
+  securitySessionsRevokeOthers: 'Déconnecter toutes les autres sessions',
+  securitySessionsRevokeOthersConfirm: 'Se déconnecter de tous les autres appareils ?',
+  securityDeviceDesktop: 'Ordinateur',
+  securityDeviceMobile: 'Téléphone',
+  securityDeviceTablet: 'Tablette',
+
+  // App Shell
+  appNavDashboard: 'Tableau de bord',
+  appNavChat: 'Discussion',
+  appNavAnalytics: 'Statistiques',
+  appNavSettings: 'Paramètres',
+  appLogout: 'Se déconnecter',
+  appLogoutError: 'Erreur lors de la déconnexion',
+  appLoginRequired: 'Connexion requise',
+  appLoginRequiredDesc: 'Vous devez vous connecter pour accéder à l\'application',
+  appLoginButton: 'Se connecter',
+  appBackToLanding: '← Retour à l\'accueil',
+  appWelcome: 'Bienvenue, {name}',
+  appProjects: 'Projets',
+  appNoProjects: 'Vous n\'avez encore aucun projet. Créez le premier pour commencer.',
+  appNewProjectPlaceholder: 'Nom du nouveau projet',
+  appCreateProject: 'Créer un projet',
+  appProjectOverview: 'Aperçu',
+  appProjectBoard: 'Tableau',
+  appProjectTimeline: 'Planning',
+  appProjectChat: 'Discussion',
+  appProjectMembers: 'Membres',
+  appProjectNotFound: 'Projet introuvable',
+  appBackToDashboard: '← Retour au tableau de bord',
+  appTasksTotal: 'Tâches',
+  appComingSoon: 'Cette section sera bientôt disponible.',
+  appLoading: 'Chargement...',
+  appLoadError: 'Impossible de charger le contenu.'
+}
@@ -0,0 +1,35 @@
+// French - connection namespace: ConnectionStatusIndicator, recovery and offline queue messages
+export default {
+  connectionConnected: 'Connecté',
+  connectionConnectedDesc: 'Connexion établie',
+  connectionDisconnected: 'Hors ligne',
+  connectionDisconnectedDesc: 'Vérifiez votre connexion internet',
+  connectionChecking: 'Vérification de la connexion',
+  connectionCheckingDesc: 'Vérification de l\'état de la connexion...',
+  connectionUnknown: 'État inconnu',
+  connectionUnknownDesc: 'Impossible de déterminer l\'état de la connexion',
+  connectionOfflineMode: 'Mode hors ligne - Fonctionnalités limitées',
+
+  // Connection quality
+  connectionExcellent: 'Excellente',
+  connectionGood: 'Bonne',
+  connectionFair: 'Moyenne',
+  connectionPoor: 'Lente',
+  connectionVeryPoor: 'Très lente',
+
+  // Recovery and the offline queue (networkConnectivityHandler, supabaseUnavailableHandler, authService)
+  connectionRestored: 'Connexion rétablie',
+  retriedAfterRestore: 'Connexion rétablie après {count, plural, one {# tentative} other {# tentatives}}',
+  retriedTimes: '{count, plural, one {# tentative} other {# tentatives}}',
+  retryCheckConnection: 'Vérifiez votre connexion et réessayez.',
+  connectionRestoredContinuing: 'Connexion rétablie. Reprise en cours...',
+  connectionRestoredProcessing: 'Connexion rétablie ! Les opérations en attente sont en cours de traitement.',
+  serviceRestored: 'Service rétabli ! Vous pouvez continuer normalement.',
+  operationQueued: 'Opération « {operation} » mise en file d\'attente. Elle sera exécutée au rétablissement de la connexion.',
+  operationUnknown: 'inconnue',
+  operationQueuedNetwork: 'Opération en file d\'attente. Nous réessaierons automatiquement au rétablissement de la connexion réseau.',
+  operationQueuedService: 'Opération en file d\'attente. Nous réessaierons automatiquement au rétablissement du service.',
+  queueSuccess: '{success, plural, one {# opération terminée} other {# opérations terminées}} avec succès.',
+  queueMixed: '{success, plural, one {# opération réussie} other {# opérations réussies}}, {failure, plural, one {# a échoué} other {# ont échoué}}.',
+  queueFailure: '{failure, plural, one {# opération a échoué} other {# opérations ont échoué}}. Veuillez réessayer.'
+}
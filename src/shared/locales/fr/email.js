@@ -0,0 +1,33 @@
+// French - email namespace: transactional email templates (src/shared/config/emailTemplates.js)
+export default {
+  layoutLinkFallback: 'Si le bouton ne fonctionne pas, copiez ce lien dans votre navigateur :',
+  layoutFooter: 'Anclora Kairon · Maîtrisez le moment décisif de chaque projet',
+
+  betaConfirmationSubject: 'Confirmez votre email pour la bêta d’Anclora Kairon',
+  betaConfirmationHeading: 'Confirmez votre email',
+  betaConfirmationBody: 'Merci de vous être inscrit à la bêta d’Anclora Kairon ! Confirmez votre email pour garder votre place dans la liste d’attente.',
+  betaConfirmationAction: 'Confirmer mon email',
+  betaConfirmationNote: 'Le lien expire dans {hours} heures. Si vous ne vous êtes pas inscrit, ignorez ce message.',
+
+  betaStatusSubject: 'Votre place dans la bêta d’Anclora Kairon',
+  betaStatusHeading: 'Vous êtes sur la liste d’attente',
+  betaStatusBody: 'Consultez votre place et votre lien pour inviter d’autres personnes à la bêta.',
+  betaStatusAction: 'Voir ma place',
+
+  teamInviteSubject: '{inviterName} vous invite à {projectName} sur Anclora Kairon',
+  teamInviteHeading: 'Vous avez été invité à un projet',
+  teamInviteBody: '{inviterName} vous a invité à rejoindre {projectName} en tant que {role, select, owner {propriétaire} admin {administrateur} viewer {lecteur} other {membre}}.',
+  teamInviteAction: 'Voir l’invitation',
+  teamInviteNote: 'L’invitation expire dans {days, plural, one {# jour} other {# jours}}. Si vous n’attendiez pas cet email, ignorez-le.',
+
+  taskAssignmentSubject: 'Nouvelle tâche : {taskTitle}',
+  taskAssignmentHeading: 'Une tâche vous a été assignée',
+  taskAssignmentBody: '{assignerName} vous a assigné « {taskTitle} » dans {projectName}.',
+  taskAssignmentDue: 'Échéance : {dueDate, date, long}.',
+  taskAssignmentAction: 'Ouvrir la tâche',
+
+  dueDateReminderSubject: '{days, plural, =0 {« {taskTitle} » arrive à échéance aujourd’hui} one {« {taskTitle} » arrive à échéance demain} other {« {taskTitle} » arrive à échéance dans # jours}}',
+  dueDateReminderHeading: 'Rappel d’échéance',
+  dueDateReminderBody: '« {taskTitle} » de {projectName} arrive à échéance le {dueDate, date, full}.',
+  dueDateReminderAction: 'Ouvrir la tâche'
+}
@@ -0,0 +1,42 @@
+// French - feedback namespace: UserFeedbackSystem errors by type, and loading and success messages by operation
+export default {
+  // Errors
+  NETWORK_ERROR: 'Impossible de se connecter au serveur. Vérifiez votre connexion internet.',
+  AUTH_INVALID_CREDENTIALS: 'Email ou mot de passe incorrect. Veuillez réessayer.',
+  AUTH_USER_NOT_FOUND: 'Aucun compte ne correspond à cet email. Souhaitez-vous créer un nouveau compte ?',
+  AUTH_USER_EXISTS: 'Un compte existe déjà avec cet email. Voulez-vous vous connecter ?',
+  AUTH_WEAK_PASSWORD: 'Le mot de passe doit contenir au moins 6 caractères.',
+  AUTH_RATE_LIMITED: 'Trop de tentatives. Patientez {waitTime} secondes avant de réessayer.',
+  AUTH_EMAIL_NOT_CONFIRMED: 'Vous devez confirmer votre email avant de vous connecter. Consultez votre boîte de réception.',
+  SERVER_ERROR: 'Erreur du serveur. Veuillez réessayer dans quelques instants.',
+  UNKNOWN_ERROR: 'Une erreur inattendue s\'est produite. Contactez le support si elle persiste.',
+  EMAIL_NOT_CONFIRMED: 'Vous devez confirmer votre email avant de vous connecter. Consultez votre boîte de réception.',
+  INVALID_EMAIL_FORMAT: 'Veuillez saisir une adresse email valide.',
+  MFA_REQUIRED: 'Saisissez le code de votre application d\'authentification pour continuer.',
+  MFA_INVALID_CODE: 'Ce code est incorrect. Saisissez le code affiché actuellement par votre application.',
+  MFA_CHALLENGE_EXPIRED: 'La vérification a expiré. Veuillez vous reconnecter.',
+  MFA_RECOVERY_CODE_INVALID: 'Ce code de récupération n\'est pas valide ou a déjà été utilisé.',
+  MFA_ENROLLMENT_FAILED: 'Impossible d\'activer la validation en deux étapes. Veuillez réessayer.',
+  OTP_RATE_LIMITED: 'Nous venons de vous envoyer un email. Attendez une minute avant d\'en demander un autre.',
+  OTP_EXPIRED: 'Ce lien ou ce code n\'est pas valide ou a expiré. Demandez-en un nouveau.',
+  OTP_ALREADY_USED: 'Ce lien ou ce code a déjà été utilisé. Demandez-en un nouveau.',
+
+  // Loading
+  loadingLogin: 'Connexion en cours...',
+  loadingRegister: 'Création du compte...',
+  loadingLogout: 'Déconnexion...',
+  loadingForgotPassword: 'Envoi du lien de récupération...',
+  loadingMfa: 'Vérification du code...',
+  loadingMagicLink: 'Envoi du lien de connexion...',
+  loadingCheckingConnectivity: 'Vérification de la connexion...',
+  loadingRetrying: 'Nouvelle tentative...',
+  loadingDefault: 'Traitement...',
+
+  // Success
+  successLogin: 'Bon retour !',
+  successRegister: 'Compte créé avec succès !',
+  successForgotPassword: 'Lien de récupération envoyé à votre email.',
+  successPasswordReset: 'Mot de passe mis à jour avec succès.',
+  successEmailConfirmed: 'Email confirmé avec succès.',
+  successMagicLink: 'Lien de connexion envoyé. Consultez votre boîte de réception.'
+}
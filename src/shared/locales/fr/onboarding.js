@@ -0,0 +1,56 @@
+// French - onboarding namespace: OnboardingWizard
+export default {
+  onboardingWelcome: 'Bienvenue sur Anclora Kairon',
+  onboardingSkip: 'Passer la configuration',
+  onboardingProgress: 'Étape {step} sur {total}',
+  onboardingPrevious: 'Retour',
+  onboardingNext: 'Suivant',
+  onboardingComplete: 'Terminer',
+  onboardingFinishing: 'Finalisation de la configuration...',
+
+  // Step 1: welcome
+  onboardingWelcomeTitle: 'C\'est parti !',
+  onboardingWelcomeDesc: 'Nous vous aidons à configurer votre espace de travail en moins de 60 secondes.',
+  onboardingYourName: 'Comment vous appelez-vous ?',
+  onboardingNamePlaceholder: 'Votre nom',
+  onboardingYourRole: 'Quel est votre rôle ?',
+  onboardingSelectRole: 'Sélectionnez votre rôle',
+  onboardingDeveloper: 'Développeur',
+  onboardingDesigner: 'Designer',
+  onboardingManager: 'Chef de projet',
+  onboardingMarketing: 'Marketing',
+  onboardingFounder: 'Fondateur/CEO',
+  onboardingOther: 'Autre',
+
+  // Step 2: project template
+  onboardingTemplateTitle: 'Choisissez votre modèle de projet',
+  onboardingTemplateDesc: 'Sélectionnez le type de projet qui correspond le mieux à votre travail',
+  templateSoftware: 'Développement logiciel',
+  templateSoftwareDesc: 'Sprints, bugs, fonctionnalités et versions',
+  templateMarketing: 'Marketing',
+  templateMarketingDesc: 'Campagnes, contenu et analyses',
+  templateDesign: 'Design',
+  templateDesignDesc: 'UI/UX, image de marque et ressources créatives',
+  templateGeneral: 'Projet général',
+  templateGeneralDesc: 'Tâches, objectifs et suivi',
+
+  // Step 3: team
+  onboardingTeamTitle: 'Invitez votre équipe',
+  onboardingTeamDesc: 'Vous pouvez inviter des collaborateurs maintenant ou plus tard',
+  onboardingEmailPlaceholder: 'email@exemple.com',
+  onboardingAddMember: 'Ajouter un membre',
+  onboardingSkipTeam: 'Passer pour l\'instant, je le ferai plus tard',
+
+  // Step 4: summary
+  onboardingCompleteTitle: 'Tout est prêt !',
+  onboardingCompleteDesc: 'Nous avons préparé votre espace de travail avec des données d\'exemple pour que vous puissiez commencer tout de suite.',
+  onboardingSetupSummary: 'Résumé de la configuration :',
+  onboardingName: 'Nom',
+  onboardingDefaultName: 'Utilisateur',
+  onboardingRole: 'Rôle',
+  onboardingRoleUnspecified: 'Non précisé',
+  onboardingTemplate: 'Modèle',
+  onboardingTeamSize: 'Équipe',
+  onboardingMemberCount: '{count, plural, one {# membre} other {# membres}}',
+  onboardingReadyMessage: 'Votre projet est prêt avec des tâches d\'exemple et une structure initiale.'
+}
@@ -0,0 +1,15 @@
+// French - validation namespace: form validation (utils/validation.js and authService.validateRegistrationData)
+export default {
+  nameRequired: 'Le nom est obligatoire',
+  nameLength: 'Le nom doit contenir entre 2 et 50 caractères',
+  emailRequired: 'L\'email est obligatoire',
+  emailInvalid: 'Veuillez saisir une adresse email valide',
+  emailFormat: 'Le format de l\'email n\'est pas valide (exemple : utilisateur@domaine.com)',
+  emailValid: 'Email valide',
+  passwordRequired: 'Le mot de passe est obligatoire',
+  passwordMinLength: 'Le mot de passe doit contenir au moins 6 caractères',
+  passwordWeak: 'Le mot de passe doit contenir au moins 8 caractères avec des majuscules, des minuscules et des chiffres',
+  passwordValid: 'Mot de passe valide',
+  passwordMismatch: 'Les mots de passe ne correspondent pas',
+  confirmPasswordRequired: 'Vous devez confirmer votre mot de passe'
+}
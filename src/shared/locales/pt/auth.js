@@ -0,0 +1,52 @@
+// Portuguese - auth namespace: AUTH_ERROR_TYPES messages (authErrorHandler), OAuth fallbacks and password reset
+export default {
+  NETWORK_ERROR: 'Não foi possível conectar ao servidor. Verifique sua conexão com a internet.',
+  SUPABASE_UNAVAILABLE: 'O serviço de autenticação está temporariamente indisponível. Tente novamente em alguns minutos.',
+  SUPABASE_MAINTENANCE: 'O serviço está em manutenção. Voltaremos em breve. Desculpe o transtorno.',
+  AUTH_INVALID_CREDENTIALS: 'Email ou senha incorretos. Verifique se você informou os dados corretos.',
+  AUTH_USER_NOT_FOUND: 'Não encontramos uma conta com este email. Deseja criar uma conta nova?',
+  AUTH_USER_EXISTS: 'Já existe uma conta com este email. Deseja entrar?',
+  AUTH_WEAK_PASSWORD: 'A senha deve ter pelo menos 6 caracteres.',
+  AUTH_RATE_LIMITED: 'Muitas tentativas de login. Aguarde antes de tentar novamente.',
+  AUTH_EMAIL_NOT_CONFIRMED: 'Você precisa confirmar seu email antes de entrar. Verifique sua caixa de entrada.',
+  OAUTH_GOOGLE_ERROR: 'Erro ao entrar com Google. Tente novamente ou use email e senha.',
+  OAUTH_GITHUB_ERROR: 'Erro ao entrar com GitHub. Tente novamente ou use email e senha.',
+  OAUTH_PROVIDER_UNAVAILABLE: 'O provedor de autenticação não está disponível. Tente novamente mais tarde.',
+  OAUTH_ACCESS_DENIED: 'Acesso negado. Você precisa autorizar o aplicativo para continuar.',
+  OAUTH_POPUP_BLOCKED: 'A janela pop-up foi bloqueada. Permita pop-ups e tente novamente.',
+  OAUTH_TIMEOUT: 'A autenticação demorou demais. Tente novamente.',
+  MFA_REQUIRED: 'Digite o código do seu app autenticador para continuar.',
+  MFA_INVALID_CODE: 'Esse código não está correto. Verifique se o relógio do seu dispositivo está sincronizado e digite o código atual.',
+  MFA_CHALLENGE_EXPIRED: 'A verificação expirou. Entre novamente.',
+  MFA_RECOVERY_CODE_INVALID: 'Esse código de recuperação não é válido ou já foi usado.',
+  MFA_ENROLLMENT_FAILED: 'Não foi possível ativar a verificação em duas etapas. Tente novamente.',
+  OTP_RATE_LIMITED: 'Acabamos de enviar um email para você. Aguarde um minuto antes de pedir outro.',
+  OTP_EXPIRED: 'Este link ou código não é válido ou expirou. Peça um novo.',
+  OTP_ALREADY_USED: 'Este link ou código já foi usado. Peça um novo para entrar novamente.',
+  SERVER_ERROR: 'Erro no servidor. Tente novamente em alguns instantes.',
+  UNKNOWN_ERROR: 'Ocorreu um erro inesperado. Entre em contato com o suporte se persistir.',
+
+  // OAuth fallbacks (oauthErrorHandler)
+  oauthFallback: 'Problemas com {provider}? Você pode entrar com email e senha.',
+  oauthAlternativeProvider: 'Você também pode tentar com {providers}.',
+  oauthPopupBlocked: 'Parece que os pop-ups estão bloqueados. Ative-os no seu navegador e tente novamente.',
+  oauthUseEmailPassword: 'Usar Email/Senha',
+  oauthTryProvider: 'Tentar com {provider}',
+
+  // Password reset (authService.resetPassword)
+  resetSuccess: 'Email de recuperação enviado. Verifique sua caixa de entrada e a pasta de spam.',
+  resetRateLimited: 'Muitas tentativas. Aguarde 15 minutos e tente novamente.',
+  resetUserNotFound: 'Não encontramos uma conta com este email. Deseja se cadastrar?',
+  resetNetworkError: 'Erro de conexão. Verifique sua internet e tente novamente.',
+  resetConfigError: 'Erro de configuração do sistema. Entre em contato com o suporte.',
+  resetUnknownError: 'Erro inesperado. Entre em contato com o suporte se persistir.',
+  resetCheckSpam: 'Se não encontrar o email, verifique as pastas de spam e promoções.',
+  resetEmailInstructions: 'O link de recuperação expira em 1 hora.',
+
+  // Password reset troubleshooting, one step per line (authService.generatePasswordResetTroubleshooting)
+  resetStepsRateLimited: 'Aguarde 15-30 minutos antes de tentar novamente\nUse outra conexão com a internet se for urgente\nConfirme que está usando o email correto',
+  resetStepsUserNotFound: 'Confirme que o email está escrito corretamente\nTente variações do email (gmail.com vs googlemail.com)\nCrie uma conta nova se ainda não tiver uma',
+  resetStepsNetworkError: 'Verifique sua conexão com a internet\nTente em outra rede (dados móveis)\nDesative temporariamente a VPN\nConsulte o status do Supabase em status.supabase.com',
+  resetStepsConfigError: 'É um problema do sistema, não seu\nEntre em contato com o suporte técnico\nInforme o horário exato do erro',
+  resetStepsUnknownError: 'Verifique a pasta de spam do seu email\nAguarde 5-10 minutos caso haja atraso\nTente com outro navegador\nEntre em contato com o suporte se persistir'
+}
@@ -0,0 +1,27 @@
+// Portuguese - beta namespace: landing beta signup and the waitlist status page
+export default {
+  signupProcessing: 'A processar...',
+  signupRetry: 'Erro - Tentar novamente',
+  signupError: 'Erro ao processar o pedido. Por favor, tente novamente.',
+  signupPendingTitle: 'Está quase lá!',
+  signupPendingText: 'Enviámos um email para {email}. Confirme o seu endereço para entrar na lista de espera.',
+  signupDuplicateTitle: 'Já se tinha inscrito',
+  signupDuplicatePendingText: 'Reenviámos o link de confirmação para {email}.',
+  signupDuplicateConfirmedText: 'Reenviámos para {email} o link para ver o seu lugar na lista.',
+
+  statusTitle: 'O seu lugar na beta',
+  statusLoading: 'A carregar...',
+  statusConfirmed: 'Email confirmado! Já está na lista de espera.',
+  statusPosition: 'Lugar {position, number} de {total, number}',
+  statusPending: 'Confirme o seu email com o link que lhe enviámos para entrar na lista.',
+  statusInvited: 'Já tem acesso à beta! Verifique o seu email para começar.',
+  statusReferralTitle: 'Suba na lista',
+  statusReferralText: 'Cada pessoa que confirmar o email com o seu link faz-o avançar {boost} lugares.',
+  statusReferralCount: '{count, plural, =0 {Ainda ninguém entrou com o seu link} one {# pessoa entrou com o seu link} other {# pessoas entraram com o seu link}}',
+  statusCopyLink: 'Copiar link',
+  statusLinkCopied: 'Link copiado',
+  statusNotFound: 'Este link não é válido. Inscreva-se novamente na página principal e enviaremos um novo.',
+  statusConfirmFailed: 'Não foi possível confirmar o seu email: o link não é válido ou expirou. Inscreva-se novamente para receber outro.',
+  statusLoadError: 'Não foi possível carregar o seu lugar. Tente novamente dentro de alguns minutos.',
+  statusBackHome: 'Voltar à página principal'
+}
@@ -0,0 +1,501 @@
+// Portuguese - common namespace: landing page and app
+export default {
+  // Navigation
+  features: 'Funcionalidades',
+  pricing: 'Preços',
+  about: 'Sobre',
+  contact: 'Contato',
+  login: 'Entrar',
+
+  // Hero Section
+  heroTitle: 'Domine o momento decisivo',
+  heroTitleHighlight: 'em cada projeto',
+  heroSubtitle: 'Anclora Kairon, do grego Kairos, é a plataforma inteligente que ajuda você a agir no instante certo.',
+  heroDescription: 'Simplifique a colaboração e transforme seus dados na decisão certa, no momento oportuno.',
+  ctaPrimary: 'Entrar na Beta',
+  ctaSecondary: 'Ver Demo',
+  heroDemoComingSoon: '🎬 Demo disponível em breve!\n\nEstamos preparando uma demonstração interativa. Por enquanto, você pode explorar as funcionalidades abaixo.',
+
+  // Benefits
+  benefit1Title: 'Configuração em 2 minutos',
+  benefit1Description: 'Sem configurações complexas. Comece a trabalhar imediatamente.',
+  benefit2Title: 'IA que decide',
+  benefit2Description: 'Sugestões proativas para que você sempre dê o próximo passo certo.',
+  benefit3Title: 'Métricas com propósito',
+  benefit3Description: 'Insights claros para tomar a melhor decisão, na hora certa.',
+
+  // Pre-launch CTA
+  socialProof: 'Seja uma das primeiras equipes a dominar o momento decisivo. Participe da nossa beta privada.',
+
+  // Pain Agitation Section
+  painTitle: 'Cansado de reagir? É hora de se antecipar.',
+  painSubtitle: 'Se você se identifica com isto, não está sozinho:',
+  pain1: 'Sempre "apagando incêndios" em vez de prevenir problemas',
+  pain2: 'Prazos que escapam entre os dedos sem saber por quê',
+  pain3: 'Reuniões intermináveis só para saber em que pé está tudo',
+  pain4: 'O estresse de um pequeno atraso provocar um efeito dominó',
+
+  // Epiphany Section
+  epiphanyTitle: 'Descobrimos que o problema não era a gestão, mas o momento.',
+  epiphanySubtitle: 'A grande revelação que mudou tudo',
+  epiphanyText: 'As ferramentas atuais só medem o tempo cronológico (Chronos), mas projetos de sucesso exigem dominar o momento oportuno (Kairos). Você não precisa de mais dados, precisa saber quando agir.',
+
+  // How It Works Section
+  howTitle: 'Domine seus projetos em 3 passos simples.',
+  howStep1Title: '1. Conecte',
+  howStep1Desc: 'Integre seus fluxos de trabalho atuais sem mudar nada',
+  howStep2Title: '2. Decida',
+  howStep2Desc: 'Kairon analisa os dados e oferece sugestões proativas',
+  howStep3Title: '3. Domine',
+  howStep3Desc: 'Aja no momento exato com a informação certa',
+
+  // Irresistible Offer Section
+  offerTitle: 'Torne-se um "Founding Member" e obtenha benefícios exclusivos para sempre.',
+  offerSubtitle: 'O Pacote Fundador inclui:',
+  offer1: 'Acesso Prioritário e Gratuito à beta do Anclora Kairon',
+  offer2: 'Desconto Vitalício de 50% quando lançarmos oficialmente',
+  offer3: 'Acesso Direto aos Fundadores para dar feedback',
+  offer4: 'Participação na Comunidade Privada de "Founding Members"',
+
+  // Final CTA Section
+  finalCtaTitle: 'Junte-se agora e faça parte da revolução',
+  finalCtaSubtitle: 'Vagas limitadas para garantir uma experiência de alta qualidade.',
+  emailPlaceholder: 'Seu email profissional',
+  finalCtaButton: 'Entrar na Beta',
+
+  // Language Selector
+  selectLanguage: 'Selecionar idioma',
+  spanish: 'Español',
+  english: 'English',
+  portuguese: 'Português',
+  french: 'Français',
+
+  // Theme Selector
+  themeLight: 'Claro',
+  themeDark: 'Escuro',
+  themeHighContrast: 'Alto contraste',
+  themeSystem: 'Sistema',
+
+  // Authentication Modal
+  authWelcomeBack: 'Bem-vindo de volta!',
+  authWelcomeBackDesc: 'Entre para continuar com seus projetos',
+  authCreateAccount: 'Crie sua conta',
+  authCreateAccountDesc: 'Junte-se ao Anclora Kairon e organize seus projetos',
+  authInvitationNotice: 'Você foi convidado para participar de «{project}». Crie sua conta ou entre com {email} para aceitar.',
+  authLoginTab: 'Entrar',
+  authRegisterTab: 'Cadastrar-se',
+  authEmail: 'Email',
+  authPassword: 'Senha',
+  authConfirmPassword: 'Confirmar senha',
+  authFullName: 'Nome completo',
+  authRememberMe: 'Lembrar de mim',
+  authForgotPassword: 'Esqueceu sua senha?',
+  authLoginButton: 'Entrar',
+  authRegisterButton: 'Criar Conta',
+  authOrContinueWith: 'Ou continue com',
+  authOrRegisterWith: 'Ou cadastre-se com',
+  authAcceptTerms: 'Aceito os',
+  authTermsAndConditions: 'termos e condições',
+  authAnd: 'e a',
+  authPrivacyPolicy: 'política de privacidade',
+  authPasswordRequirements: 'Mínimo de 8 caracteres, com maiúsculas, minúsculas e números',
+  authForgotPasswordTitle: 'Recuperar senha',
+  authForgotPasswordDesc: 'Informe seu email e enviaremos um link para redefinir sua senha',
+  authSendRecoveryLink: 'Enviar link de recuperação',
+  authBackToLogin: '← Voltar para o login',
+  authEmailSent: 'Email enviado!',
+  authEmailSentDesc: 'Enviamos um link de recuperação para',
+  authEmailSentInstructions: 'Verifique sua caixa de entrada e siga as instruções.',
+  authBackToLoginSuccess: 'Voltar para o login',
+  authDidntReceiveEmail: 'Não recebeu o email?',
+  authTryAgain: 'Tentar novamente',
+  authConnecting: 'Conectando...',
+  authLoggingIn: 'Entrando...',
+  authCreatingAccount: 'Criando conta...',
+  authSending: 'Enviando...',
+  authMfaTitle: 'Verificação em duas etapas',
+  authMfaDesc: 'Digite o código de 6 dígitos exibido no seu app autenticador.',
+  authMfaRecoveryDesc: 'Digite um dos códigos de recuperação que você salvou ao ativar a verificação em duas etapas.',
+  authMfaCode: 'Código de verificação',
+  authMfaRecoveryCode: 'Código de recuperação',
+  authMfaVerify: 'Verificar',
+  authMfaUseRecovery: 'Está sem seu dispositivo? Use um código de recuperação',
+  authMfaUseApp: 'Usar o app autenticador',
+  authMfaCodeRequired: 'Digite o código',
+  authMfaRecoveryUsed: 'Você entrou com um código de recuperação e a verificação em duas etapas foi desativada. Ative-a novamente em Configurações › Segurança.',
+  authMagicLinkButton: 'Entrar com um link por email',
+  authMagicLinkTitle: 'Entrar sem senha',
+  authMagicLinkDesc: 'Enviaremos um link de acesso e um código de 6 dígitos. Eles expiram em uma hora.',
+  authMagicLinkSend: 'Enviar link',
+  authMagicLinkSentTitle: 'Verifique seu email',
+  authMagicLinkSentDesc: 'Enviamos um link de acesso para {email}. Abra-o neste dispositivo ou digite aqui o código do email.',
+  authEmailOtpCode: 'Código do email',
+  authEmailOtpVerify: 'Entrar',
+  authEmailOtpRequired: 'Digite o código de 6 dígitos do email',
+  authMagicLinkResend: 'Enviar outro email',
+  authMagicLinkOtherEmail: 'Usar outro email',
+  authMagicLinkCallbackTitle: 'Não foi possível iniciar sua sessão',
+  authMagicLinkCallbackBack: 'Voltar para o Anclora Kairon',
+
+  // Authentication Modal - error guidance
+  authUserNotFoundTitle: 'Não encontramos uma conta com este email',
+  authUserNotFoundSuggestion: 'Talvez você queira criar uma conta nova?',
+  authCreateAccountAction: 'Criar Conta',
+  authTryDifferentEmail: 'Usar outro email',
+  authInvalidCredentialsTitle: 'Email ou senha incorretos',
+  authInvalidCredentialsSuggestion: 'Verifique se você informou os dados corretos',
+  authShowPassword: 'Mostrar senha',
+  authHidePassword: 'Ocultar senha',
+  authRateLimitedTitle: 'Muitas tentativas de login',
+  authRateLimitedWait: 'Aguarde {seconds} segundos antes de tentar novamente',
+  authRateLimitedSuggestion: 'Isso é para sua segurança. Enquanto espera, você pode:',
+  authRateLimitedReady: 'Você já pode tentar entrar novamente',
+  authResetPassword: 'Redefinir senha',
+  authEmailNotConfirmedTitle: 'Email não confirmado',
+  authEmailNotConfirmedMessage: 'Você precisa confirmar seu email antes de entrar',
+  authEmailNotConfirmedInstruction: 'Verifique sua caixa de entrada e clique no link de confirmação',
+  authResendConfirmation: 'Reenviar confirmação',
+  authCheckSpam: 'Verificar spam',
+  authCheckSpamHelp: 'Verifique sua pasta de spam/lixo eletrônico. Às vezes os emails de confirmação vão parar lá. Se encontrá-lo, marque-o como "não é spam" para que os próximos emails cheguem à sua caixa de entrada.',
+  authChangeEmail: 'Alterar email',
+  authChangeEmailHelp: 'Você pode se cadastrar com outro endereço de email, se necessário',
+  authSent: 'Enviado!',
+  authSendFailedRetry: 'Erro - Tentar novamente',
+  authConfirmationResent: 'Email de confirmação enviado! Verifique sua caixa de entrada.',
+  authConfirmationResendFailed: 'Erro ao reenviar o email de confirmação. Tente novamente.',
+  authSwitchToLogin: 'Ir para o login',
+  authPasswordMustInclude: 'A senha deve incluir:',
+  authPasswordRuleLength: 'Pelo menos 8 caracteres',
+  authPasswordRuleUppercase: 'Letras maiúsculas (A-Z)',
+  authPasswordRuleLowercase: 'Letras minúsculas (a-z)',
+  authPasswordRuleNumber: 'Números (0-9)',
+
+  // Kanban Board
+  kanbanTodo: 'A fazer',
+  kanbanInProgress: 'Em andamento',
+  kanbanInReview: 'Em revisão',
+  kanbanDone: 'Concluído',
+  kanbanEmptyColumn: 'Arraste tarefas para cá',
+  kanbanLoading: 'Carregando quadro...',
+  kanbanLoadError: 'Não foi possível carregar o quadro.',
+  kanbanKeyboardHelp: 'Pressione Espaço para pegar uma tarefa, use as setas para movê-la, Espaço para soltá-la e Escape para cancelar.',
+  kanbanReadOnly: 'Somente leitura: sua função não permite mover tarefas.',
+  kanbanTaskGrabbed: 'Tarefa "{title}" selecionada. Coluna {column}, posição {position}.',
+  kanbanTaskPosition: 'Coluna {column}, posição {position}.',
+  kanbanTaskMoved: 'Tarefa "{title}" movida para {column}, posição {position}.',
+  kanbanMoveCancelled: 'Movimento cancelado.',
+  kanbanMoveReverted: 'Não foi possível mover a tarefa. Sua posição foi restaurada.',
+  kanbanUnassigned: 'Sem responsável',
+  kanbanDue: 'Vence',
+  priorityLow: 'Baixa',
+  priorityMedium: 'Média',
+  priorityHigh: 'Alta',
+  priorityUrgent: 'Urgente',
+
+  // Timeline
+  timelineLoading: 'Carregando cronograma...',
+  timelineLoadError: 'Não foi possível carregar o cronograma.',
+  timelineZoom: 'Escala',
+  timelineZoomDay: 'Dia',
+  timelineZoomWeek: 'Semana',
+  timelineZoomMonth: 'Mês',
+  timelineToday: 'Hoje',
+  timelineTasks: 'Tarefas',
+  timelineEmpty: 'Nenhuma tarefa tem prazo ainda.',
+  timelineUnscheduled: 'Sem prazo',
+  timelineCriticalPath: 'Destacar caminho crítico',
+  timelineCriticalHours: 'Caminho crítico: {hours} h',
+  timelineDependencies: 'Dependências',
+  timelineNoDependencies: 'Não há dependências.',
+  timelineTask: 'Tarefa',
+  timelineDependsOn: 'Depende de',
+  timelineAddDependency: 'Adicionar dependência',
+  timelineRemoveDependency: 'Remover dependência',
+  timelineDependencyLabel: '{task} depende de {dependency}',
+  timelineBarLabel: '{title}: de {start} a {end}',
+  timelineKeyboardHelp: 'Use as setas esquerda e direita para mover a tarefa um dia. Mantenha Shift pressionado para alterar sua duração.',
+  timelineRescheduled: '{title} reagendada: de {start} a {end}',
+  timelineRescheduleReverted: 'Não foi possível reagendar a tarefa. Suas datas foram restauradas.',
+  timelineReadOnly: 'Somente leitura: sua função não permite reagendar tarefas nem alterar dependências.',
+
+  // Chat
+  chatTitle: 'Chat do projeto',
+  chatLoading: 'Carregando mensagens...',
+  chatLoadError: 'Não foi possível carregar as mensagens.',
+  chatEmpty: 'Ainda não há mensagens. Comece a conversa!',
+  chatPlaceholder: 'Escreva uma mensagem. Use @ para mencionar alguém',
+  chatSend: 'Enviar',
+  chatReply: 'Responder',
+  chatReplyingTo: 'Respondendo a {name}',
+  chatCancelReply: 'Cancelar resposta',
+  chatShowReplies: '{count, plural, one {Ver # resposta} other {Ver # respostas}}',
+  chatHideReplies: 'Ocultar respostas',
+  chatMentionSuggestions: 'Pessoas que você pode mencionar',
+  chatUnknownUser: 'Usuário',
+  chatLive: 'Ao vivo',
+  chatPolling: 'Atualizando a cada poucos segundos',
+  chatNewMessages: 'Novas mensagens',
+  chatUnread: '{count} não lidas',
+  chatNoProjects: 'Crie um projeto para começar a conversar com sua equipe.',
+  chatTaskStatusChanged: '{user} moveu "{title}" de {from} para {to}',
+
+  // Members
+  memberRoleOwner: 'Proprietário',
+  memberRoleAdmin: 'Administrador',
+  memberRoleMember: 'Membro',
+  memberRoleViewer: 'Leitor',
+  membersTitle: 'Membros',
+  membersYou: 'você',
+  membersRole: 'Função',
+  membersRoleOf: 'Função de {name}',
+  membersInvite: 'Convide sua equipe',
+  membersSendInvite: 'Criar convite',
+  membersInviteLink: 'Link do convite',
+  membersInviteLinkReady: 'Convite criado. Compartilhe este link com a pessoa convidada:',
+  membersInviteEmailSent: 'Convite enviado para {email}',
+  membersInviteEmailFailed: 'Não foi possível enviar o email do convite. Compartilhe este link com a pessoa convidada:',
+  membersNoInvitations: 'Não há convites pendentes.',
+  membersInvitationPending: 'Pendente',
+  membersInvitationDeclined: 'Recusado',
+  membersInvitationExpired: 'Expirado',
+  membersCopyLink: 'Copiar link',
+  membersLinkCopied: 'Link copiado',
+  membersRevoke: 'Revogar',
+  membersRemove: 'Remover',
+  membersRemoveConfirm: 'Remover este membro do projeto?',
+  membersLeave: 'Sair do projeto',
+  membersLeaveConfirm: 'Tem certeza de que deseja sair do projeto?',
+  membersTransferOwnership: 'Tornar proprietário',
+  membersTransferConfirm: 'Transferir a propriedade do projeto? Você passará a ser administrador.',
+  invitationTitle: 'Convite para "{project}"',
+  invitationFrom: '{name} convidou você como {role}.',
+  invitationRole: 'Você foi convidado como {role}.',
+  invitationSentTo: 'Enviado para {email}',
+  invitationAccept: 'Aceitar convite',
+  invitationDecline: 'Recusar',
+  invitationDeclined: 'Você recusou o convite.',
+  invitationNotFound: 'Este convite não existe ou já foi respondido.',
+  invitationExpired: 'Este convite expirou. Peça um novo a quem convidou você.',
+
+  // Assistant
+  assistantTitle: 'Assistente',
+  assistantClose: 'Fechar assistente',
+  assistantPlaceholder: 'Pergunte sobre suas tarefas ou peça uma alteração',
+  assistantSend: 'Enviar',
+  assistantIntro: 'Posso dizer o que está atrasado, o que fazer em seguida ou quem está sobrecarregado, e criar ou atualizar tarefas para você.',
+  assistantSuggestOverdue: 'O que está atrasado?',
+  assistantSuggestNext: 'O que devo fazer agora?',
+  assistantSuggestWorkload: 'Quem está sobrecarregado?',
+  assistantThinking: 'Pensando...',
+  assistantGreeting: 'Olá! Como posso ajudar?',
+  assistantHelp: 'Experimente perguntas como estas, ou peça "criar tarefa "Revisar design" em Web para amanhã" ou "marcar "Revisar design" como concluída":',
+  assistantUnknown: 'Não entendi. Pergunte sobre tarefas atrasadas, tarefas que vencem hoje, o que fazer em seguida ou a carga de trabalho da equipe.',
+  assistantError: 'O assistente não conseguiu responder. Tente novamente.',
+  assistantAllProjects: 'todos os seus projetos',
+  assistantOverdue: '{count, plural, one {# tarefa atrasada} other {# tarefas atrasadas}} em {scope}:',
+  assistantNoOverdue: 'Nada está atrasado em {scope}.',
+  assistantDueToday: '{count, plural, one {# tarefa vence} other {# tarefas vencem}} hoje em {scope}:',
+  assistantNothingToday: 'Nada vence hoje em {scope}.',
+  assistantNextTasks: 'Sugiro começar por:',
+  assistantNoNextTask: 'Você não tem tarefas disponíveis agora.',
+  assistantReasonOverdue: 'atrasada',
+  assistantReasonDueToday: 'vence hoje',
+  assistantReasonDueSoon: 'vence em breve',
+  assistantReasonPriority: 'prioridade alta',
+  assistantReasonInProgress: 'já em andamento',
+  assistantReasonCriticalPath: 'no caminho crítico',
+  assistantOverloaded: 'Sobrecarregados em {scope}: {names}.',
+  assistantNoOverload: 'Ninguém está sobrecarregado em {scope}.',
+  assistantNoMembers: 'Não há membros em {scope}.',
+  assistantWorkloadEntry: '{tasks} tarefas abertas, {hours} h restantes, {overdue} atrasadas',
+  assistantMissingTitle: 'Diga o título da tarefa, por exemplo entre aspas.',
+  assistantMissingProject: 'Diga em qual projeto criar a tarefa.',
+  assistantTaskNotFound: 'Não encontro essa tarefa. Escreva o título entre aspas.',
+  assistantNoChanges: 'Não vejo nenhuma alteração para aplicar a essa tarefa.',
+  assistantConfirmPrompt: 'Revise a alteração e confirme para aplicá-la.',
+  assistantConfirmTitle: 'Alteração aguardando confirmação',
+  assistantConfirmCreate: 'Criar "{title}" em {project}',
+  assistantConfirmUpdate: 'Atualizar "{title}"',
+  assistantDetailStatus: 'Status: {status}',
+  assistantDetailPriority: 'Prioridade: {priority}',
+  assistantDetailDue: 'Vence: {date}',
+  assistantDetailAssignee: 'Responsável: {name}',
+  assistantYou: 'você',
+  assistantConfirm: 'Confirmar',
+  assistantCancel: 'Cancelar',
+  assistantActionCancelled: 'Alteração descartada.',
+  assistantTaskCreated: 'Tarefa "{title}" criada.',
+  assistantTaskUpdated: 'Tarefa "{title}" atualizada.',
+
+  // Analytics
+  analyticsTitle: 'Sua produtividade',
+  analyticsRange: 'Período',
+  analyticsLastDays: 'Últimos {days} dias',
+  analyticsWeekOverWeek: 'Esta semana comparada com a anterior',
+  analyticsThisWeek: 'últimos 7 dias',
+  analyticsPreviousWeek: 'vs {value} na semana anterior',
+  analyticsNoComparison: 'Sem dados anteriores',
+  analyticsTasksCompleted: 'Tarefas concluídas',
+  analyticsHoursWorked: 'Horas trabalhadas',
+  analyticsEfficiency: 'Eficiência',
+  analyticsHours: '{hours} h',
+  analyticsChartLabel: '{metric} de {from} a {to}',
+  analyticsByProject: 'Por projeto',
+  analyticsProject: 'Projeto',
+  analyticsUnknownProject: 'Projeto ao qual você não tem mais acesso',
+  analyticsNoProjects: 'Ainda não há atividade em nenhum projeto.',
+  analyticsEmpty: 'Ainda não há atividade neste período. Conclua tarefas ou registre horas para ver suas tendências.',
+
+  // Offline sync
+  syncPending: 'Alterações aguardando sincronização: {count}',
+  syncNow: 'Sincronizar agora',
+  syncReview: 'Revisar alterações ({count})',
+  syncTitle: 'Alterações não sincronizadas',
+  syncIntro: 'Estas alterações foram feitas offline e não puderam ser aplicadas como estavam. Escolha o que fazer com cada uma.',
+  syncClose: 'Fechar',
+  syncEntityTask: 'Tarefa',
+  syncEntityProject: 'Projeto',
+  syncEntityMessage: 'Mensagem',
+  syncUntitled: 'Sem título',
+  syncConflictModified: 'Alguém a alterou enquanto você estava offline.',
+  syncConflictDeleted: 'Foi excluída enquanto você estava offline, então sua alteração não pode mais ser aplicada.',
+  syncFailed: 'O servidor rejeitou a alteração: {error}',
+  syncYourDelete: 'Sua alteração: excluí-la.',
+  syncField: 'Campo',
+  syncYours: 'Sua versão',
+  syncServer: 'No servidor',
+  syncKeepMine: 'Manter a minha',
+  syncKeepServer: 'Manter a do servidor',
+  syncDiscard: 'Descartar minha alteração',
+  syncRetry: 'Tentar novamente',
+
+  // Account settings
+  accountTitle: 'Minha conta',
+  accountSecurityLink: 'Segurança e verificação em duas etapas →',
+  accountProfileTitle: 'Perfil',
+  accountAvatarUpload: 'Alterar foto',
+  accountAvatarRemove: 'Remover foto',
+  accountAvatarHint: 'PNG, JPEG, WebP ou GIF de até 2 MB.',
+  accountName: 'Nome',
+  accountNameInvalid: 'O nome deve ter entre 2 e 50 caracteres',
+  accountEmail: 'Email',
+  accountLanguage: 'Idioma',
+  accountEmailNotifications: 'Receber notificações por email',
+  accountIdleTimeout: 'Encerrar a sessão após um período de inatividade',
+  accountIdleTimeoutNever: 'Nunca',
+  accountIdleTimeoutMinutes: '{minutes} minutos sem atividade',
+  accountTheme: 'Tema',
+  accountThemesTitle: 'Temas personalizados',
+  accountThemesIntro: 'Crie os seus próprios temas a partir do claro ou do escuro. Ficam guardados na sua conta e acompanham-no em todos os dispositivos.',
+  accountThemesEmpty: 'Ainda não criou nenhum tema.',
+  accountThemeName: 'Nome do tema',
+  accountThemeNameInvalid: 'O tema precisa de um nome com até 40 caracteres',
+  accountThemeBase: 'Baseado em',
+  accountThemeColorBackground: 'Fundo',
+  accountThemeColorSurface: 'Cartões e janelas',
+  accountThemeColorText: 'Texto',
+  accountThemeColorPrimary: 'Cor principal',
+  accountThemeColorAccent: 'Destaque',
+  accountThemeCreate: 'Criar tema',
+  accountThemeDelete: 'Eliminar',
+  accountThemeDeleteConfirm: 'Eliminar o tema {name}?',
+  accountThemeContrast: 'O texto precisa de um contraste de pelo menos {ratio}:1 com o fundo e os cartões',
+  accountThemeLimit: 'Pode ter até {max} temas personalizados',
+  accountThemeSaved: 'Tema guardado',
+  accountSave: 'Salvar alterações',
+  accountSaved: 'Perfil atualizado',
+  accountPasswordTitle: 'Senha',
+  accountPasswordNone: 'Você entra com Google ou GitHub. Crie uma senha para também entrar com seu email.',
+  accountPasswordCurrent: 'Senha atual',
+  accountPasswordNew: 'Nova senha',
+  accountPasswordConfirm: 'Confirmar nova senha',
+  accountPasswordSave: 'Alterar senha',
+  accountPasswordMismatch: 'As senhas não coincidem',
+  accountPasswordCurrentRequired: 'Digite sua senha atual',
+  accountPasswordWrong: 'Sua senha atual não está correta',
+  accountPasswordChanged: 'Senha alterada',
+  accountProvidersTitle: 'Métodos de login',
+  accountProvidersIntro: 'Vincule outros provedores para entrar nesta mesma conta com eles.',
+  accountProviderEmail: 'Email e senha',
+  accountProviderLink: 'Vincular',
+  accountProviderUnlink: 'Desvincular',
+  accountProviderUnlinkConfirm: 'Desvincular {provider}? Você não poderá mais entrar com essa conta.',
+  accountProviderLastMethod: 'Este é seu único método de login',
+  accountProviderLinked: 'Vinculado',
+  accountProviderNotLinked: 'Não vinculado',
+  accountDeleteTitle: 'Excluir conta',
+  accountDeleteIntro: 'Isso exclui seu perfil, os projetos dos quais você é proprietário (com suas tarefas e mensagens), as tarefas que você criou, suas mensagens e suas estatísticas. As tarefas atribuídas a você ficam sem responsável. Não é possível desfazer.',
+  accountDeleteConfirmLabel: 'Digite {email} para confirmar',
+  accountDeleteButton: 'Excluir minha conta',
+  accountDeleteConfirm: 'Excluir sua conta e todos os seus dados para sempre?',
+  accountDeleteEmailMismatch: 'Digite o email da sua conta para confirmar',
+
+  // Security settings
+  securityTitle: 'Segurança',
+  securityMfaTitle: 'Verificação em duas etapas',
+  securityMfaOn: 'Ativada',
+  securityMfaOff: 'Desativada',
+  securityMfaIntro: 'Além da sua senha, pediremos um código de um app autenticador (Google Authenticator, 1Password, Authy…) ao entrar.',
+  securityMfaEnable: 'Ativar',
+  securityMfaDisable: 'Desativar',
+  securityMfaDisableConfirm: 'Desativar a verificação em duas etapas? Seus códigos de recuperação deixarão de funcionar.',
+  securityMfaAuthenticator: 'App autenticador',
+  securityMfaEnabledSince: '{name} · ativada em {date}',
+  securityEnrollScan: 'Escaneie este código QR com seu app autenticador.',
+  securityEnrollManual: 'Adicione uma nova conta no seu app autenticador com esta chave.',
+  securityEnrollQrAlt: 'Código QR para seu app autenticador',
+  securityEnrollKey: 'Chave de configuração:',
+  securityEnrollOpenApp: 'Abrir no app autenticador',
+  securityEnrollConfirm: 'Digite o código de 6 dígitos exibido no app:',
+  securityEnrollVerify: 'Verificar e ativar',
+  securityCancel: 'Cancelar',
+  securityRecoveryTitle: 'Códigos de recuperação',
+  securityRecoveryIntro: 'Guarde-os em um lugar seguro. Cada código permite entrar uma vez se você perder seu dispositivo, e você não os verá novamente.',
+  securityRecoveryRemaining: 'Códigos de recuperação não usados: {count}',
+  securityRecoveryRegenerate: 'Gerar novos códigos',
+  securityRecoveryRegenerateConfirm: 'Gerar novos códigos de recuperação? Os anteriores deixarão de funcionar.',
+  securityRecoveryCopy: 'Copiar',
+  securityRecoverySaved: 'Já os guardei',
+  securitySessionsTitle: 'Sessões ativas',
+  securitySessionsIntro: 'Dispositivos e navegadores em que você está conectado. Se não reconhecer algum, encerre a sessão e altere sua senha.',
+  securitySessionDevice: '{browser} em {os}',
+  securitySessionUnknownBrowser: 'Navegador desconhecido',
+  securitySessionUnknownOs: 'sistema desconhecido',
+  securitySessionCurrent: 'Este dispositivo',
+  securitySessionActiveNow: 'Ativa agora',
+  securitySessionLastActive: 'Última atividade: {date}',
+  securitySessionRevoke: 'Encerrar sessão',
+  securitySessionsRevokeOthers: 'Encerrar todas as outras sessões',
+  securitySessionsRevokeOthersConfirm: 'Encerrar a sessão em todos os outros dispositivos?',
+  securityDeviceDesktop: 'Computador',
+  securityDeviceMobile: 'Celular',
+  securityDeviceTablet: 'Tablet',
+
+  // App Shell
+  appNavDashboard: 'Painel',
+  appNavChat: 'Chat',
+  appNavAnalytics: 'Estatísticas',
+  appNavSettings: 'Configurações',
+  appLogout: 'Sair',
+  appLogoutError: 'Erro ao sair',
+  appLoginRequired: 'Login necessário',
+  appLoginRequiredDesc: 'Você precisa entrar para acessar o aplicativo',
+  appLoginButton: 'Entrar',
+  appBackToLanding: '← Voltar para a página inicial',
+  appWelcome: 'Bem-vindo, {name}',
+  appProjects: 'Projetos',
+  appNoProjects: 'Você ainda não tem projetos. Crie o primeiro para começar.',
+  appNewProjectPlaceholder: 'Nome do novo projeto',
+  appCreateProject: 'Criar projeto',
+  appProjectOverview: 'Resumo',
+  appProjectBoard: 'Quadro',
+  appProjectTimeline: 'Cronograma',
+  appProjectChat: 'Chat',
+  appProjectMembers: 'Membros',
+  appProjectNotFound: 'Projeto não encontrado',
+  appBackToDashboard: '← Voltar para o painel',
+  appTasksTotal: 'Tarefas',
+  appComingSoon: 'Esta seção estará disponível em breve.',
+  appLoading: 'Carregando...',
+  appLoadError: 'Não foi possível carregar o conteúdo.'
+}
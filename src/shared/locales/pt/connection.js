@@ -0,0 +1,35 @@
+// Portuguese - connection namespace: ConnectionStatusIndicator, recovery and offline queue messages
+export default {
+  connectionConnected: 'Conectado',
+  connectionConnectedDesc: 'Conexão estabelecida',
+  connectionDisconnected: 'Sem conexão',
+  connectionDisconnectedDesc: 'Verifique sua conexão com a internet',
+  connectionChecking: 'Verificando conexão',
+  connectionCheckingDesc: 'Verificando o estado da conexão...',
+  connectionUnknown: 'Estado desconhecido',
+  connectionUnknownDesc: 'Não foi possível determinar o estado da conexão',
+  connectionOfflineMode: 'Modo offline - Funcionalidade limitada',
+
+  // Connection quality
+  connectionExcellent: 'Excelente',
+  connectionGood: 'Boa',
+  connectionFair: 'Regular',
+  connectionPoor: 'Lenta',
+  connectionVeryPoor: 'Muito lenta',
+
+  // Recovery and the offline queue (networkConnectivityHandler, supabaseUnavailableHandler, authService)
+  connectionRestored: 'Conexão restabelecida',
+  retriedAfterRestore: 'Conexão restabelecida após {count, plural, one {# tentativa} other {# tentativas}}',
+  retriedTimes: 'Tentado {count, plural, one {# vez} other {# vezes}}',
+  retryCheckConnection: 'Verifique sua conexão e tente novamente.',
+  connectionRestoredContinuing: 'Conexão restabelecida. Continuando...',
+  connectionRestoredProcessing: 'Conexão restabelecida! As operações pendentes estão sendo processadas.',
+  serviceRestored: 'Serviço restabelecido! Você já pode continuar normalmente.',
+  operationQueued: 'Operação "{operation}" adicionada à fila. Será executada quando a conexão for restabelecida.',
+  operationUnknown: 'desconhecida',
+  operationQueuedNetwork: 'Operação na fila. Tentaremos novamente de forma automática quando a conexão de rede for restabelecida.',
+  operationQueuedService: 'Operação na fila. Tentaremos novamente de forma automática quando o serviço for restabelecido.',
+  queueSuccess: '{success, plural, one {# operação concluída} other {# operações concluídas}} com sucesso.',
+  queueMixed: '{success, plural, one {# operação bem-sucedida} other {# operações bem-sucedidas}}, {failure, plural, one {# falhou} other {# falharam}}.',
+  queueFailure: '{failure, plural, one {# operação falhou} other {# operações falharam}}. Tente novamente.'
+}
@@ -0,0 +1,33 @@
+// Portuguese - email namespace: transactional email templates (src/shared/config/emailTemplates.js)
+export default {
+  layoutLinkFallback: 'Se o botão não funcionar, copie este link no seu navegador:',
+  layoutFooter: 'Anclora Kairon · Domine o momento decisivo em cada projeto',
+
+  betaConfirmationSubject: 'Confirme seu email para o beta do Anclora Kairon',
+  betaConfirmationHeading: 'Confirme seu email',
+  betaConfirmationBody: 'Obrigado por se inscrever no beta do Anclora Kairon! Confirme seu email para garantir seu lugar na lista de espera.',
+  betaConfirmationAction: 'Confirmar meu email',
+  betaConfirmationNote: 'O link expira em {hours} horas. Se você não se inscreveu, ignore esta mensagem.',
+
+  betaStatusSubject: 'Seu lugar no beta do Anclora Kairon',
+  betaStatusHeading: 'Você está na lista de espera',
+  betaStatusBody: 'Veja seu lugar e seu link para convidar outras pessoas para o beta.',
+  betaStatusAction: 'Ver meu lugar',
+
+  teamInviteSubject: '{inviterName} convidou você para {projectName} no Anclora Kairon',
+  teamInviteHeading: 'Você foi convidado para um projeto',
+  teamInviteBody: '{inviterName} convidou você para participar de {projectName} como {role, select, owner {proprietário} admin {administrador} viewer {leitor} other {membro}}.',
+  teamInviteAction: 'Ver o convite',
+  teamInviteNote: 'O convite expira em {days, plural, one {# dia} other {# dias}}. Se você não esperava este email, ignore-o.',
+
+  taskAssignmentSubject: 'Nova tarefa: {taskTitle}',
+  taskAssignmentHeading: 'Uma tarefa foi atribuída a você',
+  taskAssignmentBody: '{assignerName} atribuiu a você "{taskTitle}" em {projectName}.',
+  taskAssignmentDue: 'Prazo: {dueDate, date, long}.',
+  taskAssignmentAction: 'Abrir a tarefa',
+
+  dueDateReminderSubject: '{days, plural, =0 {"{taskTitle}" vence hoje} one {"{taskTitle}" vence amanhã} other {"{taskTitle}" vence em # dias}}',
+  dueDateReminderHeading: 'Lembrete de prazo',
+  dueDateReminderBody: '"{taskTitle}" de {projectName} vence em {dueDate, date, full}.',
+  dueDateReminderAction: 'Abrir a tarefa'
+}
@@ -0,0 +1,42 @@
+// Portuguese - feedback namespace: UserFeedbackSystem errors by type, and loading and success messages by operation
+export default {
+  // Errors
+  NETWORK_ERROR: 'Não foi possível conectar ao servidor. Verifique sua conexão com a internet.',
+  AUTH_INVALID_CREDENTIALS: 'Email ou senha incorretos. Tente novamente.',
+  AUTH_USER_NOT_FOUND: 'Não encontramos uma conta com este email. Deseja criar uma conta nova?',
+  AUTH_USER_EXISTS: 'Já existe uma conta com este email. Deseja entrar?',
+  AUTH_WEAK_PASSWORD: 'A senha deve ter pelo menos 6 caracteres.',
+  AUTH_RATE_LIMITED: 'Muitas tentativas. Aguarde {waitTime} segundos antes de tentar novamente.',
+  AUTH_EMAIL_NOT_CONFIRMED: 'Você precisa confirmar seu email antes de entrar. Verifique sua caixa de entrada.',
+  SERVER_ERROR: 'Erro no servidor. Tente novamente em alguns instantes.',
+  UNKNOWN_ERROR: 'Ocorreu um erro inesperado. Entre em contato com o suporte se persistir.',
+  EMAIL_NOT_CONFIRMED: 'Você precisa confirmar seu email antes de entrar. Verifique sua caixa de entrada.',
+  INVALID_EMAIL_FORMAT: 'Informe um endereço de email válido.',
+  MFA_REQUIRED: 'Digite o código do seu app autenticador para continuar.',
+  MFA_INVALID_CODE: 'Esse código não está correto. Digite o código que seu app mostra agora.',
+  MFA_CHALLENGE_EXPIRED: 'A verificação expirou. Entre novamente.',
+  MFA_RECOVERY_CODE_INVALID: 'Esse código de recuperação não é válido ou já foi usado.',
+  MFA_ENROLLMENT_FAILED: 'Não foi possível ativar a verificação em duas etapas. Tente novamente.',
+  OTP_RATE_LIMITED: 'Acabamos de enviar um email para você. Aguarde um minuto antes de pedir outro.',
+  OTP_EXPIRED: 'Este link ou código não é válido ou expirou. Peça um novo.',
+  OTP_ALREADY_USED: 'Este link ou código já foi usado. Peça um novo.',
+
+  // Loading
+  loadingLogin: 'Entrando...',
+  loadingRegister: 'Criando conta...',
+  loadingLogout: 'Saindo...',
+  loadingForgotPassword: 'Enviando link de recuperação...',
+  loadingMfa: 'Verificando código...',
+  loadingMagicLink: 'Enviando link de acesso...',
+  loadingCheckingConnectivity: 'Verificando conexão...',
+  loadingRetrying: 'Tentando novamente...',
+  loadingDefault: 'Processando...',
+
+  // Success
+  successLogin: 'Bem-vindo de volta!',
+  successRegister: 'Conta criada com sucesso!',
+  successForgotPassword: 'Link de recuperação enviado para seu email.',
+  successPasswordReset: 'Senha atualizada com sucesso.',
+  successEmailConfirmed: 'Email confirmado com sucesso.',
+  successMagicLink: 'Link de acesso enviado. Verifique sua caixa de entrada.'
+}
@@ -0,0 +1,56 @@
+// Portuguese - onboarding namespace: OnboardingWizard
+export default {
+  onboardingWelcome: 'Bem-vindo ao Anclora Kairon',
+  onboardingSkip: 'Pular configuração',
+  onboardingProgress: 'Passo {step} de {total}',
+  onboardingPrevious: 'Voltar',
+  onboardingNext: 'Avançar',
+  onboardingComplete: 'Concluir',
+  onboardingFinishing: 'Concluindo configuração...',
+
+  // Step 1: welcome
+  onboardingWelcomeTitle: 'Vamos começar!',
+  onboardingWelcomeDesc: 'Vamos ajudar você a configurar seu espaço de trabalho em menos de 60 segundos.',
+  onboardingYourName: 'Qual é o seu nome?',
+  onboardingNamePlaceholder: 'Seu nome',
+  onboardingYourRole: 'Qual é a sua função?',
+  onboardingSelectRole: 'Selecione sua função',
+  onboardingDeveloper: 'Desenvolvedor',
+  onboardingDesigner: 'Designer',
+  onboardingManager: 'Gerente de Projetos',
+  onboardingMarketing: 'Marketing',
+  onboardingFounder: 'Fundador/CEO',
+  onboardingOther: 'Outro',
+
+  // Step 2: project template
+  onboardingTemplateTitle: 'Escolha o modelo do seu projeto',
+  onboardingTemplateDesc: 'Selecione o tipo de projeto que melhor se adapta ao seu trabalho',
+  templateSoftware: 'Desenvolvimento de Software',
+  templateSoftwareDesc: 'Sprints, bugs, funcionalidades e releases',
+  templateMarketing: 'Marketing',
+  templateMarketingDesc: 'Campanhas, conteúdo e análises',
+  templateDesign: 'Design',
+  templateDesignDesc: 'UI/UX, branding e recursos criativos',
+  templateGeneral: 'Projeto Geral',
+  templateGeneralDesc: 'Tarefas, objetivos e acompanhamento',
+
+  // Step 3: team
+  onboardingTeamTitle: 'Convide sua equipe',
+  onboardingTeamDesc: 'Você pode convidar colaboradores agora ou depois',
+  onboardingEmailPlaceholder: 'email@exemplo.com',
+  onboardingAddMember: 'Adicionar membro da equipe',
+  onboardingSkipTeam: 'Pular por enquanto, farei isso depois',
+
+  // Step 4: summary
+  onboardingCompleteTitle: 'Tudo pronto!',
+  onboardingCompleteDesc: 'Preparamos seu espaço de trabalho com dados de exemplo para você começar agora mesmo.',
+  onboardingSetupSummary: 'Resumo da configuração:',
+  onboardingName: 'Nome',
+  onboardingDefaultName: 'Usuário',
+  onboardingRole: 'Função',
+  onboardingRoleUnspecified: 'Não especificada',
+  onboardingTemplate: 'Modelo',
+  onboardingTeamSize: 'Equipe',
+  onboardingMemberCount: '{count, plural, one {# membro} other {# membros}}',
+  onboardingReadyMessage: 'Seu projeto está pronto com tarefas de exemplo e uma estrutura inicial.'
+}
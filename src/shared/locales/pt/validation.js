@@ -0,0 +1,15 @@
+// Portuguese - validation namespace: form validation (utils/validation.js and authService.validateRegistrationData)
+export default {
+  nameRequired: 'O nome é obrigatório',
+  nameLength: 'O nome deve ter entre 2 e 50 caracteres',
+  emailRequired: 'O email é obrigatório',
+  emailInvalid: 'Informe um endereço de email válido',
+  emailFormat: 'O formato do email não é válido (exemplo: usuario@dominio.com)',
+  emailValid: 'Email válido',
+  passwordRequired: 'A senha é obrigatória',
+  passwordMinLength: 'A senha deve ter pelo menos 6 caracteres',
+  passwordWeak: 'A senha deve ter pelo menos 8 caracteres e incluir maiúsculas, minúsculas e números',
+  passwordValid: 'Senha válida',
+  passwordMismatch: 'As senhas não coincidem',
+  confirmPasswordRequired: 'Você precisa confirmar a senha'
+}
@@ -0,0 +1,571 @@
+/**
+ * Account Service
+ * The signed-in user's own account: profile (users row and avatar in Supabase Storage),
+ * password, linked OAuth identities and account deletion
+ */
+
+import { supabase, TABLES } from '../config/supabase.js';
+import { isOAuthProviderEnabled } from '../config/authProviders.js';
+import { authService } from './authService.js';
+import { LocalTableStore } from './localTableStore.js';
+import { runLoggedQuery } from './queryRunner.js';
+import { validateName, validatePassword } from '../utils/validation.js';
+import { validateThemes } from '../utils/theme.js';
+import i18n from '../utils/i18n.js';
+
+/**
+ * @typedef {Object} Profile
+ * @property {string} id
+ * @property {string} email
+ * @property {string} name
+ * @property {string|null} avatar_url
+ * @property {Object} preferences - { language, emailNotifications, idleTimeoutMinutes, theme, customThemes }
+ */
+
+/**
+ * @typedef {Object} LinkedIdentity
+ * @property {string} id
+ * @property {string} provider - 'email' or an OAuth provider id
+ * @property {string|null} email - Email the provider reported
+ * @property {string|null} createdAt
+ */
+
+export const AVATAR_BUCKET = 'avatars';
+export const AVATAR_MAX_BYTES = 2 * 1024 * 1024;
+export const AVATAR_TYPES = ['image/png', 'image/jpeg', 'image/webp', 'image/gif'];
+
+export const PREFERENCE_DEFAULTS = {
+  language: 'es',
+  emailNotifications: true,
+  // Minutes without activity before signing out; 0 keeps the session open
+  idleTimeoutMinutes: 0,
+  // 'system' follows the device; otherwise a built-in theme id or the id of one of customThemes
+  theme: 'system',
+  // User-defined themes (config/themes.js ThemeDefinition without labelKey)
+  customThemes: []
+};
+
+export const ACCOUNT_ERROR_CODES = {
+  INVALID_CURRENT_PASSWORD: 'invalid_current_password'
+};
+
+const MOCK_IDENTITIES_STORAGE_KEY = 'kairon_mock_identities';
+
+/**
+ * AccountService class for the current user's account
+ */
+export class AccountService {
+  constructor() {
+    this.isSupabaseEnabled = !!supabase;
+    this.userStore = new LocalTableStore(TABLES.USERS);
+  }
+
+  /**
+   * Get the authenticated user
+   * @returns {Object} Auth user
+   */
+  getCurrentUser() {
+    const user = authService.getCurrentUser();
+    if (!user?.id) {
+      throw new Error('Debes iniciar sesión para gestionar tu cuenta');
+    }
+    return user;
+  }
+
+  /**
+   * Get the current user's profile
+   * @returns {Promise<Profile>} Profile with preference defaults filled in
+   */
+  async getProfile() {
+    const user = this.getCurrentUser();
+
+    return this.runQuery('get_profile', {}, async () => {
+      if (this.isSupabaseEnabled) {
+        const { data, error } = await supabase
+          .from(TABLES.USERS)
+          .select('id, email, name, avatar_url, preferences')
+          .eq('id', user.id)
+          .single();
+
+        if (error) {
+          throw new Error(error.message);
+        }
+        return this.withPreferenceDefaults(data);
+      }
+
+      return this.withPreferenceDefaults(this.userStore.findById(user.id) || {
+        id: user.id,
+        email: user.email,
+        name: user.name || user.email,
+        avatar_url: user.avatar || null,
+        preferences: {}
+      });
+    });
+  }
+
+  /**
+   * Update the name and preferences of the current user
+   * @param {Object} values - { name, preferences }
+   * @returns {Promise<Profile>} Updated profile
+   */
+  async updateProfile(values = {}) {
+    const changes = {};
+
+    if (values.name !== undefined) {
+      if (!validateName(values.name)) {
+        throw new Error('El nombre debe tener entre 2 y 50 caracteres');
+      }
+      changes.name = values.name.trim();
+    }
+
+    if (values.preferences !== undefined) {
+      const preferences = this.pickPreferences(values.preferences);
+      if (preferences.theme !== undefined && (typeof preferences.theme !== 'string' || !preferences.theme)) {
+        throw new Error('Tema no válido');
+      }
+      if (preferences.customThemes !== undefined) {
+        const validation = validateThemes(preferences.customThemes);
+        if (!validation.isValid) {
+          throw new Error(`Tema personalizado no válido: ${validation.errors[0]}`);
+        }
+      }
+
+      const current = await this.getProfile();
+      changes.preferences = { ...current.preferences, ...preferences };
+    }
+
+    return this.saveProfile(changes, 'update_profile');
+  }
+
+  /**
+   * Upload a new avatar and point avatar_url at it
+   * @param {File|Blob} file - PNG, JPEG, WebP or GIF image up to 2 MB
+   * @returns {Promise<Profile>} Updated profile
+   */
+  async uploadAvatar(file) {
+    if (!file || !AVATAR_TYPES.includes(file.type)) {
+      throw new Error('La imagen debe ser PNG, JPEG, WebP o GIF');
+    }
+    if (file.size > AVATAR_MAX_BYTES) {
+      throw new Error('La imagen no puede superar los 2 MB');
+    }
+
+    const user = this.getCurrentUser();
+
+    if (!this.isSupabaseEnabled) {
+      return this.saveProfile({ avatar_url: await this.readAsDataUrl(file) }, 'upload_avatar');
+    }
+
+    // A new file name per upload, so CDN and browser caches never serve the old picture
+    const extension = file.type.split('/')[1].replace('jpeg', 'jpg');
+    const path = `${user.id}/avatar-${Date.now()}.${extension}`;
+
+    const avatarUrl = await this.runQuery('upload_avatar', { size: file.size }, async () => {
+      const { error } = await supabase.storage
+        .from(AVATAR_BUCKET)
+        .upload(path, file, { contentType: file.type, upsert: false });
+
+      if (error) {
+        throw new Error(error.message);
+      }
+      return supabase.storage.from(AVATAR_BUCKET).getPublicUrl(path).data.publicUrl;
+    });
+
+    const profile = await this.saveProfile({ avatar_url: avatarUrl }, 'update_profile');
+    await this.removeAvatarFiles(user.id, path);
+    return profile;
+  }
+
+  /**
+   * Remove the avatar picture
+   * @returns {Promise<Profile>} Updated profile
+   */
+  async removeAvatar() {
+    const user = this.getCurrentUser();
+    const profile = await this.saveProfile({ avatar_url: null }, 'update_profile');
+
+    if (this.isSupabaseEnabled) {
+      await this.removeAvatarFiles(user.id);
+    }
+    return profile;
+  }
+
+  /**
+   * Change the password, checking it against the registration rules
+   * Accounts created with Google or GitHub have no password yet and skip the current one
+   * @param {Object} values - { currentPassword, newPassword, confirmPassword }
+   * @param {string} language - Language of the validation message
+   * @returns {Promise<boolean>} True once changed
+   */
+  async changePassword(values = {}, language = 'es') {
+    const { currentPassword, newPassword, confirmPassword } = values;
+    const validation = validatePassword(newPassword, language);
+    if (!validation.isValid) {
+      throw new Error(validation.message);
+    }
+    if (newPassword !== confirmPassword) {
+      throw new Error('Las contraseñas no coinciden');
+    }
+    if (currentPassword && currentPassword === newPassword) {
+      throw new Error('La nueva contraseña debe ser distinta de la actual');
+    }
+
+    const user = this.getCurrentUser();
+    const hasPassword = (await this.listIdentities()).some(identity => identity.provider === 'email');
+    if (hasPassword && !currentPassword) {
+      throw new Error('Introduce tu contraseña actual');
+    }
+
+    return this.runQuery('change_password', { hasPassword }, async () => {
+      if (this.isSupabaseEnabled) {
+        if (hasPassword) {
+          const { error: signInError } = await supabase.auth.signInWithPassword({
+            email: user.email,
+            password: currentPassword
+          });
+          if (signInError) {
+            throw this.createCurrentPasswordError();
+          }
+        }
+
+        const { error } = await supabase.auth.updateUser({ password: newPassword });
+        if (error) {
+          throw new Error(error.message);
+        }
+        return true;
+      }
+
+      const response = await authService.mockApiCall('/auth/password', {
+        method: 'POST',
+        body: JSON.stringify({ email: user.email, currentPassword, newPassword })
+      });
+      if (!response.success) {
+        throw this.createCurrentPasswordError();
+      }
+      return true;
+    });
+  }
+
+  createCurrentPasswordError() {
+    const error = new Error('La contraseña actual no es correcta');
+    error.code = ACCOUNT_ERROR_CODES.INVALID_CURRENT_PASSWORD;
+    return error;
+  }
+
+  /**
+   * List the sign-in methods linked to the account
+   * @returns {Promise<Array<LinkedIdentity>>} Identities
+   */
+  async listIdentities() {
+    const user = this.getCurrentUser();
+
+    return this.runQuery('list_identities', {}, async () => {
+      if (this.isSupabaseEnabled) {
+        const { data, error } = await supabase.auth.getUserIdentities();
+        if (error) {
+          throw new Error(error.message);
+        }
+
+        return (data?.identities || []).map(identity => ({
+          id: identity.identity_id || identity.id,
+          provider: identity.provider,
+          email: identity.identity_data?.email || null,
+          createdAt: identity.created_at || null
+        }));
+      }
+
+      return this.getMockIdentities(user);
+    });
+  }
+
+  /**
+   * Link the identity of an OAuth provider offered at sign in (see config/authProviders.js)
+   * With Supabase the browser leaves for the provider and comes back to this page
+   * @param {string} provider - Provider id
+   * @returns {Promise<Array<LinkedIdentity>|null>} Identities in mock mode, null while redirecting
+   */
+  async linkIdentity(provider) {
+    if (!isOAuthProviderEnabled(provider)) {
+      throw new Error('Proveedor no válido');
+    }
+
+    const user = this.getCurrentUser();
+    const identities = await this.listIdentities();
+    if (identities.some(identity => identity.provider === provider)) {
+      throw new Error('Este proveedor ya está vinculado a tu cuenta');
+    }
+
+    return this.runQuery('link_identity', { provider }, async () => {
+      if (this.isSupabaseEnabled) {
+        const { error } = await supabase.auth.linkIdentity({
+          provider,
+          options: { redirectTo: window.location.href }
+        });
+        if (error) {
+          throw new Error(error.message);
+        }
+        return null;
+      }
+
+      const linked = [...identities, {
+        id: `${provider}_${user.id}`,
+        provider,
+        email: user.email,
+        createdAt: new Date().toISOString()
+      }];
+      this.saveMockIdentities(user.id, linked);
+      return linked;
+    });
+  }
+
+  /**
+   * Unlink an identity; the last remaining sign-in method cannot be removed
+   * @param {string} provider - Provider to unlink
+   * @returns {Promise<Array<LinkedIdentity>>} Remaining identities
+   */
+  async unlinkIdentity(provider) {
+    const user = this.getCurrentUser();
+    const identities = await this.listIdentities();
+    const identity = identities.find(item => item.provider === provider);
+
+    if (!identity) {
+      throw new Error('Este proveedor no está vinculado a tu cuenta');
+    }
+    if (identities.length < 2) {
+      throw new Error('No puedes desvincular tu único método de acceso');
+    }
+
+    const remaining = identities.filter(item => item !== identity);
+
+    return this.runQuery('unlink_identity', { provider }, async () => {
+      if (this.isSupabaseEnabled) {
+        // unlinkIdentity needs the identity object as returned by Supabase
+        const { data } = await supabase.auth.getUserIdentities();
+        const target = data?.identities?.find(item => item.provider === provider);
+        const { error } = await supabase.auth.unlinkIdentity(target);
+        if (error) {
+          throw new Error(error.message);
+        }
+        return remaining;
+      }
+
+      this.saveMockIdentities(user.id, remaining);
+      return remaining;
+    });
+  }
+
+  /**
+   * Delete the account and everything that hangs off it
+   * Deleting auth.users cascades through the schema: the users row, owned projects (with their
+   * tasks, messages and analytics), memberships, messages and analytics; tasks assigned to the
+   * user and the events they recorded keep existing without them
+   * @param {string} confirmation - The account email, typed by the user to confirm
+   * @param {string} language - Language of the confirmation message
+   * @returns {Promise<boolean>} True once deleted
+   */
+  async deleteAccount(confirmation, language = 'es') {
+    const user = this.getCurrentUser();
+    if (String(confirmation || '').trim().toLowerCase() !== String(user.email).toLowerCase()) {
+      throw new Error(i18n.t('accountDeleteEmailMismatch', {}, language));
+    }
+
+    return this.runQuery('delete_account', {}, async () => {
+      if (this.isSupabaseEnabled) {
+        // Storage objects are not covered by the foreign keys
+        await this.removeAvatarFiles(user.id);
+
+        const { error } = await supabase.rpc('delete_current_user');
+        if (error) {
+          throw new Error(error.message);
+        }
+        return true;
+      }
+
+      this.deleteMockAccount(user.id);
+      return true;
+    });
+  }
+
+  /**
+   * Mock equivalent of the ON DELETE CASCADE / SET NULL rules on users
+   * @param {string} userId - User id
+   */
+  deleteMockAccount(userId) {
+    const projects = new LocalTableStore(TABLES.PROJECTS);
+    const ownedProjectIds = new Set(projects.where(project => project.owner_id === userId).map(project => project.id));
+    const inOwnedProject = row => ownedProjectIds.has(row.project_id);
+
+    projects.removeWhere(project => project.owner_id === userId);
+
+    const members = new LocalTableStore(TABLES.PROJECT_MEMBERS, { trackUpdates: false, createdColumn: 'joined_at' });
+    members.removeWhere(member => inOwnedProject(member) || member.user_id === userId);
+    members.where(member => member.invited_by === userId).forEach(member => members.update(member.id, { invited_by: null }));
+
+    const tasks = new LocalTableStore(TABLES.TASKS);
+    const isDeletedTask = task => inOwnedProject(task) || task.created_by === userId;
+    const deletedTaskIds = new Set(tasks.where(isDeletedTask).map(task => task.id));
+    tasks.removeWhere(isDeletedTask);
+    tasks.where(task => task.assigned_to === userId).forEach(task => tasks.update(task.id, { assigned_to: null }));
+
+    const messages = new LocalTableStore(TABLES.CHAT_MESSAGES, { trackUpdates: false });
+    const isDeletedMessage = message => inOwnedProject(message) || message.user_id === userId;
+    const deletedMessageIds = new Set(messages.where(isDeletedMessage).map(message => message.id));
+    messages.removeWhere(isDeletedMessage);
+    messages.where(message => deletedMessageIds.has(message.reply_to))
+      .forEach(message => messages.update(message.id, { reply_to: null }));
+
+    new LocalTableStore(TABLES.USER_ANALYTICS, { trackUpdates: false })
+      .removeWhere(row => inOwnedProject(row) || row.user_id === userId);
+
+    const events = new LocalTableStore(TABLES.TASK_EVENTS, { trackUpdates: false });
+    events.removeWhere(event => inOwnedProject(event) || deletedTaskIds.has(event.task_id));
+    events.where(event => event.user_id === userId).forEach(event => events.update(event.id, { user_id: null }));
+
+    this.userStore.remove(userId);
+    authService.saveMockMfaRecord(userId, null);
+    this.saveMockIdentities(userId, null);
+  }
+
+  /**
+   * Write profile columns and keep the signed-in user (shown by the app shell) in sync
+   * @param {Object} changes - Column values
+   * @param {string} operation - Operation name for logging
+   * @returns {Promise<Profile>} Updated profile
+   */
+  async saveProfile(changes, operation) {
+    const user = this.getCurrentUser();
+
+    const profile = await this.runQuery(operation, { columns: Object.keys(changes) }, async () => {
+      if (this.isSupabaseEnabled) {
+        const { data, error } = await supabase
+          .from(TABLES.USERS)
+          .update(changes)
+          .eq('id', user.id)
+          .select('id, email, name, avatar_url, preferences')
+          .single();
+
+        if (error) {
+          throw new Error(error.message);
+        }
+        return data;
+      }
+
+      const current = await this.getProfile();
+      return this.userStore.update(user.id, changes) || this.userStore.insert({ ...current, ...changes });
+    });
+
+    if (changes.name !== undefined || changes.avatar_url !== undefined) {
+      await this.syncSessionUser(profile);
+    }
+    return this.withPreferenceDefaults(profile);
+  }
+
+  /**
+   * @param {Profile} profile - Saved profile
+   */
+  async syncSessionUser(profile) {
+    if (this.isSupabaseEnabled) {
+      const { data, error } = await supabase.auth.updateUser({
+        data: { name: profile.name, avatar_url: profile.avatar_url }
+      });
+      if (!error && data?.user) {
+        authService.currentUser = data.user;
+      }
+      return;
+    }
+
+    const user = { ...authService.getCurrentUser(), name: profile.name, avatar: profile.avatar_url };
+    authService.currentUser = user;
+    localStorage.setItem('user_data', JSON.stringify(user));
+  }
+
+  /**
+   * Remove the user's avatar files, except `keepPath`
+   * Failures are logged only: a leftover file must not block the change that triggered it
+   * @param {string} userId - User id (the folder name)
+   * @param {string} keepPath - Path to keep
+   */
+  async removeAvatarFiles(userId, keepPath = null) {
+    try {
+      const { data, error } = await supabase.storage.from(AVATAR_BUCKET).list(userId);
+      if (error) {
+        throw new Error(error.message);
+      }
+
+      const paths = (data || []).map(file => `${userId}/${file.name}`).filter(path => path !== keepPath);
+      if (paths.length > 0) {
+        await supabase.storage.from(AVATAR_BUCKET).remove(paths);
+      }
+    } catch (error) {
+      console.warn('Error removing old avatar files:', error);
+    }
+  }
+
+  readAsDataUrl(file) {
+    return new Promise((resolve, reject) => {
+      const reader = new FileReader();
+      reader.onload = () => resolve(reader.result);
+      reader.onerror = () => reject(new Error('No se pudo leer la imagen'));
+      reader.readAsDataURL(file);
+    });
+  }
+
+  withPreferenceDefaults(profile) {
+    return { ...profile, preferences: { ...PREFERENCE_DEFAULTS, ...(profile.preferences || {}) } };
+  }
+
+  pickPreferences(preferences) {
+    return Object.fromEntries(
+      Object.entries(preferences || {}).filter(([key]) => key in PREFERENCE_DEFAULTS)
+    );
+  }
+
+  /**
+   * Mock identities: the provider the user signed up with, plus any linked since
+   * @param {Object} user - Mock user
+   * @returns {Array<LinkedIdentity>} Identities
+   */
+  getMockIdentities(user) {
+    try {
+      const stored = JSON.parse(localStorage.getItem(MOCK_IDENTITIES_STORAGE_KEY)) || {};
+      if (stored[user.id]) {
+        return stored[user.id];
+      }
+    } catch (error) {
+      console.warn('Error reading mock identities:', error);
+    }
+
+    return [{ id: `${user.provider || 'email'}_${user.id}`, provider: user.provider || 'email', email: user.email, createdAt: null }];
+  }
+
+  saveMockIdentities(userId, identities) {
+    let stored;
+    try {
+      stored = JSON.parse(localStorage.getItem(MOCK_IDENTITIES_STORAGE_KEY)) || {};
+    } catch (error) {
+      stored = {};
+    }
+
+    if (identities) {
+      stored[userId] = identities;
+    } else {
+      delete stored[userId];
+    }
+    localStorage.setItem(MOCK_IDENTITIES_STORAGE_KEY, JSON.stringify(stored));
+  }
+
+  /**
+   * Run a query, logging failures and duration
+   * @param {string} operation - Operation name
+   * @param {Object} context - Log context
+   * @param {Function} fn - Async query
+   * @returns {Promise<any>} Query result
+   */
+  async runQuery(operation, context, fn) {
+    return runLoggedQuery(operation, context, fn, this.isSupabaseEnabled);
+  }
+}
+
+// Create singleton instance
+export const accountService = new AccountService();
+export default accountService;
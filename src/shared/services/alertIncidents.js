@@ -0,0 +1,331 @@
+/**
+ * Alert Incidents
+ * Persists alerting history in localStorage and groups alerts into incidents: an alert
+ * joins the open incident of its rule when it fires within the grouping window of that
+ * incident's last alert, otherwise it opens a new one. Each incident keeps a timeline of its
+ * alerts, acknowledgements, escalations, annotations and resolution; of a long-running
+ * incident only the first and last alerts stay on it, the ones between are counted
+ */
+
+export const INCIDENT_STATUS = {
+  OPEN: 'open',
+  ACKNOWLEDGED: 'acknowledged',
+  RESOLVED: 'resolved'
+};
+
+export const TIMELINE_EVENTS = {
+  ALERT: 'alert',
+  ACKNOWLEDGED: 'acknowledged',
+  ESCALATION: 'escalation',
+  ANNOTATION: 'annotation',
+  RESOLVED: 'resolved',
+  OMITTED: 'omitted'
+};
+
+export const INCIDENT_CONFIG = {
+  GROUP_WINDOW_MS: 30 * 60 * 1000, // 30 minutes
+  MAX_INCIDENTS: 200,
+  TIMELINE_ALERTS_KEPT: 10, // First and last alerts kept on each incident's timeline
+  STORAGE_KEY: 'anclora_alert_incidents'
+};
+
+const PRIORITY_ORDER = ['low', 'medium', 'high', 'critical'];
+
+const CSV_COLUMNS = [
+  'incident_id', 'rule_id', 'priority', 'status', 'opened_at', 'resolved_at',
+  'event_type', 'event_time', 'message', 'escalation_level'
+];
+
+/**
+ * Quote a CSV field when it holds a comma, quote or line break
+ * @param {*} value - Field value
+ * @returns {string} CSV field
+ */
+export function toCsvField(value) {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toIsoString(timestamp) {
+  return timestamp ? new Date(timestamp).toISOString() : '';
+}
+
+/**
+ * IncidentStore class for grouping, persisting and querying alert incidents
+ */
+export class IncidentStore {
+  /**
+   * @param {Object} options - Options
+   * @param {number} options.groupWindowMs - Time after an incident's last alert during which new alerts join it
+   * @param {number} options.maxIncidents - Incidents kept; the oldest resolved ones go first
+   * @param {number} options.timelineAlertsKept - Alerts kept from each end of an incident's timeline
+   * @param {string} options.storageKey - localStorage key
+   */
+  constructor({
+    groupWindowMs = INCIDENT_CONFIG.GROUP_WINDOW_MS,
+    maxIncidents = INCIDENT_CONFIG.MAX_INCIDENTS,
+    timelineAlertsKept = INCIDENT_CONFIG.TIMELINE_ALERTS_KEPT,
+    storageKey = INCIDENT_CONFIG.STORAGE_KEY
+  } = {}) {
+    this.groupWindowMs = groupWindowMs;
+    this.maxIncidents = maxIncidents;
+    this.timelineAlertsKept = timelineAlertsKept;
+    this.storageKey = storageKey;
+    this.incidents = this.load();
+  }
+
+  /**
+   * Add an alert to its rule's open incident, or open a new one
+   * @param {Object} alert - Alert from AlertingSystem (id, type, priority, message, timestamp, data, ruleId)
+   * @returns {Object} Incident the alert belongs to
+   */
+  recordAlert(alert) {
+    const ruleId = alert.ruleId || alert.type;
+    const timestamp = alert.timestamp || Date.now();
+
+    let incident = this.incidents.find(item =>
+      item.ruleId === ruleId &&
+      item.status !== INCIDENT_STATUS.RESOLVED &&
+      timestamp - item.lastAlertAt <= this.groupWindowMs
+    );
+
+    if (!incident) {
+      incident = {
+        id: `incident_${ruleId}_${timestamp}`,
+        ruleId,
+        type: alert.type,
+        priority: alert.priority,
+        message: alert.message,
+        status: INCIDENT_STATUS.OPEN,
+        openedAt: timestamp,
+        lastAlertAt: timestamp,
+        acknowledgedAt: null,
+        resolvedAt: null,
+        alertCount: 0,
+        timeline: []
+      };
+      this.incidents.unshift(incident);
+    }
+
+    incident.alertCount++;
+    incident.lastAlertAt = timestamp;
+    if (PRIORITY_ORDER.indexOf(alert.priority) > PRIORITY_ORDER.indexOf(incident.priority)) {
+      incident.priority = alert.priority;
+    }
+    incident.timeline.push({
+      type: TIMELINE_EVENTS.ALERT,
+      timestamp,
+      alertId: alert.id,
+      priority: alert.priority,
+      message: alert.message,
+      data: alert.data
+    });
+    this.trimTimeline(incident);
+
+    this.prune();
+    this.save();
+    return incident;
+  }
+
+  /**
+   * @param {string} incidentId - Incident id
+   * @param {Object} details - Who acknowledged it, optional
+   * @returns {Object|null} Updated incident
+   */
+  acknowledge(incidentId, { by = null } = {}) {
+    return this.update(incidentId, incident => {
+      if (incident.status !== INCIDENT_STATUS.OPEN) return false;
+      incident.status = INCIDENT_STATUS.ACKNOWLEDGED;
+      incident.acknowledgedAt = Date.now();
+      incident.timeline.push({ type: TIMELINE_EVENTS.ACKNOWLEDGED, timestamp: incident.acknowledgedAt, by });
+      return true;
+    });
+  }
+
+  /**
+   * @param {string} incidentId - Incident id
+   * @param {string} note - Resolution note, optional
+   * @returns {Object|null} Updated incident
+   */
+  resolve(incidentId, note = '') {
+    return this.update(incidentId, incident => {
+      if (incident.status === INCIDENT_STATUS.RESOLVED) return false;
+      incident.status = INCIDENT_STATUS.RESOLVED;
+      incident.resolvedAt = Date.now();
+      incident.timeline.push({ type: TIMELINE_EVENTS.RESOLVED, timestamp: incident.resolvedAt, message: note || null });
+      return true;
+    });
+  }
+
+  /**
+   * @param {string} incidentId - Incident id
+   * @param {string} text - Note to add to the timeline
+   * @returns {Object|null} Updated incident
+   */
+  annotate(incidentId, text) {
+    const message = String(text || '').trim();
+    if (!message) {
+      throw new Error('Annotation text is required');
+    }
+
+    return this.update(incidentId, incident => {
+      incident.timeline.push({ type: TIMELINE_EVENTS.ANNOTATION, timestamp: Date.now(), message });
+      return true;
+    });
+  }
+
+  /**
+   * Record an escalation attempt on the incident of the escalated alert
+   * @param {string} incidentId - Incident id
+   * @param {Object} attempt - { level, results: [{ channel, success }] }
+   * @returns {Object|null} Updated incident
+   */
+  recordEscalation(incidentId, attempt) {
+    return this.update(incidentId, incident => {
+      incident.timeline.push({
+        type: TIMELINE_EVENTS.ESCALATION,
+        timestamp: attempt.timestamp || Date.now(),
+        level: attempt.level,
+        results: attempt.results
+      });
+      return true;
+    });
+  }
+
+  update(incidentId, change) {
+    const incident = this.getIncident(incidentId);
+    if (!incident) return null;
+
+    if (change(incident)) {
+      this.save();
+    }
+    return incident;
+  }
+
+  /**
+   * @param {string} incidentId - Incident id
+   * @returns {Object|null} Incident
+   */
+  getIncident(incidentId) {
+    return this.incidents.find(incident => incident.id === incidentId) || null;
+  }
+
+  /**
+   * Incidents matching every given filter, most recently active first
+   * @param {Object} filters - Filters
+   * @param {string|Array<string>} filters.status - INCIDENT_STATUS value(s)
+   * @param {string} filters.ruleId - Rule id
+   * @param {string} filters.priority - Minimum priority
+   * @param {number} filters.since - Active at or after this timestamp
+   * @param {number} filters.until - Opened at or before this timestamp
+   * @param {number} filters.limit - Maximum incidents
+   * @returns {Array<Object>} Incidents
+   */
+  query({ status = null, ruleId = null, priority = null, since = null, until = null, limit = null } = {}) {
+    const statuses = status ? [].concat(status) : null;
+    const minPriority = priority ? PRIORITY_ORDER.indexOf(priority) : -1;
+
+    const matches = this.incidents
+      .filter(incident => !statuses || statuses.includes(incident.status))
+      .filter(incident => !ruleId || incident.ruleId === ruleId)
+      .filter(incident => PRIORITY_ORDER.indexOf(incident.priority) >= minPriority)
+      .filter(incident => !since || incident.lastAlertAt >= since || (incident.resolvedAt || 0) >= since)
+      .filter(incident => !until || incident.openedAt <= until)
+      .sort((a, b) => b.lastAlertAt - a.lastAlertAt);
+
+    return limit ? matches.slice(0, limit) : matches;
+  }
+
+  /**
+   * Export incidents as JSON (incidents with their timelines) or CSV (one row per timeline event)
+   * @param {string} format - 'json' or 'csv'
+   * @param {Object} filters - See query
+   * @returns {string} Exported data
+   */
+  export(format = 'json', filters = {}) {
+    const incidents = this.query(filters);
+
+    if (format === 'csv') {
+      const rows = incidents.flatMap(incident => incident.timeline.map(event => [
+        incident.id,
+        incident.ruleId,
+        incident.priority,
+        incident.status,
+        toIsoString(incident.openedAt),
+        toIsoString(incident.resolvedAt),
+        event.type,
+        toIsoString(event.timestamp),
+        event.message,
+        event.level
+      ]));
+
+      return [CSV_COLUMNS, ...rows].map(row => row.map(toCsvField).join(',')).join('\n');
+    }
+
+    return JSON.stringify({ incidents, exportTimestamp: Date.now() }, null, 2);
+  }
+
+  /**
+   * Incident counts by status
+   * @returns {Object} { open, acknowledged, resolved }
+   */
+  getStats() {
+    return this.incidents.reduce((counts, incident) => {
+      counts[incident.status]++;
+      return counts;
+    }, { [INCIDENT_STATUS.OPEN]: 0, [INCIDENT_STATUS.ACKNOWLEDGED]: 0, [INCIDENT_STATUS.RESOLVED]: 0 });
+  }
+
+  clear() {
+    this.incidents = [];
+    this.save();
+  }
+
+  /**
+   * Drop the oldest alert after the first ones kept once the timeline holds more alerts
+   * than it keeps from both ends, counting it on an omitted event in its place
+   * @param {Object} incident - Incident
+   */
+  trimTimeline(incident) {
+    const alerts = incident.timeline.filter(event => event.type === TIMELINE_EVENTS.ALERT);
+    if (alerts.length <= 2 * this.timelineAlertsKept) return;
+
+    const dropped = alerts[this.timelineAlertsKept];
+    const index = incident.timeline.indexOf(dropped);
+    incident.timeline.splice(index, 1);
+
+    let omitted = incident.timeline.find(event => event.type === TIMELINE_EVENTS.OMITTED);
+    if (!omitted) {
+      omitted = { type: TIMELINE_EVENTS.OMITTED, timestamp: dropped.timestamp, count: 0 };
+      incident.timeline.splice(index, 0, omitted);
+    }
+    omitted.count++;
+  }
+
+  prune() {
+    while (this.incidents.length > this.maxIncidents) {
+      const oldestResolved = this.incidents.map(incident => incident.status).lastIndexOf(INCIDENT_STATUS.RESOLVED);
+      this.incidents.splice(oldestResolved === -1 ? this.incidents.length - 1 : oldestResolved, 1);
+    }
+  }
+
+  load() {
+    try {
+      const stored = JSON.parse(localStorage.getItem(this.storageKey));
+      return Array.isArray(stored) ? stored : [];
+    } catch (error) {
+      return [];
+    }
+  }
+
+  save() {
+    try {
+      localStorage.setItem(this.storageKey, JSON.stringify(this.incidents));
+    } catch (error) {
+      console.warn('Failed to persist alert incidents:', error);
+    }
+  }
+}
+
+export default IncidentStore;
@@ -0,0 +1,387 @@
+/**
+ * Alert Rules
+ * Declarative rule language for the alerting system. A rule is plain data (JSON, or YAML converted
+ * to JSON), validated up front and compiled into the { condition, data } pair AlertingSystem checks.
+ *
+ *   {
+ *     "id": "auth_errors_rising",
+ *     "priority": "high",
+ *     "message": "Auth errors are rising",
+ *     "when": { "all": [
+ *       { "metric": "errorRates.lastHour.errorRate", "window": "15m", "aggregate": "avg", "op": ">", "value": 5 },
+ *       { "metric": "errorRates.lastHour.errorEvents", "change": "10m", "op": ">=", "value": 20 }
+ *     ] },
+ *     "channels": ["console", "webhook"],
+ *     "escalate": true,
+ *     "cooldown": "10m",
+ *     "data": { "errorRate": "errorRates.lastHour.errorRate" }
+ *   }
+ *
+ * Metrics are dot paths into the snapshot taken on every check: errorAnalytics' dashboard
+ * (overview, errorRates, userExperience, alerts) plus performanceOptimizer's detailed metrics
+ * under `performance`. Conditions compare the current value, an aggregate over a window of past
+ * checks, or the change over a window (`"percent": true` for relative change), and combine with
+ * `all`, `any` and `not`. Durations are milliseconds or strings such as "30s", "15m", "2h".
+ */
+
+export const METRIC_ROOTS = ['overview', 'errorRates', 'userExperience', 'alerts', 'performance', 'timestamp'];
+
+export const RULE_OPERATORS = {
+  '>': (a, b) => a > b,
+  '>=': (a, b) => a >= b,
+  '<': (a, b) => a < b,
+  '<=': (a, b) => a <= b,
+  '==': (a, b) => a === b,
+  '!=': (a, b) => a !== b
+};
+
+export const RULE_AGGREGATES = {
+  avg: values => values.reduce((sum, value) => sum + value, 0) / values.length,
+  min: values => Math.min(...values),
+  max: values => Math.max(...values),
+  sum: values => values.reduce((sum, value) => sum + value, 0)
+};
+
+// ALERT_CONFIG.PRIORITIES and ALERT_CONFIG.CHANNELS values; alertingSystem imports this module
+const RULE_PRIORITIES = ['low', 'medium', 'high', 'critical'];
+const RULE_CHANNELS = ['console', 'browser_notification', 'email', 'webhook', 'custom'];
+const RULE_KEYS = ['id', 'priority', 'message', 'when', 'channels', 'escalate', 'cooldown', 'data', 'enabled'];
+const DURATION_UNITS = { ms: 1, s: 1000, m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+const DEFAULT_COOLDOWN_MS = 5 * 60 * 1000;
+
+/**
+ * @typedef {Object} AlertRuleDefinition
+ * @property {string} id - Rule id, letters, digits and underscores
+ * @property {string} priority - low, medium, high or critical
+ * @property {string} message - Alert message
+ * @property {Object} when - Condition
+ * @property {Array<string>} channels - Notification channels the alert goes to
+ * @property {boolean} escalate - Retry through the channels when delivery fails
+ * @property {number|string} cooldown - Minimum time between alerts of the rule
+ * @property {Object} data - Alert data: name => metric path, or a literal value
+ * @property {boolean} enabled - false keeps the rule defined but never checked
+ */
+
+/**
+ * @param {number|string} duration - Milliseconds or e.g. "15m"
+ * @returns {number|null} Milliseconds, or null when the duration is not valid
+ */
+export function parseDuration(duration) {
+  if (typeof duration === 'number') {
+    return Number.isFinite(duration) && duration >= 0 ? duration : null;
+  }
+  const match = /^(\d+(?:\.\d+)?)\s*(ms|s|m|h|d)$/.exec(String(duration).trim());
+  return match ? Number(match[1]) * DURATION_UNITS[match[2]] : null;
+}
+
+/**
+ * @param {Object} metrics - Metrics snapshot
+ * @param {string} path - Dot path, e.g. errorRates.lastHour.errorRate
+ * @returns {*} Value, or undefined when the path does not exist
+ */
+export function resolveMetric(metrics, path) {
+  return path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), metrics);
+}
+
+// Plain lookups would accept inherited names such as "constructor"
+function lookup(table, name) {
+  return typeof name === 'string' && Object.hasOwn(table, name) ? table[name] : undefined;
+}
+
+function describe(value) {
+  return JSON.stringify(value);
+}
+
+function validateMetricPath(path, where, errors) {
+  if (typeof path !== 'string' || !/^[A-Za-z_$][\w$]*(\.[\w$]+)*$/.test(path)) {
+    errors.push(`${where}: metric must be a dot path such as "errorRates.lastHour.errorRate", got ${describe(path)}`);
+    return;
+  }
+  const root = path.split('.')[0];
+  if (!METRIC_ROOTS.includes(root)) {
+    errors.push(`${where}: unknown metric "${path}"; paths start with one of ${METRIC_ROOTS.join(', ')}`);
+  }
+}
+
+function validateCondition(condition, where, errors) {
+  if (!condition || typeof condition !== 'object' || Array.isArray(condition)) {
+    errors.push(`${where}: condition must be an object, got ${describe(condition)}`);
+    return;
+  }
+
+  for (const combinator of ['all', 'any']) {
+    if (combinator in condition) {
+      const conditions = condition[combinator];
+      if (!Array.isArray(conditions) || conditions.length === 0) {
+        errors.push(`${where}.${combinator}: must be a non-empty list of conditions`);
+        return;
+      }
+      conditions.forEach((item, index) => validateCondition(item, `${where}.${combinator}[${index}]`, errors));
+      return;
+    }
+  }
+  if ('not' in condition) {
+    validateCondition(condition.not, `${where}.not`, errors);
+    return;
+  }
+
+  if (!('metric' in condition)) {
+    errors.push(`${where}: condition needs "metric", or "all", "any" or "not"`);
+    return;
+  }
+  validateMetricPath(condition.metric, `${where}.metric`, errors);
+
+  const compare = lookup(RULE_OPERATORS, condition.op);
+  if (!compare) {
+    errors.push(`${where}.op: ${describe(condition.op)} is not an operator; use one of ${Object.keys(RULE_OPERATORS).join(', ')}`);
+  }
+  if (!('value' in condition)) {
+    errors.push(`${where}.value: missing the value to compare against`);
+  }
+
+  const numeric = 'window' in condition || 'change' in condition || ['>', '>=', '<', '<='].includes(condition.op);
+  if (numeric && 'value' in condition && typeof condition.value !== 'number') {
+    errors.push(`${where}.value: must be a number for ${condition.op} comparisons, windows and changes, got ${describe(condition.value)}`);
+  }
+
+  if ('window' in condition && 'change' in condition) {
+    errors.push(`${where}: use either "window" or "change", not both`);
+  }
+  if ('window' in condition) {
+    if (parseDuration(condition.window) === null) {
+      errors.push(`${where}.window: ${describe(condition.window)} is not a duration; use milliseconds or e.g. "15m"`);
+    }
+    if (!lookup(RULE_AGGREGATES, condition.aggregate)) {
+      errors.push(`${where}.aggregate: ${describe(condition.aggregate)} is not an aggregate; use one of ${Object.keys(RULE_AGGREGATES).join(', ')}`);
+    }
+  } else if ('aggregate' in condition) {
+    errors.push(`${where}.aggregate: only applies together with "window"`);
+  }
+  if ('change' in condition && parseDuration(condition.change) === null) {
+    errors.push(`${where}.change: ${describe(condition.change)} is not a duration; use milliseconds or e.g. "10m"`);
+  }
+  if ('percent' in condition && !('change' in condition)) {
+    errors.push(`${where}.percent: only applies together with "change"`);
+  }
+}
+
+/**
+ * Validate a rule definition
+ * @param {AlertRuleDefinition} definition - Rule definition
+ * @returns {Object} { isValid, errors } with one readable message per problem
+ */
+export function validateAlertRule(definition) {
+  const errors = [];
+
+  if (!definition || typeof definition !== 'object' || Array.isArray(definition)) {
+    return { isValid: false, errors: [`rule must be an object, got ${describe(definition)}`] };
+  }
+
+  const where = typeof definition.id === 'string' && definition.id ? definition.id : 'rule';
+
+  if (typeof definition.id !== 'string' || !/^[a-z][a-z0-9_]*$/i.test(definition.id)) {
+    errors.push(`${where}.id: must be letters, digits and underscores, got ${describe(definition.id)}`);
+  }
+  for (const key of Object.keys(definition)) {
+    if (!RULE_KEYS.includes(key)) {
+      errors.push(`${where}.${key}: unknown field; rules take ${RULE_KEYS.join(', ')}`);
+    }
+  }
+  if ('priority' in definition && !RULE_PRIORITIES.includes(definition.priority)) {
+    errors.push(`${where}.priority: ${describe(definition.priority)} is not a priority; use one of ${RULE_PRIORITIES.join(', ')}`);
+  }
+  if ('message' in definition && typeof definition.message !== 'string') {
+    errors.push(`${where}.message: must be a string`);
+  }
+
+  if (!('when' in definition)) {
+    errors.push(`${where}.when: missing the condition that triggers the alert`);
+  } else {
+    validateCondition(definition.when, `${where}.when`, errors);
+  }
+
+  if ('channels' in definition) {
+    if (!Array.isArray(definition.channels) || definition.channels.length === 0) {
+      errors.push(`${where}.channels: must be a non-empty list of channels`);
+    } else {
+      definition.channels
+        .filter(channel => !RULE_CHANNELS.includes(channel))
+        .forEach(channel => errors.push(`${where}.channels: ${describe(channel)} is not a channel; use ${RULE_CHANNELS.join(', ')}`));
+    }
+  }
+  for (const key of ['escalate', 'enabled']) {
+    if (key in definition && typeof definition[key] !== 'boolean') {
+      errors.push(`${where}.${key}: must be true or false`);
+    }
+  }
+  if ('cooldown' in definition && parseDuration(definition.cooldown) === null) {
+    errors.push(`${where}.cooldown: ${describe(definition.cooldown)} is not a duration; use milliseconds or e.g. "5m"`);
+  }
+
+  if ('data' in definition) {
+    if (!definition.data || typeof definition.data !== 'object' || Array.isArray(definition.data)) {
+      errors.push(`${where}.data: must map names to metric paths`);
+    } else {
+      Object.entries(definition.data)
+        .filter(([, value]) => typeof value === 'string')
+        .forEach(([name, path]) => validateMetricPath(path, `${where}.data.${name}`, errors));
+    }
+  }
+
+  return { isValid: errors.length === 0, errors };
+}
+
+/**
+ * Validate a rule set, including duplicate ids
+ * @param {Array<AlertRuleDefinition>} definitions - Rule definitions
+ * @returns {Object} { isValid, errors }
+ */
+export function validateAlertRules(definitions) {
+  if (!Array.isArray(definitions)) {
+    return { isValid: false, errors: [`rules must be a list, got ${describe(definitions)}`] };
+  }
+
+  const errors = definitions.flatMap((definition, index) =>
+    validateAlertRule(definition).errors.map(error => `rules[${index}] ${error}`)
+  );
+
+  const seen = new Set();
+  definitions.forEach((definition, index) => {
+    if (definition?.id && seen.has(definition.id)) {
+      errors.push(`rules[${index}] ${definition.id}.id: duplicate rule id`);
+    }
+    seen.add(definition?.id);
+  });
+
+  return { isValid: errors.length === 0, errors };
+}
+
+/**
+ * Values of tracked metrics over time, for window and change conditions
+ */
+export class MetricHistory {
+  constructor() {
+    this.retention = new Map();
+    this.samples = new Map();
+  }
+
+  /**
+   * Keep samples of a metric for at least the given time
+   * @param {string} path - Metric path
+   * @param {number} windowMs - Longest window a condition looks back
+   */
+  track(path, windowMs) {
+    this.retention.set(path, Math.max(windowMs, this.retention.get(path) || 0));
+    if (!this.samples.has(path)) this.samples.set(path, []);
+  }
+
+  /**
+   * Sample every tracked metric that currently has a numeric value
+   * @param {Object} metrics - Metrics snapshot
+   * @param {number} now - Sample time
+   */
+  record(metrics, now = Date.now()) {
+    for (const [path, windowMs] of this.retention.entries()) {
+      const samples = this.samples.get(path);
+      const value = resolveMetric(metrics, path);
+      if (typeof value === 'number' && Number.isFinite(value)) {
+        samples.push({ timestamp: now, value });
+      }
+      while (samples.length > 0 && samples[0].timestamp < now - windowMs) {
+        samples.shift();
+      }
+    }
+  }
+
+  /**
+   * @param {string} path - Metric path
+   * @param {number} since - Oldest sample time
+   * @returns {Array<number>} Values, oldest first
+   */
+  values(path, since) {
+    return (this.samples.get(path) || [])
+      .filter(sample => sample.timestamp >= since)
+      .map(sample => sample.value);
+  }
+}
+
+function compileCondition(condition, history) {
+  if (condition.all) {
+    const conditions = condition.all.map(item => compileCondition(item, history));
+    return (metrics, now) => conditions.every(check => check(metrics, now));
+  }
+  if (condition.any) {
+    const conditions = condition.any.map(item => compileCondition(item, history));
+    return (metrics, now) => conditions.some(check => check(metrics, now));
+  }
+  if (condition.not) {
+    const negated = compileCondition(condition.not, history);
+    return (metrics, now) => !negated(metrics, now);
+  }
+
+  const { metric, value } = condition;
+  const compare = RULE_OPERATORS[condition.op];
+
+  if ('window' in condition) {
+    const windowMs = parseDuration(condition.window);
+    const aggregate = RULE_AGGREGATES[condition.aggregate];
+    history.track(metric, windowMs);
+    return (metrics, now) => {
+      const values = history.values(metric, now - windowMs);
+      return values.length > 0 && compare(aggregate(values), value);
+    };
+  }
+
+  if ('change' in condition) {
+    const windowMs = parseDuration(condition.change);
+    history.track(metric, windowMs);
+    return (metrics, now) => {
+      const values = history.values(metric, now - windowMs);
+      if (values.length < 2) return false;
+      const first = values[0];
+      const last = values[values.length - 1];
+      if (condition.percent) {
+        return first !== 0 && compare(((last - first) / Math.abs(first)) * 100, value);
+      }
+      return compare(last - first, value);
+    };
+  }
+
+  return metrics => {
+    const current = resolveMetric(metrics, metric);
+    return current !== undefined && compare(current, value);
+  };
+}
+
+/**
+ * Compile a rule definition into the rule configuration AlertingSystem.addRule takes
+ * @param {AlertRuleDefinition} definition - Rule definition
+ * @param {MetricHistory} history - History the rule's window and change conditions read;
+ *   its metrics must be recorded before every check
+ * @returns {Object} Rule configuration
+ * @throws {Error} When the definition is not valid; error.errors lists every problem
+ */
+export function compileAlertRule(definition, history) {
+  const { isValid, errors } = validateAlertRule(definition);
+  if (!isValid) {
+    throw Object.assign(new Error(`Invalid alert rule:\n  ${errors.join('\n  ')}`), { errors });
+  }
+
+  const condition = compileCondition(definition.when, history);
+  const data = definition.data || {};
+
+  return {
+    condition: metrics => condition(metrics, Date.now()),
+    data: metrics => Object.fromEntries(Object.entries(data).map(([name, path]) => [
+      name,
+      typeof path === 'string' ? resolveMetric(metrics, path) : path
+    ])),
+    priority: definition.priority,
+    message: definition.message,
+    channels: definition.channels,
+    escalate: definition.escalate,
+    cooldownMs: parseDuration(definition.cooldown ?? DEFAULT_COOLDOWN_MS),
+    enabled: definition.enabled !== false,
+    definition
+  };
+}
@@ -6,6 +6,9 @@
 
 import errorAnalytics from './errorAnalytics.js';
 import performanceOptimizer from './performanceOptimizer.js';
+import { IncidentStore } from './alertIncidents.js';
+import { MetricHistory, compileAlertRule, validateAlertRules } from './alertRules.js';
+import { DEFAULT_ALERT_RULES, ALERT_THRESHOLDS } from '../config/alertRules.js';
 
 /**
  * Alert configuration constants
@@ -28,26 +31,39 @@ export const ALERT_CONFIG = {
     CRITICAL: 'critical'
   },
   
-  // Default thresholds
-  THRESHOLDS: {
-    ERROR_RATE_WARNING: 5,      // 5% error rate warning
-    ERROR_RATE_CRITICAL: 15,    // 15% error rate critical
-    RESPONSE_TIME_WARNING: 3000, // 3s response time warning
-    RESPONSE_TIME_CRITICAL: 5000, // 5s response time critical
-    MEMORY_WARNING: 50,         // 50MB memory warning
-    MEMORY_CRITICAL: 100,       // 100MB memory critical
-    CONSECUTIVE_FAILURES: 5,    // 5 consecutive failures
-    NETWORK_ERROR_RATE: 10      // 10% network error rate
-  },
+  // Default thresholds (config/alertRules.js, where the default rules read them)
+  THRESHOLDS: ALERT_THRESHOLDS,
   
   // Escalation settings
   ESCALATION: {
     RETRY_INTERVAL: 5 * 60 * 1000,    // 5 minutes
     MAX_ESCALATIONS: 3,               // Maximum escalation levels
     ESCALATION_MULTIPLIER: 2          // Time multiplier for each escalation
+  },
+
+  // localStorage keys; history and escalations survive reloads
+  STORAGE_KEYS: {
+    HISTORY: 'anclora_alert_history',
+    ESCALATIONS: 'anclora_alert_escalations'
   }
 };
 
+function readStored(key, fallback) {
+  try {
+    return JSON.parse(localStorage.getItem(key)) ?? fallback;
+  } catch (error) {
+    return fallback;
+  }
+}
+
+function writeStored(key, value) {
+  try {
+    localStorage.setItem(key, JSON.stringify(value));
+  } catch (error) {
+    console.warn(`Failed to persist ${key}:`, error);
+  }
+}
+
 /**
  * Notification channel interface
  */
@@ -316,9 +332,23 @@ class CustomNotificationChannel extends NotificationChannel {
  * Alert escalation manager
  */
 class AlertEscalationManager {
-  constructor() {
+  /**
+   * @param {Object} options - Options
+   * @param {Function} options.onAttempt - Called with (alert, attempt) after each escalation attempt
+   */
+  constructor({ onAttempt = null } = {}) {
     this.escalations = new Map();
     this.escalationTimers = new Map();
+    this.onAttempt = onAttempt;
+  }
+
+  /**
+   * Escalations are per alert type and priority: a new alert replaces the running one
+   * @param {Object} alert - Alert object
+   * @returns {string} Escalation identifier
+   */
+  getEscalationKey(alert) {
+    return `${alert.type}_${alert.priority}`;
   }
 
   /**
@@ -327,7 +357,7 @@ class AlertEscalationManager {
    * @param {Array} channels - Notification channels
    */
   startEscalation(alert, channels) {
-    const escalationKey = `${alert.type}_${alert.priority}`;
+    const escalationKey = this.getEscalationKey(alert);
     
     // Clear existing escalation if any
     this.clearEscalation(escalationKey);
@@ -347,21 +377,53 @@ class AlertEscalationManager {
   /**
    * Schedule next escalation attempt
    * @param {string} escalationKey - Escalation identifier
+   * @param {number} delay - Delay in ms; defaults to the backoff for the current level
    */
-  scheduleNextEscalation(escalationKey) {
+  scheduleNextEscalation(escalationKey, delay = null) {
     const escalationData = this.escalations.get(escalationKey);
     if (!escalationData || escalationData.level >= ALERT_CONFIG.ESCALATION.MAX_ESCALATIONS) {
       return;
     }
 
-    const delay = ALERT_CONFIG.ESCALATION.RETRY_INTERVAL * 
+    const nextDelay = delay ?? ALERT_CONFIG.ESCALATION.RETRY_INTERVAL *
                   Math.pow(ALERT_CONFIG.ESCALATION.ESCALATION_MULTIPLIER, escalationData.level);
+    escalationData.nextAttemptAt = Date.now() + nextDelay;
 
     const timerId = setTimeout(async () => {
       await this.executeEscalation(escalationKey);
-    }, delay);
+    }, nextDelay);
 
     this.escalationTimers.set(escalationKey, timerId);
+    this.save();
+  }
+
+  /**
+   * Resume the escalations saved before a reload; overdue attempts run right away
+   * @param {Function} resolveChannel - Channel type => channel, or undefined if it no longer exists
+   */
+  restore(resolveChannel) {
+    const stored = readStored(ALERT_CONFIG.STORAGE_KEYS.ESCALATIONS, {});
+
+    for (const [escalationKey, data] of Object.entries(stored)) {
+      const channels = (data.channelTypes || []).map(resolveChannel).filter(Boolean);
+      if (channels.length === 0 || this.escalations.has(escalationKey)) continue;
+
+      const escalation = { ...data, channels };
+      delete escalation.channelTypes;
+      this.escalations.set(escalationKey, escalation);
+      this.scheduleNextEscalation(escalationKey, Math.max(0, data.nextAttemptAt - Date.now()));
+    }
+  }
+
+  /**
+   * Persist escalations with their channel types; channels are objects and are looked up again on restore
+   */
+  save() {
+    const stored = {};
+    for (const [escalationKey, { channels, ...data }] of this.escalations.entries()) {
+      stored[escalationKey] = { ...data, channelTypes: channels.map(channel => channel.type) };
+    }
+    writeStored(ALERT_CONFIG.STORAGE_KEYS.ESCALATIONS, stored);
   }
 
   /**
@@ -399,6 +461,7 @@ class AlertEscalationManager {
     }
 
     escalationData.attempts.push(attempt);
+    this.onAttempt?.(escalationData.alert, attempt);
 
     // Check if any channel succeeded
     const anySuccess = attempt.results.some(result => result.success);
@@ -424,6 +487,19 @@ class AlertEscalationManager {
     }
     
     this.escalations.delete(escalationKey);
+    this.save();
+  }
+
+  /**
+   * Stop the escalations started for alerts of an incident
+   * @param {string} incidentId - Incident id
+   */
+  clearIncidentEscalations(incidentId) {
+    for (const [escalationKey, data] of Array.from(this.escalations.entries())) {
+      if (data.alert.incidentId === incidentId) {
+        this.clearEscalation(escalationKey);
+      }
+    }
   }
 
   /**
@@ -454,13 +530,22 @@ export class AlertingSystem {
   constructor() {
     this.channels = new Map();
     this.rules = new Map();
-    this.escalationManager = new AlertEscalationManager();
+    this.metricHistory = new MetricHistory();
+    this.incidents = new IncidentStore();
+    this.escalationManager = new AlertEscalationManager({
+      onAttempt: (alert, attempt) => {
+        if (alert.incidentId) this.incidents.recordEscalation(alert.incidentId, attempt);
+      }
+    });
     this.isEnabled = true;
-    this.alertHistory = [];
     this.maxHistorySize = 1000;
+    this.alertHistory = readStored(ALERT_CONFIG.STORAGE_KEYS.HISTORY, []).slice(0, this.maxHistorySize);
     
     // Initialize default channels
     this.initializeDefaultChannels();
+
+    // Resume escalations interrupted by a reload
+    this.escalationManager.restore(channelType => this.channels.get(channelType));
     
     // Initialize default rules
     this.initializeDefaultRules();
@@ -490,52 +575,54 @@ export class AlertingSystem {
    * Initialize default alerting rules
    */
   initializeDefaultRules() {
-    // High error rate rule
-    this.addRule('high_error_rate', {
-      condition: (metrics) => {
-        const errorRate = metrics.errorRates?.lastHour?.errorRate || 0;
-        return errorRate > ALERT_CONFIG.THRESHOLDS.ERROR_RATE_CRITICAL;
-      },
-      priority: ALERT_CONFIG.PRIORITIES.HIGH,
-      message: 'High error rate detected',
-      channels: [ALERT_CONFIG.CHANNELS.CONSOLE, ALERT_CONFIG.CHANNELS.BROWSER_NOTIFICATION],
-      escalate: true
-    });
+    this.loadRules(DEFAULT_ALERT_RULES);
 
-    // Performance degradation rule
-    this.addRule('performance_degradation', {
-      condition: (metrics) => {
-        const avgTime = metrics.performance?.performanceBreakdown?.averageProcessingTime || 0;
-        return avgTime > ALERT_CONFIG.THRESHOLDS.RESPONSE_TIME_CRITICAL;
-      },
-      priority: ALERT_CONFIG.PRIORITIES.MEDIUM,
-      message: 'Performance degradation detected',
-      channels: [ALERT_CONFIG.CHANNELS.CONSOLE],
-      escalate: false
-    });
+    const rulesUrl = import.meta.env?.VITE_ALERT_RULES_URL;
+    if (rulesUrl) {
+      this.loadRulesFromUrl(rulesUrl);
+    }
+  }
 
-    // Memory usage rule
-    this.addRule('high_memory_usage', {
-      condition: (metrics) => {
-        const memoryUsage = metrics.performance?.performanceBreakdown?.memoryEfficiency?.totalManagedObjects || 0;
-        return memoryUsage > 500; // High number of managed objects
-      },
-      priority: ALERT_CONFIG.PRIORITIES.MEDIUM,
-      message: 'High memory usage detected',
-      channels: [ALERT_CONFIG.CHANNELS.CONSOLE],
-      escalate: false
-    });
+  /**
+   * Replace the rules with definitions in the rule language (see alertRules.js)
+   * Nothing changes unless every definition is valid
+   * @param {Array<Object>} definitions - Rule definitions
+   * @throws {Error} When a definition is not valid; error.errors lists every problem
+   */
+  loadRules(definitions) {
+    const { isValid, errors } = validateAlertRules(definitions);
+    if (!isValid) {
+      throw Object.assign(new Error(`Invalid alert rules:\n  ${errors.join('\n  ')}`), { errors });
+    }
 
-    // System health rule
-    this.addRule('system_unhealthy', {
-      condition: (metrics) => {
-        return !metrics.performance?.health?.healthy;
-      },
-      priority: ALERT_CONFIG.PRIORITIES.HIGH,
-      message: 'System health issues detected',
-      channels: [ALERT_CONFIG.CHANNELS.CONSOLE, ALERT_CONFIG.CHANNELS.BROWSER_NOTIFICATION],
-      escalate: true
-    });
+    this.metricHistory = new MetricHistory();
+    this.rules.clear();
+    for (const definition of definitions) {
+      this.addRule(definition.id, compileAlertRule(definition, this.metricHistory));
+    }
+  }
+
+  /**
+   * Load rules from a JSON document, a list of definitions or { rules: [...] }
+   * On any failure the current rules stay active
+   * @param {string} url - Rules URL
+   * @returns {Promise<Object>} { success, count } or { success: false, errors }
+   */
+  async loadRulesFromUrl(url) {
+    try {
+      const response = await fetch(url, { cache: 'no-store' });
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status} loading ${url}`);
+      }
+
+      const body = await response.json();
+      const definitions = Array.isArray(body) ? body : body?.rules;
+      this.loadRules(definitions);
+      return { success: true, count: definitions.length };
+    } catch (error) {
+      console.error(`Alert rules from ${url} were not loaded, keeping the current rules:`, error.message);
+      return { success: false, errors: error.errors || [error.message] };
+    }
   }
 
   /**
@@ -567,7 +654,10 @@ export class AlertingSystem {
       message: rule.message || 'Alert triggered',
       channels: rule.channels || [ALERT_CONFIG.CHANNELS.CONSOLE],
       escalate: rule.escalate || false,
-      cooldownMs: rule.cooldownMs || 300000, // 5 minutes default
+      cooldownMs: rule.cooldownMs ?? 300000, // 5 minutes default
+      data: rule.data || null,
+      enabled: rule.enabled !== false,
+      definition: rule.definition || null,
       lastTriggered: 0
     });
   }
@@ -620,6 +710,7 @@ export class AlertingSystem {
         ...dashboardData,
         performance: performanceData
       };
+      this.metricHistory.record(metrics);
 
       // Check each rule
       for (const [ruleId, rule] of this.rules.entries()) {
@@ -638,6 +729,10 @@ export class AlertingSystem {
    */
   async checkRule(ruleId, rule, metrics) {
     try {
+      if (!rule.enabled) {
+        return;
+      }
+
       // Check cooldown
       const now = Date.now();
       if (now - rule.lastTriggered < rule.cooldownMs) {
@@ -657,65 +752,24 @@ export class AlertingSystem {
         priority: rule.priority,
         message: rule.message,
         timestamp: now,
-        data: this.extractRelevantData(ruleId, metrics),
+        data: typeof rule.data === 'function' ? rule.data(metrics) : { ...rule.data },
         ruleId
       };
 
       // Update last triggered time
       rule.lastTriggered = now;
 
+      // Add to history first, so escalations know the alert's incident
+      this.addToHistory(alert);
+
       // Send alert
       await this.sendAlert(alert, rule);
 
-      // Add to history
-      this.addToHistory(alert);
-
     } catch (error) {
       console.error(`Error checking rule ${ruleId}:`, error);
     }
   }
 
-  /**
-   * Extract relevant data for alert based on rule type
-   * @param {string} ruleId - Rule identifier
-   * @param {Object} metrics - Current metrics
-   * @returns {Object} Relevant data
-   */
-  extractRelevantData(ruleId, metrics) {
-    switch (ruleId) {
-      case 'high_error_rate':
-        return {
-          errorRate: metrics.errorRates?.lastHour?.errorRate,
-          errorCount: metrics.errorRates?.lastHour?.errorEvents,
-          totalEvents: metrics.errorRates?.lastHour?.totalEvents,
-          threshold: ALERT_CONFIG.THRESHOLDS.ERROR_RATE_CRITICAL
-        };
-        
-      case 'performance_degradation':
-        return {
-          averageTime: metrics.performance?.performanceBreakdown?.averageProcessingTime,
-          threshold: ALERT_CONFIG.THRESHOLDS.RESPONSE_TIME_CRITICAL,
-          cacheEfficiency: metrics.performance?.performanceBreakdown?.cacheEfficiency
-        };
-        
-      case 'high_memory_usage':
-        return {
-          memoryUsage: metrics.performance?.performanceBreakdown?.memoryEfficiency?.totalManagedObjects,
-          threshold: 500,
-          cacheSize: metrics.performance?.performanceBreakdown?.memoryEfficiency?.cacheMemoryUsage
-        };
-        
-      case 'system_unhealthy':
-        return {
-          issues: metrics.performance?.health?.issues || [],
-          warnings: metrics.performance?.health?.warnings || []
-        };
-        
-      default:
-        return {};
-    }
-  }
-
   /**
    * Send alert through configured channels
    * @param {Object} alert - Alert object
@@ -751,12 +805,65 @@ export class AlertingSystem {
    * @param {Object} alert - Alert object
    */
   addToHistory(alert) {
+    alert.incidentId = this.incidents.recordAlert(alert).id;
     this.alertHistory.unshift(alert);
     
     // Maintain history size limit
     if (this.alertHistory.length > this.maxHistorySize) {
       this.alertHistory = this.alertHistory.slice(0, this.maxHistorySize);
     }
+    writeStored(ALERT_CONFIG.STORAGE_KEYS.HISTORY, this.alertHistory);
+  }
+
+  /**
+   * Get incidents, most recently active first
+   * @param {Object} filters - status, ruleId, priority, since, until, limit (see IncidentStore.query)
+   * @returns {Array} Incidents with their timelines
+   */
+  getIncidents(filters = {}) {
+    return this.incidents.query(filters);
+  }
+
+  /**
+   * Acknowledge an incident, stopping its escalations
+   * @param {string} incidentId - Incident id
+   * @param {Object} details - { by } who acknowledged it
+   * @returns {Object|null} Updated incident
+   */
+  acknowledgeIncident(incidentId, details = {}) {
+    this.escalationManager.clearIncidentEscalations(incidentId);
+    return this.incidents.acknowledge(incidentId, details);
+  }
+
+  /**
+   * Resolve an incident; the next alert of its rule opens a new one
+   * @param {string} incidentId - Incident id
+   * @param {string} note - Resolution note
+   * @returns {Object|null} Updated incident
+   */
+  resolveIncident(incidentId, note = '') {
+    this.escalationManager.clearIncidentEscalations(incidentId);
+    return this.incidents.resolve(incidentId, note);
+  }
+
+  /**
+   * Add a note to an incident's timeline
+   * @param {string} incidentId - Incident id
+   * @param {string} text - Note
+   * @returns {Object|null} Updated incident
+   */
+  annotateIncident(incidentId, text) {
+    return this.incidents.annotate(incidentId, text);
+  }
+
+  /**
+   * Export incidents
+   * @param {string} format - 'json' (incidents with timelines) or 'csv' (one row per timeline event)
+   * @param {Object} filters - See getIncidents
+   * @returns {string} Exported data
+   */
+  exportIncidents(format = 'json', filters = {}) {
+    return this.incidents.export(format, filters);
   }
 
   /**
@@ -815,6 +922,7 @@ export class AlertingSystem {
       dailyAlerts: dailyAlerts.length,
       priorityCounts,
       activeEscalations: this.escalationManager.getActiveEscalations().length,
+      incidents: this.incidents.getStats(),
       enabledChannels: Array.from(this.channels.values())
         .filter(channel => channel.enabled).length,
       activeRules: this.rules.size
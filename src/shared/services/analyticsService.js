@@ -0,0 +1,375 @@
+/**
+ * Analytics Service
+ * Personal productivity analytics: aggregates task_events (status transitions and logged
+ * hours) into the user_analytics table, one row per user, project and day, and builds the
+ * trends, project breakdowns and week-over-week comparison shown in the analytics view.
+ * Past days are aggregated nightly-style (once, after the day has ended); today is always
+ * computed live from the events so far
+ */
+
+import { supabase, TABLES } from '../config/supabase.js';
+import { authService } from './authService.js';
+import { LocalTableStore } from './localTableStore.js';
+import { runLoggedQuery } from './queryRunner.js';
+import { projectService } from './projectService.js';
+import { startOfDay, addDays } from '../utils/taskSchedule.js';
+
+/**
+ * @typedef {Object} AnalyticsRow
+ * @property {string} user_id
+ * @property {string} project_id
+ * @property {string} date - Day, as YYYY-MM-DD
+ * @property {number} tasks_completed - Tasks moved to done, minus tasks reopened
+ * @property {number} hours_worked - Hours logged in actual_hours
+ * @property {number|null} efficiency_score - 0 to 1: estimated/actual hours of the tasks completed
+ */
+
+/**
+ * @typedef {Object} PeriodTotals
+ * @property {number} tasksCompleted
+ * @property {number} hoursWorked
+ * @property {number|null} efficiency
+ */
+
+// Days aggregated when catching up, and the longest range the view asks for
+export const ANALYTICS_LOOKBACK_DAYS = 90;
+const WEEK_DAYS = 7;
+const AGGREGATED_THROUGH_PREFIX = 'kairon_analytics_aggregated_';
+const DONE = 'done';
+
+/**
+ * Local calendar day of a date as YYYY-MM-DD
+ * @param {Date|string|number} date - Date
+ * @returns {string} Day key
+ */
+export function toDateKey(date) {
+  const day = new Date(date);
+  const month = String(day.getMonth() + 1).padStart(2, '0');
+  const dayOfMonth = String(day.getDate()).padStart(2, '0');
+  return `${day.getFullYear()}-${month}-${dayOfMonth}`;
+}
+
+function parseDateKey(key) {
+  const [year, month, day] = key.split('-').map(Number);
+  return new Date(year, month - 1, day);
+}
+
+function round(value, decimals = 2) {
+  const factor = 10 ** decimals;
+  return Math.round(value * factor) / factor;
+}
+
+function average(values) {
+  const present = values.filter(value => value !== null && value !== undefined);
+  return present.length ? round(present.reduce((sum, value) => sum + Number(value), 0) / present.length) : null;
+}
+
+/**
+ * Aggregate the task events of one day into analytics rows (same rules as the
+ * aggregate_user_analytics SQL function)
+ * @param {Array<Object>} events - task_events rows of that day
+ * @param {string} date - Day key
+ * @returns {Array<AnalyticsRow>} One row per user and project
+ */
+export function aggregateTaskEvents(events, date) {
+  const groups = new Map();
+
+  events.filter(event => event.user_id).forEach(event => {
+    const key = `${event.user_id}:${event.project_id}`;
+    if (!groups.has(key)) {
+      groups.set(key, { user_id: event.user_id, project_id: event.project_id, completed: 0, hours: 0, ratios: [] });
+    }
+    const group = groups.get(key);
+
+    if (event.to_status === DONE) {
+      group.completed += 1;
+      const estimated = Number(event.estimated_hours);
+      const actual = Number(event.actual_hours);
+      if (estimated > 0 && actual > 0) {
+        group.ratios.push(Math.min(1, estimated / actual));
+      }
+    }
+    if (event.from_status === DONE) {
+      group.completed -= 1;
+    }
+    group.hours += Number(event.hours_delta) || 0;
+  });
+
+  return [...groups.values()].map(group => ({
+    user_id: group.user_id,
+    project_id: group.project_id,
+    date,
+    tasks_completed: Math.max(0, group.completed),
+    hours_worked: round(Math.max(0, group.hours)),
+    efficiency_score: average(group.ratios)
+  }));
+}
+
+/**
+ * Totals of a set of analytics rows
+ * @param {Array<AnalyticsRow>} rows - Rows
+ * @returns {PeriodTotals} Totals
+ */
+export function sumAnalytics(rows) {
+  return {
+    tasksCompleted: rows.reduce((sum, row) => sum + (Number(row.tasks_completed) || 0), 0),
+    hoursWorked: round(rows.reduce((sum, row) => sum + (Number(row.hours_worked) || 0), 0)),
+    efficiency: average(rows.map(row => row.efficiency_score))
+  };
+}
+
+/**
+ * One entry per day between two dates, with zero totals on days without activity
+ * @param {Array<AnalyticsRow>} rows - Rows
+ * @param {Date} from - First day
+ * @param {Date} to - Last day (inclusive)
+ * @returns {Array<PeriodTotals & { date: string }>} Daily series, oldest first
+ */
+export function buildDailySeries(rows, from, to) {
+  const byDate = new Map();
+  rows.forEach(row => {
+    if (!byDate.has(row.date)) byDate.set(row.date, []);
+    byDate.get(row.date).push(row);
+  });
+
+  const series = [];
+  for (let day = startOfDay(from); day <= to; day = addDays(day, 1)) {
+    const date = toDateKey(day);
+    series.push({ date, ...sumAnalytics(byDate.get(date) || []) });
+  }
+  return series;
+}
+
+/**
+ * Totals per project, most completed tasks first
+ * @param {Array<AnalyticsRow>} rows - Rows
+ * @param {Array<Object>} projects - Projects, to name them
+ * @returns {Array<PeriodTotals & { projectId: string, name: string|null }>} Breakdown
+ */
+export function summarizeProjects(rows, projects = []) {
+  const names = new Map(projects.map(project => [project.id, project.name]));
+  const byProject = new Map();
+  rows.forEach(row => {
+    if (!byProject.has(row.project_id)) byProject.set(row.project_id, []);
+    byProject.get(row.project_id).push(row);
+  });
+
+  return [...byProject.entries()]
+    .map(([projectId, projectRows]) => ({ projectId, name: names.get(projectId) ?? null, ...sumAnalytics(projectRows) }))
+    .sort((a, b) => b.tasksCompleted - a.tasksCompleted || b.hoursWorked - a.hoursWorked);
+}
+
+function percentChange(current, previous) {
+  if (current === null || previous === null) return null;
+  if (previous === 0) return current === 0 ? 0 : null;
+  return Math.round(((current - previous) / previous) * 100);
+}
+
+/**
+ * Compare the last seven days (today included) with the seven days before
+ * @param {Array<AnalyticsRow>} rows - Rows
+ * @param {Date} now - Current time
+ * @returns {{ current: PeriodTotals, previous: PeriodTotals, change: Object }} Comparison;
+ *   change holds percentages, null when there is nothing to compare with
+ */
+export function compareWeeks(rows, now = new Date()) {
+  const today = startOfDay(now);
+  const currentFrom = toDateKey(addDays(today, 1 - WEEK_DAYS));
+  const previousFrom = toDateKey(addDays(today, 1 - WEEK_DAYS * 2));
+  const todayKey = toDateKey(today);
+
+  const current = sumAnalytics(rows.filter(row => row.date >= currentFrom && row.date <= todayKey));
+  const previous = sumAnalytics(rows.filter(row => row.date >= previousFrom && row.date < currentFrom));
+
+  return {
+    current,
+    previous,
+    change: {
+      tasksCompleted: percentChange(current.tasksCompleted, previous.tasksCompleted),
+      hoursWorked: percentChange(current.hoursWorked, previous.hoursWorked),
+      efficiency: percentChange(current.efficiency, previous.efficiency)
+    }
+  };
+}
+
+/**
+ * AnalyticsService class for aggregating and reading productivity analytics
+ */
+export class AnalyticsService {
+  constructor() {
+    this.isSupabaseEnabled = !!supabase;
+    this.analyticsStore = new LocalTableStore(TABLES.USER_ANALYTICS, { trackUpdates: false });
+    this.eventStore = new LocalTableStore(TABLES.TASK_EVENTS, { trackUpdates: false });
+  }
+
+  /**
+   * Get the id of the authenticated user
+   * @returns {string} User id
+   */
+  getCurrentUserId() {
+    const user = authService.getCurrentUser();
+    if (!user?.id) {
+      throw new Error('Debes iniciar sesión para ver tus estadísticas');
+    }
+    return user.id;
+  }
+
+  /**
+   * Task events of the current user on one day
+   * @param {string} date - Day key
+   * @returns {Promise<Array<Object>>} task_events rows
+   */
+  async listTaskEvents(date) {
+    const userId = this.getCurrentUserId();
+    const from = parseDateKey(date);
+    const to = addDays(from, 1);
+
+    return this.runQuery('list_task_events', { date }, async () => {
+      if (this.isSupabaseEnabled) {
+        const { data, error } = await supabase
+          .from(TABLES.TASK_EVENTS)
+          .select('*')
+          .eq('user_id', userId)
+          .gte('created_at', from.toISOString())
+          .lt('created_at', to.toISOString());
+
+        if (error) {
+          throw new Error(error.message);
+        }
+        return data || [];
+      }
+
+      return this.eventStore.where(event => {
+        const createdAt = new Date(event.created_at);
+        return event.user_id === userId && createdAt >= from && createdAt < to;
+      });
+    });
+  }
+
+  /**
+   * Aggregate one finished day of the current user's task events into user_analytics
+   * Safe to run again: the day's rows are replaced
+   * @param {string} date - Day key
+   * @returns {Promise<number>} Rows written
+   */
+  async aggregateDay(date) {
+    if (this.isSupabaseEnabled) {
+      return this.runQuery('aggregate_user_analytics', { date }, async () => {
+        const { data, error } = await supabase.rpc('aggregate_user_analytics', { target_date: date });
+
+        if (error) {
+          throw new Error(error.message);
+        }
+        return data ?? 0;
+      });
+    }
+
+    const userId = this.getCurrentUserId();
+    const rows = aggregateTaskEvents(await this.listTaskEvents(date), date);
+
+    return this.runQuery('aggregate_user_analytics', { date }, async () => {
+      this.analyticsStore.removeWhere(row => row.user_id === userId && row.date === date);
+      rows.forEach(row => this.analyticsStore.insert(row));
+      return rows.length;
+    });
+  }
+
+  /**
+   * Aggregate every finished day since the last run (at most ANALYTICS_LOOKBACK_DAYS back)
+   * Mirrors the nightly job for clients without it, and catches up after days offline
+   * @param {Date} now - Current time
+   * @returns {Promise<Array<string>>} Days aggregated
+   */
+  async runNightlyAggregation(now = new Date()) {
+    const markerKey = `${AGGREGATED_THROUGH_PREFIX}${this.getCurrentUserId()}`;
+    const yesterday = addDays(startOfDay(now), -1);
+    const earliest = addDays(startOfDay(now), -ANALYTICS_LOOKBACK_DAYS);
+    const aggregatedThrough = localStorage.getItem(markerKey);
+
+    let day = aggregatedThrough ? addDays(parseDateKey(aggregatedThrough), 1) : earliest;
+    if (day < earliest) day = earliest;
+
+    const days = [];
+    for (; day <= yesterday; day = addDays(day, 1)) {
+      const date = toDateKey(day);
+      await this.aggregateDay(date);
+      days.push(date);
+      localStorage.setItem(markerKey, date);
+    }
+    return days;
+  }
+
+  /**
+   * Stored analytics rows of the current user between two days
+   * @param {string} from - First day key
+   * @param {string} to - Last day key (inclusive)
+   * @returns {Promise<Array<AnalyticsRow>>} Rows
+   */
+  async listAnalytics(from, to) {
+    const userId = this.getCurrentUserId();
+
+    return this.runQuery('list_user_analytics', { from, to }, async () => {
+      if (this.isSupabaseEnabled) {
+        const { data, error } = await supabase
+          .from(TABLES.USER_ANALYTICS)
+          .select('user_id, project_id, date, tasks_completed, hours_worked, efficiency_score')
+          .eq('user_id', userId)
+          .gte('date', from)
+          .lte('date', to)
+          .order('date', { ascending: true });
+
+        if (error) {
+          throw new Error(error.message);
+        }
+        return data || [];
+      }
+
+      return this.analyticsStore
+        .where(row => row.user_id === userId && row.date >= from && row.date <= to)
+        .sort((a, b) => a.date.localeCompare(b.date));
+    });
+  }
+
+  /**
+   * Productivity report for the analytics view
+   * @param {Object} options - Options
+   * @param {number} options.days - Days covered by the trends and project breakdown
+   * @param {Date} options.now - Current time
+   * @returns {Promise<Object>} Daily series, per-project totals, period totals and week-over-week comparison
+   */
+  async getProductivityReport({ days = 30, now = new Date() } = {}) {
+    const range = Math.min(Math.max(1, days), ANALYTICS_LOOKBACK_DAYS);
+    const today = startOfDay(now);
+    const from = addDays(today, 1 - range);
+    const todayKey = toDateKey(today);
+
+    await this.runNightlyAggregation(now);
+
+    // The comparison needs two full weeks even when the range is shorter
+    const loadFrom = addDays(today, 1 - Math.max(range, WEEK_DAYS * 2));
+    const [stored, todayEvents, projects] = await Promise.all([
+      this.listAnalytics(toDateKey(loadFrom), toDateKey(addDays(today, -1))),
+      this.listTaskEvents(todayKey),
+      projectService.listProjects({ pageSize: 100 })
+    ]);
+
+    const rows = [...stored, ...aggregateTaskEvents(todayEvents, todayKey)];
+    const inRange = rows.filter(row => row.date >= toDateKey(from));
+
+    return {
+      from: toDateKey(from),
+      to: todayKey,
+      series: buildDailySeries(inRange, from, today),
+      projects: summarizeProjects(inRange, projects.data),
+      totals: sumAnalytics(inRange),
+      weekOverWeek: compareWeeks(rows, now)
+    };
+  }
+
+  runQuery(operation, context, fn) {
+    return runLoggedQuery(operation, context, fn, this.isSupabaseEnabled);
+  }
+}
+
+export const analyticsService = new AnalyticsService();
+export default analyticsService;
@@ -0,0 +1,184 @@
+/**
+ * Assistant Service
+ * Answers questions about the user's projects and turns natural-language commands into task
+ * changes. Answers come from a pluggable provider; the built-in local provider runs the
+ * deterministic rules in utils/assistantIntents.js, so the assistant works offline.
+ * Providers never change data: create/update commands come back as an action that is only
+ * applied through executeAction once the user confirms it
+ */
+
+import { authService } from './authService.js';
+import { projectService } from './projectService.js';
+import { taskService } from './taskService.js';
+import { answerMessage, ASSISTANT_ACTIONS } from '../utils/assistantIntents.js';
+import { hasPermission, PERMISSIONS } from '../utils/permissions.js';
+
+/**
+ * @typedef {Object} AssistantProvider
+ * @property {string} name - Unique provider name
+ * @property {(message: string, context: import('../utils/assistantIntents.js').AssistantContext) => Promise<import('../utils/assistantIntents.js').AssistantReply>} respond
+ *   Answer a message; may return `text` instead of structured results, and an `action` to confirm
+ */
+
+export const LOCAL_PROVIDER = 'local';
+
+// Projects loaded into the assistant's context; each brings its tasks and members
+const CONTEXT_PROJECT_LIMIT = 50;
+const CONTEXT_TASK_LIMIT = 1000;
+
+const ACTION_PERMISSIONS = {
+  [ASSISTANT_ACTIONS.CREATE_TASK]: PERMISSIONS.TASK_CREATE,
+  [ASSISTANT_ACTIONS.UPDATE_TASK]: PERMISSIONS.TASK_UPDATE
+};
+
+/**
+ * Provider backed by the offline rule and intent engine
+ */
+export class LocalAssistantProvider {
+  constructor() {
+    this.name = LOCAL_PROVIDER;
+  }
+
+  async respond(message, context) {
+    return answerMessage(message, context);
+  }
+}
+
+/**
+ * AssistantService class for asking questions and applying confirmed actions
+ */
+export class AssistantService {
+  constructor() {
+    this.providers = new Map();
+    this.localProvider = new LocalAssistantProvider();
+    this.registerProvider(this.localProvider);
+    this.activeProvider = LOCAL_PROVIDER;
+  }
+
+  /**
+   * Register a provider, replacing any provider with the same name
+   * @param {AssistantProvider} provider - Provider
+   */
+  registerProvider(provider) {
+    if (!provider || typeof provider.name !== 'string' || !provider.name || typeof provider.respond !== 'function') {
+      throw new Error('Proveedor de asistente no válido');
+    }
+    this.providers.set(provider.name, provider);
+  }
+
+  /**
+   * Answer with a registered provider from now on
+   * @param {string} name - Provider name
+   */
+  useProvider(name) {
+    if (!this.providers.has(name)) {
+      throw new Error(`Proveedor de asistente desconocido: ${name}`);
+    }
+    this.activeProvider = name;
+  }
+
+  /**
+   * Get the provider answering questions
+   * @returns {AssistantProvider} Active provider
+   */
+  getProvider() {
+    return this.providers.get(this.activeProvider) || this.localProvider;
+  }
+
+  /**
+   * Load the projects, tasks and members the assistant answers from
+   * @param {Object} options - Options
+   * @param {string} options.projectId - Project the user is looking at
+   * @returns {Promise<import('../utils/assistantIntents.js').AssistantContext>} Context
+   */
+  async buildContext({ projectId = null } = {}) {
+    const user = authService.getCurrentUser();
+    if (!user?.id) {
+      throw new Error('Debes iniciar sesión para usar el asistente');
+    }
+
+    const { data: projects } = await projectService.listProjects({ pageSize: CONTEXT_PROJECT_LIMIT });
+
+    const perProject = await Promise.all(projects.map(async project => {
+      const [tasks, members] = await Promise.all([
+        taskService.listTasks(project.id, { pageSize: CONTEXT_TASK_LIMIT }),
+        projectService.listMembers(project.id)
+      ]);
+      return {
+        tasks: tasks.data,
+        members: members.map(member => ({ ...member, project_id: project.id }))
+      };
+    }));
+
+    return {
+      userId: user.id,
+      projectId,
+      projects,
+      tasks: perProject.flatMap(entry => entry.tasks),
+      members: perProject.flatMap(entry => entry.members),
+      now: new Date()
+    };
+  }
+
+  /**
+   * Ask the assistant a question or give it a command
+   * Falls back to the local provider when another provider fails
+   * @param {string} message - Question or command
+   * @param {Object} options - Options
+   * @param {string} options.projectId - Project the user is looking at
+   * @returns {Promise<import('../utils/assistantIntents.js').AssistantReply & { provider: string }>} Reply
+   */
+  async ask(message, options = {}) {
+    const text = typeof message === 'string' ? message.trim() : '';
+    if (!text) {
+      throw new Error('Escribe una pregunta o una orden para el asistente');
+    }
+
+    const context = await this.buildContext(options);
+    let provider = this.getProvider();
+    let reply;
+
+    try {
+      reply = await provider.respond(text, context);
+    } catch (error) {
+      if (provider === this.localProvider) {
+        throw error;
+      }
+      console.warn(`Assistant provider "${provider.name}" failed, answering locally:`, error);
+      provider = this.localProvider;
+      reply = await provider.respond(text, context);
+    }
+
+    return { ...reply, provider: provider.name };
+  }
+
+  /**
+   * Apply an action proposed by the assistant, after the user has confirmed it
+   * @param {Object} action - Action from a reply
+   * @returns {Promise<import('./taskService.js').Task>} Created or updated task
+   */
+  async executeAction(action) {
+    const permission = action && ACTION_PERMISSIONS[action.type];
+    if (!permission || !action.projectId) {
+      throw new Error('Acción del asistente no válida');
+    }
+
+    const membership = await projectService.getMembership(action.projectId);
+    if (!hasPermission(membership?.role, permission, membership?.permissions)) {
+      throw new Error('No tienes permiso para modificar las tareas de este proyecto');
+    }
+
+    if (action.type === ASSISTANT_ACTIONS.CREATE_TASK) {
+      return taskService.createTask(action.projectId, action.values);
+    }
+
+    const task = await taskService.getTask(action.taskId);
+    if (!task || task.project_id !== action.projectId) {
+      throw new Error('Tarea no encontrada');
+    }
+    return taskService.updateTask(action.taskId, action.values);
+  }
+}
+
+export const assistantService = new AssistantService();
+export default assistantService;
@@ -0,0 +1,102 @@
+/**
+ * Auth Channel
+ * Tells every open tab of the app when the user signs in or out, so a logout in one tab
+ * logs out the others. Uses BroadcastChannel, falling back to storage events where it
+ * is not available; listeners in the publishing tab are notified too
+ */
+
+import { generateId } from './localTableStore.js';
+
+const CHANNEL_NAME = 'kairon_auth';
+const STORAGE_KEY = 'kairon_auth_event';
+
+export const AUTH_CHANNEL_EVENTS = {
+  SIGNED_IN: 'signed_in',
+  SIGNED_OUT: 'signed_out'
+};
+
+/**
+ * @typedef {Object} AuthChannelMessage
+ * @property {string} type - One of AUTH_CHANNEL_EVENTS
+ * @property {string|null} userId - User the event is about
+ * @property {string|null} reason - Why the user was signed out ('logout', 'idle', 'revoked')
+ * @property {string} tabId - Tab that published it
+ * @property {number} at - Timestamp
+ */
+
+/**
+ * AuthChannel class for cross-tab auth events
+ */
+export class AuthChannel {
+  constructor() {
+    this.tabId = generateId();
+    this.listeners = new Set();
+    this.channel = null;
+
+    if (typeof BroadcastChannel !== 'undefined') {
+      this.channel = new BroadcastChannel(CHANNEL_NAME);
+      this.channel.onmessage = (event) => this.notify(event.data, true);
+    } else if (typeof window !== 'undefined') {
+      window.addEventListener('storage', (event) => {
+        if (event.key !== STORAGE_KEY || !event.newValue) return;
+        try {
+          this.notify(JSON.parse(event.newValue), true);
+        } catch (error) {
+          console.warn('Error reading auth channel message:', error);
+        }
+      });
+    }
+  }
+
+  /**
+   * Publish an auth event to this tab and the others
+   * @param {string} type - One of AUTH_CHANNEL_EVENTS
+   * @param {Object} detail - { userId, reason }
+   */
+  publish(type, detail = {}) {
+    const message = {
+      type,
+      userId: detail.userId || null,
+      reason: detail.reason || null,
+      tabId: this.tabId,
+      at: Date.now()
+    };
+
+    this.notify(message, false);
+
+    try {
+      if (this.channel) {
+        this.channel.postMessage(message);
+      } else {
+        // A new value every time, so the storage event fires for repeated events too
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(message));
+      }
+    } catch (error) {
+      console.warn('Error publishing auth channel message:', error);
+    }
+  }
+
+  /**
+   * Listen for auth events
+   * @param {Function} listener - Called with (message, { remote }); remote is true for other tabs
+   * @returns {Function} Unsubscribe function
+   */
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  notify(message, remote) {
+    this.listeners.forEach(listener => {
+      try {
+        listener(message, { remote });
+      } catch (error) {
+        console.error('Error in auth channel listener:', error);
+      }
+    });
+  }
+}
+
+// Create singleton instance
+export const authChannel = new AuthChannel();
+export default authChannel;
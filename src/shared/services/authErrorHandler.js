@@ -6,6 +6,7 @@
 
 import errorLogger from './errorLogger.js';
 import performanceOptimizer from './performanceOptimizer.js';
+import i18n from '../utils/i18n.js';
 
 // Error type constants
 export const AUTH_ERROR_TYPES = {
@@ -24,51 +25,19 @@ export const AUTH_ERROR_TYPES = {
   OAUTH_ACCESS_DENIED: 'OAUTH_ACCESS_DENIED',
   OAUTH_POPUP_BLOCKED: 'OAUTH_POPUP_BLOCKED',
   OAUTH_TIMEOUT: 'OAUTH_TIMEOUT',
+  MFA_REQUIRED: 'MFA_REQUIRED',
+  MFA_INVALID_CODE: 'MFA_INVALID_CODE',
+  MFA_CHALLENGE_EXPIRED: 'MFA_CHALLENGE_EXPIRED',
+  MFA_RECOVERY_CODE_INVALID: 'MFA_RECOVERY_CODE_INVALID',
+  MFA_ENROLLMENT_FAILED: 'MFA_ENROLLMENT_FAILED',
+  OTP_RATE_LIMITED: 'OTP_RATE_LIMITED',
+  OTP_EXPIRED: 'OTP_EXPIRED',
+  OTP_ALREADY_USED: 'OTP_ALREADY_USED',
   SERVER_ERROR: 'SERVER_ERROR',
   UNKNOWN_ERROR: 'UNKNOWN_ERROR'
 };
 
-// Error messages in Spanish
-const ERROR_MESSAGES_ES = {
-  [AUTH_ERROR_TYPES.NETWORK_ERROR]: "No se pudo conectar al servidor. Verifica tu conexión a internet.",
-  [AUTH_ERROR_TYPES.SUPABASE_UNAVAILABLE]: "El servicio de autenticación no está disponible temporalmente. Inténtalo de nuevo en unos minutos.",
-  [AUTH_ERROR_TYPES.SUPABASE_MAINTENANCE]: "El servicio está en mantenimiento. Volveremos pronto. Disculpa las molestias.",
-  [AUTH_ERROR_TYPES.AUTH_INVALID_CREDENTIALS]: "Email o contraseña incorrectos. Verifica que hayas ingresado la información correcta.",
-  [AUTH_ERROR_TYPES.AUTH_USER_NOT_FOUND]: "No encontramos una cuenta con este email. ¿Quizás quieres crear una cuenta nueva?",
-  [AUTH_ERROR_TYPES.AUTH_USER_EXISTS]: "Ya existe una cuenta con este email. ¿Quieres iniciar sesión?",
-  [AUTH_ERROR_TYPES.AUTH_WEAK_PASSWORD]: "La contraseña debe tener al menos 6 caracteres.",
-  [AUTH_ERROR_TYPES.AUTH_RATE_LIMITED]: "Demasiados intentos de inicio de sesión. Por favor espera antes de intentar de nuevo.",
-  [AUTH_ERROR_TYPES.AUTH_EMAIL_NOT_CONFIRMED]: "Debes confirmar tu email antes de iniciar sesión. Revisa tu bandeja de entrada.",
-  [AUTH_ERROR_TYPES.OAUTH_GOOGLE_ERROR]: "Error al iniciar sesión con Google. Inténtalo de nuevo o usa email y contraseña.",
-  [AUTH_ERROR_TYPES.OAUTH_GITHUB_ERROR]: "Error al iniciar sesión con GitHub. Inténtalo de nuevo o usa email y contraseña.",
-  [AUTH_ERROR_TYPES.OAUTH_PROVIDER_UNAVAILABLE]: "El proveedor de autenticación no está disponible. Inténtalo de nuevo más tarde.",
-  [AUTH_ERROR_TYPES.OAUTH_ACCESS_DENIED]: "Acceso denegado. Debes autorizar la aplicación para continuar.",
-  [AUTH_ERROR_TYPES.OAUTH_POPUP_BLOCKED]: "La ventana emergente fue bloqueada. Permite ventanas emergentes e inténtalo de nuevo.",
-  [AUTH_ERROR_TYPES.OAUTH_TIMEOUT]: "La autenticación tardó demasiado. Inténtalo de nuevo.",
-  [AUTH_ERROR_TYPES.SERVER_ERROR]: "Error del servidor. Inténtalo de nuevo en unos momentos.",
-  [AUTH_ERROR_TYPES.UNKNOWN_ERROR]: "Ocurrió un error inesperado. Contacta al soporte si persiste."
-};
-
-// Error messages in English
-const ERROR_MESSAGES_EN = {
-  [AUTH_ERROR_TYPES.NETWORK_ERROR]: "Could not connect to server. Check your internet connection.",
-  [AUTH_ERROR_TYPES.SUPABASE_UNAVAILABLE]: "Authentication service is temporarily unavailable. Please try again in a few minutes.",
-  [AUTH_ERROR_TYPES.SUPABASE_MAINTENANCE]: "Service is under maintenance. We'll be back soon. Sorry for the inconvenience.",
-  [AUTH_ERROR_TYPES.AUTH_INVALID_CREDENTIALS]: "Invalid email or password. Please check that you entered the correct information.",
-  [AUTH_ERROR_TYPES.AUTH_USER_NOT_FOUND]: "No account found with this email address. Would you like to create a new account?",
-  [AUTH_ERROR_TYPES.AUTH_USER_EXISTS]: "An account with this email already exists. Want to sign in?",
-  [AUTH_ERROR_TYPES.AUTH_WEAK_PASSWORD]: "Password must be at least 6 characters long.",
-  [AUTH_ERROR_TYPES.AUTH_RATE_LIMITED]: "Too many login attempts. Please wait before trying again.",
-  [AUTH_ERROR_TYPES.AUTH_EMAIL_NOT_CONFIRMED]: "You must confirm your email before signing in. Check your inbox.",
-  [AUTH_ERROR_TYPES.OAUTH_GOOGLE_ERROR]: "Error signing in with Google. Please try again or use email and password.",
-  [AUTH_ERROR_TYPES.OAUTH_GITHUB_ERROR]: "Error signing in with GitHub. Please try again or use email and password.",
-  [AUTH_ERROR_TYPES.OAUTH_PROVIDER_UNAVAILABLE]: "Authentication provider is unavailable. Please try again later.",
-  [AUTH_ERROR_TYPES.OAUTH_ACCESS_DENIED]: "Access denied. You must authorize the application to continue.",
-  [AUTH_ERROR_TYPES.OAUTH_POPUP_BLOCKED]: "Popup was blocked. Please allow popups and try again.",
-  [AUTH_ERROR_TYPES.OAUTH_TIMEOUT]: "Authentication took too long. Please try again.",
-  [AUTH_ERROR_TYPES.SERVER_ERROR]: "Server error. Please try again in a few moments.",
-  [AUTH_ERROR_TYPES.UNKNOWN_ERROR]: "An unexpected error occurred. Contact support if it persists."
-};
+// User messages for each error type live in the "auth" locale namespace (src/shared/locales/*/auth.js)
 
 // Retry configuration for different error types
 const RETRY_CONFIG = {
@@ -87,6 +56,14 @@ const RETRY_CONFIG = {
   [AUTH_ERROR_TYPES.OAUTH_ACCESS_DENIED]: { allowRetry: false, maxRetries: 0 }, // User explicitly denied access
   [AUTH_ERROR_TYPES.OAUTH_POPUP_BLOCKED]: { allowRetry: true, maxRetries: 1 }, // User might enable popups
   [AUTH_ERROR_TYPES.OAUTH_TIMEOUT]: { allowRetry: true, maxRetries: 2 }, // Timeout might be temporary
+  [AUTH_ERROR_TYPES.MFA_REQUIRED]: { allowRetry: false, maxRetries: 0 }, // User must enter a code
+  [AUTH_ERROR_TYPES.MFA_INVALID_CODE]: { allowRetry: false, maxRetries: 0 }, // Retrying the same code cannot help
+  [AUTH_ERROR_TYPES.MFA_CHALLENGE_EXPIRED]: { allowRetry: false, maxRetries: 0 }, // User needs to sign in again
+  [AUTH_ERROR_TYPES.MFA_RECOVERY_CODE_INVALID]: { allowRetry: false, maxRetries: 0 },
+  [AUTH_ERROR_TYPES.MFA_ENROLLMENT_FAILED]: { allowRetry: true, maxRetries: 1 },
+  [AUTH_ERROR_TYPES.OTP_RATE_LIMITED]: { allowRetry: true, maxRetries: 0 }, // Special handling with wait time
+  [AUTH_ERROR_TYPES.OTP_EXPIRED]: { allowRetry: false, maxRetries: 0 }, // User needs a new email
+  [AUTH_ERROR_TYPES.OTP_ALREADY_USED]: { allowRetry: false, maxRetries: 0 }, // User needs a new email
   [AUTH_ERROR_TYPES.SERVER_ERROR]: { allowRetry: true, maxRetries: 3 },
   [AUTH_ERROR_TYPES.UNKNOWN_ERROR]: { allowRetry: true, maxRetries: 1 }
 };
@@ -201,6 +178,60 @@ export class AuthErrorHandler {
     const errorMessage = error.message?.toLowerCase() || '';
     const errorCode = error.code || '';
 
+    // Multi-factor authentication errors (Supabase Auth codes, also raised by the mock mode)
+    if (
+      errorCode === 'mfa_verification_failed' ||
+      errorCode === 'mfa_verification_rejected' ||
+      errorMessage.includes('invalid totp code')
+    ) {
+      return AUTH_ERROR_TYPES.MFA_INVALID_CODE;
+    }
+
+    if (
+      errorCode === 'mfa_challenge_expired' ||
+      errorMessage.includes('challenge') && errorMessage.includes('expired')
+    ) {
+      return AUTH_ERROR_TYPES.MFA_CHALLENGE_EXPIRED;
+    }
+
+    if (errorCode === 'mfa_recovery_code_invalid' || errorMessage.includes('invalid recovery code')) {
+      return AUTH_ERROR_TYPES.MFA_RECOVERY_CODE_INVALID;
+    }
+
+    if (
+      errorCode === 'mfa_enrollment_failed' ||
+      errorCode === 'mfa_totp_enroll_not_enabled' ||
+      errorCode === 'mfa_factor_name_conflict' ||
+      errorCode === 'mfa_verified_factor_exists'
+    ) {
+      return AUTH_ERROR_TYPES.MFA_ENROLLMENT_FAILED;
+    }
+
+    if (errorCode === 'insufficient_aal' || errorMessage.includes('aal2 required')) {
+      return AUTH_ERROR_TYPES.MFA_REQUIRED;
+    }
+
+    // Passwordless (magic link and email code) errors, checked before the generic rate limit
+    if (
+      errorCode === 'over_email_send_rate_limit' ||
+      errorMessage.includes('email rate limit exceeded') ||
+      errorMessage.includes('only request this after')
+    ) {
+      return AUTH_ERROR_TYPES.OTP_RATE_LIMITED;
+    }
+
+    if (errorCode === 'otp_already_used' || errorMessage.includes('already been used')) {
+      return AUTH_ERROR_TYPES.OTP_ALREADY_USED;
+    }
+
+    if (
+      errorCode === 'otp_expired' ||
+      errorMessage.includes('link is invalid or has expired') ||
+      errorMessage.includes('token has expired or is invalid')
+    ) {
+      return AUTH_ERROR_TYPES.OTP_EXPIRED;
+    }
+
     // Supabase service unavailable errors
     if (
       errorMessage.includes('service unavailable') ||
@@ -374,12 +405,12 @@ export class AuthErrorHandler {
   /**
    * Generate user-friendly error message
    * @param {string} errorType - Error type constant
-   * @param {string} language - Language code ('es' or 'en')
+   * @param {string} language - Language code, e.g. 'es' or 'en'
    * @returns {string} User-friendly error message
    */
   generateUserMessage(errorType, language = 'es') {
-    const messages = language === 'en' ? ERROR_MESSAGES_EN : ERROR_MESSAGES_ES;
-    return messages[errorType] || messages[AUTH_ERROR_TYPES.UNKNOWN_ERROR];
+    const key = i18n.has(`auth:${errorType}`, language) ? errorType : AUTH_ERROR_TYPES.UNKNOWN_ERROR;
+    return i18n.t(`auth:${key}`, {}, language);
   }
 
   /**
@@ -422,7 +453,7 @@ export class AuthErrorHandler {
    * @param {string} language - Language code ('es' or 'en')
    */
   setDefaultLanguage(language) {
-    if (language === 'es' || language === 'en') {
+    if (i18n.getAvailableLanguages().includes(language)) {
       this.defaultLanguage = language;
     }
   }
@@ -432,7 +463,7 @@ export class AuthErrorHandler {
    * @returns {Array} Array of supported language codes
    */
   getSupportedLanguages() {
-    return ['es', 'en'];
+    return i18n.getAvailableLanguages();
   }
 
   /**
@@ -482,6 +513,22 @@ export class AuthErrorHandler {
         return SEVERITY.MEDIUM; // Browser/user configuration issue
       case AUTH_ERROR_TYPES.OAUTH_TIMEOUT:
         return SEVERITY.MEDIUM; // Could be network or provider issue
+      case AUTH_ERROR_TYPES.MFA_REQUIRED:
+        return SEVERITY.LOW; // Expected step of the sign in
+      case AUTH_ERROR_TYPES.MFA_INVALID_CODE:
+        return SEVERITY.MEDIUM; // Common user error, but repeated failures are worth noticing
+      case AUTH_ERROR_TYPES.MFA_CHALLENGE_EXPIRED:
+        return SEVERITY.LOW; // User took too long
+      case AUTH_ERROR_TYPES.MFA_RECOVERY_CODE_INVALID:
+        return SEVERITY.MEDIUM; // Could be a guessing attempt
+      case AUTH_ERROR_TYPES.MFA_ENROLLMENT_FAILED:
+        return SEVERITY.HIGH; // Users cannot secure their account
+      case AUTH_ERROR_TYPES.OTP_RATE_LIMITED:
+        return SEVERITY.LOW; // User asked for another email too soon
+      case AUTH_ERROR_TYPES.OTP_EXPIRED:
+        return SEVERITY.LOW; // Old email, or mail scanners opening the link first
+      case AUTH_ERROR_TYPES.OTP_ALREADY_USED:
+        return SEVERITY.LOW; // Link opened twice
       case AUTH_ERROR_TYPES.UNKNOWN_ERROR:
         return SEVERITY.HIGH; // Unknown errors need investigation
       default:
@@ -5,7 +5,61 @@ import { connectionMonitor } from './connectionMonitor.js';
 import { supabaseUnavailableHandler } from './supabaseUnavailableHandler.js';
 import { networkConnectivityHandler } from './networkConnectivityHandler.js';
 import { oauthErrorHandler, OAUTH_PROVIDERS } from './oauthErrorHandler.js';
+import { getOAuthProvider, getEnabledOAuthProviders, isOAuthProviderEnabled } from '../config/authProviders.js';
 import errorLogger from './errorLogger.js';
+import { authChannel, AUTH_CHANNEL_EVENTS } from './authChannel.js';
+import { generateId } from './localTableStore.js';
+import { tracer, SPAN_STATUS } from './tracing.js';
+import {
+  generateTotpSecret,
+  verifyTotp,
+  buildOtpAuthUri,
+  generateRecoveryCodes,
+  normalizeRecoveryCode,
+  hashRecoveryCode
+} from '../utils/totp.js';
+import i18n from '../utils/i18n.js';
+
+// Time allowed to enter the second factor after the password was accepted
+const MFA_CHALLENGE_TTL_MS = 5 * 60 * 1000;
+const MOCK_MFA_STORAGE_KEY = 'kairon_mock_mfa';
+
+// Supabase Auth error codes; the mock mode raises the same ones so both classify alike
+export const MFA_ERROR_CODES = {
+  REQUIRED: 'insufficient_aal',
+  INVALID_CODE: 'mfa_verification_failed',
+  CHALLENGE_EXPIRED: 'mfa_challenge_expired',
+  RECOVERY_CODE_INVALID: 'mfa_recovery_code_invalid',
+  ENROLLMENT_FAILED: 'mfa_enrollment_failed'
+};
+
+// Passwordless sign in: Supabase keeps links and codes valid for an hour and sends
+// at most one email per address per minute
+const EMAIL_OTP_STORAGE_KEY = 'kairon_email_otp';
+const EMAIL_OTP_TTL_MS = 60 * 60 * 1000;
+const EMAIL_OTP_RESEND_INTERVAL_MS = 60 * 1000;
+
+// Password reset error types and the "auth" locale keys with their troubleshooting steps
+const RESET_TROUBLESHOOTING_KEYS = {
+  RATE_LIMITED: 'resetStepsRateLimited',
+  USER_NOT_FOUND: 'resetStepsUserNotFound',
+  NETWORK_ERROR: 'resetStepsNetworkError',
+  CONFIG_ERROR: 'resetStepsConfigError',
+  UNKNOWN_ERROR: 'resetStepsUnknownError'
+};
+
+// Supabase Auth error codes, plus otp_already_used which is inferred on this device
+export const EMAIL_OTP_ERROR_CODES = {
+  RATE_LIMITED: 'over_email_send_rate_limit',
+  EXPIRED: 'otp_expired',
+  ALREADY_USED: 'otp_already_used'
+};
+
+const createAuthError = (code, message) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
 
 /**
  * Authentication service for handling user authentication
@@ -19,6 +73,16 @@ class AuthService {
     this.session = null;
     this.isSupabaseEnabled = !!supabase;
     this.authInitialized = false;
+    // Sign in waiting for a TOTP code: { factorId, email, expiresAt } plus, in mock mode,
+    // the user and token that are only stored once the code is verified
+    this.mfaChallenge = null;
+
+    // Follow sign ins and sign outs made in other tabs
+    authChannel.subscribe((message, { remote }) => {
+      if (remote) {
+        this.handleRemoteAuthEvent(message);
+      }
+    });
 
     // Initialize auth state
     this.initializeAuth();
@@ -31,21 +95,32 @@ class AuthService {
     if (this.isSupabaseEnabled) {
       // Get initial session
       const { data: { session } } = await supabase.auth.getSession();
-      this.session = session;
-      this.currentUser = session?.user || null;
+      await this.applySession(session);
       this.authInitialized = true;
 
       // Listen for auth changes
       supabase.auth.onAuthStateChange((event, session) => {
         console.log('Auth state changed:', event, session);
-        this.session = session;
-        this.currentUser = session?.user || null;
 
         // Handle auth events
-        if (event === 'SIGNED_IN') {
-          this.handleSignIn(session);
-        } else if (event === 'SIGNED_OUT') {
-          this.handleSignOut();
+        if (event === 'SIGNED_IN' || event === 'TOKEN_REFRESHED') {
+          // Supabase calls this while holding its auth lock, which the MFA lookup in
+          // applySession also takes: awaiting it here would deadlock the client
+          setTimeout(() => {
+            this.applySession(session)
+              .then(() => {
+                if (event === 'SIGNED_IN') {
+                  return this.handleSignIn(session);
+                }
+              })
+              .catch(error => console.error('Error applying auth session:', error));
+          }, 0);
+        } else {
+          this.session = session;
+          this.currentUser = session?.user || null;
+          if (event === 'SIGNED_OUT') {
+            this.handleSignOut();
+          }
         }
       });
     } else {
@@ -87,12 +162,39 @@ class AuthService {
     });
   }
 
+  /**
+   * Take a Supabase session, together with the second factor it still owes
+   * A session at aal1 keeps the user on the code step until it reaches aal2, so the
+   * challenge is worked out before the session is exposed
+   * @param {object|null} session - Supabase session
+   */
+  async applySession(session) {
+    let mfaChallenge = null;
+    if (session) {
+      try {
+        mfaChallenge = await this.getPendingMfaChallenge(session.user.email);
+      } catch (error) {
+        console.error('Error checking MFA assurance level:', error);
+      }
+    }
+
+    this.session = session;
+    this.currentUser = session?.user || null;
+    this.mfaChallenge = mfaChallenge;
+  }
+
   /**
    * Handle successful sign in
    */
   async handleSignIn(session) {
     if (!session?.user) return;
 
+    // Other tabs only hear of the sign in once it is complete; one still owing its second
+    // factor is announced by verifyMfaChallenge or useRecoveryCode
+    if (!this.mfaChallenge) {
+      authChannel.publish(AUTH_CHANNEL_EVENTS.SIGNED_IN, { userId: session.user.id });
+    }
+
     // Check if user profile exists, create if not
     const { data: userProfile, error } = await supabase
       .from('users')
@@ -126,11 +228,57 @@ class AuthService {
    * Handle sign out
    */
   handleSignOut() {
+    this.mfaChallenge = null;
     localStorage.removeItem('is_new_user');
     localStorage.removeItem('onboarding_completed');
     localStorage.removeItem('user_onboarding_data');
   }
 
+  /**
+   * Apply a sign in or sign out published by another tab
+   * @param {object} message - Auth channel message
+   */
+  async handleRemoteAuthEvent(message) {
+    if (message.type === AUTH_CHANNEL_EVENTS.SIGNED_OUT) {
+      if (!this.currentUser || (message.userId && message.userId !== this.currentUser.id)) {
+        return;
+      }
+
+      if (this.isSupabaseEnabled) {
+        // The other tab already revoked the session; drop the copy held in memory
+        const { error } = await supabase.auth.signOut({ scope: 'local' });
+        if (error) {
+          console.warn('Error clearing local session:', error);
+        }
+      }
+      this.currentUser = null;
+      this.session = null;
+      this.handleSignOut();
+    } else if (message.type === AUTH_CHANNEL_EVENTS.SIGNED_IN) {
+      if (this.isSupabaseEnabled) {
+        // The session is shared by every tab, so check its assurance level here too rather
+        // than trusting the announcement: an aal1 session never counts as signed in
+        const { data: { session } } = await supabase.auth.getSession();
+        let mfaChallenge = null;
+        if (session) {
+          try {
+            mfaChallenge = await this.getPendingMfaChallenge(session.user.email);
+          } catch (error) {
+            console.warn('Error checking MFA assurance level:', error);
+            return;
+          }
+        }
+        this.session = session;
+        this.currentUser = session?.user || null;
+        this.mfaChallenge = mfaChallenge;
+      } else {
+        // The other tab stored the session in localStorage
+        this.currentUser = null;
+        this.getCurrentUser();
+      }
+    }
+  }
+
   /**
    * Login with email and password
    * @param {string} email - User email
@@ -138,6 +286,11 @@ class AuthService {
    * @returns {Promise<object>} - User data
    */
   async login(email, password) {
+    return this.traceOperation('auth.login', {}, () => this.runLogin(email, password));
+  }
+
+  // login without its span
+  async runLogin(email, password) {
     const startTime = Date.now();
     const context = {
       operation: 'login',
@@ -153,6 +306,9 @@ class AuthService {
         throw new Error(connectivityResult.error || 'Connection check failed');
       }
 
+      // A new attempt replaces any sign in left waiting for its second factor
+      this.mfaChallenge = null;
+
       if (this.isSupabaseEnabled) {
         const { data, error } = await supabase.auth.signInWithPassword({
           email,
@@ -163,12 +319,19 @@ class AuthService {
           throw new Error(error.message);
         }
 
+        // With a verified TOTP factor the password only reaches aal1; isMfaRequired() tells
+        // the caller to ask for the code before the session counts as authenticated
+        if (data.session) {
+          this.mfaChallenge = await this.getPendingMfaChallenge(email);
+        }
+
         // Log successful login performance
         const duration = Date.now() - startTime;
         errorLogger.logPerformanceMetric('login', duration, true, {
           provider: 'supabase',
           email: email,
-          hasSession: !!data.session
+          hasSession: !!data.session,
+          mfaRequired: this.isMfaRequired()
         });
 
         return data.user;
@@ -180,15 +343,14 @@ class AuthService {
         });
 
         if (response.success) {
-          this.currentUser = response.user;
-          localStorage.setItem('auth_token', response.token);
-          localStorage.setItem('user_data', JSON.stringify(this.currentUser));
-          
+          this.startMockSession(response.user, response.token);
+
           // Log successful mock login performance
           const duration = Date.now() - startTime;
           errorLogger.logPerformanceMetric('login', duration, true, {
             provider: 'mock',
-            email: email
+            email: email,
+            mfaRequired: this.isMfaRequired()
           });
 
           return response.user;
@@ -221,6 +383,11 @@ class AuthService {
    * @returns {Promise<object>} - User data
    */
   async register(name, email, password) {
+    return this.traceOperation('auth.register', {}, () => this.runRegister(name, email, password));
+  }
+
+  // register without its span
+  async runRegister(name, email, password) {
     const startTime = Date.now();
     const context = {
       operation: 'register',
@@ -319,6 +486,11 @@ class AuthService {
    * @returns {Promise<Object>} - Result object with user data or error info
    */
   async registerWithValidation(name, email, password, confirmPassword, options = {}) {
+    return this.traceOperation('auth.register_with_validation', {}, () => this.runRegisterWithValidation(name, email, password, confirmPassword, options));
+  }
+
+  // registerWithValidation without its span
+  async runRegisterWithValidation(name, email, password, confirmPassword, options = {}) {
     const language = options.language || 'es';
     const enableRetry = options.enableRetry || false;
 
@@ -448,30 +620,7 @@ class AuthService {
    */
   validateRegistrationData(name, email, password, confirmPassword, language = 'es') {
     const errors = {};
-    const messages = {
-      es: {
-        nameRequired: 'El nombre es requerido',
-        nameLength: 'El nombre debe tener entre 2 y 50 caracteres',
-        emailRequired: 'El email es requerido',
-        emailInvalid: 'Por favor ingresa un email válido',
-        passwordRequired: 'La contraseña es requerida',
-        passwordWeak: 'La contraseña debe tener al menos 8 caracteres, incluir mayúsculas, minúsculas y números',
-        passwordMismatch: 'Las contraseñas no coinciden',
-        confirmPasswordRequired: 'Debes confirmar tu contraseña'
-      },
-      en: {
-        nameRequired: 'Name is required',
-        nameLength: 'Name must be between 2 and 50 characters',
-        emailRequired: 'Email is required',
-        emailInvalid: 'Please enter a valid email address',
-        passwordRequired: 'Password is required',
-        passwordWeak: 'Password must be at least 8 characters long and include uppercase, lowercase, and numbers',
-        passwordMismatch: 'Passwords do not match',
-        confirmPasswordRequired: 'You must confirm your password'
-      }
-    };
-
-    const msg = messages[language] || messages.es;
+    const msg = i18n.getTranslations(language, 'validation');
 
     // Name validation
     if (!name || typeof name !== 'string') {
@@ -541,11 +690,18 @@ class AuthService {
 
   /**
    * Generic OAuth login with comprehensive error handling
-   * @param {string} provider - OAuth provider (google, github)
+   * The provider's registry options (config/authProviders.js) are sent to Supabase, and
+   * `options.oauthOptions` can override them
+   * @param {string} provider - Enabled OAuth provider id (google, github, azure, gitlab, apple)
    * @param {Object} options - OAuth options
    * @returns {Promise<object>} - User data or error result
    */
   async loginWithOAuth(provider, options = {}) {
+    return this.traceOperation('auth.oauth_login', { 'auth.provider': provider }, () => this.runLoginWithOAuth(provider, options));
+  }
+
+  // loginWithOAuth without its span
+  async runLoginWithOAuth(provider, options = {}) {
     const startTime = Date.now();
     const context = {
       operation: 'oauth_login',
@@ -562,11 +718,16 @@ class AuthService {
       //   throw new Error(connectivityResult.error || 'Connection check failed');
       // }
 
+      if (!isOAuthProviderEnabled(provider)) {
+        throw new Error(`Proveedor de acceso no disponible: ${provider}`);
+      }
+
       if (this.isSupabaseEnabled) {
         const { data, error } = await supabase.auth.signInWithOAuth({
           provider: provider,
           options: {
             redirectTo: `${window.location.origin}/auth/callback.html`,
+            ...getOAuthProvider(provider).oauthOptions,
             ...options.oauthOptions
           }
         });
@@ -575,6 +736,10 @@ class AuthService {
           throw new Error(error.message);
         }
 
+        // The browser now leaves for the provider; auth/callback.html continues this trace
+        tracer.getActiveSpan()?.addEvent('oauth.redirect', { 'oauth.redirect_to': `${window.location.origin}/auth/callback.html` });
+        tracer.saveContext();
+
         // Log successful OAuth initiation
         const duration = Date.now() - startTime;
         errorLogger.logPerformanceMetric('oauth_login', duration, true, {
@@ -593,10 +758,8 @@ class AuthService {
         });
 
         if (response.success) {
-          this.currentUser = response.user;
-          localStorage.setItem('auth_token', response.token);
-          localStorage.setItem('user_data', JSON.stringify(this.currentUser));
-          
+          this.storeMockSession(response.user, response.token);
+
           // Log successful mock OAuth
           const duration = Date.now() - startTime;
           errorLogger.logPerformanceMetric('oauth_login', duration, true, {
@@ -635,11 +798,16 @@ class AuthService {
 
   /**
    * Enhanced OAuth login with error handling and fallback options
-   * @param {string} provider - OAuth provider (google, github)
+   * @param {string} provider - OAuth provider id (see config/authProviders.js)
    * @param {Object} options - Enhanced options
    * @returns {Promise<Object>} - Enhanced result with fallback options
    */
   async loginWithOAuthEnhanced(provider, options = {}) {
+    return this.traceOperation('auth.oauth_login_enhanced', { 'auth.provider': provider }, () => this.runLoginWithOAuthEnhanced(provider, options));
+  }
+
+  // loginWithOAuthEnhanced without its span
+  async runLoginWithOAuthEnhanced(provider, options = {}) {
     const {
       showFallback = true,
       showRetry = true,
@@ -735,6 +903,333 @@ class AuthService {
     return await this.loginWithOAuthEnhanced(OAUTH_PROVIDERS.GITHUB, options);
   }
 
+  /**
+   * Passwordless sign in: email a magic link that also carries a 6-digit code
+   * The link lands on auth/callback.html (handleMagicLinkCallback); the code is entered
+   * in the auth modal (loginWithEmailOtp)
+   * @param {string} email - User email
+   * @param {Object} options - { language, shouldCreateUser, redirectTo }
+   * @returns {Promise<Object>} - { success, email, expiresAt, resendAvailableAt } or { success: false, error }
+   */
+  async loginWithMagicLink(email, options = {}) {
+    return this.traceOperation('auth.magic_link', {}, () => this.runLoginWithMagicLink(email, options));
+  }
+
+  // loginWithMagicLink without its span
+  async runLoginWithMagicLink(email, options = {}) {
+    const startTime = Date.now();
+    const language = options.language || 'es';
+    const normalizedEmail = String(email || '').trim().toLowerCase();
+    const context = {
+      operation: 'magic_link',
+      email: normalizedEmail,
+      userAgent: navigator.userAgent,
+      timestamp: new Date().toISOString()
+    };
+
+    try {
+      if (!normalizedEmail) {
+        throw new Error('Email is required');
+      }
+
+      const connectivityResult = await this.checkConnectivityBeforeAuth('magic_link');
+      if (!connectivityResult.canProceed) {
+        throw new Error(connectivityResult.error || 'Connection check failed');
+      }
+
+      // Supabase enforces the interval too; checking here saves the round trip
+      const previous = this.getEmailOtpRecord();
+      if (previous?.email === normalizedEmail && Date.now() - previous.requestedAt < EMAIL_OTP_RESEND_INTERVAL_MS) {
+        throw createAuthError(EMAIL_OTP_ERROR_CODES.RATE_LIMITED, 'For security purposes, you can only request this after 60 seconds');
+      }
+
+      const requestedAt = Date.now();
+      const record = {
+        email: normalizedEmail,
+        requestedAt,
+        expiresAt: requestedAt + EMAIL_OTP_TTL_MS,
+        usedAt: null
+      };
+
+      if (this.isSupabaseEnabled) {
+        const { error } = await supabase.auth.signInWithOtp({
+          email: normalizedEmail,
+          options: {
+            emailRedirectTo: options.redirectTo || `${window.location.origin}/auth/callback.html?type=magiclink`,
+            shouldCreateUser: options.shouldCreateUser !== false
+          }
+        });
+
+        // Keep the Supabase error as is: its code tells rate limits apart from other failures
+        if (error) {
+          throw error;
+        }
+      } else {
+        const response = await this.mockApiCall('/auth/otp', {
+          method: 'POST',
+          body: JSON.stringify({ email: normalizedEmail })
+        });
+
+        if (!response.success) {
+          throw new Error(response.message || 'Error al enviar el enlace de acceso');
+        }
+
+        // No email leaves the mock mode: the link and code are printed for the developer
+        record.code = String(crypto.getRandomValues(new Uint32Array(1))[0] % 1000000).padStart(6, '0');
+        record.tokenHash = generateId();
+        console.info(`📧 Modo de desarrollo: enlace ${window.location.origin}/auth/callback.html?type=magiclink&token_hash=${record.tokenHash} · código ${record.code}`);
+      }
+
+      this.saveEmailOtpRecord(record);
+
+      errorLogger.logPerformanceMetric('magic_link', Date.now() - startTime, true, {
+        provider: this.isSupabaseEnabled ? 'supabase' : 'mock',
+        email: normalizedEmail
+      });
+
+      return {
+        success: true,
+        email: normalizedEmail,
+        expiresAt: record.expiresAt,
+        resendAvailableAt: requestedAt + EMAIL_OTP_RESEND_INTERVAL_MS
+      };
+    } catch (error) {
+      errorLogger.logError(error, context, errorLogger.SEVERITY_LEVELS.MEDIUM);
+      errorLogger.logPerformanceMetric('magic_link', Date.now() - startTime, false, {
+        provider: this.isSupabaseEnabled ? 'supabase' : 'mock',
+        email: normalizedEmail,
+        errorType: error.code || error.message
+      });
+
+      console.error('Magic link error:', error);
+      return {
+        success: false,
+        error: authErrorHandler.handleError(error, { ...context, language })
+      };
+    }
+  }
+
+  /**
+   * Sign in with the 6-digit code from the email sent by loginWithMagicLink
+   * Users with two-step verification still get an MFA challenge afterwards
+   * @param {string} email - Email the code was sent to
+   * @param {string} code - Code from the email
+   * @param {Object} options - { language }
+   * @returns {Promise<Object>} - { success, user, mfaRequired } or { success: false, error }
+   */
+  async loginWithEmailOtp(email, code, options = {}) {
+    return this.traceOperation('auth.email_otp', {}, () => this.runLoginWithEmailOtp(email, code, options));
+  }
+
+  // loginWithEmailOtp without its span
+  async runLoginWithEmailOtp(email, code, options = {}) {
+    const startTime = Date.now();
+    const language = options.language || 'es';
+    const normalizedEmail = String(email || '').trim().toLowerCase();
+    const token = String(code || '').replace(/\s/g, '');
+    const context = {
+      operation: 'email_otp',
+      email: normalizedEmail,
+      userAgent: navigator.userAgent,
+      timestamp: new Date().toISOString()
+    };
+
+    try {
+      const connectivityResult = await this.checkConnectivityBeforeAuth('email_otp');
+      if (!connectivityResult.canProceed) {
+        throw new Error(connectivityResult.error || 'Connection check failed');
+      }
+
+      this.mfaChallenge = null;
+
+      if (this.isSupabaseEnabled) {
+        const { data, error } = await supabase.auth.verifyOtp({ email: normalizedEmail, token, type: 'email' });
+        if (error) {
+          throw this.resolveEmailOtpError(error);
+        }
+
+        this.markEmailOtpUsed();
+        this.session = data.session;
+        this.currentUser = data.user;
+        this.mfaChallenge = await this.getPendingMfaChallenge(normalizedEmail);
+      } else {
+        const record = this.getEmailOtpRecord();
+        if (record?.email !== normalizedEmail || record.code !== token) {
+          throw this.resolveEmailOtpError(createAuthError(EMAIL_OTP_ERROR_CODES.EXPIRED, 'Token has expired or is invalid'));
+        }
+        this.checkEmailOtpRecord(record);
+
+        await this.completeMockEmailOtp(record);
+      }
+
+      errorLogger.logPerformanceMetric('email_otp', Date.now() - startTime, true, {
+        provider: this.isSupabaseEnabled ? 'supabase' : 'mock',
+        email: normalizedEmail,
+        mfaRequired: this.isMfaRequired()
+      });
+
+      return {
+        success: true,
+        user: this.isMfaRequired() ? null : this.getCurrentUser(),
+        mfaRequired: this.isMfaRequired()
+      };
+    } catch (error) {
+      errorLogger.logError(error, context, errorLogger.SEVERITY_LEVELS.MEDIUM);
+      errorLogger.logPerformanceMetric('email_otp', Date.now() - startTime, false, {
+        provider: this.isSupabaseEnabled ? 'supabase' : 'mock',
+        email: normalizedEmail,
+        errorType: error.code || error.message
+      });
+
+      console.error('Email OTP error:', error);
+      return {
+        success: false,
+        error: authErrorHandler.handleError(error, { ...context, language })
+      };
+    }
+  }
+
+  /**
+   * Finish a magic link sign in on auth/callback.html
+   * Supabase exchanges the tokens in the URL by itself (detectSessionInUrl); links built with
+   * a token_hash, and every link in mock mode, are verified here. With mfaRequired the page
+   * asks for the TOTP code itself, since the pending challenge does not survive a redirect
+   * @param {Object} params - { tokenHash, type, errorCode, errorDescription, language }
+   * @returns {Promise<Object>} - { success, user, mfaRequired } or { success: false, error }
+   */
+  async handleMagicLinkCallback(params = {}) {
+    return this.traceOperation('auth.magic_link_callback', {}, () => this.runMagicLinkCallback(params));
+  }
+
+  // handleMagicLinkCallback without its span
+  async runMagicLinkCallback(params = {}) {
+    const { tokenHash, type, errorCode, errorDescription } = params;
+    const context = {
+      operation: 'magic_link_callback',
+      timestamp: new Date().toISOString()
+    };
+
+    try {
+      if (errorCode) {
+        throw this.resolveEmailOtpError(createAuthError(errorCode, errorDescription || errorCode));
+      }
+
+      if (this.isSupabaseEnabled) {
+        if (tokenHash) {
+          const { error } = await supabase.auth.verifyOtp({ token_hash: tokenHash, type: type || 'email' });
+          if (error) {
+            throw this.resolveEmailOtpError(error);
+          }
+        }
+
+        await this.reloadSession();
+        if (!this.session) {
+          throw this.resolveEmailOtpError(createAuthError(EMAIL_OTP_ERROR_CODES.EXPIRED, 'Email link is invalid or has expired'));
+        }
+
+        this.markEmailOtpUsed();
+        this.mfaChallenge = await this.getPendingMfaChallenge(this.currentUser?.email);
+      } else {
+        const record = this.getEmailOtpRecord();
+        if (!tokenHash || record?.tokenHash !== tokenHash) {
+          throw createAuthError(EMAIL_OTP_ERROR_CODES.EXPIRED, 'Email link is invalid or has expired');
+        }
+        this.checkEmailOtpRecord(record);
+
+        await this.completeMockEmailOtp(record);
+      }
+
+      return {
+        success: true,
+        user: this.isMfaRequired() ? null : this.getCurrentUser(),
+        mfaRequired: this.isMfaRequired()
+      };
+    } catch (error) {
+      errorLogger.logError(error, context, errorLogger.SEVERITY_LEVELS.MEDIUM);
+      console.error('Magic link callback error:', error);
+      return {
+        success: false,
+        error: authErrorHandler.handleError(error, { ...context, language: params.language || 'es' })
+      };
+    }
+  }
+
+  /**
+   * Supabase answers otp_expired for wrong, expired and consumed links or codes alike; a
+   * link already used on this device is reported as such so the user is not told to wait
+   * @param {Object} error - Supabase or mock error
+   * @returns {Error} - Error carrying one of EMAIL_OTP_ERROR_CODES, or the original error
+   */
+  resolveEmailOtpError(error) {
+    const message = error.message?.toLowerCase() || '';
+    const expired = error.code === EMAIL_OTP_ERROR_CODES.EXPIRED ||
+      error.code === 'flow_state_expired' ||
+      error.code === 'flow_state_not_found' ||
+      message.includes('invalid or has expired') ||
+      message.includes('expired or is invalid');
+
+    if (!expired) {
+      return error;
+    }
+
+    return createAuthError(
+      this.getEmailOtpRecord()?.usedAt ? EMAIL_OTP_ERROR_CODES.ALREADY_USED : EMAIL_OTP_ERROR_CODES.EXPIRED,
+      error.message
+    );
+  }
+
+  /**
+   * Reject a mock link or code that was already consumed or is past its lifetime
+   * @param {Object} record - Stored email OTP record
+   */
+  checkEmailOtpRecord(record) {
+    if (record.usedAt) {
+      throw createAuthError(EMAIL_OTP_ERROR_CODES.ALREADY_USED, 'Email link has already been used');
+    }
+    if (record.expiresAt < Date.now()) {
+      throw createAuthError(EMAIL_OTP_ERROR_CODES.EXPIRED, 'Email link is invalid or has expired');
+    }
+  }
+
+  /**
+   * Sign in the mock user a verified link or code belongs to
+   * @param {Object} record - Stored email OTP record
+   */
+  async completeMockEmailOtp(record) {
+    const response = await this.mockApiCall('/auth/otp/verify', {
+      method: 'POST',
+      body: JSON.stringify({ email: record.email })
+    });
+
+    this.markEmailOtpUsed();
+    this.startMockSession(response.user, response.token);
+  }
+
+  markEmailOtpUsed() {
+    const record = this.getEmailOtpRecord();
+    if (record) {
+      this.saveEmailOtpRecord({ ...record, usedAt: Date.now() });
+    }
+  }
+
+  /**
+   * Last passwordless request from this device: { email, requestedAt, expiresAt, usedAt }
+   * In mock mode it also holds the code and token hash
+   * @returns {Object|null}
+   */
+  getEmailOtpRecord() {
+    try {
+      return JSON.parse(localStorage.getItem(EMAIL_OTP_STORAGE_KEY));
+    } catch (error) {
+      console.error('Error parsing email OTP data:', error);
+      return null;
+    }
+  }
+
+  saveEmailOtpRecord(record) {
+    localStorage.setItem(EMAIL_OTP_STORAGE_KEY, JSON.stringify(record));
+  }
+
   /**
    * Reset password with enhanced error handling and diagnostics
    * @param {string} email - User email
@@ -742,6 +1237,11 @@ class AuthService {
    * @returns {Promise<Object>} - Detailed result with success status and diagnostics
    */
   async resetPassword(email, options = {}) {
+    return this.traceOperation('auth.reset_password', {}, () => this.runResetPassword(email, options));
+  }
+
+  // resetPassword without its span
+  async runResetPassword(email, options = {}) {
     const startTime = Date.now();
     const language = options.language || 'es';
     const enableDiagnostics = options.enableDiagnostics !== false;
@@ -754,30 +1254,7 @@ class AuthService {
       timestamp: new Date().toISOString()
     };
 
-    const messages = {
-      es: {
-        success: 'Email de recuperación enviado. Revisa tu bandeja de entrada y carpeta de spam.',
-        rateLimited: 'Demasiados intentos. Espera 15 minutos e intenta nuevamente.',
-        userNotFound: 'No encontramos una cuenta con este email. ¿Quieres registrarte?',
-        networkError: 'Error de conexión. Verifica tu internet e intenta nuevamente.',
-        configError: 'Error de configuración del sistema. Contacta al soporte.',
-        unknownError: 'Error inesperado. Contacta al soporte si persiste.',
-        checkSpam: 'Si no ves el email, revisa tu carpeta de spam y promociones.',
-        emailInstructions: 'El enlace de recuperación expira en 1 hora.'
-      },
-      en: {
-        success: 'Recovery email sent. Check your inbox and spam folder.',
-        rateLimited: 'Too many attempts. Please wait 15 minutes and try again.',
-        userNotFound: 'No account found with this email. Would you like to sign up?',
-        networkError: 'Connection error. Check your internet and try again.',
-        configError: 'System configuration error. Please contact support.',
-        unknownError: 'Unexpected error. Contact support if it persists.',
-        checkSpam: 'If you don\'t see the email, check your spam and promotions folder.',
-        emailInstructions: 'The recovery link expires in 1 hour.'
-      }
-    };
-
-    const msg = messages[language] || messages.es;
+    const msg = i18n.getTranslations(language, 'auth');
 
     try {
       // Step 1: Validate email format
@@ -813,20 +1290,20 @@ class AuthService {
           
           // Classify Supabase errors
           let errorType = 'UNKNOWN_ERROR';
-          let userMessage = msg.unknownError;
+          let userMessage = msg.resetUnknownError;
 
           if (error.message.includes('rate limit') || error.message.includes('too many')) {
             errorType = 'RATE_LIMITED';
-            userMessage = msg.rateLimited;
+            userMessage = msg.resetRateLimited;
           } else if (error.message.includes('not found') || error.message.includes('user not found')) {
             errorType = 'USER_NOT_FOUND';
-            userMessage = msg.userNotFound;
+            userMessage = msg.resetUserNotFound;
           } else if (error.message.includes('network') || error.message.includes('fetch')) {
             errorType = 'NETWORK_ERROR';
-            userMessage = msg.networkError;
+            userMessage = msg.resetNetworkError;
           } else if (error.message.includes('config') || error.message.includes('smtp')) {
             errorType = 'CONFIG_ERROR';
-            userMessage = msg.configError;
+            userMessage = msg.resetConfigError;
           }
 
           const enhancedError = new Error(userMessage);
@@ -847,10 +1324,10 @@ class AuthService {
 
         return {
           success: true,
-          message: msg.success,
+          message: msg.resetSuccess,
           instructions: [
-            msg.checkSpam,
-            msg.emailInstructions,
+            msg.resetCheckSpam,
+            msg.resetEmailInstructions,
             'Busca emails de: noreply@supabase.co',
             'Si no llega en 5 minutos, revisa la carpeta de spam'
           ],
@@ -882,11 +1359,11 @@ class AuthService {
 
           return {
             success: true,
-            message: msg.success,
+            message: msg.resetSuccess,
             instructions: [
               'Modo de desarrollo: Email simulado',
               'En producción recibirías un email real',
-              msg.emailInstructions
+              msg.resetEmailInstructions
             ],
             diagnostics: enableDiagnostics ? {
               emailSent: true,
@@ -920,7 +1397,7 @@ class AuthService {
         success: false,
         error: {
           type: error.type || 'UNKNOWN_ERROR',
-          message: error.message || msg.unknownError,
+          message: error.message || msg.resetUnknownError,
           originalError: error.originalError || error
         },
         troubleshooting: this.generatePasswordResetTroubleshooting(error, email, language),
@@ -947,80 +1424,25 @@ class AuthService {
    * @returns {Array} - Array of troubleshooting steps
    */
   generatePasswordResetTroubleshooting(error, email, language = 'es') {
-    const troubleshooting = {
-      es: {
-        RATE_LIMITED: [
-          'Espera 15-30 minutos antes de intentar nuevamente',
-          'Usa una conexión de internet diferente si es urgente',
-          'Verifica que estés usando el email correcto'
-        ],
-        USER_NOT_FOUND: [
-          'Verifica que el email esté escrito correctamente',
-          'Prueba con variaciones del email (gmail.com vs googlemail.com)',
-          'Considera registrar una nueva cuenta si no tienes una'
-        ],
-        NETWORK_ERROR: [
-          'Verifica tu conexión a internet',
-          'Intenta desde otra red (datos móviles)',
-          'Desactiva VPN temporalmente',
-          'Revisa el estado de Supabase en status.supabase.com'
-        ],
-        CONFIG_ERROR: [
-          'Este es un problema del sistema, no tuyo',
-          'Contacta al soporte técnico',
-          'Incluye la hora exacta del error'
-        ],
-        UNKNOWN_ERROR: [
-          'Revisa tu carpeta de spam en el email',
-          'Espera 5-10 minutos por si hay retraso',
-          'Intenta con otro navegador',
-          'Contacta soporte si persiste'
-        ]
-      },
-      en: {
-        RATE_LIMITED: [
-          'Wait 15-30 minutes before trying again',
-          'Use a different internet connection if urgent',
-          'Verify you\'re using the correct email'
-        ],
-        USER_NOT_FOUND: [
-          'Verify the email is spelled correctly',
-          'Try email variations (gmail.com vs googlemail.com)',
-          'Consider registering a new account if you don\'t have one'
-        ],
-        NETWORK_ERROR: [
-          'Check your internet connection',
-          'Try from another network (mobile data)',
-          'Temporarily disable VPN',
-          'Check Supabase status at status.supabase.com'
-        ],
-        CONFIG_ERROR: [
-          'This is a system issue, not yours',
-          'Contact technical support',
-          'Include the exact time of the error'
-        ],
-        UNKNOWN_ERROR: [
-          'Check your email spam folder',
-          'Wait 5-10 minutes in case of delay',
-          'Try with another browser',
-          'Contact support if it persists'
-        ]
-      }
-    };
-
-    const steps = troubleshooting[language] || troubleshooting.es;
-    const errorType = error.type || 'UNKNOWN_ERROR';
-    
-    return steps[errorType] || steps.UNKNOWN_ERROR;
+    const key = RESET_TROUBLESHOOTING_KEYS[error.type] || RESET_TROUBLESHOOTING_KEYS.UNKNOWN_ERROR;
+    return i18n.translate(`auth:${key}`, language).split('\n');
   }
 
   /**
-   * Logout user
+   * Logout user from this device, and from every open tab of the app
+   * Other devices keep their sessions (see sessionService to revoke them)
+   * @param {object} options - { reason: 'logout' | 'idle' | 'revoked' }
    */
-  async logout() {
+  async logout(options = {}) {
+    return this.traceOperation('auth.logout', {}, () => this.runLogout(options));
+  }
+
+  // logout without its span
+  async runLogout(options = {}) {
     const startTime = Date.now();
     const context = {
       operation: 'logout',
+      reason: options.reason || 'logout',
       userId: this.currentUser?.id,
       userAgent: navigator.userAgent,
       timestamp: new Date().toISOString()
@@ -1028,7 +1450,7 @@ class AuthService {
 
     try {
       if (this.isSupabaseEnabled) {
-        const { error } = await supabase.auth.signOut();
+        const { error } = await supabase.auth.signOut({ scope: 'local' });
         if (error) {
           console.error('Logout error:', error);
           // Log logout error but don't throw - we still want to clean up locally
@@ -1043,6 +1465,10 @@ class AuthService {
       this.currentUser = null;
       this.session = null;
       this.handleSignOut();
+      authChannel.publish(AUTH_CHANNEL_EVENTS.SIGNED_OUT, {
+        userId: context.userId,
+        reason: context.reason
+      });
       
       // Log successful logout performance
       const duration = Date.now() - startTime;
@@ -1101,6 +1527,10 @@ class AuthService {
    * @returns {boolean} - Authentication status
    */
   isAuthenticated() {
+    if (this.mfaChallenge) {
+      return false;
+    }
+
     if (this.isSupabaseEnabled) {
       return !!this.session && !!this.currentUser;
     } else {
@@ -1153,15 +1583,530 @@ class AuthService {
   }
 
   /**
-   * Enhanced register method with comprehensive error handling and optional retry
-   * @param {string} name - User name
-   * @param {string} email - User email
-   * @param {string} password - User password
-   * @param {Object} options - Additional options (language, enableRetry, etc.)
-   * @returns {Promise<Object>} - Result object with user data or error info
+   * Whether the last sign in is waiting for a TOTP code
+   * @returns {boolean}
    */
-  async registerWithErrorHandling(name, email, password, options = {}) {
-    const language = options.language || 'es';
+  isMfaRequired() {
+    return !!this.mfaChallenge;
+  }
+
+  /**
+   * Pending second-factor challenge, without the credentials held for it
+   * @returns {object|null} - { factorId, email, expiresAt }
+   */
+  getMfaChallenge() {
+    if (!this.mfaChallenge) {
+      return null;
+    }
+
+    const { factorId, email, expiresAt } = this.mfaChallenge;
+    return { factorId, email, expiresAt };
+  }
+
+  /**
+   * Second factor still owed by the current Supabase session, if any
+   * @param {string} email - Email the challenge is shown for
+   * @returns {Promise<object|null>} - Challenge, or null when the session is complete
+   */
+  async getPendingMfaChallenge(email) {
+    const { data, error } = await supabase.auth.mfa.getAuthenticatorAssuranceLevel();
+    if (error) {
+      throw new Error(error.message);
+    }
+    if (data.nextLevel !== 'aal2' || data.currentLevel === 'aal2') {
+      return null;
+    }
+
+    const { data: factors, error: factorsError } = await supabase.auth.mfa.listFactors();
+    if (factorsError) {
+      throw new Error(factorsError.message);
+    }
+
+    const factor = factors.totp.find(item => item.status === 'verified');
+    return factor ? { factorId: factor.id, email, expiresAt: Date.now() + MFA_CHALLENGE_TTL_MS } : null;
+  }
+
+  /**
+   * Complete a sign in with the code shown by the user's authenticator app
+   * @param {string} code - 6-digit TOTP code
+   * @returns {Promise<object>} - Signed-in user
+   */
+  async verifyMfaChallenge(code) {
+    return this.traceOperation('auth.mfa_verify', {}, () => this.runVerifyMfaChallenge(code));
+  }
+
+  // verifyMfaChallenge without its span
+  async runVerifyMfaChallenge(code) {
+    const challenge = await this.requireMfaChallenge();
+    const context = {
+      operation: 'mfa_verify',
+      email: challenge.email,
+      timestamp: new Date().toISOString()
+    };
+
+    try {
+      if (this.isSupabaseEnabled) {
+        const { error } = await supabase.auth.mfa.challengeAndVerify({
+          factorId: challenge.factorId,
+          code: String(code || '').replace(/\s/g, '')
+        });
+        if (error) {
+          throw createAuthError(error.code || MFA_ERROR_CODES.INVALID_CODE, error.message);
+        }
+        await this.reloadSession();
+        authChannel.publish(AUTH_CHANNEL_EVENTS.SIGNED_IN, { userId: this.currentUser?.id });
+      } else {
+        const factor = this.getMockMfaRecord(challenge.pendingUser.id).factors
+          .find(item => item.id === challenge.factorId);
+        if (!factor || !(await verifyTotp(factor.secret, code))) {
+          throw createAuthError(MFA_ERROR_CODES.INVALID_CODE, 'Código de verificación incorrecto');
+        }
+        this.storeMockSession(challenge.pendingUser, challenge.pendingToken);
+      }
+
+      this.mfaChallenge = null;
+      return this.getCurrentUser();
+    } catch (error) {
+      errorLogger.logError(error, context, errorLogger.SEVERITY_LEVELS.MEDIUM);
+      throw error;
+    }
+  }
+
+  /**
+   * Complete a sign in with a recovery code instead of a TOTP code
+   * Recovery codes are the way back in after losing the authenticator, so using one also
+   * removes the TOTP factor and the remaining codes; the user sets MFA up again afterwards
+   * @param {string} code - Recovery code shown at enrollment
+   * @returns {Promise<object>} - Signed-in user
+   */
+  async useRecoveryCode(code) {
+    return this.traceOperation('auth.mfa_recovery_code', {}, () => this.runRecoveryCode(code));
+  }
+
+  // useRecoveryCode without its span
+  async runRecoveryCode(code) {
+    const challenge = await this.requireMfaChallenge();
+    const context = {
+      operation: 'mfa_recovery',
+      email: challenge.email,
+      timestamp: new Date().toISOString()
+    };
+
+    try {
+      if (this.isSupabaseEnabled) {
+        const { data: accepted, error } = await supabase.rpc('consume_mfa_recovery_code', {
+          recovery_code: normalizeRecoveryCode(code)
+        });
+        if (error) {
+          throw new Error(error.message);
+        }
+        if (!accepted) {
+          throw createAuthError(MFA_ERROR_CODES.RECOVERY_CODE_INVALID, 'Código de recuperación no válido');
+        }
+
+        // Without factors a refreshed session no longer needs aal2
+        const { error: refreshError } = await supabase.auth.refreshSession();
+        if (refreshError) {
+          throw new Error(refreshError.message);
+        }
+        await this.reloadSession();
+        authChannel.publish(AUTH_CHANNEL_EVENTS.SIGNED_IN, { userId: this.currentUser?.id });
+      } else {
+        const userId = challenge.pendingUser.id;
+        const hash = await hashRecoveryCode(code);
+        if (!this.getMockMfaRecord(userId).recoveryCodes.includes(hash)) {
+          throw createAuthError(MFA_ERROR_CODES.RECOVERY_CODE_INVALID, 'Código de recuperación no válido');
+        }
+        this.saveMockMfaRecord(userId, null);
+        this.storeMockSession(challenge.pendingUser, challenge.pendingToken);
+      }
+
+      this.mfaChallenge = null;
+      return this.getCurrentUser();
+    } catch (error) {
+      errorLogger.logError(error, context, errorLogger.SEVERITY_LEVELS.MEDIUM);
+      throw error;
+    }
+  }
+
+  /**
+   * Second login step for the auth modal, with the result shape of the login helpers
+   * @param {string} code - TOTP code, or a recovery code with options.recovery
+   * @param {Object} options - { recovery, language }
+   * @returns {Promise<Object>} - { success, user, mfaDisabled } or { success: false, error }
+   */
+  async verifyMfaWithErrorHandling(code, options = {}) {
+    try {
+      const user = options.recovery ? await this.useRecoveryCode(code) : await this.verifyMfaChallenge(code);
+      return {
+        success: true,
+        user: user,
+        mfaDisabled: !!options.recovery
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: authErrorHandler.handleError(error, {
+          operation: options.recovery ? 'mfa_recovery' : 'mfa_verify',
+          language: options.language || 'es'
+        })
+      };
+    }
+  }
+
+  /**
+   * Abandon a sign in waiting for its second factor
+   * With Supabase the aal1 session is signed out so it does not outlive the attempt
+   */
+  async cancelMfaChallenge() {
+    if (!this.mfaChallenge) {
+      return;
+    }
+
+    this.mfaChallenge = null;
+    if (this.isSupabaseEnabled) {
+      await supabase.auth.signOut();
+      this.session = null;
+      this.currentUser = null;
+    }
+  }
+
+  /**
+   * MFA settings of the signed-in user
+   * @returns {Promise<object>} - { enabled, factors: [{ id, friendlyName, createdAt }], recoveryCodesRemaining }
+   */
+  async getMfaStatus() {
+    const user = this.requireMfaUser();
+
+    if (this.isSupabaseEnabled) {
+      const { data, error } = await supabase.auth.mfa.listFactors();
+      if (error) {
+        throw new Error(error.message);
+      }
+
+      const factors = data.totp.map(factor => ({
+        id: factor.id,
+        friendlyName: factor.friendly_name || '',
+        createdAt: factor.created_at
+      }));
+
+      let recoveryCodesRemaining = 0;
+      if (factors.length > 0) {
+        const { count, error: countError } = await supabase
+          .from('mfa_recovery_codes')
+          .select('id', { count: 'exact', head: true })
+          .eq('user_id', user.id);
+        if (countError) {
+          throw new Error(countError.message);
+        }
+        recoveryCodesRemaining = count || 0;
+      }
+
+      return { enabled: factors.length > 0, factors, recoveryCodesRemaining };
+    }
+
+    const record = this.getMockMfaRecord(user.id);
+    const factors = record.factors
+      .filter(factor => factor.status === 'verified')
+      .map(({ id, friendlyName, createdAt }) => ({ id, friendlyName, createdAt }));
+
+    return {
+      enabled: factors.length > 0,
+      factors,
+      recoveryCodesRemaining: factors.length > 0 ? record.recoveryCodes.length : 0
+    };
+  }
+
+  /**
+   * Start TOTP enrollment for the signed-in user
+   * @param {string} friendlyName - Label for the authenticator
+   * @returns {Promise<object>} - { factorId, secret, uri, qrCode }; qrCode is the SVG data URL
+   *   generated by Supabase, null in mock mode (the secret and URI can be entered by hand)
+   */
+  async enrollMfa(friendlyName = 'Authenticator') {
+    const user = this.requireMfaUser();
+    const context = {
+      operation: 'mfa_enroll',
+      userId: user.id,
+      timestamp: new Date().toISOString()
+    };
+
+    try {
+      if (this.isSupabaseEnabled) {
+        // Enrollments started but never confirmed would clash with the new one
+        const { data: existing } = await supabase.auth.mfa.listFactors();
+        const unverified = (existing?.all || []).filter(factor => factor.factor_type === 'totp' && factor.status === 'unverified');
+        for (const factor of unverified) {
+          await supabase.auth.mfa.unenroll({ factorId: factor.id });
+        }
+
+        const { data, error } = await supabase.auth.mfa.enroll({ factorType: 'totp', friendlyName });
+        if (error) {
+          throw createAuthError(error.code || MFA_ERROR_CODES.ENROLLMENT_FAILED, error.message);
+        }
+
+        return {
+          factorId: data.id,
+          secret: data.totp.secret,
+          uri: data.totp.uri,
+          qrCode: data.totp.qr_code
+        };
+      }
+
+      const record = this.getMockMfaRecord(user.id);
+      if (record.factors.some(factor => factor.status === 'verified')) {
+        throw createAuthError('mfa_verified_factor_exists', 'La verificación en dos pasos ya está activada');
+      }
+
+      const factor = {
+        id: generateId(),
+        friendlyName,
+        secret: generateTotpSecret(),
+        status: 'unverified',
+        createdAt: new Date().toISOString()
+      };
+      this.saveMockMfaRecord(user.id, { factors: [factor], recoveryCodes: [] });
+
+      return {
+        factorId: factor.id,
+        secret: factor.secret,
+        uri: buildOtpAuthUri({ secret: factor.secret, account: user.email }),
+        qrCode: null
+      };
+    } catch (error) {
+      errorLogger.logError(error, context, errorLogger.SEVERITY_LEVELS.HIGH);
+      throw error;
+    }
+  }
+
+  /**
+   * Finish enrollment with a first code from the authenticator app
+   * @param {string} factorId - Factor returned by enrollMfa
+   * @param {string} code - 6-digit TOTP code
+   * @returns {Promise<string[]>} - Recovery codes, shown to the user only this once
+   */
+  async confirmMfaEnrollment(factorId, code) {
+    const user = this.requireMfaUser();
+    const context = {
+      operation: 'mfa_confirm_enrollment',
+      userId: user.id,
+      timestamp: new Date().toISOString()
+    };
+
+    try {
+      if (this.isSupabaseEnabled) {
+        const { error } = await supabase.auth.mfa.challengeAndVerify({
+          factorId,
+          code: String(code || '').replace(/\s/g, '')
+        });
+        if (error) {
+          throw createAuthError(error.code || MFA_ERROR_CODES.INVALID_CODE, error.message);
+        }
+        // The session is now aal2, which storing recovery codes requires
+        await this.reloadSession();
+      } else {
+        const record = this.getMockMfaRecord(user.id);
+        const factor = record.factors.find(item => item.id === factorId);
+        if (!factor) {
+          throw createAuthError(MFA_ERROR_CODES.ENROLLMENT_FAILED, 'No se encontró el autenticador que estás configurando');
+        }
+        if (!(await verifyTotp(factor.secret, code))) {
+          throw createAuthError(MFA_ERROR_CODES.INVALID_CODE, 'Código de verificación incorrecto');
+        }
+        this.saveMockMfaRecord(user.id, {
+          ...record,
+          factors: record.factors.map(item => (item.id === factorId ? { ...item, status: 'verified' } : item))
+        });
+      }
+
+      return await this.storeRecoveryCodes(user.id);
+    } catch (error) {
+      errorLogger.logError(error, context, errorLogger.SEVERITY_LEVELS.HIGH);
+      throw error;
+    }
+  }
+
+  /**
+   * Replace the recovery codes of the signed-in user
+   * @returns {Promise<string[]>} - New recovery codes; the previous ones stop working
+   */
+  async regenerateRecoveryCodes() {
+    const user = this.requireMfaUser();
+
+    if (!this.isSupabaseEnabled && !this.getMockMfaRecord(user.id).factors.some(factor => factor.status === 'verified')) {
+      throw new Error('La verificación en dos pasos no está activada');
+    }
+
+    return this.storeRecoveryCodes(user.id);
+  }
+
+  /**
+   * Turn MFA off for the signed-in user
+   * @param {string} factorId - Verified TOTP factor
+   */
+  async disableMfa(factorId) {
+    const user = this.requireMfaUser();
+
+    if (this.isSupabaseEnabled) {
+      const { error } = await supabase.auth.mfa.unenroll({ factorId });
+      if (error) {
+        throw new Error(error.message);
+      }
+
+      const { error: deleteError } = await supabase
+        .from('mfa_recovery_codes')
+        .delete()
+        .eq('user_id', user.id);
+      if (deleteError) {
+        throw new Error(deleteError.message);
+      }
+      return;
+    }
+
+    this.saveMockMfaRecord(user.id, null);
+  }
+
+  /**
+   * Generate and store a fresh set of recovery codes
+   * Supabase keeps only bcrypt hashes (store_mfa_recovery_codes); the mock store keeps SHA-256 hashes
+   * @param {string} userId - Owner of the codes
+   * @returns {Promise<string[]>} - Codes in clear text
+   */
+  async storeRecoveryCodes(userId) {
+    const codes = generateRecoveryCodes();
+
+    if (this.isSupabaseEnabled) {
+      const { error } = await supabase.rpc('store_mfa_recovery_codes', { codes });
+      if (error) {
+        throw new Error(error.message);
+      }
+    } else {
+      const record = this.getMockMfaRecord(userId);
+      this.saveMockMfaRecord(userId, {
+        ...record,
+        recoveryCodes: await Promise.all(codes.map(code => hashRecoveryCode(code)))
+      });
+    }
+
+    return codes;
+  }
+
+  /**
+   * Challenge being answered, or an error when there is none or it expired
+   * @returns {Promise<object>} - Pending challenge
+   */
+  async requireMfaChallenge() {
+    if (!this.mfaChallenge) {
+      throw createAuthError(MFA_ERROR_CODES.CHALLENGE_EXPIRED, 'No hay ninguna verificación pendiente; inicia sesión de nuevo');
+    }
+
+    if (Date.now() > this.mfaChallenge.expiresAt) {
+      await this.cancelMfaChallenge();
+      throw createAuthError(MFA_ERROR_CODES.CHALLENGE_EXPIRED, 'La verificación ha caducado; inicia sesión de nuevo');
+    }
+
+    return this.mfaChallenge;
+  }
+
+  /**
+   * Signed-in user managing their own MFA settings
+   * @returns {object} - Current user
+   */
+  requireMfaUser() {
+    const user = this.getCurrentUser();
+    if (!user || !this.isAuthenticated()) {
+      throw createAuthError(MFA_ERROR_CODES.REQUIRED, 'Debes iniciar sesión para gestionar la verificación en dos pasos');
+    }
+    return user;
+  }
+
+  /**
+   * Pick up the session Supabase stored after an MFA verification or refresh
+   */
+  async reloadSession() {
+    const { data: { session } } = await supabase.auth.getSession();
+    this.session = session;
+    this.currentUser = session?.user || null;
+  }
+
+  /**
+   * Finish a mock first factor (password or email code): users with a verified TOTP
+   * factor get a challenge and the token is only stored once the code is verified
+   * @param {object} user - Mock user
+   * @param {string} token - Mock token
+   */
+  startMockSession(user, token) {
+    const factor = this.getMockMfaRecord(user.id).factors.find(item => item.status === 'verified');
+    if (factor) {
+      this.mfaChallenge = {
+        factorId: factor.id,
+        email: user.email,
+        expiresAt: Date.now() + MFA_CHALLENGE_TTL_MS,
+        pendingUser: user,
+        pendingToken: token
+      };
+    } else {
+      this.storeMockSession(user, token);
+    }
+  }
+
+  /**
+   * Persist a mock sign in
+   * @param {object} user - Mock user
+   * @param {string} token - Mock token
+   */
+  storeMockSession(user, token) {
+    this.currentUser = user;
+    localStorage.setItem('auth_token', token);
+    localStorage.setItem('user_data', JSON.stringify(user));
+    authChannel.publish(AUTH_CHANNEL_EVENTS.SIGNED_IN, { userId: user.id });
+  }
+
+  /**
+   * MFA settings of a mock user: { factors: [{ id, friendlyName, secret, status, createdAt }], recoveryCodes: [hash] }
+   * @param {string} userId - Mock user id
+   * @returns {object} - Stored record, or an empty one
+   */
+  getMockMfaRecord(userId) {
+    try {
+      const store = JSON.parse(localStorage.getItem(MOCK_MFA_STORAGE_KEY)) || {};
+      return store[userId] || { factors: [], recoveryCodes: [] };
+    } catch (error) {
+      console.error('Error parsing mock MFA data:', error);
+      return { factors: [], recoveryCodes: [] };
+    }
+  }
+
+  /**
+   * @param {string} userId - Mock user id
+   * @param {object|null} record - New record, or null to remove MFA for the user
+   */
+  saveMockMfaRecord(userId, record) {
+    let store;
+    try {
+      store = JSON.parse(localStorage.getItem(MOCK_MFA_STORAGE_KEY)) || {};
+    } catch (error) {
+      store = {};
+    }
+
+    if (record) {
+      store[userId] = record;
+    } else {
+      delete store[userId];
+    }
+    localStorage.setItem(MOCK_MFA_STORAGE_KEY, JSON.stringify(store));
+  }
+
+  /**
+   * Enhanced register method with comprehensive error handling and optional retry
+   * @param {string} name - User name
+   * @param {string} email - User email
+   * @param {string} password - User password
+   * @param {Object} options - Additional options (language, enableRetry, etc.)
+   * @returns {Promise<Object>} - Result object with user data or error info
+   */
+  async registerWithErrorHandling(name, email, password, options = {}) {
+    const language = options.language || 'es';
     const enableRetry = options.enableRetry || false;
 
     // Create the register function
@@ -1289,6 +2234,7 @@ class AuthService {
         return {
           success: true,
           user: user,
+          mfaRequired: this.isMfaRequired(),
           context: context
         };
       } catch (error) {
@@ -1423,6 +2369,19 @@ class AuthService {
    * @returns {Promise<Object>} - Connectivity check result with recommendation
    */
   async checkConnectivityBeforeAuth(operation) {
+    return this.traceOperation(
+      'auth.connectivity_check',
+      { 'auth.checked_operation': operation },
+      () => this.runConnectivityCheck(operation),
+      (span, result) => span.setAttributes({
+        'connectivity.status': result?.status,
+        'connectivity.latency_ms': result?.latency
+      })
+    );
+  }
+
+  // checkConnectivityBeforeAuth without its span
+  async runConnectivityCheck(operation) {
     try {
       // First check network connectivity
       const networkStatus = networkConnectivityHandler.getNetworkStatus();
@@ -1561,6 +2520,7 @@ class AuthService {
         return {
           success: true,
           user: user,
+          mfaRequired: this.isMfaRequired(),
           attempt: attempt,
           connectivityRestored: connectivityRestored
         };
@@ -1782,37 +2742,65 @@ class AuthService {
           message: 'Email de recuperación enviado'
         };
 
-      case '/auth/google':
+      case '/auth/password':
+        // Only the demo account has a known password
+        if (data.email === 'demo@anclora.com' && data.currentPassword !== 'demo123') {
+          return {
+            success: false,
+            message: 'La contraseña actual no es correcta'
+          };
+        }
+
+        return {
+          success: true,
+          message: 'Contraseña actualizada'
+        };
+
+      case '/auth/otp':
         return {
           success: true,
-          token: 'mock_google_token_' + Date.now(),
-          user: {
-            id: 'google_' + Date.now(),
-            name: 'Usuario Google',
-            email: 'usuario@gmail.com',
-            avatar: 'https://lh3.googleusercontent.com/a/default-user=s96-c',
-            provider: 'google'
-          }
+          message: 'Email de acceso enviado'
         };
 
-      case '/auth/github':
+      case '/auth/otp/verify':
         return {
           success: true,
-          token: 'mock_github_token_' + Date.now(),
-          user: {
-            id: 'github_' + Date.now(),
-            name: 'Usuario GitHub',
-            email: 'usuario@github.com',
-            avatar: 'https://github.com/identicons/sample.png',
-            provider: 'github'
+          token: 'mock_token_' + Date.now(),
+          user: data.email === 'demo@anclora.com' ? {
+            id: '1',
+            name: 'Usuario Demo',
+            email: data.email,
+            avatar: null,
+            provider: 'email'
+          } : {
+            id: 'email_' + data.email,
+            name: data.email.split('@')[0],
+            email: data.email,
+            avatar: null,
+            provider: 'email'
           }
         };
 
-      default:
+      default: {
+        // OAuth sign in: /auth/<provider id>, signing in the provider's mock user
+        const oauthProvider = endpoint.startsWith('/auth/') ? getOAuthProvider(endpoint.slice('/auth/'.length)) : null;
+        if (oauthProvider) {
+          return {
+            success: true,
+            token: `mock_${oauthProvider.id}_token_` + Date.now(),
+            user: {
+              id: `${oauthProvider.id}_` + Date.now(),
+              ...oauthProvider.mockUser,
+              provider: oauthProvider.id
+            }
+          };
+        }
+
         return {
           success: false,
           message: 'Endpoint no encontrado'
         };
+      }
     }
   }
   /**
@@ -1841,15 +2829,11 @@ class AuthService {
         if (connectivityResult.status === 'network_offline' || connectivityResult.isNetworkIssue) {
           // Network connectivity issue - use network handler
           queueHandler = networkConnectivityHandler;
-          queueMessage = context.language === 'en' ? 
-            'Operation queued. We\'ll retry automatically when network connection is restored.' :
-            'Operación en cola. Reintentaremos automáticamente cuando se restaure la conexión de red.';
+          queueMessage = i18n.t('connection:operationQueuedNetwork', {}, context.language);
         } else if (connectivityResult.isServiceUnavailable) {
           // Service unavailable - use service handler
           queueHandler = supabaseUnavailableHandler;
-          queueMessage = context.language === 'en' ? 
-            'Operation queued. We\'ll retry automatically when service is restored.' :
-            'Operación en cola. Reintentaremos automáticamente cuando el servicio se restaure.';
+          queueMessage = i18n.t('connection:operationQueuedService', {}, context.language);
         }
 
         if (queueHandler) {
@@ -2086,8 +3070,9 @@ class AuthService {
    * @returns {Array} Array of available providers
    */
   getAvailableOAuthProviders() {
-    const allProviders = [OAUTH_PROVIDERS.GOOGLE, OAUTH_PROVIDERS.GITHUB];
-    return allProviders.filter(provider => !this.hasOAuthProviderFailed(provider));
+    return getEnabledOAuthProviders()
+      .map(provider => provider.id)
+      .filter(provider => !this.hasOAuthProviderFailed(provider));
   }
 
   /**
@@ -2098,6 +3083,34 @@ class AuthService {
   getOAuthProviderDisplayName(provider) {
     return oauthErrorHandler.getProviderDisplayName(provider);
   }
+
+  /**
+   * Run an auth operation as one span (see tracing.js); emails, passwords and codes are never
+   * recorded as attributes
+   * @param {string} name - Span name, e.g. auth.login
+   * @param {Object} attributes - Attributes the operation adds
+   * @param {Function} operation - Async operation
+   * @param {Function} onResult - Receives the span and the result
+   * @returns {Promise<*>} What the operation returns
+   */
+  traceOperation(name, attributes, operation, onResult = null) {
+    const spanAttributes = {
+      'auth.mode': this.isSupabaseEnabled ? 'supabase' : 'mock',
+      ...attributes
+    };
+
+    return tracer.withSpan(name, { attributes: spanAttributes }, async span => {
+      const result = await operation();
+      onResult?.(span, result);
+
+      // Many operations report failures as { success: false } instead of throwing
+      if (result?.success === false || result?.canProceed === false) {
+        const error = result.error;
+        span.setStatus(SPAN_STATUS.ERROR, typeof error === 'string' ? error : error?.message || error?.type);
+      }
+      return result;
+    });
+  }
 }
 
 // Create singleton instance
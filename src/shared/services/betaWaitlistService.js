@@ -0,0 +1,342 @@
+/**
+ * Beta Waitlist Service
+ * Double opt-in signups for the beta (beta_signups table): joining emails a confirmation link,
+ * confirming puts the email in the queue and credits whoever referred it. Each signup gets a
+ * referral code and a status page link; confirmed referrals move the referrer up the queue
+ * With Supabase the database functions do the work and a webhook sends the emails; without it
+ * the rows live in a LocalTableStore and emailService sends the emails
+ */
+
+import { supabase, TABLES } from '../config/supabase.js';
+import { LocalTableStore, sortRows } from './localTableStore.js';
+import { runLoggedQuery } from './queryRunner.js';
+import { emailService } from './emailService.js';
+import i18n from '../utils/i18n.js';
+
+/**
+ * @typedef {Object} BetaSignupResult
+ * @property {string} status - One of BETA_SIGNUP_STATUS
+ * @property {boolean} duplicate - Whether the email had already joined (its links were sent again)
+ */
+
+/**
+ * @typedef {Object} BetaSignupStatus
+ * @property {string} email
+ * @property {string} status - One of BETA_SIGNUP_STATUS
+ * @property {number|null} position - Place in the queue, null until confirmed
+ * @property {number} queueSize - Confirmed signups in the queue
+ * @property {string} referralCode
+ * @property {number} referralCount - Confirmed signups referred
+ * @property {string} referralLink - Landing page link carrying the referral code
+ */
+
+export const BETA_SIGNUP_STATUS = {
+  PENDING: 'pending',
+  CONFIRMED: 'confirmed',
+  // Set by the team once the beta is opened to the signup
+  INVITED: 'invited'
+};
+
+export const CONFIRMATION_TTL_HOURS = 48;
+
+// Places a signup moves up for every confirmed referral
+export const REFERRAL_BOOST = 5;
+
+export const BETA_STATUS_PATH = '/beta/status.html';
+
+const REFERRAL_STORAGE_KEY = 'kairon_beta_referral';
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+/**
+ * Random hex string for the secrets in the emailed links and the referral codes
+ * @param {number} bytes - Random bytes
+ * @returns {string} Lowercase hex
+ */
+function randomHex(bytes) {
+  const values = new Uint8Array(bytes);
+  if (typeof crypto !== 'undefined' && typeof crypto.getRandomValues === 'function') {
+    crypto.getRandomValues(values);
+  } else {
+    values.forEach((_, index) => { values[index] = Math.floor(Math.random() * 256); });
+  }
+  return Array.from(values, value => value.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Order the confirmed signups into the queue: confirmation order, then every signup moves up
+ * REFERRAL_BOOST places per confirmed referral (ties keep the confirmation order).
+ * get_beta_signup_status in database/schema.sql computes the same
+ * @param {Array<Object>} signups - beta_signups rows
+ * @returns {Array<Object>} Confirmed rows in queue order, each with its position
+ */
+export function rankWaitlist(signups) {
+  const confirmed = sortRows(signups.filter(signup => signup.status === BETA_SIGNUP_STATUS.CONFIRMED), 'confirmed_at');
+
+  return confirmed
+    .map((signup, index) => ({ signup, score: index + 1 - (signup.referral_count || 0) * REFERRAL_BOOST }))
+    .sort((a, b) => a.score - b.score)
+    .map(({ signup }, index) => ({ ...signup, position: index + 1 }));
+}
+
+/**
+ * BetaWaitlistService class for the landing page beta signups
+ */
+export class BetaWaitlistService {
+  constructor() {
+    this.isSupabaseEnabled = !!supabase;
+    this.signupStore = new LocalTableStore(TABLES.BETA_SIGNUPS);
+  }
+
+  /**
+   * Join the waitlist. Joining again sends the links again: the confirmation link while the
+   * signup is pending, the status page link once confirmed
+   * @param {string} email - Email
+   * @param {Object} options - { referralCode, language }
+   * @returns {Promise<BetaSignupResult>} Result
+   */
+  async join(email, options = {}) {
+    const normalizedEmail = typeof email === 'string' ? email.trim().toLowerCase() : '';
+    if (!EMAIL_PATTERN.test(normalizedEmail)) {
+      throw new Error(`Email no válido: ${email}`);
+    }
+
+    const language = options.language || i18n.getCurrentLanguage();
+    const referralCode = options.referralCode ? String(options.referralCode).trim().toUpperCase() : null;
+
+    return this.runQuery('join_beta_waitlist', { hasReferral: !!referralCode }, async () => {
+      if (this.isSupabaseEnabled) {
+        const { data, error } = await supabase.rpc('join_beta_waitlist', {
+          signup_email: normalizedEmail,
+          signup_language: language,
+          referral: referralCode
+        });
+
+        if (error) {
+          throw new Error(error.message);
+        }
+        const row = Array.isArray(data) ? data[0] : data;
+        return { status: row.status, duplicate: row.duplicate };
+      }
+
+      const existing = this.findByEmail(normalizedEmail);
+      if (existing) {
+        if (existing.status === BETA_SIGNUP_STATUS.PENDING) {
+          const renewed = this.signupStore.update(existing.id, {
+            ...this.createConfirmation(),
+            requested_at: new Date().toISOString()
+          });
+          await this.sendConfirmationEmail(renewed);
+        } else {
+          await this.sendStatusEmail(existing);
+        }
+        return { status: existing.status, duplicate: true };
+      }
+
+      // Only codes from the queue count, so unconfirmed signups cannot refer each other
+      const referrer = referralCode
+        ? this.signupStore.where(row => row.referral_code === referralCode && row.status !== BETA_SIGNUP_STATUS.PENDING)[0]
+        : null;
+
+      const signup = this.signupStore.insert({
+        email: normalizedEmail,
+        language,
+        status: BETA_SIGNUP_STATUS.PENDING,
+        ...this.createConfirmation(),
+        status_token: randomHex(24),
+        referral_code: this.createReferralCode(),
+        referred_by: referrer?.id || null,
+        referral_count: 0,
+        requested_at: new Date().toISOString(),
+        confirmed_at: null
+      });
+      await this.sendConfirmationEmail(signup);
+
+      return { status: signup.status, duplicate: false };
+    });
+  }
+
+  /**
+   * Confirm a signup from the emailed link, which puts it in the queue
+   * @param {string} token - Confirmation token
+   * @returns {Promise<string>} Status token of the signup, for its status page
+   */
+  async confirm(token) {
+    return this.runQuery('confirm_beta_signup', {}, async () => {
+      if (this.isSupabaseEnabled) {
+        const { data, error } = await supabase.rpc('confirm_beta_signup', { token });
+
+        if (error) {
+          throw new Error(error.message);
+        }
+        return data;
+      }
+
+      const signup = token
+        ? this.signupStore.where(row => row.confirmation_token === token && row.status === BETA_SIGNUP_STATUS.PENDING)[0]
+        : null;
+      if (!signup) {
+        throw new Error('Enlace de confirmación no válido');
+      }
+      if (new Date(signup.confirmation_expires_at) < new Date()) {
+        throw new Error('El enlace de confirmación ha caducado');
+      }
+
+      this.signupStore.update(signup.id, {
+        status: BETA_SIGNUP_STATUS.CONFIRMED,
+        confirmation_token: null,
+        confirmed_at: new Date().toISOString()
+      });
+
+      const referrer = signup.referred_by ? this.signupStore.findById(signup.referred_by) : null;
+      if (referrer) {
+        this.signupStore.update(referrer.id, { referral_count: (referrer.referral_count || 0) + 1 });
+      }
+
+      return signup.status_token;
+    });
+  }
+
+  /**
+   * Status of a signup for its status page
+   * @param {string} statusToken - Token of the status page link
+   * @returns {Promise<BetaSignupStatus|null>} Status, or null when the token is unknown
+   */
+  async getStatus(statusToken) {
+    if (!statusToken) return null;
+
+    return this.runQuery('get_beta_signup_status', {}, async () => {
+      if (this.isSupabaseEnabled) {
+        const { data, error } = await supabase.rpc('get_beta_signup_status', { token: statusToken });
+
+        if (error) {
+          throw new Error(error.message);
+        }
+        const row = Array.isArray(data) ? data[0] : data;
+        return row ? this.toStatus(row, row.queue_position, row.queue_size) : null;
+      }
+
+      const signup = this.signupStore.where(row => row.status_token === statusToken)[0];
+      if (!signup) return null;
+
+      const queue = rankWaitlist(this.signupStore.all());
+      const entry = queue.find(row => row.id === signup.id);
+      return this.toStatus(signup, entry?.position ?? null, queue.length);
+    });
+  }
+
+  /**
+   * Landing page link that carries a referral code
+   * @param {string} referralCode - Code
+   * @returns {string} URL
+   */
+  getReferralLink(referralCode) {
+    return `${window.location.origin}/?ref=${encodeURIComponent(referralCode)}`;
+  }
+
+  /**
+   * Status page link
+   * @param {Object} params - { token } for the status or { confirm } for a confirmation
+   * @returns {string} URL
+   */
+  getStatusLink(params) {
+    return `${window.location.origin}${BETA_STATUS_PATH}?${new URLSearchParams(params)}`;
+  }
+
+  /**
+   * Remember the referral code of the link the visitor arrived with until they sign up
+   * @param {string} referralCode - Code from the ?ref= parameter
+   */
+  rememberReferral(referralCode) {
+    if (referralCode) localStorage.setItem(REFERRAL_STORAGE_KEY, String(referralCode).trim().toUpperCase());
+  }
+
+  /**
+   * Referral code to sign up with, if the visitor arrived through a referral link
+   * @returns {string|null} Code
+   */
+  getRememberedReferral() {
+    return localStorage.getItem(REFERRAL_STORAGE_KEY);
+  }
+
+  findByEmail(email) {
+    return this.signupStore.where(row => row.email === email)[0] || null;
+  }
+
+  createConfirmation() {
+    return {
+      confirmation_token: randomHex(24),
+      confirmation_expires_at: new Date(Date.now() + CONFIRMATION_TTL_HOURS * 60 * 60 * 1000).toISOString()
+    };
+  }
+
+  // Eight uppercase hex characters, like the database function
+  createReferralCode() {
+    const codes = new Set(this.signupStore.all().map(row => row.referral_code));
+    let code;
+    do {
+      code = randomHex(4).toUpperCase();
+    } while (codes.has(code));
+    return code;
+  }
+
+  /**
+   * Email the confirmation link in the signup's language
+   * @param {Object} signup - beta_signups row
+   */
+  async sendConfirmationEmail(signup) {
+    await emailService.send('beta-confirmation', {
+      to: signup.email,
+      language: signup.language,
+      data: {
+        link: this.getStatusLink({ confirm: signup.confirmation_token }),
+        hours: CONFIRMATION_TTL_HOURS
+      }
+    });
+  }
+
+  /**
+   * Email the status page link to a confirmed signup that joined again
+   * @param {Object} signup - beta_signups row
+   */
+  async sendStatusEmail(signup) {
+    await emailService.send('beta-status', {
+      to: signup.email,
+      language: signup.language,
+      data: { link: this.getStatusLink({ token: signup.status_token }) }
+    });
+  }
+
+  /**
+   * Shape a signup row for the status page
+   * @param {Object} row - beta_signups row or get_beta_signup_status result
+   * @param {number|null} position - Place in the queue
+   * @param {number} queueSize - Confirmed signups
+   * @returns {BetaSignupStatus} Status
+   */
+  toStatus(row, position, queueSize) {
+    return {
+      email: row.email,
+      status: row.status,
+      position: position === null || position === undefined ? null : Number(position),
+      queueSize: Number(queueSize) || 0,
+      referralCode: row.referral_code,
+      referralCount: row.referral_count || 0,
+      referralLink: this.getReferralLink(row.referral_code)
+    };
+  }
+
+  /**
+   * Run a query through the shared logged runner
+   * @param {string} operation - Operation name
+   * @param {Object} context - Log context
+   * @param {Function} fn - Async query
+   * @returns {Promise<any>} Query result
+   */
+  runQuery(operation, context, fn) {
+    return runLoggedQuery(operation, context, fn, this.isSupabaseEnabled);
+  }
+}
+
+// Create singleton instance
+export const betaWaitlistService = new BetaWaitlistService();
+export default betaWaitlistService;
@@ -0,0 +1,504 @@
+/**
+ * Chat Service
+ * Repository layer for the chat_messages table with Supabase and localStorage mock backends
+ * Delivers new messages live through Supabase Realtime, falling back to polling when the
+ * channel fails or connectionMonitor reports degraded connectivity
+ */
+
+import { supabase, TABLES } from '../config/supabase.js';
+import { authService } from './authService.js';
+import { connectionMonitor, CONNECTION_STATUS } from './connectionMonitor.js';
+import { LocalTableStore, generateId } from './localTableStore.js';
+import { runLoggedQuery } from './queryRunner.js';
+import { offlineOutbox, OUTBOX_ENTITIES, OUTBOX_ACTIONS } from './offlineOutbox.js';
+
+/**
+ * @typedef {Object} ChatMessage
+ * @property {string} id
+ * @property {string} project_id
+ * @property {string} user_id - Author (the actor for system messages)
+ * @property {string} message - Text, or a JSON-encoded event for system messages
+ * @property {string} message_type - One of MESSAGE_TYPES
+ * @property {Array<string>} mentions - Ids of mentioned users
+ * @property {string|null} reply_to - Parent message id for thread replies
+ * @property {string} created_at
+ */
+
+/**
+ * Message type constants (matches chat_messages.message_type in the schema)
+ */
+export const MESSAGE_TYPES = {
+  TEXT: 'text',
+  FILE: 'file',
+  SYSTEM: 'system'
+};
+
+/**
+ * System message event constants
+ */
+export const SYSTEM_EVENTS = {
+  TASK_STATUS_CHANGED: 'task_status_changed'
+};
+
+/**
+ * Live delivery modes of a chat subscription
+ */
+export const DELIVERY_MODES = {
+  REALTIME: 'realtime',
+  POLLING: 'polling'
+};
+
+const MAX_MESSAGE_LENGTH = 4000;
+const DEGRADED_QUALITIES = ['poor', 'very_poor'];
+const READ_MARKERS_PREFIX = 'kairon_chat_read_';
+
+/**
+ * Handle used to @mention a project member, e.g. "Ana García" -> "ana.garcía"
+ * @param {Object} member - Member as returned by projectService.listMembers
+ * @returns {string} Mention handle
+ */
+export function getMentionHandle(member) {
+  const user = member.user || {};
+  const name = user.name || (user.email ? user.email.split('@')[0] : member.user_id);
+  return String(name).trim().toLowerCase().replace(/\s+/g, '.');
+}
+
+/**
+ * Resolve the @handles in a message against the project members
+ * @param {string} text - Message text
+ * @param {Array<Object>} members - Project members
+ * @returns {Array<string>} Ids of the mentioned users, without duplicates
+ */
+export function resolveMentions(text, members) {
+  const byHandle = new Map(members.map(member => [getMentionHandle(member), member.user_id]));
+  const mentioned = new Set();
+
+  for (const match of String(text).matchAll(/@([\p{L}\p{N}._-]+)/gu)) {
+    const handle = match[1].toLowerCase().replace(/[._-]+$/, '');
+    if (byHandle.has(handle)) {
+      mentioned.add(byHandle.get(handle));
+    }
+  }
+
+  return [...mentioned];
+}
+
+/**
+ * Decode the event stored in a system message
+ * @param {ChatMessage} message - Chat message
+ * @returns {Object|null} Event, or null when the message is not a valid system message
+ */
+export function parseSystemMessage(message) {
+  if (message.message_type !== MESSAGE_TYPES.SYSTEM) return null;
+
+  try {
+    const event = JSON.parse(message.message);
+    return event && typeof event.type === 'string' ? event : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Live feed of a project's new messages
+ * Uses a Realtime channel while it is healthy and polls otherwise
+ */
+class ChatSubscription {
+  constructor(service, projectId, onMessage, options = {}) {
+    this.service = service;
+    this.projectId = projectId;
+    this.onMessage = onMessage;
+    this.onModeChange = options.onModeChange || (() => {});
+    this.client = options.client !== undefined ? options.client : service.realtimeClient;
+    this.monitor = options.monitor || connectionMonitor;
+    this.pollIntervalMs = options.pollIntervalMs || service.pollIntervalMs;
+
+    this.since = options.since || new Date().toISOString();
+    this.seenIds = new Set();
+    this.channel = null;
+    this.channelHealthy = false;
+    this.pollTimer = null;
+    this.mode = null;
+    this.unsubscribers = [];
+  }
+
+  start() {
+    this.unsubscribers.push(
+      this.monitor.onConnectionChange('statusChange', () => this.updateMode()),
+      this.monitor.onConnectionChange('connectivityCheck', () => this.updateMode())
+    );
+
+    if (this.client) {
+      this.channel = this.client
+        .channel(`chat_messages:${this.projectId}`)
+        .on('postgres_changes', {
+          event: 'INSERT',
+          schema: 'public',
+          table: TABLES.CHAT_MESSAGES,
+          filter: `project_id=eq.${this.projectId}`
+        }, (payload) => this.deliver(payload.new))
+        .subscribe((status) => {
+          this.channelHealthy = status === 'SUBSCRIBED';
+          this.updateMode();
+        });
+    }
+
+    this.updateMode();
+    return this;
+  }
+
+  stop() {
+    this.unsubscribers.forEach(unsubscribe => unsubscribe());
+    this.unsubscribers = [];
+    this.stopPolling();
+
+    if (this.channel) {
+      this.client.removeChannel(this.channel);
+      this.channel = null;
+    }
+  }
+
+  isDegraded() {
+    const { status, quality } = this.monitor.getStatus();
+    return status === CONNECTION_STATUS.DISCONNECTED || DEGRADED_QUALITIES.includes(quality);
+  }
+
+  updateMode() {
+    const mode = this.channel && this.channelHealthy && !this.isDegraded()
+      ? DELIVERY_MODES.REALTIME
+      : DELIVERY_MODES.POLLING;
+
+    if (mode === this.mode) return;
+
+    const previous = this.mode;
+    this.mode = mode;
+
+    if (mode === DELIVERY_MODES.POLLING) {
+      this.startPolling();
+    } else {
+      this.stopPolling();
+      // Catch up on anything sent while the channel was down
+      if (previous) this.poll();
+    }
+
+    this.onModeChange(mode);
+  }
+
+  startPolling() {
+    if (this.pollTimer) return;
+    this.pollTimer = setInterval(() => this.poll(), this.pollIntervalMs);
+  }
+
+  stopPolling() {
+    if (this.pollTimer) {
+      clearInterval(this.pollTimer);
+      this.pollTimer = null;
+    }
+  }
+
+  async poll() {
+    try {
+      const messages = await this.service.listMessages(this.projectId, { since: this.since });
+      messages.forEach(message => this.deliver(message));
+    } catch (error) {
+      console.warn('Chat polling failed:', error);
+    }
+  }
+
+  deliver(message) {
+    if (!message || this.seenIds.has(message.id)) return;
+
+    this.seenIds.add(message.id);
+    if (message.created_at > this.since) {
+      this.since = message.created_at;
+    }
+    this.onMessage(message);
+  }
+}
+
+/**
+ * ChatService class for reading, sending and following chat messages
+ */
+export class ChatService {
+  constructor() {
+    this.isSupabaseEnabled = !!supabase;
+    this.realtimeClient = supabase;
+    this.messageStore = new LocalTableStore(TABLES.CHAT_MESSAGES, { trackUpdates: false });
+    this.pollIntervalMs = 5000;
+    this.defaultLimit = 200;
+
+    // Messages are only ever created, so replay needs no server row to compare with
+    offlineOutbox.registerHandler(OUTBOX_ENTITIES.CHAT_MESSAGE, {
+      create: entry => this.writeMessage(entry.values)
+    });
+  }
+
+  /**
+   * Get the id of the authenticated user
+   * @returns {string} User id
+   */
+  getCurrentUserId() {
+    const user = authService.getCurrentUser();
+    if (!user?.id) {
+      throw new Error('Debes iniciar sesión para usar el chat');
+    }
+    return user.id;
+  }
+
+  /**
+   * List a project's messages, oldest first
+   * @param {string} projectId - Project id
+   * @param {Object} options - Query options
+   * @param {string} options.since - Only messages created after this ISO timestamp
+   * @param {number} options.limit - Maximum number of (most recent) messages
+   * @returns {Promise<Array<ChatMessage>>} Messages
+   */
+  async listMessages(projectId, options = {}) {
+    const { since = null, limit = this.defaultLimit } = options;
+
+    return this.runQuery('list_messages', { projectId, since }, async () => {
+      if (this.isSupabaseEnabled) {
+        let query = supabase
+          .from(TABLES.CHAT_MESSAGES)
+          .select('*')
+          .eq('project_id', projectId);
+
+        if (since) query = query.gt('created_at', since);
+
+        const { data, error } = await query
+          .order('created_at', { ascending: false })
+          .limit(limit);
+
+        if (error) {
+          throw new Error(error.message);
+        }
+        return (data || []).reverse();
+      }
+
+      return this.messageStore
+        .where(message => message.project_id === projectId && (!since || message.created_at > since))
+        .sort((a, b) => a.created_at.localeCompare(b.created_at))
+        .slice(-limit);
+    });
+  }
+
+  /**
+   * Send a text message as the current user
+   * @param {string} projectId - Project id
+   * @param {Object} values - Message values
+   * @param {string} values.message - Message text
+   * @param {string} values.replyTo - Parent message id when replying in a thread
+   * @param {Array<string>} values.mentions - Ids of mentioned users
+   * @returns {Promise<ChatMessage>} Created message
+   */
+  async sendMessage(projectId, values = {}) {
+    const validationError = this.validateMessage(values);
+    if (validationError) {
+      throw new Error(validationError);
+    }
+
+    return this.insertMessage({
+      project_id: projectId,
+      user_id: this.getCurrentUserId(),
+      message: values.message.trim(),
+      message_type: MESSAGE_TYPES.TEXT,
+      mentions: values.mentions || [],
+      reply_to: values.replyTo || null
+    });
+  }
+
+  /**
+   * Record an event in the project chat
+   * @param {string} projectId - Project id
+   * @param {Object} event - Event with a `type` from SYSTEM_EVENTS and its details
+   * @returns {Promise<ChatMessage>} Created message
+   */
+  async postSystemMessage(projectId, event) {
+    return this.insertMessage({
+      project_id: projectId,
+      user_id: this.getCurrentUserId(),
+      message: JSON.stringify(event),
+      message_type: MESSAGE_TYPES.SYSTEM,
+      mentions: [],
+      reply_to: null
+    });
+  }
+
+  /**
+   * Insert a chat_messages row, queueing it in the offline outbox while Supabase can't be reached
+   * @param {Object} row - Row values
+   * @returns {Promise<ChatMessage>} Created message
+   */
+  async insertMessage(row) {
+    if (!this.isSupabaseEnabled) {
+      return this.writeMessage(row);
+    }
+
+    // Generated here so a message queued offline keeps its id when it is replayed
+    const queued = { ...row, id: generateId() };
+    return offlineOutbox.run({
+      entity: OUTBOX_ENTITIES.CHAT_MESSAGE,
+      action: OUTBOX_ACTIONS.CREATE,
+      recordId: queued.id,
+      projectId: row.project_id,
+      values: queued,
+      label: row.message_type === MESSAGE_TYPES.TEXT ? row.message.slice(0, 80) : ''
+    }, () => this.writeMessage(queued));
+  }
+
+  /**
+   * Write a chat_messages row
+   * @param {Object} row - Row values
+   * @returns {Promise<ChatMessage>} Created message
+   */
+  async writeMessage(row) {
+    return this.runQuery('send_message', { projectId: row.project_id, type: row.message_type }, async () => {
+      if (this.isSupabaseEnabled) {
+        const { data, error } = await supabase
+          .from(TABLES.CHAT_MESSAGES)
+          .insert(row)
+          .select()
+          .single();
+
+        if (error) {
+          throw new Error(error.message);
+        }
+        return data;
+      }
+
+      return this.messageStore.insert(row);
+    });
+  }
+
+  /**
+   * Follow a project's new messages
+   * @param {string} projectId - Project id
+   * @param {Function} onMessage - Called with each new message
+   * @param {Object} options - { onModeChange, since, pollIntervalMs, client, monitor }
+   * @returns {ChatSubscription} Subscription; call stop() to end it
+   */
+  subscribe(projectId, onMessage, options = {}) {
+    return new ChatSubscription(this, projectId, onMessage, options).start();
+  }
+
+  // Read markers
+  // Kept per user in localStorage: the schema has no read-receipt table
+
+  getReadMarkers() {
+    try {
+      const stored = localStorage.getItem(`${READ_MARKERS_PREFIX}${this.getCurrentUserId()}`);
+      return stored ? JSON.parse(stored) : {};
+    } catch (error) {
+      console.warn('Error reading chat read markers:', error);
+      return {};
+    }
+  }
+
+  /**
+   * Timestamp of the last message the current user has seen in a project
+   * @param {string} projectId - Project id
+   * @returns {string|null} ISO timestamp
+   */
+  getLastRead(projectId) {
+    return this.getReadMarkers()[projectId] || null;
+  }
+
+  /**
+   * Mark a project's messages as read up to a timestamp
+   * @param {string} projectId - Project id
+   * @param {string} timestamp - ISO timestamp (defaults to now)
+   */
+  markAsRead(projectId, timestamp = new Date().toISOString()) {
+    const markers = this.getReadMarkers();
+    if (markers[projectId] && markers[projectId] >= timestamp) return;
+
+    markers[projectId] = timestamp;
+    try {
+      localStorage.setItem(`${READ_MARKERS_PREFIX}${this.getCurrentUserId()}`, JSON.stringify(markers));
+    } catch (error) {
+      console.warn('Error saving chat read markers:', error);
+    }
+  }
+
+  /**
+   * Whether a message counts as unread for the current user
+   * @param {ChatMessage} message - Chat message
+   * @param {string|null} lastRead - Last read timestamp of its project
+   * @returns {boolean} Whether it is unread
+   */
+  isUnread(message, lastRead) {
+    return message.user_id !== this.getCurrentUserId() && (!lastRead || message.created_at > lastRead);
+  }
+
+  /**
+   * Count unread messages per project
+   * @param {Array<string>} projectIds - Project ids
+   * @returns {Promise<Object<string, number>>} Unread count by project id
+   */
+  async getUnreadCounts(projectIds) {
+    const userId = this.getCurrentUserId();
+    const markers = this.getReadMarkers();
+
+    return this.runQuery('unread_counts', { projects: projectIds.length }, async () => {
+      if (this.isSupabaseEnabled) {
+        const counts = await Promise.all(projectIds.map(async (projectId) => {
+          let query = supabase
+            .from(TABLES.CHAT_MESSAGES)
+            .select('id', { count: 'exact', head: true })
+            .eq('project_id', projectId)
+            .neq('user_id', userId);
+
+          if (markers[projectId]) query = query.gt('created_at', markers[projectId]);
+
+          const { count, error } = await query;
+          if (error) {
+            throw new Error(error.message);
+          }
+          return [projectId, count || 0];
+        }));
+        return Object.fromEntries(counts);
+      }
+
+      const counts = Object.fromEntries(projectIds.map(projectId => [projectId, 0]));
+      this.messageStore.all().forEach(message => {
+        if (message.project_id in counts && this.isUnread(message, markers[message.project_id])) {
+          counts[message.project_id]++;
+        }
+      });
+      return counts;
+    });
+  }
+
+  /**
+   * Validate message values
+   * @param {Object} values - Message values
+   * @returns {string|null} Error message or null when valid
+   */
+  validateMessage(values) {
+    if (typeof values.message !== 'string' || !values.message.trim()) {
+      return 'El mensaje no puede estar vacío';
+    }
+    if (values.message.trim().length > MAX_MESSAGE_LENGTH) {
+      return `El mensaje no puede superar ${MAX_MESSAGE_LENGTH} caracteres`;
+    }
+    if (values.mentions !== undefined && !Array.isArray(values.mentions)) {
+      return 'Las menciones deben ser una lista de usuarios';
+    }
+    return null;
+  }
+
+  /**
+   * Run a query through the shared logged runner
+   * @param {string} operation - Operation name
+   * @param {Object} context - Log context
+   * @param {Function} fn - Async query
+   * @returns {Promise<any>} Query result
+   */
+  runQuery(operation, context, fn) {
+    return runLoggedQuery(operation, context, fn, this.isSupabaseEnabled);
+  }
+}
+
+// Create singleton instance
+export const chatService = new ChatService();
+export default chatService;
@@ -1,117 +1,164 @@
-// Email Service for Beta Signup
-export default class EmailService {
-  constructor() {
-    this.endpoint = this.getEmailEndpoint()
-    this.apiKey = this.getApiKey()
-  }
+/**
+ * Email Service
+ * Renders the transactional email templates (config/emailTemplates.js) in the recipient's
+ * language, as HTML and plain text with the shared Anclora layout, and hands them to a transport
+ * (services/mailTransports.js). The transport comes from the environment: VITE_EMAIL_API_ENDPOINT
+ * sends through that endpoint, otherwise emails are caught in the local mailbox
+ */
 
-  getEmailEndpoint() {
-    // Check for environment variable or use default
-    return process.env.VITE_EMAIL_SERVICE_ENDPOINT || 'https://api.emailservice.com/send'
-  }
+import { EMAIL_TEMPLATES } from '../config/emailTemplates.js';
+import { createMailTransportFromEnv } from './mailTransports.js';
+import { ANCLORA_COLORS } from '../utils/constants.js';
+import i18n from '../utils/i18n.js';
 
-  getApiKey() {
-    // Check for environment variable or use default
-    return process.env.VITE_EMAIL_SERVICE_API_KEY || ''
-  }
+const DEFAULT_FROM = 'Anclora Kairon <no-reply@anclorakairon.com>';
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
 
-  async sendBetaConfirmationEmail(email, userName = '') {
-    try {
-      const emailData = {
-        to: email,
-        subject: '¡Bienvenido a la Beta de Anclora Kairon! 🎉',
-        template: 'beta-confirmation',
-        variables: {
-          userName: userName || email.split('@')[0],
-          appName: 'Anclora Kairon',
-          betaAccessDate: this.getEstimatedBetaDate(),
-          supportEmail: 'beta@anclorakairon.com'
-        }
-      }
-
-      // For now, simulate API call
-      // In production, this would make an actual HTTP request
-      if (this.shouldUseRealEmailService()) {
-        const response = await this.makeEmailRequest(emailData)
-        return this.handleEmailResponse(response)
-      } else {
-        // Development mode - simulate successful email sending
-        return this.simulateEmailSending(email, emailData)
-      }
-    } catch (error) {
-      console.error('Error sending beta confirmation email:', error)
-      throw new Error('Failed to send confirmation email')
-    }
+/**
+ * @typedef {Object} RenderedEmail
+ * @property {string} subject
+ * @property {string} text - Plain text body
+ * @property {string} html - HTML body
+ */
+
+function escapeHtml(value) {
+  return String(value ?? '').replace(/[&<>"']/g, char => ({
+    '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', '\'': '&#39;'
+  })[char]);
+}
+
+function hasValue(value) {
+  return value !== undefined && value !== null && value !== '';
+}
+
+/**
+ * Wrap the translated blocks in the HTML layout: table based with inline styles, which is
+ * what email clients render reliably
+ * @param {Object} blocks - { language, subject, heading, paragraphs, action, note, linkFallback, footer }
+ * @returns {string} HTML document
+ */
+function renderHtml({ language, subject, heading, paragraphs, action, note, linkFallback, footer }) {
+  const text = value => escapeHtml(value).replace(/\n/g, '<br>');
+  const url = escapeHtml(action.url);
+
+  return `<!DOCTYPE html>
+<html lang="${escapeHtml(language)}">
+<head>
+<meta charset="UTF-8">
+<meta name="viewport" content="width=device-width, initial-scale=1.0">
+<title>${escapeHtml(subject)}</title>
+</head>
+<body style="margin:0;padding:0;background-color:${ANCLORA_COLORS.GRIS_CLARO};font-family:Inter,Arial,sans-serif;color:${ANCLORA_COLORS.NEGRO_AZULADO};">
+<table role="presentation" width="100%" cellpadding="0" cellspacing="0" style="background-color:${ANCLORA_COLORS.GRIS_CLARO};padding:32px 16px;">
+<tr><td align="center">
+<table role="presentation" width="100%" cellpadding="0" cellspacing="0" style="max-width:560px;background-color:${ANCLORA_COLORS.BLANCO};border-radius:12px;overflow:hidden;">
+<tr><td style="background-color:${ANCLORA_COLORS.AZUL_PROFUNDO};padding:20px 32px;color:${ANCLORA_COLORS.BLANCO};font-family:'Libre Baskerville',Georgia,serif;font-size:20px;font-weight:bold;">Anclora Kairon</td></tr>
+<tr><td style="padding:32px;">
+<h1 style="margin:0 0 16px;font-size:22px;line-height:1.3;color:${ANCLORA_COLORS.AZUL_PROFUNDO};">${text(heading)}</h1>
+${paragraphs.map(paragraph => `<p style="margin:0 0 16px;font-size:16px;line-height:1.5;">${text(paragraph)}</p>`).join('\n')}
+<table role="presentation" cellpadding="0" cellspacing="0" style="margin:24px 0;"><tr><td style="border-radius:8px;background-color:${ANCLORA_COLORS.AZUL_CLARO};">
+<a href="${url}" style="display:inline-block;padding:12px 24px;font-size:16px;font-weight:600;color:${ANCLORA_COLORS.BLANCO};text-decoration:none;">${text(action.label)}</a>
+</td></tr></table>
+${note ? `<p style="margin:0 0 16px;font-size:14px;line-height:1.5;color:#5B6575;">${text(note)}</p>` : ''}
+<p style="margin:0;font-size:12px;line-height:1.5;color:#5B6575;">${text(linkFallback)}<br><a href="${url}" style="color:${ANCLORA_COLORS.AZUL_PROFUNDO};word-break:break-all;">${url}</a></p>
+</td></tr>
+<tr><td style="padding:16px 32px;background-color:${ANCLORA_COLORS.GRIS_CLARO};font-size:12px;color:#5B6575;text-align:center;">${text(footer)}</td></tr>
+</table>
+</td></tr>
+</table>
+</body>
+</html>`;
+}
+
+function renderText({ heading, paragraphs, action, note, footer }) {
+  return [
+    heading,
+    ...paragraphs,
+    `${action.label}: ${action.url}`,
+    ...(note ? [note] : []),
+    `--\n${footer}`
+  ].join('\n\n');
+}
+
+/**
+ * EmailService class for rendering and sending the transactional emails
+ */
+export class EmailService {
+  constructor() {
+    this.transport = createMailTransportFromEnv(import.meta.env);
+    this.from = import.meta.env?.VITE_EMAIL_FROM || DEFAULT_FROM;
   }
 
-  shouldUseRealEmailService() {
-    // Check if we have valid credentials for real email service
-    return this.apiKey && this.endpoint !== 'https://api.emailservice.com/send'
+  /**
+   * Replace the transport or the sender, e.g. an SmtpTransport in a Node script
+   * @param {Object} options - { transport, from }
+   */
+  configure({ transport, from } = {}) {
+    if (transport) this.transport = transport;
+    if (from) this.from = from;
   }
 
-  async makeEmailRequest(emailData) {
-    const response = await fetch(this.endpoint, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'Authorization': `Bearer ${this.apiKey}`,
-        'X-Service': 'anclora-kairon-beta'
-      },
-      body: JSON.stringify(emailData)
-    })
-
-    if (!response.ok) {
-      throw new Error(`Email service error: ${response.status}`)
+  /**
+   * Render a template without sending it
+   * @param {string} templateId - Key of EMAIL_TEMPLATES
+   * @param {Object} data - Template data
+   * @param {string} language - Recipient's language
+   * @returns {Promise<RenderedEmail>} Email
+   */
+  async render(templateId, data = {}, language = i18n.getCurrentLanguage()) {
+    const template = EMAIL_TEMPLATES[templateId];
+    if (!template) {
+      throw new Error(`Plantilla de email desconocida: ${templateId}`);
     }
 
-    return response.json()
-  }
+    const missing = template.required.filter(field => !hasValue(data[field]));
+    if (missing.length > 0) {
+      throw new Error(`Faltan datos para la plantilla ${templateId}: ${missing.join(', ')}`);
+    }
 
-  handleEmailResponse(response) {
-    if (response.success) {
-      console.log('✅ Beta confirmation email sent successfully')
-      return {
-        success: true,
-        messageId: response.messageId,
-        timestamp: new Date().toISOString()
-      }
-    } else {
-      throw new Error(response.error || 'Unknown email service error')
+    if (!i18n.isLoaded(language)) {
+      await i18n.loadLanguage(language);
     }
-  }
 
-  simulateEmailSending(email, emailData) {
-    // Simulate network delay
-    return new Promise((resolve) => {
-      setTimeout(() => {
-        console.log('📧 [SIMULATED] Beta confirmation email sent to:', email)
-        console.log('📧 [SIMULATED] Email data:', emailData)
-
-        resolve({
-          success: true,
-          messageId: `sim_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
-          timestamp: new Date().toISOString(),
-          simulated: true
-        })
-      }, 1000)
-    })
-  }
+    const params = template.prepare ? { ...data, ...template.prepare(data) } : data;
+    const translate = key => i18n.format(`email:${key}`, params, language);
 
-  getEstimatedBetaDate() {
-    // Calculate estimated beta launch date (30 days from now)
-    const futureDate = new Date()
-    futureDate.setDate(futureDate.getDate() + 30)
+    const blocks = {
+      language,
+      subject: translate(template.subject),
+      heading: translate(template.heading),
+      paragraphs: template.paragraphs
+        .filter(paragraph => typeof paragraph === 'string' || hasValue(params[paragraph.if]))
+        .map(paragraph => translate(typeof paragraph === 'string' ? paragraph : paragraph.key)),
+      action: { label: translate(template.action.label), url: params[template.action.url] },
+      note: template.note ? translate(template.note) : null,
+      linkFallback: translate('layoutLinkFallback'),
+      footer: translate('layoutFooter')
+    };
 
-    return futureDate.toLocaleDateString('es-ES', {
-      year: 'numeric',
-      month: 'long',
-      day: 'numeric'
-    })
+    return {
+      subject: blocks.subject,
+      text: renderText(blocks),
+      html: renderHtml(blocks)
+    };
   }
 
-  // Static method for easy access
-  static async sendBetaEmail(email, userName = '') {
-    const emailService = new EmailService()
-    return await emailService.sendBetaConfirmationEmail(email, userName)
+  /**
+   * Render a template and send it through the transport
+   * @param {string} templateId - Key of EMAIL_TEMPLATES
+   * @param {Object} options - { to, data, language }
+   * @returns {Promise<Object>} Transport result: { success, messageId }
+   */
+  async send(templateId, { to, data = {}, language = i18n.getCurrentLanguage() } = {}) {
+    if (!EMAIL_PATTERN.test(to || '')) {
+      throw new Error(`Email no válido: ${to}`);
+    }
+
+    const email = await this.render(templateId, data, language);
+    return this.transport.send({ from: this.from, to, ...email, tag: templateId });
   }
-}
\ No newline at end of file
+}
+
+// Create singleton instance
+export const emailService = new EmailService();
+export default emailService;
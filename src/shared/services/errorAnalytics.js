@@ -6,6 +6,7 @@
 
 import performanceOptimizer from './performanceOptimizer.js';
 import { AUTH_ERROR_TYPES } from './authErrorHandler.js';
+import { tracer, SPAN_STATUS } from './tracing.js';
 
 /**
  * Analytics configuration constants
@@ -37,6 +38,27 @@ export const ANALYTICS_CONFIG = {
   SAMPLE_RATE: 1.0                 // Sample 100% of events (adjust for high volume)
 };
 
+// Same fields errorLogger.sanitizeContext redacts
+const SENSITIVE_FIELDS = ['password', 'token', 'apiKey', 'secret', 'authorization'];
+const EMAIL_PATTERN = /[^\s@"'<>]+@[^\s@"'<>]+\.[^\s@"'<>]+/g;
+
+/**
+ * Flow data as span event attributes: spans leave the browser for the collector, so sensitive
+ * fields are redacted like errorLogger.sanitizeContext does and email addresses are masked
+ * @param {*} value - Step data or error information
+ * @returns {*} Sanitized copy
+ */
+function sanitizeEventAttributes(value) {
+  if (typeof value === 'string') return value.replace(EMAIL_PATTERN, '[EMAIL]');
+  if (Array.isArray(value)) return value.map(sanitizeEventAttributes);
+  if (value === null || typeof value !== 'object') return value;
+
+  return Object.fromEntries(Object.entries(value).map(([key, item]) => [
+    key,
+    SENSITIVE_FIELDS.includes(key) && item ? '[REDACTED]' : sanitizeEventAttributes(item)
+  ]));
+}
+
 /**
  * Error event data structure
  */
@@ -115,7 +137,9 @@ class UserExperienceTracker {
       startTime: Date.now(),
       steps: [],
       errors: [],
-      context
+      context,
+      // Steps and errors also go to the trace as span events
+      span: tracer.startSpan(`auth.flow.${flowType}`, { attributes: { 'auth.flow_id': flowId } })
     });
   }
 
@@ -133,6 +157,7 @@ class UserExperienceTracker {
         timestamp: Date.now(),
         data
       });
+      flow.span.addEvent(step, sanitizeEventAttributes(data));
     }
   }
 
@@ -148,6 +173,7 @@ class UserExperienceTracker {
         ...error,
         timestamp: Date.now()
       });
+      flow.span.addEvent('auth.flow_error', sanitizeEventAttributes(error));
     }
   }
 
@@ -205,6 +231,8 @@ class UserExperienceTracker {
       retryData.averageRetries = retryData.totalRetries / (retryData.successfulRecoveries + 1);
     }
 
+    flow.span.setStatus(success ? SPAN_STATUS.OK : SPAN_STATUS.ERROR);
+    flow.span.end();
     this.activeFlows.delete(flowId);
   }
 
@@ -3,6 +3,9 @@
  * Maneja el registro de errores, métricas de rendimiento y estadísticas
  */
 
+import { logShipper } from './logShipper.js';
+import { tracer } from './tracing.js';
+
 class ErrorLogger {
     constructor() {
         this.errors = [];
@@ -60,7 +63,8 @@ class ErrorLogger {
                 context: this.sanitizeContext(context),
                 userAgent: navigator.userAgent,
                 url: window.location.href,
-                sessionId: this.getSessionId()
+                sessionId: this.getSessionId(),
+                ...this.getTraceContext()
             };
 
             // Agregar a la lista local
@@ -104,7 +108,8 @@ class ErrorLogger {
                 duration: duration,
                 success: success,
                 additionalData: this.sanitizeContext(additionalData),
-                sessionId: this.getSessionId()
+                sessionId: this.getSessionId(),
+                ...this.getTraceContext()
             };
 
             // Agregar a la lista local
@@ -196,7 +201,16 @@ class ErrorLogger {
 
     /**
      * Configurar logging remoto opcional
+     * Los logs se envían en lotes NDJSON (comprimidos con gzip si el navegador lo permite),
+     * con reintentos y muestreo por severidad; ver logShipper.js
      * @param {Object} config - Configuración del logging remoto
+     * @param {string} config.endpoint - URL que recibe los lotes
+     * @param {string} config.apiKey - Clave enviada como Bearer token
+     * @param {number} config.batchSize - Entradas por envío
+     * @param {number} config.flushInterval - Milisegundos entre envíos periódicos
+     * @param {Object} config.sampleRates - Proporción enviada por severidad y para métricas
+     * @param {boolean} config.compress - Comprimir los envíos con gzip
+     * @param {boolean} config.enabled - Si el envío está activo
      */
     configureRemoteLogging(config) {
         try {
@@ -205,12 +219,19 @@ class ErrorLogger {
                 apiKey: config.apiKey,
                 batchSize: config.batchSize || 10,
                 flushInterval: config.flushInterval || 30000, // 30 segundos
+                sampleRates: config.sampleRates || {},
+                compress: config.compress !== false,
+                maxQueueSize: config.maxQueueSize || 500, // Entradas pendientes mientras el endpoint no responde
+                maxRetries: config.maxRetries ?? 3,
                 enabled: config.enabled !== false
             };
 
             // Iniciar flush periódico si está habilitado
             if (this.remoteLoggingConfig.enabled) {
+                logShipper.configure(this.remoteLoggingConfig);
                 this.startPeriodicFlush();
+            } else {
+                this.stopRemoteLogging();
             }
 
             console.log('Remote logging configured successfully');
@@ -265,6 +286,14 @@ class ErrorLogger {
         return this.sessionId;
     }
 
+    /**
+     * traceId y spanId de la operación en curso (ver tracing.js), para relacionar logs y trazas
+     */
+    getTraceContext() {
+        const span = tracer.getActiveSpan();
+        return span ? span.spanContext() : {};
+    }
+
     /**
      * Sanitizar contexto para evitar datos sensibles
      */
@@ -326,61 +355,25 @@ class ErrorLogger {
     }
 
     /**
-     * Enviar error a logging remoto
+     * Encolar error para logging remoto
      */
     async sendToRemoteLogging(errorEntry) {
         if (!this.remoteLoggingConfig || !this.remoteLoggingConfig.enabled) {
             return;
         }
 
-        try {
-            const response = await fetch(this.remoteLoggingConfig.endpoint, {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                    'Authorization': `Bearer ${this.remoteLoggingConfig.apiKey}`
-                },
-                body: JSON.stringify({
-                    type: 'error',
-                    data: errorEntry
-                })
-            });
-
-            if (!response.ok) {
-                console.warn('Failed to send error to remote logging:', response.status);
-            }
-        } catch (error) {
-            console.warn('Error sending to remote logging:', error);
-        }
+        logShipper.enqueue('error', errorEntry);
     }
 
     /**
-     * Enviar métrica a logging remoto
+     * Encolar métrica para logging remoto
      */
     async sendMetricToRemoteLogging(metricEntry) {
         if (!this.remoteLoggingConfig || !this.remoteLoggingConfig.enabled) {
             return;
         }
 
-        try {
-            const response = await fetch(this.remoteLoggingConfig.endpoint, {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                    'Authorization': `Bearer ${this.remoteLoggingConfig.apiKey}`
-                },
-                body: JSON.stringify({
-                    type: 'metric',
-                    data: metricEntry
-                })
-            });
-
-            if (!response.ok) {
-                console.warn('Failed to send metric to remote logging:', response.status);
-            }
-        } catch (error) {
-            console.warn('Error sending metric to remote logging:', error);
-        }
+        logShipper.enqueue('metric', metricEntry);
     }
 
     /**
@@ -396,12 +389,27 @@ class ErrorLogger {
         }, this.remoteLoggingConfig.flushInterval);
     }
 
+    /**
+     * Detener el logging remoto; las entradas pendientes se conservan en localStorage
+     */
+    stopRemoteLogging() {
+        if (this.flushInterval) {
+            clearInterval(this.flushInterval);
+            this.flushInterval = null;
+        }
+        logShipper.stop();
+    }
+
     /**
      * Flush batch de logs a logging remoto
+     * @returns {Promise<number>} Número de entradas entregadas
      */
     async flushToRemoteLogging() {
-        // Implementación de batch flush si es necesario
-        // Por ahora enviamos logs individuales
+        if (!this.remoteLoggingConfig || !this.remoteLoggingConfig.enabled) {
+            return 0;
+        }
+
+        return logShipper.flush();
     }
 
     /**
@@ -482,4 +490,15 @@ class ErrorLogger {
 // Crear instancia singleton
 const errorLogger = new ErrorLogger();
 
+// Las trazas llevan el id de sesión de los logs; tracing.js no importa este módulo
+tracer.setSessionIdProvider(() => errorLogger.getSessionId());
+
+// Logging remoto configurado por entorno, p. ej. el colector local (npm run logs:collect)
+if (import.meta.env?.VITE_LOG_ENDPOINT) {
+    errorLogger.configureRemoteLogging({
+        endpoint: import.meta.env.VITE_LOG_ENDPOINT,
+        apiKey: import.meta.env.VITE_LOG_API_KEY
+    });
+}
+
 export default errorLogger;
\ No newline at end of file
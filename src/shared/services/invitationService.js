@@ -0,0 +1,379 @@
+/**
+ * Invitation Service
+ * Tokenized project invitations stored as pending project_members rows
+ * The token in the invite link is the only proof of access, so it is cleared once answered
+ */
+
+import { supabase, TABLES } from '../config/supabase.js';
+import { authService } from './authService.js';
+import { LocalTableStore, sortRows } from './localTableStore.js';
+import { runLoggedQuery } from './queryRunner.js';
+import { projectService, MEMBER_STATUS } from './projectService.js';
+import { PROJECT_ROLES, canManageRole } from '../utils/permissions.js';
+
+/**
+ * @typedef {Object} Invitation
+ * @property {string} id - project_members row id
+ * @property {string} project_id
+ * @property {string} invited_email
+ * @property {string} role
+ * @property {string} status - One of MEMBER_STATUS
+ * @property {string|null} invite_token
+ * @property {string|null} invite_expires_at
+ * @property {string|null} invited_by
+ */
+
+/**
+ * @typedef {Object} InvitationPreview
+ * @property {string} projectId
+ * @property {string} projectName
+ * @property {string} role
+ * @property {string} email
+ * @property {string} status - One of MEMBER_STATUS
+ * @property {string|null} inviterName
+ * @property {boolean} expired
+ */
+
+export const INVITATION_TTL_DAYS = 7;
+
+const PENDING_INVITATION_KEY = 'kairon_pending_invitation';
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+/**
+ * Generate the secret token of an invite link
+ * @returns {string} 48 hex characters
+ */
+export function generateInviteToken() {
+  const bytes = new Uint8Array(24);
+  if (typeof crypto !== 'undefined' && typeof crypto.getRandomValues === 'function') {
+    crypto.getRandomValues(bytes);
+  } else {
+    bytes.forEach((_, index) => { bytes[index] = Math.floor(Math.random() * 256); });
+  }
+  return Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Expiry timestamp for an invitation created now
+ * @returns {string} ISO date
+ */
+export function getInvitationExpiry() {
+  return new Date(Date.now() + INVITATION_TTL_DAYS * 24 * 60 * 60 * 1000).toISOString();
+}
+
+/**
+ * InvitationService class for creating and answering project invitations
+ */
+export class InvitationService {
+  constructor() {
+    this.isSupabaseEnabled = !!supabase;
+    this.memberStore = new LocalTableStore(TABLES.PROJECT_MEMBERS, {
+      trackUpdates: false,
+      createdColumn: 'joined_at'
+    });
+  }
+
+  /**
+   * Invite an email to a project, or renew the link of an earlier invitation to it
+   * @param {string} projectId - Project id
+   * @param {string} email - Invitee email
+   * @param {string} role - Role given on acceptance
+   * @returns {Promise<Invitation>} Pending invitation
+   */
+  async createInvitation(projectId, email, role = PROJECT_ROLES.MEMBER) {
+    const invitedEmail = typeof email === 'string' ? email.trim().toLowerCase() : '';
+    if (!EMAIL_PATTERN.test(invitedEmail)) {
+      throw new Error(`Email de invitación no válido: ${email}`);
+    }
+
+    const actor = await projectService.getMembership(projectId);
+    if (!canManageRole(actor?.role, role)) {
+      throw new Error('No tienes permiso para invitar con este rol');
+    }
+
+    const members = await projectService.listMembers(projectId);
+    if (members.some(member => member.user?.email?.toLowerCase() === invitedEmail)) {
+      throw new Error(`${invitedEmail} ya es miembro del proyecto`);
+    }
+
+    const values = {
+      role,
+      status: MEMBER_STATUS.PENDING,
+      invited_by: projectService.getCurrentUserId(),
+      invite_token: generateInviteToken(),
+      invite_expires_at: getInvitationExpiry()
+    };
+
+    return this.runQuery('create_invitation', { projectId, role }, async () => {
+      if (this.isSupabaseEnabled) {
+        const { data, error } = await supabase
+          .from(TABLES.PROJECT_MEMBERS)
+          .upsert(
+            { project_id: projectId, invited_email: invitedEmail, permissions: {}, ...values },
+            { onConflict: 'project_id,invited_email' }
+          )
+          .select()
+          .single();
+
+        if (error) {
+          throw new Error(error.message);
+        }
+        return data;
+      }
+
+      const existing = this.memberStore.where(row =>
+        row.project_id === projectId && row.invited_email === invitedEmail
+      )[0];
+      if (existing) {
+        return this.memberStore.update(existing.id, values);
+      }
+
+      return this.memberStore.insert({
+        project_id: projectId,
+        user_id: null,
+        permissions: {},
+        invited_email: invitedEmail,
+        ...values
+      });
+    });
+  }
+
+  /**
+   * List the invitations of a project that have not been accepted
+   * @param {string} projectId - Project id
+   * @returns {Promise<Array<Invitation>>} Pending and declined invitations, newest first
+   */
+  async listInvitations(projectId) {
+    return this.runQuery('list_invitations', { projectId }, async () => {
+      if (this.isSupabaseEnabled) {
+        const { data, error } = await supabase
+          .from(TABLES.PROJECT_MEMBERS)
+          .select('*')
+          .eq('project_id', projectId)
+          .in('status', [MEMBER_STATUS.PENDING, MEMBER_STATUS.DECLINED])
+          .order('joined_at', { ascending: false });
+
+        if (error) {
+          throw new Error(error.message);
+        }
+        return data || [];
+      }
+
+      return sortRows(this.memberStore.where(row =>
+        row.project_id === projectId &&
+        (row.status === MEMBER_STATUS.PENDING || row.status === MEMBER_STATUS.DECLINED)
+      ), 'joined_at', false);
+    });
+  }
+
+  /**
+   * Delete an invitation so its link stops working
+   * @param {string} invitationId - project_members row id
+   * @returns {Promise<boolean>} Whether it was deleted
+   */
+  async revokeInvitation(invitationId) {
+    return this.runQuery('revoke_invitation', { invitationId }, async () => {
+      if (this.isSupabaseEnabled) {
+        const { error } = await supabase
+          .from(TABLES.PROJECT_MEMBERS)
+          .delete()
+          .eq('id', invitationId)
+          .neq('status', MEMBER_STATUS.ACTIVE);
+
+        if (error) {
+          throw new Error(error.message);
+        }
+        return true;
+      }
+
+      return this.memberStore.removeWhere(row =>
+        row.id === invitationId && row.status !== MEMBER_STATUS.ACTIVE
+      ) > 0;
+    });
+  }
+
+  /**
+   * Look up an invitation by the token in its link (works without a session)
+   * @param {string} token - Invite token
+   * @returns {Promise<InvitationPreview|null>} Preview or null when the token is unknown
+   */
+  async getInvitation(token) {
+    if (!token) return null;
+
+    return this.runQuery('get_invitation', {}, async () => {
+      if (this.isSupabaseEnabled) {
+        const { data, error } = await supabase.rpc('get_project_invitation', { token });
+
+        if (error) {
+          throw new Error(error.message);
+        }
+        const row = Array.isArray(data) ? data[0] : data;
+        return row ? this.toPreview(row, row.project_name, row.inviter_name) : null;
+      }
+
+      const row = this.findByToken(token);
+      if (!row) return null;
+
+      const project = new LocalTableStore(TABLES.PROJECTS).findById(row.project_id);
+      const inviter = new LocalTableStore(TABLES.USERS).findById(row.invited_by);
+      return this.toPreview(row, project?.name || '', inviter?.name || null);
+    });
+  }
+
+  /**
+   * Accept an invitation as the current user, whose email must match the invited one
+   * @param {string} token - Invite token
+   * @returns {Promise<string>} Id of the project joined
+   */
+  async acceptInvitation(token) {
+    const user = authService.getCurrentUser();
+    if (!user?.id) {
+      throw new Error('Debes iniciar sesión para aceptar la invitación');
+    }
+
+    return this.runQuery('accept_invitation', {}, async () => {
+      if (this.isSupabaseEnabled) {
+        const { data, error } = await supabase.rpc('accept_project_invitation', { token });
+
+        if (error) {
+          throw new Error(error.message);
+        }
+        this.clearPendingInvitation(token);
+        return data;
+      }
+
+      const row = this.findByToken(token);
+      if (!row || row.status !== MEMBER_STATUS.PENDING) {
+        throw new Error('Invitación no encontrada');
+      }
+      if (this.isExpired(row)) {
+        throw new Error('La invitación ha caducado');
+      }
+      if (row.invited_email !== user.email?.toLowerCase()) {
+        throw new Error('La invitación es para otra dirección de email');
+      }
+
+      const alreadyMember = projectService.findMemberRow(row.project_id, user.id);
+      if (alreadyMember) {
+        this.memberStore.remove(row.id);
+      } else {
+        this.memberStore.update(row.id, {
+          user_id: user.id,
+          status: MEMBER_STATUS.ACTIVE,
+          invite_token: null,
+          joined_at: new Date().toISOString()
+        });
+      }
+
+      this.clearPendingInvitation(token);
+      return row.project_id;
+    });
+  }
+
+  /**
+   * Decline an invitation (works without a session)
+   * @param {string} token - Invite token
+   * @returns {Promise<boolean>} Whether it was declined
+   */
+  async declineInvitation(token) {
+    return this.runQuery('decline_invitation', {}, async () => {
+      if (this.isSupabaseEnabled) {
+        const { error } = await supabase.rpc('decline_project_invitation', { token });
+
+        if (error) {
+          throw new Error(error.message);
+        }
+        this.clearPendingInvitation(token);
+        return true;
+      }
+
+      const row = this.findByToken(token);
+      if (!row || row.status !== MEMBER_STATUS.PENDING) {
+        throw new Error('Invitación no encontrada');
+      }
+
+      this.memberStore.update(row.id, { status: MEMBER_STATUS.DECLINED, invite_token: null });
+      this.clearPendingInvitation(token);
+      return true;
+    });
+  }
+
+  /**
+   * Remember the invitation being answered while the user signs in or registers,
+   * which may leave the page (OAuth, email confirmation)
+   * @param {string} token - Invite token
+   */
+  rememberPendingInvitation(token) {
+    localStorage.setItem(PENDING_INVITATION_KEY, token);
+  }
+
+  /**
+   * Token of the invitation the user was answering before signing in, if any
+   * @returns {string|null} Invite token
+   */
+  getPendingInvitation() {
+    return localStorage.getItem(PENDING_INVITATION_KEY);
+  }
+
+  /**
+   * Forget the pending invitation once it has been answered
+   * @param {string} token - Only clear it when it is this token
+   */
+  clearPendingInvitation(token = null) {
+    if (!token || this.getPendingInvitation() === token) {
+      localStorage.removeItem(PENDING_INVITATION_KEY);
+    }
+  }
+
+  /**
+   * Find a mock invitation row by token
+   * @param {string} token - Invite token
+   * @returns {Object|null} Row
+   */
+  findByToken(token) {
+    return this.memberStore.where(row => row.invite_token === token)[0] || null;
+  }
+
+  /**
+   * Whether an invitation's link has expired
+   * @param {Object} row - Invitation row
+   * @returns {boolean} Whether it expired
+   */
+  isExpired(row) {
+    return !!row.invite_expires_at && new Date(row.invite_expires_at) < new Date();
+  }
+
+  /**
+   * Shape an invitation row for the invite page
+   * @param {Object} row - Invitation row
+   * @param {string} projectName - Project name
+   * @param {string|null} inviterName - Name of who invited
+   * @returns {InvitationPreview} Preview
+   */
+  toPreview(row, projectName, inviterName) {
+    return {
+      projectId: row.project_id,
+      projectName,
+      role: row.role,
+      email: row.invited_email,
+      status: row.status,
+      inviterName,
+      expired: this.isExpired(row)
+    };
+  }
+
+  /**
+   * Run a query through the shared logged runner
+   * @param {string} operation - Operation name
+   * @param {Object} context - Log context
+   * @param {Function} fn - Async query
+   * @returns {Promise<any>} Query result
+   */
+  runQuery(operation, context, fn) {
+    return runLoggedQuery(operation, context, fn, this.isSupabaseEnabled);
+  }
+}
+
+// Create singleton instance
+export const invitationService = new InvitationService();
+export default invitationService;
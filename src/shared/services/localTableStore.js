@@ -0,0 +1,200 @@
+/**
+ * Local Table Store
+ * localStorage-backed stand-in for a Supabase table, used by the data services
+ * when Supabase is not configured (development and tests)
+ */
+
+const STORAGE_PREFIX = 'kairon_mock_';
+
+/**
+ * Generate a UUID-like identifier for mock rows
+ * @returns {string} Row id
+ */
+export function generateId() {
+  if (typeof crypto !== 'undefined' && typeof crypto.randomUUID === 'function') {
+    return crypto.randomUUID();
+  }
+
+  return 'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(/[xy]/g, (char) => {
+    const random = Math.random() * 16 | 0;
+    const value = char === 'x' ? random : (random & 0x3 | 0x8);
+    return value.toString(16);
+  });
+}
+
+/**
+ * LocalTableStore class persisting the rows of one table in localStorage
+ */
+export class LocalTableStore {
+  /**
+   * @param {string} table - Table name (one of TABLES)
+   * @param {Object} options - Store options
+   * @param {boolean} options.trackUpdates - Whether rows have an updated_at column
+   * @param {string} options.createdColumn - Column holding the creation timestamp
+   */
+  constructor(table, options = {}) {
+    this.table = table;
+    this.storageKey = `${STORAGE_PREFIX}${table}`;
+    this.trackUpdates = options.trackUpdates !== false;
+    this.createdColumn = options.createdColumn || 'created_at';
+  }
+
+  /**
+   * Read every row of the table
+   * @returns {Array<Object>} Rows
+   */
+  all() {
+    try {
+      const stored = localStorage.getItem(this.storageKey);
+      return stored ? JSON.parse(stored) : [];
+    } catch (error) {
+      console.warn(`Error reading mock table "${this.table}":`, error);
+      return [];
+    }
+  }
+
+  /**
+   * Replace every row of the table
+   * @param {Array<Object>} rows - Rows to persist
+   */
+  save(rows) {
+    try {
+      localStorage.setItem(this.storageKey, JSON.stringify(rows));
+    } catch (error) {
+      console.warn(`Error writing mock table "${this.table}":`, error);
+    }
+  }
+
+  /**
+   * Find a row by id
+   * @param {string} id - Row id
+   * @returns {Object|null} Row or null
+   */
+  findById(id) {
+    return this.all().find(row => row.id === id) || null;
+  }
+
+  /**
+   * Find rows matching a predicate
+   * @param {Function} predicate - Filter function
+   * @returns {Array<Object>} Matching rows
+   */
+  where(predicate) {
+    return this.all().filter(predicate);
+  }
+
+  /**
+   * Insert a row, filling in id and timestamps like the database defaults
+   * @param {Object} row - Row values
+   * @returns {Object} Inserted row
+   */
+  insert(row) {
+    const now = new Date().toISOString();
+    const inserted = {
+      id: generateId(),
+      [this.createdColumn]: now,
+      ...(this.trackUpdates ? { updated_at: now } : {}),
+      ...row
+    };
+
+    const rows = this.all();
+    rows.push(inserted);
+    this.save(rows);
+
+    return inserted;
+  }
+
+  /**
+   * Update a row by id
+   * @param {string} id - Row id
+   * @param {Object} changes - Column values to change
+   * @returns {Object|null} Updated row or null when not found
+   */
+  update(id, changes) {
+    const rows = this.all();
+    const index = rows.findIndex(row => row.id === id);
+    if (index === -1) {
+      return null;
+    }
+
+    rows[index] = {
+      ...rows[index],
+      ...changes,
+      ...(this.trackUpdates ? { updated_at: new Date().toISOString() } : {})
+    };
+    this.save(rows);
+
+    return rows[index];
+  }
+
+  /**
+   * Remove rows matching a predicate
+   * @param {Function} predicate - Filter function selecting rows to remove
+   * @returns {number} Number of removed rows
+   */
+  removeWhere(predicate) {
+    const rows = this.all();
+    const remaining = rows.filter(row => !predicate(row));
+    this.save(remaining);
+    return rows.length - remaining.length;
+  }
+
+  /**
+   * Remove a row by id
+   * @param {string} id - Row id
+   * @returns {boolean} Whether a row was removed
+   */
+  remove(id) {
+    return this.removeWhere(row => row.id === id) > 0;
+  }
+
+  /**
+   * Remove every row of the table
+   */
+  clear() {
+    localStorage.removeItem(this.storageKey);
+  }
+}
+
+/**
+ * Sort rows by a column, keeping nulls last
+ * @param {Array<Object>} rows - Rows to sort
+ * @param {string} column - Column to sort by
+ * @param {boolean} ascending - Sort direction
+ * @returns {Array<Object>} Sorted copy
+ */
+export function sortRows(rows, column, ascending = true) {
+  const direction = ascending ? 1 : -1;
+
+  return [...rows].sort((a, b) => {
+    const left = a[column];
+    const right = b[column];
+
+    if (left === right) return 0;
+    if (left === null || left === undefined) return 1;
+    if (right === null || right === undefined) return -1;
+
+    return left < right ? -direction : direction;
+  });
+}
+
+/**
+ * Slice rows into a page and describe the pagination
+ * @param {Array<Object>} rows - All matching rows
+ * @param {number} page - 1-based page number
+ * @param {number} pageSize - Rows per page
+ * @returns {Object} Paginated result
+ */
+export function paginateRows(rows, page, pageSize) {
+  const from = (page - 1) * pageSize;
+
+  return {
+    data: rows.slice(from, from + pageSize),
+    count: rows.length,
+    page,
+    pageSize,
+    totalPages: Math.max(1, Math.ceil(rows.length / pageSize))
+  };
+}
+
+export default LocalTableStore;
@@ -0,0 +1,305 @@
+/**
+ * Log Shipper
+ * Sends errorLogger entries to a remote HTTP endpoint in batches of NDJSON (one entry per line),
+ * gzip-compressed where the browser has CompressionStream. Failed batches are retried with backoff
+ * through retryManager; when the page is hidden or closed whatever is left goes out with
+ * navigator.sendBeacon. Entries waiting to be sent are kept in localStorage, so delivery is
+ * at least once: the collector may see an entry twice, never lose it to a reload
+ */
+
+/**
+ * Share of entries shipped per severity (metrics have their own rate); 1 ships everything
+ */
+export const DEFAULT_SAMPLE_RATES = {
+  critical: 1,
+  high: 1,
+  medium: 1,
+  low: 0.25,
+  metric: 0.1
+};
+
+const OUTBOX_STORAGE_KEY = 'anclora_log_outbox';
+// Browsers refuse beacons over 64 KB
+const BEACON_MAX_BYTES = 60 * 1024;
+// Statuses worth retrying besides 5xx; any other 4xx means the payload itself was rejected
+const RETRYABLE_STATUSES = [408, 425, 429];
+
+/**
+ * @typedef {Object} LogShippingConfig
+ * @property {string} endpoint - URL receiving POSTed NDJSON
+ * @property {string} [apiKey] - Sent as a Bearer token (as ?api_key= for beacons, which cannot set headers)
+ * @property {number} batchSize - Entries per request; reaching it triggers a flush
+ * @property {Object} sampleRates - Rate per severity and for metrics, see DEFAULT_SAMPLE_RATES
+ * @property {boolean} compress - Gzip request bodies when supported
+ * @property {number} maxQueueSize - Entries kept while the endpoint is unreachable; the oldest are dropped
+ * @property {number} maxRetries - Retries per batch before it waits for the next flush
+ */
+
+/**
+ * LogShipper class for batching and delivering log entries
+ */
+export class LogShipper {
+  /**
+   * @param {Object} options - Options
+   * @param {Function} options.random - Random number source for sampling
+   */
+  constructor({ random = Math.random } = {}) {
+    this.config = null;
+    this.queue = [];
+    this.flushing = null;
+    this.random = random;
+
+    this.handlePageHide = () => this.flushWithBeacon();
+    this.handleVisibilityChange = () => {
+      if (document.visibilityState === 'hidden') this.flushWithBeacon();
+    };
+  }
+
+  /**
+   * Start shipping to an endpoint, picking up entries left over from a previous page load
+   * @param {LogShippingConfig} config - Shipping configuration
+   */
+  configure(config) {
+    if (!config?.endpoint) {
+      throw new Error('Remote logging endpoint is required');
+    }
+
+    this.stop();
+    this.config = {
+      ...config,
+      sampleRates: { ...DEFAULT_SAMPLE_RATES, ...config.sampleRates }
+    };
+    this.queue = this.loadOutbox();
+
+    if (typeof window !== 'undefined') {
+      window.addEventListener('pagehide', this.handlePageHide);
+      document.addEventListener('visibilitychange', this.handleVisibilityChange);
+    }
+  }
+
+  /**
+   * Stop shipping; queued entries stay in localStorage for the next configure
+   */
+  stop() {
+    this.config = null;
+    if (typeof window !== 'undefined') {
+      window.removeEventListener('pagehide', this.handlePageHide);
+      document.removeEventListener('visibilitychange', this.handleVisibilityChange);
+    }
+  }
+
+  /**
+   * Queue an entry if it is sampled in, flushing once a batch is full
+   * @param {string} type - 'error' or 'metric'
+   * @param {Object} entry - errorLogger entry; must have an id
+   * @returns {boolean} Whether the entry was queued
+   */
+  enqueue(type, entry) {
+    if (!this.config || !this.isSampled(type, entry)) {
+      return false;
+    }
+
+    this.queue.push({ type, ...entry });
+    if (this.queue.length > this.config.maxQueueSize) {
+      this.queue = this.queue.slice(-this.config.maxQueueSize);
+    }
+    this.saveOutbox();
+
+    if (this.queue.length >= this.config.batchSize) {
+      this.flush();
+    }
+    return true;
+  }
+
+  /**
+   * @param {string} type - 'error' or 'metric'
+   * @param {Object} entry - Entry with a severity for errors
+   * @returns {boolean} Whether the entry should be shipped
+   */
+  isSampled(type, entry) {
+    const rates = this.config.sampleRates;
+    const rate = type === 'metric' ? rates.metric : (rates[entry.severity] ?? 1);
+    return rate >= 1 || (rate > 0 && this.random() < rate);
+  }
+
+  /**
+   * Send every queued batch; stops at the first batch that still fails after its retries
+   * Calls made while a flush runs share it
+   * @returns {Promise<number>} Entries delivered
+   */
+  flush() {
+    if (!this.flushing) {
+      this.flushing = this.flushQueue().finally(() => {
+        this.flushing = null;
+      });
+    }
+    return this.flushing;
+  }
+
+  async flushQueue() {
+    let delivered = 0;
+
+    while (this.config && this.queue.length > 0) {
+      const batch = this.queue.slice(0, this.config.batchSize);
+      const outcome = await this.sendBatch(batch);
+      if (outcome === 'failed') {
+        break;
+      }
+
+      // Removed by id: entries may have been trimmed or beaconed while the request was in flight
+      const sentIds = new Set(batch.map(entry => entry.id));
+      this.queue = this.queue.filter(entry => !sentIds.has(entry.id));
+      this.saveOutbox();
+
+      if (outcome === 'sent') {
+        delivered += batch.length;
+      } else {
+        console.warn(`Remote logging rejected ${batch.length} entries; they were dropped`);
+      }
+    }
+
+    return delivered;
+  }
+
+  /**
+   * @param {Array<Object>} batch - Entries
+   * @returns {Promise<string>} 'sent', 'dropped' when the endpoint rejected the payload, or 'failed'
+   */
+  async sendBatch(batch) {
+    const { endpoint, maxRetries } = this.config;
+    const { body, headers } = await this.encode(batch);
+    // Loaded on first use: retryManager imports authErrorHandler, which imports errorLogger, which imports us
+    const [{ retryManager }, { AUTH_ERROR_TYPES }] = await Promise.all([
+      import('./retryManager.js'),
+      import('./authErrorHandler.js')
+    ]);
+
+    const result = await retryManager.executeWithRetry(async () => {
+      const response = await fetch(endpoint, { method: 'POST', headers, body });
+      if (response.ok) {
+        return 'sent';
+      }
+      if (response.status >= 500 || RETRYABLE_STATUSES.includes(response.status)) {
+        throw new Error(`Remote logging endpoint responded ${response.status}`);
+      }
+      return 'dropped';
+    }, AUTH_ERROR_TYPES.NETWORK_ERROR, { maxRetries });
+
+    if (!result.success) {
+      console.warn('Remote logging unavailable, keeping entries for the next flush:', result.error?.message);
+      return 'failed';
+    }
+    return result.result;
+  }
+
+  /**
+   * @param {Array<Object>} batch - Entries
+   * @returns {Promise<{ body: string|Blob, headers: Object }>} Request body and headers
+   */
+  async encode(batch) {
+    const text = toNdjson(batch);
+    const headers = { 'Content-Type': 'application/x-ndjson' };
+    if (this.config.apiKey) {
+      headers.Authorization = `Bearer ${this.config.apiKey}`;
+    }
+
+    if (!this.config.compress || typeof CompressionStream === 'undefined') {
+      return { body: text, headers };
+    }
+
+    try {
+      const stream = new Blob([text]).stream().pipeThrough(new CompressionStream('gzip'));
+      const body = await new Response(stream).blob();
+      return { body, headers: { ...headers, 'Content-Encoding': 'gzip' } };
+    } catch (error) {
+      return { body: text, headers };
+    }
+  }
+
+  /**
+   * Hand the queue to the browser as the page goes away; beacons cannot be compressed or
+   * carry headers, so they are plain text with the API key in the query string
+   * @returns {number} Entries handed over
+   */
+  flushWithBeacon() {
+    if (!this.config || this.queue.length === 0 || typeof navigator === 'undefined' || !navigator.sendBeacon) {
+      return 0;
+    }
+
+    const url = this.getBeaconUrl();
+    const sentIds = new Set();
+
+    for (const chunk of chunkBySize(this.queue, BEACON_MAX_BYTES)) {
+      const blob = new Blob([toNdjson(chunk)], { type: 'text/plain;charset=UTF-8' });
+      if (!navigator.sendBeacon(url, blob)) {
+        break;
+      }
+      chunk.forEach(entry => sentIds.add(entry.id));
+    }
+
+    this.queue = this.queue.filter(entry => !sentIds.has(entry.id));
+    this.saveOutbox();
+    return sentIds.size;
+  }
+
+  getBeaconUrl() {
+    const { endpoint, apiKey } = this.config;
+    if (!apiKey) return endpoint;
+
+    const url = new URL(endpoint, typeof window !== 'undefined' ? window.location.href : undefined);
+    url.searchParams.set('api_key', apiKey);
+    return url.toString();
+  }
+
+  loadOutbox() {
+    try {
+      const stored = JSON.parse(localStorage.getItem(OUTBOX_STORAGE_KEY));
+      return Array.isArray(stored) ? stored.slice(-this.config.maxQueueSize) : [];
+    } catch (error) {
+      return [];
+    }
+  }
+
+  saveOutbox() {
+    try {
+      if (this.queue.length === 0) {
+        localStorage.removeItem(OUTBOX_STORAGE_KEY);
+      } else {
+        localStorage.setItem(OUTBOX_STORAGE_KEY, JSON.stringify(this.queue));
+      }
+    } catch (error) {
+      console.warn('Failed to persist remote logging outbox:', error);
+    }
+  }
+}
+
+function toNdjson(entries) {
+  return entries.map(entry => JSON.stringify(entry)).join('\n') + '\n';
+}
+
+/**
+ * Split entries into groups whose NDJSON stays under maxBytes; a single larger entry gets its own group
+ */
+function chunkBySize(entries, maxBytes) {
+  const chunks = [];
+  let current = [];
+  let size = 0;
+
+  for (const entry of entries) {
+    const entrySize = new Blob([JSON.stringify(entry) + '\n']).size;
+    if (current.length > 0 && size + entrySize > maxBytes) {
+      chunks.push(current);
+      current = [];
+      size = 0;
+    }
+    current.push(entry);
+    size += entrySize;
+  }
+
+  if (current.length > 0) chunks.push(current);
+  return chunks;
+}
+
+// Create singleton instance
+export const logShipper = new LogShipper();
+export default logShipper;
@@ -0,0 +1,349 @@
+/**
+ * Mail Transports
+ * emailService renders an email and hands it to a transport, which only has to deliver it:
+ *   send(message) -> Promise<{ success, messageId }>
+ * - HttpApiTransport posts the message as JSON to a backend or provider endpoint
+ * - SmtpTransport speaks SMTP over a socket it is given (Node's net.connect or tls.connect);
+ *   browsers cannot open TCP connections, so it is meant for scripts, workers and tests.
+ *   Pointed at MailCatcher or Mailpit (localhost:1025) it shows the emails in a real client
+ * - FileTransport is the local mailcatcher: it keeps the emails in a mailbox in localStorage,
+ *   which the preview page lists, and saves any of them as an .eml file
+ */
+
+const MAILBOX_STORAGE_KEY = 'kairon_mailbox';
+const MAILBOX_LIMIT = 50;
+const MESSAGE_ID_DOMAIN = 'anclorakairon.com';
+
+/**
+ * @typedef {Object} MailMessage
+ * @property {string} from - Sender, e.g. 'Anclora Kairon <no-reply@anclorakairon.com>'
+ * @property {string} to - Recipient address
+ * @property {string} subject
+ * @property {string} text - Plain text body
+ * @property {string} [html] - HTML body
+ * @property {string} [tag] - Template that rendered it, e.g. 'beta-confirmation'
+ */
+
+/**
+ * @typedef {Object} MailTransport
+ * @property {function(MailMessage): Promise<{ success: boolean, messageId: string|null }>} send
+ */
+
+function createMessageId() {
+  return `${Date.now()}.${Math.random().toString(36).slice(2, 11)}@${MESSAGE_ID_DOMAIN}`;
+}
+
+/**
+ * Base64 of the UTF-8 bytes of a text, in lines of 76 characters when wrapped
+ * @param {string} text - Text
+ * @param {boolean} wrap - Break into MIME body lines
+ * @returns {string} Base64
+ */
+export function toBase64(text, wrap = false) {
+  const bytes = new TextEncoder().encode(text);
+  let binary = '';
+  bytes.forEach(byte => { binary += String.fromCharCode(byte); });
+  const encoded = btoa(binary);
+  return wrap ? encoded.replace(/.{76}/g, '$&\r\n') : encoded;
+}
+
+// Header values other than plain ASCII go as RFC 2047 encoded words
+function encodeHeader(value) {
+  return /^[\x20-\x7E]*$/.test(value) ? value : `=?UTF-8?B?${toBase64(value)}?=`;
+}
+
+/**
+ * Bare address of a "Name <address>" sender or recipient
+ * @param {string} mailbox - Mailbox
+ * @returns {string} Address
+ */
+export function extractAddress(mailbox) {
+  const match = String(mailbox).match(/<([^>]+)>/);
+  return (match ? match[1] : String(mailbox)).trim();
+}
+
+function mimePart(contentType, body) {
+  return [
+    `Content-Type: ${contentType}; charset=UTF-8`,
+    'Content-Transfer-Encoding: base64',
+    '',
+    toBase64(body, true)
+  ].join('\r\n');
+}
+
+/**
+ * Build the RFC 5322 source of a message: text only, or text and HTML as multipart/alternative
+ * @param {MailMessage} message - Message
+ * @param {Object} options - { messageId, date }
+ * @returns {string} Message source with CRLF line endings
+ */
+export function buildMimeMessage(message, { messageId = createMessageId(), date = new Date() } = {}) {
+  const headers = [
+    `From: ${message.from}`,
+    `To: ${message.to}`,
+    `Subject: ${encodeHeader(message.subject)}`,
+    `Date: ${date.toUTCString()}`,
+    `Message-ID: <${messageId}>`,
+    'MIME-Version: 1.0'
+  ];
+  if (message.tag) {
+    headers.push(`X-Kairon-Template: ${message.tag}`);
+  }
+
+  if (!message.html) {
+    return [...headers, mimePart('text/plain', message.text)].join('\r\n');
+  }
+
+  const boundary = `kairon-${messageId.split('@')[0]}`;
+  return [
+    ...headers,
+    `Content-Type: multipart/alternative; boundary="${boundary}"`,
+    '',
+    `--${boundary}`,
+    mimePart('text/plain', message.text),
+    `--${boundary}`,
+    mimePart('text/html', message.html),
+    `--${boundary}--`,
+    ''
+  ].join('\r\n');
+}
+
+/**
+ * Transport that POSTs the message as JSON ({ from, to, subject, text, html, tag })
+ * VITE_ variables end up in the bundle, so the endpoint should be our own backend or an edge
+ * function that holds the provider's secret key, not the provider itself
+ */
+export class HttpApiTransport {
+  /**
+   * @param {Object} options - Options
+   * @param {string} options.endpoint - URL the messages are posted to
+   * @param {string} options.apiKey - Sent as a Bearer token
+   * @param {Object} options.headers - Extra headers
+   */
+  constructor({ endpoint, apiKey = null, headers = {} } = {}) {
+    if (!endpoint) {
+      throw new Error('Falta el endpoint del servicio de email');
+    }
+    this.endpoint = endpoint;
+    this.apiKey = apiKey;
+    this.headers = headers;
+  }
+
+  async send(message) {
+    const response = await fetch(this.endpoint, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        ...(this.apiKey ? { Authorization: `Bearer ${this.apiKey}` } : {}),
+        ...this.headers
+      },
+      body: JSON.stringify(message)
+    });
+    if (!response.ok) {
+      throw new Error(`El servicio de email respondió ${response.status}`);
+    }
+
+    const result = await response.json().catch(() => ({}));
+    return { success: true, messageId: result.messageId || result.id || null };
+  }
+}
+
+/**
+ * Read SMTP replies from a socket; a reply may span several "250-" lines before the "250 " one
+ * @param {Object} socket - Node socket
+ * @returns {Function} Resolves with the next { code, text }
+ */
+function createReplyReader(socket) {
+  const replies = [];
+  const waiting = [];
+  let buffer = '';
+  let lines = [];
+  let failure = null;
+
+  socket.on('data', chunk => {
+    buffer += chunk.toString();
+    let end;
+    while ((end = buffer.indexOf('\n')) >= 0) {
+      const line = buffer.slice(0, end).replace(/\r$/, '');
+      buffer = buffer.slice(end + 1);
+      lines.push(line.slice(4));
+
+      if (line[3] !== '-') {
+        const reply = { code: Number(line.slice(0, 3)), text: lines.join('\n') };
+        lines = [];
+        if (waiting.length) waiting.shift().resolve(reply);
+        else replies.push(reply);
+      }
+    }
+  });
+
+  const fail = error => {
+    failure = failure || error;
+    waiting.splice(0).forEach(({ reject }) => reject(failure));
+  };
+  socket.on('error', fail);
+  socket.on('close', () => fail(new Error('El servidor SMTP cerró la conexión')));
+
+  return () => {
+    if (replies.length) return Promise.resolve(replies.shift());
+    if (failure) return Promise.reject(failure);
+    return new Promise((resolve, reject) => waiting.push({ resolve, reject }));
+  };
+}
+
+/**
+ * Transport that delivers through an SMTP server: EHLO, AUTH PLAIN when there is a user,
+ * MAIL FROM, RCPT TO, DATA. Use tls.connect for servers on port 465; STARTTLS is not supported
+ */
+export class SmtpTransport {
+  /**
+   * @param {Object} options - Options
+   * @param {string} options.host - Server host
+   * @param {number} options.port - Server port, 1025 is MailCatcher's and Mailpit's
+   * @param {string} options.user - User for AUTH PLAIN; none skips authentication
+   * @param {string} options.password - Password
+   * @param {Function} options.connect - Opens the socket, e.g. net.connect from Node
+   * @param {string} options.clientName - Name sent with EHLO
+   */
+  constructor({ host = 'localhost', port = 1025, user = null, password = null, connect = null, clientName = 'localhost' } = {}) {
+    this.host = host;
+    this.port = port;
+    this.user = user;
+    this.password = password;
+    this.connect = connect;
+    this.clientName = clientName;
+  }
+
+  async send(message) {
+    if (!this.connect) {
+      throw new Error('SMTP necesita una conexión TCP: pasa connect (net.connect o tls.connect de Node)');
+    }
+
+    const messageId = createMessageId();
+    const socket = this.connect({ host: this.host, port: this.port });
+    const readReply = createReplyReader(socket);
+
+    const expect = async (codes) => {
+      const reply = await readReply();
+      if (!codes.includes(reply.code)) {
+        throw new Error(`El servidor SMTP respondió ${reply.code}: ${reply.text}`);
+      }
+      return reply;
+    };
+    const command = (line, codes) => {
+      socket.write(`${line}\r\n`);
+      return expect(codes);
+    };
+
+    try {
+      await expect([220]);
+      await command(`EHLO ${this.clientName}`, [250]);
+      if (this.user) {
+        await command(`AUTH PLAIN ${toBase64(`\u0000${this.user}\u0000${this.password || ''}`)}`, [235]);
+      }
+      await command(`MAIL FROM:<${extractAddress(message.from)}>`, [250]);
+      await command(`RCPT TO:<${extractAddress(message.to)}>`, [250, 251]);
+      await command('DATA', [354]);
+      // Lines starting with a dot are doubled so the server does not read them as the end
+      const source = buildMimeMessage(message, { messageId }).replace(/^\./gm, '..');
+      await command(`${source}\r\n.`, [250]);
+      await command('QUIT', [221]).catch(() => {});
+    } finally {
+      socket.end();
+    }
+
+    return { success: true, messageId };
+  }
+}
+
+/**
+ * Transport that catches the emails in a local mailbox instead of sending them, for development
+ * and tests: flows that continue from an emailed link (beta waitlist confirmation) can be
+ * completed locally, and the preview page lists what was "sent"
+ */
+export class FileTransport {
+  /**
+   * "Send" a message: store it and print it for the developer
+   * @param {MailMessage} message - Message
+   * @returns {Promise<Object>} { success, messageId }
+   */
+  async send(message) {
+    const stored = {
+      id: createMessageId(),
+      sentAt: new Date().toISOString(),
+      ...message
+    };
+
+    // Newest first, trimmed so the mailbox does not fill localStorage
+    this.save([stored, ...this.list()].slice(0, MAILBOX_LIMIT));
+    console.info(`📧 Modo de desarrollo: email "${message.subject}" para ${message.to}\n${message.text}`);
+
+    return { success: true, messageId: stored.id };
+  }
+
+  /**
+   * Messages caught so far, newest first
+   * @param {string} [to] - Only those for this address
+   * @returns {Array<MailMessage>} Messages, each with its id and sentAt
+   */
+  list(to = null) {
+    let messages = [];
+    try {
+      messages = JSON.parse(localStorage.getItem(MAILBOX_STORAGE_KEY)) || [];
+    } catch (error) {
+      console.warn('Error reading the mailbox:', error);
+    }
+    return to ? messages.filter(message => message.to === to) : messages;
+  }
+
+  /**
+   * Source of a caught message, as an email client opens it
+   * @param {string} id - Message id
+   * @returns {string|null} .eml content
+   */
+  toEml(id) {
+    const message = this.list().find(entry => entry.id === id);
+    return message ? buildMimeMessage(message, { messageId: message.id, date: new Date(message.sentAt) }) : null;
+  }
+
+  /**
+   * Save a caught message as an .eml file
+   * @param {string} id - Message id
+   */
+  download(id) {
+    const source = this.toEml(id);
+    if (!source) return;
+
+    const url = URL.createObjectURL(new Blob([source], { type: 'message/rfc822' }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `${id.split('@')[0]}.eml`;
+    link.click();
+    URL.revokeObjectURL(url);
+  }
+
+  save(messages) {
+    try {
+      localStorage.setItem(MAILBOX_STORAGE_KEY, JSON.stringify(messages));
+    } catch (error) {
+      console.warn('Error writing the mailbox:', error);
+    }
+  }
+
+  clear() {
+    localStorage.removeItem(MAILBOX_STORAGE_KEY);
+  }
+}
+
+/**
+ * Transport from the environment: VITE_EMAIL_API_ENDPOINT posts to that endpoint, anything
+ * else catches the emails locally. SMTP is not offered here because the browser cannot use it
+ * @param {Object} env - import.meta.env
+ * @returns {MailTransport} Transport
+ */
+export function createMailTransportFromEnv(env = {}) {
+  if (env.VITE_EMAIL_API_ENDPOINT) {
+    return new HttpApiTransport({ endpoint: env.VITE_EMAIL_API_ENDPOINT, apiKey: env.VITE_EMAIL_API_KEY || null });
+  }
+  return new FileTransport();
+}
@@ -7,6 +7,8 @@
 import { authErrorHandler, AUTH_ERROR_TYPES } from './authErrorHandler.js';
 import { UserFeedbackSystem } from './userFeedbackSystem.js';
 import errorLogger from './errorLogger.js';
+import i18n from '../utils/i18n.js';
+import { offlineOutbox, OUTBOX_SOURCES } from './offlineOutbox.js';
 
 /**
  * Network status constants
@@ -135,6 +137,9 @@ export class NetworkConnectivityHandler {
     // Show offline indicator
     this.showOfflineIndicator();
 
+    // Queue data mutations in the durable outbox until connectivity is back
+    offlineOutbox.setAvailable(OUTBOX_SOURCES.NETWORK, false);
+
     // Start enhanced connectivity monitoring
     this.startOfflineMonitoring();
 
@@ -171,6 +176,10 @@ export class NetworkConnectivityHandler {
     // Process queued operations
     this.processQueuedOperations();
 
+    // Replay data mutations queued while offline
+    offlineOutbox.setAvailable(OUTBOX_SOURCES.NETWORK, true);
+    offlineOutbox.replay();
+
     // Stop offline monitoring
     this.stopOfflineMonitoring();
 
@@ -334,6 +343,7 @@ export class NetworkConnectivityHandler {
 
   /**
    * Queue an operation for retry when connectivity is restored
+   * Kept in memory only; task, project and chat mutations are persisted by offlineOutbox instead
    * @param {Function} operation - The operation to queue
    * @param {Object} context - Operation context
    * @returns {Promise} Promise that resolves when operation is executed or rejected
@@ -490,13 +500,7 @@ export class NetworkConnectivityHandler {
    * Show connectivity restored message
    */
   showConnectivityRestoredMessage() {
-    const messages = {
-      es: "¡Conexión restaurada! Las operaciones pendientes se están procesando.",
-      en: "Connection restored! Pending operations are being processed."
-    };
-
-    const language = authErrorHandler.defaultLanguage || 'es';
-    const message = messages[language] || messages.es;
+    const message = i18n.t('connection:connectionRestoredProcessing', {}, authErrorHandler.defaultLanguage);
 
     this.userFeedbackSystem.showSuccess(message, {
       duration: 5000,
@@ -509,13 +513,9 @@ export class NetworkConnectivityHandler {
    * @param {Object} context - Operation context
    */
   showOperationQueuedMessage(context) {
-    const messages = {
-      es: `Operación "${context.operation || 'desconocida'}" agregada a la cola. Se ejecutará cuando se restaure la conexión.`,
-      en: `Operation "${context.operation || 'unknown'}" queued. Will execute when connection is restored.`
-    };
-
-    const language = context.language || authErrorHandler.defaultLanguage || 'es';
-    const message = messages[language] || messages.es;
+    const language = context.language || authErrorHandler.defaultLanguage;
+    const operation = context.operation || i18n.translate('connection:operationUnknown', language);
+    const message = i18n.t('connection:operationQueued', { operation }, language);
 
     this.userFeedbackSystem.showInfo(message, {
       duration: 3000,
@@ -529,31 +529,18 @@ export class NetworkConnectivityHandler {
    * @param {number} failureCount - Number of failed operations
    */
   showQueueProcessingResult(successCount, failureCount) {
-    const messages = {
-      es: {
-        success: `${successCount} operaciones completadas exitosamente.`,
-        mixed: `${successCount} operaciones exitosas, ${failureCount} fallaron.`,
-        failure: `${failureCount} operaciones fallaron. Inténtalo de nuevo.`
-      },
-      en: {
-        success: `${successCount} operations completed successfully.`,
-        mixed: `${successCount} operations successful, ${failureCount} failed.`,
-        failure: `${failureCount} operations failed. Please try again.`
-      }
-    };
-
-    const language = authErrorHandler.defaultLanguage || 'es';
-    const langMessages = messages[language] || messages.es;
+    const language = authErrorHandler.defaultLanguage;
+    const counts = { success: successCount, failure: failureCount };
 
     let message, type;
     if (failureCount === 0) {
-      message = langMessages.success;
+      message = i18n.t('connection:queueSuccess', counts, language);
       type = 'success';
     } else if (successCount > 0) {
-      message = langMessages.mixed;
+      message = i18n.t('connection:queueMixed', counts, language);
       type = 'warning';
     } else {
-      message = langMessages.failure;
+      message = i18n.t('connection:queueFailure', counts, language);
       type = 'error';
     }
 
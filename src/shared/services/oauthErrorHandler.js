@@ -1,20 +1,16 @@
 /**
  * OAuth Error Handler
  * Handles OAuth provider errors and provides fallback mechanisms
- * Supports Google and GitHub OAuth with fallback to email/password authentication
+ * Falls back to the other enabled providers (config/authProviders.js) and to email/password authentication
  */
 
 import { authErrorHandler, AUTH_ERROR_TYPES } from './authErrorHandler.js';
 import { UserFeedbackSystem } from './userFeedbackSystem.js';
 import errorLogger from './errorLogger.js';
+import i18n from '../utils/i18n.js';
+import { getEnabledOAuthProviders, getOAuthProviderDisplayName } from '../config/authProviders.js';
 
-/**
- * OAuth provider constants
- */
-export const OAUTH_PROVIDERS = {
-  GOOGLE: 'google',
-  GITHUB: 'github'
-};
+export { OAUTH_PROVIDERS } from '../config/authProviders.js';
 
 /**
  * OAuth error types
@@ -54,7 +50,7 @@ export class OAuthErrorHandler {
   /**
    * Handle OAuth error and provide appropriate response
    * @param {Error} error - The OAuth error
-   * @param {string} provider - OAuth provider (google, github)
+   * @param {string} provider - OAuth provider id (see config/authProviders.js)
    * @param {Object} context - Additional context
    * @returns {Object} Processed OAuth error information
    */
@@ -261,10 +257,9 @@ export class OAuthErrorHandler {
    * @returns {Array} Array of alternative providers
    */
   getAlternativeProviders(failedProvider) {
-    const allProviders = [OAUTH_PROVIDERS.GOOGLE, OAUTH_PROVIDERS.GITHUB];
-    return allProviders.filter(provider => 
-      provider !== failedProvider && !this.failedProviders.has(provider)
-    );
+    return getEnabledOAuthProviders()
+      .map(provider => provider.id)
+      .filter(provider => provider !== failedProvider && !this.failedProviders.has(provider));
   }
 
   /**
@@ -319,30 +314,18 @@ export class OAuthErrorHandler {
     const language = options.language || 'es';
     const provider = errorResult.provider;
     
-    const messages = {
-      es: {
-        fallback: `¿Problemas con ${this.getProviderDisplayName(provider)}? Puedes iniciar sesión con email y contraseña.`,
-        alternativeProvider: `También puedes intentar con ${this.getAlternativeProviderNames(errorResult.fallbackOptions.alternativeProviders, language)}.`,
-        popupBlocked: 'Parece que las ventanas emergentes están bloqueadas. Habilítalas en tu navegador e inténtalo de nuevo.'
-      },
-      en: {
-        fallback: `Having trouble with ${this.getProviderDisplayName(provider)}? You can sign in with email and password.`,
-        alternativeProvider: `You can also try ${this.getAlternativeProviderNames(errorResult.fallbackOptions.alternativeProviders, language)}.`,
-        popupBlocked: 'It looks like popups are blocked. Please enable them in your browser and try again.'
-      }
-    };
+    const providers = this.getAlternativeProviderNames(errorResult.fallbackOptions.alternativeProviders, language);
 
-    const langMessages = messages[language] || messages.es;
-    let suggestionMessage = langMessages.fallback;
+    let suggestionMessage = i18n.t('auth:oauthFallback', { provider: this.getProviderDisplayName(provider) }, language);
 
     // Add specific suggestions based on error type
     if (errorResult.errorType === OAUTH_ERROR_TYPES.POPUP_BLOCKED) {
-      suggestionMessage = langMessages.popupBlocked + ' ' + suggestionMessage;
+      suggestionMessage = i18n.t('auth:oauthPopupBlocked', {}, language) + ' ' + suggestionMessage;
     }
 
     // Add alternative provider suggestion
     if (errorResult.fallbackOptions.alternativeProviders.length > 0) {
-      suggestionMessage += ' ' + langMessages.alternativeProvider;
+      suggestionMessage += ' ' + i18n.t('auth:oauthAlternativeProvider', { providers }, language);
     }
 
     this.userFeedbackSystem.showInfo(suggestionMessage, {
@@ -364,7 +347,7 @@ export class OAuthErrorHandler {
     // Email/password fallback action
     if (errorResult.fallbackOptions.shouldShowFallback) {
       actions.push({
-        text: language === 'en' ? 'Use Email/Password' : 'Usar Email/Contraseña',
+        text: i18n.t('auth:oauthUseEmailPassword', {}, language),
         callback: options.emailPasswordCallback || (() => {
           console.log('Email/password fallback triggered');
         }),
@@ -375,7 +358,7 @@ export class OAuthErrorHandler {
     // Alternative provider actions
     errorResult.fallbackOptions.alternativeProviders.forEach(provider => {
       actions.push({
-        text: `${language === 'en' ? 'Try' : 'Probar'} ${this.getProviderDisplayName(provider)}`,
+        text: i18n.t('auth:oauthTryProvider', { provider: this.getProviderDisplayName(provider) }, language),
         callback: options.alternativeProviderCallback ? 
           () => options.alternativeProviderCallback(provider) :
           () => console.log(`Alternative provider ${provider} triggered`),
@@ -392,12 +375,7 @@ export class OAuthErrorHandler {
    * @returns {string} Display name
    */
   getProviderDisplayName(provider) {
-    const displayNames = {
-      [OAUTH_PROVIDERS.GOOGLE]: 'Google',
-      [OAUTH_PROVIDERS.GITHUB]: 'GitHub'
-    };
-    
-    return displayNames[provider] || provider;
+    return getOAuthProviderDisplayName(provider);
   }
 
   /**
@@ -410,13 +388,9 @@ export class OAuthErrorHandler {
     if (providers.length === 0) return '';
     
     const displayNames = providers.map(p => this.getProviderDisplayName(p));
-    
-    if (displayNames.length === 1) {
-      return displayNames[0];
-    }
-    
-    const connector = language === 'en' ? ' or ' : ' o ';
-    return displayNames.slice(0, -1).join(', ') + connector + displayNames[displayNames.length - 1];
+
+    // "A, B o C" / "A, B, or C" / "A, B ou C" as each language writes alternatives
+    return new Intl.ListFormat(i18n.getLocale(language), { type: 'disjunction' }).format(displayNames);
   }
 
   /**
@@ -0,0 +1,671 @@
+/**
+ * Offline Outbox
+ * Durable queue for task, project and chat mutations made while Supabase can't be reached.
+ * Entries are persisted in IndexedDB (localStorage when IndexedDB is unavailable) so they
+ * survive reloads, and are replayed in order when networkConnectivityHandler or
+ * supabaseUnavailableHandler report that the connection is back. Updates and deletes remember
+ * the updated_at of the row they were based on; if the server row changed in the meantime the
+ * entry is held as a conflict until the user decides which version to keep
+ */
+
+import { generateId } from './localTableStore.js';
+import errorLogger from './errorLogger.js';
+
+/**
+ * @typedef {Object} OutboxMutation
+ * @property {string} entity - One of OUTBOX_ENTITIES
+ * @property {string} action - One of OUTBOX_ACTIONS
+ * @property {string} recordId - Id of the row (client-generated for creates); for reorders, the column
+ * @property {string|null} projectId - Project the row belongs to
+ * @property {Object|null} values - Row for creates, changed columns for updates, target for moves
+ * @property {string} label - Human-readable name shown in the conflict UI
+ * @property {Function} optimistic - Maps the optimistic row to the value returned while queued
+ */
+
+/**
+ * @typedef {Object} OutboxEntry
+ * @property {string} id
+ * @property {number} seq - Replay order
+ * @property {string} entity
+ * @property {string} action
+ * @property {string} recordId
+ * @property {string|null} projectId
+ * @property {Object|null} values
+ * @property {string} label
+ * @property {string|null} baseUpdatedAt - updated_at of the server row the change was based on
+ * @property {string} status - One of OUTBOX_STATUS
+ * @property {Object|null} conflict - { type, remote } when status is conflict
+ * @property {string|null} error - Failure message when status is failed
+ * @property {string} createdAt
+ */
+
+/**
+ * @typedef {Object} OutboxReplayHandler
+ * @property {(id: string) => Promise<Object|null>} get - Read the current server row; needed for updates, deletes and moves
+ * @property {(entry: OutboxEntry) => Promise<any>} create
+ * @property {(entry: OutboxEntry) => Promise<any>} update - Optional
+ * @property {(entry: OutboxEntry) => Promise<any>} delete - Optional
+ * @property {(entry: OutboxEntry) => Promise<any>} move - Optional
+ * @property {(entry: OutboxEntry) => Promise<any>} reorder - Optional
+ */
+
+export const OUTBOX_ENTITIES = {
+  TASK: 'task',
+  PROJECT: 'project',
+  CHAT_MESSAGE: 'chat_message'
+};
+
+export const OUTBOX_ACTIONS = {
+  CREATE: 'create',
+  UPDATE: 'update',
+  DELETE: 'delete',
+  MOVE: 'move',
+  REORDER: 'reorder'
+};
+
+// Actions on an existing row, checked against the server row before they are replayed
+const ROW_ACTIONS = [OUTBOX_ACTIONS.UPDATE, OUTBOX_ACTIONS.DELETE, OUTBOX_ACTIONS.MOVE];
+
+export const OUTBOX_STATUS = {
+  PENDING: 'pending',
+  CONFLICT: 'conflict',
+  FAILED: 'failed'
+};
+
+export const CONFLICT_TYPES = {
+  MODIFIED: 'modified',
+  DELETED: 'deleted'
+};
+
+export const CONFLICT_RESOLUTIONS = {
+  KEEP_LOCAL: 'keep_local',
+  KEEP_REMOTE: 'keep_remote'
+};
+
+/**
+ * Reasons the outbox can be told the backend is unreachable
+ */
+export const OUTBOX_SOURCES = {
+  NETWORK: 'network',
+  SERVICE: 'service'
+};
+
+const DB_NAME = 'kairon_offline';
+const STORE_NAME = 'outbox';
+const FALLBACK_STORAGE_KEY = 'kairon_outbox';
+
+const NETWORK_ERROR_PATTERN = /failed to fetch|networkerror|network request failed|fetch failed|load failed/i;
+
+/**
+ * Whether an error means the request never reached the server
+ * @param {Error} error - Error thrown by a query
+ * @returns {boolean} True for connectivity failures
+ */
+export function isNetworkError(error) {
+  if (typeof navigator !== 'undefined' && navigator.onLine === false) {
+    return true;
+  }
+  return NETWORK_ERROR_PATTERN.test(error?.message || '');
+}
+
+/**
+ * Compare two updated_at values regardless of their timestamp format
+ * @param {string} a - Timestamp
+ * @param {string} b - Timestamp
+ * @returns {boolean} True when both point at the same instant
+ */
+function isSameVersion(a, b) {
+  return new Date(a).getTime() === new Date(b).getTime();
+}
+
+/**
+ * Outbox storage backed by an IndexedDB object store
+ */
+export class IndexedDBOutboxStorage {
+  constructor(factory = globalThis.indexedDB) {
+    this.factory = factory;
+    this.dbPromise = null;
+  }
+
+  open() {
+    if (!this.dbPromise) {
+      this.dbPromise = new Promise((resolve, reject) => {
+        const request = this.factory.open(DB_NAME, 1);
+        request.onupgradeneeded = () => {
+          request.result.createObjectStore(STORE_NAME, { keyPath: 'id' });
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      });
+    }
+    return this.dbPromise;
+  }
+
+  async transact(mode, fn) {
+    const db = await this.open();
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(STORE_NAME, mode);
+      const request = fn(transaction.objectStore(STORE_NAME));
+      transaction.oncomplete = () => resolve(request.result);
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
+    });
+  }
+
+  async getAll() {
+    return (await this.transact('readonly', store => store.getAll())) || [];
+  }
+
+  async put(entry) {
+    await this.transact('readwrite', store => store.put(entry));
+  }
+
+  async delete(id) {
+    await this.transact('readwrite', store => store.delete(id));
+  }
+}
+
+/**
+ * Outbox storage keeping every entry under one localStorage key
+ */
+export class LocalStorageOutboxStorage {
+  constructor(key = FALLBACK_STORAGE_KEY) {
+    this.key = key;
+  }
+
+  read() {
+    try {
+      const stored = localStorage.getItem(this.key);
+      return stored ? JSON.parse(stored) : [];
+    } catch (error) {
+      console.warn('Error reading offline outbox:', error);
+      return [];
+    }
+  }
+
+  write(entries) {
+    try {
+      localStorage.setItem(this.key, JSON.stringify(entries));
+    } catch (error) {
+      console.warn('Error writing offline outbox:', error);
+    }
+  }
+
+  async getAll() {
+    return this.read();
+  }
+
+  async put(entry) {
+    this.write([...this.read().filter(item => item.id !== entry.id), entry]);
+  }
+
+  async delete(id) {
+    this.write(this.read().filter(item => item.id !== id));
+  }
+}
+
+/**
+ * Pick IndexedDB when the browser has it, localStorage otherwise
+ * @returns {IndexedDBOutboxStorage|LocalStorageOutboxStorage} Storage
+ */
+export function createOutboxStorage() {
+  return typeof indexedDB !== 'undefined'
+    ? new IndexedDBOutboxStorage()
+    : new LocalStorageOutboxStorage();
+}
+
+/**
+ * OfflineOutbox class queueing mutations and replaying them once the backend is reachable
+ */
+export class OfflineOutbox {
+  constructor(options = {}) {
+    this.storage = options.storage || createOutboxStorage();
+    this.entries = [];
+    this.handlers = new Map();
+    this.unavailableSources = new Set();
+    // Last known server row per record, so queued changes know which version they edit
+    this.knownRows = new Map();
+    this.eventListeners = new Map();
+    this.loadPromise = null;
+    this.replayPromise = null;
+    this.retryTimer = null;
+    this.nextSeq = 1;
+
+    this.config = {
+      retryDelayMs: 15000 // Replay again after a request failed with a network error
+    };
+  }
+
+  /**
+   * Read persisted entries; falls back to localStorage if IndexedDB can't be opened
+   * @returns {Promise<Array<OutboxEntry>>} Entries in replay order
+   */
+  load() {
+    if (!this.loadPromise) {
+      this.loadPromise = this.readEntries();
+    }
+    return this.loadPromise;
+  }
+
+  async readEntries() {
+    let stored;
+    try {
+      stored = await this.storage.getAll();
+    } catch (error) {
+      console.warn('IndexedDB unavailable for the offline outbox, using localStorage:', error);
+      this.storage = new LocalStorageOutboxStorage();
+      stored = await this.storage.getAll();
+    }
+
+    this.entries = [...stored, ...this.entries].sort((a, b) => a.seq - b.seq);
+    this.nextSeq = this.entries.reduce((max, entry) => Math.max(max, entry.seq), 0) + 1;
+    return this.entries;
+  }
+
+  /**
+   * Register how to replay the mutations of an entity
+   * @param {string} entity - One of OUTBOX_ENTITIES
+   * @param {OutboxReplayHandler} handler - Replay handler
+   */
+  registerHandler(entity, handler) {
+    this.handlers.set(entity, handler);
+  }
+
+  /**
+   * Record whether a part of the stack is reachable
+   * @param {string} source - One of OUTBOX_SOURCES
+   * @param {boolean} available - Whether it is reachable
+   */
+  setAvailable(source, available) {
+    if (available) {
+      this.unavailableSources.delete(source);
+    } else {
+      this.unavailableSources.add(source);
+    }
+  }
+
+  /**
+   * Whether new mutations have to be queued instead of sent
+   * @returns {boolean} True while offline or while Supabase is unavailable
+   */
+  shouldQueue() {
+    if (typeof navigator !== 'undefined' && navigator.onLine === false) {
+      return true;
+    }
+    return this.unavailableSources.size > 0;
+  }
+
+  /**
+   * Remember the server version of rows read or written while online
+   * @param {string} entity - One of OUTBOX_ENTITIES
+   * @param {Object|Array<Object>} rows - Row or rows with id and updated_at
+   */
+  remember(entity, rows) {
+    (Array.isArray(rows) ? rows : [rows]).forEach(row => {
+      if (row?.id) {
+        this.knownRows.set(`${entity}:${row.id}`, { row, version: row.updated_at || null });
+      }
+    });
+  }
+
+  /**
+   * Send a mutation, or queue it when the backend can't be reached
+   * @param {OutboxMutation} mutation - Mutation to queue if needed
+   * @param {Function} execute - Sends the mutation now
+   * @returns {Promise<any>} Result of execute, or the optimistic result when queued
+   */
+  async run(mutation, execute) {
+    if (this.shouldQueue()) {
+      return this.enqueue(mutation);
+    }
+
+    try {
+      const result = await execute();
+      this.remember(mutation.entity, result);
+      return result;
+    } catch (error) {
+      if (!isNetworkError(error)) {
+        throw error;
+      }
+      const queued = await this.enqueue(mutation);
+      this.scheduleReplay();
+      return queued;
+    }
+  }
+
+  /**
+   * Persist a mutation and return the row as it will look once it is replayed
+   * @param {OutboxMutation} mutation - Mutation
+   * @returns {Promise<any>} Optimistic result
+   */
+  async enqueue(mutation) {
+    await this.load();
+
+    const key = `${mutation.entity}:${mutation.recordId}`;
+    const known = this.knownRows.get(key);
+    const now = new Date().toISOString();
+
+    const entry = {
+      id: generateId(),
+      seq: this.nextSeq++,
+      entity: mutation.entity,
+      action: mutation.action,
+      recordId: mutation.recordId,
+      projectId: mutation.projectId || null,
+      values: mutation.values || null,
+      label: mutation.label || known?.row?.title || known?.row?.name || '',
+      baseUpdatedAt: known?.version || null,
+      status: OUTBOX_STATUS.PENDING,
+      conflict: null,
+      error: null,
+      createdAt: now
+    };
+
+    this.entries.push(entry);
+    await this.storage.put(entry);
+
+    errorLogger.logError(new Error('Mutation queued in the offline outbox'), {
+      operation: 'queue_outbox_mutation',
+      entity: entry.entity,
+      action: entry.action,
+      queueLength: this.entries.length
+    }, errorLogger.SEVERITY_LEVELS.LOW);
+
+    let result = true;
+    if (entry.action === OUTBOX_ACTIONS.DELETE) {
+      this.knownRows.delete(key);
+    } else if (entry.action !== OUTBOX_ACTIONS.REORDER) {
+      const row = entry.action === OUTBOX_ACTIONS.CREATE
+        ? { ...entry.values, id: entry.recordId, created_at: now, updated_at: now }
+        : { ...known?.row, ...entry.values, id: entry.recordId };
+      this.knownRows.set(key, { row, version: known?.version || null });
+      result = { ...row, pending_sync: true };
+    }
+
+    this.emitChange();
+    return typeof mutation.optimistic === 'function' ? mutation.optimistic(result) : result;
+  }
+
+  /**
+   * Replay pending entries in order. Entries of a record stop at its first conflict or
+   * failure so later changes never overtake it; a network error stops the whole replay
+   * @returns {Promise<Object>} Summary with applied, pending, conflicts and failed counts
+   */
+  replay() {
+    if (!this.replayPromise) {
+      this.replayPromise = this.processEntries().finally(() => {
+        this.replayPromise = null;
+      });
+    }
+    return this.replayPromise;
+  }
+
+  async processEntries() {
+    await this.load();
+    clearTimeout(this.retryTimer);
+    this.retryTimer = null;
+
+    let applied = 0;
+    if (!this.shouldQueue()) {
+      const blocked = new Set();
+
+      for (const { id } of [...this.entries]) {
+        // Re-read each entry: replaying an earlier one may have rebased it
+        const entry = this.entries.find(item => item.id === id);
+        if (!entry) continue;
+
+        const key = `${entry.entity}:${entry.recordId}`;
+        const handler = this.handlers.get(entry.entity);
+        if (entry.status !== OUTBOX_STATUS.PENDING || blocked.has(key) || !handler) {
+          blocked.add(key);
+          continue;
+        }
+
+        try {
+          const outcome = await this.replayEntry(entry, handler);
+          if (outcome === OUTBOX_STATUS.CONFLICT) {
+            blocked.add(key);
+          } else {
+            applied++;
+          }
+        } catch (error) {
+          if (isNetworkError(error)) {
+            this.scheduleReplay();
+            break;
+          }
+          await this.saveEntry({ ...entry, status: OUTBOX_STATUS.FAILED, error: error.message });
+          blocked.add(key);
+        }
+      }
+    }
+
+    const summary = { applied, ...this.getSummary() };
+    this.emitEvent('replayed', summary);
+    this.emitChange();
+    return summary;
+  }
+
+  /**
+   * Check an entry against the server row and apply it
+   * @param {OutboxEntry} entry - Pending entry
+   * @param {OutboxReplayHandler} handler - Handler for its entity
+   * @returns {Promise<string|null>} OUTBOX_STATUS.CONFLICT when held as a conflict
+   */
+  async replayEntry(entry, handler) {
+    if (ROW_ACTIONS.includes(entry.action)) {
+      const remote = await handler.get(entry.recordId);
+
+      if (!remote) {
+        if (entry.action === OUTBOX_ACTIONS.DELETE) {
+          await this.removeEntry(entry);
+          return null;
+        }
+        await this.saveEntry({ ...entry, status: OUTBOX_STATUS.CONFLICT, conflict: { type: CONFLICT_TYPES.DELETED, remote: null } });
+        return OUTBOX_STATUS.CONFLICT;
+      }
+
+      // Moves are recomputed against the current columns, so only updates and deletes conflict
+      const checksVersion = entry.action !== OUTBOX_ACTIONS.MOVE && entry.baseUpdatedAt;
+      if (checksVersion && !isSameVersion(remote.updated_at, entry.baseUpdatedAt)) {
+        await this.saveEntry({ ...entry, status: OUTBOX_STATUS.CONFLICT, conflict: { type: CONFLICT_TYPES.MODIFIED, remote } });
+        return OUTBOX_STATUS.CONFLICT;
+      }
+    }
+
+    const apply = handler[entry.action];
+    if (typeof apply !== 'function') {
+      throw new Error(`Acción sin conexión no soportada: ${entry.action}`);
+    }
+
+    const result = await apply(entry);
+    await this.removeEntry(entry);
+
+    const row = Array.isArray(result) ? result.find(item => item.id === entry.recordId) : result;
+    if (row?.updated_at) {
+      this.remember(entry.entity, result);
+      await this.rebase(entry, row.updated_at);
+    }
+    return null;
+  }
+
+  /**
+   * Move the queued changes of a record that were based on the same version as `entry`
+   * onto a newer server version
+   * @param {OutboxEntry} entry - Applied or resolved entry
+   * @param {string} version - New updated_at
+   */
+  async rebase(entry, version) {
+    const later = this.entries.filter(item =>
+      item.entity === entry.entity &&
+      item.recordId === entry.recordId &&
+      item.baseUpdatedAt === entry.baseUpdatedAt
+    );
+    for (const item of later) {
+      await this.saveEntry({ ...item, baseUpdatedAt: version });
+    }
+  }
+
+  /**
+   * Resolve a conflict
+   * @param {string} entryId - Entry id
+   * @param {string} resolution - One of CONFLICT_RESOLUTIONS
+   * @returns {Promise<Object|null>} Replay summary when local changes are kept
+   */
+  async resolveConflict(entryId, resolution) {
+    await this.load();
+    const entry = this.entries.find(item => item.id === entryId);
+    if (!entry || entry.status !== OUTBOX_STATUS.CONFLICT) {
+      throw new Error('Conflicto no encontrado');
+    }
+
+    if (resolution === CONFLICT_RESOLUTIONS.KEEP_REMOTE) {
+      if (entry.conflict.remote) {
+        this.remember(entry.entity, entry.conflict.remote);
+      }
+      await this.removeEntry(entry);
+      this.emitChange();
+      return null;
+    }
+
+    if (resolution !== CONFLICT_RESOLUTIONS.KEEP_LOCAL) {
+      throw new Error(`Resolución de conflicto no válida: ${resolution}`);
+    }
+    if (entry.conflict.type === CONFLICT_TYPES.DELETED) {
+      throw new Error('El registro ya no existe en el servidor; solo puedes descartar tus cambios');
+    }
+
+    const remoteVersion = entry.conflict.remote.updated_at;
+    await this.rebase(entry, remoteVersion);
+    await this.saveEntry({
+      ...entry,
+      status: OUTBOX_STATUS.PENDING,
+      baseUpdatedAt: remoteVersion,
+      conflict: null
+    });
+    return this.replay();
+  }
+
+  /**
+   * Queue a failed entry again
+   * @param {string} entryId - Entry id
+   * @returns {Promise<Object>} Replay summary
+   */
+  async retry(entryId) {
+    await this.load();
+    const entry = this.entries.find(item => item.id === entryId);
+    if (!entry) {
+      throw new Error('Cambio pendiente no encontrado');
+    }
+    await this.saveEntry({ ...entry, status: OUTBOX_STATUS.PENDING, error: null });
+    return this.replay();
+  }
+
+  /**
+   * Drop an entry without sending it
+   * @param {string} entryId - Entry id
+   */
+  async discard(entryId) {
+    await this.load();
+    const entry = this.entries.find(item => item.id === entryId);
+    if (entry) {
+      await this.removeEntry(entry);
+      this.emitChange();
+    }
+  }
+
+  /**
+   * Try again later after a replay or request hit a network error
+   */
+  scheduleReplay() {
+    if (this.retryTimer) return;
+    this.retryTimer = setTimeout(() => {
+      this.retryTimer = null;
+      this.replay();
+    }, this.config.retryDelayMs);
+  }
+
+  async saveEntry(entry) {
+    const index = this.entries.findIndex(item => item.id === entry.id);
+    if (index !== -1) {
+      this.entries[index] = entry;
+    }
+    await this.storage.put(entry);
+  }
+
+  async removeEntry(entry) {
+    this.entries = this.entries.filter(item => item.id !== entry.id);
+    await this.storage.delete(entry.id);
+  }
+
+  /**
+   * Entries waiting to be replayed or resolved, in replay order
+   * @returns {Array<OutboxEntry>} Entries
+   */
+  getEntries() {
+    return [...this.entries];
+  }
+
+  /**
+   * Entries the user has to act on
+   * @returns {Array<OutboxEntry>} Conflicting and failed entries
+   */
+  getConflicts() {
+    return this.entries.filter(entry => entry.status !== OUTBOX_STATUS.PENDING);
+  }
+
+  getSummary() {
+    const count = status => this.entries.filter(entry => entry.status === status).length;
+    return {
+      pending: count(OUTBOX_STATUS.PENDING),
+      conflicts: count(OUTBOX_STATUS.CONFLICT),
+      failed: count(OUTBOX_STATUS.FAILED)
+    };
+  }
+
+  emitChange() {
+    this.emitEvent('change', this.getSummary());
+  }
+
+  /**
+   * Add event listener for outbox events ('change', 'replayed')
+   * @param {string} eventType - Event type
+   * @param {Function} callback - Event callback
+   * @returns {Function} Unsubscribe function
+   */
+  addEventListener(eventType, callback) {
+    if (!this.eventListeners.has(eventType)) {
+      this.eventListeners.set(eventType, new Set());
+    }
+
+    this.eventListeners.get(eventType).add(callback);
+
+    return () => {
+      const listeners = this.eventListeners.get(eventType);
+      if (listeners) {
+        listeners.delete(callback);
+      }
+    };
+  }
+
+  /**
+   * Emit event to all registered listeners
+   * @param {string} eventType - Event type
+   * @param {Object} eventData - Event data
+   */
+  emitEvent(eventType, eventData) {
+    const listeners = this.eventListeners.get(eventType);
+    if (listeners) {
+      listeners.forEach(callback => {
+        try {
+          callback(eventData);
+        } catch (error) {
+          console.error('Error in offline outbox event listener:', error);
+        }
+      });
+    }
+  }
+}
+
+// Create singleton instance
+export const offlineOutbox = new OfflineOutbox();
+export default offlineOutbox;
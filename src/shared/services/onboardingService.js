@@ -0,0 +1,227 @@
+/**
+ * Onboarding Service
+ * Persists the workspace chosen in the onboarding wizard: the project with its template,
+ * the template's sample tasks and pending invitations for the team members, as one
+ * all-or-nothing unit that can be retried through retryManager
+ */
+
+import { supabase, TABLES } from '../config/supabase.js';
+import { authService } from './authService.js';
+import { authErrorHandler, AUTH_ERROR_TYPES } from './authErrorHandler.js';
+import { LocalTableStore, generateId } from './localTableStore.js';
+import { runLoggedQuery } from './queryRunner.js';
+import { retryManager } from './retryManager.js';
+import { projectService, PROJECT_TEMPLATES, MEMBER_STATUS } from './projectService.js';
+import { taskService, TASK_STATUS, TASK_PRIORITY } from './taskService.js';
+import { generateInviteToken, getInvitationExpiry } from './invitationService.js';
+
+/**
+ * @typedef {Object} OnboardingPlan
+ * @property {{ name: string, template: string }} project - Project values
+ * @property {Array<Object>} tasks - Sample task values, positioned inside their status column
+ * @property {Array<{ email: string, role: string }>} invites - Pending invitations
+ */
+
+/**
+ * @typedef {Object} OnboardingResult
+ * @property {string} projectId - Created project id
+ * @property {number} taskCount - Sample tasks created
+ * @property {number} inviteCount - Invitations created
+ * @property {number} attempts - Attempts it took
+ */
+
+/**
+ * Sample project created for each template
+ */
+export const SAMPLE_PROJECTS = {
+  [PROJECT_TEMPLATES.SOFTWARE]: {
+    name: 'Mi Aplicación Web',
+    tasks: [
+      { title: 'Configurar entorno de desarrollo', status: TASK_STATUS.DONE, priority: TASK_PRIORITY.HIGH },
+      { title: 'Diseñar base de datos', status: TASK_STATUS.IN_PROGRESS, priority: TASK_PRIORITY.HIGH },
+      { title: 'Implementar autenticación', status: TASK_STATUS.TODO, priority: TASK_PRIORITY.MEDIUM },
+      { title: 'Crear API REST', status: TASK_STATUS.TODO, priority: TASK_PRIORITY.MEDIUM },
+      { title: 'Desarrollar frontend', status: TASK_STATUS.TODO, priority: TASK_PRIORITY.LOW }
+    ]
+  },
+  [PROJECT_TEMPLATES.MARKETING]: {
+    name: 'Campaña de Lanzamiento',
+    tasks: [
+      { title: 'Investigación de mercado', status: TASK_STATUS.DONE, priority: TASK_PRIORITY.HIGH },
+      { title: 'Crear buyer personas', status: TASK_STATUS.IN_PROGRESS, priority: TASK_PRIORITY.HIGH },
+      { title: 'Diseñar landing page', status: TASK_STATUS.TODO, priority: TASK_PRIORITY.MEDIUM },
+      { title: 'Configurar Google Ads', status: TASK_STATUS.TODO, priority: TASK_PRIORITY.MEDIUM },
+      { title: 'Analizar métricas', status: TASK_STATUS.TODO, priority: TASK_PRIORITY.LOW }
+    ]
+  },
+  [PROJECT_TEMPLATES.DESIGN]: {
+    name: 'Rediseño de Marca',
+    tasks: [
+      { title: 'Investigación de usuarios', status: TASK_STATUS.DONE, priority: TASK_PRIORITY.HIGH },
+      { title: 'Crear wireframes', status: TASK_STATUS.IN_PROGRESS, priority: TASK_PRIORITY.HIGH },
+      { title: 'Diseñar sistema de colores', status: TASK_STATUS.TODO, priority: TASK_PRIORITY.MEDIUM },
+      { title: 'Crear componentes UI', status: TASK_STATUS.TODO, priority: TASK_PRIORITY.MEDIUM },
+      { title: 'Prototipo interactivo', status: TASK_STATUS.TODO, priority: TASK_PRIORITY.LOW }
+    ]
+  },
+  [PROJECT_TEMPLATES.GENERAL]: {
+    name: 'Mi Primer Proyecto',
+    tasks: [
+      { title: 'Definir objetivos', status: TASK_STATUS.DONE, priority: TASK_PRIORITY.HIGH },
+      { title: 'Planificar tareas', status: TASK_STATUS.IN_PROGRESS, priority: TASK_PRIORITY.HIGH },
+      { title: 'Asignar responsabilidades', status: TASK_STATUS.TODO, priority: TASK_PRIORITY.MEDIUM },
+      { title: 'Ejecutar plan', status: TASK_STATUS.TODO, priority: TASK_PRIORITY.MEDIUM },
+      { title: 'Revisar resultados', status: TASK_STATUS.TODO, priority: TASK_PRIORITY.LOW }
+    ]
+  }
+};
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+/**
+ * OnboardingService class for persisting the onboarding workspace
+ */
+export class OnboardingService {
+  constructor() {
+    this.isSupabaseEnabled = !!supabase;
+    this.memberStore = new LocalTableStore(TABLES.PROJECT_MEMBERS, {
+      trackUpdates: false,
+      createdColumn: 'joined_at'
+    });
+  }
+
+  /**
+   * Build the rows to create from the wizard's answers
+   * @param {Object} userData - Wizard data ({ projectTemplate, teamMembers })
+   * @returns {OnboardingPlan} Plan
+   */
+  buildPlan(userData = {}) {
+    const template = SAMPLE_PROJECTS[userData.projectTemplate]
+      ? userData.projectTemplate
+      : PROJECT_TEMPLATES.GENERAL;
+    const sample = SAMPLE_PROJECTS[template];
+
+    const positions = {};
+    const tasks = sample.tasks.map(task => {
+      positions[task.status] = (positions[task.status] ?? -1) + 1;
+      return { ...task, position: positions[task.status] };
+    });
+
+    const ownEmail = authService.getCurrentUser()?.email?.toLowerCase();
+    const emails = (userData.teamMembers || [])
+      .map(email => (typeof email === 'string' ? email.trim().toLowerCase() : ''))
+      .filter(email => email && email !== ownEmail);
+
+    const invalid = emails.find(email => !EMAIL_PATTERN.test(email));
+    if (invalid) {
+      throw new Error(`Email de invitación no válido: ${invalid}`);
+    }
+
+    return {
+      project: { name: sample.name, template },
+      tasks,
+      invites: [...new Set(emails)].map(email => ({ email, role: 'member' }))
+    };
+  }
+
+  /**
+   * Create the onboarding project, its sample tasks and the pending invitations,
+   * retrying the whole unit when the backend cannot be reached
+   * @param {Object} userData - Wizard data
+   * @param {Object} options - Retry options
+   * @param {string} options.errorType - Retry configuration to use
+   * @param {number} options.maxRetries - Override the configured retries
+   * @returns {Promise<OnboardingResult>} Result
+   */
+  async persistOnboarding(userData, options = {}) {
+    const plan = this.buildPlan(userData);
+    // Generated once so a retry after a commit whose response was lost finds the same project
+    const projectId = generateId();
+
+    const result = await retryManager.executeWithRetry(
+      () => this.createWorkspace(plan, projectId),
+      options.errorType || AUTH_ERROR_TYPES.NETWORK_ERROR,
+      {
+        maxRetries: options.maxRetries,
+        // RLS and validation failures would fail the same way again
+        shouldRetry: error => authErrorHandler.classifyError(error) === AUTH_ERROR_TYPES.NETWORK_ERROR
+      }
+    );
+
+    if (!result.success) {
+      throw result.error || new Error('No se pudo crear el proyecto de ejemplo');
+    }
+
+    return { ...result.result, attempts: result.totalAttempts };
+  }
+
+  /**
+   * Create every row of the plan, or none of them
+   * Supabase runs the create_onboarding_project function in a single transaction;
+   * the mock backend deletes the partially created project when a step fails
+   * @param {OnboardingPlan} plan - Plan from buildPlan
+   * @param {string} projectId - Id for the new project; Supabase returns the existing
+   * project when a previous attempt already created it
+   * @returns {Promise<Omit<OnboardingResult, 'attempts'>>} Result
+   */
+  async createWorkspace(plan, projectId) {
+    const context = {
+      template: plan.project.template,
+      taskCount: plan.tasks.length,
+      inviteCount: plan.invites.length
+    };
+
+    return runLoggedQuery('create_onboarding_workspace', context, async () => {
+      if (this.isSupabaseEnabled) {
+        const { data, error } = await supabase.rpc('create_onboarding_project', {
+          project_id: projectId,
+          project: plan.project,
+          tasks: plan.tasks,
+          invites: plan.invites
+        });
+
+        if (error) {
+          throw new Error(error.message);
+        }
+        return { projectId: data, taskCount: plan.tasks.length, inviteCount: plan.invites.length };
+      }
+
+      let project = null;
+      try {
+        project = await projectService.createProject(plan.project);
+
+        for (const task of plan.tasks) {
+          await taskService.createTask(project.id, task);
+        }
+
+        const invitedBy = projectService.getCurrentUserId();
+        plan.invites.forEach(invite => {
+          this.memberStore.insert({
+            project_id: project.id,
+            user_id: null,
+            role: invite.role,
+            permissions: {},
+            status: MEMBER_STATUS.PENDING,
+            invited_email: invite.email,
+            invited_by: invitedBy,
+            invite_token: generateInviteToken(),
+            invite_expires_at: getInvitationExpiry()
+          });
+        });
+
+        return { projectId: project.id, taskCount: plan.tasks.length, inviteCount: plan.invites.length };
+      } catch (error) {
+        if (project) {
+          await projectService.deleteProject(project.id).catch(rollbackError => {
+            console.warn('Error rolling back onboarding project:', rollbackError);
+          });
+        }
+        throw error;
+      }
+    }, this.isSupabaseEnabled);
+  }
+}
+
+// Create singleton instance
+export const onboardingService = new OnboardingService();
+export default onboardingService;
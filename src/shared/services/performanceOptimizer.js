@@ -481,6 +481,9 @@ export class PerformanceOptimizer {
     }
 
     const message = error.message?.toLowerCase() || '';
+
+    // Email OTP errors share the rate-limit wording and 429 status of login throttling
+    if (error.code === 'over_email_send_rate_limit') return null;
     
     // Fast path for most common errors (avoid string operations when possible)
     if (message.includes('network')) return 'NETWORK_ERROR';
@@ -0,0 +1,722 @@
+/**
+ * Project Service
+ * Repository layer for the projects table with Supabase and localStorage mock backends
+ */
+
+import { supabase, TABLES } from '../config/supabase.js';
+import { authService } from './authService.js';
+import { LocalTableStore, sortRows, paginateRows, generateId } from './localTableStore.js';
+import { runLoggedQuery } from './queryRunner.js';
+import { offlineOutbox, OUTBOX_ENTITIES, OUTBOX_ACTIONS } from './offlineOutbox.js';
+import { PROJECT_ROLES, isValidRole, canManageRole } from '../utils/permissions.js';
+
+/**
+ * @typedef {Object} Project
+ * @property {string} id
+ * @property {string} name
+ * @property {string|null} description
+ * @property {string} owner_id
+ * @property {string} status - 'active' | 'archived' | 'completed'
+ * @property {string|null} start_date
+ * @property {string|null} end_date
+ * @property {string} color - Hex color, e.g. '#2EAFC4'
+ * @property {string} template - 'general' | 'software' | 'marketing' | 'design'
+ * @property {Object} settings
+ * @property {string} created_at
+ * @property {string} updated_at
+ */
+
+/**
+ * @typedef {Object} PaginatedResult
+ * @property {Array<Object>} data - Rows in the requested page
+ * @property {number} count - Total rows matching the filters
+ * @property {number} page - 1-based page number
+ * @property {number} pageSize - Rows per page
+ * @property {number} totalPages - Number of pages
+ */
+
+/**
+ * Project status constants
+ */
+export const PROJECT_STATUS = {
+  ACTIVE: 'active',
+  ARCHIVED: 'archived',
+  COMPLETED: 'completed'
+};
+
+/**
+ * Project template constants
+ */
+export const PROJECT_TEMPLATES = {
+  GENERAL: 'general',
+  SOFTWARE: 'software',
+  MARKETING: 'marketing',
+  DESIGN: 'design'
+};
+
+/**
+ * Project membership status constants (matches project_members.status in the schema)
+ */
+export const MEMBER_STATUS = {
+  ACTIVE: 'active',
+  PENDING: 'pending',
+  DECLINED: 'declined'
+};
+
+const PROJECT_DEFAULTS = {
+  description: null,
+  status: PROJECT_STATUS.ACTIVE,
+  start_date: null,
+  end_date: null,
+  color: '#2EAFC4',
+  template: PROJECT_TEMPLATES.GENERAL,
+  settings: {}
+};
+
+const SORTABLE_COLUMNS = ['name', 'status', 'start_date', 'end_date', 'created_at', 'updated_at'];
+
+/**
+ * ProjectService class for reading and writing projects
+ */
+export class ProjectService {
+  constructor() {
+    this.isSupabaseEnabled = !!supabase;
+    this.projectStore = new LocalTableStore(TABLES.PROJECTS);
+    this.memberStore = new LocalTableStore(TABLES.PROJECT_MEMBERS, {
+      trackUpdates: false,
+      createdColumn: 'joined_at'
+    });
+    this.defaultPageSize = 20;
+
+    offlineOutbox.registerHandler(OUTBOX_ENTITIES.PROJECT, {
+      get: projectId => this.getProject(projectId),
+      create: entry => this.insertProject(entry.values),
+      update: entry => this.applyProjectUpdate(entry.recordId, entry.values),
+      delete: entry => this.removeProject(entry.recordId)
+    });
+  }
+
+  /**
+   * Get the id of the authenticated user
+   * @returns {string} User id
+   */
+  getCurrentUserId() {
+    const user = authService.getCurrentUser();
+    if (!user?.id) {
+      throw new Error('Debes iniciar sesión para gestionar proyectos');
+    }
+    return user.id;
+  }
+
+  /**
+   * List the projects the current user owns or is a member of
+   * @param {Object} options - Query options
+   * @param {string} options.status - Filter by status
+   * @param {string} options.template - Filter by template
+   * @param {string} options.search - Case-insensitive match on name
+   * @param {string} options.orderBy - Column to sort by
+   * @param {boolean} options.ascending - Sort direction
+   * @param {number} options.page - 1-based page number
+   * @param {number} options.pageSize - Rows per page
+   * @returns {Promise<PaginatedResult>} Projects page
+   */
+  async listProjects(options = {}) {
+    const {
+      status = null,
+      template = null,
+      search = null,
+      orderBy = 'updated_at',
+      ascending = false,
+      page = 1,
+      pageSize = this.defaultPageSize
+    } = options;
+
+    const sortColumn = SORTABLE_COLUMNS.includes(orderBy) ? orderBy : 'updated_at';
+    const userId = this.getCurrentUserId();
+
+    return this.runQuery('list_projects', { status, template, page }, async () => {
+      if (this.isSupabaseEnabled) {
+        const from = (page - 1) * pageSize;
+        let query = supabase
+          .from(TABLES.PROJECTS)
+          .select('*', { count: 'exact' });
+
+        if (status) query = query.eq('status', status);
+        if (template) query = query.eq('template', template);
+        if (search) query = query.ilike('name', `%${search}%`);
+
+        const { data, error, count } = await query
+          .order(sortColumn, { ascending })
+          .range(from, from + pageSize - 1);
+
+        if (error) {
+          throw new Error(error.message);
+        }
+
+        offlineOutbox.remember(OUTBOX_ENTITIES.PROJECT, data || []);
+        return {
+          data: data || [],
+          count: count ?? (data || []).length,
+          page,
+          pageSize,
+          totalPages: Math.max(1, Math.ceil((count ?? 0) / pageSize))
+        };
+      }
+
+      // RLS equivalent: owner or member
+      const memberProjectIds = new Set(
+        this.memberStore.where(member => member.user_id === userId).map(member => member.project_id)
+      );
+      const searchTerm = search ? search.toLowerCase() : null;
+
+      const rows = this.projectStore.where(project =>
+        (project.owner_id === userId || memberProjectIds.has(project.id)) &&
+        (!status || project.status === status) &&
+        (!template || project.template === template) &&
+        (!searchTerm || project.name.toLowerCase().includes(searchTerm))
+      );
+
+      return paginateRows(sortRows(rows, sortColumn, ascending), page, pageSize);
+    });
+  }
+
+  /**
+   * Get a project by id
+   * @param {string} projectId - Project id
+   * @returns {Promise<Project|null>} Project or null when not found
+   */
+  async getProject(projectId) {
+    return this.runQuery('get_project', { projectId }, async () => {
+      if (this.isSupabaseEnabled) {
+        const { data, error } = await supabase
+          .from(TABLES.PROJECTS)
+          .select('*')
+          .eq('id', projectId)
+          .single();
+
+        if (error) {
+          if (error.code === 'PGRST116') return null;
+          throw new Error(error.message);
+        }
+        offlineOutbox.remember(OUTBOX_ENTITIES.PROJECT, data);
+        return data;
+      }
+
+      return this.projectStore.findById(projectId);
+    });
+  }
+
+  /**
+   * Create a project owned by the current user
+   * @param {Object} values - Project values (name is required)
+   * @returns {Promise<Project>} Created project
+   */
+  async createProject(values = {}) {
+    const validationError = this.validateProject(values, { requireName: true });
+    if (validationError) {
+      throw new Error(validationError);
+    }
+
+    const ownerId = this.getCurrentUserId();
+    const row = {
+      ...PROJECT_DEFAULTS,
+      ...this.pickProjectColumns(values),
+      name: values.name.trim(),
+      owner_id: ownerId
+    };
+    if (this.isSupabaseEnabled) {
+      // Generated here so a create queued offline keeps its id when it is replayed
+      row.id = generateId();
+    }
+
+    return this.runMutation({
+      entity: OUTBOX_ENTITIES.PROJECT,
+      action: OUTBOX_ACTIONS.CREATE,
+      recordId: row.id,
+      projectId: row.id,
+      values: row,
+      label: row.name
+    }, () => this.insertProject(row));
+  }
+
+  /**
+   * Insert a project row and register its owner as a member
+   * @param {Object} row - Row values
+   * @returns {Promise<Project>} Created project
+   */
+  async insertProject(row) {
+    const ownerId = row.owner_id;
+    return this.runQuery('create_project', { template: row.template }, async () => {
+      if (this.isSupabaseEnabled) {
+        const { data, error } = await supabase
+          .from(TABLES.PROJECTS)
+          .insert(row)
+          .select()
+          .single();
+
+        if (error) {
+          throw new Error(error.message);
+        }
+
+        const { error: memberError } = await supabase
+          .from(TABLES.PROJECT_MEMBERS)
+          .insert({ project_id: data.id, user_id: ownerId, role: PROJECT_ROLES.OWNER });
+
+        if (memberError) {
+          console.warn('Error registering project owner as member:', memberError);
+        }
+
+        return data;
+      }
+
+      const project = this.projectStore.insert(row);
+      this.memberStore.insert({
+        project_id: project.id,
+        user_id: ownerId,
+        role: PROJECT_ROLES.OWNER,
+        permissions: {},
+        status: MEMBER_STATUS.ACTIVE
+      });
+      return project;
+    });
+  }
+
+  /**
+   * Update a project
+   * @param {string} projectId - Project id
+   * @param {Object} changes - Column values to change
+   * @returns {Promise<Project>} Updated project
+   */
+  async updateProject(projectId, changes = {}) {
+    const validationError = this.validateProject(changes);
+    if (validationError) {
+      throw new Error(validationError);
+    }
+
+    const updates = this.pickProjectColumns(changes);
+    if (typeof updates.name === 'string') {
+      updates.name = updates.name.trim();
+    }
+
+    return this.runMutation({
+      entity: OUTBOX_ENTITIES.PROJECT,
+      action: OUTBOX_ACTIONS.UPDATE,
+      recordId: projectId,
+      projectId,
+      values: updates,
+      label: updates.name
+    }, () => this.applyProjectUpdate(projectId, updates));
+  }
+
+  /**
+   * Write validated changes to a project
+   * @param {string} projectId - Project id
+   * @param {Object} updates - Writable columns
+   * @returns {Promise<Project>} Updated project
+   */
+  async applyProjectUpdate(projectId, updates) {
+    return this.runQuery('update_project', { projectId }, async () => {
+      if (this.isSupabaseEnabled) {
+        const { data, error } = await supabase
+          .from(TABLES.PROJECTS)
+          .update(updates)
+          .eq('id', projectId)
+          .select()
+          .single();
+
+        if (error) {
+          throw new Error(error.message);
+        }
+        return data;
+      }
+
+      const project = this.projectStore.update(projectId, updates);
+      if (!project) {
+        throw new Error('Proyecto no encontrado');
+      }
+      return project;
+    });
+  }
+
+  /**
+   * Delete a project and, like ON DELETE CASCADE, its dependent rows
+   * @param {string} projectId - Project id
+   * @returns {Promise<boolean>} Whether the project was deleted
+   */
+  async deleteProject(projectId) {
+    return this.runMutation({
+      entity: OUTBOX_ENTITIES.PROJECT,
+      action: OUTBOX_ACTIONS.DELETE,
+      recordId: projectId,
+      projectId
+    }, () => this.removeProject(projectId));
+  }
+
+  /**
+   * Delete a project row; the mock backend also removes its dependent rows
+   * @param {string} projectId - Project id
+   * @returns {Promise<boolean>} Whether the project was deleted
+   */
+  async removeProject(projectId) {
+    return this.runQuery('delete_project', { projectId }, async () => {
+      if (this.isSupabaseEnabled) {
+        const { error } = await supabase
+          .from(TABLES.PROJECTS)
+          .delete()
+          .eq('id', projectId);
+
+        if (error) {
+          throw new Error(error.message);
+        }
+        return true;
+      }
+
+      const removed = this.projectStore.remove(projectId);
+      if (removed) {
+        const belongsToProject = row => row.project_id === projectId;
+        this.memberStore.removeWhere(belongsToProject);
+        new LocalTableStore(TABLES.TASKS).removeWhere(belongsToProject);
+        new LocalTableStore(TABLES.CHAT_MESSAGES, { trackUpdates: false }).removeWhere(belongsToProject);
+        new LocalTableStore(TABLES.USER_ANALYTICS, { trackUpdates: false }).removeWhere(belongsToProject);
+        new LocalTableStore(TABLES.TASK_EVENTS, { trackUpdates: false }).removeWhere(belongsToProject);
+      }
+      return removed;
+    });
+  }
+
+  /**
+   * List the active members of a project with their user profiles (invitations are excluded)
+   * @param {string} projectId - Project id
+   * @returns {Promise<Array<Object>>} Members as { user_id, role, permissions, joined_at, user: { id, name, email, avatar_url } }
+   */
+  async listMembers(projectId) {
+    return this.runQuery('list_members', { projectId }, async () => {
+      if (this.isSupabaseEnabled) {
+        const { data, error } = await supabase
+          .from(TABLES.PROJECT_MEMBERS)
+          .select('user_id, role, permissions, joined_at, user:users(id, name, email, avatar_url)')
+          .eq('project_id', projectId)
+          .eq('status', MEMBER_STATUS.ACTIVE)
+          .order('joined_at', { ascending: true });
+
+        if (error) {
+          throw new Error(error.message);
+        }
+        return data || [];
+      }
+
+      const users = new LocalTableStore(TABLES.USERS);
+      const currentUser = authService.getCurrentUser();
+
+      return sortRows(this.memberStore.where(member =>
+        member.project_id === projectId && this.isActiveMember(member)
+      ), 'joined_at', true)
+        .map(member => {
+          let user = users.findById(member.user_id);
+          if (!user && currentUser?.id === member.user_id) {
+            user = {
+              id: currentUser.id,
+              name: currentUser.user_metadata?.name || currentUser.name || currentUser.email,
+              email: currentUser.email,
+              avatar_url: currentUser.user_metadata?.avatar_url || null
+            };
+          }
+          return {
+            user_id: member.user_id,
+            role: member.role,
+            permissions: member.permissions || {},
+            joined_at: member.joined_at,
+            user: user || { id: member.user_id, name: member.user_id, email: null, avatar_url: null }
+          };
+        });
+    });
+  }
+
+  /**
+   * Get a user's active membership in a project
+   * The project owner counts as 'owner' even if their member row is missing
+   * @param {string} projectId - Project id
+   * @param {string} userId - User id (defaults to the current user)
+   * @returns {Promise<{ role: string, permissions: Object }|null>} Membership or null when not a member
+   */
+  async getMembership(projectId, userId = null) {
+    const memberId = userId || this.getCurrentUserId();
+
+    return this.runQuery('get_membership', { projectId }, async () => {
+      let member = null;
+      let project = null;
+
+      if (this.isSupabaseEnabled) {
+        const { data, error } = await supabase
+          .from(TABLES.PROJECT_MEMBERS)
+          .select('role, permissions')
+          .eq('project_id', projectId)
+          .eq('user_id', memberId)
+          .eq('status', MEMBER_STATUS.ACTIVE)
+          .maybeSingle();
+
+        if (error) {
+          throw new Error(error.message);
+        }
+        member = data;
+
+        if (!member) {
+          const { data: owned, error: projectError } = await supabase
+            .from(TABLES.PROJECTS)
+            .select('owner_id')
+            .eq('id', projectId)
+            .maybeSingle();
+
+          if (projectError) {
+            throw new Error(projectError.message);
+          }
+          project = owned;
+        }
+      } else {
+        member = this.findMemberRow(projectId, memberId);
+        project = member ? null : this.projectStore.findById(projectId);
+      }
+
+      if (member) {
+        return { role: member.role, permissions: member.permissions || {} };
+      }
+      return project?.owner_id === memberId ? { role: PROJECT_ROLES.OWNER, permissions: {} } : null;
+    });
+  }
+
+  /**
+   * Change the role of a member
+   * Owners manage everyone else and admins manage members and viewers, as in the RLS policies
+   * @param {string} projectId - Project id
+   * @param {string} userId - Member user id
+   * @param {string} role - New role (ownership moves through transferOwnership)
+   * @returns {Promise<Object>} Updated member row
+   */
+  async updateMemberRole(projectId, userId, role) {
+    if (role === PROJECT_ROLES.OWNER) {
+      throw new Error('Para cambiar de propietario usa la transferencia de propiedad');
+    }
+    if (!isValidRole(role)) {
+      throw new Error(`Rol no válido: ${role}`);
+    }
+
+    const [actor, target] = await Promise.all([
+      this.getMembership(projectId),
+      this.getMembership(projectId, userId)
+    ]);
+
+    if (!target) {
+      throw new Error('Miembro no encontrado');
+    }
+    if (!canManageRole(actor?.role, target.role) || !canManageRole(actor?.role, role)) {
+      throw new Error('No tienes permiso para cambiar el rol de este miembro');
+    }
+
+    return this.runQuery('update_member_role', { projectId, role }, async () => {
+      if (this.isSupabaseEnabled) {
+        const { data, error } = await supabase
+          .from(TABLES.PROJECT_MEMBERS)
+          .update({ role })
+          .eq('project_id', projectId)
+          .eq('user_id', userId)
+          .select()
+          .single();
+
+        if (error) {
+          throw new Error(error.message);
+        }
+        return data;
+      }
+
+      return this.memberStore.update(this.findMemberRow(projectId, userId).id, { role });
+    });
+  }
+
+  /**
+   * Remove a member from a project, or leave it when userId is the current user
+   * @param {string} projectId - Project id
+   * @param {string} userId - Member user id
+   * @returns {Promise<boolean>} Whether the member was removed
+   */
+  async removeMember(projectId, userId) {
+    const currentUserId = this.getCurrentUserId();
+    const target = await this.getMembership(projectId, userId);
+
+    if (!target) {
+      throw new Error('Miembro no encontrado');
+    }
+    if (target.role === PROJECT_ROLES.OWNER) {
+      throw new Error('El propietario no puede abandonar el proyecto sin transferirlo antes');
+    }
+    if (userId !== currentUserId) {
+      const actor = await this.getMembership(projectId);
+      if (!canManageRole(actor?.role, target.role)) {
+        throw new Error('No tienes permiso para eliminar a este miembro');
+      }
+    }
+
+    return this.runQuery('remove_member', { projectId, self: userId === currentUserId }, async () => {
+      if (this.isSupabaseEnabled) {
+        const { error } = await supabase
+          .from(TABLES.PROJECT_MEMBERS)
+          .delete()
+          .eq('project_id', projectId)
+          .eq('user_id', userId);
+
+        if (error) {
+          throw new Error(error.message);
+        }
+        return true;
+      }
+
+      return this.memberStore.removeWhere(member =>
+        member.project_id === projectId && member.user_id === userId
+      ) > 0;
+    });
+  }
+
+  /**
+   * Hand the project to another active member; the current owner becomes an admin
+   * @param {string} projectId - Project id
+   * @param {string} newOwnerId - User id of the new owner
+   * @returns {Promise<boolean>} Whether ownership moved
+   */
+  async transferOwnership(projectId, newOwnerId) {
+    const currentUserId = this.getCurrentUserId();
+    if (newOwnerId === currentUserId) {
+      throw new Error('Ya eres el propietario del proyecto');
+    }
+
+    return this.runQuery('transfer_ownership', { projectId }, async () => {
+      if (this.isSupabaseEnabled) {
+        const { error } = await supabase.rpc('transfer_project_ownership', {
+          target_project_id: projectId,
+          new_owner_id: newOwnerId
+        });
+
+        if (error) {
+          throw new Error(error.message);
+        }
+        return true;
+      }
+
+      const project = this.projectStore.findById(projectId);
+      if (!project || project.owner_id !== currentUserId) {
+        throw new Error('Solo el propietario puede transferir el proyecto');
+      }
+
+      const newOwner = this.findMemberRow(projectId, newOwnerId);
+      if (!newOwner) {
+        throw new Error('El nuevo propietario debe ser miembro activo del proyecto');
+      }
+
+      this.memberStore.update(newOwner.id, { role: PROJECT_ROLES.OWNER });
+      const previousOwner = this.findMemberRow(projectId, currentUserId);
+      if (previousOwner) {
+        this.memberStore.update(previousOwner.id, { role: PROJECT_ROLES.ADMIN });
+      }
+      this.projectStore.update(projectId, { owner_id: newOwnerId });
+      return true;
+    });
+  }
+
+  /**
+   * Find the active member row of a user in the mock store
+   * @param {string} projectId - Project id
+   * @param {string} userId - User id
+   * @returns {Object|null} Member row
+   */
+  findMemberRow(projectId, userId) {
+    return this.memberStore.where(member =>
+      member.project_id === projectId && member.user_id === userId && this.isActiveMember(member)
+    )[0] || null;
+  }
+
+  /**
+   * Whether a member row is an active membership (rows created before invitations have no status)
+   * @param {Object} member - Member row
+   * @returns {boolean} Whether it is active
+   */
+  isActiveMember(member) {
+    return (member.status || MEMBER_STATUS.ACTIVE) === MEMBER_STATUS.ACTIVE;
+  }
+
+  /**
+   * Archive a project
+   * @param {string} projectId - Project id
+   * @returns {Promise<Project>} Updated project
+   */
+  async archiveProject(projectId) {
+    return this.updateProject(projectId, { status: PROJECT_STATUS.ARCHIVED });
+  }
+
+  /**
+   * Validate project values
+   * @param {Object} values - Project values
+   * @param {Object} options - Validation options
+   * @returns {string|null} Error message or null when valid
+   */
+  validateProject(values, options = {}) {
+    const { requireName = false } = options;
+
+    if (requireName || values.name !== undefined) {
+      if (typeof values.name !== 'string' || !values.name.trim()) {
+        return 'El nombre del proyecto es obligatorio';
+      }
+      if (values.name.trim().length > 255) {
+        return 'El nombre del proyecto no puede superar 255 caracteres';
+      }
+    }
+
+    if (values.status !== undefined && !Object.values(PROJECT_STATUS).includes(values.status)) {
+      return `Estado de proyecto no válido: ${values.status}`;
+    }
+
+    if (values.color !== undefined && !/^#[0-9A-Fa-f]{6}$/.test(values.color)) {
+      return `Color de proyecto no válido: ${values.color}`;
+    }
+
+    if (values.start_date && values.end_date && new Date(values.end_date) < new Date(values.start_date)) {
+      return 'La fecha de fin no puede ser anterior a la fecha de inicio';
+    }
+
+    return null;
+  }
+
+  /**
+   * Keep only writable project columns
+   * @param {Object} values - Arbitrary values
+   * @returns {Object} Writable columns
+   */
+  pickProjectColumns(values) {
+    const writable = ['name', 'description', 'status', 'start_date', 'end_date', 'color', 'template', 'settings'];
+    return Object.fromEntries(
+      Object.entries(values).filter(([key, value]) => writable.includes(key) && value !== undefined)
+    );
+  }
+
+  /**
+   * Run a query through the shared logged runner
+   * @param {string} operation - Operation name
+   * @param {Object} context - Log context
+   * @param {Function} fn - Async query
+   * @returns {Promise<any>} Query result
+   */
+  runQuery(operation, context, fn) {
+    return runLoggedQuery(operation, context, fn, this.isSupabaseEnabled);
+  }
+
+  /**
+   * Run a mutation, keeping it in the offline outbox while Supabase can't be reached
+   * @param {import('./offlineOutbox.js').OutboxMutation} mutation - Mutation description
+   * @param {Function} execute - Sends the mutation now
+   * @returns {Promise<any>} Mutation result, or its optimistic result when queued
+   */
+  runMutation(mutation, execute) {
+    return this.isSupabaseEnabled ? offlineOutbox.run(mutation, execute) : execute();
+  }
+}
+
+// Create singleton instance
+export const projectService = new ProjectService();
+export default projectService;
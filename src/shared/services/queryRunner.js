@@ -0,0 +1,38 @@
+/**
+ * Query Runner
+ * Shared wrapper for data service queries that records duration and failures
+ * through errorLogger, tagged with the backend in use
+ */
+
+import errorLogger from './errorLogger.js';
+
+/**
+ * Run a data query, logging failures and duration
+ * @param {string} operation - Operation name
+ * @param {Object} context - Log context
+ * @param {Function} fn - Async query
+ * @param {boolean} isSupabaseEnabled - Whether the query hits Supabase or the mock store
+ * @returns {Promise<any>} Query result
+ */
+export async function runLoggedQuery(operation, context, fn, isSupabaseEnabled) {
+  const startTime = Date.now();
+  const provider = isSupabaseEnabled ? 'supabase' : 'mock';
+
+  try {
+    const result = await fn();
+    errorLogger.logPerformanceMetric(operation, Date.now() - startTime, true, {
+      ...context,
+      provider
+    });
+    return result;
+  } catch (error) {
+    errorLogger.logError(error, {
+      operation,
+      ...context,
+      provider
+    }, errorLogger.SEVERITY_LEVELS.MEDIUM);
+    throw error;
+  }
+}
+
+export default runLoggedQuery;
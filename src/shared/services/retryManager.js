@@ -5,6 +5,7 @@
 
 import { AUTH_ERROR_TYPES } from './authErrorHandler.js';
 import performanceOptimizer from './performanceOptimizer.js';
+import { tracer } from './tracing.js';
 
 // Default retry configuration for different error types
 const DEFAULT_RETRY_CONFIG = {
@@ -88,9 +89,35 @@ export class RetryManager {
    * @param {Function} fn - The async function to execute
    * @param {string} errorType - The error type for retry configuration
    * @param {Object} options - Additional options
+   * @param {number} options.maxRetries - Override the configured retries
+   * @param {Function} options.shouldRetry - Return false to stop retrying after an error
    * @returns {Promise<any>} - Result of the function execution
    */
   async executeWithRetry(fn, errorType = AUTH_ERROR_TYPES.UNKNOWN_ERROR, options = {}) {
+    // Traced as a child of the operation running the retries; outside one there is nothing to attach to
+    if (!tracer.getActiveSpan()) {
+      return this.runWithRetry(fn, errorType, options, null);
+    }
+
+    return tracer.withSpan('auth.retry', { attributes: { 'retry.error_type': errorType } }, async span => {
+      const outcome = await this.runWithRetry(fn, errorType, options, span);
+      span.setAttribute('retry.attempts', outcome.totalAttempts);
+      if (!outcome.success) {
+        span.recordException(outcome.error);
+      }
+      return outcome;
+    });
+  }
+
+  /**
+   * Retry loop behind executeWithRetry
+   * @param {Function} fn - The async function to execute
+   * @param {string} errorType - The error type for retry configuration
+   * @param {Object} options - Additional options
+   * @param {Span|null} span - Span that records each failed attempt
+   * @returns {Promise<Object>} - Result of the function execution
+   */
+  async runWithRetry(fn, errorType, options, span) {
     const startTime = Date.now();
     const config = this.getRetryConfig(errorType);
     const maxRetries = options.maxRetries ?? config.maxRetries;
@@ -128,8 +155,8 @@ export class RetryManager {
         const attemptDuration = Date.now() - attemptStartTime;
         totalElapsedMs += attemptDuration;
 
-        // If this was the last attempt, break
-        if (attemptCount > maxRetries) {
+        // If this was the last attempt, or the error is not worth retrying, break
+        if (attemptCount > maxRetries || (options.shouldRetry && !options.shouldRetry(error))) {
           break;
         }
 
@@ -147,6 +174,11 @@ export class RetryManager {
 
         // Use optimized delay (prefer performance optimizer over traditional calculation)
         const delay = optimizedRetryInfo.delay || this.calculateDelay(errorType, attemptCount);
+        span?.addEvent('retry.attempt_failed', {
+          'retry.attempt': attemptCount,
+          'retry.delay_ms': delay,
+          'exception.message': error?.message
+        });
         
         // Wait before retrying
         if (delay > 0) {
@@ -0,0 +1,317 @@
+/**
+ * Session Service
+ * The signed-in user's active sessions (one per device or browser), revoking them, and the
+ * idle timeout that signs the user out after a period without activity in any tab
+ */
+
+import { supabase } from '../config/supabase.js';
+import { authService } from './authService.js';
+import { authChannel, AUTH_CHANNEL_EVENTS } from './authChannel.js';
+import { generateId } from './localTableStore.js';
+import { runLoggedQuery } from './queryRunner.js';
+import { parseUserAgent } from '../utils/userAgent.js';
+
+/**
+ * @typedef {Object} ActiveSession
+ * @property {string} id
+ * @property {string|null} browser
+ * @property {string|null} browserVersion
+ * @property {string|null} os
+ * @property {string} deviceType - One of DEVICE_TYPES
+ * @property {string|null} ip
+ * @property {string} createdAt
+ * @property {string} lastActiveAt
+ * @property {boolean} current - Whether it is this browser's session
+ */
+
+/**
+ * Idle timeouts offered in the account preferences, in minutes (0 turns it off)
+ */
+export const IDLE_TIMEOUT_OPTIONS = [0, 15, 30, 60, 240];
+
+const IDLE_CHECK_INTERVAL_MS = 30 * 1000;
+// Activity is shared through localStorage; writing it on every mouse move would be wasteful
+const ACTIVITY_WRITE_INTERVAL_MS = 15 * 1000;
+const ACTIVITY_EVENTS = ['pointerdown', 'pointermove', 'keydown', 'scroll', 'touchstart'];
+
+const LAST_ACTIVITY_STORAGE_KEY = 'kairon_last_activity';
+const MOCK_SESSIONS_STORAGE_KEY = 'kairon_mock_sessions';
+const MOCK_SESSION_ID_STORAGE_KEY = 'kairon_mock_session_id';
+
+/**
+ * SessionService class for active sessions and the idle timeout
+ */
+export class SessionService {
+  constructor() {
+    this.isSupabaseEnabled = !!supabase;
+    this.idleTimeoutMs = 0;
+    this.idleTimer = null;
+    this.lastActivityWrite = 0;
+
+    this.handleActivity = () => this.recordActivity();
+    this.handleVisibilityChange = () => {
+      // Background tabs throttle timers; check as soon as the tab is back
+      if (document.visibilityState === 'visible') this.checkIdle();
+    };
+
+    authChannel.subscribe((message, { remote }) => {
+      if (message.type === AUTH_CHANNEL_EVENTS.SIGNED_OUT) {
+        this.stopIdleTimeout();
+        if (!remote && !this.isSupabaseEnabled) this.endMockSession(message.userId);
+      } else if (message.type === AUTH_CHANNEL_EVENTS.SIGNED_IN && !remote && !this.isSupabaseEnabled) {
+        this.startMockSession(message.userId);
+      }
+    });
+  }
+
+  /**
+   * List the user's active sessions, this browser's first
+   * With Supabase, last activity is when the session last refreshed its token (about hourly)
+   * @returns {Promise<Array<ActiveSession>>} Sessions
+   */
+  async listSessions() {
+    const user = this.getCurrentUser();
+
+    const sessions = await runLoggedQuery('list_sessions', {}, async () => {
+      if (this.isSupabaseEnabled) {
+        const { data, error } = await supabase.rpc('list_user_sessions');
+        if (error) {
+          throw new Error(error.message);
+        }
+
+        const currentId = this.getCurrentSessionId();
+        return (data || []).map(row => this.toSession({
+          id: row.id,
+          userAgent: row.user_agent,
+          ip: row.ip,
+          createdAt: row.created_at,
+          lastActiveAt: row.last_active_at
+        }, currentId));
+      }
+
+      const currentId = this.ensureMockSession(user.id);
+      return this.getMockSessions(user.id).map(session => this.toSession(session, currentId));
+    }, this.isSupabaseEnabled);
+
+    return sessions.sort((a, b) => (b.current - a.current) || (new Date(b.lastActiveAt) - new Date(a.lastActiveAt)));
+  }
+
+  /**
+   * Sign out another device
+   * The device keeps access until its current access token expires (at most an hour), as
+   * Supabase only checks revoked sessions when the token is refreshed
+   * @param {string} sessionId - Session to revoke
+   * @returns {Promise<boolean>} True once revoked
+   */
+  async revokeSession(sessionId) {
+    const user = this.getCurrentUser();
+    if (sessionId === this.getCurrentSessionId()) {
+      throw new Error('Usa "Cerrar sesión" para salir en este dispositivo');
+    }
+
+    return runLoggedQuery('revoke_session', { sessionId }, async () => {
+      if (this.isSupabaseEnabled) {
+        const { data, error } = await supabase.rpc('revoke_user_session', { target_session_id: sessionId });
+        if (error) {
+          throw new Error(error.message);
+        }
+        if (!data) {
+          throw new Error('La sesión ya no existe');
+        }
+        return true;
+      }
+
+      const sessions = this.getMockSessions(user.id);
+      if (!sessions.some(session => session.id === sessionId)) {
+        throw new Error('La sesión ya no existe');
+      }
+      this.saveMockSessions(user.id, sessions.filter(session => session.id !== sessionId));
+      return true;
+    }, this.isSupabaseEnabled);
+  }
+
+  /**
+   * Sign out every device except this one
+   * @returns {Promise<boolean>} True once revoked
+   */
+  async revokeOtherSessions() {
+    const user = this.getCurrentUser();
+
+    return runLoggedQuery('revoke_other_sessions', {}, async () => {
+      if (this.isSupabaseEnabled) {
+        const { error } = await supabase.auth.signOut({ scope: 'others' });
+        if (error) {
+          throw new Error(error.message);
+        }
+        return true;
+      }
+
+      const currentId = this.ensureMockSession(user.id);
+      this.saveMockSessions(user.id, this.getMockSessions(user.id).filter(session => session.id === currentId));
+      return true;
+    }, this.isSupabaseEnabled);
+  }
+
+  /**
+   * Id of this browser's session; with Supabase it is the session_id claim of the access token
+   * @returns {string|null} Session id
+   */
+  getCurrentSessionId() {
+    if (!this.isSupabaseEnabled) {
+      return localStorage.getItem(MOCK_SESSION_ID_STORAGE_KEY);
+    }
+
+    const token = authService.session?.access_token;
+    if (!token) return null;
+
+    try {
+      const payload = token.split('.')[1].replace(/-/g, '+').replace(/_/g, '/');
+      return JSON.parse(atob(payload)).session_id || null;
+    } catch (error) {
+      console.warn('Error reading session id from access token:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Sign the user out after `minutes` without activity in any tab of the app
+   * Calling it again replaces the previous timeout; 0 or null turns it off
+   * @param {number} minutes - Idle timeout in minutes
+   */
+  startIdleTimeout(minutes) {
+    this.stopIdleTimeout();
+    if (!minutes || minutes <= 0) return;
+
+    this.idleTimeoutMs = minutes * 60 * 1000;
+    this.recordActivity(true);
+
+    ACTIVITY_EVENTS.forEach(type => window.addEventListener(type, this.handleActivity, { passive: true }));
+    document.addEventListener('visibilitychange', this.handleVisibilityChange);
+    this.idleTimer = setInterval(() => this.checkIdle(), IDLE_CHECK_INTERVAL_MS);
+  }
+
+  stopIdleTimeout() {
+    if (!this.idleTimer) return;
+
+    clearInterval(this.idleTimer);
+    this.idleTimer = null;
+    this.idleTimeoutMs = 0;
+    ACTIVITY_EVENTS.forEach(type => window.removeEventListener(type, this.handleActivity));
+    document.removeEventListener('visibilitychange', this.handleVisibilityChange);
+  }
+
+  /**
+   * @param {boolean} force - Write even if activity was written recently
+   */
+  recordActivity(force = false) {
+    const now = Date.now();
+    if (!force && now - this.lastActivityWrite < ACTIVITY_WRITE_INTERVAL_MS) return;
+
+    this.lastActivityWrite = now;
+    localStorage.setItem(LAST_ACTIVITY_STORAGE_KEY, String(now));
+  }
+
+  /**
+   * Sign out once the last activity recorded by any tab is older than the timeout
+   * @returns {Promise<boolean>} Whether the user was signed out
+   */
+  async checkIdle() {
+    if (!this.idleTimeoutMs) return false;
+
+    const lastActivity = Number(localStorage.getItem(LAST_ACTIVITY_STORAGE_KEY)) || this.lastActivityWrite;
+    if (Date.now() - lastActivity < this.idleTimeoutMs) return false;
+
+    this.stopIdleTimeout();
+    await authService.logout({ reason: 'idle' });
+    return true;
+  }
+
+  getCurrentUser() {
+    const user = authService.getCurrentUser();
+    if (!user?.id) {
+      throw new Error('Debes iniciar sesión para gestionar tus sesiones');
+    }
+    return user;
+  }
+
+  /**
+   * @param {Object} session - { id, userAgent, ip, createdAt, lastActiveAt }
+   * @param {string|null} currentId - This browser's session id
+   * @returns {ActiveSession} Session for display
+   */
+  toSession(session, currentId) {
+    return {
+      id: session.id,
+      ...parseUserAgent(session.userAgent),
+      ip: session.ip || null,
+      createdAt: session.createdAt,
+      lastActiveAt: session.lastActiveAt || session.createdAt,
+      current: session.id === currentId
+    };
+  }
+
+  /**
+   * Mock sessions live in this browser's localStorage: { [userId]: [{ id, userAgent, ip, createdAt, lastActiveAt }] }
+   * @param {string} userId - Mock user id
+   * @returns {string} Id of this browser's session
+   */
+  startMockSession(userId) {
+    const now = new Date().toISOString();
+    const session = { id: generateId(), userAgent: navigator.userAgent, ip: null, createdAt: now, lastActiveAt: now };
+
+    this.saveMockSessions(userId, [...this.getMockSessions(userId), session]);
+    localStorage.setItem(MOCK_SESSION_ID_STORAGE_KEY, session.id);
+    return session.id;
+  }
+
+  endMockSession(userId) {
+    const currentId = localStorage.getItem(MOCK_SESSION_ID_STORAGE_KEY);
+    localStorage.removeItem(MOCK_SESSION_ID_STORAGE_KEY);
+    if (userId && currentId) {
+      this.saveMockSessions(userId, this.getMockSessions(userId).filter(session => session.id !== currentId));
+    }
+  }
+
+  /**
+   * Register this browser's session if it predates session tracking, and mark it active now
+   * @param {string} userId - Mock user id
+   * @returns {string} Id of this browser's session
+   */
+  ensureMockSession(userId) {
+    const currentId = localStorage.getItem(MOCK_SESSION_ID_STORAGE_KEY);
+    const sessions = this.getMockSessions(userId);
+    if (!currentId || !sessions.some(session => session.id === currentId)) {
+      return this.startMockSession(userId);
+    }
+
+    const now = new Date().toISOString();
+    this.saveMockSessions(userId, sessions.map(session => (session.id === currentId ? { ...session, lastActiveAt: now } : session)));
+    return currentId;
+  }
+
+  getMockSessions(userId) {
+    try {
+      const stored = JSON.parse(localStorage.getItem(MOCK_SESSIONS_STORAGE_KEY)) || {};
+      return stored[userId] || [];
+    } catch (error) {
+      console.warn('Error reading mock sessions:', error);
+      return [];
+    }
+  }
+
+  saveMockSessions(userId, sessions) {
+    let stored;
+    try {
+      stored = JSON.parse(localStorage.getItem(MOCK_SESSIONS_STORAGE_KEY)) || {};
+    } catch (error) {
+      stored = {};
+    }
+
+    stored[userId] = sessions;
+    localStorage.setItem(MOCK_SESSIONS_STORAGE_KEY, JSON.stringify(stored));
+  }
+}
+
+// Create singleton instance
+export const sessionService = new SessionService();
+export default sessionService;
@@ -8,6 +8,8 @@ import { connectionMonitor } from './connectionMonitor.js';
 import { authErrorHandler, AUTH_ERROR_TYPES } from './authErrorHandler.js';
 import { UserFeedbackSystem } from './userFeedbackSystem.js';
 import errorLogger from './errorLogger.js';
+import i18n from '../utils/i18n.js';
+import { offlineOutbox, OUTBOX_SOURCES } from './offlineOutbox.js';
 
 /**
  * Service status constants
@@ -133,6 +135,9 @@ export class SupabaseUnavailableHandler {
     // Show appropriate user feedback
     this.showUnavailabilityMessage(errorType);
 
+    // Queue data mutations in the durable outbox until the service is back
+    offlineOutbox.setAvailable(OUTBOX_SOURCES.SERVICE, false);
+
     // Start retry monitoring
     this.startRetryMonitoring();
 
@@ -168,6 +173,10 @@ export class SupabaseUnavailableHandler {
     // Process queued operations
     this.processQueuedOperations();
 
+    // Replay data mutations queued while the service was unavailable
+    offlineOutbox.setAvailable(OUTBOX_SOURCES.SERVICE, true);
+    offlineOutbox.replay();
+
     // Stop retry monitoring
     this.stopRetryMonitoring();
 
@@ -215,13 +224,7 @@ export class SupabaseUnavailableHandler {
    * Show service restoration message
    */
   showRestorationMessage() {
-    const messages = {
-      es: "¡Servicio restaurado! Ya puedes continuar con normalidad.",
-      en: "Service restored! You can now continue normally."
-    };
-
-    const language = authErrorHandler.defaultLanguage || 'es';
-    const message = messages[language] || messages.es;
+    const message = i18n.t('connection:serviceRestored', {}, authErrorHandler.defaultLanguage);
 
     this.userFeedbackSystem.showSuccess(message, {
       duration: 5000,
@@ -289,6 +292,7 @@ export class SupabaseUnavailableHandler {
 
   /**
    * Queue an authentication operation for retry when service is restored
+   * Kept in memory only; task, project and chat mutations are persisted by offlineOutbox instead
    * @param {Function} operation - The operation to queue
    * @param {Object} context - Operation context
    * @returns {Promise} Promise that resolves when operation is executed or rejected
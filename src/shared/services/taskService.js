@@ -0,0 +1,803 @@
+/**
+ * Task Service
+ * Repository layer for the tasks table with Supabase and localStorage mock backends
+ * Supports filtering, pagination and position reordering within status columns
+ */
+
+import { supabase, TABLES } from '../config/supabase.js';
+import { authService } from './authService.js';
+import { LocalTableStore, sortRows, paginateRows, generateId } from './localTableStore.js';
+import { runLoggedQuery } from './queryRunner.js';
+import { offlineOutbox, OUTBOX_ENTITIES, OUTBOX_ACTIONS } from './offlineOutbox.js';
+import { chatService, SYSTEM_EVENTS } from './chatService.js';
+import { findDependencyCycle } from '../utils/taskSchedule.js';
+
+/**
+ * @typedef {Object} Task
+ * @property {string} id
+ * @property {string} title
+ * @property {string|null} description
+ * @property {string} project_id
+ * @property {string|null} assigned_to
+ * @property {string} created_by
+ * @property {string} status - One of TASK_STATUS
+ * @property {string} priority - One of TASK_PRIORITY
+ * @property {string|null} due_date
+ * @property {number|null} estimated_hours
+ * @property {number|null} actual_hours
+ * @property {Array<string>} tags
+ * @property {number} position - Order inside the status column
+ * @property {Array<string>} dependencies - Ids of tasks this task depends on
+ * @property {string} created_at
+ * @property {string} updated_at
+ */
+
+/**
+ * @typedef {Object} TaskFilters
+ * @property {string|Array<string>} status - Status or list of statuses
+ * @property {string|Array<string>} priority - Priority or list of priorities
+ * @property {string} assignedTo - Assignee user id ('unassigned' for none)
+ * @property {Array<string>} tags - Tasks must contain every tag
+ * @property {string} search - Case-insensitive match on title
+ * @property {string} dueBefore - ISO date, inclusive
+ * @property {string} dueAfter - ISO date, inclusive
+ */
+
+/**
+ * Task status constants (matches tasks.status in the schema)
+ */
+export const TASK_STATUS = {
+  TODO: 'todo',
+  IN_PROGRESS: 'in-progress',
+  IN_REVIEW: 'in-review',
+  DONE: 'done'
+};
+
+/**
+ * Task priority constants (matches tasks.priority in the schema)
+ */
+export const TASK_PRIORITY = {
+  LOW: 'low',
+  MEDIUM: 'medium',
+  HIGH: 'high',
+  URGENT: 'urgent'
+};
+
+const TASK_DEFAULTS = {
+  description: null,
+  assigned_to: null,
+  status: TASK_STATUS.TODO,
+  priority: TASK_PRIORITY.MEDIUM,
+  due_date: null,
+  estimated_hours: null,
+  actual_hours: null,
+  tags: [],
+  dependencies: []
+};
+
+const WRITABLE_COLUMNS = [
+  'title', 'description', 'assigned_to', 'status', 'priority', 'due_date',
+  'estimated_hours', 'actual_hours', 'tags', 'position', 'dependencies'
+];
+
+const SORTABLE_COLUMNS = ['position', 'title', 'priority', 'due_date', 'status', 'created_at', 'updated_at'];
+
+// Rows per request when reading every task of a project (PostgREST's default max-rows)
+const ALL_TASKS_PAGE_SIZE = 1000;
+
+/**
+ * TaskService class for reading and writing tasks
+ */
+export class TaskService {
+  constructor() {
+    this.isSupabaseEnabled = !!supabase;
+    this.taskStore = new LocalTableStore(TABLES.TASKS);
+    this.eventStore = new LocalTableStore(TABLES.TASK_EVENTS, { trackUpdates: false });
+    this.defaultPageSize = 50;
+
+    offlineOutbox.registerHandler(OUTBOX_ENTITIES.TASK, {
+      get: taskId => this.getTask(taskId),
+      create: entry => this.insertTask(entry.values),
+      update: entry => this.applyTaskUpdate(entry.recordId, entry.values),
+      delete: entry => this.removeTask(entry.recordId),
+      move: entry => this.applyTaskMove(entry.recordId, entry.values),
+      reorder: entry => this.applyReorder(entry.projectId, entry.values.status, entry.values.orderedIds)
+    });
+  }
+
+  /**
+   * Get the id of the authenticated user
+   * @returns {string} User id
+   */
+  getCurrentUserId() {
+    const user = authService.getCurrentUser();
+    if (!user?.id) {
+      throw new Error('Debes iniciar sesión para gestionar tareas');
+    }
+    return user.id;
+  }
+
+  /**
+   * List the tasks of a project
+   * @param {string} projectId - Project id
+   * @param {Object} options - Query options
+   * @param {TaskFilters} options.filters - Filters to apply
+   * @param {string} options.orderBy - Column to sort by
+   * @param {boolean} options.ascending - Sort direction
+   * @param {number} options.page - 1-based page number
+   * @param {number} options.pageSize - Rows per page
+   * @returns {Promise<import('./projectService.js').PaginatedResult>} Tasks page
+   */
+  async listTasks(projectId, options = {}) {
+    const {
+      filters = {},
+      orderBy = 'position',
+      ascending = true,
+      page = 1,
+      pageSize = this.defaultPageSize
+    } = options;
+
+    const sortColumn = SORTABLE_COLUMNS.includes(orderBy) ? orderBy : 'position';
+
+    return this.runQuery('list_tasks', { projectId, page }, async () => {
+      if (this.isSupabaseEnabled) {
+        const from = (page - 1) * pageSize;
+        let query = supabase
+          .from(TABLES.TASKS)
+          .select('*', { count: 'exact' })
+          .eq('project_id', projectId);
+
+        query = this.applySupabaseFilters(query, filters);
+
+        const { data, error, count } = await query
+          .order(sortColumn, { ascending })
+          .range(from, from + pageSize - 1);
+
+        if (error) {
+          throw new Error(error.message);
+        }
+
+        offlineOutbox.remember(OUTBOX_ENTITIES.TASK, data || []);
+        return {
+          data: data || [],
+          count: count ?? (data || []).length,
+          page,
+          pageSize,
+          totalPages: Math.max(1, Math.ceil((count ?? 0) / pageSize))
+        };
+      }
+
+      const rows = this.taskStore.where(task =>
+        task.project_id === projectId && this.matchesFilters(task, filters)
+      );
+
+      return paginateRows(sortRows(rows, sortColumn, ascending), page, pageSize);
+    });
+  }
+
+  /**
+   * Get every task of a project, requesting page after page
+   * @param {string} projectId - Project id
+   * @param {Object} options - listTasks options other than page and pageSize
+   * @returns {Promise<Array<Task>>} Tasks
+   */
+  async listAllTasks(projectId, options = {}) {
+    const tasks = [];
+    for (let page = 1; ; page++) {
+      const result = await this.listTasks(projectId, { ...options, page, pageSize: ALL_TASKS_PAGE_SIZE });
+      tasks.push(...result.data);
+      if (page >= result.totalPages) {
+        return tasks;
+      }
+    }
+  }
+
+  /**
+   * Get every task of a project grouped by status, ordered by position
+   * @param {string} projectId - Project id
+   * @returns {Promise<Object<string, Array<Task>>>} Tasks keyed by status
+   */
+  async getTasksByStatus(projectId) {
+    const columns = Object.fromEntries(Object.values(TASK_STATUS).map(status => [status, []]));
+    const tasks = await this.listAllTasks(projectId);
+
+    tasks.forEach(task => {
+      (columns[task.status] || columns[TASK_STATUS.TODO]).push(task);
+    });
+
+    return columns;
+  }
+
+  /**
+   * Get a task by id
+   * @param {string} taskId - Task id
+   * @returns {Promise<Task|null>} Task or null when not found
+   */
+  async getTask(taskId) {
+    return this.runQuery('get_task', { taskId }, async () => {
+      if (this.isSupabaseEnabled) {
+        const { data, error } = await supabase
+          .from(TABLES.TASKS)
+          .select('*')
+          .eq('id', taskId)
+          .single();
+
+        if (error) {
+          if (error.code === 'PGRST116') return null;
+          throw new Error(error.message);
+        }
+        offlineOutbox.remember(OUTBOX_ENTITIES.TASK, data);
+        return data;
+      }
+
+      return this.taskStore.findById(taskId);
+    });
+  }
+
+  /**
+   * Create a task at the end of its status column
+   * @param {string} projectId - Project id
+   * @param {Object} values - Task values (title is required)
+   * @returns {Promise<Task>} Created task
+   */
+  async createTask(projectId, values = {}) {
+    const validationError = this.validateTask(values, { requireTitle: true });
+    if (validationError) {
+      throw new Error(validationError);
+    }
+
+    const row = {
+      ...TASK_DEFAULTS,
+      ...this.pickTaskColumns(values),
+      title: values.title.trim(),
+      project_id: projectId,
+      created_by: this.getCurrentUserId()
+    };
+    if (this.isSupabaseEnabled) {
+      // Generated here so a create queued offline keeps its id when it is replayed
+      row.id = generateId();
+    }
+
+    return this.runMutation({
+      entity: OUTBOX_ENTITIES.TASK,
+      action: OUTBOX_ACTIONS.CREATE,
+      recordId: row.id,
+      projectId,
+      values: row,
+      label: row.title
+    }, () => this.insertTask(row));
+  }
+
+  /**
+   * Insert a task row, at the end of its column unless it has a position
+   * @param {Object} row - Row values
+   * @returns {Promise<Task>} Created task
+   */
+  async insertTask(row) {
+    const projectId = row.project_id;
+    return this.runQuery('create_task', { projectId, status: row.status }, async () => {
+      if (row.position === undefined) {
+        row.position = await this.getNextPosition(projectId, row.status);
+      }
+
+      if (this.isSupabaseEnabled) {
+        const { data, error } = await supabase
+          .from(TABLES.TASKS)
+          .insert(row)
+          .select()
+          .single();
+
+        if (error) {
+          throw new Error(error.message);
+        }
+        return data;
+      }
+
+      return this.taskStore.insert(row);
+    });
+  }
+
+  /**
+   * Update a task
+   * @param {string} taskId - Task id
+   * @param {Object} changes - Column values to change
+   * @returns {Promise<Task>} Updated task
+   */
+  async updateTask(taskId, changes = {}) {
+    const validationError = this.validateTask(changes);
+    if (validationError) {
+      throw new Error(validationError);
+    }
+
+    const updates = this.pickTaskColumns(changes);
+    if (typeof updates.title === 'string') {
+      updates.title = updates.title.trim();
+    }
+
+    return this.runMutation({
+      entity: OUTBOX_ENTITIES.TASK,
+      action: OUTBOX_ACTIONS.UPDATE,
+      recordId: taskId,
+      values: updates,
+      label: updates.title
+    }, () => this.applyTaskUpdate(taskId, updates));
+  }
+
+  /**
+   * Write validated changes to a task, recording and announcing status changes
+   * @param {string} taskId - Task id
+   * @param {Object} updates - Writable columns
+   * @returns {Promise<Task>} Updated task
+   */
+  async applyTaskUpdate(taskId, updates) {
+    const tracked = updates.status !== undefined || updates.actual_hours !== undefined;
+    const previous = tracked ? await this.getTask(taskId) : null;
+
+    const updated = await this.runQuery('update_task', { taskId }, async () => {
+      if (this.isSupabaseEnabled) {
+        const { data, error } = await supabase
+          .from(TABLES.TASKS)
+          .update(updates)
+          .eq('id', taskId)
+          .select()
+          .single();
+
+        if (error) {
+          throw new Error(error.message);
+        }
+        return data;
+      }
+
+      const task = this.taskStore.update(taskId, updates);
+      if (!task) {
+        throw new Error('Tarea no encontrada');
+      }
+      return task;
+    });
+
+    if (previous) {
+      this.recordTaskEvent(previous, updated);
+    }
+    if (previous && previous.status !== updated.status) {
+      await this.announceStatusChange(updated, previous.status);
+    }
+    return updated;
+  }
+
+  /**
+   * Delete a task and drop it from other tasks' dependencies
+   * @param {string} taskId - Task id
+   * @returns {Promise<boolean>} Whether the task was deleted
+   */
+  async deleteTask(taskId) {
+    return this.runMutation({
+      entity: OUTBOX_ENTITIES.TASK,
+      action: OUTBOX_ACTIONS.DELETE,
+      recordId: taskId
+    }, () => this.removeTask(taskId));
+  }
+
+  /**
+   * Delete a task row and drop it from other tasks' dependencies; the mock backend also
+   * removes its events. In the database the events cascade and a trigger cleans up the
+   * dependencies within the delete's transaction
+   * @param {string} taskId - Task id
+   * @returns {Promise<boolean>} Whether the task was deleted
+   */
+  async removeTask(taskId) {
+    return this.runQuery('delete_task', { taskId }, async () => {
+      if (this.isSupabaseEnabled) {
+        const { error } = await supabase
+          .from(TABLES.TASKS)
+          .delete()
+          .eq('id', taskId);
+
+        if (error) {
+          throw new Error(error.message);
+        }
+        return true;
+      }
+
+      const removed = this.taskStore.remove(taskId);
+      if (removed) {
+        this.taskStore.where(task => (task.dependencies || []).includes(taskId)).forEach(task => {
+          this.taskStore.update(task.id, {
+            dependencies: task.dependencies.filter(id => id !== taskId)
+          });
+        });
+        this.eventStore.removeWhere(event => event.task_id === taskId);
+      }
+      return removed;
+    });
+  }
+
+  /**
+   * Make a task depend on another task of the same project
+   * @param {string} taskId - Task that gains the dependency
+   * @param {string} dependencyId - Task that has to finish first
+   * @returns {Promise<Task>} Updated task
+   */
+  async addDependency(taskId, dependencyId) {
+    const task = await this.getTask(taskId);
+    const dependency = await this.getTask(dependencyId);
+    if (!task || !dependency) {
+      throw new Error('Tarea no encontrada');
+    }
+    if (task.project_id !== dependency.project_id) {
+      throw new Error('Las dependencias deben pertenecer al mismo proyecto');
+    }
+
+    const dependencies = task.dependencies || [];
+    if (dependencies.includes(dependencyId)) {
+      return task;
+    }
+
+    const projectTasks = await this.listAllTasks(task.project_id);
+    const cycle = findDependencyCycle(projectTasks, taskId, dependencyId);
+    if (cycle) {
+      const titles = new Map(projectTasks.map(item => [item.id, item.title]));
+      throw new Error(`Dependencia circular: ${cycle.map(id => titles.get(id) || id).join(' → ')}`);
+    }
+
+    return this.updateTask(taskId, { dependencies: [...dependencies, dependencyId] });
+  }
+
+  /**
+   * Remove a dependency from a task
+   * @param {string} taskId - Task id
+   * @param {string} dependencyId - Dependency to remove
+   * @returns {Promise<Task>} Updated task
+   */
+  async removeDependency(taskId, dependencyId) {
+    const task = await this.getTask(taskId);
+    if (!task) {
+      throw new Error('Tarea no encontrada');
+    }
+
+    return this.updateTask(taskId, {
+      dependencies: (task.dependencies || []).filter(id => id !== dependencyId)
+    });
+  }
+
+  /**
+   * Move a task to a status column and position, renumbering both columns
+   * @param {string} taskId - Task id
+   * @param {Object} target - Destination
+   * @param {string} target.status - Destination status
+   * @param {number} target.position - 0-based index inside the destination column
+   * @returns {Promise<Array<Task>>} Tasks whose status or position changed
+   */
+  async moveTask(taskId, target = {}) {
+    if (target.status && !Object.values(TASK_STATUS).includes(target.status)) {
+      throw new Error(`Estado de tarea no válido: ${target.status}`);
+    }
+
+    const values = Object.fromEntries(
+      Object.entries({ status: target.status, position: target.position }).filter(([, value]) => value !== undefined)
+    );
+
+    return this.runMutation({
+      entity: OUTBOX_ENTITIES.TASK,
+      action: OUTBOX_ACTIONS.MOVE,
+      recordId: taskId,
+      values,
+      optimistic: task => [task]
+    }, () => this.applyTaskMove(taskId, target));
+  }
+
+  /**
+   * Move a task against the current state of its project's columns
+   * @param {string} taskId - Task id
+   * @param {Object} target - Destination as { status, position }
+   * @returns {Promise<Array<Task>>} Tasks whose status or position changed
+   */
+  async applyTaskMove(taskId, target) {
+    const task = await this.getTask(taskId);
+    if (!task) {
+      throw new Error('Tarea no encontrada');
+    }
+
+    const status = target.status || task.status;
+
+    const columns = await this.getTasksByStatus(task.project_id);
+    const source = columns[task.status].filter(item => item.id !== taskId);
+    const destination = status === task.status
+      ? source
+      : columns[status].filter(item => item.id !== taskId);
+
+    const index = Math.max(0, Math.min(target.position ?? destination.length, destination.length));
+    destination.splice(index, 0, task);
+
+    const changes = this.collectPositionChanges(destination, status);
+    if (status !== task.status) {
+      changes.push(...this.collectPositionChanges(source, task.status));
+    }
+
+    const updated = await this.applyPositionChanges(changes, { taskId, projectId: task.project_id });
+    if (status !== task.status) {
+      this.recordTaskEvent(task, { ...task, status });
+      await this.announceStatusChange({ ...task, status }, task.status);
+    }
+    return updated;
+  }
+
+  /**
+   * Record a status transition or logged hours in task_events, which analyticsService
+   * aggregates into user_analytics. Only needed by the mock backend: in Supabase the
+   * record_task_event trigger does it
+   * @param {Task} previous - Task before the change
+   * @param {Task} task - Task after the change
+   */
+  recordTaskEvent(previous, task) {
+    if (this.isSupabaseEnabled) return;
+
+    const statusChanged = previous.status !== task.status;
+    const hoursDelta = (Number(task.actual_hours) || 0) - (Number(previous.actual_hours) || 0);
+    if (!statusChanged && hoursDelta === 0) return;
+
+    this.eventStore.insert({
+      task_id: task.id,
+      project_id: task.project_id,
+      user_id: task.assigned_to || this.getCurrentUserId(),
+      from_status: statusChanged ? previous.status : null,
+      to_status: statusChanged ? task.status : null,
+      hours_delta: hoursDelta,
+      estimated_hours: task.estimated_hours ?? null,
+      actual_hours: task.actual_hours ?? null
+    });
+  }
+
+  /**
+   * Post a system message to the project chat when a task changes status
+   * A failure here is logged but never fails the task update itself
+   * @param {Task} task - Task with its new status
+   * @param {string} fromStatus - Previous status
+   */
+  async announceStatusChange(task, fromStatus) {
+    try {
+      await chatService.postSystemMessage(task.project_id, {
+        type: SYSTEM_EVENTS.TASK_STATUS_CHANGED,
+        task_id: task.id,
+        title: task.title,
+        from: fromStatus,
+        to: task.status
+      });
+    } catch (error) {
+      console.warn('Could not post task status message:', error);
+    }
+  }
+
+  /**
+   * Reorder a status column to match the given id order
+   * @param {string} projectId - Project id
+   * @param {string} status - Status column
+   * @param {Array<string>} orderedIds - Task ids in their new order
+   * @returns {Promise<Array<Task>>} Tasks whose position changed
+   */
+  async reorderTasks(projectId, status, orderedIds) {
+    return this.runMutation({
+      entity: OUTBOX_ENTITIES.TASK,
+      action: OUTBOX_ACTIONS.REORDER,
+      recordId: `${projectId}:${status}`,
+      projectId,
+      values: { status, orderedIds },
+      optimistic: () => []
+    }, () => this.applyReorder(projectId, status, orderedIds));
+  }
+
+  /**
+   * Renumber a status column against its current tasks
+   * @param {string} projectId - Project id
+   * @param {string} status - Status column
+   * @param {Array<string>} orderedIds - Task ids in their new order
+   * @returns {Promise<Array<Task>>} Tasks whose position changed
+   */
+  async applyReorder(projectId, status, orderedIds) {
+    const columns = await this.getTasksByStatus(projectId);
+    const column = columns[status];
+    if (!column) {
+      throw new Error(`Estado de tarea no válido: ${status}`);
+    }
+
+    const byId = new Map(column.map(task => [task.id, task]));
+    const ordered = orderedIds.filter(id => byId.has(id)).map(id => byId.get(id));
+    const rest = column.filter(task => !orderedIds.includes(task.id));
+
+    const changes = this.collectPositionChanges([...ordered, ...rest], status);
+    return this.applyPositionChanges(changes, { projectId, status });
+  }
+
+  /**
+   * Compute the position after the last task of a column
+   * @param {string} projectId - Project id
+   * @param {string} status - Status column
+   * @returns {Promise<number>} Next free position
+   */
+  async getNextPosition(projectId, status) {
+    if (this.isSupabaseEnabled) {
+      const { data, error } = await supabase
+        .from(TABLES.TASKS)
+        .select('position')
+        .eq('project_id', projectId)
+        .eq('status', status)
+        .order('position', { ascending: false })
+        .limit(1);
+
+      if (error) {
+        throw new Error(error.message);
+      }
+      return data && data.length > 0 ? (data[0].position ?? 0) + 1 : 0;
+    }
+
+    const positions = this.taskStore
+      .where(task => task.project_id === projectId && task.status === status)
+      .map(task => task.position ?? 0);
+
+    return positions.length > 0 ? Math.max(...positions) + 1 : 0;
+  }
+
+  /**
+   * List the changes needed so a column's positions match its array order
+   * @param {Array<Task>} column - Tasks in their desired order
+   * @param {string} status - Status of the column
+   * @returns {Array<Object>} Changes as { id, status, position }
+   */
+  collectPositionChanges(column, status) {
+    return column
+      .map((task, position) => ({ task, position }))
+      .filter(({ task, position }) => task.position !== position || task.status !== status)
+      .map(({ task, position }) => ({ id: task.id, status, position }));
+  }
+
+  /**
+   * Persist position changes
+   * @param {Array<Object>} changes - Changes as { id, status, position }
+   * @param {Object} context - Log context
+   * @returns {Promise<Array<Task>>} Updated tasks
+   */
+  async applyPositionChanges(changes, context) {
+    if (changes.length === 0) {
+      return [];
+    }
+
+    return this.runQuery('reorder_tasks', { ...context, changedCount: changes.length }, async () => {
+      if (this.isSupabaseEnabled) {
+        const results = await Promise.all(changes.map(({ id, status, position }) =>
+          supabase
+            .from(TABLES.TASKS)
+            .update({ status, position })
+            .eq('id', id)
+            .select()
+            .single()
+        ));
+
+        const failed = results.find(result => result.error);
+        if (failed) {
+          throw new Error(failed.error.message);
+        }
+        return results.map(result => result.data);
+      }
+
+      return changes.map(({ id, status, position }) => this.taskStore.update(id, { status, position }));
+    });
+  }
+
+  /**
+   * Apply filters to a Supabase query
+   * @param {Object} query - Supabase query builder
+   * @param {TaskFilters} filters - Filters
+   * @returns {Object} Filtered query builder
+   */
+  applySupabaseFilters(query, filters) {
+    const { status, priority, assignedTo, tags, search, dueBefore, dueAfter } = filters;
+
+    if (status) query = Array.isArray(status) ? query.in('status', status) : query.eq('status', status);
+    if (priority) query = Array.isArray(priority) ? query.in('priority', priority) : query.eq('priority', priority);
+    if (assignedTo === 'unassigned') query = query.is('assigned_to', null);
+    else if (assignedTo) query = query.eq('assigned_to', assignedTo);
+    if (tags && tags.length > 0) query = query.contains('tags', tags);
+    if (search) query = query.ilike('title', `%${search}%`);
+    if (dueBefore) query = query.lte('due_date', dueBefore);
+    if (dueAfter) query = query.gte('due_date', dueAfter);
+
+    return query;
+  }
+
+  /**
+   * Check a task against filters (mock backend)
+   * @param {Task} task - Task
+   * @param {TaskFilters} filters - Filters
+   * @returns {boolean} Whether the task matches
+   */
+  matchesFilters(task, filters) {
+    const { status, priority, assignedTo, tags, search, dueBefore, dueAfter } = filters;
+    const oneOf = (value, expected) => Array.isArray(expected) ? expected.includes(value) : value === expected;
+
+    if (status && !oneOf(task.status, status)) return false;
+    if (priority && !oneOf(task.priority, priority)) return false;
+    if (assignedTo === 'unassigned' && task.assigned_to) return false;
+    if (assignedTo && assignedTo !== 'unassigned' && task.assigned_to !== assignedTo) return false;
+    if (tags && tags.length > 0 && !tags.every(tag => (task.tags || []).includes(tag))) return false;
+    if (search && !task.title.toLowerCase().includes(search.toLowerCase())) return false;
+    if (dueBefore && (!task.due_date || new Date(task.due_date) > new Date(dueBefore))) return false;
+    if (dueAfter && (!task.due_date || new Date(task.due_date) < new Date(dueAfter))) return false;
+
+    return true;
+  }
+
+  /**
+   * Validate task values
+   * @param {Object} values - Task values
+   * @param {Object} options - Validation options
+   * @returns {string|null} Error message or null when valid
+   */
+  validateTask(values, options = {}) {
+    const { requireTitle = false } = options;
+
+    if (requireTitle || values.title !== undefined) {
+      if (typeof values.title !== 'string' || !values.title.trim()) {
+        return 'El título de la tarea es obligatorio';
+      }
+      if (values.title.trim().length > 255) {
+        return 'El título de la tarea no puede superar 255 caracteres';
+      }
+    }
+
+    if (values.status !== undefined && !Object.values(TASK_STATUS).includes(values.status)) {
+      return `Estado de tarea no válido: ${values.status}`;
+    }
+
+    if (values.priority !== undefined && !Object.values(TASK_PRIORITY).includes(values.priority)) {
+      return `Prioridad de tarea no válida: ${values.priority}`;
+    }
+
+    for (const column of ['estimated_hours', 'actual_hours']) {
+      const hours = values[column];
+      if (hours !== undefined && hours !== null && (typeof hours !== 'number' || hours < 0 || hours >= 1000)) {
+        return `Horas no válidas en ${column}: ${hours}`;
+      }
+    }
+
+    if (values.due_date && Number.isNaN(new Date(values.due_date).getTime())) {
+      return `Fecha límite no válida: ${values.due_date}`;
+    }
+
+    return null;
+  }
+
+  /**
+   * Keep only writable task columns
+   * @param {Object} values - Arbitrary values
+   * @returns {Object} Writable columns
+   */
+  pickTaskColumns(values) {
+    return Object.fromEntries(
+      Object.entries(values).filter(([key, value]) => WRITABLE_COLUMNS.includes(key) && value !== undefined)
+    );
+  }
+
+  /**
+   * Run a query through the shared logged runner
+   * @param {string} operation - Operation name
+   * @param {Object} context - Log context
+   * @param {Function} fn - Async query
+   * @returns {Promise<any>} Query result
+   */
+  runQuery(operation, context, fn) {
+    return runLoggedQuery(operation, context, fn, this.isSupabaseEnabled);
+  }
+
+  /**
+   * Run a mutation, keeping it in the offline outbox while Supabase can't be reached
+   * @param {import('./offlineOutbox.js').OutboxMutation} mutation - Mutation description
+   * @param {Function} execute - Sends the mutation now
+   * @returns {Promise<any>} Mutation result, or its optimistic result when queued
+   */
+  runMutation(mutation, execute) {
+    return this.isSupabaseEnabled ? offlineOutbox.run(mutation, execute) : execute();
+  }
+}
+
+// Create singleton instance
+export const taskService = new TaskService();
+export default taskService;
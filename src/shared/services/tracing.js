@@ -0,0 +1,448 @@
+/**
+ * Tracing
+ * Records auth operations as spans and exports them as OTLP/JSON, the format OpenTelemetry
+ * collectors, Jaeger and Tempo read. Spans started inside another span's `withSpan` become its
+ * children; every span carries the session id errorLogger registers through
+ * setSessionIdProvider, so logs and traces of a session can be matched. Without an exporter
+ * spans are created but dropped, so instrumentation costs next to nothing when tracing is off
+ *
+ * The active span is tracked per page, not per async call chain (browsers have no async
+ * context), so two traced operations running at the same time may adopt each other's children
+ */
+
+export const SPAN_KIND = {
+  INTERNAL: 1,
+  SERVER: 2,
+  CLIENT: 3
+};
+
+export const SPAN_STATUS = {
+  UNSET: 0,
+  OK: 1,
+  ERROR: 2
+};
+
+const TRACE_CONTEXT_STORAGE_KEY = 'anclora_trace_context';
+const NANOS_PER_MILLI = BigInt(1000000);
+
+export const TRACING_CONFIG = {
+  serviceName: 'anclora-kairon',
+  scopeName: 'anclora-kairon/auth',
+  scopeVersion: '1.0.0',
+  maxBatchSize: 50,
+  exportInterval: 5000 // 5 seconds
+};
+
+function randomHex(bytes) {
+  const values = new Uint8Array(bytes);
+  if (globalThis.crypto?.getRandomValues) {
+    globalThis.crypto.getRandomValues(values);
+  } else {
+    values.forEach((_, index) => { values[index] = Math.floor(Math.random() * 256); });
+  }
+  return Array.from(values, value => value.toString(16).padStart(2, '0')).join('');
+}
+
+// Wall-clock time with sub-millisecond precision, in nanoseconds as OTLP expects
+function nowUnixNano() {
+  const millis = typeof performance !== 'undefined' && performance.timeOrigin
+    ? performance.timeOrigin + performance.now()
+    : Date.now();
+  const whole = Math.floor(millis);
+  return (BigInt(whole) * NANOS_PER_MILLI + BigInt(Math.round((millis - whole) * 1000000))).toString();
+}
+
+/**
+ * Encode a JS value as an OTLP AnyValue
+ * @param {*} value - Value
+ * @returns {Object} AnyValue
+ */
+export function toOtlpValue(value) {
+  if (typeof value === 'boolean') return { boolValue: value };
+  if (typeof value === 'number') {
+    return Number.isInteger(value) ? { intValue: String(value) } : { doubleValue: value };
+  }
+  if (Array.isArray(value)) return { arrayValue: { values: value.map(toOtlpValue) } };
+  if (value !== null && typeof value === 'object') return { stringValue: JSON.stringify(value) };
+  return { stringValue: String(value) };
+}
+
+/**
+ * @param {Object} attributes - Plain attributes; null and undefined values are skipped
+ * @returns {Array<Object>} OTLP KeyValue list
+ */
+export function toOtlpAttributes(attributes = {}) {
+  return Object.entries(attributes)
+    .filter(([, value]) => value !== undefined && value !== null)
+    .map(([key, value]) => ({ key, value: toOtlpValue(value) }));
+}
+
+/**
+ * Span class for one timed operation
+ */
+export class Span {
+  /**
+   * @param {Tracer} tracer - Tracer that receives the span when it ends
+   * @param {string} name - Span name, e.g. auth.login
+   * @param {Object} options - Options
+   * @param {{ traceId: string, spanId: string }|null} options.parent - Parent span context
+   * @param {number} options.kind - SPAN_KIND value
+   * @param {Object} options.attributes - Initial attributes
+   */
+  constructor(tracer, name, { parent = null, kind = SPAN_KIND.INTERNAL, attributes = {} } = {}) {
+    this.tracer = tracer;
+    this.name = name;
+    this.kind = kind;
+    this.traceId = parent?.traceId || randomHex(16);
+    this.spanId = randomHex(8);
+    this.parentSpanId = parent?.spanId || null;
+    this.startTimeUnixNano = nowUnixNano();
+    this.endTimeUnixNano = null;
+    this.attributes = { ...attributes };
+    this.events = [];
+    this.status = { code: SPAN_STATUS.UNSET };
+  }
+
+  /**
+   * @returns {{ traceId: string, spanId: string }} Context children and other pages link to
+   */
+  spanContext() {
+    return { traceId: this.traceId, spanId: this.spanId };
+  }
+
+  setAttribute(key, value) {
+    this.attributes[key] = value;
+    return this;
+  }
+
+  setAttributes(attributes) {
+    Object.assign(this.attributes, attributes);
+    return this;
+  }
+
+  addEvent(name, attributes = {}) {
+    this.events.push({ name, timeUnixNano: nowUnixNano(), attributes });
+    return this;
+  }
+
+  setStatus(code, message = undefined) {
+    this.status = message ? { code, message } : { code };
+    return this;
+  }
+
+  /**
+   * Record an error as an `exception` event (OpenTelemetry semantic conventions) and mark the span failed
+   * @param {Error|string} error - Error
+   */
+  recordException(error) {
+    const message = error instanceof Error ? error.message : String(error);
+    this.addEvent('exception', {
+      'exception.type': error?.name || 'Error',
+      'exception.message': message,
+      'exception.stacktrace': error?.stack
+    });
+    return this.setStatus(SPAN_STATUS.ERROR, message);
+  }
+
+  /**
+   * End the span; later calls are ignored
+   */
+  end() {
+    if (this.endTimeUnixNano) return;
+    this.endTimeUnixNano = nowUnixNano();
+    this.tracer.onSpanEnd(this);
+  }
+
+  /**
+   * @returns {Object} OTLP/JSON span
+   */
+  toOtlp() {
+    const span = {
+      traceId: this.traceId,
+      spanId: this.spanId,
+      name: this.name,
+      kind: this.kind,
+      startTimeUnixNano: this.startTimeUnixNano,
+      endTimeUnixNano: this.endTimeUnixNano,
+      attributes: toOtlpAttributes(this.attributes),
+      events: this.events.map(event => ({
+        name: event.name,
+        timeUnixNano: event.timeUnixNano,
+        attributes: toOtlpAttributes(event.attributes)
+      })),
+      status: this.status
+    };
+    if (this.parentSpanId) span.parentSpanId = this.parentSpanId;
+    return span;
+  }
+}
+
+/**
+ * Exporter that POSTs OTLP/JSON to a collector's /v1/traces endpoint
+ * (an OpenTelemetry Collector on :4318, or `npm run logs:collect`)
+ */
+export class OtlpHttpExporter {
+  /**
+   * @param {Object} options - Options
+   * @param {string} options.endpoint - e.g. http://localhost:4318/v1/traces
+   * @param {Object} options.headers - Extra headers, e.g. an API key
+   */
+  constructor({ endpoint, headers = {} } = {}) {
+    if (!endpoint) {
+      throw new Error('Traces endpoint is required');
+    }
+    this.endpoint = endpoint;
+    this.headers = headers;
+  }
+
+  async export(request) {
+    // keepalive lets the last batch finish after the page has gone, e.g. on the OAuth redirect
+    const response = await fetch(this.endpoint, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...this.headers },
+      body: JSON.stringify(request),
+      keepalive: true
+    });
+    if (!response.ok) {
+      throw new Error(`Traces endpoint responded ${response.status}`);
+    }
+  }
+}
+
+/**
+ * Exporter that keeps export requests in memory so they can be saved as an OTLP JSON Lines
+ * file, one request per line, as the OpenTelemetry Collector's otlpjsonfile receiver reads
+ */
+export class FileExporter {
+  constructor({ maxRequests = 500 } = {}) {
+    this.requests = [];
+    this.maxRequests = maxRequests;
+  }
+
+  async export(request) {
+    this.requests.push(request);
+    if (this.requests.length > this.maxRequests) {
+      this.requests = this.requests.slice(-this.maxRequests);
+    }
+  }
+
+  toJsonLines() {
+    return this.requests.map(request => JSON.stringify(request)).join('\n') + (this.requests.length ? '\n' : '');
+  }
+
+  /**
+   * Download the collected traces, e.g. from the console: tracer.exporter.download()
+   * @param {string} fileName - File name
+   */
+  download(fileName = `traces-${new Date().toISOString().slice(0, 10)}.jsonl`) {
+    const url = URL.createObjectURL(new Blob([this.toJsonLines()], { type: 'application/x-ndjson' }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    link.click();
+    URL.revokeObjectURL(url);
+  }
+}
+
+/**
+ * Tracer class that creates spans and batches them to an exporter
+ */
+export class Tracer {
+  constructor(config = {}) {
+    this.config = { ...TRACING_CONFIG, ...config };
+    this.exporter = null;
+    this.activeSpan = null;
+    this.pending = [];
+    this.exportTimer = null;
+    this.getSessionId = () => null;
+
+    this.handlePageHide = () => this.flush();
+  }
+
+  /**
+   * Set where spans take their session.id attribute from
+   * errorLogger registers its own, which keeps this module free of a dependency on it
+   * @param {Function} provider - Returns the current session id
+   */
+  setSessionIdProvider(provider) {
+    this.getSessionId = provider;
+  }
+
+  /**
+   * Start exporting spans; with no exporter tracing is off
+   * @param {Object} options - Options
+   * @param {Object|null} options.exporter - Object with an async export(request) method
+   */
+  configure({ exporter = null } = {}) {
+    this.exporter = exporter;
+    this.pending = [];
+
+    if (this.exportTimer) {
+      clearInterval(this.exportTimer);
+      this.exportTimer = null;
+    }
+    if (typeof window !== 'undefined') {
+      window.removeEventListener('pagehide', this.handlePageHide);
+    }
+    if (!exporter) return;
+
+    this.exportTimer = setInterval(() => this.flush(), this.config.exportInterval);
+    if (typeof window !== 'undefined') {
+      window.addEventListener('pagehide', this.handlePageHide);
+    }
+  }
+
+  isEnabled() {
+    return !!this.exporter;
+  }
+
+  /**
+   * Start a span; it has to be ended by the caller
+   * @param {string} name - Span name
+   * @param {Object} options - Span options
+   * @param {Span|{ traceId: string, spanId: string }|null} options.parent - Defaults to the active span
+   * @param {number} options.kind - SPAN_KIND value
+   * @param {Object} options.attributes - Attributes
+   * @returns {Span} Span
+   */
+  startSpan(name, { parent = this.activeSpan, kind, attributes = {} } = {}) {
+    const parentContext = parent instanceof Span ? parent.spanContext() : parent;
+    const sessionId = this.getSessionId();
+    return new Span(this, name, {
+      parent: parentContext,
+      kind,
+      attributes: { ...(sessionId ? { 'session.id': sessionId } : {}), ...attributes }
+    });
+  }
+
+  /**
+   * Run fn inside a new span that is active (the default parent) while it runs
+   * A thrown error is recorded on the span and rethrown
+   * @param {string} name - Span name
+   * @param {Object} options - See startSpan
+   * @param {Function} fn - Receives the span; may be async
+   * @returns {Promise<*>} What fn returns
+   */
+  async withSpan(name, options, fn) {
+    const span = this.startSpan(name, options);
+    const previous = this.activeSpan;
+    this.activeSpan = span;
+
+    try {
+      return await fn(span);
+    } catch (error) {
+      span.recordException(error);
+      throw error;
+    } finally {
+      span.end();
+      // Only restore if no other operation took over in the meantime
+      if (this.activeSpan === span) {
+        this.activeSpan = previous;
+      }
+    }
+  }
+
+  /**
+   * @returns {Span|null} Span of the operation running now
+   */
+  getActiveSpan() {
+    return this.activeSpan;
+  }
+
+  /**
+   * Keep a span's context for the next page of this tab, e.g. across the OAuth provider redirect
+   * @param {Span} span - Span the next page continues
+   */
+  saveContext(span = this.activeSpan) {
+    if (!span) return;
+    try {
+      sessionStorage.setItem(TRACE_CONTEXT_STORAGE_KEY, JSON.stringify(span.spanContext()));
+    } catch (error) {
+      console.warn('Failed to save trace context:', error);
+    }
+  }
+
+  /**
+   * Take the context saved by the previous page; it can only be restored once
+   * @returns {{ traceId: string, spanId: string }|null} Parent for the first span on this page
+   */
+  restoreContext() {
+    try {
+      const context = JSON.parse(sessionStorage.getItem(TRACE_CONTEXT_STORAGE_KEY));
+      sessionStorage.removeItem(TRACE_CONTEXT_STORAGE_KEY);
+      return context?.traceId && context?.spanId ? context : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  onSpanEnd(span) {
+    if (!this.exporter) return;
+
+    this.pending.push(span);
+    if (this.pending.length >= this.config.maxBatchSize) {
+      this.flush();
+    }
+  }
+
+  /**
+   * Export the ended spans; a failed export is logged and its spans dropped
+   * @returns {Promise<number>} Spans exported
+   */
+  async flush() {
+    if (!this.exporter || this.pending.length === 0) return 0;
+
+    const spans = this.pending;
+    this.pending = [];
+
+    try {
+      await this.exporter.export(this.buildExportRequest(spans));
+      return spans.length;
+    } catch (error) {
+      console.warn('Failed to export traces:', error.message);
+      return 0;
+    }
+  }
+
+  /**
+   * @param {Array<Span>} spans - Ended spans
+   * @returns {Object} OTLP ExportTraceServiceRequest
+   */
+  buildExportRequest(spans) {
+    return {
+      resourceSpans: [{
+        resource: {
+          attributes: toOtlpAttributes({
+            'service.name': this.config.serviceName,
+            'telemetry.sdk.language': 'webjs'
+          })
+        },
+        scopeSpans: [{
+          scope: { name: this.config.scopeName, version: this.config.scopeVersion },
+          spans: spans.map(span => span.toOtlp())
+        }]
+      }]
+    };
+  }
+}
+
+/**
+ * Exporter from the environment: VITE_TRACES_ENDPOINT posts to a collector,
+ * VITE_TRACES_EXPORTER=file keeps traces for FileExporter.download()
+ * @param {Object} env - import.meta.env
+ * @returns {Object|null} Exporter, or null when tracing is off
+ */
+export function createExporterFromEnv(env = {}) {
+  if (env.VITE_TRACES_ENDPOINT) {
+    return new OtlpHttpExporter({ endpoint: env.VITE_TRACES_ENDPOINT });
+  }
+  if (env.VITE_TRACES_EXPORTER === 'file') {
+    return new FileExporter();
+  }
+  return null;
+}
+
+// Create singleton instance
+export const tracer = new Tracer();
+tracer.configure({ exporter: createExporterFromEnv(import.meta.env) });
+export default tracer;
@@ -1,6 +1,13 @@
 import i18n from '../utils/i18n.js';
 import errorLogger from './errorLogger.js';
 
+// e.g. ('loading', 'forgotPassword') => 'loadingForgotPassword'
+function feedbackKey(prefix, operation) {
+  return typeof operation === 'string' && operation
+    ? `${prefix}${operation[0].toUpperCase()}${operation.slice(1)}`
+    : `${prefix}Default`;
+}
+
 /**
  * User Feedback System for providing visual feedback to users during authentication operations
  * Handles loading states, error messages, success confirmations, and retry options
@@ -17,76 +24,8 @@ export class UserFeedbackSystem {
     this.loadingElements = new Map();
     this.errorElements = new Map();
     this.successElements = new Map();
-    
-    // Error message translations
-    this.errorMessages = {
-      es: {
-        NETWORK_ERROR: "No se pudo conectar al servidor. Verifica tu conexión a internet.",
-        AUTH_INVALID_CREDENTIALS: "Email o contraseña incorrectos. Inténtalo de nuevo.",
-        AUTH_USER_NOT_FOUND: "No encontramos una cuenta con este email. ¿Quizás quieres crear una cuenta nueva?",
-        AUTH_USER_EXISTS: "Ya existe una cuenta con este email. ¿Quieres iniciar sesión?",
-        AUTH_WEAK_PASSWORD: "La contraseña debe tener al menos 6 caracteres.",
-        AUTH_RATE_LIMITED: "Demasiados intentos. Espera {waitTime} segundos antes de intentar de nuevo.",
-        AUTH_EMAIL_NOT_CONFIRMED: "Debes confirmar tu email antes de iniciar sesión. Revisa tu bandeja de entrada.",
-        SERVER_ERROR: "Error del servidor. Inténtalo de nuevo en unos momentos.",
-        UNKNOWN_ERROR: "Ocurrió un error inesperado. Contacta al soporte si persiste.",
-        EMAIL_NOT_CONFIRMED: "Debes confirmar tu email antes de iniciar sesión. Revisa tu bandeja de entrada.",
-        INVALID_EMAIL_FORMAT: "Por favor ingresa un email válido."
-      },
-      en: {
-        NETWORK_ERROR: "Could not connect to server. Check your internet connection.",
-        AUTH_INVALID_CREDENTIALS: "Invalid email or password. Please try again.",
-        AUTH_USER_NOT_FOUND: "No account found with this email address. Would you like to create a new account?",
-        AUTH_USER_EXISTS: "An account with this email already exists. Want to sign in?",
-        AUTH_WEAK_PASSWORD: "Password must be at least 6 characters long.",
-        AUTH_RATE_LIMITED: "Too many attempts. Wait {waitTime} seconds before trying again.",
-        AUTH_EMAIL_NOT_CONFIRMED: "You must confirm your email before signing in. Check your inbox.",
-        SERVER_ERROR: "Server error. Please try again in a few moments.",
-        UNKNOWN_ERROR: "An unexpected error occurred. Contact support if it persists.",
-        EMAIL_NOT_CONFIRMED: "You must confirm your email before signing in. Check your inbox.",
-        INVALID_EMAIL_FORMAT: "Please enter a valid email address."
-      }
-    };
-    
-    // Loading message translations
-    this.loadingMessages = {
-      es: {
-        login: "Iniciando sesión...",
-        register: "Creando cuenta...",
-        logout: "Cerrando sesión...",
-        forgotPassword: "Enviando enlace de recuperación...",
-        checkingConnectivity: "Verificando conexión...",
-        retrying: "Reintentando...",
-        default: "Procesando..."
-      },
-      en: {
-        login: "Signing in...",
-        register: "Creating account...",
-        logout: "Signing out...",
-        forgotPassword: "Sending recovery link...",
-        checkingConnectivity: "Checking connection...",
-        retrying: "Retrying...",
-        default: "Processing..."
-      }
-    };
-    
-    // Success message translations
-    this.successMessages = {
-      es: {
-        login: "¡Bienvenido de vuelta!",
-        register: "¡Cuenta creada exitosamente!",
-        forgotPassword: "Enlace de recuperación enviado a tu email.",
-        passwordReset: "Contraseña actualizada exitosamente.",
-        emailConfirmed: "Email confirmado exitosamente."
-      },
-      en: {
-        login: "Welcome back!",
-        register: "Account created successfully!",
-        forgotPassword: "Recovery link sent to your email.",
-        passwordReset: "Password updated successfully.",
-        emailConfirmed: "Email confirmed successfully."
-      }
-    };
+
+    // Messages live in the "feedback" locale namespace (src/shared/locales/*/feedback.js)
   }
 
   /**
@@ -96,8 +35,8 @@ export class UserFeedbackSystem {
    * @param {HTMLElement} targetElement - Optional target element to show loading in
    */
   showLoading(operation = 'default', customMessage = null, targetElement = null) {
-    const language = i18n.getCurrentLanguage();
-    const message = customMessage || this.loadingMessages[language][operation] || this.loadingMessages[language].default;
+    const messages = i18n.getTranslations(null, 'feedback');
+    const message = customMessage || messages[feedbackKey('loading', operation)] || messages.loadingDefault;
     
     this.currentState.isLoading = true;
     this.currentState.loadingMessage = message;
@@ -156,12 +95,9 @@ export class UserFeedbackSystem {
     
     const errorType = typeof error === 'string' ? error : this._classifyError(error);
     const language = i18n.getCurrentLanguage();
-    let message = this.errorMessages[language][errorType] || this.errorMessages[language].UNKNOWN_ERROR;
-    
-    // Replace placeholders in message
-    if (waitTime && message.includes('{waitTime}')) {
-      message = message.replace('{waitTime}', waitTime);
-    }
+    const key = i18n.has(`feedback:${errorType}`, language) ? errorType : 'UNKNOWN_ERROR';
+    // Without a wait time the {waitTime} placeholder stays in the message
+    const message = i18n.t(`feedback:${key}`, waitTime ? { waitTime } : {}, language);
     
     this.currentState.error = {
       type: errorType,
@@ -215,8 +151,7 @@ export class UserFeedbackSystem {
    * @param {number} duration - Duration to show message (ms), 0 for permanent
    */
   showSuccess(message, targetElement = null, duration = 3000) {
-    const language = i18n.getCurrentLanguage();
-    const successMessage = this.successMessages[language][message] || message;
+    const successMessage = i18n.getTranslations(null, 'feedback')[feedbackKey('success', message)] || message;
     
     // Hide loading and error states
     this.hideLoading(targetElement);
@@ -0,0 +1,206 @@
+/**
+ * Unit tests for AccountService
+ * Covers profile updates, password changes, linked identities and the account deletion cascade
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+
+vi.mock('../config/supabase.js', () => ({
+  supabase: {
+    from: vi.fn(),
+    rpc: vi.fn(),
+    storage: { from: vi.fn() },
+    auth: {
+      signInWithPassword: vi.fn(),
+      updateUser: vi.fn(),
+      getUserIdentities: vi.fn(),
+      unlinkIdentity: vi.fn(),
+      onAuthStateChange: vi.fn(() => ({ data: { subscription: { unsubscribe: vi.fn() } } })),
+      getSession: vi.fn().mockResolvedValue({ data: { session: null } })
+    }
+  },
+  TABLES: {
+    USERS: 'users',
+    PROJECTS: 'projects',
+    TASKS: 'tasks',
+    PROJECT_MEMBERS: 'project_members',
+    CHAT_MESSAGES: 'chat_messages',
+    USER_ANALYTICS: 'user_analytics',
+    TASK_EVENTS: 'task_events'
+  }
+}));
+
+import { accountService, ACCOUNT_ERROR_CODES } from '../services/accountService.js';
+import { authService } from '../services/authService.js';
+import { LocalTableStore } from '../services/localTableStore.js';
+import { supabase } from '../config/supabase.js';
+
+const DEMO_USER = { id: '1', name: 'Usuario Demo', email: 'demo@anclora.com', avatar: null, provider: 'email' };
+
+const seed = (table, rows, options) => {
+  const store = new LocalTableStore(table, options);
+  store.save(rows);
+  return store;
+};
+
+describe('AccountService', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    localStorage.clear();
+    accountService.isSupabaseEnabled = false;
+    authService.currentUser = { ...DEMO_USER };
+    // The mock backend waits a second per call
+    vi.spyOn(authService, 'mockApiCall').mockImplementation(async (endpoint, options) => {
+      const data = JSON.parse(options.body);
+      return data.currentPassword === 'demo123' ? { success: true } : { success: false, message: 'La contraseña actual no es correcta' };
+    });
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+    authService.currentUser = null;
+  });
+
+  it('should update the profile and keep the signed-in user in sync', async () => {
+    await expect(accountService.updateProfile({ name: 'A' })).rejects.toThrow('entre 2 y 50 caracteres');
+
+    const profile = await accountService.updateProfile({
+      name: '  Ana Demo ',
+      preferences: { language: 'en', unknown: true }
+    });
+
+    expect(profile).toMatchObject({ id: '1', name: 'Ana Demo', preferences: { language: 'en', emailNotifications: true } });
+    expect(profile.preferences).not.toHaveProperty('unknown');
+    expect(authService.getCurrentUser().name).toBe('Ana Demo');
+    expect(JSON.parse(localStorage.getItem('user_data')).name).toBe('Ana Demo');
+    expect((await accountService.getProfile()).preferences.language).toBe('en');
+  });
+
+  it('should keep the theme and validated custom themes in the preferences', async () => {
+    expect((await accountService.getProfile()).preferences).toMatchObject({ theme: 'system', customThemes: [] });
+
+    const sepia = { id: 'custom-sepia', name: 'Sepia', base: 'light', colors: { background: '#F4ECD8', text: '#3B2F2F' } };
+    const profile = await accountService.updateProfile({ preferences: { theme: 'custom-sepia', customThemes: [sepia] } });
+    expect(profile.preferences).toMatchObject({ language: 'es', theme: 'custom-sepia', customThemes: [sepia] });
+
+    const unreadable = { ...sepia, colors: { background: '#FFFFFF', text: '#DDDDDD' } };
+    await expect(accountService.updateProfile({ preferences: { customThemes: [unreadable] } }))
+      .rejects.toThrow('Tema personalizado no válido: themes[0] custom-sepia.colors: text on background');
+    await expect(accountService.updateProfile({ preferences: { theme: 42 } })).rejects.toThrow('Tema no válido');
+    expect((await accountService.getProfile()).preferences.customThemes).toEqual([sepia]);
+  });
+
+  it('should reject avatars of the wrong type or size', async () => {
+    await expect(accountService.uploadAvatar(new Blob(['x'], { type: 'application/pdf' }))).rejects.toThrow('PNG, JPEG');
+    await expect(accountService.uploadAvatar(new Blob([new Uint8Array(3 * 1024 * 1024)], { type: 'image/png' }))).rejects.toThrow('2 MB');
+  });
+
+  it('should upload the avatar to the user folder and remove the previous files', async () => {
+    accountService.isSupabaseEnabled = true;
+    const bucket = {
+      upload: vi.fn().mockResolvedValue({ error: null }),
+      getPublicUrl: vi.fn(path => ({ data: { publicUrl: `https://cdn.example.com/avatars/${path}` } })),
+      list: vi.fn().mockResolvedValue({ data: [{ name: 'avatar-1.png' }, { name: 'avatar-2.png' }], error: null }),
+      remove: vi.fn().mockResolvedValue({ error: null })
+    };
+    supabase.storage.from.mockReturnValue(bucket);
+    const query = {
+      update: vi.fn(() => query),
+      eq: vi.fn(() => query),
+      select: vi.fn(() => query),
+      single: vi.fn(async () => ({ data: { id: '1', name: 'Usuario Demo', avatar_url: query.update.mock.calls[0][0].avatar_url }, error: null }))
+    };
+    supabase.from.mockReturnValue(query);
+    supabase.auth.updateUser.mockResolvedValue({ data: { user: { id: '1' } }, error: null });
+    vi.spyOn(Date, 'now').mockReturnValue(2);
+
+    const profile = await accountService.uploadAvatar(new Blob(['png'], { type: 'image/png' }));
+
+    expect(bucket.upload).toHaveBeenCalledWith('1/avatar-2.png', expect.any(Blob), { contentType: 'image/png', upsert: false });
+    expect(profile.avatar_url).toBe('https://cdn.example.com/avatars/1/avatar-2.png');
+    expect(supabase.auth.updateUser).toHaveBeenCalledWith({ data: { name: 'Usuario Demo', avatar_url: profile.avatar_url } });
+    expect(bucket.remove).toHaveBeenCalledWith(['1/avatar-1.png']);
+  });
+
+  it('should check the password rules and the current password', async () => {
+    await expect(accountService.changePassword({ currentPassword: 'demo123', newPassword: 'short', confirmPassword: 'short' }))
+      .rejects.toThrow('al menos 8 caracteres');
+    await expect(accountService.changePassword({ currentPassword: 'demo123', newPassword: 'Secret123', confirmPassword: 'Secret124' }))
+      .rejects.toThrow('no coinciden');
+    await expect(accountService.changePassword({ currentPassword: 'wrong', newPassword: 'Secret123', confirmPassword: 'Secret123' }))
+      .rejects.toMatchObject({ code: ACCOUNT_ERROR_CODES.INVALID_CURRENT_PASSWORD });
+
+    await expect(accountService.changePassword({ currentPassword: 'demo123', newPassword: 'Secret123', confirmPassword: 'Secret123' }))
+      .resolves.toBe(true);
+
+    accountService.isSupabaseEnabled = true;
+    supabase.auth.getUserIdentities.mockResolvedValue({ data: { identities: [{ id: 'g1', provider: 'google', identity_data: {} }] }, error: null });
+    supabase.auth.updateUser.mockResolvedValue({ data: {}, error: null });
+
+    // Accounts created with an OAuth provider set their first password without a current one
+    await accountService.changePassword({ newPassword: 'Secret123', confirmPassword: 'Secret123' });
+    expect(supabase.auth.signInWithPassword).not.toHaveBeenCalled();
+    expect(supabase.auth.updateUser).toHaveBeenCalledWith({ password: 'Secret123' });
+  });
+
+  it('should link providers and refuse to unlink the last sign-in method', async () => {
+    const linked = await accountService.linkIdentity('github');
+    expect(linked.map(identity => identity.provider)).toEqual(['email', 'github']);
+    await expect(accountService.linkIdentity('github')).rejects.toThrow('ya está vinculado');
+    await expect(accountService.linkIdentity('twitter')).rejects.toThrow('Proveedor no válido');
+
+    expect(await accountService.unlinkIdentity('email')).toEqual([expect.objectContaining({ provider: 'github' })]);
+    await expect(accountService.unlinkIdentity('github')).rejects.toThrow('único método de acceso');
+  });
+
+  it('should delete the account like the foreign keys cascade once the email is typed', async () => {
+    seed('users', [{ id: '1', name: 'Usuario Demo' }, { id: '2', name: 'Ana' }]);
+    seed('projects', [{ id: 'p1', owner_id: '1' }, { id: 'p2', owner_id: '2' }]);
+    seed('project_members', [
+      { id: 'm1', project_id: 'p1', user_id: '2' },
+      { id: 'm2', project_id: 'p2', user_id: '1' },
+      { id: 'm3', project_id: 'p2', user_id: '3', invited_by: '1' }
+    ], { trackUpdates: false, createdColumn: 'joined_at' });
+    seed('tasks', [
+      { id: 't1', project_id: 'p1', created_by: '2' },
+      { id: 't2', project_id: 'p2', created_by: '1' },
+      { id: 't3', project_id: 'p2', created_by: '2', assigned_to: '1' }
+    ]);
+    seed('chat_messages', [
+      { id: 'c1', project_id: 'p2', user_id: '1' },
+      { id: 'c2', project_id: 'p2', user_id: '2', reply_to: 'c1' }
+    ], { trackUpdates: false });
+    seed('task_events', [
+      { id: 'e1', task_id: 't2', project_id: 'p2', user_id: '2' },
+      { id: 'e2', task_id: 't3', project_id: 'p2', user_id: '1' }
+    ], { trackUpdates: false });
+
+    await expect(accountService.deleteAccount('other@example.com')).rejects.toThrow('email de tu cuenta');
+    await expect(accountService.deleteAccount('other@example.com', 'en')).rejects.toThrow('Type your account email to confirm');
+    expect(await accountService.deleteAccount(' Demo@Anclora.com ')).toBe(true);
+
+    const ids = table => new LocalTableStore(table).all().map(row => row.id);
+    expect(ids('users')).toEqual(['2']);
+    expect(ids('projects')).toEqual(['p2']);
+    expect(new LocalTableStore('project_members').all()).toEqual([{ id: 'm3', project_id: 'p2', user_id: '3', invited_by: null }]);
+    expect(new LocalTableStore('tasks').all()).toEqual([expect.objectContaining({ id: 't3', assigned_to: null })]);
+    expect(new LocalTableStore('chat_messages').all()).toEqual([{ id: 'c2', project_id: 'p2', user_id: '2', reply_to: null }]);
+    expect(new LocalTableStore('task_events').all()).toEqual([{ id: 'e2', task_id: 't3', project_id: 'p2', user_id: null }]);
+  });
+
+  it('should remove the avatar files before deleting the Supabase user', async () => {
+    accountService.isSupabaseEnabled = true;
+    const bucket = {
+      list: vi.fn().mockResolvedValue({ data: [{ name: 'avatar-1.png' }], error: null }),
+      remove: vi.fn().mockResolvedValue({ error: null })
+    };
+    supabase.storage.from.mockReturnValue(bucket);
+    supabase.rpc.mockResolvedValue({ error: null });
+
+    await accountService.deleteAccount('demo@anclora.com');
+
+    expect(bucket.remove).toHaveBeenCalledWith(['1/avatar-1.png']);
+    expect(supabase.rpc).toHaveBeenCalledWith('delete_current_user');
+    expect(bucket.remove.mock.invocationCallOrder[0]).toBeLessThan(supabase.rpc.mock.invocationCallOrder[0]);
+  });
+});
@@ -0,0 +1,206 @@
+/**
+ * Unit tests for alert incidents
+ * Tests grouping alerts into incidents by rule and time window, acknowledge/resolve/annotate,
+ * queries, JSON and CSV exports, and AlertingSystem persisting history and escalations
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { IncidentStore, INCIDENT_STATUS, INCIDENT_CONFIG, toCsvField } from '../services/alertIncidents.js';
+import { AlertingSystem, ALERT_CONFIG } from '../services/alertingSystem.js';
+
+const WINDOW_MS = 10 * 60 * 1000;
+
+function makeAlert(ruleId, timestamp, overrides = {}) {
+  return {
+    id: `${ruleId}_${timestamp}`,
+    type: ruleId.toUpperCase(),
+    priority: 'medium',
+    message: `${ruleId} triggered`,
+    timestamp,
+    data: {},
+    ruleId,
+    ...overrides
+  };
+}
+
+describe('IncidentStore', () => {
+  let store;
+
+  beforeEach(() => {
+    localStorage.clear();
+    store = new IncidentStore({ groupWindowMs: WINDOW_MS });
+  });
+
+  it('should group alerts of a rule within the window into one incident', () => {
+    const first = store.recordAlert(makeAlert('high_error_rate', 1000));
+    const second = store.recordAlert(makeAlert('high_error_rate', 1000 + WINDOW_MS, { priority: 'critical' }));
+    const other = store.recordAlert(makeAlert('high_memory_usage', 2000));
+
+    expect(second).toBe(first);
+    expect(other).not.toBe(first);
+    expect(first.alertCount).toBe(2);
+    expect(first.priority).toBe('critical');
+    expect(first.timeline.map(event => event.type)).toEqual(['alert', 'alert']);
+
+    // The window restarts with every alert; a gap longer than it opens a new incident
+    const later = store.recordAlert(makeAlert('high_error_rate', 1000 + 2 * WINDOW_MS + 1));
+    expect(later).not.toBe(first);
+    expect(store.query({ ruleId: 'high_error_rate' })).toHaveLength(2);
+  });
+
+  it('should acknowledge, annotate and resolve an incident on its timeline', () => {
+    const incident = store.recordAlert(makeAlert('system_unhealthy', Date.now()));
+
+    store.acknowledge(incident.id, { by: 'dashboard' });
+    store.annotate(incident.id, '  Restarted the auth worker ');
+    store.resolve(incident.id, 'Back to normal');
+
+    expect(incident.status).toBe(INCIDENT_STATUS.RESOLVED);
+    expect(incident.acknowledgedAt).toBeTypeOf('number');
+    expect(incident.timeline.slice(1)).toMatchObject([
+      { type: 'acknowledged', by: 'dashboard' },
+      { type: 'annotation', message: 'Restarted the auth worker' },
+      { type: 'resolved', message: 'Back to normal' }
+    ]);
+    expect(() => store.annotate(incident.id, '   ')).toThrow('Annotation text is required');
+    expect(store.resolve('missing')).toBeNull();
+
+    // A resolved incident is not reopened by the next alert of its rule
+    const next = store.recordAlert(makeAlert('system_unhealthy', Date.now()));
+    expect(next.id).not.toBe(incident.id);
+  });
+
+  it('should filter incidents by status, minimum priority and time', () => {
+    const low = store.recordAlert(makeAlert('a', 1000, { priority: 'low' }));
+    store.recordAlert(makeAlert('b', 5000, { priority: 'high' }));
+    store.recordAlert(makeAlert('c', 9000, { priority: 'critical' }));
+    store.resolve(low.id);
+
+    expect(store.query({ status: INCIDENT_STATUS.OPEN }).map(incident => incident.ruleId)).toEqual(['c', 'b']);
+    expect(store.query({ priority: 'high' })).toHaveLength(2);
+    expect(store.query({ since: 4000, until: 6000 }).map(incident => incident.ruleId)).toEqual(['b', 'a']);
+    expect(store.query({ limit: 1 })[0].ruleId).toBe('c');
+    expect(store.getStats()).toEqual({ open: 2, acknowledged: 0, resolved: 1 });
+  });
+
+  it('should export incidents as JSON and as one CSV row per timeline event', () => {
+    const incident = store.recordAlert(makeAlert('high_error_rate', Date.UTC(2024, 4, 1), { message: 'Rate "high", 30%' }));
+    store.recordEscalation(incident.id, { level: 1, timestamp: Date.UTC(2024, 4, 1, 0, 5), results: [] });
+
+    expect(JSON.parse(store.export('json')).incidents[0].id).toBe(incident.id);
+
+    const lines = store.export('csv').split('\n');
+    expect(lines[0]).toBe('incident_id,rule_id,priority,status,opened_at,resolved_at,event_type,event_time,message,escalation_level');
+    expect(lines[1]).toBe(`${incident.id},high_error_rate,medium,open,2024-05-01T00:00:00.000Z,,alert,2024-05-01T00:00:00.000Z,"Rate ""high"", 30%",`);
+    expect(lines[2]).toBe(`${incident.id},high_error_rate,medium,open,2024-05-01T00:00:00.000Z,,escalation,2024-05-01T00:05:00.000Z,,1`);
+    expect(toCsvField('line\nbreak')).toBe('"line\nbreak"');
+  });
+
+  it('should keep the first and last alerts of a long incident and count the rest', () => {
+    const small = new IncidentStore({ groupWindowMs: WINDOW_MS, timelineAlertsKept: 2 });
+    let incident;
+    for (let i = 1; i <= 7; i++) {
+      incident = small.recordAlert(makeAlert('high_error_rate', i * 1000, { message: `alert ${i}` }));
+      if (i === 3) small.annotate(incident.id, 'Looking into it');
+    }
+
+    expect(incident.alertCount).toBe(7);
+    expect(incident.timeline.map(event => event.message ?? event.count)).toEqual([
+      'alert 1', 'alert 2', 3, 'Looking into it', 'alert 6', 'alert 7'
+    ]);
+    expect(incident.timeline[2]).toMatchObject({ type: 'omitted', timestamp: 3000 });
+  });
+
+  it('should reload incidents from storage and drop the oldest resolved ones first', () => {
+    const small = new IncidentStore({ maxIncidents: 2 });
+    const oldest = small.recordAlert(makeAlert('a', 1000));
+    const resolved = small.recordAlert(makeAlert('b', 2000));
+    small.resolve(resolved.id);
+    small.recordAlert(makeAlert('c', 3000));
+
+    const reloaded = new IncidentStore();
+    expect(reloaded.query().map(incident => incident.id)).toEqual([
+      expect.stringContaining('incident_c_'),
+      oldest.id
+    ]);
+    expect(JSON.parse(localStorage.getItem(INCIDENT_CONFIG.STORAGE_KEY))).toHaveLength(2);
+  });
+});
+
+describe('AlertingSystem incidents', () => {
+  let system;
+
+  beforeEach(() => {
+    localStorage.clear();
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    system?.stopMonitoring();
+    vi.useRealTimers();
+    vi.restoreAllMocks();
+  });
+
+  it('should persist alert history and link alerts to their incidents', async () => {
+    system = new AlertingSystem();
+    system.stopMonitoring();
+    vi.spyOn(system.channels.get(ALERT_CONFIG.CHANNELS.CONSOLE), 'send').mockResolvedValue(true);
+    system.addRule('always', { condition: () => true, message: 'Always <b>on</b>', cooldownMs: 1 });
+
+    await system.checkRule('always', system.rules.get('always'), {});
+    const [alert] = system.getRecentAlerts(1);
+    const [incident] = system.getIncidents({ ruleId: 'always' });
+    expect(alert.incidentId).toBe(incident.id);
+
+    system.annotateIncident(incident.id, 'Investigating');
+    system.acknowledgeIncident(incident.id, { by: 'ops' });
+
+    const reloaded = new AlertingSystem();
+    reloaded.stopMonitoring();
+    expect(reloaded.getRecentAlerts(1)[0].id).toBe(alert.id);
+    expect(reloaded.getIncidents()[0]).toMatchObject({ id: incident.id, status: INCIDENT_STATUS.ACKNOWLEDGED });
+    expect(reloaded.getAlertStats().incidents.acknowledged).toBe(1);
+    expect(reloaded.exportIncidents('csv')).toContain('annotation');
+  });
+
+  it('should resume an escalation after a reload and record it on the incident', async () => {
+    vi.useFakeTimers();
+    system = new AlertingSystem();
+    system.stopMonitoring();
+    const consoleChannel = system.channels.get(ALERT_CONFIG.CHANNELS.CONSOLE);
+    vi.spyOn(consoleChannel, 'send').mockResolvedValue(false);
+
+    const alert = makeAlert('high_error_rate', Date.now(), { priority: 'high' });
+    system.addToHistory(alert);
+    system.escalationManager.startEscalation(alert, [consoleChannel]);
+    system.escalationManager.escalationTimers.forEach(clearTimeout);
+
+    // Reload halfway to the first retry
+    vi.advanceTimersByTime(ALERT_CONFIG.ESCALATION.RETRY_INTERVAL / 2);
+    const reloaded = new AlertingSystem();
+    reloaded.stopMonitoring();
+    const send = vi.spyOn(reloaded.channels.get(ALERT_CONFIG.CHANNELS.CONSOLE), 'send').mockResolvedValue(true);
+    expect(reloaded.escalationManager.getActiveEscalations()).toHaveLength(1);
+
+    await vi.advanceTimersByTimeAsync(ALERT_CONFIG.ESCALATION.RETRY_INTERVAL / 2);
+
+    expect(send).toHaveBeenCalledWith(expect.objectContaining({ id: alert.id, incidentId: alert.incidentId }));
+    expect(reloaded.escalationManager.getActiveEscalations()).toHaveLength(0);
+    expect(reloaded.incidents.getIncident(alert.incidentId).timeline.at(-1)).toMatchObject({ type: 'escalation', level: 1 });
+  });
+
+  it('should stop escalating once the incident is resolved', () => {
+    vi.useFakeTimers();
+    system = new AlertingSystem();
+    system.stopMonitoring();
+    const alert = makeAlert('system_unhealthy', Date.now(), { priority: 'high' });
+    system.addToHistory(alert);
+    system.escalationManager.startEscalation(alert, [system.channels.get(ALERT_CONFIG.CHANNELS.CONSOLE)]);
+
+    system.resolveIncident(alert.incidentId, 'Fixed');
+
+    expect(system.escalationManager.getActiveEscalations()).toHaveLength(0);
+    expect(JSON.parse(localStorage.getItem(ALERT_CONFIG.STORAGE_KEYS.ESCALATIONS))).toEqual({});
+  });
+});
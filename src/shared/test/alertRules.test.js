@@ -0,0 +1,274 @@
+/**
+ * Unit tests for the alert rule language
+ * Tests validation messages, thresholds, windows, rate of change, boolean combinations,
+ * alert data selectors and AlertingSystem loading rule sets
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import {
+  MetricHistory,
+  compileAlertRule,
+  parseDuration,
+  validateAlertRule,
+  validateAlertRules
+} from '../services/alertRules.js';
+import { AlertingSystem, ALERT_CONFIG } from '../services/alertingSystem.js';
+import { DEFAULT_ALERT_RULES } from '../config/alertRules.js';
+
+function errorRateMetrics(errorRate, errorEvents = 0) {
+  return { errorRates: { lastHour: { errorRate, errorEvents, totalEvents: 100 } }, performance: { health: { healthy: true } } };
+}
+
+describe('Alert rule validation', () => {
+  it('should accept the default rules', () => {
+    expect(validateAlertRules(DEFAULT_ALERT_RULES)).toEqual({ isValid: true, errors: [] });
+  });
+
+  it('should report every problem with the path where it is', () => {
+    const { isValid, errors } = validateAlertRule({
+      id: 'noisy',
+      priority: 'urgent',
+      when: { any: [
+        { metric: 'errorRate', op: '>', value: 5 },
+        { metric: 'errorRates.lastHour.errorRate', op: '=>', value: '5' },
+        { metric: 'performance.health.healthy', window: '15 minutes', aggregate: 'median', op: '>', value: 1 }
+      ] },
+      channels: ['console', 'slack'],
+      cooldwn: '5m'
+    });
+
+    expect(isValid).toBe(false);
+    expect(errors).toEqual([
+      'noisy.cooldwn: unknown field; rules take id, priority, message, when, channels, escalate, cooldown, data, enabled',
+      'noisy.priority: "urgent" is not a priority; use one of low, medium, high, critical',
+      'noisy.when.any[0].metric: unknown metric "errorRate"; paths start with one of overview, errorRates, userExperience, alerts, performance, timestamp',
+      'noisy.when.any[1].op: "=>" is not an operator; use one of >, >=, <, <=, ==, !=',
+      'noisy.when.any[2].window: "15 minutes" is not a duration; use milliseconds or e.g. "15m"',
+      'noisy.when.any[2].aggregate: "median" is not an aggregate; use one of avg, min, max, sum',
+      'noisy.channels: "slack" is not a channel; use console, browser_notification, email, webhook, custom'
+    ]);
+  });
+
+  it('should flag missing conditions, non-numeric thresholds and duplicate ids', () => {
+    const { errors } = validateAlertRules([
+      { id: 'a', when: { metric: 'errorRates.lastHour.errorRate', op: '>=', value: 'high' } },
+      { id: 'a' },
+      'b'
+    ]);
+
+    expect(errors).toEqual([
+      'rules[0] a.when.value: must be a number for >= comparisons, windows and changes, got "high"',
+      'rules[1] a.when: missing the condition that triggers the alert',
+      'rules[2] rule must be an object, got "b"',
+      'rules[1] a.id: duplicate rule id'
+    ]);
+    expect(() => compileAlertRule({ id: 'x', when: { all: [] } }, new MetricHistory()))
+      .toThrow('x.when.all: must be a non-empty list of conditions');
+  });
+
+  it('should parse durations', () => {
+    expect(parseDuration(1500)).toBe(1500);
+    expect(parseDuration('30s')).toBe(30000);
+    expect(parseDuration('1.5h')).toBe(90 * 60 * 1000);
+    expect(parseDuration('soon')).toBeNull();
+    expect(parseDuration(-1)).toBeNull();
+  });
+});
+
+describe('Alert rule conditions', () => {
+  let history;
+
+  beforeEach(() => {
+    vi.useFakeTimers();
+    history = new MetricHistory();
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  // Records the metrics the way AlertingSystem does before every check
+  function check(rule, metrics) {
+    history.record(metrics);
+    return rule.condition(metrics);
+  }
+
+  it('should combine thresholds with all, any and not', () => {
+    const rule = compileAlertRule({
+      id: 'combined',
+      when: { all: [
+        { metric: 'errorRates.lastHour.errorRate', op: '>', value: 10 },
+        { not: { metric: 'performance.health.healthy', op: '==', value: false } },
+        { any: [
+          { metric: 'errorRates.lastHour.totalEvents', op: '>=', value: 100 },
+          { metric: 'userExperience.activeFlows', op: '>', value: 0 }
+        ] }
+      ] }
+    }, history);
+
+    expect(check(rule, errorRateMetrics(20))).toBe(true);
+    expect(check(rule, errorRateMetrics(5))).toBe(false);
+    expect(check(rule, { ...errorRateMetrics(20), performance: { health: { healthy: false } } })).toBe(false);
+    // A missing metric never matches
+    expect(check(rule, {})).toBe(false);
+  });
+
+  it('should aggregate a metric over a window of checks', () => {
+    const rule = compileAlertRule({
+      id: 'sustained',
+      when: { metric: 'errorRates.lastHour.errorRate', window: '2m', aggregate: 'avg', op: '>', value: 10 }
+    }, history);
+
+    expect(check(rule, errorRateMetrics(30))).toBe(true);
+    vi.advanceTimersByTime(60 * 1000);
+    expect(check(rule, errorRateMetrics(0))).toBe(true); // avg 15
+    vi.advanceTimersByTime(60 * 1000);
+    expect(check(rule, errorRateMetrics(0))).toBe(false); // avg 10
+    vi.advanceTimersByTime(60 * 1000);
+    check(rule, errorRateMetrics(0));
+    // Samples older than the window are dropped
+    expect(history.values('errorRates.lastHour.errorRate', 0)).toEqual([0, 0, 0]);
+  });
+
+  it('should compare the absolute and relative change over a window', () => {
+    const absolute = compileAlertRule({
+      id: 'rising',
+      when: { metric: 'errorRates.lastHour.errorEvents', change: '10m', op: '>=', value: 20 }
+    }, history);
+    const relative = compileAlertRule({
+      id: 'tripled',
+      when: { metric: 'errorRates.lastHour.errorEvents', change: '10m', percent: true, op: '>=', value: 200 }
+    }, history);
+
+    // One sample is not a change yet
+    expect(check(absolute, errorRateMetrics(0, 10))).toBe(false);
+    vi.advanceTimersByTime(5 * 60 * 1000);
+    expect(check(absolute, errorRateMetrics(0, 25))).toBe(false);
+    expect(relative.condition(errorRateMetrics(0, 25))).toBe(false);
+    vi.advanceTimersByTime(4 * 60 * 1000);
+    expect(check(absolute, errorRateMetrics(0, 30))).toBe(true);
+    expect(relative.condition(errorRateMetrics(0, 30))).toBe(true);
+  });
+
+  it('should resolve alert data from metric paths and keep literal values', () => {
+    const rule = compileAlertRule({
+      id: 'with_data',
+      when: { metric: 'errorRates.lastHour.errorRate', op: '>', value: 1 },
+      data: { errorRate: 'errorRates.lastHour.errorRate', threshold: 1, missing: 'overview.uptime' },
+      cooldown: '1m'
+    }, history);
+
+    expect(rule.data(errorRateMetrics(7))).toEqual({ errorRate: 7, threshold: 1, missing: undefined });
+    expect(rule.cooldownMs).toBe(60000);
+  });
+});
+
+describe('AlertingSystem rule sets', () => {
+  let system;
+
+  beforeEach(() => {
+    localStorage.clear();
+    system = new AlertingSystem();
+    system.stopMonitoring();
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    vi.unstubAllGlobals();
+    vi.restoreAllMocks();
+  });
+
+  it('should start with the default rules', () => {
+    expect(Array.from(system.rules.keys())).toEqual(DEFAULT_ALERT_RULES.map(rule => rule.id));
+  });
+
+  it('should check the default rules against ALERT_CONFIG thresholds', async () => {
+    const rule = id => system.rules.get(id);
+
+    await system.checkRule('high_error_rate', rule('high_error_rate'), errorRateMetrics(ALERT_CONFIG.THRESHOLDS.ERROR_RATE_CRITICAL));
+    expect(system.getRecentAlerts()).toHaveLength(0);
+    await system.checkRule('high_error_rate', rule('high_error_rate'), errorRateMetrics(ALERT_CONFIG.THRESHOLDS.ERROR_RATE_CRITICAL + 1, 16));
+    expect(system.getRecentAlerts()[0].data).toEqual({
+      errorRate: ALERT_CONFIG.THRESHOLDS.ERROR_RATE_CRITICAL + 1,
+      errorCount: 16,
+      totalEvents: 100,
+      threshold: ALERT_CONFIG.THRESHOLDS.ERROR_RATE_CRITICAL
+    });
+
+    // Like a false flag, missing health data is reported
+    expect(rule('system_unhealthy').condition(errorRateMetrics(0))).toBe(false);
+    expect(rule('system_unhealthy').condition({ performance: { health: { healthy: false } } })).toBe(true);
+    expect(rule('system_unhealthy').condition({ performance: {} })).toBe(true);
+  });
+
+  it('should take alert data from functions or plain objects', async () => {
+    system.addRule('manual', { condition: () => true, data: { source: 'manual' } });
+    system.addRule('computed', { condition: () => true, data: metrics => ({ errorRate: metrics.errorRates.lastHour.errorRate }) });
+
+    await system.checkRule('manual', system.rules.get('manual'), errorRateMetrics(3));
+    await system.checkRule('computed', system.rules.get('computed'), errorRateMetrics(3));
+
+    const data = Object.fromEntries(system.getRecentAlerts().map(alert => [alert.ruleId, alert.data]));
+    expect(data).toEqual({ manual: { source: 'manual' }, computed: { errorRate: 3 } });
+  });
+
+  it('should route alerts of a loaded rule to its channels with its data', async () => {
+    const consoleSend = vi.spyOn(system.channels.get(ALERT_CONFIG.CHANNELS.CONSOLE), 'send').mockResolvedValue(true);
+    const browserSend = vi.spyOn(system.channels.get(ALERT_CONFIG.CHANNELS.BROWSER_NOTIFICATION), 'send').mockResolvedValue(true);
+
+    system.loadRules([{
+      id: 'error_spike',
+      priority: 'critical',
+      message: 'Error spike',
+      when: { metric: 'errorRates.lastHour.errorRate', op: '>', value: 50 },
+      channels: ['browser_notification'],
+      data: { errorRate: 'errorRates.lastHour.errorRate' }
+    }]);
+    await system.checkRule('error_spike', system.rules.get('error_spike'), errorRateMetrics(80));
+
+    expect(Array.from(system.rules.keys())).toEqual(['error_spike']);
+    expect(consoleSend).not.toHaveBeenCalled();
+    expect(browserSend).toHaveBeenCalledWith(expect.objectContaining({
+      type: 'ERROR_SPIKE',
+      priority: 'critical',
+      data: { errorRate: 80 }
+    }));
+  });
+
+  it('should skip disabled rules', async () => {
+    system.loadRules([{ id: 'off', enabled: false, when: { metric: 'errorRates.lastHour.errorRate', op: '>', value: 0 } }]);
+    await system.checkRule('off', system.rules.get('off'), errorRateMetrics(10));
+    expect(system.getRecentAlerts()).toHaveLength(0);
+  });
+
+  it('should fire every check when a rule has no cooldown', async () => {
+    system.loadRules([{ id: 'every_check', cooldown: 0, when: { metric: 'errorRates.lastHour.errorRate', op: '>', value: 0 } }]);
+    expect(system.rules.get('every_check').cooldownMs).toBe(0);
+
+    await system.checkRule('every_check', system.rules.get('every_check'), errorRateMetrics(10));
+    await system.checkRule('every_check', system.rules.get('every_check'), errorRateMetrics(10));
+    expect(system.getRecentAlerts()).toHaveLength(2);
+  });
+
+  it('should keep the current rules when a rule set is invalid', async () => {
+    expect(() => system.loadRules([{ id: 'broken', when: { metric: 'nope', op: '>', value: 1 } }]))
+      .toThrow('rules[0] broken.when.metric: unknown metric "nope"');
+
+    vi.stubGlobal('fetch', vi.fn().mockResolvedValue({ ok: true, json: async () => ({ rules: 'none' }) }));
+    const result = await system.loadRulesFromUrl('/alert-rules.json');
+
+    expect(result).toEqual({ success: false, errors: ['rules must be a list, got "none"'] });
+    expect(system.rules.size).toBe(DEFAULT_ALERT_RULES.length);
+  });
+
+  it('should load rule sets from a URL', async () => {
+    vi.stubGlobal('fetch', vi.fn().mockResolvedValue({
+      ok: true,
+      json: async () => [{ id: 'slow_auth', when: { metric: 'userExperience.averageAuthTime', op: '>', value: 8000 } }]
+    }));
+
+    expect(await system.loadRulesFromUrl('/alert-rules.json')).toEqual({ success: true, count: 1 });
+    expect(fetch).toHaveBeenCalledWith('/alert-rules.json', { cache: 'no-store' });
+    expect(system.rules.get('slow_auth')).toMatchObject({ priority: 'medium', channels: ['console'] });
+  });
+});
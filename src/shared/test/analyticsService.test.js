@@ -0,0 +1,111 @@
+/**
+ * Unit tests for productivity analytics
+ * Task changes recorded by the mock backend are aggregated into user_analytics
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+
+vi.mock('../config/supabase.js', () => ({
+  supabase: null,
+  TABLES: {
+    USERS: 'users',
+    PROJECTS: 'projects',
+    TASKS: 'tasks',
+    PROJECT_MEMBERS: 'project_members',
+    CHAT_MESSAGES: 'chat_messages',
+    USER_ANALYTICS: 'user_analytics',
+    TASK_EVENTS: 'task_events'
+  }
+}));
+
+import { authService } from '../services/authService.js';
+import { projectService } from '../services/projectService.js';
+import { taskService, TASK_STATUS } from '../services/taskService.js';
+import {
+  analyticsService,
+  aggregateTaskEvents,
+  compareWeeks,
+  buildDailySeries
+} from '../services/analyticsService.js';
+
+const USER = { id: 'user-1', email: 'demo@anclora.com' };
+const NOW = new Date(2026, 9, 19, 12);
+const daysAgo = days => new Date(2026, 9, 19 - days, 12);
+
+describe('Productivity analytics', () => {
+  describe('aggregation rules', () => {
+    it('should count completions minus reopenings, logged hours and estimate efficiency', () => {
+      const rows = aggregateTaskEvents([
+        { user_id: 'u1', project_id: 'p1', to_status: 'done', from_status: 'in-review', estimated_hours: 4, actual_hours: 5, hours_delta: 0 },
+        { user_id: 'u1', project_id: 'p1', to_status: 'done', from_status: 'todo', estimated_hours: 6, actual_hours: 3, hours_delta: 3 },
+        { user_id: 'u1', project_id: 'p1', to_status: 'todo', from_status: 'done', hours_delta: 0 },
+        { user_id: 'u1', project_id: 'p2', to_status: null, from_status: null, hours_delta: 2.5 },
+        { user_id: null, project_id: 'p2', to_status: 'done', hours_delta: 1 }
+      ], '2026-10-18');
+
+      expect(rows).toEqual([
+        { user_id: 'u1', project_id: 'p1', date: '2026-10-18', tasks_completed: 1, hours_worked: 3, efficiency_score: 0.9 },
+        { user_id: 'u1', project_id: 'p2', date: '2026-10-18', tasks_completed: 0, hours_worked: 2.5, efficiency_score: null }
+      ]);
+    });
+
+    it('should compare the last seven days with the seven before', () => {
+      const rows = [
+        { date: '2026-10-19', project_id: 'p1', tasks_completed: 3, hours_worked: 6, efficiency_score: 0.8 },
+        { date: '2026-10-13', project_id: 'p1', tasks_completed: 3, hours_worked: 4, efficiency_score: null },
+        { date: '2026-10-12', project_id: 'p1', tasks_completed: 4, hours_worked: 5, efficiency_score: 0.5 },
+        { date: '2026-10-05', project_id: 'p1', tasks_completed: 9, hours_worked: 9, efficiency_score: 1 }
+      ];
+
+      expect(compareWeeks(rows, NOW)).toEqual({
+        current: { tasksCompleted: 6, hoursWorked: 10, efficiency: 0.8 },
+        previous: { tasksCompleted: 4, hoursWorked: 5, efficiency: 0.5 },
+        change: { tasksCompleted: 50, hoursWorked: 100, efficiency: 60 }
+      });
+      expect(buildDailySeries(rows, daysAgo(2), NOW).map(day => day.tasksCompleted)).toEqual([0, 0, 3]);
+    });
+  });
+
+  describe('AnalyticsService (mock backend)', () => {
+    let project;
+
+    beforeEach(async () => {
+      localStorage.clear();
+      vi.spyOn(console, 'log').mockImplementation(() => {});
+      vi.useFakeTimers({ toFake: ['Date'] });
+      authService.currentUser = USER;
+      project = await projectService.createProject({ name: 'Website' });
+    });
+
+    afterEach(() => {
+      vi.useRealTimers();
+    });
+
+    const completeTask = async (title, when, values = {}) => {
+      vi.setSystemTime(when);
+      const task = await taskService.createTask(project.id, { title, estimated_hours: 4, ...values });
+      await taskService.updateTask(task.id, { actual_hours: 5 });
+      await taskService.moveTask(task.id, { status: TASK_STATUS.DONE });
+      return task;
+    };
+
+    it('should aggregate finished days once and compute today live', async () => {
+      await completeTask('Wireframes', daysAgo(8));
+      await completeTask('Copy', daysAgo(2));
+      await completeTask('Deploy', daysAgo(0), { estimated_hours: 5 });
+      vi.setSystemTime(NOW);
+
+      const report = await analyticsService.getProductivityReport({ days: 7, now: NOW });
+
+      expect(report.series).toHaveLength(7);
+      expect(report.series.slice(-3).map(day => day.tasksCompleted)).toEqual([1, 0, 1]);
+      expect(report.totals).toEqual({ tasksCompleted: 2, hoursWorked: 10, efficiency: 0.9 });
+      expect(report.projects).toEqual([{ projectId: project.id, name: 'Website', tasksCompleted: 2, hoursWorked: 10, efficiency: 0.9 }]);
+      expect(report.weekOverWeek.change.tasksCompleted).toBe(100);
+
+      const stored = await analyticsService.listAnalytics('2026-01-01', '2026-12-31');
+      expect(stored.map(row => row.date)).toEqual(['2026-10-11', '2026-10-17']);
+      expect(await analyticsService.runNightlyAggregation(NOW)).toEqual([]);
+    });
+  });
+});
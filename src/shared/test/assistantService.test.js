@@ -0,0 +1,83 @@
+/**
+ * Unit tests for the assistant service
+ * Exercises the local provider against the localStorage mock backend
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+
+vi.mock('../config/supabase.js', () => ({
+  supabase: null,
+  TABLES: {
+    USERS: 'users',
+    PROJECTS: 'projects',
+    TASKS: 'tasks',
+    PROJECT_MEMBERS: 'project_members',
+    CHAT_MESSAGES: 'chat_messages',
+    USER_ANALYTICS: 'user_analytics',
+    TASK_EVENTS: 'task_events'
+  }
+}));
+
+import { authService } from '../services/authService.js';
+import { projectService } from '../services/projectService.js';
+import { taskService } from '../services/taskService.js';
+import { invitationService } from '../services/invitationService.js';
+import { AssistantService, LOCAL_PROVIDER } from '../services/assistantService.js';
+import { ASSISTANT_INTENTS } from '../utils/assistantIntents.js';
+
+const OWNER = { id: 'owner-1', email: 'owner@anclora.com' };
+const VIEWER = { id: 'user-2', email: 'ana@example.com' };
+
+describe('AssistantService (mock backend)', () => {
+  let service;
+  let project;
+
+  beforeEach(async () => {
+    localStorage.clear();
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    authService.currentUser = OWNER;
+    service = new AssistantService();
+    project = await projectService.createProject({ name: 'Website' });
+    await taskService.createTask(project.id, { title: 'Diseñar home', due_date: '2020-01-01T00:00:00.000Z' });
+  });
+
+  it('should answer from the user\'s projects with the local provider', async () => {
+    const reply = await service.ask('¿Qué está vencido en Website?');
+
+    expect(reply.provider).toBe(LOCAL_PROVIDER);
+    expect(reply.intent).toBe(ASSISTANT_INTENTS.OVERDUE);
+    expect(reply.tasks.map(task => task.title)).toEqual(['Diseñar home']);
+    await expect(service.ask('   ')).rejects.toThrow('Escribe una pregunta');
+  });
+
+  it('should fall back to the local provider when a plugged provider fails', async () => {
+    const respond = vi.fn().mockRejectedValue(new Error('offline'));
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+
+    expect(() => service.registerProvider({ name: 'remote' })).toThrow('no válido');
+    service.registerProvider({ name: 'remote', respond });
+    service.useProvider('remote');
+
+    const reply = await service.ask('what should I do next?', { projectId: project.id });
+    expect(respond).toHaveBeenCalledWith('what should I do next?', expect.objectContaining({ projectId: project.id, userId: OWNER.id }));
+    expect(reply.provider).toBe(LOCAL_PROVIDER);
+    expect(reply.suggestions.map(item => item.task.title)).toEqual(['Diseñar home']);
+    expect(() => service.useProvider('missing')).toThrow('desconocido');
+  });
+
+  it('should only apply confirmed actions the user is allowed to perform', async () => {
+    const { action } = await service.ask('crea una tarea "Publicar" en Website con prioridad urgente');
+    expect((await taskService.listTasks(project.id)).count).toBe(1);
+
+    const created = await service.executeAction(action);
+    expect(created).toMatchObject({ title: 'Publicar', priority: 'urgent', project_id: project.id });
+
+    const invitation = await invitationService.createInvitation(project.id, VIEWER.email, 'viewer');
+    authService.currentUser = VIEWER;
+    await invitationService.acceptInvitation(invitation.invite_token);
+
+    const update = await service.ask('marca «Publicar» como hecha');
+    await expect(service.executeAction(update.action)).rejects.toThrow('permiso');
+    expect((await taskService.getTask(created.id)).status).toBe('todo');
+  });
+});
@@ -39,6 +39,14 @@ function testErrorClassification() {
       error: { message: 'Too many requests', code: 'too_many_requests' },
       expected: AUTH_ERROR_TYPES.AUTH_RATE_LIMITED
     },
+    {
+      error: { message: 'Invalid TOTP code entered', code: 'mfa_verification_failed' },
+      expected: AUTH_ERROR_TYPES.MFA_INVALID_CODE
+    },
+    {
+      error: { message: 'MFA challenge has expired', code: 'mfa_challenge_expired' },
+      expected: AUTH_ERROR_TYPES.MFA_CHALLENGE_EXPIRED
+    },
     {
       error: new Error('Internal server error'),
       expected: AUTH_ERROR_TYPES.SERVER_ERROR
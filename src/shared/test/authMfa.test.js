@@ -0,0 +1,243 @@
+/**
+ * Unit tests for TOTP multi-factor authentication in AuthService
+ * Covers the mock-mode enrollment, login challenge and recovery codes, and the
+ * Supabase assurance-level handling
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+
+vi.mock('../config/supabase.js', () => ({
+  supabase: {
+    from: vi.fn(),
+    auth: {
+      signInWithPassword: vi.fn(),
+      signOut: vi.fn().mockResolvedValue({ error: null }),
+      getSession: vi.fn().mockResolvedValue({ data: { session: null } }),
+      onAuthStateChange: vi.fn(() => ({ data: { subscription: { unsubscribe: vi.fn() } } })),
+      mfa: {
+        getAuthenticatorAssuranceLevel: vi.fn(),
+        listFactors: vi.fn(),
+        challengeAndVerify: vi.fn()
+      }
+    }
+  }
+}));
+
+import { authService } from '../services/authService.js';
+import { authChannel, AUTH_CHANNEL_EVENTS } from '../services/authChannel.js';
+import { AUTH_ERROR_TYPES } from '../services/authErrorHandler.js';
+import { supabase } from '../config/supabase.js';
+import { generateTotp } from '../utils/totp.js';
+
+const DEMO_USER = { id: '1', name: 'Usuario Demo', email: 'demo@anclora.com', avatar: null, provider: 'email' };
+
+const signInDemo = () => authService.login('demo@anclora.com', 'demo123');
+
+// auth-js serializes its session work behind one lock; calls queue until the holder finishes
+const createAuthLock = () => {
+  let held = Promise.resolve();
+  return (fn) => {
+    const run = held.then(fn);
+    held = run.catch(() => {});
+    return run;
+  };
+};
+
+// Enroll the demo user and return the TOTP secret and recovery codes
+const enrollDemo = async () => {
+  authService.storeMockSession(DEMO_USER, 'mock_token_setup');
+  const enrollment = await authService.enrollMfa('Phone');
+  const recoveryCodes = await authService.confirmMfaEnrollment(enrollment.factorId, await generateTotp(enrollment.secret));
+  localStorage.removeItem('auth_token');
+  localStorage.removeItem('user_data');
+  authService.currentUser = null;
+  return { ...enrollment, recoveryCodes };
+};
+
+describe('AuthService MFA', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    localStorage.clear();
+    authService.currentUser = null;
+    authService.session = null;
+    authService.mfaChallenge = null;
+    authService.isSupabaseEnabled = false;
+    vi.spyOn(authService, 'checkConnectivityBeforeAuth').mockResolvedValue({ canProceed: true });
+    vi.spyOn(authService, 'mockApiCall').mockImplementation(async () => ({
+      success: true,
+      token: 'mock_token_login',
+      user: DEMO_USER
+    }));
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+    vi.useRealTimers();
+  });
+
+  it('should enroll a TOTP factor and hand out recovery codes once', async () => {
+    authService.storeMockSession(DEMO_USER, 'mock_token_setup');
+
+    const enrollment = await authService.enrollMfa('Phone');
+    expect(enrollment.uri).toContain('otpauth://totp/Anclora%20Kairon:demo%40anclora.com?secret=');
+    expect(enrollment.qrCode).toBeNull();
+
+    await expect(authService.confirmMfaEnrollment(enrollment.factorId, '000000'))
+      .rejects.toMatchObject({ code: 'mfa_verification_failed' });
+
+    const codes = await authService.confirmMfaEnrollment(enrollment.factorId, await generateTotp(enrollment.secret));
+    expect(codes).toHaveLength(10);
+    expect(localStorage.getItem('kairon_mock_mfa')).not.toContain(codes[0]);
+
+    const status = await authService.getMfaStatus();
+    expect(status).toMatchObject({ enabled: true, recoveryCodesRemaining: 10 });
+    expect(status.factors[0]).toMatchObject({ id: enrollment.factorId, friendlyName: 'Phone' });
+  });
+
+  it('should hold the session until the TOTP code is verified', async () => {
+    const { secret } = await enrollDemo();
+
+    await signInDemo();
+    expect(authService.isMfaRequired()).toBe(true);
+    expect(authService.isAuthenticated()).toBe(false);
+    expect(localStorage.getItem('auth_token')).toBeNull();
+    expect(authService.getMfaChallenge()).toEqual({ factorId: expect.any(String), email: 'demo@anclora.com', expiresAt: expect.any(Number) });
+
+    const wrong = await authService.verifyMfaWithErrorHandling('123456', { language: 'en' });
+    expect(wrong.success).toBe(false);
+    expect(wrong.error.type).toBe(AUTH_ERROR_TYPES.MFA_INVALID_CODE);
+    expect(wrong.error.userMessage).toContain('That code is not correct');
+    expect(authService.isMfaRequired()).toBe(true);
+
+    const result = await authService.verifyMfaWithErrorHandling(await generateTotp(secret));
+    expect(result).toMatchObject({ success: true, user: DEMO_USER, mfaDisabled: false });
+    expect(authService.isAuthenticated()).toBe(true);
+    expect(localStorage.getItem('auth_token')).toBe('mock_token_login');
+  });
+
+  it('should sign in with a recovery code once and turn MFA off', async () => {
+    const { recoveryCodes } = await enrollDemo();
+
+    await signInDemo();
+    const invalid = await authService.verifyMfaWithErrorHandling('aaaaa-aaaaa', { recovery: true });
+    expect(invalid.error.type).toBe(AUTH_ERROR_TYPES.MFA_RECOVERY_CODE_INVALID);
+    expect(invalid.error.userMessage).toContain('código de recuperación no es válido');
+
+    const result = await authService.verifyMfaWithErrorHandling(recoveryCodes[3].toUpperCase(), { recovery: true });
+    expect(result).toMatchObject({ success: true, mfaDisabled: true });
+    expect(authService.isAuthenticated()).toBe(true);
+    expect(await authService.getMfaStatus()).toMatchObject({ enabled: false, recoveryCodesRemaining: 0 });
+
+    // Without MFA the next sign in goes straight through
+    await signInDemo();
+    expect(authService.isMfaRequired()).toBe(false);
+  });
+
+  it('should expire a challenge left unanswered', async () => {
+    const { secret } = await enrollDemo();
+    vi.useFakeTimers({ toFake: ['Date'] });
+    vi.setSystemTime(new Date('2026-10-19T10:00:00Z'));
+
+    await signInDemo();
+    vi.setSystemTime(new Date('2026-10-19T10:06:00Z'));
+
+    const result = await authService.verifyMfaWithErrorHandling(await generateTotp(secret));
+    expect(result.error.type).toBe(AUTH_ERROR_TYPES.MFA_CHALLENGE_EXPIRED);
+    expect(authService.isMfaRequired()).toBe(false);
+    expect(authService.isAuthenticated()).toBe(false);
+  });
+
+  it('should ask for the second factor when Supabase reports aal1 with aal2 available', async () => {
+    authService.isSupabaseEnabled = true;
+    const session = { access_token: 'jwt', user: { id: 'u1', email: 'ana@example.com' } };
+    supabase.auth.signInWithPassword.mockResolvedValue({ data: { user: session.user, session }, error: null });
+    supabase.auth.mfa.getAuthenticatorAssuranceLevel.mockResolvedValue({ data: { currentLevel: 'aal1', nextLevel: 'aal2' }, error: null });
+    supabase.auth.mfa.listFactors.mockResolvedValue({ data: { totp: [{ id: 'factor-1', status: 'verified' }] }, error: null });
+    authService.session = session;
+    authService.currentUser = session.user;
+
+    const login = await authService.loginWithConnectionRetry('ana@example.com', 'secret', { maxRetries: 1 });
+    expect(login).toMatchObject({ success: true, mfaRequired: true });
+    expect(authService.isAuthenticated()).toBe(false);
+
+    supabase.auth.mfa.challengeAndVerify.mockResolvedValueOnce({
+      data: null,
+      error: { code: 'mfa_verification_failed', message: 'Invalid TOTP code entered' }
+    });
+    const wrong = await authService.verifyMfaWithErrorHandling('111111');
+    expect(wrong.error.type).toBe(AUTH_ERROR_TYPES.MFA_INVALID_CODE);
+
+    supabase.auth.mfa.challengeAndVerify.mockResolvedValueOnce({ data: {}, error: null });
+    supabase.auth.getSession.mockResolvedValueOnce({ data: { session } });
+    const result = await authService.verifyMfaWithErrorHandling('222 222');
+
+    expect(supabase.auth.mfa.challengeAndVerify).toHaveBeenLastCalledWith({ factorId: 'factor-1', code: '222222' });
+    expect(result.success).toBe(true);
+    expect(authService.isAuthenticated()).toBe(true);
+  });
+
+  it('should keep sessions announced by Supabase on the code step until they reach aal2', async () => {
+    authService.isSupabaseEnabled = true;
+    const session = { access_token: 'jwt', user: { id: 'u1', email: 'ana@example.com' } };
+    const withLock = createAuthLock();
+    let level = { currentLevel: 'aal1', nextLevel: 'aal2' };
+    supabase.auth.getSession.mockResolvedValueOnce({ data: { session: null } });
+    supabase.auth.mfa.getAuthenticatorAssuranceLevel.mockImplementation(() => withLock(async () => ({ data: level, error: null })));
+    supabase.auth.mfa.listFactors.mockImplementation(() => withLock(async () => ({ data: { totp: [{ id: 'factor-1', status: 'verified' }] }, error: null })));
+    vi.spyOn(authService, 'handleSignIn').mockResolvedValue();
+    await authService.initializeAuth();
+    const [onAuthStateChange] = supabase.auth.onAuthStateChange.mock.calls.at(-1);
+
+    // Like auth-js refreshing a token: subscribers are notified while the lock is held
+    const notify = (event, changed) => Promise.race([
+      withLock(async () => {
+        await onAuthStateChange(event, changed);
+        return 'notified';
+      }),
+      new Promise(resolve => setTimeout(() => resolve('deadlocked'), 200))
+    ]);
+
+    expect(await notify('SIGNED_IN', session)).toBe('notified');
+    await vi.waitFor(() => expect(authService.getMfaChallenge()).toMatchObject({ factorId: 'factor-1', email: 'ana@example.com' }));
+    expect(authService.isAuthenticated()).toBe(false);
+    expect(authService.handleSignIn).toHaveBeenCalledWith(session);
+
+    expect(await notify('TOKEN_REFRESHED', { ...session, access_token: 'jwt-2' })).toBe('notified');
+    await vi.waitFor(() => expect(authService.getToken()).toBe('jwt-2'));
+    expect(authService.isAuthenticated()).toBe(false);
+
+    level = { currentLevel: 'aal2', nextLevel: 'aal2' };
+    expect(await notify('TOKEN_REFRESHED', { ...session, access_token: 'jwt-3' })).toBe('notified');
+    await vi.waitFor(() => expect(authService.getToken()).toBe('jwt-3'));
+    expect(authService.isMfaRequired()).toBe(false);
+    expect(authService.isAuthenticated()).toBe(true);
+  });
+
+  it('should only tell other tabs about Supabase sign ins once they reach aal2', async () => {
+    authService.isSupabaseEnabled = true;
+    const session = { access_token: 'jwt', user: { id: 'u1', email: 'ana@example.com' } };
+    const publish = vi.spyOn(authChannel, 'publish');
+    const profile = { select: vi.fn(() => profile), eq: vi.fn(() => profile), single: vi.fn(async () => ({ data: { onboarding_completed: true }, error: null })) };
+    supabase.from.mockReturnValue(profile);
+    supabase.auth.mfa.getAuthenticatorAssuranceLevel.mockResolvedValue({ data: { currentLevel: 'aal1', nextLevel: 'aal2' }, error: null });
+    supabase.auth.mfa.listFactors.mockResolvedValue({ data: { totp: [{ id: 'factor-1', status: 'verified' }] }, error: null });
+
+    await authService.applySession(session);
+    await authService.handleSignIn(session);
+    expect(publish).not.toHaveBeenCalled();
+
+    // Nor does another tab's announcement skip the code step
+    authService.session = null;
+    authService.currentUser = null;
+    authService.mfaChallenge = null;
+    supabase.auth.getSession.mockResolvedValueOnce({ data: { session } });
+    await authService.handleRemoteAuthEvent({ type: AUTH_CHANNEL_EVENTS.SIGNED_IN, userId: 'u1' });
+    expect(authService.isMfaRequired()).toBe(true);
+    expect(authService.isAuthenticated()).toBe(false);
+
+    supabase.auth.mfa.challengeAndVerify.mockResolvedValueOnce({ data: {}, error: null });
+    supabase.auth.getSession.mockResolvedValueOnce({ data: { session } });
+    await authService.verifyMfaChallenge('123456');
+    expect(publish).toHaveBeenCalledWith(AUTH_CHANNEL_EVENTS.SIGNED_IN, { userId: 'u1' });
+  });
+});
@@ -0,0 +1,151 @@
+/**
+ * Unit tests for passwordless sign in (magic link and email OTP) in AuthService
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+
+vi.mock('../config/supabase.js', () => ({
+  supabase: {
+    auth: {
+      signInWithOtp: vi.fn(),
+      verifyOtp: vi.fn(),
+      signOut: vi.fn().mockResolvedValue({ error: null }),
+      getSession: vi.fn().mockResolvedValue({ data: { session: null } }),
+      onAuthStateChange: vi.fn(() => ({ data: { subscription: { unsubscribe: vi.fn() } } })),
+      mfa: {
+        getAuthenticatorAssuranceLevel: vi.fn(),
+        listFactors: vi.fn()
+      }
+    }
+  }
+}));
+
+import { authService } from '../services/authService.js';
+import { authErrorHandler, AUTH_ERROR_TYPES } from '../services/authErrorHandler.js';
+import { supabase } from '../config/supabase.js';
+
+const storedRecord = () => JSON.parse(localStorage.getItem('kairon_email_otp'));
+
+describe('AuthService passwordless sign in', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    localStorage.clear();
+    authService.currentUser = null;
+    authService.session = null;
+    authService.mfaChallenge = null;
+    authService.isSupabaseEnabled = false;
+    vi.spyOn(authService, 'checkConnectivityBeforeAuth').mockResolvedValue({ canProceed: true });
+    vi.spyOn(console, 'info').mockImplementation(() => {});
+    supabase.auth.getSession.mockResolvedValue({ data: { session: null } });
+    supabase.auth.mfa.getAuthenticatorAssuranceLevel.mockResolvedValue({ data: { currentLevel: 'aal1', nextLevel: 'aal1' }, error: null });
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+    vi.useRealTimers();
+  });
+
+  it('should sign in with the emailed code once and throttle repeated requests', async () => {
+    const sent = await authService.loginWithMagicLink(' Demo@Anclora.com ');
+    expect(sent).toMatchObject({ success: true, email: 'demo@anclora.com' });
+    expect(sent.resendAvailableAt - Date.now()).toBeGreaterThan(55 * 1000);
+    expect(authService.checkConnectivityBeforeAuth).toHaveBeenCalledWith('magic_link');
+
+    const again = await authService.loginWithMagicLink('demo@anclora.com', { language: 'en' });
+    expect(again.success).toBe(false);
+    expect(again.error.type).toBe(AUTH_ERROR_TYPES.OTP_RATE_LIMITED);
+    expect(again.error.userMessage).toContain('Wait a minute');
+
+    const { code } = storedRecord();
+    const wrong = await authService.loginWithEmailOtp('demo@anclora.com', code === '000000' ? '111111' : '000000');
+    expect(wrong.error.type).toBe(AUTH_ERROR_TYPES.OTP_EXPIRED);
+
+    const result = await authService.loginWithEmailOtp('demo@anclora.com', `${code.slice(0, 3)} ${code.slice(3)}`);
+    expect(result).toMatchObject({ success: true, mfaRequired: false, user: { id: '1', email: 'demo@anclora.com' } });
+    expect(authService.isAuthenticated()).toBe(true);
+
+    const reused = await authService.loginWithEmailOtp('demo@anclora.com', code);
+    expect(reused.error.type).toBe(AUTH_ERROR_TYPES.OTP_ALREADY_USED);
+  });
+
+  it('should finish a mock magic link on the callback page until it expires', async () => {
+    vi.useFakeTimers({ toFake: ['Date'] });
+    vi.setSystemTime(new Date('2026-10-19T10:00:00Z'));
+
+    await authService.loginWithMagicLink('ana@example.com');
+    const { tokenHash } = storedRecord();
+
+    const wrongLink = await authService.handleMagicLinkCallback({ tokenHash: 'other' });
+    expect(wrongLink.error.type).toBe(AUTH_ERROR_TYPES.OTP_EXPIRED);
+
+    vi.setSystemTime(new Date('2026-10-19T11:01:00Z'));
+    const expired = await authService.handleMagicLinkCallback({ tokenHash });
+    expect(expired.error.type).toBe(AUTH_ERROR_TYPES.OTP_EXPIRED);
+    expect(authService.isAuthenticated()).toBe(false);
+
+    vi.setSystemTime(new Date('2026-10-19T10:30:00Z'));
+    const result = await authService.handleMagicLinkCallback({ tokenHash });
+    expect(result).toMatchObject({ success: true, user: { email: 'ana@example.com', provider: 'email' } });
+  });
+
+  it('should stop before calling Supabase when offline', async () => {
+    authService.checkConnectivityBeforeAuth.mockResolvedValue({ canProceed: false, error: 'No network connection available' });
+    authService.isSupabaseEnabled = true;
+
+    const result = await authService.loginWithMagicLink('ana@example.com');
+
+    expect(result.error.type).toBe(AUTH_ERROR_TYPES.NETWORK_ERROR);
+    expect(supabase.auth.signInWithOtp).not.toHaveBeenCalled();
+  });
+
+  it('should classify Supabase rate limits, expired links and reused links', async () => {
+    authService.isSupabaseEnabled = true;
+    supabase.auth.signInWithOtp.mockResolvedValueOnce({
+      error: { code: 'over_email_send_rate_limit', message: 'email rate limit exceeded', status: 429 }
+    });
+
+    const limited = await authService.loginWithMagicLink('ana@example.com');
+    expect(limited.error.type).toBe(AUTH_ERROR_TYPES.OTP_RATE_LIMITED);
+
+    supabase.auth.signInWithOtp.mockResolvedValueOnce({ error: null });
+    await authService.loginWithMagicLink('ana@example.com');
+    expect(supabase.auth.signInWithOtp).toHaveBeenLastCalledWith({
+      email: 'ana@example.com',
+      options: { emailRedirectTo: `${window.location.origin}/auth/callback.html?type=magiclink`, shouldCreateUser: true }
+    });
+
+    const expired = await authService.handleMagicLinkCallback({ errorCode: 'otp_expired', errorDescription: 'Email link is invalid or has expired' });
+    expect(expired.error.type).toBe(AUTH_ERROR_TYPES.OTP_EXPIRED);
+
+    const session = { access_token: 'jwt', user: { id: 'u1', email: 'ana@example.com' } };
+    supabase.auth.verifyOtp.mockResolvedValueOnce({ data: { session, user: session.user }, error: null });
+    supabase.auth.getSession.mockResolvedValueOnce({ data: { session } });
+    const signedIn = await authService.handleMagicLinkCallback({ tokenHash: 'hash', type: 'email' });
+    expect(supabase.auth.verifyOtp).toHaveBeenCalledWith({ token_hash: 'hash', type: 'email' });
+    expect(signedIn).toMatchObject({ success: true, mfaRequired: false, user: session.user });
+
+    // Mail scanners or a second click: Supabase only says otp_expired
+    supabase.auth.verifyOtp.mockResolvedValueOnce({ data: {}, error: { code: 'otp_expired', message: 'Token has expired or is invalid' } });
+    const reused = await authService.handleMagicLinkCallback({ tokenHash: 'hash', type: 'email' });
+    expect(reused.error.type).toBe(AUTH_ERROR_TYPES.OTP_ALREADY_USED);
+  });
+
+  it('should ask for the second factor after an email code when MFA is on', async () => {
+    authService.isSupabaseEnabled = true;
+    const session = { access_token: 'jwt', user: { id: 'u1', email: 'ana@example.com' } };
+    supabase.auth.verifyOtp.mockResolvedValueOnce({ data: { session, user: session.user }, error: null });
+    supabase.auth.mfa.getAuthenticatorAssuranceLevel.mockResolvedValueOnce({ data: { currentLevel: 'aal1', nextLevel: 'aal2' }, error: null });
+    supabase.auth.mfa.listFactors.mockResolvedValueOnce({ data: { totp: [{ id: 'factor-1', status: 'verified' }] }, error: null });
+
+    const result = await authService.loginWithEmailOtp('ana@example.com', '123456');
+
+    expect(supabase.auth.verifyOtp).toHaveBeenCalledWith({ email: 'ana@example.com', token: '123456', type: 'email' });
+    expect(result).toMatchObject({ success: true, mfaRequired: true, user: null });
+    expect(authService.isAuthenticated()).toBe(false);
+  });
+
+  it('should keep classifying login throttling as a login rate limit', () => {
+    expect(authErrorHandler.classifyError({ message: 'Rate limit exceeded', status: 429 })).toBe(AUTH_ERROR_TYPES.AUTH_RATE_LIMITED);
+    expect(authErrorHandler.classifyError({ message: 'email rate limit exceeded', code: 'over_email_send_rate_limit' })).toBe(AUTH_ERROR_TYPES.OTP_RATE_LIMITED);
+  });
+});
@@ -0,0 +1,156 @@
+/**
+ * Unit tests for BetaWaitlistService
+ * Covers double opt-in, duplicate signups, referral positions and the status page data
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+
+vi.mock('../config/supabase.js', () => ({
+  supabase: {
+    rpc: vi.fn()
+  },
+  TABLES: {
+    BETA_SIGNUPS: 'beta_signups'
+  }
+}));
+
+import { betaWaitlistService, rankWaitlist, BETA_SIGNUP_STATUS, REFERRAL_BOOST } from '../services/betaWaitlistService.js';
+import { emailService } from '../services/emailService.js';
+import { FileTransport } from '../services/mailTransports.js';
+import { supabase } from '../config/supabase.js';
+
+const mailbox = new FileTransport();
+
+// Links in the emails point at the status page; pull their tokens out like a reader would
+const lastLinkParam = (email, param) => {
+  const [message] = mailbox.list(email);
+  return new URL(message.text.match(/https?:\/\/\S+/)[0]).searchParams.get(param);
+};
+
+const signUpAndConfirm = async (email, referralCode = null) => {
+  await betaWaitlistService.join(email, { referralCode, language: 'es' });
+  return betaWaitlistService.confirm(lastLinkParam(email, 'confirm'));
+};
+
+describe('BetaWaitlistService', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    localStorage.clear();
+    betaWaitlistService.isSupabaseEnabled = false;
+    emailService.configure({ transport: mailbox });
+    vi.spyOn(console, 'info').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it('should only queue a signup once the emailed link is opened', async () => {
+    await expect(betaWaitlistService.join('not-an-email')).rejects.toThrow('Email no válido');
+
+    const result = await betaWaitlistService.join('  Ana@Example.com ', { language: 'en' });
+    expect(result).toEqual({ status: BETA_SIGNUP_STATUS.PENDING, duplicate: false });
+
+    const [message] = mailbox.list('ana@example.com');
+    expect(message).toMatchObject({ tag: 'beta-confirmation', subject: 'Confirm your email for the Anclora Kairon beta' });
+    expect(message.text).toContain('/beta/status.html?confirm=');
+
+    const statusToken = await betaWaitlistService.confirm(lastLinkParam('ana@example.com', 'confirm'));
+    const status = await betaWaitlistService.getStatus(statusToken);
+    expect(status).toMatchObject({ email: 'ana@example.com', status: BETA_SIGNUP_STATUS.CONFIRMED, position: 1, queueSize: 1, referralCount: 0 });
+    expect(status.referralCode).toMatch(/^[0-9A-F]{8}$/);
+    expect(status.referralLink).toBe(`${window.location.origin}/?ref=${status.referralCode}`);
+
+    // The confirmation link works once
+    await expect(betaWaitlistService.confirm(lastLinkParam('ana@example.com', 'confirm'))).rejects.toThrow('Enlace de confirmación no válido');
+    expect(await betaWaitlistService.getStatus('unknown')).toBeNull();
+  });
+
+  it('should resend the links instead of creating duplicate signups', async () => {
+    await betaWaitlistService.join('ana@example.com');
+    const firstToken = lastLinkParam('ana@example.com', 'confirm');
+
+    expect(await betaWaitlistService.join('ANA@example.com')).toEqual({ status: BETA_SIGNUP_STATUS.PENDING, duplicate: true });
+    const renewedToken = lastLinkParam('ana@example.com', 'confirm');
+    expect(renewedToken).not.toBe(firstToken);
+    await expect(betaWaitlistService.confirm(firstToken)).rejects.toThrow('no válido');
+
+    const statusToken = await betaWaitlistService.confirm(renewedToken);
+    expect(await betaWaitlistService.join('ana@example.com')).toEqual({ status: BETA_SIGNUP_STATUS.CONFIRMED, duplicate: true });
+    expect(mailbox.list('ana@example.com')[0].tag).toBe('beta-status');
+    expect(lastLinkParam('ana@example.com', 'token')).toBe(statusToken);
+    expect(betaWaitlistService.signupStore.all()).toHaveLength(1);
+  });
+
+  it('should reject expired confirmation links', async () => {
+    await betaWaitlistService.join('ana@example.com');
+    const token = lastLinkParam('ana@example.com', 'confirm');
+    const [row] = betaWaitlistService.signupStore.all();
+    betaWaitlistService.signupStore.update(row.id, { confirmation_expires_at: new Date(Date.now() - 1000).toISOString() });
+
+    await expect(betaWaitlistService.confirm(token)).rejects.toThrow('El enlace de confirmación ha caducado');
+  });
+
+  it('should move referrers up the queue for every confirmed referral', async () => {
+    const tokens = [];
+    for (let index = 1; index <= 7; index++) {
+      tokens.push(await signUpAndConfirm(`user${index}@example.com`));
+    }
+    const last = await betaWaitlistService.getStatus(tokens[6]);
+    expect(last.position).toBe(7);
+
+    // Only confirmed referrals count
+    await betaWaitlistService.join('friend@example.com', { referralCode: last.referralCode.toLowerCase() });
+    expect((await betaWaitlistService.getStatus(tokens[6])).referralCount).toBe(0);
+
+    await betaWaitlistService.confirm(lastLinkParam('friend@example.com', 'confirm'));
+    const moved = await betaWaitlistService.getStatus(tokens[6]);
+    // 7 - 5 ties with the second signup, which confirmed earlier
+    expect(moved).toMatchObject({ referralCount: 1, position: 7 - REFERRAL_BOOST + 1, queueSize: 8 });
+    expect((await betaWaitlistService.getStatus(tokens[0])).position).toBe(1);
+  });
+
+  it('should ignore referral codes of signups that are not in the queue', async () => {
+    await betaWaitlistService.join('pending@example.com');
+    const [pending] = betaWaitlistService.signupStore.all();
+
+    await betaWaitlistService.join('friend@example.com', { referralCode: pending.referral_code });
+    expect(betaWaitlistService.findByEmail('friend@example.com').referred_by).toBeNull();
+  });
+
+  it('should rank by confirmation order, keeping it on ties', () => {
+    const row = (id, minute, referrals = 0, status = BETA_SIGNUP_STATUS.CONFIRMED) => ({
+      id, status, referral_count: referrals, confirmed_at: `2026-01-01T10:${String(minute).padStart(2, '0')}:00.000Z`
+    });
+    const queue = rankWaitlist([row('d', 4, 1), row('a', 1), row('p', 0, 3, BETA_SIGNUP_STATUS.PENDING), row('b', 2), row('c', 3)]);
+
+    // d scores 4 - 5 = -1, the rest keep their confirmation order
+    expect(queue.map(({ id, position }) => [id, position])).toEqual([['d', 1], ['a', 2], ['b', 3], ['c', 4]]);
+  });
+
+  it('should remember the referral code of the link the visitor arrived with', () => {
+    betaWaitlistService.rememberReferral(null);
+    expect(betaWaitlistService.getRememberedReferral()).toBeNull();
+    betaWaitlistService.rememberReferral(' ab12cd34 ');
+    expect(betaWaitlistService.getRememberedReferral()).toBe('AB12CD34');
+  });
+
+  it('should use the database functions with Supabase and leave the emails to the webhook', async () => {
+    betaWaitlistService.isSupabaseEnabled = true;
+    supabase.rpc.mockImplementation(async (name) => {
+      if (name === 'join_beta_waitlist') return { data: [{ status: 'pending', duplicate: false }], error: null };
+      if (name === 'confirm_beta_signup') return { data: 'status-token', error: null };
+      return { data: [{ email: 'ana@example.com', status: 'confirmed', queue_position: '3', queue_size: '10', referral_code: 'AB12CD34', referral_count: 2 }], error: null };
+    });
+
+    expect(await betaWaitlistService.join('Ana@example.com', { referralCode: 'ab12cd34', language: 'pt' })).toEqual({ status: 'pending', duplicate: false });
+    expect(supabase.rpc).toHaveBeenCalledWith('join_beta_waitlist', { signup_email: 'ana@example.com', signup_language: 'pt', referral: 'AB12CD34' });
+    expect(mailbox.list()).toEqual([]);
+
+    expect(await betaWaitlistService.confirm('confirm-token')).toBe('status-token');
+    expect(await betaWaitlistService.getStatus('status-token')).toMatchObject({ position: 3, queueSize: 10, referralCount: 2, referralCode: 'AB12CD34' });
+
+    supabase.rpc.mockResolvedValueOnce({ data: null, error: { message: 'El enlace de confirmación ha caducado' } });
+    await expect(betaWaitlistService.confirm('old')).rejects.toThrow('El enlace de confirmación ha caducado');
+  });
+});
@@ -0,0 +1,177 @@
+/**
+ * Unit tests for the chat service
+ * Covers the localStorage mock backend, mentions, unread counts and live delivery modes
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+
+vi.mock('../config/supabase.js', () => ({
+  supabase: null,
+  TABLES: {
+    USERS: 'users',
+    PROJECTS: 'projects',
+    TASKS: 'tasks',
+    PROJECT_MEMBERS: 'project_members',
+    CHAT_MESSAGES: 'chat_messages',
+    USER_ANALYTICS: 'user_analytics',
+    TASK_EVENTS: 'task_events'
+  }
+}));
+
+import { authService } from '../services/authService.js';
+import { projectService } from '../services/projectService.js';
+import { taskService, TASK_STATUS } from '../services/taskService.js';
+import {
+  chatService,
+  resolveMentions,
+  parseSystemMessage,
+  MESSAGE_TYPES,
+  SYSTEM_EVENTS,
+  DELIVERY_MODES
+} from '../services/chatService.js';
+import { CONNECTION_STATUS } from '../services/connectionMonitor.js';
+
+const members = [
+  { user_id: 'user-1', user: { name: 'Ana García', email: 'ana@anclora.com' } },
+  { user_id: 'user-2', user: { name: 'Luis', email: 'luis@anclora.com' } }
+];
+
+const createMonitor = (status = CONNECTION_STATUS.CONNECTED, quality = 'good') => {
+  const listeners = new Map();
+  return {
+    state: { status, quality },
+    getStatus() { return this.state; },
+    onConnectionChange(type, callback) {
+      listeners.set(type, callback);
+      return () => listeners.delete(type);
+    },
+    emit(type) { listeners.get(type)?.({}); }
+  };
+};
+
+const createRealtimeClient = () => {
+  const channel = {
+    handlers: {},
+    on: vi.fn((type, filter, handler) => { channel.handlers.insert = handler; return channel; }),
+    subscribe: vi.fn((callback) => { channel.statusCallback = callback; return channel; })
+  };
+  return {
+    channel: vi.fn(() => channel),
+    removeChannel: vi.fn(),
+    instance: channel
+  };
+};
+
+describe('ChatService (mock backend)', () => {
+  let project;
+
+  beforeEach(async () => {
+    localStorage.clear();
+    authService.currentUser = { id: 'user-1', email: 'ana@anclora.com' };
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+
+    project = await projectService.createProject({ name: 'Chat project' });
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it('should resolve mentions against member handles', () => {
+    expect(resolveMentions('Hola @ana.garcía y @luis.', members)).toEqual(['user-1', 'user-2']);
+    expect(resolveMentions('@nadie @LUIS @luis', members)).toEqual(['user-2']);
+  });
+
+  it('should send and list messages with replies and mentions', async () => {
+    const first = await chatService.sendMessage(project.id, { message: '  Hola @luis  ', mentions: ['user-2'] });
+    const reply = await chatService.sendMessage(project.id, { message: 'Respuesta', replyTo: first.id });
+
+    const messages = await chatService.listMessages(project.id);
+    expect(messages.map(message => message.id)).toEqual([first.id, reply.id]);
+    expect(first).toMatchObject({ message: 'Hola @luis', message_type: MESSAGE_TYPES.TEXT, mentions: ['user-2'], user_id: 'user-1' });
+    expect(reply.reply_to).toBe(first.id);
+
+    await expect(chatService.sendMessage(project.id, { message: '   ' })).rejects.toThrow('El mensaje no puede estar vacío');
+  });
+
+  it('should post a system message when a task changes status', async () => {
+    const task = await taskService.createTask(project.id, { title: 'Diseño' });
+    await taskService.moveTask(task.id, { status: TASK_STATUS.DONE });
+    await taskService.updateTask(task.id, { title: 'Diseño final' });
+
+    const messages = await chatService.listMessages(project.id);
+    expect(messages).toHaveLength(1);
+    expect(parseSystemMessage(messages[0])).toEqual({
+      type: SYSTEM_EVENTS.TASK_STATUS_CHANGED,
+      task_id: task.id,
+      title: 'Diseño',
+      from: TASK_STATUS.TODO,
+      to: TASK_STATUS.DONE
+    });
+  });
+
+  it('should count unread messages from other users', async () => {
+    await chatService.sendMessage(project.id, { message: 'Mío' });
+    authService.currentUser = { id: 'user-2' };
+    const other = await chatService.sendMessage(project.id, { message: 'De Luis' });
+    authService.currentUser = { id: 'user-1' };
+
+    expect(await chatService.getUnreadCounts([project.id])).toEqual({ [project.id]: 1 });
+
+    chatService.markAsRead(project.id, other.created_at);
+    expect(await chatService.getUnreadCounts([project.id])).toEqual({ [project.id]: 0 });
+  });
+
+  it('should poll for new messages without a realtime client', async () => {
+    vi.useFakeTimers();
+    const received = [];
+    const subscription = chatService.subscribe(project.id, message => received.push(message), {
+      client: null,
+      monitor: createMonitor(),
+      since: '2000-01-01T00:00:00.000Z',
+      pollIntervalMs: 1000
+    });
+    expect(subscription.mode).toBe(DELIVERY_MODES.POLLING);
+
+    const message = await chatService.sendMessage(project.id, { message: 'Nuevo' });
+    await vi.advanceTimersByTimeAsync(1000);
+    await vi.advanceTimersByTimeAsync(1000);
+
+    expect(received.map(item => item.id)).toEqual([message.id]);
+    subscription.stop();
+  });
+
+  it('should use realtime and fall back to polling when connectivity degrades', async () => {
+    vi.useFakeTimers();
+    const client = createRealtimeClient();
+    const monitor = createMonitor();
+    const received = [];
+    const modes = [];
+
+    const subscription = chatService.subscribe(project.id, message => received.push(message), {
+      client,
+      monitor,
+      pollIntervalMs: 1000,
+      onModeChange: mode => modes.push(mode)
+    });
+
+    client.instance.statusCallback('SUBSCRIBED');
+    expect(subscription.mode).toBe(DELIVERY_MODES.REALTIME);
+    expect(client.channel).toHaveBeenCalledWith(`chat_messages:${project.id}`);
+
+    client.instance.handlers.insert({ new: { id: 'm1', created_at: new Date().toISOString() } });
+    client.instance.handlers.insert({ new: { id: 'm1', created_at: new Date().toISOString() } });
+    expect(received).toHaveLength(1);
+
+    monitor.state = { status: CONNECTION_STATUS.CONNECTED, quality: 'very_poor' };
+    monitor.emit('connectivityCheck');
+    expect(subscription.mode).toBe(DELIVERY_MODES.POLLING);
+
+    monitor.state = { status: CONNECTION_STATUS.CONNECTED, quality: 'good' };
+    monitor.emit('statusChange');
+    expect(modes).toEqual([DELIVERY_MODES.POLLING, DELIVERY_MODES.REALTIME, DELIVERY_MODES.POLLING, DELIVERY_MODES.REALTIME]);
+
+    subscription.stop();
+    expect(client.removeChannel).toHaveBeenCalledWith(client.instance);
+  });
+});
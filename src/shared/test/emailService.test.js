@@ -0,0 +1,94 @@
+/**
+ * Unit tests for EmailService
+ * Covers template rendering in every language, HTML escaping and sending through a transport
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { EmailService } from '../services/emailService.js';
+import { FileTransport } from '../services/mailTransports.js';
+import { EMAIL_TEMPLATES, EMAIL_TEMPLATE_IDS, daysUntil } from '../config/emailTemplates.js';
+
+describe('EmailService', () => {
+  let service;
+  let transport;
+
+  beforeEach(() => {
+    transport = { send: vi.fn().mockResolvedValue({ success: true, messageId: 'm1' }) };
+    service = new EmailService();
+    service.configure({ transport, from: 'Kairon <hola@anclorakairon.com>' });
+  });
+
+  it('should render every template with its sample data in every language', async () => {
+    for (const language of ['es', 'en', 'pt', 'fr']) {
+      for (const templateId of EMAIL_TEMPLATE_IDS) {
+        const { subject, text, html } = await service.render(templateId, EMAIL_TEMPLATES[templateId].sampleData, language);
+        const link = EMAIL_TEMPLATES[templateId].sampleData.link;
+
+        // An unfilled {placeholder} means a key or a parameter is missing
+        expect(`${subject}\n${text}`, `${language} ${templateId}`).not.toMatch(/[{}]/);
+        expect(text).toContain(link);
+        expect(html).toContain(`href="${link}"`);
+        expect(html).toContain(`<html lang="${language}">`);
+      }
+    }
+  });
+
+  it('should translate the data-dependent parts of the templates', async () => {
+    const invite = await service.render('team-invite', { ...EMAIL_TEMPLATES['team-invite'].sampleData, role: 'viewer', days: 1 }, 'es');
+    expect(invite.subject).toBe('Ana García te invita a Lanzamiento Q3 en Anclora Kairon');
+    expect(invite.text).toContain('con el rol de lector');
+    expect(invite.text).toContain('La invitación caduca en 1 día.');
+
+    const { dueDate, ...withoutDueDate } = EMAIL_TEMPLATES['task-assignment'].sampleData;
+    expect((await service.render('task-assignment', withoutDueDate, 'en')).text).not.toContain('Due date');
+    expect((await service.render('task-assignment', { ...withoutDueDate, dueDate }, 'en')).text).toContain('Due date: November 20, 2026.');
+
+    const tomorrow = new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString();
+    const reminder = await service.render('due-date-reminder', { ...EMAIL_TEMPLATES['due-date-reminder'].sampleData, dueDate: tomorrow }, 'pt');
+    expect(reminder.subject).toBe('"Preparar la demo para inversores" vence amanhã');
+  });
+
+  it('should escape the data in the HTML body', async () => {
+    const { html, text } = await service.render('task-assignment', {
+      ...EMAIL_TEMPLATES['task-assignment'].sampleData,
+      taskTitle: '<img src=x onerror=alert(1)>'
+    }, 'es');
+
+    expect(html).not.toContain('<img');
+    expect(html).toContain('&lt;img src=x onerror=alert(1)&gt;');
+    expect(text).toContain('<img src=x onerror=alert(1)>');
+  });
+
+  it('should reject unknown templates, missing data and invalid recipients', async () => {
+    await expect(service.render('welcome')).rejects.toThrow('Plantilla de email desconocida: welcome');
+    await expect(service.render('team-invite', { inviterName: 'Ana', link: 'https://x.test' }))
+      .rejects.toThrow('Faltan datos para la plantilla team-invite: projectName, role, days');
+    await expect(service.send('beta-status', { to: 'nobody', data: { link: 'https://x.test' } })).rejects.toThrow('Email no válido: nobody');
+    expect(transport.send).not.toHaveBeenCalled();
+  });
+
+  it('should send the rendered email through the transport', async () => {
+    const result = await service.send('beta-status', { to: 'ana@example.com', language: 'fr', data: { link: 'https://x.test/status' } });
+
+    expect(result).toEqual({ success: true, messageId: 'm1' });
+    expect(transport.send).toHaveBeenCalledWith(expect.objectContaining({
+      from: 'Kairon <hola@anclorakairon.com>',
+      to: 'ana@example.com',
+      subject: 'Votre place dans la bêta d’Anclora Kairon',
+      tag: 'beta-status',
+      html: expect.stringContaining('Voir ma place')
+    }));
+  });
+
+  it('should catch the emails locally when no endpoint is configured', () => {
+    expect(new EmailService().transport).toBeInstanceOf(FileTransport);
+  });
+
+  it('should count the days until a due date from today', () => {
+    const now = new Date(2026, 9, 19, 23, 30);
+    expect(daysUntil(new Date(2026, 9, 19, 8), now)).toBe(0);
+    expect(daysUntil(new Date(2026, 9, 20, 0, 15), now)).toBe(1);
+    expect(daysUntil(new Date(2026, 9, 26), now)).toBe(7);
+    expect(daysUntil(new Date(2026, 9, 1), now)).toBe(0);
+  });
+});
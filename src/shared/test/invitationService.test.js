@@ -0,0 +1,133 @@
+/**
+ * Unit tests for project invitations and membership management
+ * Exercises the localStorage mock backend used when Supabase is not configured
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+
+vi.mock('../config/supabase.js', () => ({
+  supabase: null,
+  TABLES: {
+    USERS: 'users',
+    PROJECTS: 'projects',
+    TASKS: 'tasks',
+    PROJECT_MEMBERS: 'project_members',
+    CHAT_MESSAGES: 'chat_messages',
+    USER_ANALYTICS: 'user_analytics',
+    TASK_EVENTS: 'task_events'
+  }
+}));
+
+import { authService } from '../services/authService.js';
+import { projectService, MEMBER_STATUS } from '../services/projectService.js';
+import { invitationService } from '../services/invitationService.js';
+
+const OWNER = { id: 'owner-1', email: 'owner@anclora.com' };
+const INVITEE = { id: 'user-2', email: 'ana@example.com' };
+
+const signInAs = (user) => { authService.currentUser = user; };
+
+describe('Invitations and membership (mock backend)', () => {
+  let project;
+
+  beforeEach(async () => {
+    localStorage.clear();
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    signInAs(OWNER);
+    project = await projectService.createProject({ name: 'Website relaunch' });
+  });
+
+  const inviteAndAccept = async (user, role) => {
+    signInAs(OWNER);
+    const invitation = await invitationService.createInvitation(project.id, user.email, role);
+    signInAs(user);
+    await invitationService.acceptInvitation(invitation.invite_token);
+    signInAs(OWNER);
+  };
+
+  it('should create tokenized invitations and preview them without a session', async () => {
+    const invitation = await invitationService.createInvitation(project.id, ' Ana@Example.com ', 'viewer');
+
+    expect(invitation.status).toBe(MEMBER_STATUS.PENDING);
+    expect(invitation.invite_token).toMatch(/^[0-9a-f]{48}$/);
+    expect((await invitationService.listInvitations(project.id)).map(row => row.invited_email)).toEqual(['ana@example.com']);
+
+    signInAs(null);
+    const preview = await invitationService.getInvitation(invitation.invite_token);
+    expect(preview).toMatchObject({
+      projectId: project.id,
+      projectName: 'Website relaunch',
+      role: 'viewer',
+      email: 'ana@example.com',
+      expired: false
+    });
+    expect(await invitationService.getInvitation('unknown')).toBeNull();
+  });
+
+  it('should accept an invitation only for the invited email', async () => {
+    const invitation = await invitationService.createInvitation(project.id, INVITEE.email, 'member');
+    invitationService.rememberPendingInvitation(invitation.invite_token);
+
+    signInAs({ id: 'user-3', email: 'other@example.com' });
+    await expect(invitationService.acceptInvitation(invitation.invite_token)).rejects.toThrow('otra dirección');
+
+    signInAs(INVITEE);
+    expect(await invitationService.acceptInvitation(invitation.invite_token)).toBe(project.id);
+    expect(await projectService.getMembership(project.id)).toEqual({ role: 'member', permissions: {} });
+    expect(invitationService.getPendingInvitation()).toBeNull();
+    expect(await invitationService.getInvitation(invitation.invite_token)).toBeNull();
+
+    const projects = await projectService.listProjects();
+    expect(projects.data.map(p => p.id)).toEqual([project.id]);
+  });
+
+  it('should decline invitations and renew them when invited again', async () => {
+    const invitation = await invitationService.createInvitation(project.id, INVITEE.email);
+
+    signInAs(null);
+    await invitationService.declineInvitation(invitation.invite_token);
+    await expect(invitationService.acceptInvitation(invitation.invite_token)).rejects.toThrow('iniciar sesión');
+
+    signInAs(OWNER);
+    const [declined] = await invitationService.listInvitations(project.id);
+    expect(declined.status).toBe(MEMBER_STATUS.DECLINED);
+
+    const renewed = await invitationService.createInvitation(project.id, INVITEE.email);
+    expect(renewed.id).toBe(declined.id);
+    expect(renewed.status).toBe(MEMBER_STATUS.PENDING);
+    expect(renewed.invite_token).not.toBe(invitation.invite_token);
+  });
+
+  it('should enforce role hierarchy on invitations, role changes and removals', async () => {
+    await inviteAndAccept(INVITEE, 'admin');
+    const viewer = { id: 'user-3', email: 'viewer@example.com' };
+    await inviteAndAccept(viewer, 'viewer');
+
+    signInAs(INVITEE);
+    await expect(invitationService.createInvitation(project.id, 'x@example.com', 'admin')).rejects.toThrow('permiso');
+    await expect(projectService.updateMemberRole(project.id, OWNER.id, 'viewer')).rejects.toThrow('permiso');
+    await projectService.updateMemberRole(project.id, viewer.id, 'member');
+    expect((await projectService.getMembership(project.id, viewer.id)).role).toBe('member');
+
+    signInAs(viewer);
+    await expect(projectService.removeMember(project.id, INVITEE.id)).rejects.toThrow('permiso');
+    await projectService.removeMember(project.id, viewer.id);
+    expect(await projectService.getMembership(project.id, viewer.id)).toBeNull();
+
+    signInAs(OWNER);
+    await expect(projectService.updateMemberRole(project.id, INVITEE.id, 'owner')).rejects.toThrow('transferencia');
+    await expect(projectService.removeMember(project.id, OWNER.id)).rejects.toThrow('propietario');
+  });
+
+  it('should transfer ownership to an active member', async () => {
+    await inviteAndAccept(INVITEE, 'member');
+
+    await expect(projectService.transferOwnership(project.id, 'stranger')).rejects.toThrow('miembro activo');
+    await projectService.transferOwnership(project.id, INVITEE.id);
+
+    expect((await projectService.getProject(project.id)).owner_id).toBe(INVITEE.id);
+    expect((await projectService.getMembership(project.id, INVITEE.id)).role).toBe('owner');
+    expect((await projectService.getMembership(project.id, OWNER.id)).role).toBe('admin');
+    await expect(projectService.transferOwnership(project.id, INVITEE.id)).rejects.toThrow('Solo el propietario');
+  });
+});
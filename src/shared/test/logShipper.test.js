@@ -0,0 +1,182 @@
+/**
+ * Unit tests for LogShipper
+ * Tests batching, severity sampling, retries, beacon delivery on unload and the
+ * persisted outbox, plus errorLogger handing its entries to the shipper
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { LogShipper } from '../services/logShipper.js';
+import { retryManager } from '../services/retryManager.js';
+import errorLogger from '../services/errorLogger.js';
+
+const ENDPOINT = 'http://localhost:4180/logs';
+
+const baseConfig = {
+  endpoint: ENDPOINT,
+  apiKey: 'test-key',
+  batchSize: 2,
+  sampleRates: {},
+  compress: false,
+  maxQueueSize: 5,
+  maxRetries: 2
+};
+
+function errorEntry(id, severity = 'high') {
+  return { id, severity, message: `error ${id}` };
+}
+
+// jsdom's Blob has no text()
+function readBlob(blob) {
+  return new Promise(resolve => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.readAsText(blob);
+  });
+}
+
+function sentEntries(call) {
+  return call[1].body.trim().split('\n').map(line => JSON.parse(line));
+}
+
+describe('LogShipper', () => {
+  let shipper;
+
+  beforeEach(() => {
+    localStorage.clear();
+    global.fetch = vi.fn().mockResolvedValue({ ok: true, status: 204 });
+    vi.spyOn(retryManager, 'delay').mockResolvedValue();
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+    shipper = new LogShipper({ random: () => 0.5 });
+  });
+
+  afterEach(() => {
+    shipper.stop();
+    vi.restoreAllMocks();
+    delete navigator.sendBeacon;
+  });
+
+  it('should send NDJSON batches once batchSize entries are queued', async () => {
+    shipper.configure({ ...baseConfig, sampleRates: { metric: 1 } });
+
+    shipper.enqueue('error', errorEntry('a'));
+    expect(fetch).not.toHaveBeenCalled();
+
+    shipper.enqueue('metric', { id: 'b', operation: 'login', duration: 120 });
+    await shipper.flush();
+
+    expect(fetch).toHaveBeenCalledTimes(1);
+    const [url, request] = fetch.mock.calls[0];
+    expect(url).toBe(ENDPOINT);
+    expect(request.headers).toEqual({ 'Content-Type': 'application/x-ndjson', Authorization: 'Bearer test-key' });
+    expect(sentEntries(fetch.mock.calls[0])).toEqual([
+      { type: 'error', id: 'a', severity: 'high', message: 'error a' },
+      { type: 'metric', id: 'b', operation: 'login', duration: 120 }
+    ]);
+    expect(shipper.queue).toEqual([]);
+    expect(localStorage.getItem('anclora_log_outbox')).toBeNull();
+  });
+
+  it('should sample entries by severity', () => {
+    shipper.configure({ ...baseConfig, batchSize: 10, sampleRates: { low: 0.25, medium: 0.75, metric: 0 } });
+
+    expect(shipper.enqueue('error', errorEntry('a', 'low'))).toBe(false);
+    expect(shipper.enqueue('error', errorEntry('b', 'medium'))).toBe(true);
+    expect(shipper.enqueue('error', errorEntry('c', 'critical'))).toBe(true);
+    expect(shipper.enqueue('metric', { id: 'd' })).toBe(false);
+    expect(shipper.queue.map(entry => entry.id)).toEqual(['b', 'c']);
+  });
+
+  it('should retry server errors and keep the batch when the endpoint stays down', async () => {
+    shipper.configure({ ...baseConfig, batchSize: 10 });
+    fetch
+      .mockResolvedValueOnce({ ok: false, status: 503 })
+      .mockResolvedValueOnce({ ok: true, status: 204 });
+
+    shipper.enqueue('error', errorEntry('a'));
+    expect(await shipper.flush()).toBe(1);
+    expect(fetch).toHaveBeenCalledTimes(2);
+
+    fetch.mockReset();
+    fetch.mockRejectedValue(new Error('Failed to fetch'));
+    shipper.enqueue('error', errorEntry('b'));
+
+    expect(await shipper.flush()).toBe(0);
+    expect(fetch).toHaveBeenCalledTimes(3);
+    expect(shipper.queue.map(entry => entry.id)).toEqual(['b']);
+    expect(JSON.parse(localStorage.getItem('anclora_log_outbox'))).toHaveLength(1);
+  });
+
+  it('should drop batches the endpoint rejects without retrying', async () => {
+    shipper.configure({ ...baseConfig, batchSize: 10 });
+    fetch.mockResolvedValue({ ok: false, status: 400 });
+
+    shipper.enqueue('error', errorEntry('a'));
+    expect(await shipper.flush()).toBe(0);
+
+    expect(fetch).toHaveBeenCalledTimes(1);
+    expect(shipper.queue).toEqual([]);
+  });
+
+  it('should keep only the newest entries and pick them up again after a reload', () => {
+    shipper.configure({ ...baseConfig, batchSize: 100 });
+    ['a', 'b', 'c', 'd', 'e', 'f', 'g'].forEach(id => shipper.enqueue('error', errorEntry(id)));
+
+    const reloaded = new LogShipper();
+    reloaded.configure({ ...baseConfig, batchSize: 100 });
+
+    expect(reloaded.queue.map(entry => entry.id)).toEqual(['c', 'd', 'e', 'f', 'g']);
+    reloaded.stop();
+  });
+
+  it('should hand the queue to sendBeacon when the page is hidden', async () => {
+    navigator.sendBeacon = vi.fn().mockReturnValue(true);
+    shipper.configure({ ...baseConfig, batchSize: 10 });
+    shipper.enqueue('error', errorEntry('a'));
+
+    window.dispatchEvent(new Event('pagehide'));
+
+    expect(navigator.sendBeacon).toHaveBeenCalledTimes(1);
+    const [url, blob] = navigator.sendBeacon.mock.calls[0];
+    expect(url).toBe(`${ENDPOINT}?api_key=test-key`);
+    expect(blob.type).toBe('text/plain;charset=utf-8');
+    expect(JSON.parse(await readBlob(blob))).toEqual({ type: 'error', ...errorEntry('a') });
+    expect(shipper.queue).toEqual([]);
+  });
+
+  it('should keep entries the browser refused to beacon', () => {
+    navigator.sendBeacon = vi.fn().mockReturnValue(false);
+    shipper.configure({ ...baseConfig, batchSize: 10 });
+    shipper.enqueue('error', errorEntry('a'));
+
+    expect(shipper.flushWithBeacon()).toBe(0);
+    expect(shipper.queue).toHaveLength(1);
+  });
+});
+
+describe('ErrorLogger remote logging', () => {
+  beforeEach(() => {
+    localStorage.clear();
+    global.fetch = vi.fn().mockResolvedValue({ ok: true, status: 204 });
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    errorLogger.stopRemoteLogging();
+    errorLogger.remoteLoggingConfig = null;
+    vi.restoreAllMocks();
+  });
+
+  it('should ship logged errors in batches instead of one request each', async () => {
+    errorLogger.configureRemoteLogging({ endpoint: ENDPOINT, apiKey: 'test-key', batchSize: 5, compress: false });
+
+    errorLogger.logError(new Error('first'), {}, errorLogger.SEVERITY_LEVELS.HIGH);
+    errorLogger.logError(new Error('second'), {}, errorLogger.SEVERITY_LEVELS.CRITICAL);
+    await Promise.resolve();
+    expect(fetch).not.toHaveBeenCalled();
+
+    expect(await errorLogger.flushToRemoteLogging()).toBe(2);
+    expect(fetch).toHaveBeenCalledTimes(1);
+    expect(sentEntries(fetch.mock.calls[0]).map(entry => entry.message)).toEqual(['first', 'second']);
+  });
+});
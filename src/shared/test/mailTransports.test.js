@@ -0,0 +1,191 @@
+/**
+ * Unit tests for the mail transports
+ * Covers the MIME source, the SMTP dialog, the HTTP API transport and the local mailbox
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { EventEmitter } from 'events';
+import {
+  SmtpTransport,
+  HttpApiTransport,
+  FileTransport,
+  buildMimeMessage,
+  createMailTransportFromEnv,
+  extractAddress
+} from '../services/mailTransports.js';
+
+const message = {
+  from: 'Anclora Kairon <no-reply@anclorakairon.com>',
+  to: 'ana@example.com',
+  subject: 'Confirma tu email',
+  text: 'Hola Ana\n¿Confirmas tu email?',
+  html: '<p>Hola</p>',
+  tag: 'beta-confirmation'
+};
+
+const decodePart = (source, contentType) => {
+  const part = source.split(`Content-Type: ${contentType}; charset=UTF-8\r\nContent-Transfer-Encoding: base64\r\n\r\n`)[1];
+  const encoded = part.split('\r\n--')[0].replace(/\r\n/g, '');
+  return new TextDecoder().decode(Uint8Array.from(atob(encoded), char => char.charCodeAt(0)));
+};
+
+/**
+ * Socket that answers like an SMTP server: one reply per command, DATA content until "."
+ * @param {Object} replies - Reply per command verb, overriding the successful defaults
+ */
+function createSmtpServer(replies = {}) {
+  const socket = new EventEmitter();
+  const answers = {
+    EHLO: '250-mail.test\r\n250-AUTH PLAIN\r\n250 OK',
+    AUTH: '235 Authenticated',
+    MAIL: '250 OK',
+    RCPT: '250 OK',
+    DATA: '354 End data with <CR><LF>.<CR><LF>',
+    QUIT: '221 Bye',
+    ...replies
+  };
+  socket.commands = [];
+  socket.end = vi.fn();
+  socket.write = vi.fn(chunk => {
+    const command = chunk.replace(/\r\n$/, '');
+    socket.commands.push(command);
+    const verb = socket.commands.at(-2) === 'DATA' ? 'END' : command.split(' ')[0];
+    const answer = verb === 'END' ? (replies.END || '250 Queued') : answers[verb];
+    setTimeout(() => socket.emit('data', Buffer.from(`${answer}\r\n`)));
+  });
+  setTimeout(() => socket.emit('data', Buffer.from('220 mail.test ESMTP\r\n')));
+  return socket;
+}
+
+describe('buildMimeMessage', () => {
+  it('should build a multipart message with UTF-8 bodies and an encoded subject', () => {
+    const source = buildMimeMessage({ ...message, subject: 'Tu puesto en la beta ✨' }, { messageId: 'abc@anclorakairon.com', date: new Date('2026-10-19T10:00:00Z') });
+
+    expect(source).toContain('From: Anclora Kairon <no-reply@anclorakairon.com>\r\nTo: ana@example.com\r\n');
+    expect(source).toMatch(/^Subject: =\?UTF-8\?B\?[A-Za-z0-9+/=]+\?=$/m);
+    expect(source).toContain('Date: Mon, 19 Oct 2026 10:00:00 GMT');
+    expect(source).toContain('Message-ID: <abc@anclorakairon.com>');
+    expect(source).toContain('X-Kairon-Template: beta-confirmation');
+    expect(source).toContain('Content-Type: multipart/alternative; boundary="kairon-abc"');
+    expect(decodePart(source, 'text/plain')).toBe(message.text);
+    expect(decodePart(source, 'text/html')).toBe(message.html);
+    expect(source.split('\r\n').every(line => line.length <= 998)).toBe(true);
+
+    const textOnly = buildMimeMessage({ ...message, html: undefined });
+    expect(textOnly).not.toContain('multipart');
+    expect(textOnly).toContain('Subject: Confirma tu email\r\n');
+  });
+
+  it('should take the address out of a named mailbox', () => {
+    expect(extractAddress('Anclora Kairon <no-reply@anclorakairon.com>')).toBe('no-reply@anclorakairon.com');
+    expect(extractAddress(' ana@example.com ')).toBe('ana@example.com');
+  });
+});
+
+describe('SmtpTransport', () => {
+  it('should authenticate and deliver the message', async () => {
+    const socket = createSmtpServer();
+    const connect = vi.fn(() => socket);
+    const transport = new SmtpTransport({ host: 'mail.test', port: 587, user: 'kairon', password: 'secret', connect });
+
+    const result = await transport.send({ ...message, html: null });
+
+    expect(connect).toHaveBeenCalledWith({ host: 'mail.test', port: 587 });
+    expect(result.success).toBe(true);
+    expect(socket.commands.slice(0, 5)).toEqual([
+      'EHLO localhost',
+      `AUTH PLAIN ${btoa('\u0000kairon\u0000secret')}`,
+      'MAIL FROM:<no-reply@anclorakairon.com>',
+      'RCPT TO:<ana@example.com>',
+      'DATA'
+    ]);
+    expect(socket.commands[5]).toContain(`Message-ID: <${result.messageId}>`);
+    expect(socket.commands[5].endsWith('\r\n.')).toBe(true);
+    expect(socket.commands[6]).toBe('QUIT');
+    expect(socket.end).toHaveBeenCalled();
+  });
+
+  it('should skip authentication without a user and fail on a rejected recipient', async () => {
+    const socket = createSmtpServer({ RCPT: '550 5.1.1 User unknown' });
+    const transport = new SmtpTransport({ connect: () => socket });
+
+    await expect(transport.send(message)).rejects.toThrow('El servidor SMTP respondió 550: 5.1.1 User unknown');
+    expect(socket.commands).toEqual(['EHLO localhost', 'MAIL FROM:<no-reply@anclorakairon.com>', 'RCPT TO:<ana@example.com>']);
+    expect(socket.end).toHaveBeenCalled();
+  });
+
+  it('should fail when the connection drops or there is no way to open one', async () => {
+    const socket = new EventEmitter();
+    socket.write = vi.fn();
+    socket.end = vi.fn();
+    setTimeout(() => socket.emit('error', new Error('connect ECONNREFUSED 127.0.0.1:1025')));
+
+    await expect(new SmtpTransport({ connect: () => socket }).send(message)).rejects.toThrow('ECONNREFUSED');
+    await expect(new SmtpTransport().send(message)).rejects.toThrow('SMTP necesita una conexión TCP');
+  });
+});
+
+describe('HttpApiTransport', () => {
+  afterEach(() => {
+    vi.unstubAllGlobals();
+  });
+
+  it('should post the message as JSON with the API key', async () => {
+    const fetchMock = vi.fn().mockResolvedValue({ ok: true, json: async () => ({ id: 'provider-1' }) });
+    vi.stubGlobal('fetch', fetchMock);
+
+    const transport = createMailTransportFromEnv({ VITE_EMAIL_API_ENDPOINT: 'https://api.test/emails', VITE_EMAIL_API_KEY: 'key' });
+    expect(transport).toBeInstanceOf(HttpApiTransport);
+    expect(await transport.send(message)).toEqual({ success: true, messageId: 'provider-1' });
+
+    const [url, request] = fetchMock.mock.calls[0];
+    expect(url).toBe('https://api.test/emails');
+    expect(request.headers).toEqual({ 'Content-Type': 'application/json', Authorization: 'Bearer key' });
+    expect(JSON.parse(request.body)).toEqual(message);
+  });
+
+  it('should fail on error responses', async () => {
+    vi.stubGlobal('fetch', vi.fn().mockResolvedValue({ ok: false, status: 502 }));
+
+    await expect(new HttpApiTransport({ endpoint: 'https://api.test/emails' }).send(message)).rejects.toThrow('El servicio de email respondió 502');
+    expect(() => new HttpApiTransport()).toThrow('Falta el endpoint del servicio de email');
+  });
+});
+
+describe('FileTransport', () => {
+  let transport;
+
+  beforeEach(() => {
+    localStorage.clear();
+    vi.spyOn(console, 'info').mockImplementation(() => {});
+    transport = createMailTransportFromEnv({});
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it('should keep the emails in the mailbox, newest first, and export them as .eml', async () => {
+    expect(transport).toBeInstanceOf(FileTransport);
+
+    const first = await transport.send(message);
+    await transport.send({ ...message, to: 'luis@example.com', subject: 'Otro' });
+
+    expect(transport.list().map(entry => entry.subject)).toEqual(['Otro', 'Confirma tu email']);
+    expect(transport.list('ana@example.com')).toEqual([expect.objectContaining({ id: first.messageId, tag: 'beta-confirmation' })]);
+    expect(transport.toEml(first.messageId)).toContain(`Message-ID: <${first.messageId}>`);
+    expect(transport.toEml('unknown')).toBeNull();
+
+    transport.clear();
+    expect(transport.list()).toEqual([]);
+  });
+
+  it('should only keep the last 50 emails', async () => {
+    for (let index = 0; index < 52; index++) {
+      await transport.send({ ...message, subject: `Email ${index}` });
+    }
+    const messages = transport.list();
+    expect(messages).toHaveLength(50);
+    expect(messages[0].subject).toBe('Email 51');
+  });
+});
@@ -1,8 +1,11 @@
 /**
  * OAuth Error Simulation Utilities
  * Specialized tools for simulating OAuth provider failures and error conditions
+ * Providers come from the registry in config/authProviders.js
  */
 
+import { OAUTH_PROVIDER_REGISTRY } from '../config/authProviders.js';
+
 export class OAuthErrorSimulator {
     constructor() {
         this.originalFetch = window.fetch;
@@ -92,12 +95,8 @@ export class OAuthErrorSimulator {
      */
     isOAuthRequest(url) {
         return url.includes('oauth') ||
-               url.includes('google') ||
-               url.includes('github') ||
-               url.includes('facebook') ||
-               url.includes('twitter') ||
-               url.includes('linkedin') ||
-               url.includes('auth/v1/authorize');
+               url.includes('auth/v1/authorize') ||
+               this.detectOAuthProvider(url) !== 'UNKNOWN';
     }
 
     /**
@@ -121,15 +120,12 @@ export class OAuthErrorSimulator {
     }
 
     /**
-     * Detect OAuth provider from URL
+     * Detect OAuth provider from URL: the Supabase authorize URL names it, provider pages match its URL hints
      */
     detectOAuthProvider(url) {
-        if (url.includes('google')) return 'GOOGLE';
-        if (url.includes('github')) return 'GITHUB';
-        if (url.includes('facebook')) return 'FACEBOOK';
-        if (url.includes('twitter')) return 'TWITTER';
-        if (url.includes('linkedin')) return 'LINKEDIN';
-        return 'UNKNOWN';
+        const provider = OAUTH_PROVIDER_REGISTRY.find(item => url.includes(`provider=${item.id}`)) ||
+            OAUTH_PROVIDER_REGISTRY.find(item => item.urlHints.some(hint => url.includes(hint)));
+        return provider ? provider.id.toUpperCase() : 'UNKNOWN';
     }
 
     /**
@@ -482,14 +478,10 @@ export const OAuthErrorScenarios = {
     NETWORK_ERROR: 'NETWORK_ERROR'
 };
 
-// OAuth providers
-export const OAuthProviders = {
-    GOOGLE: 'GOOGLE',
-    GITHUB: 'GITHUB',
-    FACEBOOK: 'FACEBOOK',
-    TWITTER: 'TWITTER',
-    LINKEDIN: 'LINKEDIN'
-};
+// OAuth providers, as reported by detectOAuthProvider
+export const OAuthProviders = Object.fromEntries(
+    OAUTH_PROVIDER_REGISTRY.map(provider => [provider.id.toUpperCase(), provider.id.toUpperCase()])
+);
 
 // Global instance
 export const oauthErrorSimulator = new OAuthErrorSimulator();
\ No newline at end of file
@@ -0,0 +1,122 @@
+/**
+ * Unit tests for the OAuth provider registry
+ * Covers enabling providers, the options sent to Supabase, mock sign in, fallbacks between
+ * providers and provider detection in the error simulator
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+
+vi.mock('../config/supabase.js', () => ({
+  supabase: {
+    auth: {
+      signInWithOAuth: vi.fn(),
+      getSession: vi.fn().mockResolvedValue({ data: { session: null } }),
+      onAuthStateChange: vi.fn(() => ({ data: { subscription: { unsubscribe: vi.fn() } } }))
+    }
+  }
+}));
+
+import {
+  OAUTH_PROVIDERS,
+  parseEnabledProviders,
+  setEnabledOAuthProviders,
+  getEnabledOAuthProviders,
+  getOAuthProviderDisplayName
+} from '../config/authProviders.js';
+import { authService } from '../services/authService.js';
+import { oauthErrorHandler } from '../services/oauthErrorHandler.js';
+import { OAuthErrorSimulator, OAuthProviders } from './oauthErrorSimulator.js';
+import { supabase } from '../config/supabase.js';
+
+describe('OAuth provider registry', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    localStorage.clear();
+    setEnabledOAuthProviders([]);
+    oauthErrorHandler.resetProviderErrors();
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+    setEnabledOAuthProviders([]);
+    authService.isSupabaseEnabled = false;
+    authService.currentUser = null;
+  });
+
+  it('should offer every registered provider unless the configuration lists some', () => {
+    expect(OAUTH_PROVIDERS).toMatchObject({ GOOGLE: 'google', GITHUB: 'github', AZURE: 'azure', GITLAB: 'gitlab', APPLE: 'apple' });
+    expect(getEnabledOAuthProviders().map(provider => provider.id)).toEqual(['google', 'github', 'azure', 'gitlab', 'apple']);
+    expect(parseEnabledProviders(' GitLab, facebook ,google ')).toEqual(['google', 'gitlab']);
+
+    setEnabledOAuthProviders('azure,github');
+    expect(getEnabledOAuthProviders().map(provider => provider.id)).toEqual(['github', 'azure']);
+    expect(getOAuthProviderDisplayName('azure')).toBe('Microsoft');
+    expect(getOAuthProviderDisplayName('myspace')).toBe('myspace');
+  });
+
+  it('should send the registry options to Supabase and refuse disabled providers', async () => {
+    authService.isSupabaseEnabled = true;
+    supabase.auth.signInWithOAuth.mockResolvedValue({ data: {}, error: null });
+
+    await authService.loginWithOAuth('azure');
+    expect(supabase.auth.signInWithOAuth).toHaveBeenCalledWith({
+      provider: 'azure',
+      options: { redirectTo: `${window.location.origin}/auth/callback.html`, scopes: 'email' }
+    });
+
+    await authService.loginWithOAuth('azure', { oauthOptions: { scopes: 'email offline_access' } });
+    expect(supabase.auth.signInWithOAuth).toHaveBeenLastCalledWith(expect.objectContaining({
+      options: expect.objectContaining({ scopes: 'email offline_access' })
+    }));
+
+    setEnabledOAuthProviders(['google']);
+    await expect(authService.loginWithOAuth('gitlab')).rejects.toThrow('no disponible');
+    expect(supabase.auth.signInWithOAuth).toHaveBeenCalledTimes(2);
+  });
+
+  it('should sign in the provider mock user without Supabase', async () => {
+    authService.isSupabaseEnabled = false;
+    const mockApiCall = vi.spyOn(authService, 'mockApiCall').mockResolvedValue({
+      success: true,
+      token: 'mock_gitlab_token',
+      user: { id: 'gitlab_1', name: 'Usuario GitLab', email: 'usuario@gitlab.com', avatar: null, provider: 'gitlab' }
+    });
+
+    const user = await authService.loginWithOAuth('gitlab');
+    expect(mockApiCall).toHaveBeenCalledWith('/auth/gitlab', expect.any(Object));
+    expect(user).toMatchObject({ provider: 'gitlab', email: 'usuario@gitlab.com' });
+    expect(authService.currentUser).toMatchObject({ id: 'gitlab_1' });
+    expect(localStorage.getItem('auth_token')).toBe('mock_gitlab_token');
+  });
+
+  it('should build the mock OAuth response from the registry', async () => {
+    vi.useFakeTimers();
+    const pending = authService.mockApiCall('/auth/apple', { method: 'POST', body: JSON.stringify({ provider: 'apple' }) });
+    await vi.advanceTimersByTimeAsync(1000);
+    vi.useRealTimers();
+
+    expect(await pending).toMatchObject({
+      success: true,
+      user: { provider: 'apple', name: 'Usuario Apple', email: 'usuario@privaterelay.appleid.com' }
+    });
+  });
+
+  it('should fall back to the other enabled providers that have not failed', () => {
+    setEnabledOAuthProviders(['google', 'github', 'azure', 'gitlab']);
+    oauthErrorHandler.failedProviders.add('github');
+
+    expect(oauthErrorHandler.getAlternativeProviders('google')).toEqual(['azure', 'gitlab']);
+    expect(authService.getAvailableOAuthProviders()).toEqual(['google', 'azure', 'gitlab']);
+    expect(oauthErrorHandler.getAlternativeProviderNames(['azure', 'gitlab'], 'en')).toBe('Microsoft or GitLab');
+  });
+
+  it('should detect registered providers in simulated OAuth requests', () => {
+    const simulator = new OAuthErrorSimulator();
+
+    expect(OAuthProviders).toMatchObject({ AZURE: 'AZURE', GITLAB: 'GITLAB', APPLE: 'APPLE' });
+    expect(simulator.detectOAuthProvider('https://project.supabase.co/auth/v1/authorize?provider=gitlab')).toBe('GITLAB');
+    expect(simulator.detectOAuthProvider('https://login.microsoftonline.com/common/oauth2/v2.0/authorize')).toBe('AZURE');
+    expect(simulator.detectOAuthProvider('https://appleid.apple.com/auth/authorize')).toBe('APPLE');
+    expect(simulator.isOAuthRequest('https://example.com/api/projects')).toBe(false);
+  });
+});
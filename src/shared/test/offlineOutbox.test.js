@@ -0,0 +1,223 @@
+/**
+ * Unit tests for the offline outbox
+ * Covers durable queueing, ordered replay, conflict detection on updated_at and resolution
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+
+vi.mock('../config/supabase.js', () => ({
+  supabase: null,
+  TABLES: {
+    USERS: 'users',
+    PROJECTS: 'projects',
+    TASKS: 'tasks',
+    PROJECT_MEMBERS: 'project_members',
+    CHAT_MESSAGES: 'chat_messages',
+    USER_ANALYTICS: 'user_analytics',
+    TASK_EVENTS: 'task_events'
+  }
+}));
+
+import { authService } from '../services/authService.js';
+import { TaskService } from '../services/taskService.js';
+import {
+  OfflineOutbox,
+  LocalStorageOutboxStorage,
+  offlineOutbox,
+  OUTBOX_ENTITIES,
+  OUTBOX_ACTIONS,
+  OUTBOX_STATUS,
+  OUTBOX_SOURCES,
+  CONFLICT_TYPES,
+  CONFLICT_RESOLUTIONS
+} from '../services/offlineOutbox.js';
+
+const V1 = '2026-10-19T10:00:00.000Z';
+const V2 = '2026-10-19T11:00:00.000Z';
+const V3 = '2026-10-19T12:00:00.000Z';
+
+// In-memory stand-in for the tasks table on the server
+const createServer = (rows = []) => {
+  const table = new Map(rows.map(row => [row.id, { ...row }]));
+  const applied = [];
+  let clock = 0;
+  const touch = row => ({ ...row, updated_at: new Date(Date.parse(V3) + ++clock * 1000).toISOString() });
+
+  return {
+    table,
+    applied,
+    handler: {
+      get: vi.fn(async id => (table.has(id) ? { ...table.get(id) } : null)),
+      create: vi.fn(async entry => {
+        applied.push(`create:${entry.recordId}`);
+        table.set(entry.recordId, touch(entry.values));
+        return table.get(entry.recordId);
+      }),
+      update: vi.fn(async entry => {
+        applied.push(`update:${entry.recordId}`);
+        table.set(entry.recordId, touch({ ...table.get(entry.recordId), ...entry.values }));
+        return table.get(entry.recordId);
+      }),
+      delete: vi.fn(async entry => {
+        applied.push(`delete:${entry.recordId}`);
+        return table.delete(entry.recordId);
+      })
+    }
+  };
+};
+
+const createOutbox = (server) => {
+  const outbox = new OfflineOutbox({ storage: new LocalStorageOutboxStorage() });
+  outbox.registerHandler(OUTBOX_ENTITIES.TASK, server.handler);
+  return outbox;
+};
+
+const update = (recordId, values) => ({
+  entity: OUTBOX_ENTITIES.TASK,
+  action: OUTBOX_ACTIONS.UPDATE,
+  recordId,
+  values
+});
+
+describe('OfflineOutbox', () => {
+  beforeEach(() => {
+    localStorage.clear();
+    authService.currentUser = { id: 'user-1', email: 'demo@anclora.com' };
+  });
+
+  it('should queue mutations while offline, keep them across reloads and replay them in order', async () => {
+    const server = createServer([{ id: 'task-1', title: 'Brief', updated_at: V1 }]);
+    const outbox = createOutbox(server);
+    outbox.remember(OUTBOX_ENTITIES.TASK, server.table.get('task-1'));
+    outbox.setAvailable(OUTBOX_SOURCES.NETWORK, false);
+
+    const execute = vi.fn();
+    const optimistic = await outbox.run(update('task-1', { title: 'Brief v2' }), execute);
+    await outbox.run({
+      entity: OUTBOX_ENTITIES.TASK,
+      action: OUTBOX_ACTIONS.CREATE,
+      recordId: 'task-2',
+      values: { title: 'Copy' }
+    }, execute);
+    await outbox.run(update('task-1', { priority: 'high' }), execute);
+
+    expect(execute).not.toHaveBeenCalled();
+    expect(optimistic).toMatchObject({ id: 'task-1', title: 'Brief v2', pending_sync: true });
+
+    // A new page load reads the queue back from storage
+    const reloaded = createOutbox(server);
+    await reloaded.load();
+    expect(reloaded.getEntries().map(entry => entry.baseUpdatedAt)).toEqual([V1, null, V1]);
+
+    const summary = await reloaded.replay();
+
+    expect(server.applied).toEqual(['update:task-1', 'create:task-2', 'update:task-1']);
+    expect(summary).toMatchObject({ applied: 3, pending: 0, conflicts: 0, failed: 0 });
+    expect(server.table.get('task-1')).toMatchObject({ title: 'Brief v2', priority: 'high' });
+    expect(new LocalStorageOutboxStorage().read()).toEqual([]);
+  });
+
+  it('should hold a change as a conflict when the server row changed and let the user keep either version', async () => {
+    const server = createServer([
+      { id: 'task-1', title: 'Brief', updated_at: V1 },
+      { id: 'task-2', title: 'Copy', updated_at: V1 }
+    ]);
+    const outbox = createOutbox(server);
+    outbox.remember(OUTBOX_ENTITIES.TASK, [...server.table.values()]);
+    outbox.setAvailable(OUTBOX_SOURCES.SERVICE, false);
+
+    await outbox.run(update('task-1', { title: 'Mine' }), vi.fn());
+    await outbox.run(update('task-1', { priority: 'low' }), vi.fn());
+    await outbox.run(update('task-2', { title: 'Copy v2' }), vi.fn());
+
+    // Someone else edits task-1 while we are offline
+    server.table.set('task-1', { id: 'task-1', title: 'Theirs', updated_at: V2 });
+    outbox.setAvailable(OUTBOX_SOURCES.SERVICE, true);
+
+    const summary = await outbox.replay();
+
+    expect(summary).toMatchObject({ applied: 1, pending: 1, conflicts: 1 });
+    expect(server.applied).toEqual(['update:task-2']);
+    const [conflict] = outbox.getConflicts();
+    expect(conflict.status).toBe(OUTBOX_STATUS.CONFLICT);
+    expect(conflict.conflict).toMatchObject({ type: CONFLICT_TYPES.MODIFIED, remote: { title: 'Theirs' } });
+
+    await outbox.resolveConflict(conflict.id, CONFLICT_RESOLUTIONS.KEEP_LOCAL);
+
+    expect(server.applied).toEqual(['update:task-2', 'update:task-1', 'update:task-1']);
+    expect(server.table.get('task-1')).toMatchObject({ title: 'Mine', priority: 'low' });
+    expect(outbox.getEntries()).toEqual([]);
+  });
+
+  it('should drop local changes on keep_remote and only allow discarding changes to deleted rows', async () => {
+    const server = createServer([
+      { id: 'task-1', title: 'Brief', updated_at: V1 },
+      { id: 'task-2', title: 'Copy', updated_at: V1 }
+    ]);
+    const outbox = createOutbox(server);
+    outbox.remember(OUTBOX_ENTITIES.TASK, [...server.table.values()]);
+    outbox.setAvailable(OUTBOX_SOURCES.NETWORK, false);
+
+    await outbox.run(update('task-1', { title: 'Mine' }), vi.fn());
+    await outbox.run(update('task-2', { title: 'Copy v2' }), vi.fn());
+    server.table.set('task-1', { id: 'task-1', title: 'Theirs', updated_at: V2 });
+    server.table.delete('task-2');
+    outbox.setAvailable(OUTBOX_SOURCES.NETWORK, true);
+
+    await outbox.replay();
+    const [modified, deleted] = outbox.getConflicts();
+    expect(deleted.conflict.type).toBe(CONFLICT_TYPES.DELETED);
+
+    await expect(outbox.resolveConflict(deleted.id, CONFLICT_RESOLUTIONS.KEEP_LOCAL))
+      .rejects.toThrow('solo puedes descartar');
+    await outbox.resolveConflict(modified.id, CONFLICT_RESOLUTIONS.KEEP_REMOTE);
+    await outbox.discard(deleted.id);
+
+    expect(server.applied).toEqual([]);
+    expect(server.table.get('task-1').title).toBe('Theirs');
+    expect(outbox.getEntries()).toEqual([]);
+  });
+
+  it('should stop replaying on a network error and mark rejected changes as failed', async () => {
+    const server = createServer([{ id: 'task-1', title: 'Brief', updated_at: V1 }]);
+    const outbox = createOutbox(server);
+    outbox.scheduleReplay = vi.fn();
+    outbox.setAvailable(OUTBOX_SOURCES.NETWORK, false);
+
+    await outbox.run(update('task-1', { title: 'A' }), vi.fn());
+    await outbox.run(update('task-1', { title: 'B' }), vi.fn());
+    outbox.setAvailable(OUTBOX_SOURCES.NETWORK, true);
+
+    server.handler.update.mockRejectedValueOnce(new Error('TypeError: Failed to fetch'));
+    let summary = await outbox.replay();
+    expect(summary).toMatchObject({ applied: 0, pending: 2 });
+    expect(outbox.scheduleReplay).toHaveBeenCalled();
+
+    server.handler.update.mockRejectedValueOnce(new Error('El título es obligatorio'));
+    summary = await outbox.replay();
+    expect(summary).toMatchObject({ applied: 0, pending: 1, failed: 1 });
+    expect(outbox.getConflicts()[0]).toMatchObject({ status: OUTBOX_STATUS.FAILED, error: 'El título es obligatorio' });
+
+    await outbox.retry(outbox.getConflicts()[0].id);
+    expect(server.table.get('task-1').title).toBe('B');
+    expect(outbox.getEntries()).toEqual([]);
+  });
+
+  it('should queue task mutations made against Supabase while it is unreachable', async () => {
+    const service = new TaskService();
+    service.isSupabaseEnabled = true;
+    offlineOutbox.setAvailable(OUTBOX_SOURCES.NETWORK, false);
+
+    try {
+      const task = await service.createTask('project-1', { title: '  Offline task ' });
+      const moved = await service.moveTask(task.id, { status: 'done' });
+
+      expect(task).toMatchObject({ title: 'Offline task', project_id: 'project-1', created_by: 'user-1', pending_sync: true });
+      expect(moved).toEqual([expect.objectContaining({ id: task.id, status: 'done' })]);
+      expect(offlineOutbox.getEntries().slice(-2).map(entry => [entry.action, entry.recordId]))
+        .toEqual([[OUTBOX_ACTIONS.CREATE, task.id], [OUTBOX_ACTIONS.MOVE, task.id]]);
+    } finally {
+      offlineOutbox.setAvailable(OUTBOX_SOURCES.NETWORK, true);
+    }
+  });
+});
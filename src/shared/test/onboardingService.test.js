@@ -0,0 +1,173 @@
+/**
+ * Unit tests for the onboarding service
+ * Exercises the localStorage mock backend used when Supabase is not configured,
+ * and the retries of the create_onboarding_project call against a fake client
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+
+const backend = vi.hoisted(() => ({ client: null }));
+
+vi.mock('../config/supabase.js', () => ({
+  get supabase() {
+    return backend.client;
+  },
+  TABLES: {
+    USERS: 'users',
+    PROJECTS: 'projects',
+    TASKS: 'tasks',
+    PROJECT_MEMBERS: 'project_members',
+    CHAT_MESSAGES: 'chat_messages',
+    USER_ANALYTICS: 'user_analytics',
+    TASK_EVENTS: 'task_events'
+  }
+}));
+
+import { authService } from '../services/authService.js';
+import { projectService, MEMBER_STATUS } from '../services/projectService.js';
+import { taskService } from '../services/taskService.js';
+import { onboardingService, SAMPLE_PROJECTS } from '../services/onboardingService.js';
+
+describe('OnboardingService (mock backend)', () => {
+  const userData = {
+    name: 'Ana',
+    projectTemplate: 'software',
+    teamMembers: ['Luis@Example.com', 'luis@example.com', '', 'demo@anclora.com', 'marta@example.com']
+  };
+
+  beforeEach(() => {
+    localStorage.clear();
+    authService.currentUser = { id: 'user-1', email: 'demo@anclora.com' };
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it('should build a plan with positioned tasks and deduplicated invitations', () => {
+    const plan = onboardingService.buildPlan(userData);
+
+    expect(plan.project).toEqual({ name: SAMPLE_PROJECTS.software.name, template: 'software' });
+    expect(plan.tasks.filter(task => task.status === 'todo').map(task => task.position)).toEqual([0, 1, 2]);
+    expect(plan.invites).toEqual([
+      { email: 'luis@example.com', role: 'member' },
+      { email: 'marta@example.com', role: 'member' }
+    ]);
+
+    expect(onboardingService.buildPlan({ projectTemplate: 'unknown' }).project.template).toBe('general');
+    expect(() => onboardingService.buildPlan({ teamMembers: ['not-an-email'] })).toThrow('no válido');
+  });
+
+  it('should create the project, sample tasks and pending invitations', async () => {
+    const result = await onboardingService.persistOnboarding(userData);
+
+    const project = await projectService.getProject(result.projectId);
+    expect(project.template).toBe('software');
+    expect(result).toMatchObject({ taskCount: 5, inviteCount: 2, attempts: 1 });
+
+    const tasks = await taskService.listTasks(project.id);
+    expect(tasks.data.map(task => task.title).sort())
+      .toEqual(SAMPLE_PROJECTS.software.tasks.map(task => task.title).sort());
+
+    const invitations = projectService.memberStore.where(member =>
+      member.project_id === project.id && member.status === MEMBER_STATUS.PENDING
+    );
+    expect(invitations.map(member => member.invited_email)).toEqual(['luis@example.com', 'marta@example.com']);
+    expect(invitations[0].invited_by).toBe('user-1');
+
+    const members = await projectService.listMembers(project.id);
+    expect(members.map(member => member.role)).toEqual(['owner']);
+  });
+
+  it('should roll back and retry the whole unit when a step fails', async () => {
+    const createTask = taskService.createTask.bind(taskService);
+    let calls = 0;
+    vi.spyOn(taskService, 'createTask').mockImplementation((projectId, values) => {
+      calls++;
+      if (calls === 3) return Promise.reject(new Error('Network request failed'));
+      return createTask(projectId, values);
+    });
+    vi.spyOn(onboardingService, 'createWorkspace');
+
+    const result = await onboardingService.persistOnboarding(userData, { maxRetries: 1 });
+
+    expect(onboardingService.createWorkspace).toHaveBeenCalledTimes(2);
+    expect(result.attempts).toBe(2);
+
+    const projects = await projectService.listProjects();
+    expect(projects.data.map(project => project.id)).toEqual([result.projectId]);
+    const tasks = await taskService.listTasks(result.projectId);
+    expect(tasks.count).toBe(5);
+    expect(projectService.memberStore.all()).toHaveLength(3);
+  }, 10000);
+
+  it('should leave nothing behind when every attempt fails', async () => {
+    vi.spyOn(taskService, 'createTask').mockRejectedValue(new Error('Network request failed'));
+
+    await expect(onboardingService.persistOnboarding(userData, { maxRetries: 0 }))
+      .rejects.toThrow('Network request failed');
+
+    const projects = await projectService.listProjects();
+    expect(projects.count).toBe(0);
+    expect(projectService.memberStore.all()).toHaveLength(0);
+  });
+});
+
+describe('OnboardingService (Supabase)', () => {
+  let projects;
+
+  beforeEach(() => {
+    projects = new Map();
+    authService.currentUser = { id: 'user-1', email: 'demo@anclora.com' };
+    onboardingService.isSupabaseEnabled = true;
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    backend.client = null;
+    onboardingService.isSupabaseEnabled = false;
+    vi.restoreAllMocks();
+  });
+
+  // Mirrors the ON CONFLICT (id) DO NOTHING of the SQL function
+  const createOnboardingProject = params => {
+    if (!projects.has(params.project_id)) {
+      projects.set(params.project_id, { ...params.project, taskCount: params.tasks.length });
+    }
+    return { data: params.project_id, error: null };
+  };
+
+  it('should return the committed project when the first attempt fails after commit', async () => {
+    const rpc = vi.fn()
+      .mockImplementationOnce(async (name, params) => {
+        createOnboardingProject(params);
+        return { data: null, error: { message: 'TypeError: Failed to fetch' } };
+      })
+      .mockImplementation(async (name, params) => createOnboardingProject(params));
+    backend.client = { rpc };
+
+    const result = await onboardingService.persistOnboarding({ projectTemplate: 'software' }, { maxRetries: 1 });
+
+    expect(rpc).toHaveBeenCalledTimes(2);
+    const [first, second] = rpc.mock.calls.map(([, params]) => params.project_id);
+    expect(first).toEqual(expect.any(String));
+    expect(second).toBe(first);
+    expect(result).toMatchObject({ projectId: first, attempts: 2 });
+    expect(projects.size).toBe(1);
+  }, 10000);
+
+  it('should not retry failures that are not network errors', async () => {
+    const rpc = vi.fn().mockResolvedValue({
+      data: null,
+      error: { message: 'new row violates row-level security policy for table "projects"' }
+    });
+    backend.client = { rpc };
+
+    await expect(onboardingService.persistOnboarding({ projectTemplate: 'software' }, { maxRetries: 2 }))
+      .rejects.toThrow('row-level security');
+    expect(rpc).toHaveBeenCalledTimes(1);
+  });
+});
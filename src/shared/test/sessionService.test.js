@@ -0,0 +1,131 @@
+/**
+ * Unit tests for SessionService and the cross-tab auth channel
+ * Covers the active sessions list, revoking sessions, the idle timeout and logging out other tabs
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+
+vi.mock('../config/supabase.js', () => ({
+  supabase: {
+    rpc: vi.fn(),
+    auth: {
+      signOut: vi.fn(),
+      getSession: vi.fn().mockResolvedValue({ data: { session: null } }),
+      onAuthStateChange: vi.fn(() => ({ data: { subscription: { unsubscribe: vi.fn() } } }))
+    }
+  }
+}));
+
+import { sessionService } from '../services/sessionService.js';
+import { authService } from '../services/authService.js';
+import { authChannel, AUTH_CHANNEL_EVENTS } from '../services/authChannel.js';
+import { supabase } from '../config/supabase.js';
+
+const DEMO_USER = { id: '1', name: 'Usuario Demo', email: 'demo@anclora.com', avatar: null, provider: 'email' };
+const IPHONE_UA = 'Mozilla/5.0 (iPhone; CPU iPhone OS 17_6 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.6 Mobile/15E148 Safari/604.1';
+
+// Base64url JWT carrying only the claims the service reads
+const accessToken = (claims) => `header.${btoa(JSON.stringify(claims)).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '')}.signature`;
+
+describe('SessionService', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    localStorage.clear();
+    authService.isSupabaseEnabled = false;
+    sessionService.isSupabaseEnabled = false;
+    authService.session = null;
+    authService.storeMockSession(DEMO_USER, 'mock_token_1');
+  });
+
+  afterEach(() => {
+    sessionService.stopIdleTimeout();
+    vi.restoreAllMocks();
+    vi.useRealTimers();
+    authService.currentUser = null;
+  });
+
+  it('should list this browser first and revoke the other sessions', async () => {
+    sessionService.saveMockSessions('1', [
+      ...sessionService.getMockSessions('1'),
+      { id: 'phone', userAgent: IPHONE_UA, ip: '203.0.113.7', createdAt: '2026-10-01T09:00:00Z', lastActiveAt: '2026-10-18T20:00:00Z' },
+      { id: 'old', userAgent: 'curl/8.4.0', ip: null, createdAt: '2026-09-01T09:00:00Z', lastActiveAt: '2026-09-02T09:00:00Z' }
+    ]);
+
+    const sessions = await sessionService.listSessions();
+    expect(sessions.map(session => session.id)).toEqual([sessionService.getCurrentSessionId(), 'phone', 'old']);
+    expect(sessions[0].current).toBe(true);
+    expect(sessions[1]).toMatchObject({ browser: 'Safari', os: 'iOS', deviceType: 'mobile', ip: '203.0.113.7', current: false });
+
+    await expect(sessionService.revokeSession(sessionService.getCurrentSessionId())).rejects.toThrow('Cerrar sesión');
+    await sessionService.revokeSession('phone');
+    await expect(sessionService.revokeSession('phone')).rejects.toThrow('ya no existe');
+    expect((await sessionService.listSessions()).map(session => session.id)).toHaveLength(2);
+
+    await sessionService.revokeOtherSessions();
+    expect(await sessionService.listSessions()).toEqual([expect.objectContaining({ current: true })]);
+  });
+
+  it('should read the current session from the access token and revoke through Supabase', async () => {
+    sessionService.isSupabaseEnabled = true;
+    authService.session = { access_token: accessToken({ sub: '1', session_id: 's-current' }) };
+    supabase.rpc.mockImplementation(async (name) => (name === 'list_user_sessions'
+      ? { data: [
+        { id: 's-other', user_agent: IPHONE_UA, ip: '203.0.113.7', created_at: '2026-10-01T09:00:00Z', last_active_at: '2026-10-18T20:00:00Z' },
+        { id: 's-current', user_agent: navigator.userAgent, ip: '198.51.100.2', created_at: '2026-10-19T08:00:00Z', last_active_at: '2026-10-19T08:00:00Z' }
+      ], error: null }
+      : { data: false, error: null }));
+
+    const sessions = await sessionService.listSessions();
+    expect(sessions.map(session => [session.id, session.current])).toEqual([['s-current', true], ['s-other', false]]);
+
+    await expect(sessionService.revokeSession('s-other')).rejects.toThrow('ya no existe');
+    expect(supabase.rpc).toHaveBeenLastCalledWith('revoke_user_session', { target_session_id: 's-other' });
+
+    supabase.auth.signOut.mockResolvedValueOnce({ error: null });
+    await sessionService.revokeOtherSessions();
+    expect(supabase.auth.signOut).toHaveBeenCalledWith({ scope: 'others' });
+  });
+
+  it('should sign out after the idle timeout unless another tab was active', async () => {
+    vi.useFakeTimers();
+    vi.setSystemTime(new Date('2026-10-19T10:00:00Z'));
+    const logout = vi.spyOn(authService, 'logout').mockResolvedValue();
+
+    sessionService.startIdleTimeout(15);
+    vi.advanceTimersByTime(10 * 60 * 1000);
+    // Activity recorded by another tab of the app
+    localStorage.setItem('kairon_last_activity', String(Date.now()));
+    vi.advanceTimersByTime(10 * 60 * 1000);
+    expect(logout).not.toHaveBeenCalled();
+
+    await vi.advanceTimersByTimeAsync(6 * 60 * 1000);
+    expect(logout).toHaveBeenCalledWith({ reason: 'idle' });
+    expect(sessionService.idleTimer).toBeNull();
+  });
+
+  it('should log out this tab when another tab logs out', async () => {
+    const listener = vi.fn();
+    const unsubscribe = authChannel.subscribe(listener);
+    const currentId = sessionService.getCurrentSessionId();
+    expect(currentId).toBeTruthy();
+
+    authChannel.notify({ type: AUTH_CHANNEL_EVENTS.SIGNED_OUT, userId: '2', tabId: 'other', at: Date.now() }, true);
+    await vi.waitFor(() => expect(listener).toHaveBeenCalledTimes(1));
+    expect(authService.currentUser).toMatchObject({ id: '1' });
+
+    authChannel.notify({ type: AUTH_CHANNEL_EVENTS.SIGNED_OUT, userId: '1', reason: 'logout', tabId: 'other', at: Date.now() }, true);
+    await vi.waitFor(() => expect(authService.currentUser).toBeNull());
+    expect(listener).toHaveBeenLastCalledWith(expect.objectContaining({ type: 'signed_out', reason: 'logout' }), { remote: true });
+    unsubscribe();
+  });
+
+  it('should end this browser session and tell the other tabs on logout', async () => {
+    const publish = vi.spyOn(authChannel, 'publish');
+    const currentId = sessionService.getCurrentSessionId();
+    await authService.logout({ reason: 'idle' });
+
+    expect(publish).toHaveBeenCalledWith(AUTH_CHANNEL_EVENTS.SIGNED_OUT, { userId: '1', reason: 'idle' });
+    expect(sessionService.getCurrentSessionId()).toBeNull();
+    expect(sessionService.getMockSessions('1').some(session => session.id === currentId)).toBe(false);
+  });
+});
@@ -0,0 +1,214 @@
+/**
+ * Unit tests for the project and task repository services
+ * Exercises the localStorage mock backend used when Supabase is not configured
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+
+// The mock backend runs unless a test hands the services a Supabase client
+const backend = vi.hoisted(() => ({ client: null }));
+
+vi.mock('../config/supabase.js', () => ({
+  get supabase() {
+    return backend.client;
+  },
+  TABLES: {
+    USERS: 'users',
+    PROJECTS: 'projects',
+    TASKS: 'tasks',
+    PROJECT_MEMBERS: 'project_members',
+    CHAT_MESSAGES: 'chat_messages',
+    USER_ANALYTICS: 'user_analytics',
+    TASK_EVENTS: 'task_events'
+  }
+}));
+
+import { authService } from '../services/authService.js';
+import { projectService, PROJECT_STATUS } from '../services/projectService.js';
+import { taskService, TASK_STATUS } from '../services/taskService.js';
+
+describe('Data services (mock backend)', () => {
+  let project;
+
+  beforeEach(async () => {
+    localStorage.clear();
+    authService.currentUser = { id: 'user-1', email: 'demo@anclora.com' };
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+
+    project = await projectService.createProject({ name: '  Website relaunch  ' });
+  });
+
+  describe('ProjectService', () => {
+    it('should create projects with schema defaults and owner membership', async () => {
+      expect(project.name).toBe('Website relaunch');
+      expect(project.owner_id).toBe('user-1');
+      expect(project.status).toBe(PROJECT_STATUS.ACTIVE);
+      expect(project.color).toBe('#2EAFC4');
+      expect(projectService.memberStore.where(member => member.project_id === project.id)[0].role).toBe('owner');
+    });
+
+    it('should reject invalid project values', async () => {
+      await expect(projectService.createProject({ name: '' })).rejects.toThrow('obligatorio');
+      await expect(projectService.updateProject(project.id, { color: 'blue' })).rejects.toThrow('Color');
+    });
+
+    it('should filter, search and paginate projects', async () => {
+      await projectService.createProject({ name: 'Marketing Q3', template: 'marketing' });
+      await projectService.createProject({ name: 'Brand book', template: 'design' });
+
+      const page = await projectService.listProjects({ pageSize: 2, orderBy: 'name', ascending: true });
+      expect(page.count).toBe(3);
+      expect(page.totalPages).toBe(2);
+      expect(page.data.map(p => p.name)).toEqual(['Brand book', 'Marketing Q3']);
+
+      const marketing = await projectService.listProjects({ template: 'marketing' });
+      expect(marketing.data).toHaveLength(1);
+
+      const search = await projectService.listProjects({ search: 'web' });
+      expect(search.data[0].id).toBe(project.id);
+    });
+
+    it('should hide projects of other users', async () => {
+      authService.currentUser = { id: 'user-2' };
+      const result = await projectService.listProjects();
+      expect(result.count).toBe(0);
+    });
+
+    it('should cascade deletes to tasks', async () => {
+      await taskService.createTask(project.id, { title: 'Wireframes' });
+      await projectService.deleteProject(project.id);
+
+      expect(await projectService.getProject(project.id)).toBeNull();
+      expect((await taskService.listTasks(project.id)).count).toBe(0);
+    });
+  });
+
+  describe('TaskService', () => {
+    it('should append new tasks to the end of their column', async () => {
+      const first = await taskService.createTask(project.id, { title: 'First' });
+      const second = await taskService.createTask(project.id, { title: 'Second' });
+      const review = await taskService.createTask(project.id, { title: 'Review', status: TASK_STATUS.IN_REVIEW });
+
+      expect(first.position).toBe(0);
+      expect(second.position).toBe(1);
+      expect(review.position).toBe(0);
+      expect(first.created_by).toBe('user-1');
+      expect(first.priority).toBe('medium');
+    });
+
+    it('should validate status, priority and hours', async () => {
+      await expect(taskService.createTask(project.id, { title: 'x', status: 'blocked' })).rejects.toThrow('Estado');
+      await expect(taskService.createTask(project.id, { title: 'x', priority: 'critical' })).rejects.toThrow('Prioridad');
+      await expect(taskService.createTask(project.id, { title: 'x', estimated_hours: -2 })).rejects.toThrow('Horas');
+    });
+
+    it('should filter tasks by status, assignee, tags and due date', async () => {
+      await taskService.createTask(project.id, { title: 'Design', assigned_to: 'user-2', tags: ['ui'], due_date: '2026-01-10T00:00:00Z' });
+      await taskService.createTask(project.id, { title: 'Build', status: TASK_STATUS.IN_PROGRESS, tags: ['ui', 'api'] });
+      await taskService.createTask(project.id, { title: 'Ship', status: TASK_STATUS.DONE });
+
+      const byStatus = await taskService.listTasks(project.id, { filters: { status: [TASK_STATUS.TODO, TASK_STATUS.DONE] } });
+      expect(byStatus.data.map(t => t.title).sort()).toEqual(['Design', 'Ship']);
+
+      const unassigned = await taskService.listTasks(project.id, { filters: { assignedTo: 'unassigned' } });
+      expect(unassigned.count).toBe(2);
+
+      const tagged = await taskService.listTasks(project.id, { filters: { tags: ['ui', 'api'] } });
+      expect(tagged.data[0].title).toBe('Build');
+
+      const due = await taskService.listTasks(project.id, { filters: { dueBefore: '2026-02-01T00:00:00Z' } });
+      expect(due.data[0].title).toBe('Design');
+    });
+
+    it('should move a task between columns and renumber both', async () => {
+      const a = await taskService.createTask(project.id, { title: 'A' });
+      const b = await taskService.createTask(project.id, { title: 'B' });
+      const c = await taskService.createTask(project.id, { title: 'C' });
+      const d = await taskService.createTask(project.id, { title: 'D', status: TASK_STATUS.IN_PROGRESS });
+
+      await taskService.moveTask(a.id, { status: TASK_STATUS.IN_PROGRESS, position: 0 });
+
+      const columns = await taskService.getTasksByStatus(project.id);
+      expect(columns[TASK_STATUS.TODO].map(t => [t.id, t.position])).toEqual([[b.id, 0], [c.id, 1]]);
+      expect(columns[TASK_STATUS.IN_PROGRESS].map(t => [t.id, t.position])).toEqual([[a.id, 0], [d.id, 1]]);
+    });
+
+    it('should reorder a column to match the given ids', async () => {
+      const a = await taskService.createTask(project.id, { title: 'A' });
+      const b = await taskService.createTask(project.id, { title: 'B' });
+      const c = await taskService.createTask(project.id, { title: 'C' });
+
+      const changed = await taskService.reorderTasks(project.id, TASK_STATUS.TODO, [c.id, a.id]);
+
+      const columns = await taskService.getTasksByStatus(project.id);
+      expect(columns[TASK_STATUS.TODO].map(t => t.id)).toEqual([c.id, a.id, b.id]);
+      expect(changed).toHaveLength(3);
+    });
+
+    it('should remove deleted tasks from dependencies', async () => {
+      const a = await taskService.createTask(project.id, { title: 'A' });
+      const b = await taskService.createTask(project.id, { title: 'B', dependencies: [a.id] });
+
+      await taskService.deleteTask(a.id);
+
+      expect((await taskService.getTask(b.id)).dependencies).toEqual([]);
+    });
+
+    describe('with Supabase', () => {
+      afterEach(() => {
+        backend.client = null;
+        taskService.isSupabaseEnabled = false;
+      });
+
+      it('should leave dependency cleanup to the database', async () => {
+        const query = {
+          delete: vi.fn(() => query),
+          eq: vi.fn(async () => ({ error: null }))
+        };
+        backend.client = { from: vi.fn(() => query) };
+        taskService.isSupabaseEnabled = true;
+
+        expect(await taskService.removeTask('a')).toBe(true);
+
+        expect(backend.client.from).toHaveBeenCalledTimes(1);
+        expect(query.eq).toHaveBeenCalledWith('id', 'a');
+      });
+
+      it('should read every page of a large project', async () => {
+        const rows = Array.from({ length: 2500 }, (_, index) => ({ id: `task-${index}`, status: 'todo' }));
+        const query = {
+          select: vi.fn(() => query),
+          eq: vi.fn(() => query),
+          order: vi.fn(() => query),
+          range: vi.fn(async (from, to) => ({ data: rows.slice(from, to + 1), error: null, count: rows.length }))
+        };
+        backend.client = { from: vi.fn(() => query) };
+        taskService.isSupabaseEnabled = true;
+
+        const columns = await taskService.getTasksByStatus(project.id);
+
+        expect(columns.todo).toHaveLength(2500);
+        expect(query.range.mock.calls).toEqual([[0, 999], [1000, 1999], [2000, 2999]]);
+      });
+    });
+
+    it('should add and remove dependencies', async () => {
+      const a = await taskService.createTask(project.id, { title: 'A' });
+      const b = await taskService.createTask(project.id, { title: 'B' });
+
+      expect((await taskService.addDependency(b.id, a.id)).dependencies).toEqual([a.id]);
+      expect((await taskService.addDependency(b.id, a.id)).dependencies).toEqual([a.id]);
+      expect((await taskService.removeDependency(b.id, a.id)).dependencies).toEqual([]);
+    });
+
+    it('should reject dependencies that create a cycle', async () => {
+      const a = await taskService.createTask(project.id, { title: 'A' });
+      const b = await taskService.createTask(project.id, { title: 'B', dependencies: [a.id] });
+      const c = await taskService.createTask(project.id, { title: 'C', dependencies: [b.id] });
+
+      await expect(taskService.addDependency(a.id, c.id)).rejects.toThrow('Dependencia circular: A → C → B → A');
+      await expect(taskService.addDependency(a.id, a.id)).rejects.toThrow('Dependencia circular');
+      expect((await taskService.getTask(a.id)).dependencies).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,224 @@
+/**
+ * Unit tests for tracing
+ * Tests OTLP/JSON encoding, parent-child spans, export batching and the spans
+ * authService records for its operations, connectivity checks, retries and OAuth redirects
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+
+vi.mock('../config/supabase.js', () => ({
+  supabase: {
+    auth: {
+      signInWithOAuth: vi.fn(),
+      signOut: vi.fn().mockResolvedValue({ error: null }),
+      getSession: vi.fn().mockResolvedValue({ data: { session: null } }),
+      onAuthStateChange: vi.fn(() => ({ data: { subscription: { unsubscribe: vi.fn() } } }))
+    }
+  }
+}));
+
+import { tracer, Tracer, FileExporter, OtlpHttpExporter, SPAN_STATUS, createExporterFromEnv } from '../services/tracing.js';
+import { authService } from '../services/authService.js';
+import { retryManager } from '../services/retryManager.js';
+import { connectionMonitor } from '../services/connectionMonitor.js';
+import { AUTH_ERROR_TYPES } from '../services/authErrorHandler.js';
+import errorLogger from '../services/errorLogger.js';
+import { ErrorAnalytics } from '../services/errorAnalytics.js';
+import { supabase } from '../config/supabase.js';
+
+function exportedSpans(exporter) {
+  return exporter.requests.flatMap(request => request.resourceSpans[0].scopeSpans[0].spans);
+}
+
+function attribute(span, key) {
+  const value = span.attributes.find(item => item.key === key)?.value;
+  return value && Object.values(value)[0];
+}
+
+describe('Tracer', () => {
+  let exporter;
+  let localTracer;
+
+  beforeEach(() => {
+    sessionStorage.clear();
+    exporter = new FileExporter();
+    localTracer = new Tracer();
+    localTracer.configure({ exporter });
+    localTracer.setSessionIdProvider(() => 'session-1');
+  });
+
+  afterEach(() => {
+    localTracer.configure({ exporter: null });
+    vi.restoreAllMocks();
+  });
+
+  it('should export nested spans as OTLP/JSON with the session id', async () => {
+    await localTracer.withSpan('auth.login', { attributes: { 'auth.mode': 'mock' } }, async span => {
+      span.addEvent('step', { attempt: 1, ratio: 0.5, ok: true });
+      await localTracer.withSpan('auth.connectivity_check', {}, () => 'connected');
+    });
+    await localTracer.flush();
+
+    const request = exporter.requests[0];
+    expect(request.resourceSpans[0].resource.attributes).toContainEqual({ key: 'service.name', value: { stringValue: 'anclora-kairon' } });
+    expect(request.resourceSpans[0].scopeSpans[0].scope.name).toBe('anclora-kairon/auth');
+
+    const [child, parent] = exportedSpans(exporter);
+    expect(child.name).toBe('auth.connectivity_check');
+    expect(child.traceId).toBe(parent.traceId);
+    expect(child.parentSpanId).toBe(parent.spanId);
+    expect(parent.parentSpanId).toBeUndefined();
+    expect(parent.traceId).toMatch(/^[0-9a-f]{32}$/);
+    expect(parent.spanId).toMatch(/^[0-9a-f]{16}$/);
+    expect(BigInt(parent.endTimeUnixNano) >= BigInt(parent.startTimeUnixNano)).toBe(true);
+    expect(attribute(parent, 'session.id')).toBe('session-1');
+    expect(parent.events[0].attributes).toEqual([
+      { key: 'attempt', value: { intValue: '1' } },
+      { key: 'ratio', value: { doubleValue: 0.5 } },
+      { key: 'ok', value: { boolValue: true } }
+    ]);
+    expect(localTracer.getActiveSpan()).toBeNull();
+  });
+
+  it('should take the session id from errorLogger and leave it out without a provider', async () => {
+    expect(tracer.startSpan('auth.login').attributes['session.id']).toBe(errorLogger.getSessionId());
+
+    const standalone = new Tracer();
+    expect(standalone.startSpan('auth.login').attributes).not.toHaveProperty('session.id');
+  });
+
+  it('should record thrown errors and rethrow them', async () => {
+    await expect(localTracer.withSpan('auth.logout', {}, () => {
+      throw new Error('Sin conexión');
+    })).rejects.toThrow('Sin conexión');
+    await localTracer.flush();
+
+    const [span] = exportedSpans(exporter);
+    expect(span.status).toEqual({ code: SPAN_STATUS.ERROR, message: 'Sin conexión' });
+    expect(span.events[0].name).toBe('exception');
+  });
+
+  it('should continue a trace on the next page from the saved context', async () => {
+    await localTracer.withSpan('auth.oauth_login', {}, () => localTracer.saveContext());
+    const parentContext = localTracer.restoreContext();
+    expect(localTracer.restoreContext()).toBeNull();
+
+    await localTracer.withSpan('auth.oauth_callback', { parent: parentContext }, () => {});
+    await localTracer.flush();
+
+    const [login, callback] = exportedSpans(exporter);
+    expect(callback.traceId).toBe(login.traceId);
+    expect(callback.parentSpanId).toBe(login.spanId);
+  });
+
+  it('should drop spans when no exporter is configured and pick exporters from the environment', async () => {
+    const disabled = new Tracer();
+    disabled.startSpan('auth.login').end();
+    expect(disabled.pending).toEqual([]);
+
+    expect(createExporterFromEnv({})).toBeNull();
+    expect(createExporterFromEnv({ VITE_TRACES_EXPORTER: 'file' })).toBeInstanceOf(FileExporter);
+    expect(createExporterFromEnv({ VITE_TRACES_ENDPOINT: 'http://localhost:4318/v1/traces' })).toBeInstanceOf(OtlpHttpExporter);
+  });
+});
+
+describe('AuthService tracing', () => {
+  let exporter;
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    localStorage.clear();
+    sessionStorage.clear();
+    authService.currentUser = null;
+    authService.session = null;
+    authService.isSupabaseEnabled = false;
+    supabase.auth.getSession.mockResolvedValue({ data: { session: null } });
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    vi.spyOn(retryManager, 'delay').mockResolvedValue();
+
+    exporter = new FileExporter();
+    tracer.configure({ exporter });
+  });
+
+  afterEach(() => {
+    tracer.configure({ exporter: null });
+    vi.restoreAllMocks();
+  });
+
+  it('should trace a login with its connectivity check as a child span', async () => {
+    vi.spyOn(connectionMonitor, 'isSupabaseAvailable').mockResolvedValue({ available: true, latency: 42 });
+    vi.spyOn(authService, 'mockApiCall').mockResolvedValue({ success: true, user: { id: '1', email: 'demo@anclora.com' }, token: 'token' });
+
+    await authService.login('demo@anclora.com', 'secret');
+    await tracer.flush();
+
+    const [check, login] = exportedSpans(exporter);
+    expect(login.name).toBe('auth.login');
+    expect(attribute(login, 'auth.mode')).toBe('mock');
+    expect(check).toMatchObject({ name: 'auth.connectivity_check', parentSpanId: login.spanId, traceId: login.traceId });
+    expect(attribute(check, 'connectivity.status')).toBe('connected');
+    expect(attribute(check, 'connectivity.latency_ms')).toBe('42');
+    // Credentials never reach the trace
+    expect(JSON.stringify(exporter.requests)).not.toContain('demo@anclora.com');
+  });
+
+  it('should record retries under the operation that runs them', async () => {
+    const fn = vi.fn()
+      .mockRejectedValueOnce(new Error('Failed to fetch'))
+      .mockResolvedValueOnce('ok');
+
+    await tracer.withSpan('auth.register', {}, () => retryManager.executeWithRetry(fn, AUTH_ERROR_TYPES.NETWORK_ERROR));
+    // Outside a traced operation retries add nothing
+    await retryManager.executeWithRetry(async () => 'ok', AUTH_ERROR_TYPES.NETWORK_ERROR);
+    await tracer.flush();
+
+    const spans = exportedSpans(exporter);
+    expect(spans.map(span => span.name)).toEqual(['auth.retry', 'auth.register']);
+    const [retry, register] = spans;
+    expect(retry.parentSpanId).toBe(register.spanId);
+    expect(attribute(retry, 'retry.attempts')).toBe('2');
+    expect(retry.events).toHaveLength(1);
+    expect(retry.events[0].name).toBe('retry.attempt_failed');
+  });
+
+  it('should mark the OAuth redirect and keep the trace context for the callback page', async () => {
+    authService.isSupabaseEnabled = true;
+    supabase.auth.signInWithOAuth.mockResolvedValue({ data: { provider: 'github', url: 'https://github.com/login' }, error: null });
+
+    await authService.loginWithOAuth('github');
+    await tracer.flush();
+
+    const [span] = exportedSpans(exporter);
+    expect(span.name).toBe('auth.oauth_login');
+    expect(attribute(span, 'auth.provider')).toBe('github');
+    expect(span.events.map(event => event.name)).toContain('oauth.redirect');
+    expect(tracer.restoreContext()).toEqual({ traceId: span.traceId, spanId: span.spanId });
+  });
+
+  it('should mark operations that report failure without throwing', async () => {
+    await authService.loginWithOAuth('unknown-provider', { returnErrorResult: true });
+    await tracer.flush();
+
+    const [span] = exportedSpans(exporter);
+    expect(span.status.code).toBe(SPAN_STATUS.ERROR);
+  });
+
+  it('should keep emails and secrets out of auth flow span events', async () => {
+    const uxTracker = new ErrorAnalytics().getUXTracker();
+    uxTracker.startAuthFlow('flow-1', 'login');
+    uxTracker.recordFlowStep('flow-1', 'credentials_submitted', { email: 'ana@example.com', password: 'secret', attempt: 1 });
+    uxTracker.recordFlowError('flow-1', { type: 'INVALID_CREDENTIALS', message: 'No account for ana@example.com', context: { token: 'jwt' } });
+    uxTracker.completeAuthFlow('flow-1', false);
+    await tracer.flush();
+
+    const [span] = exportedSpans(exporter);
+    expect(span.events[0].attributes).toEqual([
+      { key: 'email', value: { stringValue: '[EMAIL]' } },
+      { key: 'password', value: { stringValue: '[REDACTED]' } },
+      { key: 'attempt', value: { intValue: '1' } }
+    ]);
+    expect(JSON.stringify(span.events[1])).not.toMatch(/ana@example\.com|jwt/);
+    expect(attribute(span.events[1], 'message')).toBe('No account for [EMAIL]');
+  });
+});
@@ -0,0 +1,598 @@
+// Assistant intent engine
+// Deterministic rules that recognise a question or command (Spanish or English), pull out the
+// project, task, date, priority and assignee it mentions, and answer it from the loaded tasks.
+// It needs no network, so it backs the local assistant provider and runs as-is in tests
+
+import { HOURS_PER_DAY, startOfDay, addDays, diffDays, computeCriticalPath } from './taskSchedule.js'
+
+export const ASSISTANT_INTENTS = {
+  GREETING: 'greeting',
+  HELP: 'help',
+  OVERDUE: 'overdue',
+  DUE_TODAY: 'due_today',
+  NEXT_TASK: 'next_task',
+  WORKLOAD: 'workload',
+  CREATE_TASK: 'create_task',
+  UPDATE_TASK: 'update_task',
+  UNKNOWN: 'unknown'
+}
+
+export const ASSISTANT_ACTIONS = {
+  CREATE_TASK: 'create_task',
+  UPDATE_TASK: 'update_task'
+}
+
+// Hours a member can take on over a working week before being reported as overloaded
+export const WORKLOAD_CAPACITY_HOURS = HOURS_PER_DAY * 5
+// Effort assumed for open tasks without an estimate
+export const DEFAULT_TASK_HOURS = HOURS_PER_DAY / 2
+const OVERDUE_OVERLOAD_COUNT = 3
+const DUE_SOON_DAYS = 3
+const NEXT_TASK_LIMIT = 3
+
+const DONE = 'done'
+
+// Commands are matched first so "crea una tarea para hoy" is not read as a question about today
+const INTENT_PATTERNS = [
+  [ASSISTANT_INTENTS.CREATE_TASK, /^(?:(?:por favor|please)\s+)?(?:crea|crear|creame|anade|anadir|agrega|agregar|nueva tarea|create|add|new task)\b/],
+  [ASSISTANT_INTENTS.UPDATE_TASK, /^(?:(?:por favor|please)\s+)?(?:marca|marcar|mueve|mover|cambia|cambiar|asigna|asignar|actualiza|actualizar|pon|mark|move|set|change|assign|update)\b/],
+  [ASSISTANT_INTENTS.OVERDUE, /\b(?:vencid|atrasad|retrasad|overdue|late\b|past due|behind schedule)/],
+  [ASSISTANT_INTENTS.WORKLOAD, /\b(?:sobrecargad|saturad|overload|carga de trabajo|workload|demasiado trabajo|too much work|quien (?:tiene|esta|va) (?:mas|demasiad)|who (?:has|is) (?:the most|too much|the busiest|busiest))/],
+  [ASSISTANT_INTENTS.NEXT_TASK, /\b(?:que (?:hago|deberia hacer|tengo que hacer|me toca)|por donde (?:empiezo|sigo)|siguiente tarea|proxima tarea|what (?:should|do|can) i (?:do|work on)|what'?s next|next task|work on next)\b/],
+  [ASSISTANT_INTENTS.DUE_TODAY, /\b(?:hoy|today)\b/],
+  [ASSISTANT_INTENTS.GREETING, /^(?:hola|buenas|buenos dias|hi|hello|hey)\b/],
+  [ASSISTANT_INTENTS.HELP, /\b(?:ayuda|help|que puedes hacer|what can you do)\b/]
+]
+
+const PRIORITY_WORDS = {
+  baja: 'low',
+  low: 'low',
+  media: 'medium',
+  normal: 'medium',
+  medium: 'medium',
+  alta: 'high',
+  high: 'high',
+  urgente: 'urgent',
+  urgent: 'urgent'
+}
+
+const STATUS_WORDS = [
+  [/^(?:hech|terminad|completad|done|finish|complete)/, 'done'],
+  [/^(?:en progreso|in progress|en curso)/, 'in-progress'],
+  [/^(?:en revision|in review)/, 'in-review'],
+  [/^(?:pendiente|por hacer|to ?do)/, 'todo']
+]
+
+const WEEKDAYS = {
+  domingo: 0, sunday: 0,
+  lunes: 1, monday: 1,
+  martes: 2, tuesday: 2,
+  miercoles: 3, wednesday: 3,
+  jueves: 4, thursday: 4,
+  viernes: 5, friday: 5,
+  sabado: 6, saturday: 6
+}
+
+const PRIORITY_PATTERN = /(?:(?:con|with)\s+)?(?:(?:prioridad|priority)(?:\s+(?:de|of)\b[\s\S]*?)?\s+(?:(?:a|to|en|=)\s+)?(baja|media|normal|alta|urgente|low|medium|high|urgent)\b|(baja|media|alta|low|medium|high)\s+priority\b|\b(urgente|urgent)\b)/
+const DUE_PATTERN = /(?:\b(?:para|for|due|vence|by|on)\s+(?:el\s+)?)?\b(pasado manana|hoy|today|manana|tomorrow|\d{4}-\d{2}-\d{2}|en\s+(\d+)\s+dias?|in\s+(\d+)\s+days?|(?:el\s+|next\s+)?(lunes|martes|miercoles|jueves|viernes|sabado|domingo|monday|tuesday|wednesday|thursday|friday|saturday|sunday))\b/
+const STATUS_PATTERN = /(?:\b(?:como|as|a|to|en|in)\s+)?\b(hech[ao]s?|terminad[ao]s?|completad[ao]s?|done|finished|complete[d]?|en progreso|in progress|en curso|en revision|in review|pendientes?|por hacer|to ?do)\b/
+const ASSIGNEE_PATTERN = /\b(?:asignad[ao]\s+a|asignar(?:la|lo)?\s+a|assigned\s+to|assign\s+(?:it\s+)?to|a|to)\s+(@?[\p{L}\p{N}._-]+(?:\s+[\p{L}\p{N}._-]+)?)/gu
+const SELF_ASSIGNEE_PATTERN = /\basignamel[ao]\b|\b(?:asignad[ao]\s+)?(?:a\s+mi|to\s+me)\s*(?=[,.;!?]|$)/
+const QUOTED_PATTERN = /["“«]([^"”»]+)["”»]|(?<![\p{L}\p{N}])['‘]([^'’]+)['’]/u
+const TASK_NOUN_PATTERN = /^\s*(?:(?:una|la|nueva|a|the|new)\s+)*(?:tarea|task)\b\s*:?/
+const LEADING_CONNECTORS = /^(?:[\s,.;:!?-]|(?:y|and|que|con|with|para|called|llamada|titulada)\b)+/i
+const TRAILING_CONNECTORS = /(?:[\s,.;:!?-]|\b(?:y|and|que|con|with))+$/i
+
+/**
+ * Lowercase and strip accents while keeping every character at its original index,
+ * so ranges found in the normalized text can be cut out of the original one
+ * @param {string} text - Text
+ * @returns {string} Normalized text, same length as the input
+ */
+export function normalizeText(text) {
+  return Array.from(String(text ?? ''), char => {
+    const mapped = char.toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+    return mapped.length === char.length ? mapped : char
+  }).join('')
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+}
+
+/**
+ * Name a member is known by, for matching and display
+ * @param {Object} member - Member row from projectService.listMembers
+ * @returns {string} Name, email or id
+ */
+export function getMemberName(member) {
+  const user = member.user || {}
+  return user.name || user.email || member.user_id
+}
+
+/**
+ * Work out what a message asks for
+ * @param {string} message - Question or command
+ * @returns {string} One of ASSISTANT_INTENTS
+ */
+export function detectIntent(message) {
+  const text = normalizeText(message).trim().replace(/^[¿¡"'«\s]+/, '')
+  const match = INTENT_PATTERNS.find(([, pattern]) => pattern.test(text))
+  return match ? match[0] : ASSISTANT_INTENTS.UNKNOWN
+}
+
+/**
+ * Project whose name appears in the message, preferring the longest name
+ * @param {string} text - Normalized message
+ * @param {Array<Object>} projects - Projects the user can see
+ * @returns {{ project: Object, start: number, end: number }|null} Match and its range
+ */
+export function findProjectMention(text, projects = []) {
+  let best = null
+
+  projects.forEach(project => {
+    const name = normalizeText(project.name).trim()
+    if (!name) return
+
+    const pattern = new RegExp(
+      `(?<![\\p{L}\\p{N}])(?:(?:en|in|al|to|del|de|of|for|para)\\s+(?:(?:el|la|the)\\s+)?(?:(?:proyecto|project)\\s+)?)?${escapeRegExp(name)}(?![\\p{L}\\p{N}])`,
+      'u'
+    )
+    const match = pattern.exec(text)
+    if (match && (!best || name.length > best.length)) {
+      best = { project, start: match.index, end: match.index + match[0].length, length: name.length }
+    }
+  })
+
+  return best && { project: best.project, start: best.start, end: best.end }
+}
+
+/**
+ * Due date a message mentions ("mañana", "in 3 days", "el viernes", "2024-05-31"...)
+ * @param {string} text - Normalized message
+ * @param {Date} now - Current time
+ * @returns {{ date: Date, start: number, end: number }|null} Start of the due day and its range
+ */
+export function parseDueDate(text, now = new Date()) {
+  const match = DUE_PATTERN.exec(text)
+  if (!match) return null
+
+  const today = startOfDay(now)
+  const [phrase, word, esDays, enDays, weekday] = match
+  let date = null
+
+  if (word === 'hoy' || word === 'today') {
+    date = today
+  } else if (word === 'manana' || word === 'tomorrow') {
+    date = addDays(today, 1)
+  } else if (word === 'pasado manana') {
+    date = addDays(today, 2)
+  } else if (esDays || enDays) {
+    date = addDays(today, Number(esDays || enDays))
+  } else if (weekday) {
+    const ahead = (WEEKDAYS[weekday] - today.getDay() + 7) % 7 || 7
+    date = addDays(today, ahead)
+  } else {
+    const [year, month, day] = word.split('-').map(Number)
+    date = new Date(year, month - 1, day)
+    if (date.getMonth() !== month - 1) return null
+  }
+
+  return { date, start: match.index, end: match.index + phrase.length }
+}
+
+/**
+ * Priority a message mentions ("prioridad alta", "high priority", "urgente")
+ * @param {string} text - Normalized message
+ * @returns {{ priority: string, start: number, end: number }|null} Priority and its range
+ */
+export function parsePriority(text) {
+  const match = PRIORITY_PATTERN.exec(text)
+  if (!match) return null
+
+  const word = match[1] || match[2] || match[3]
+  return { priority: PRIORITY_WORDS[word], start: match.index, end: match.index + match[0].length }
+}
+
+/**
+ * Status a message moves a task to ("como hecha", "to in progress")
+ * @param {string} text - Normalized message
+ * @returns {{ status: string, start: number, end: number }|null} Status and its range
+ */
+export function parseStatus(text) {
+  const match = STATUS_PATTERN.exec(text)
+  if (!match) return null
+
+  const entry = STATUS_WORDS.find(([pattern]) => pattern.test(match[1]))
+  return entry && { status: entry[1], start: match.index, end: match.index + match[0].length }
+}
+
+function getMemberAliases(member) {
+  const name = normalizeText(getMemberName(member)).trim()
+  const emailName = normalizeText(member.user?.email || '').split('@')[0]
+  return [name, name.replace(/\s+/g, '.'), name.split(/\s+/)[0], emailName].filter(Boolean)
+}
+
+// Match "Ana", "ana garcia" or "@ana.garcia"; returns how much of the phrase named the member
+function findMemberByName(phrase, members) {
+  const words = phrase.split(/\s+/)
+  const clean = word => word.replace(/^@/, '').replace(/[._-]+$/, '')
+  const candidates = words.length > 1
+    ? [[words.map(clean).join(' '), phrase], [clean(words[0]), words[0]]]
+    : [[clean(phrase), phrase]]
+
+  for (const [candidate, consumed] of candidates) {
+    const member = members.find(item => getMemberAliases(item).includes(candidate))
+    if (member) return { member, consumed }
+  }
+  return null
+}
+
+/**
+ * Member a message assigns the task to ("asignada a Ana", "assign to @luis", "assign to me")
+ * @param {string} text - Normalized message
+ * @param {Array<Object>} members - Candidate assignees
+ * @param {string} userId - Current user id, for "me"
+ * @returns {{ userId: string, name: string|null, start: number, end: number }|null} Assignee and its range
+ */
+export function parseAssignee(text, members = [], userId = null) {
+  const self = SELF_ASSIGNEE_PATTERN.exec(text)
+  if (self && userId) {
+    return { userId, name: null, start: self.index, end: self.index + self[0].length }
+  }
+
+  for (const match of text.matchAll(ASSIGNEE_PATTERN)) {
+    const found = findMemberByName(match[1], members)
+    if (found) {
+      const end = match.index + match[0].length - (match[1].length - found.consumed.length)
+      return { userId: found.member.user_id, name: getMemberName(found.member), start: match.index, end }
+    }
+  }
+
+  for (const match of text.matchAll(/@([\p{L}\p{N}._-]+)/gu)) {
+    const found = findMemberByName(match[1], members)
+    if (found) {
+      return { userId: found.member.user_id, name: getMemberName(found.member), start: match.index, end: match.index + match[0].length }
+    }
+  }
+
+  return null
+}
+
+/**
+ * Quoted text in a message ("…", «…», '…')
+ * @param {string} message - Original message
+ * @returns {{ value: string, start: number, end: number }|null} Quoted text and the range of the quotes
+ */
+export function findQuotedText(message) {
+  const match = QUOTED_PATTERN.exec(message)
+  if (!match) return null
+
+  const value = (match[1] || match[2]).trim()
+  return value ? { value, start: match.index, end: match.index + match[0].length } : null
+}
+
+/**
+ * Task a message refers to: the quoted title, or the longest task title it contains
+ * @param {string} message - Original message
+ * @param {Array<Object>} tasks - Candidate tasks
+ * @returns {{ task: Object, start: number, end: number }|null} Task and its range
+ */
+export function findTaskMention(message, tasks = []) {
+  const quoted = findQuotedText(message)
+  if (quoted) {
+    const title = normalizeText(quoted.value)
+    const task = tasks.find(item => normalizeText(item.title).trim() === title) ||
+      tasks.find(item => normalizeText(item.title).includes(title))
+    return task ? { task, start: quoted.start, end: quoted.end } : null
+  }
+
+  const text = normalizeText(message)
+  let best = null
+  tasks.forEach(task => {
+    const title = normalizeText(task.title).trim()
+    if (!title) return
+    const index = text.indexOf(title)
+    if (index !== -1 && (!best || title.length > best.end - best.start)) {
+      best = { task, start: index, end: index + title.length }
+    }
+  })
+  return best
+}
+
+/**
+ * Whether a task is still open
+ * @param {Object} task - Task row
+ * @returns {boolean} True unless done
+ */
+export function isOpenTask(task) {
+  return task.status !== DONE
+}
+
+/**
+ * Open tasks whose due day has passed, oldest first
+ * @param {Array<Object>} tasks - Task rows
+ * @param {Date} now - Current time
+ * @returns {Array<Object>} Overdue tasks
+ */
+export function findOverdueTasks(tasks, now = new Date()) {
+  const today = startOfDay(now)
+  return tasks
+    .filter(task => isOpenTask(task) && task.due_date && startOfDay(task.due_date) < today)
+    .sort((a, b) => new Date(a.due_date) - new Date(b.due_date))
+}
+
+/**
+ * Open tasks due today
+ * @param {Array<Object>} tasks - Task rows
+ * @param {Date} now - Current time
+ * @returns {Array<Object>} Tasks due today
+ */
+export function findTasksDueToday(tasks, now = new Date()) {
+  const today = startOfDay(now).getTime()
+  return tasks.filter(task => isOpenTask(task) && task.due_date && startOfDay(task.due_date).getTime() === today)
+}
+
+/**
+ * Open tasks the user should pick up next, with the reasons behind their rank
+ * Only the user's own or unassigned tasks whose dependencies are done are considered
+ * @param {Array<Object>} tasks - Task rows, possibly from several projects
+ * @param {Object} options - Ranking options
+ * @param {string} options.userId - Current user id
+ * @param {Date} options.now - Current time
+ * @param {number} options.limit - Maximum suggestions
+ * @returns {Array<{ task: Object, score: number, reasons: Array<string> }>} Suggestions, best first
+ */
+export function rankNextTasks(tasks, { userId = null, now = new Date(), limit = NEXT_TASK_LIMIT } = {}) {
+  const today = startOfDay(now)
+  const byId = new Map(tasks.map(task => [task.id, task]))
+  const critical = new Set()
+
+  const byProject = new Map()
+  tasks.forEach(task => {
+    if (!byProject.has(task.project_id)) byProject.set(task.project_id, [])
+    byProject.get(task.project_id).push(task)
+  })
+  byProject.forEach(projectTasks => {
+    computeCriticalPath(projectTasks.filter(isOpenTask)).taskIds.forEach(id => critical.add(id))
+  })
+
+  const priorityScore = { urgent: 40, high: 30, medium: 15, low: 5 }
+
+  return tasks
+    .filter(task => isOpenTask(task) && (!task.assigned_to || task.assigned_to === userId))
+    .filter(task => (task.dependencies || []).every(id => !byId.has(id) || !isOpenTask(byId.get(id))))
+    .map(task => {
+      const reasons = []
+      let score = priorityScore[task.priority] ?? priorityScore.medium
+
+      if (task.due_date) {
+        const days = diffDays(today, task.due_date)
+        if (days < 0) {
+          score += 100 - days
+          reasons.push('overdue')
+        } else if (days === 0) {
+          score += 60
+          reasons.push('due_today')
+        } else if (days <= DUE_SOON_DAYS) {
+          score += 40 - days * 5
+          reasons.push('due_soon')
+        }
+      }
+      if (task.priority === 'urgent' || task.priority === 'high') reasons.push('high_priority')
+      if (task.status === 'in-progress') {
+        score += 20
+        reasons.push('in_progress')
+      }
+      if (critical.has(task.id)) {
+        score += 10
+        reasons.push('critical_path')
+      }
+
+      return { task, score, reasons }
+    })
+    .sort((a, b) =>
+      b.score - a.score ||
+      (a.task.due_date ? new Date(a.task.due_date) : Infinity) - (b.task.due_date ? new Date(b.task.due_date) : Infinity) ||
+      (a.task.position ?? 0) - (b.task.position ?? 0)
+    )
+    .slice(0, limit)
+}
+
+/**
+ * Remaining effort and overdue work per member, busiest first
+ * @param {Array<Object>} tasks - Task rows
+ * @param {Array<Object>} members - Member rows (duplicates across projects are merged)
+ * @param {Object} options - Options
+ * @param {Date} options.now - Current time
+ * @param {number} options.capacityHours - Hours above which a member is overloaded
+ * @returns {Array<{ userId: string, name: string, openTasks: number, remainingHours: number, overdue: number, overloaded: boolean }>} Workload
+ */
+export function computeWorkload(tasks, members, { now = new Date(), capacityHours = WORKLOAD_CAPACITY_HOURS } = {}) {
+  const workload = new Map()
+  members.forEach(member => {
+    if (!member.user_id || workload.has(member.user_id)) return
+    workload.set(member.user_id, {
+      userId: member.user_id,
+      name: getMemberName(member),
+      openTasks: 0,
+      remainingHours: 0,
+      overdue: 0,
+      overloaded: false
+    })
+  })
+
+  const overdueIds = new Set(findOverdueTasks(tasks, now).map(task => task.id))
+  tasks.filter(isOpenTask).forEach(task => {
+    const entry = workload.get(task.assigned_to)
+    if (!entry) return
+
+    const estimate = task.estimated_hours == null ? DEFAULT_TASK_HOURS : Number(task.estimated_hours) || 0
+    entry.openTasks += 1
+    entry.remainingHours += Math.max(0, estimate - (Number(task.actual_hours) || 0))
+    if (overdueIds.has(task.id)) entry.overdue += 1
+  })
+
+  return [...workload.values()]
+    .map(entry => ({
+      ...entry,
+      overloaded: entry.remainingHours > capacityHours || entry.overdue >= OVERDUE_OVERLOAD_COUNT
+    }))
+    .sort((a, b) => b.remainingHours - a.remainingHours || b.overdue - a.overdue)
+}
+
+// Cut the ranges of recognised entities out of a command and keep what is left as the title
+function extractTitle(message, text, ranges, prefixEnd) {
+  const kept = message.split('')
+  ranges.filter(Boolean).forEach(({ start, end }) => {
+    for (let i = start; i < end; i++) kept[i] = ' '
+  })
+
+  const rest = kept.join('').slice(prefixEnd)
+  const nounMatch = TASK_NOUN_PATTERN.exec(normalizeText(rest))
+  const title = rest.slice(nounMatch ? nounMatch[0].length : 0).replace(/\s+/g, ' ')
+
+  return title.replace(LEADING_CONNECTORS, '').replace(TRAILING_CONNECTORS, '').trim()
+}
+
+function buildCreateAction(message, context, scope) {
+  const text = normalizeText(message)
+  const prefix = INTENT_PATTERNS[0][1].exec(text.trim().replace(/^[¿¡\s]+/, ''))
+  const prefixEnd = prefix ? text.indexOf(prefix[0]) + prefix[0].length : 0
+  const project = scope.project
+  const members = project ? scope.members : []
+
+  const quoted = findQuotedText(message)
+  const due = parseDueDate(text, context.now)
+  const priority = parsePriority(text)
+  const assignee = parseAssignee(text, members, context.userId)
+
+  const title = quoted
+    ? quoted.value
+    : extractTitle(message, text, [scope.mention, due, priority, assignee], prefixEnd)
+
+  if (!title) return { error: 'missing_title' }
+  if (!project) return { error: 'missing_project' }
+
+  const values = { title }
+  if (due) values.due_date = due.date.toISOString()
+  if (priority) values.priority = priority.priority
+  if (assignee) values.assigned_to = assignee.userId
+
+  return {
+    action: {
+      type: ASSISTANT_ACTIONS.CREATE_TASK,
+      projectId: project.id,
+      projectName: project.name,
+      taskTitle: title,
+      assigneeName: assignee?.name ?? null,
+      values
+    }
+  }
+}
+
+function buildUpdateAction(message, context, scope) {
+  const text = normalizeText(message)
+  const mention = findTaskMention(message, scope.tasks) ||
+    (scope.mention ? null : findTaskMention(message, context.tasks))
+  if (!mention) return { error: 'task_not_found' }
+
+  const task = mention.task
+  const project = context.projects.find(item => item.id === task.project_id)
+  const members = context.members.filter(member => member.project_id === task.project_id)
+
+  // Blank the title first so words inside it are not read as a status or an assignee
+  const remaining = text.slice(0, mention.start) + ' '.repeat(mention.end - mention.start) + text.slice(mention.end)
+  const status = parseStatus(remaining)
+  const due = parseDueDate(remaining, context.now)
+  const priority = parsePriority(remaining)
+  const assignee = parseAssignee(remaining, members, context.userId)
+
+  const values = {}
+  if (status && status.status !== task.status) values.status = status.status
+  if (due) values.due_date = due.date.toISOString()
+  if (priority && priority.priority !== task.priority) values.priority = priority.priority
+  if (assignee && assignee.userId !== task.assigned_to) values.assigned_to = assignee.userId
+
+  if (Object.keys(values).length === 0) return { error: 'no_changes', task }
+
+  return {
+    action: {
+      type: ASSISTANT_ACTIONS.UPDATE_TASK,
+      projectId: task.project_id,
+      projectName: project?.name ?? null,
+      taskId: task.id,
+      taskTitle: task.title,
+      assigneeName: assignee?.name ?? null,
+      values
+    }
+  }
+}
+
+/**
+ * @typedef {Object} AssistantContext
+ * @property {string|null} userId - Current user id
+ * @property {string|null} projectId - Project the user is looking at, used when none is named
+ * @property {Array<Object>} projects - Projects the user can see
+ * @property {Array<Object>} tasks - Tasks of those projects
+ * @property {Array<Object>} members - Active members of those projects, each with project_id
+ * @property {Date} now - Current time
+ */
+
+/**
+ * @typedef {Object} AssistantReply
+ * @property {string} intent - One of ASSISTANT_INTENTS
+ * @property {Object|null} project - Project the answer is scoped to, null for every project
+ * @property {Array<Object>} [tasks] - Tasks answering the question
+ * @property {Array<Object>} [suggestions] - Ranked next tasks with their reasons
+ * @property {Array<Object>} [workload] - Workload per member
+ * @property {Object} [action] - Task change waiting for the user's confirmation
+ * @property {string} [error] - Why a command could not be turned into an action
+ * @property {string} [text] - Free text answer (remote providers)
+ */
+
+/**
+ * Answer a question or turn a command into an action awaiting confirmation
+ * Never changes data itself: create/update commands come back as an `action`
+ * @param {string} message - Question or command
+ * @param {AssistantContext} context - Data to answer from
+ * @returns {AssistantReply} Reply
+ */
+export function answerMessage(message, context) {
+  const ctx = {
+    userId: null,
+    projectId: null,
+    projects: [],
+    tasks: [],
+    members: [],
+    now: new Date(),
+    ...context
+  }
+  const intent = detectIntent(message)
+  const mention = findProjectMention(normalizeText(message), ctx.projects)
+  const project = mention?.project || ctx.projects.find(item => item.id === ctx.projectId) || null
+  const scope = {
+    mention,
+    project,
+    tasks: project ? ctx.tasks.filter(task => task.project_id === project.id) : ctx.tasks,
+    members: project ? ctx.members.filter(member => member.project_id === project.id) : ctx.members
+  }
+  const reply = { intent, project }
+
+  switch (intent) {
+    case ASSISTANT_INTENTS.OVERDUE:
+      return { ...reply, tasks: findOverdueTasks(scope.tasks, ctx.now) }
+    case ASSISTANT_INTENTS.DUE_TODAY:
+      return { ...reply, tasks: findTasksDueToday(scope.tasks, ctx.now) }
+    case ASSISTANT_INTENTS.NEXT_TASK:
+      return { ...reply, suggestions: rankNextTasks(scope.tasks, { userId: ctx.userId, now: ctx.now }) }
+    case ASSISTANT_INTENTS.WORKLOAD:
+      return { ...reply, workload: computeWorkload(scope.tasks, scope.members, { now: ctx.now }) }
+    case ASSISTANT_INTENTS.CREATE_TASK:
+      return { ...reply, ...buildCreateAction(message, ctx, scope) }
+    case ASSISTANT_INTENTS.UPDATE_TASK:
+      return { ...reply, ...buildUpdateAction(message, ctx, scope) }
+    default:
+      return reply
+  }
+}
@@ -0,0 +1,98 @@
+import { describe, it, expect } from 'vitest'
+import {
+  ASSISTANT_INTENTS,
+  ASSISTANT_ACTIONS,
+  detectIntent,
+  answerMessage,
+  rankNextTasks,
+  computeWorkload
+} from './assistantIntents.js'
+
+const now = new Date(2026, 9, 19, 10)
+const day = offset => new Date(2026, 9, 19 + offset).toISOString()
+
+const projects = [{ id: 'p1', name: 'Website' }, { id: 'p2', name: 'App móvil' }]
+const members = [
+  { project_id: 'p1', user_id: 'u1', user: { name: 'Ana García', email: 'ana@example.com' } },
+  { project_id: 'p1', user_id: 'u2', user: { name: 'Luis', email: 'luis@example.com' } },
+  { project_id: 'p2', user_id: 'u2', user: { name: 'Luis', email: 'luis@example.com' } }
+]
+const tasks = [
+  { id: 't1', project_id: 'p1', title: 'Diseñar home', status: 'todo', priority: 'high', due_date: day(-4), assigned_to: 'u2', estimated_hours: 30 },
+  { id: 't2', project_id: 'p1', title: 'Revisar copy', status: 'in-progress', priority: 'medium', due_date: day(0), assigned_to: 'u1', estimated_hours: 4 },
+  { id: 't3', project_id: 'p2', title: 'Login', status: 'todo', priority: 'urgent', due_date: day(-1), assigned_to: 'u2', estimated_hours: 20 },
+  { id: 't4', project_id: 'p1', title: 'Publicar', status: 'todo', priority: 'urgent', dependencies: ['t1'], assigned_to: null },
+  { id: 't5', project_id: 'p1', title: 'Kickoff', status: 'done', priority: 'low', due_date: day(-10), assigned_to: 'u1' }
+]
+const context = { userId: 'u1', projects, members, tasks, now }
+
+describe('assistantIntents', () => {
+  it('recognises questions and commands in Spanish and English', () => {
+    expect(detectIntent('¿Qué está vencido en Website?')).toBe(ASSISTANT_INTENTS.OVERDUE)
+    expect(detectIntent('What should I work on next?')).toBe(ASSISTANT_INTENTS.NEXT_TASK)
+    expect(detectIntent('¿Quién está sobrecargado?')).toBe(ASSISTANT_INTENTS.WORKLOAD)
+    expect(detectIntent('crea una tarea para hoy')).toBe(ASSISTANT_INTENTS.CREATE_TASK)
+    expect(detectIntent('mark "Login" as done')).toBe(ASSISTANT_INTENTS.UPDATE_TASK)
+    expect(detectIntent('lorem ipsum')).toBe(ASSISTANT_INTENTS.UNKNOWN)
+  })
+
+  it('answers overdue questions scoped to the project they name', () => {
+    const reply = answerMessage('What\'s overdue in project Website?', context)
+    expect(reply.project.id).toBe('p1')
+    expect(reply.tasks.map(task => task.id)).toEqual(['t1'])
+
+    const everywhere = answerMessage('¿Qué tareas están atrasadas?', context)
+    expect(everywhere.project).toBeNull()
+    expect(everywhere.tasks.map(task => task.id)).toEqual(['t1', 't3'])
+  })
+
+  it('suggests unblocked tasks of the user, most pressing first', () => {
+    const suggestions = rankNextTasks(tasks, { userId: 'u1', now })
+    expect(suggestions.map(item => item.task.id)).toEqual(['t2'])
+    expect(suggestions[0].reasons).toEqual(['due_today', 'in_progress'])
+
+    const unblocked = tasks.map(task => task.id === 't1' ? { ...task, status: 'done' } : task)
+    expect(rankNextTasks(unblocked, { userId: 'u1', now }).map(item => item.task.id)).toEqual(['t2', 't4'])
+  })
+
+  it('flags members whose remaining effort exceeds a working week', () => {
+    const workload = computeWorkload(tasks, members, { now })
+    expect(workload.map(entry => [entry.name, entry.remainingHours, entry.overdue, entry.overloaded])).toEqual([
+      ['Luis', 50, 2, true],
+      ['Ana García', 4, 0, false]
+    ])
+  })
+
+  it('turns create commands into an action without touching data', () => {
+    const reply = answerMessage('Crea una tarea revisar diseño en móvil en Website para mañana con prioridad alta asignada a Ana', context)
+
+    expect(reply.action).toEqual({
+      type: ASSISTANT_ACTIONS.CREATE_TASK,
+      projectId: 'p1',
+      projectName: 'Website',
+      taskTitle: 'revisar diseño en móvil',
+      assigneeName: 'Ana García',
+      values: {
+        title: 'revisar diseño en móvil',
+        due_date: day(1),
+        priority: 'high',
+        assigned_to: 'u1'
+      }
+    })
+    expect(answerMessage('create task "Fix login"', context).error).toBe('missing_project')
+    expect(answerMessage('crea una tarea en Website', context).error).toBe('missing_title')
+  })
+
+  it('turns update commands into an action on the task they name', () => {
+    expect(answerMessage('Marca «Diseñar home» como hecha', context).action).toMatchObject({
+      type: ASSISTANT_ACTIONS.UPDATE_TASK,
+      taskId: 't1',
+      projectId: 'p1',
+      values: { status: 'done' }
+    })
+    expect(answerMessage('assign "Publicar" to @luis', context).action.values).toEqual({ assigned_to: 'u2' })
+    expect(answerMessage('cambia la prioridad de «Publicar» a baja', context).action.values).toEqual({ priority: 'low' })
+    expect(answerMessage('marca «Revisar copy» en progreso', context).error).toBe('no_changes')
+    expect(answerMessage('marca «Nada» como hecha', context).error).toBe('task_not_found')
+  })
+})
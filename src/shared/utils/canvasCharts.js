@@ -0,0 +1,87 @@
+// Canvas chart helpers
+// Dependency-free line charts shared by the real-time error dashboard and the analytics view
+
+/**
+ * Draw a line chart over a background grid, scaling the values to the canvas height
+ * Null values leave a gap in the line
+ * @param {HTMLCanvasElement} canvas - Canvas to draw on
+ * @param {Array<number|null>} values - Data points, oldest first
+ * @param {Object} options - Drawing options
+ * @param {string} options.color - Line and point color
+ * @param {number} options.minScale - Smallest value the top of the chart represents
+ * @param {number} options.lineWidth - Line width in pixels
+ * @param {boolean} options.points - Whether to mark every data point
+ * @param {string} options.gridColor - Grid line color
+ */
+export function drawTrendChart(canvas, values, options = {}) {
+  const {
+    color = '#3498db',
+    minScale = 0,
+    lineWidth = 3,
+    points = true,
+    gridColor = '#ecf0f1'
+  } = options
+
+  const ctx = canvas && canvas.getContext && canvas.getContext('2d')
+  if (!ctx) return
+
+  const width = canvas.width
+  const height = canvas.height
+
+  ctx.clearRect(0, 0, width, height)
+
+  // Draw grid
+  ctx.strokeStyle = gridColor
+  ctx.lineWidth = 1
+
+  for (let i = 0; i <= 5; i++) {
+    const y = (i / 5) * height
+    ctx.beginPath()
+    ctx.moveTo(0, y)
+    ctx.lineTo(width, y)
+    ctx.stroke()
+  }
+
+  for (let i = 0; i <= 10; i++) {
+    const x = (i / 10) * width
+    ctx.beginPath()
+    ctx.moveTo(x, 0)
+    ctx.lineTo(x, height)
+    ctx.stroke()
+  }
+
+  if (values.length < 2) return
+
+  const present = values.filter(value => value !== null && value !== undefined)
+  const maxValue = Math.max(...present, minScale) || 1
+  const coordinates = values.map((value, index) => (value === null || value === undefined
+    ? null
+    : { x: (index / (values.length - 1)) * width, y: height - (value / maxValue) * height }))
+
+  ctx.strokeStyle = color
+  ctx.lineWidth = lineWidth
+  ctx.beginPath()
+
+  let drawing = false
+  coordinates.forEach(point => {
+    if (!point) {
+      drawing = false
+    } else if (drawing) {
+      ctx.lineTo(point.x, point.y)
+    } else {
+      ctx.moveTo(point.x, point.y)
+      drawing = true
+    }
+  })
+
+  ctx.stroke()
+
+  if (points) {
+    ctx.fillStyle = color
+    coordinates.filter(Boolean).forEach(point => {
+      ctx.beginPath()
+      ctx.arc(point.x, point.y, 3, 0, 2 * Math.PI)
+      ctx.fill()
+    })
+  }
+}
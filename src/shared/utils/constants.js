@@ -3,17 +3,29 @@
 export const THEMES = {
   LIGHT: 'light',
   DARK: 'dark',
+  HIGH_CONTRAST: 'high-contrast',
   SYSTEM: 'system'
 }
 
 export const LANGUAGES = {
   ES: 'es',
-  EN: 'en'
+  EN: 'en',
+  PT: 'pt',
+  FR: 'fr'
+}
+
+// Name in the language itself, flag and BCP 47 tag used for plurals, numbers and dates
+export const LANGUAGE_DETAILS = {
+  [LANGUAGES.ES]: { name: 'Español', flag: '🇪🇸', locale: 'es-ES' },
+  [LANGUAGES.EN]: { name: 'English', flag: '🇺🇸', locale: 'en-US' },
+  [LANGUAGES.PT]: { name: 'Português', flag: '🇧🇷', locale: 'pt-BR' },
+  [LANGUAGES.FR]: { name: 'Français', flag: '🇫🇷', locale: 'fr-FR' }
 }
 
 export const STORAGE_KEYS = {
   THEME: 'anclora-theme',
   LANGUAGE: 'anclora-language',
+  CUSTOM_THEMES: 'anclora-custom-themes',
   USER_PREFERENCES: 'anclora-user-preferences'
 }
 
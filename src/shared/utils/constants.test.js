@@ -5,12 +5,15 @@ describe('Constants', () => {
   it('should have correct theme values', () => {
     expect(THEMES.LIGHT).toBe('light')
     expect(THEMES.DARK).toBe('dark')
+    expect(THEMES.HIGH_CONTRAST).toBe('high-contrast')
     expect(THEMES.SYSTEM).toBe('system')
   })
 
   it('should have correct language values', () => {
     expect(LANGUAGES.ES).toBe('es')
     expect(LANGUAGES.EN).toBe('en')
+    expect(LANGUAGES.PT).toBe('pt')
+    expect(LANGUAGES.FR).toBe('fr')
   })
 
   it('should have Anclora color palette', () => {
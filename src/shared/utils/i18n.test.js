@@ -0,0 +1,124 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest'
+import i18n, { detectBrowserLanguage } from './i18n.js'
+import { STORAGE_KEYS } from './constants.js'
+
+describe('i18n', () => {
+  beforeEach(() => {
+    localStorage.clear()
+  })
+
+  afterEach(() => {
+    vi.restoreAllMocks()
+  })
+
+  it('should read common keys and namespaced keys in the current language', () => {
+    i18n.setLanguage('en')
+
+    expect(localStorage.getItem(STORAGE_KEYS.LANGUAGE)).toBe('en')
+    expect(document.documentElement.lang).toBe('en')
+    expect(i18n.translate('auth:NETWORK_ERROR')).toBe(i18n.getTranslations('en', 'auth').NETWORK_ERROR)
+    expect(i18n.getTranslations('en', 'connection')).not.toEqual(i18n.getTranslations('es', 'connection'))
+    expect(i18n.has('onboarding:onboardingProgress')).toBe(true)
+  })
+
+  it('should fill in parameters and plurals per language', () => {
+    expect(i18n.t('onboarding:onboardingProgress', { step: 2, total: 5 }, 'es')).toBe('Paso 2 de 5')
+    expect(i18n.t('onboarding:onboardingMemberCount', { count: 1 }, 'es')).toBe('1 miembro')
+    expect(i18n.t('onboarding:onboardingMemberCount', { count: 3 }, 'es')).toBe('3 miembros')
+    expect(i18n.format('chatShowReplies', { count: 1 }, 'en')).toBe('Show 1 reply')
+    expect(i18n.format('chatShowReplies', { count: 4 }, 'en')).toBe('Show 4 replies')
+  })
+
+  it('should fall back to Spanish and report keys a language lacks', () => {
+    const spanish = i18n.getTranslations('es', 'onboarding')
+
+    expect(i18n.getTranslations('xx', 'onboarding')).toEqual(spanish)
+    expect(i18n.t('onboarding:onboardingProgress', { step: 1, total: 3 }, 'xx')).toBe('Paso 1 de 3')
+    expect(i18n.getMissingKeys()).toContain('xx:onboarding:onboardingProgress')
+    expect(i18n.translate('common:doesNotExist', 'es')).toBe('common:doesNotExist')
+  })
+
+  it('should return the raw message when it does not parse', () => {
+    vi.spyOn(console, 'warn').mockImplementation(() => {})
+    const translations = i18n.getTranslations('es')
+    translations.brokenMessage = 'Hola {name'
+
+    try {
+      expect(i18n.t('brokenMessage', { name: 'Ana' }, 'es')).toBe('Hola {name')
+      expect(console.warn).toHaveBeenCalled()
+    } finally {
+      delete translations.brokenMessage
+    }
+  })
+
+  it('should format numbers, dates and relative times for the language', () => {
+    expect(i18n.formatNumber(1234.5, {}, 'en')).toBe('1,234.5')
+    expect(i18n.formatNumber(12345.5, {}, 'es')).toBe('12.345,5')
+    expect(i18n.formatDate(Date.UTC(2024, 4, 1, 12), { dateStyle: 'long', timeZone: 'UTC' }, 'en')).toBe('May 1, 2024')
+    expect(i18n.formatRelativeTime(-1, 'day', 'es')).toBe('ayer')
+    expect(i18n.getLocale('en')).toBe('en-US')
+  })
+
+  it('should announce language changes with the new translations', () => {
+    const listener = vi.fn()
+    window.addEventListener('languageChanged', listener)
+
+    i18n.setLanguage('es')
+    window.removeEventListener('languageChanged', listener)
+
+    expect(listener).toHaveBeenCalledTimes(1)
+    expect(listener.mock.calls[0][0].detail).toMatchObject({ language: 'es', translations: i18n.getTranslations('es') })
+  })
+
+  it('should load Portuguese and French when selected', async () => {
+    await i18n.setLanguage('pt')
+    expect(i18n.isLoaded('pt')).toBe(true)
+    expect(i18n.translate('auth:NETWORK_ERROR')).toBe(i18n.getTranslations('pt', 'auth').NETWORK_ERROR)
+    expect(i18n.t('connection:queueMixed', { success: 2, failure: 1 })).toBe('2 operações bem-sucedidas, 1 falhou.')
+
+    await i18n.setLanguage('fr')
+    expect(document.documentElement.lang).toBe('fr')
+    expect(i18n.t('onboarding:onboardingProgress', { step: 2, total: 5 })).toBe('Étape 2 sur 5')
+    expect(i18n.formatDate(Date.UTC(2024, 4, 1, 12), { dateStyle: 'long', timeZone: 'UTC' })).toBe('1 mai 2024')
+    expect(i18n.getLocale('pt')).toBe('pt-BR')
+  })
+
+  it('should pick the first supported browser language', () => {
+    expect(detectBrowserLanguage(['pt-BR', 'en-US'])).toBe('pt')
+    expect(detectBrowserLanguage(['de-DE', 'fr-CA'])).toBe('fr')
+    expect(detectBrowserLanguage(['de-DE', 'ja'])).toBeNull()
+  })
+
+  it('should start in the browser language only on the first visit', () => {
+    vi.spyOn(navigator, 'languages', 'get').mockReturnValue(['en-GB', 'es'])
+
+    expect(i18n.init()).toBe('en')
+    expect(localStorage.getItem(STORAGE_KEYS.LANGUAGE)).toBe('en')
+
+    localStorage.setItem(STORAGE_KEYS.LANGUAGE, 'es')
+    expect(i18n.init()).toBe('es')
+  })
+
+  it('should keep the stored language and show Spanish when a language fails to load', async () => {
+    vi.spyOn(console, 'warn').mockImplementation(() => {})
+    vi.spyOn(i18n, 'isLoaded').mockImplementation(language => language !== 'pt')
+    vi.spyOn(i18n, 'loadLanguage').mockRejectedValue(new Error('Failed to fetch dynamically imported module'))
+
+    localStorage.setItem(STORAGE_KEYS.LANGUAGE, 'en')
+    await expect(i18n.setLanguage('pt')).rejects.toThrow('Failed to fetch')
+    expect(localStorage.getItem(STORAGE_KEYS.LANGUAGE)).toBe('en')
+
+    const listener = vi.fn()
+    window.addEventListener('languageChanged', listener)
+    localStorage.clear()
+    vi.spyOn(navigator, 'languages', 'get').mockReturnValue(['pt-BR'])
+
+    expect(i18n.init()).toBe('pt')
+    await vi.waitFor(() => expect(listener).toHaveBeenCalledTimes(1))
+    window.removeEventListener('languageChanged', listener)
+
+    expect(listener.mock.calls[0][0].detail.language).toBe('es')
+    expect(document.documentElement.lang).toBe('es')
+    expect(localStorage.getItem(STORAGE_KEYS.LANGUAGE)).toBeNull()
+  })
+})
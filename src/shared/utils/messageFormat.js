@@ -0,0 +1,207 @@
+/**
+ * ICU-style message formatting for the locale files
+ * Supports the subset the app needs:
+ *   {name}                                  interpolation
+ *   {count, plural, =0 {…} one {# …} other {# …}}  plurals through Intl.PluralRules, # is the count
+ *   {role, select, admin {…} other {…}}     choosing a text by value
+ *   {total, number} / {ratio, number, percent} / {amount, number, integer}
+ *   {when, date, short|medium|long|full} / {when, time, short}
+ * A placeholder without a value is left as written, so a missing parameter is visible
+ * instead of rendering "undefined". Apostrophes are plain text (no ICU quoting).
+ * Kept free of browser and Vite APIs so src/scripts/i18n-report.js can use it in Node.
+ */
+
+const FORMAT_TYPES = ['plural', 'select', 'number', 'date', 'time']
+const DATE_STYLES = ['short', 'medium', 'long', 'full']
+
+const parsedMessages = new Map()
+const formatters = new Map()
+
+function syntaxError(message, text, position) {
+  return new Error(`${message} at position ${position} of "${text}"`)
+}
+
+function skipSpaces(text, position) {
+  while (position < text.length && /\s/.test(text[position])) position++
+  return position
+}
+
+// Reads up to the next ',' or '}' at the current level
+function readToken(text, position) {
+  let end = position
+  while (end < text.length && text[end] !== ',' && text[end] !== '}') end++
+  return { value: text.slice(position, end).trim(), position: end }
+}
+
+function parseOptions(text, position, inPlural) {
+  const options = {}
+
+  for (;;) {
+    position = skipSpaces(text, position)
+    if (text[position] === '}') return { options, position: position + 1 }
+
+    const start = position
+    while (position < text.length && !/[\s{}]/.test(text[position])) position++
+    const selector = text.slice(start, position)
+    position = skipSpaces(text, position)
+
+    if (!selector || text[position] !== '{') {
+      throw syntaxError('Expected "selector {text}"', text, position)
+    }
+    const branch = parseNodes(text, position + 1, inPlural)
+    options[selector] = branch.nodes
+    position = branch.position + 1
+  }
+}
+
+function parseArgument(text, position) {
+  const name = readToken(text, position)
+  if (!name.value) throw syntaxError('Empty placeholder', text, position)
+  if (text[name.position] === '}') {
+    return { node: { type: 'argument', name: name.value }, position: name.position + 1 }
+  }
+  if (name.position >= text.length) throw syntaxError('Unclosed placeholder', text, position)
+
+  const format = readToken(text, name.position + 1)
+  if (!FORMAT_TYPES.includes(format.value)) {
+    throw syntaxError(`Unknown format "${format.value}"; use ${FORMAT_TYPES.join(', ')}`, text, name.position + 1)
+  }
+
+  if (format.value === 'plural' || format.value === 'select') {
+    if (text[format.position] !== ',') throw syntaxError(`${format.value} needs options`, text, format.position)
+    const { options, position: end } = parseOptions(text, format.position + 1, format.value === 'plural')
+    if (!options.other) throw syntaxError(`${format.value} needs an "other" option`, text, position)
+    return { node: { type: format.value, name: name.value, options }, position: end }
+  }
+
+  let style = null
+  let end = format.position
+  if (text[end] === ',') {
+    const styleToken = readToken(text, end + 1)
+    style = styleToken.value
+    end = styleToken.position
+  }
+  if (text[end] !== '}') throw syntaxError('Unclosed placeholder', text, position)
+  return { node: { type: format.value, name: name.value, style }, position: end + 1 }
+}
+
+function parseNodes(text, position, inPlural) {
+  const nodes = []
+  let literal = ''
+
+  const flush = () => {
+    if (literal) nodes.push(literal)
+    literal = ''
+  }
+
+  while (position < text.length) {
+    const char = text[position]
+    if (char === '}') {
+      flush()
+      return { nodes, position }
+    }
+    if (char === '{') {
+      flush()
+      const argument = parseArgument(text, position + 1)
+      nodes.push(argument.node)
+      position = argument.position
+    } else if (char === '#' && inPlural) {
+      flush()
+      nodes.push({ type: 'count' })
+      position++
+    } else {
+      literal += char
+      position++
+    }
+  }
+
+  flush()
+  return { nodes, position }
+}
+
+/**
+ * @param {string} text - Message
+ * @returns {Array} Message nodes: strings and placeholder objects
+ * @throws {Error} When the message is malformed
+ */
+export function parseMessage(text) {
+  if (!parsedMessages.has(text)) {
+    const { nodes, position } = parseNodes(text, 0, false)
+    if (position < text.length) throw syntaxError('Unexpected "}"', text, position)
+    parsedMessages.set(text, nodes)
+  }
+  return parsedMessages.get(text)
+}
+
+/**
+ * Names of the parameters a message uses, e.g. to check translations use the same ones
+ * @param {string} text - Message
+ * @returns {Array<string>} Sorted parameter names
+ */
+export function getMessageArguments(text) {
+  const names = new Set()
+  const visit = nodes => nodes.forEach(node => {
+    if (typeof node === 'string' || node.type === 'count') return
+    names.add(node.name)
+    if (node.options) Object.values(node.options).forEach(visit)
+  })
+  visit(parseMessage(text))
+  return [...names].sort()
+}
+
+function getFormatter(Type, locale, options = {}) {
+  const key = `${Type.name}|${locale}|${JSON.stringify(options)}`
+  if (!formatters.has(key)) formatters.set(key, new Type(locale, options))
+  return formatters.get(key)
+}
+
+function numberOptions(style) {
+  if (style === 'integer') return { maximumFractionDigits: 0 }
+  if (style === 'percent') return { style: 'percent' }
+  return {}
+}
+
+function dateOptions(type, style) {
+  const option = type === 'time' ? 'timeStyle' : 'dateStyle'
+  return { [option]: DATE_STYLES.includes(style) ? style : 'medium' }
+}
+
+function render(nodes, params, locale, count) {
+  return nodes.map(node => {
+    if (typeof node === 'string') return node
+    if (node.type === 'count') return getFormatter(Intl.NumberFormat, locale).format(count)
+
+    const value = params[node.name]
+    if (value === undefined || value === null) return `{${node.name}}`
+
+    switch (node.type) {
+      case 'plural': {
+        const number = Number(value)
+        const branch = node.options[`=${number}`] ||
+          node.options[getFormatter(Intl.PluralRules, locale).select(number)] ||
+          node.options.other
+        return render(branch, params, locale, number)
+      }
+      case 'select':
+        return render(node.options[String(value)] || node.options.other, params, locale, count)
+      case 'number':
+        return getFormatter(Intl.NumberFormat, locale, numberOptions(node.style)).format(value)
+      case 'date':
+      case 'time':
+        return getFormatter(Intl.DateTimeFormat, locale, dateOptions(node.type, node.style)).format(new Date(value))
+      default:
+        return String(value)
+    }
+  }).join('')
+}
+
+/**
+ * @param {string} text - Message
+ * @param {Object} params - Parameter values
+ * @param {string} locale - BCP 47 locale for plural rules, numbers and dates
+ * @returns {string} Formatted message
+ * @throws {Error} When the message is malformed
+ */
+export function formatMessage(text, params = {}, locale = 'es-ES') {
+  return render(parseMessage(text), params, locale, null)
+}
@@ -0,0 +1,45 @@
+import { describe, it, expect } from 'vitest'
+import { formatMessage, getMessageArguments, parseMessage } from './messageFormat.js'
+
+describe('formatMessage', () => {
+  it('should interpolate parameters and keep missing ones visible', () => {
+    expect(formatMessage('Hola {name}, tienes {count} tareas', { name: 'Ana', count: 3 })).toBe('Hola Ana, tienes 3 tareas')
+    expect(formatMessage('Hola {name}', {})).toBe('Hola {name}')
+    expect(formatMessage('Don\'t panic')).toBe('Don\'t panic')
+  })
+
+  it('should choose plural forms by exact value and by the plural rules of the locale', () => {
+    const message = '{count, plural, =0 {Sin tareas} one {# tarea} other {# tareas}}'
+    expect(formatMessage(message, { count: 0 })).toBe('Sin tareas')
+    expect(formatMessage(message, { count: 1 })).toBe('1 tarea')
+    expect(formatMessage(message, { count: 1500 })).toBe('1500 tareas')
+    expect(formatMessage('{count, plural, one {# task} other {# tasks}}', { count: 1500 }, 'en-US')).toBe('1,500 tasks')
+  })
+
+  it('should pick select branches and nest placeholders inside them', () => {
+    const message = '{role, select, admin {{name} administra} other {{name} colabora}}'
+    expect(formatMessage(message, { role: 'admin', name: 'Ana' })).toBe('Ana administra')
+    expect(formatMessage(message, { role: 'viewer', name: 'Luis' })).toBe('Luis colabora')
+  })
+
+  it('should format numbers and dates for the locale', () => {
+    expect(formatMessage('{ratio, number, percent}', { ratio: 0.25 }, 'en-US')).toBe('25%')
+    expect(formatMessage('{total, number, integer}', { total: 1234.56 }, 'en-US')).toBe('1,235')
+    expect(formatMessage('{when, date, long}', { when: Date.UTC(2024, 4, 1, 12) }, 'en-US')).toBe('May 1, 2024')
+    expect(formatMessage('{when, date, long}', { when: Date.UTC(2024, 4, 1, 12) }, 'es-ES')).toBe('1 de mayo de 2024')
+  })
+
+  it('should reject malformed messages', () => {
+    expect(() => parseMessage('Hola {name')).toThrow('Unclosed placeholder')
+    expect(() => parseMessage('{count, plural, one {# tarea}}')).toThrow('plural needs an "other" option')
+    expect(() => parseMessage('{count, currency}')).toThrow('Unknown format "currency"')
+    expect(() => parseMessage('Hola }')).toThrow('Unexpected "}"')
+  })
+})
+
+describe('getMessageArguments', () => {
+  it('should list the parameters a message uses, including nested ones', () => {
+    expect(getMessageArguments('{count, plural, one {# en {scope}} other {# en {scope}}} {name}')).toEqual(['count', 'name', 'scope'])
+    expect(getMessageArguments('Sin parámetros')).toEqual([])
+  })
+})
@@ -0,0 +1,137 @@
+// Project permission checker
+// Mirrors the RLS policies in database/schema.sql so the UI can hide or disable actions a role
+// cannot perform; the database stays the authority and rejects anything that slips through
+
+export const PROJECT_ROLES = {
+  OWNER: 'owner',
+  ADMIN: 'admin',
+  MEMBER: 'member',
+  VIEWER: 'viewer'
+}
+
+export const PERMISSIONS = {
+  PROJECT_UPDATE: 'project.update',
+  PROJECT_DELETE: 'project.delete',
+  PROJECT_TRANSFER: 'project.transfer',
+  MEMBERS_INVITE: 'members.invite',
+  MEMBERS_MANAGE: 'members.manage',
+  TASK_CREATE: 'task.create',
+  TASK_UPDATE: 'task.update',
+  TASK_DELETE: 'task.delete',
+  CHAT_SEND: 'chat.send'
+}
+
+const ROLE_RANK = {
+  [PROJECT_ROLES.VIEWER]: 1,
+  [PROJECT_ROLES.MEMBER]: 2,
+  [PROJECT_ROLES.ADMIN]: 3,
+  [PROJECT_ROLES.OWNER]: 4
+}
+
+const ROLE_PERMISSIONS = {
+  [PROJECT_ROLES.OWNER]: Object.values(PERMISSIONS),
+  [PROJECT_ROLES.ADMIN]: [
+    PERMISSIONS.MEMBERS_INVITE,
+    PERMISSIONS.MEMBERS_MANAGE,
+    PERMISSIONS.TASK_CREATE,
+    PERMISSIONS.TASK_UPDATE,
+    PERMISSIONS.TASK_DELETE,
+    PERMISSIONS.CHAT_SEND
+  ],
+  [PROJECT_ROLES.MEMBER]: [
+    PERMISSIONS.TASK_CREATE,
+    PERMISSIONS.TASK_UPDATE,
+    PERMISSIONS.CHAT_SEND
+  ],
+  [PROJECT_ROLES.VIEWER]: [
+    PERMISSIONS.CHAT_SEND
+  ]
+}
+
+/**
+ * Whether a value is one of PROJECT_ROLES
+ * @param {string} role - Role
+ * @returns {boolean} Whether it is valid
+ */
+export function isValidRole(role) {
+  return Object.prototype.hasOwnProperty.call(ROLE_RANK, role)
+}
+
+/**
+ * Whether a role grants a permission
+ * The permissions JSONB of a membership can only take permissions away (`{ "task.update": false }`):
+ * RLS does not read it, so granting through it would show actions the database then rejects
+ * @param {string} role - One of PROJECT_ROLES
+ * @param {string} permission - One of PERMISSIONS
+ * @param {Object} overrides - project_members.permissions
+ * @returns {boolean} Whether the action is allowed
+ */
+export function hasPermission(role, permission, overrides = {}) {
+  const granted = (ROLE_PERMISSIONS[role] || []).includes(permission)
+  return granted && overrides?.[permission] !== false
+}
+
+/**
+ * Whether a member with `actorRole` may change the role of, or remove, a member with `targetRole`
+ * Owners manage everyone else; admins manage members and viewers
+ * @param {string} actorRole - Role of the current user
+ * @param {string} targetRole - Role of the member being managed
+ * @returns {boolean} Whether it is allowed
+ */
+export function canManageRole(actorRole, targetRole) {
+  if (!hasPermission(actorRole, PERMISSIONS.MEMBERS_MANAGE)) return false
+  if (targetRole === PROJECT_ROLES.OWNER) return false
+  return actorRole === PROJECT_ROLES.OWNER || ROLE_RANK[targetRole] < ROLE_RANK[actorRole]
+}
+
+/**
+ * Roles a member with `actorRole` can give through invitations or role changes
+ * Ownership is never assigned directly; it moves through a transfer
+ * @param {string} actorRole - Role of the current user
+ * @returns {Array<string>} Assignable roles, highest first
+ */
+export function getAssignableRoles(actorRole) {
+  if (!hasPermission(actorRole, PERMISSIONS.MEMBERS_INVITE)) return []
+
+  return [PROJECT_ROLES.ADMIN, PROJECT_ROLES.MEMBER, PROJECT_ROLES.VIEWER]
+    .filter(role => canManageRole(actorRole, role))
+}
+
+/**
+ * Bind the checks to one membership
+ * @param {{ role: string, permissions?: Object }|string|null} membership - Membership row or role
+ * @returns {{ role: string|null, can: Function, canManage: Function, assignableRoles: Array<string> }} Checker
+ */
+export function createPermissionChecker(membership) {
+  const role = typeof membership === 'string' ? membership : membership?.role || null
+  const overrides = typeof membership === 'object' && membership ? membership.permissions || {} : {}
+
+  return {
+    role,
+    can: permission => hasPermission(role, permission, overrides),
+    canManage: targetRole => canManageRole(role, targetRole),
+    assignableRoles: getAssignableRoles(role)
+  }
+}
+
+/**
+ * Hide or disable the elements under `root` whose data-permission the checker denies
+ * Elements with data-permission-mode="disable" stay visible but disabled, so the user can see the
+ * action exists; everything else is hidden
+ * @param {HTMLElement} root - Container to scan
+ * @param {{ can: Function }} checker - Permission checker
+ * @param {string} deniedLabel - Tooltip for disabled elements
+ */
+export function applyPermissions(root, checker, deniedLabel = '') {
+  root.querySelectorAll('[data-permission]').forEach(element => {
+    if (checker.can(element.dataset.permission)) return
+
+    if (element.dataset.permissionMode === 'disable') {
+      element.disabled = true
+      element.setAttribute('aria-disabled', 'true')
+      if (deniedLabel) element.title = deniedLabel
+    } else {
+      element.hidden = true
+    }
+  })
+}
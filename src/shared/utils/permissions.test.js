@@ -0,0 +1,54 @@
+import { describe, it, expect } from 'vitest'
+import {
+  PERMISSIONS,
+  PROJECT_ROLES,
+  hasPermission,
+  canManageRole,
+  getAssignableRoles,
+  createPermissionChecker,
+  applyPermissions
+} from './permissions.js'
+
+describe('permissions', () => {
+  it('grants task editing to members but not to viewers', () => {
+    expect(hasPermission(PROJECT_ROLES.MEMBER, PERMISSIONS.TASK_UPDATE)).toBe(true)
+    expect(hasPermission(PROJECT_ROLES.VIEWER, PERMISSIONS.TASK_UPDATE)).toBe(false)
+    expect(hasPermission(PROJECT_ROLES.VIEWER, PERMISSIONS.CHAT_SEND)).toBe(true)
+    expect(hasPermission(null, PERMISSIONS.CHAT_SEND)).toBe(false)
+  })
+
+  it('lets membership overrides narrow a role but never widen it', () => {
+    expect(hasPermission(PROJECT_ROLES.MEMBER, PERMISSIONS.TASK_UPDATE, { 'task.update': false })).toBe(false)
+    expect(hasPermission(PROJECT_ROLES.VIEWER, PERMISSIONS.TASK_UPDATE, { 'task.update': true })).toBe(false)
+  })
+
+  it('lets owners manage everyone else and admins only members and viewers', () => {
+    expect(canManageRole(PROJECT_ROLES.OWNER, PROJECT_ROLES.ADMIN)).toBe(true)
+    expect(canManageRole(PROJECT_ROLES.OWNER, PROJECT_ROLES.OWNER)).toBe(false)
+    expect(canManageRole(PROJECT_ROLES.ADMIN, PROJECT_ROLES.VIEWER)).toBe(true)
+    expect(canManageRole(PROJECT_ROLES.ADMIN, PROJECT_ROLES.ADMIN)).toBe(false)
+    expect(canManageRole(PROJECT_ROLES.MEMBER, PROJECT_ROLES.VIEWER)).toBe(false)
+
+    expect(getAssignableRoles(PROJECT_ROLES.OWNER)).toEqual(['admin', 'member', 'viewer'])
+    expect(getAssignableRoles(PROJECT_ROLES.ADMIN)).toEqual(['member', 'viewer'])
+    expect(getAssignableRoles(PROJECT_ROLES.VIEWER)).toEqual([])
+  })
+
+  it('hides or disables denied elements', () => {
+    const root = document.createElement('div')
+    root.innerHTML = `
+      <form data-permission="task.create"></form>
+      <button data-permission="members.invite" data-permission-mode="disable"></button>
+      <button data-permission="chat.send"></button>
+    `
+
+    applyPermissions(root, createPermissionChecker({ role: 'viewer' }), 'No permission')
+
+    expect(root.querySelector('form').hidden).toBe(true)
+    const [invite, send] = root.querySelectorAll('button')
+    expect(invite.disabled).toBe(true)
+    expect(invite.title).toBe('No permission')
+    expect(send.hidden).toBe(false)
+    expect(send.disabled).toBe(false)
+  })
+})
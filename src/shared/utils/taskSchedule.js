@@ -0,0 +1,200 @@
+// Task scheduling utilities
+// The tasks table stores a due date and an effort estimate but no start date, so a task's
+// bar on the timeline ends at due_date and spans its estimated hours as 8-hour days
+
+export const HOURS_PER_DAY = 8
+export const DAY_MS = 24 * 60 * 60 * 1000
+
+/**
+ * Midnight (local time) of the given date
+ * @param {Date|string|number} date - Date
+ * @returns {Date} Start of that day
+ */
+export function startOfDay(date) {
+  const day = new Date(date)
+  day.setHours(0, 0, 0, 0)
+  return day
+}
+
+/**
+ * Add whole days to a date, keeping the time of day
+ * @param {Date|string|number} date - Date
+ * @param {number} days - Days to add (may be negative)
+ * @returns {Date} New date
+ */
+export function addDays(date, days) {
+  const result = new Date(date)
+  result.setDate(result.getDate() + days)
+  return result
+}
+
+/**
+ * Whole days between two dates, ignoring the time of day
+ * @param {Date|string|number} from - Start date
+ * @param {Date|string|number} to - End date
+ * @returns {number} Days from `from` to `to`
+ */
+export function diffDays(from, to) {
+  return Math.round((startOfDay(to) - startOfDay(from)) / DAY_MS)
+}
+
+/**
+ * Number of days a task occupies on the timeline (at least one)
+ * @param {Object} task - Task row
+ * @returns {number} Duration in days
+ */
+export function getTaskDurationDays(task) {
+  const hours = Number(task.estimated_hours) || 0
+  return Math.max(1, Math.ceil(hours / HOURS_PER_DAY))
+}
+
+/**
+ * Start and end of a task's bar, or null when it has no due date
+ * @param {Object} task - Task row
+ * @returns {{ start: Date, end: Date, days: number }|null} Schedule, end exclusive
+ */
+export function getTaskSchedule(task) {
+  if (!task.due_date) return null
+
+  const due = new Date(task.due_date)
+  if (Number.isNaN(due.getTime())) return null
+
+  const days = getTaskDurationDays(task)
+  const end = addDays(startOfDay(due), 1)
+  return { start: addDays(end, -days), end, days }
+}
+
+/**
+ * Compute the task values that reschedule or resize a bar
+ * @param {Object} task - Task row with a due date
+ * @param {number} startDelta - Days to move the start by
+ * @param {number} endDelta - Days to move the end by (bars never shrink below one day)
+ * @returns {Object|null} Changes for updateTask, or null when nothing changes
+ */
+export function getRescheduleChanges(task, startDelta, endDelta) {
+  const schedule = getTaskSchedule(task)
+  if (!schedule) return null
+
+  const start = addDays(schedule.start, startDelta)
+  let end = addDays(schedule.end, endDelta)
+  if (diffDays(start, end) < 1) {
+    end = addDays(start, 1)
+  }
+
+  const days = diffDays(start, end)
+  const shift = diffDays(schedule.end, end)
+  if (shift === 0 && days === schedule.days) return null
+
+  const changes = { due_date: addDays(new Date(task.due_date), shift).toISOString() }
+  if (days !== schedule.days) {
+    changes.estimated_hours = days * HOURS_PER_DAY
+  }
+  return changes
+}
+
+/**
+ * Map of task id to the ids of tasks it depends on, ignoring unknown ids
+ * @param {Array<Object>} tasks - Task rows
+ * @returns {Map<string, Array<string>>} Dependency graph
+ */
+export function buildDependencyGraph(tasks) {
+  const ids = new Set(tasks.map(task => task.id))
+  return new Map(tasks.map(task => [
+    task.id,
+    (task.dependencies || []).filter(id => ids.has(id) && id !== task.id)
+  ]))
+}
+
+/**
+ * Find the cycle that making `taskId` depend on `dependencyId` would create
+ * @param {Array<Object>} tasks - Task rows of the project
+ * @param {string} taskId - Task that gains the dependency
+ * @param {string} dependencyId - Task it would depend on
+ * @returns {Array<string>|null} Ids along the cycle (starting and ending at taskId), or null
+ */
+export function findDependencyCycle(tasks, taskId, dependencyId) {
+  if (taskId === dependencyId) return [taskId, taskId]
+
+  const graph = buildDependencyGraph(tasks)
+  const visited = new Set()
+
+  // A cycle exists when taskId is reachable from dependencyId through existing dependencies
+  const search = (id, path) => {
+    if (id === taskId) return path
+    if (visited.has(id)) return null
+    visited.add(id)
+
+    for (const next of graph.get(id) || []) {
+      const found = search(next, [...path, next])
+      if (found) return found
+    }
+    return null
+  }
+
+  const path = search(dependencyId, [dependencyId])
+  return path ? [taskId, ...path] : null
+}
+
+/**
+ * Order tasks so every task comes after its dependencies
+ * @param {Array<Object>} tasks - Task rows
+ * @returns {Array<string>|null} Ordered ids, or null when the dependencies contain a cycle
+ */
+export function topologicalOrder(tasks) {
+  const graph = buildDependencyGraph(tasks)
+  const pending = new Map([...graph].map(([id, deps]) => [id, deps.length]))
+  const dependents = new Map(tasks.map(task => [task.id, []]))
+  graph.forEach((deps, id) => deps.forEach(dep => dependents.get(dep).push(id)))
+
+  const queue = tasks.filter(task => pending.get(task.id) === 0).map(task => task.id)
+  const order = []
+
+  while (queue.length > 0) {
+    const id = queue.shift()
+    order.push(id)
+    dependents.get(id).forEach(next => {
+      pending.set(next, pending.get(next) - 1)
+      if (pending.get(next) === 0) queue.push(next)
+    })
+  }
+
+  return order.length === tasks.length ? order : null
+}
+
+/**
+ * Critical path of a project, weighting each task by its estimated hours
+ * Tasks on the critical path have no slack: delaying any of them delays the whole project
+ * @param {Array<Object>} tasks - Task rows
+ * @returns {{ taskIds: Set<string>, totalHours: number, slack: Map<string, number> }} Result
+ */
+export function computeCriticalPath(tasks) {
+  const empty = { taskIds: new Set(), totalHours: 0, slack: new Map() }
+  const order = topologicalOrder(tasks)
+  if (!order) return empty
+
+  const graph = buildDependencyGraph(tasks)
+  const hours = new Map(tasks.map(task => [task.id, Number(task.estimated_hours) || 0]))
+  const earliestFinish = new Map()
+
+  order.forEach(id => {
+    const earliestStart = Math.max(0, ...graph.get(id).map(dep => earliestFinish.get(dep)))
+    earliestFinish.set(id, earliestStart + hours.get(id))
+  })
+
+  const totalHours = Math.max(0, ...earliestFinish.values())
+  if (totalHours === 0) return empty
+
+  const latestFinish = new Map(order.map(id => [id, totalHours]))
+  const reverseOrder = [...order].reverse()
+  reverseOrder.forEach(id => {
+    const latestStart = latestFinish.get(id) - hours.get(id)
+    graph.get(id).forEach(dep => {
+      latestFinish.set(dep, Math.min(latestFinish.get(dep), latestStart))
+    })
+  })
+
+  const slack = new Map(order.map(id => [id, latestFinish.get(id) - earliestFinish.get(id)]))
+  const taskIds = new Set(order.filter(id => Math.abs(slack.get(id)) < 1e-9))
+
+  return { taskIds, totalHours, slack }
+}
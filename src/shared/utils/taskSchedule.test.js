@@ -0,0 +1,73 @@
+import { describe, it, expect } from 'vitest'
+import {
+  HOURS_PER_DAY,
+  getTaskSchedule,
+  getRescheduleChanges,
+  findDependencyCycle,
+  topologicalOrder,
+  computeCriticalPath
+} from './taskSchedule.js'
+
+const task = (id, estimated_hours, dependencies = [], due_date = '2025-06-10T12:00:00') => ({
+  id,
+  title: id.toUpperCase(),
+  estimated_hours,
+  dependencies,
+  due_date
+})
+
+describe('Task schedule', () => {
+  it('should end bars on the due date and span the estimated days', () => {
+    const schedule = getTaskSchedule(task('a', 20))
+
+    expect(schedule.days).toBe(3)
+    expect(schedule.start).toEqual(new Date(2025, 5, 8))
+    expect(schedule.end).toEqual(new Date(2025, 5, 11))
+    expect(getTaskSchedule({ ...task('b', 4), due_date: null })).toBeNull()
+  })
+
+  it('should compute reschedule and resize changes', () => {
+    const moved = getRescheduleChanges(task('a', 4), 2, 2)
+    expect(new Date(moved.due_date).getDate()).toBe(12)
+    expect(moved.estimated_hours).toBeUndefined()
+
+    const resized = getRescheduleChanges(task('a', 4), 0, 2)
+    expect(new Date(resized.due_date).getDate()).toBe(12)
+    expect(resized.estimated_hours).toBe(3 * HOURS_PER_DAY)
+
+    expect(getRescheduleChanges(task('a', 4), 0, -3)).toBeNull()
+  })
+
+  it('should detect the cycle a new dependency would create', () => {
+    const tasks = [task('a', 8), task('b', 8, ['a']), task('c', 8, ['b'])]
+
+    expect(findDependencyCycle(tasks, 'a', 'c')).toEqual(['a', 'c', 'b', 'a'])
+    expect(findDependencyCycle(tasks, 'c', 'a')).toBeNull()
+    expect(findDependencyCycle(tasks, 'a', 'a')).toEqual(['a', 'a'])
+  })
+
+  it('should order tasks after their dependencies', () => {
+    expect(topologicalOrder([task('b', 8, ['a']), task('a', 8)])).toEqual(['a', 'b'])
+    expect(topologicalOrder([task('a', 8, ['b']), task('b', 8, ['a'])])).toBeNull()
+  })
+
+  it('should find the longest chain of estimated hours', () => {
+    const tasks = [
+      task('a', 8),
+      task('b', 16, ['a']),
+      task('c', 4, ['a']),
+      task('d', 8, ['b', 'c']),
+      task('e', 2)
+    ]
+
+    const result = computeCriticalPath(tasks)
+    expect(result.totalHours).toBe(32)
+    expect([...result.taskIds].sort()).toEqual(['a', 'b', 'd'])
+    expect(result.slack.get('c')).toBe(12)
+  })
+
+  it('should return an empty path without estimates or with cycles', () => {
+    expect(computeCriticalPath([task('a', null), task('b', null, ['a'])]).taskIds.size).toBe(0)
+    expect(computeCriticalPath([task('a', 8, ['b']), task('b', 8, ['a'])]).taskIds.size).toBe(0)
+  })
+})
@@ -1,8 +1,140 @@
-// Theme utilities
+// Theme engine
+// Themes are sets of color tokens (config/themes.js). Applying one writes every token to <html>
+// as a CSS custom property (--theme-primary: "46 175 196") that Tailwind's theme-* colors read,
+// toggles the dark class for dark: variants and the high-contrast class for the accessible theme.
+// The selection is stored locally; signed-in users also keep it in users.preferences so it
+// follows them across devices (see applyPreferences).
 import { THEMES, STORAGE_KEYS } from './constants.js'
+import {
+  BUILT_IN_THEMES,
+  THEME_TOKENS,
+  THEME_CYCLE,
+  MAX_CUSTOM_THEMES,
+  MIN_TEXT_CONTRAST
+} from '../config/themes.js'
+
+const HEX_COLOR = /^#[0-9A-Fa-f]{6}$/
+const THEME_ID = /^[a-z0-9][a-z0-9-]{1,39}$/
+const THEME_FIELDS = ['id', 'name', 'base', 'colors']
+const BASE_THEMES = [THEMES.LIGHT, THEMES.DARK]
+
+function cssVariable(token) {
+  return `--theme-${token.replace(/[A-Z]/g, letter => `-${letter.toLowerCase()}`)}`
+}
+
+/**
+ * @param {string} hex - Color as #RRGGBB
+ * @returns {string} "R G B" channels for rgb(var(--theme-x) / <alpha>)
+ */
+export function hexToChannels(hex) {
+  const value = parseInt(hex.slice(1), 16)
+  return `${(value >> 16) & 255} ${(value >> 8) & 255} ${value & 255}`
+}
+
+function relativeLuminance(hex) {
+  const [r, g, b] = hexToChannels(hex).split(' ').map(channel => {
+    const value = Number(channel) / 255
+    return value <= 0.03928 ? value / 12.92 : ((value + 0.055) / 1.055) ** 2.4
+  })
+  return 0.2126 * r + 0.7152 * g + 0.0722 * b
+}
+
+/**
+ * WCAG contrast ratio between two colors
+ * @param {string} foreground - #RRGGBB
+ * @param {string} background - #RRGGBB
+ * @returns {number} Ratio from 1 to 21
+ */
+export function contrastRatio(foreground, background) {
+  const [lighter, darker] = [relativeLuminance(foreground), relativeLuminance(background)].sort((a, b) => b - a)
+  return (lighter + 0.05) / (darker + 0.05)
+}
+
+/**
+ * Validate a user-defined theme
+ * @param {Object} theme - { id, name, base, colors }
+ * @param {string} path - Prefix for the messages
+ * @returns {Object} { isValid, errors }
+ */
+export function validateTheme(theme, path = 'theme') {
+  if (!theme || typeof theme !== 'object' || Array.isArray(theme)) {
+    return { isValid: false, errors: [`${path} must be an object, got ${JSON.stringify(theme)}`] }
+  }
+
+  const label = typeof theme.id === 'string' ? `${path} ${theme.id}` : path
+  const errors = []
+
+  Object.keys(theme).filter(field => !THEME_FIELDS.includes(field)).forEach(field => {
+    errors.push(`${label}.${field}: unknown field; themes take ${THEME_FIELDS.join(', ')}`)
+  })
+
+  if (typeof theme.id !== 'string' || !THEME_ID.test(theme.id)) {
+    errors.push(`${label}.id: must be 2-40 lowercase letters, digits or dashes`)
+  } else if (BUILT_IN_THEMES[theme.id] || theme.id === THEMES.SYSTEM) {
+    errors.push(`${label}.id: "${theme.id}" is a built-in theme`)
+  }
+
+  if (typeof theme.name !== 'string' || !theme.name.trim() || theme.name.length > 40) {
+    errors.push(`${label}.name: must be a text of 1-40 characters`)
+  }
+
+  if (!BASE_THEMES.includes(theme.base)) {
+    errors.push(`${label}.base: ${JSON.stringify(theme.base)} is not a base theme; use ${BASE_THEMES.join(' or ')}`)
+  }
+
+  const colors = theme.colors || {}
+  if (typeof colors !== 'object' || Array.isArray(colors)) {
+    errors.push(`${label}.colors: must be an object of token colors`)
+  } else {
+    Object.entries(colors).forEach(([token, color]) => {
+      if (!THEME_TOKENS.includes(token)) {
+        errors.push(`${label}.colors.${token}: unknown token; use ${THEME_TOKENS.join(', ')}`)
+      } else if (typeof color !== 'string' || !HEX_COLOR.test(color)) {
+        errors.push(`${label}.colors.${token}: ${JSON.stringify(color)} is not a #RRGGBB color`)
+      }
+    })
+  }
+
+  // Only worth checking once every color parses
+  if (!errors.length) {
+    const resolved = { ...BUILT_IN_THEMES[theme.base].colors, ...colors }
+    for (const token of ['background', 'surface']) {
+      const ratio = contrastRatio(resolved.text, resolved[token])
+      if (ratio < MIN_TEXT_CONTRAST) {
+        errors.push(`${label}.colors: text on ${token} has a contrast of ${ratio.toFixed(1)}:1; it needs at least ${MIN_TEXT_CONTRAST}:1`)
+      }
+    }
+  }
+
+  return { isValid: errors.length === 0, errors }
+}
+
+/**
+ * Validate a list of user-defined themes
+ * @param {Array<Object>} themes - Theme definitions
+ * @returns {Object} { isValid, errors }
+ */
+export function validateThemes(themes) {
+  if (!Array.isArray(themes)) {
+    return { isValid: false, errors: [`themes must be a list, got ${JSON.stringify(themes)}`] }
+  }
+  if (themes.length > MAX_CUSTOM_THEMES) {
+    return { isValid: false, errors: [`themes: at most ${MAX_CUSTOM_THEMES} custom themes, got ${themes.length}`] }
+  }
+
+  const errors = []
+  const seen = new Set()
+  themes.forEach((theme, index) => {
+    errors.push(...validateTheme(theme, `themes[${index}]`).errors)
+    if (theme && seen.has(theme.id)) errors.push(`themes[${index}] ${theme.id}.id: duplicate theme id`)
+    if (theme) seen.add(theme.id)
+  })
+  return { isValid: errors.length === 0, errors }
+}
 
 export default {
   getSystemTheme() {
+    if (window.matchMedia('(prefers-contrast: more)').matches) return THEMES.HIGH_CONTRAST
     return window.matchMedia('(prefers-color-scheme: dark)').matches ? THEMES.DARK : THEMES.LIGHT
   },
 
@@ -10,46 +142,141 @@ export default {
     return localStorage.getItem(STORAGE_KEYS.THEME)
   },
 
+  // What the user picked, including 'system'
+  getSelectedTheme() {
+    return this.getStoredTheme() || THEMES.SYSTEM
+  },
+
+  // Theme in use, with 'system' resolved
   getCurrentTheme() {
-    return this.getStoredTheme() || this.getSystemTheme()
+    return this.resolveTheme(this.getSelectedTheme()).id
+  },
+
+  getCustomThemes() {
+    try {
+      const themes = JSON.parse(localStorage.getItem(STORAGE_KEYS.CUSTOM_THEMES))
+      return Array.isArray(themes) ? themes : []
+    } catch {
+      return []
+    }
+  },
+
+  /**
+   * Replace the user-defined themes, e.g. with the ones in users.preferences
+   * @param {Array<Object>} themes - Theme definitions
+   * @throws {Error} With every validation problem when a theme is invalid
+   */
+  setCustomThemes(themes) {
+    const { isValid, errors } = validateThemes(themes)
+    if (!isValid) throw new Error(errors.join('\n'))
+
+    localStorage.setItem(STORAGE_KEYS.CUSTOM_THEMES, JSON.stringify(themes))
+    // Re-apply so edits to the theme in use show at once, or a deleted one falls back
+    this.applyTheme(this.getSelectedTheme())
+    return themes
+  },
+
+  // Built-in themes first, then the user's
+  getThemes() {
+    return [
+      ...Object.values(BUILT_IN_THEMES),
+      ...this.getCustomThemes().map(theme => this.getTheme(theme.id))
+    ]
+  },
+
+  /**
+   * @param {string} id - Theme id
+   * @returns {Object|null} Theme with every token filled in from its base, or null when unknown
+   */
+  getTheme(id) {
+    if (BUILT_IN_THEMES[id]) return BUILT_IN_THEMES[id]
+
+    const custom = this.getCustomThemes().find(theme => theme.id === id)
+    if (!custom) return null
+    return { ...custom, colors: { ...BUILT_IN_THEMES[custom.base].colors, ...custom.colors } }
+  },
+
+  // 'system' and themes that no longer exist (deleted on another device) resolve to the system theme
+  resolveTheme(theme) {
+    return (theme !== THEMES.SYSTEM && this.getTheme(theme)) || BUILT_IN_THEMES[this.getSystemTheme()]
   },
 
   setTheme(theme) {
-    localStorage.setItem(STORAGE_KEYS.THEME, theme)
+    if (theme === THEMES.SYSTEM) {
+      localStorage.removeItem(STORAGE_KEYS.THEME)
+    } else {
+      localStorage.setItem(STORAGE_KEYS.THEME, theme)
+    }
     this.applyTheme(theme)
   },
 
   applyTheme(theme) {
     const root = document.documentElement
-    
-    if (theme === THEMES.DARK) {
-      root.classList.add('dark')
-    } else {
-      root.classList.remove('dark')
-    }
-    
+    const resolved = this.resolveTheme(theme)
+    const isDark = resolved.base === THEMES.DARK
+
+    root.classList.toggle('dark', isDark)
+    document.body.classList.toggle('dark', isDark)
+    root.classList.toggle('high-contrast', resolved.id === THEMES.HIGH_CONTRAST)
+    root.dataset.theme = resolved.id
+    root.style.colorScheme = resolved.base
+
+    Object.entries(resolved.colors).forEach(([token, color]) => {
+      root.style.setProperty(cssVariable(token), hexToChannels(color))
+    })
+
     // Dispatch custom event
-    window.dispatchEvent(new CustomEvent('themeChanged', { detail: { theme } }))
+    window.dispatchEvent(new CustomEvent('themeChanged', { detail: { theme, resolved: resolved.id, base: resolved.base } }))
+  },
+
+  /**
+   * Apply the theme kept in users.preferences, e.g. after signing in
+   * @param {Object} preferences - { theme, customThemes } as saved by accountService
+   */
+  applyPreferences({ theme, customThemes } = {}) {
+    this.setCustomThemes(customThemes || [])
+    this.setTheme(theme || THEMES.SYSTEM)
   },
 
+  // Light → dark → high contrast → system; a custom theme continues with light
   toggle() {
-    const currentTheme = this.getCurrentTheme()
-    const newTheme = currentTheme === THEMES.DARK ? THEMES.LIGHT : THEMES.DARK
+    const index = THEME_CYCLE.indexOf(this.getSelectedTheme())
+    const newTheme = THEME_CYCLE[(index + 1) % THEME_CYCLE.length]
     this.setTheme(newTheme)
     return newTheme
   },
 
+  /**
+   * Use a project's color as the accent (--theme-project) inside an element
+   * The high-contrast theme keeps its own colors so contrast never drops
+   * @param {HTMLElement} element - Element the accent applies to
+   * @param {string} color - projects.color, #RRGGBB
+   */
+  applyProjectAccent(element, color) {
+    if (!element) return
+
+    if (!HEX_COLOR.test(color || '') || this.getCurrentTheme() === THEMES.HIGH_CONTRAST) {
+      element.style.removeProperty('--theme-project')
+      element.style.removeProperty('--theme-on-project')
+      return
+    }
+
+    const onProject = contrastRatio('#FFFFFF', color) >= contrastRatio('#000000', color) ? '#FFFFFF' : '#000000'
+    element.style.setProperty('--theme-project', hexToChannels(color))
+    element.style.setProperty('--theme-on-project', hexToChannels(onProject))
+  },
+
   init() {
-    const theme = this.getCurrentTheme()
+    const theme = this.getSelectedTheme()
     this.applyTheme(theme)
-    
-    // Listen for system theme changes
-    window.matchMedia('(prefers-color-scheme: dark)').addEventListener('change', (e) => {
-      if (!this.getStoredTheme()) {
-        this.applyTheme(e.matches ? THEMES.DARK : THEMES.LIGHT)
-      }
-    })
-    
+
+    // Follow system changes while the user has not picked a theme
+    const onSystemChange = () => {
+      if (!this.getStoredTheme()) this.applyTheme(THEMES.SYSTEM)
+    }
+    window.matchMedia('(prefers-color-scheme: dark)').addEventListener('change', onSystemChange)
+    window.matchMedia('(prefers-contrast: more)').addEventListener('change', onSystemChange)
+
     return theme
   }
-}
\ No newline at end of file
+}
@@ -0,0 +1,124 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest'
+import themeUtil, { contrastRatio, hexToChannels, validateTheme, validateThemes } from './theme.js'
+import { BUILT_IN_THEMES, THEME_TOKENS } from '../config/themes.js'
+import { THEMES, STORAGE_KEYS } from './constants.js'
+
+const sepia = { id: 'custom-sepia', name: 'Sepia', base: 'light', colors: { background: '#F4ECD8', text: '#3B2F2F' } }
+
+const mockSystem = ({ dark = false, moreContrast = false } = {}) => {
+  vi.spyOn(window, 'matchMedia').mockImplementation(query => ({
+    matches: query === '(prefers-contrast: more)' ? moreContrast : dark,
+    media: query,
+    addEventListener: vi.fn(),
+    removeEventListener: vi.fn()
+  }))
+}
+
+const cssToken = name => document.documentElement.style.getPropertyValue(`--theme-${name}`)
+
+describe('theme engine', () => {
+  beforeEach(() => {
+    localStorage.clear()
+    mockSystem()
+  })
+
+  afterEach(() => {
+    vi.restoreAllMocks()
+    document.documentElement.removeAttribute('style')
+    document.documentElement.className = ''
+    document.body.className = ''
+  })
+
+  it('should write every token of the theme as CSS channels and toggle the dark and high-contrast classes', () => {
+    const changed = vi.fn()
+    window.addEventListener('themeChanged', changed)
+
+    themeUtil.setTheme(THEMES.DARK)
+    expect(document.documentElement.classList.contains('dark')).toBe(true)
+    expect(document.body.classList.contains('dark')).toBe(true)
+    expect(document.documentElement.dataset.theme).toBe('dark')
+    expect(cssToken('background')).toBe(hexToChannels(BUILT_IN_THEMES.dark.colors.background))
+    expect(cssToken('on-primary')).toBe('22 32 50')
+    THEME_TOKENS.forEach(token => expect(cssToken(token.replace(/[A-Z]/g, l => `-${l.toLowerCase()}`))).not.toBe(''))
+
+    themeUtil.setTheme(THEMES.HIGH_CONTRAST)
+    expect(document.documentElement.classList.contains('high-contrast')).toBe(true)
+    expect(document.documentElement.classList.contains('dark')).toBe(true)
+    expect(cssToken('text')).toBe('255 255 255')
+    expect(changed).toHaveBeenLastCalledWith(expect.objectContaining({ detail: { theme: 'high-contrast', resolved: 'high-contrast', base: 'dark' } }))
+
+    window.removeEventListener('themeChanged', changed)
+  })
+
+  it('should cycle light, dark, high contrast and system, which clears the stored choice', () => {
+    themeUtil.setTheme(THEMES.LIGHT)
+    expect([themeUtil.toggle(), themeUtil.toggle(), themeUtil.toggle()]).toEqual(['dark', 'high-contrast', 'system'])
+    expect(localStorage.getItem(STORAGE_KEYS.THEME)).toBeNull()
+    expect(themeUtil.getSelectedTheme()).toBe('system')
+    expect(themeUtil.toggle()).toBe('light')
+  })
+
+  it('should resolve the system theme from the color scheme and contrast preferences', () => {
+    expect(themeUtil.getCurrentTheme()).toBe('light')
+    mockSystem({ dark: true })
+    expect(themeUtil.getCurrentTheme()).toBe('dark')
+    mockSystem({ moreContrast: true })
+    expect(themeUtil.getCurrentTheme()).toBe('high-contrast')
+  })
+
+  it('should keep every color of the high-contrast theme at 7:1 or more against its background', () => {
+    const { colors } = BUILT_IN_THEMES[THEMES.HIGH_CONTRAST]
+    const foregrounds = ['text', 'primary', 'secondary', 'accent', 'border', 'success', 'warning', 'error', 'focus']
+    foregrounds.forEach(token => expect(contrastRatio(colors[token], colors.background)).toBeGreaterThanOrEqual(7))
+    expect(contrastRatio(colors.onPrimary, colors.primary)).toBeGreaterThanOrEqual(7)
+  })
+
+  it('should report every problem of a custom theme with its path', () => {
+    expect(validateTheme(sepia)).toEqual({ isValid: true, errors: [] })
+    expect(validateTheme({ id: 'Dark Mode', name: '', base: 'sepia', colors: { shadow: '#000000', text: 'red' }, icon: 'x' }).errors).toEqual([
+      'theme Dark Mode.icon: unknown field; themes take id, name, base, colors',
+      'theme Dark Mode.id: must be 2-40 lowercase letters, digits or dashes',
+      'theme Dark Mode.name: must be a text of 1-40 characters',
+      'theme Dark Mode.base: "sepia" is not a base theme; use light or dark',
+      'theme Dark Mode.colors.shadow: unknown token; use background, surface, text, primary, secondary, accent, onPrimary, border, success, warning, error, focus',
+      'theme Dark Mode.colors.text: "red" is not a #RRGGBB color'
+    ])
+    expect(validateTheme({ ...sepia, id: 'high-contrast' }).errors).toEqual(['theme high-contrast.id: "high-contrast" is a built-in theme'])
+    expect(validateTheme({ ...sepia, colors: { text: '#CCCCCC' } }).errors[0]).toMatch(/^theme custom-sepia\.colors: text on background has a contrast of 1\.\d:1; it needs at least 4\.5:1$/)
+    expect(validateThemes([sepia, sepia]).errors).toEqual(['themes[1] custom-sepia.id: duplicate theme id'])
+    expect(validateThemes(Array.from({ length: 11 }, (_, index) => ({ ...sepia, id: `custom-${index}` }))).errors[0]).toBe('themes: at most 10 custom themes, got 11')
+  })
+
+  it('should fill custom themes from their base and fall back to the system theme once deleted', () => {
+    expect(() => themeUtil.setCustomThemes([{ ...sepia, base: 'sepia' }])).toThrow('base: "sepia" is not a base theme')
+
+    themeUtil.applyPreferences({ theme: 'custom-sepia', customThemes: [sepia] })
+    expect(themeUtil.getTheme('custom-sepia').colors).toEqual({ ...BUILT_IN_THEMES.light.colors, ...sepia.colors })
+    expect(themeUtil.getThemes().map(theme => theme.id)).toEqual(['light', 'dark', 'high-contrast', 'custom-sepia'])
+    expect(document.documentElement.dataset.theme).toBe('custom-sepia')
+    expect(cssToken('background')).toBe('244 236 216')
+
+    themeUtil.setCustomThemes([])
+    expect(themeUtil.getSelectedTheme()).toBe('custom-sepia')
+    expect(document.documentElement.dataset.theme).toBe('light')
+  })
+
+  it('should apply a project color with readable text except in high contrast', () => {
+    const element = document.createElement('section')
+
+    themeUtil.applyProjectAccent(element, '#1E3A8A')
+    expect(element.style.getPropertyValue('--theme-project')).toBe('30 58 138')
+    expect(element.style.getPropertyValue('--theme-on-project')).toBe('255 255 255')
+
+    themeUtil.applyProjectAccent(element, '#FDE68A')
+    expect(element.style.getPropertyValue('--theme-on-project')).toBe('0 0 0')
+
+    themeUtil.applyProjectAccent(element, 'blue')
+    expect(element.style.getPropertyValue('--theme-project')).toBe('')
+
+    themeUtil.applyProjectAccent(element, '#1E3A8A')
+    themeUtil.setTheme(THEMES.HIGH_CONTRAST)
+    themeUtil.applyProjectAccent(element, '#1E3A8A')
+    expect(element.style.getPropertyValue('--theme-project')).toBe('')
+  })
+})
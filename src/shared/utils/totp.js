@@ -0,0 +1,130 @@
+/**
+ * Time-based one-time passwords (RFC 6238) and recovery codes
+ * Supabase Auth generates and checks TOTP secrets itself; these helpers let the mock mode
+ * simulate an authenticator app and produce the recovery codes shown at enrollment
+ */
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567'
+
+export const TOTP_PERIOD_SECONDS = 30
+export const TOTP_DIGITS = 6
+export const TOTP_ISSUER = 'Anclora Kairon'
+export const RECOVERY_CODE_COUNT = 10
+
+export function encodeBase32(bytes) {
+  let bits = 0
+  let value = 0
+  let output = ''
+
+  for (const byte of bytes) {
+    value = (value << 8) | byte
+    bits += 8
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31]
+      bits -= 5
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31]
+  }
+
+  return output
+}
+
+export function decodeBase32(input) {
+  const clean = String(input).toUpperCase().replace(/[\s=-]/g, '')
+  const bytes = []
+  let bits = 0
+  let value = 0
+
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char)
+    if (index === -1) {
+      throw new Error('Clave secreta no válida')
+    }
+    value = (value << 5) | index
+    bits += 5
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255)
+      bits -= 8
+    }
+  }
+
+  return new Uint8Array(bytes)
+}
+
+export function generateTotpSecret(byteLength = 20) {
+  return encodeBase32(crypto.getRandomValues(new Uint8Array(byteLength)))
+}
+
+/**
+ * Code for the time step containing `timestamp` (HMAC-SHA1, dynamic truncation)
+ */
+export async function generateTotp(secret, { timestamp = Date.now(), digits = TOTP_DIGITS, period = TOTP_PERIOD_SECONDS } = {}) {
+  const counter = Math.floor(timestamp / 1000 / period)
+  const message = new Uint8Array(8)
+  for (let i = 7, rest = counter; i >= 0; i--, rest = Math.floor(rest / 256)) {
+    message[i] = rest & 255
+  }
+
+  const key = await crypto.subtle.importKey('raw', decodeBase32(secret), { name: 'HMAC', hash: 'SHA-1' }, false, ['sign'])
+  const hmac = new Uint8Array(await crypto.subtle.sign('HMAC', key, message))
+  const offset = hmac[hmac.length - 1] & 15
+  const binary = ((hmac[offset] & 127) << 24) | (hmac[offset + 1] << 16) | (hmac[offset + 2] << 8) | hmac[offset + 3]
+
+  return String(binary % 10 ** digits).padStart(digits, '0')
+}
+
+/**
+ * Accept the current code and the ones `window` steps either side, to allow for clock drift
+ */
+export async function verifyTotp(secret, code, { timestamp = Date.now(), window = 1 } = {}) {
+  const normalized = String(code || '').replace(/\s/g, '')
+  if (!new RegExp(`^\\d{${TOTP_DIGITS}}$`).test(normalized)) {
+    return false
+  }
+
+  for (let step = -window; step <= window; step++) {
+    const expected = await generateTotp(secret, { timestamp: timestamp + step * TOTP_PERIOD_SECONDS * 1000 })
+    if (expected === normalized) {
+      return true
+    }
+  }
+  return false
+}
+
+/**
+ * otpauth:// URI understood by authenticator apps (and encoded in enrollment QR codes)
+ */
+export function buildOtpAuthUri({ secret, account, issuer = TOTP_ISSUER }) {
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(TOTP_DIGITS),
+    period: String(TOTP_PERIOD_SECONDS)
+  })
+  return `otpauth://totp/${encodeURIComponent(issuer)}:${encodeURIComponent(account)}?${params}`
+}
+
+/**
+ * Single-use codes formatted as xxxxx-xxxxx (lowercase base32, so no 0/1/8/9 to confuse with letters)
+ */
+export function generateRecoveryCodes(count = RECOVERY_CODE_COUNT) {
+  return Array.from({ length: count }, () => {
+    const code = encodeBase32(crypto.getRandomValues(new Uint8Array(10))).slice(0, 10).toLowerCase()
+    return `${code.slice(0, 5)}-${code.slice(5)}`
+  })
+}
+
+export function normalizeRecoveryCode(code) {
+  return String(code || '').toLowerCase().replace(/[^a-z0-9]/g, '')
+}
+
+/**
+ * SHA-256 of the normalized code, so the mock store never keeps codes in clear text
+ */
+export async function hashRecoveryCode(code) {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(normalizeRecoveryCode(code)))
+  return [...new Uint8Array(digest)].map(byte => byte.toString(16).padStart(2, '0')).join('')
+}
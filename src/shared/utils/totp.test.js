@@ -0,0 +1,54 @@
+import { describe, it, expect } from 'vitest'
+import {
+  encodeBase32,
+  decodeBase32,
+  generateTotpSecret,
+  generateTotp,
+  verifyTotp,
+  buildOtpAuthUri,
+  generateRecoveryCodes,
+  hashRecoveryCode
+} from './totp.js'
+
+// RFC 6238 appendix B secret: ASCII "12345678901234567890"
+const RFC_SECRET = encodeBase32(new TextEncoder().encode('12345678901234567890'))
+
+describe('TOTP', () => {
+  it('should round-trip base32 secrets', () => {
+    expect(RFC_SECRET).toBe('GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ')
+    expect(new TextDecoder().decode(decodeBase32('gezd gnbv gy3t qojq gezd gnbv gy3t qojq'))).toBe('12345678901234567890')
+    expect(generateTotpSecret()).toMatch(/^[A-Z2-7]{32}$/)
+    expect(() => decodeBase32('not base32!')).toThrow('Clave secreta no válida')
+  })
+
+  it('should match the RFC 6238 SHA-1 test vectors', async () => {
+    expect(await generateTotp(RFC_SECRET, { timestamp: 59 * 1000, digits: 8 })).toBe('94287082')
+    expect(await generateTotp(RFC_SECRET, { timestamp: 1111111109 * 1000, digits: 8 })).toBe('07081804')
+    expect(await generateTotp(RFC_SECRET, { timestamp: 20000000000 * 1000, digits: 8 })).toBe('65353130')
+    expect(await generateTotp(RFC_SECRET, { timestamp: 59 * 1000 })).toBe('287082')
+  })
+
+  it('should accept codes one step either side of the current one', async () => {
+    const now = Date.UTC(2026, 9, 19, 10, 0, 15)
+    const previous = await generateTotp(RFC_SECRET, { timestamp: now - 30 * 1000 })
+    const stale = await generateTotp(RFC_SECRET, { timestamp: now - 90 * 1000 })
+
+    expect(await verifyTotp(RFC_SECRET, previous, { timestamp: now })).toBe(true)
+    expect(await verifyTotp(RFC_SECRET, `${previous.slice(0, 3)} ${previous.slice(3)}`, { timestamp: now })).toBe(true)
+    expect(await verifyTotp(RFC_SECRET, stale, { timestamp: now })).toBe(false)
+    expect(await verifyTotp(RFC_SECRET, '12345', { timestamp: now })).toBe(false)
+  })
+
+  it('should build otpauth URIs and unique, hashable recovery codes', async () => {
+    const uri = buildOtpAuthUri({ secret: RFC_SECRET, account: 'demo@anclora.com' })
+    expect(uri).toBe(`otpauth://totp/Anclora%20Kairon:demo%40anclora.com?secret=${RFC_SECRET}&issuer=Anclora+Kairon&algorithm=SHA1&digits=6&period=30`)
+
+    const codes = generateRecoveryCodes()
+    expect(codes).toHaveLength(10)
+    expect(new Set(codes).size).toBe(10)
+    codes.forEach(code => expect(code).toMatch(/^[a-z2-7]{5}-[a-z2-7]{5}$/))
+
+    expect(await hashRecoveryCode(' ABCDE-fghij ')).toBe(await hashRecoveryCode('abcdefghij'))
+    expect(await hashRecoveryCode('abcdefghij')).toMatch(/^[0-9a-f]{64}$/)
+  })
+})
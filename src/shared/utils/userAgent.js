@@ -0,0 +1,54 @@
+/**
+ * User agent parsing for the active sessions list
+ * Only tells apart the browsers, systems and device types worth showing to a user;
+ * anything else is reported as null and shown as "unknown"
+ */
+
+// Order matters: Edge and Opera also claim to be Chrome, and Chrome claims to be Safari
+const BROWSERS = [
+  { name: 'Edge', pattern: /Edg(?:e|A|iOS)?\/([\d]+)/ },
+  { name: 'Opera', pattern: /(?:OPR|Opera)\/([\d]+)/ },
+  { name: 'Samsung Internet', pattern: /SamsungBrowser\/([\d]+)/ },
+  { name: 'Firefox', pattern: /(?:Firefox|FxiOS)\/([\d]+)/ },
+  { name: 'Chrome', pattern: /(?:Chrome|CriOS)\/([\d]+)/ },
+  { name: 'Safari', pattern: /Version\/([\d]+)[\d.]* (?:Mobile\/\S+ )?Safari\// }
+]
+
+const SYSTEMS = [
+  { name: 'iOS', pattern: /iPhone|iPad|iPod/ },
+  { name: 'Android', pattern: /Android/ },
+  { name: 'Windows', pattern: /Windows/ },
+  { name: 'ChromeOS', pattern: /CrOS/ },
+  { name: 'macOS', pattern: /Macintosh|Mac OS X/ },
+  { name: 'Linux', pattern: /Linux/ }
+]
+
+export const DEVICE_TYPES = {
+  DESKTOP: 'desktop',
+  MOBILE: 'mobile',
+  TABLET: 'tablet'
+}
+
+/**
+ * @param {string} userAgent - navigator.userAgent or the user_agent stored with a session
+ * @returns {{ browser: string|null, browserVersion: string|null, os: string|null, deviceType: string }}
+ */
+export function parseUserAgent(userAgent) {
+  const ua = String(userAgent || '')
+  const browser = BROWSERS.find(item => item.pattern.test(ua))
+  const system = SYSTEMS.find(item => item.pattern.test(ua))
+
+  let deviceType = DEVICE_TYPES.DESKTOP
+  if (/iPad|Tablet/.test(ua) || (/Android/.test(ua) && !/Mobile/.test(ua))) {
+    deviceType = DEVICE_TYPES.TABLET
+  } else if (/Mobi|iPhone|iPod/.test(ua)) {
+    deviceType = DEVICE_TYPES.MOBILE
+  }
+
+  return {
+    browser: browser ? browser.name : null,
+    browserVersion: browser ? ua.match(browser.pattern)[1] : null,
+    os: system ? system.name : null,
+    deviceType
+  }
+}
@@ -0,0 +1,29 @@
+import { describe, it, expect } from 'vitest'
+import { parseUserAgent, DEVICE_TYPES } from './userAgent.js'
+
+describe('parseUserAgent', () => {
+  it('should tell apart the browsers that include each other in their user agent', () => {
+    expect(parseUserAgent('Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/129.0.0.0 Safari/537.36 Edg/129.0.2792.79'))
+      .toEqual({ browser: 'Edge', browserVersion: '129', os: 'Windows', deviceType: DEVICE_TYPES.DESKTOP })
+    expect(parseUserAgent('Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/129.0.0.0 Safari/537.36'))
+      .toMatchObject({ browser: 'Chrome', os: 'macOS' })
+    expect(parseUserAgent('Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.6 Safari/605.1.15'))
+      .toMatchObject({ browser: 'Safari', browserVersion: '17', os: 'macOS' })
+    expect(parseUserAgent('Mozilla/5.0 (X11; Ubuntu; Linux x86_64; rv:131.0) Gecko/20100101 Firefox/131.0'))
+      .toMatchObject({ browser: 'Firefox', os: 'Linux' })
+  })
+
+  it('should detect phones and tablets', () => {
+    expect(parseUserAgent('Mozilla/5.0 (iPhone; CPU iPhone OS 17_6 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.6 Mobile/15E148 Safari/604.1'))
+      .toEqual({ browser: 'Safari', browserVersion: '17', os: 'iOS', deviceType: DEVICE_TYPES.MOBILE })
+    expect(parseUserAgent('Mozilla/5.0 (Linux; Android 14; Pixel 8) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/129.0.0.0 Mobile Safari/537.36'))
+      .toMatchObject({ browser: 'Chrome', os: 'Android', deviceType: DEVICE_TYPES.MOBILE })
+    expect(parseUserAgent('Mozilla/5.0 (Linux; Android 14; SM-X710) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/129.0.0.0 Safari/537.36'))
+      .toMatchObject({ os: 'Android', deviceType: DEVICE_TYPES.TABLET })
+  })
+
+  it('should report unknown user agents as such', () => {
+    expect(parseUserAgent(null)).toEqual({ browser: null, browserVersion: null, os: null, deviceType: DEVICE_TYPES.DESKTOP })
+    expect(parseUserAgent('curl/8.4.0')).toMatchObject({ browser: null, os: null })
+  })
+})
@@ -1,31 +1,18 @@
+import i18n from './i18n.js';
+
 /**
  * Validates email format using a comprehensive regex pattern
  * @param {string} email - Email to validate
- * @param {string} language - Language for error messages ('es' or 'en')
+ * @param {string} language - Language for error messages, e.g. 'es' or 'en'
  * @returns {object} - Object with isValid boolean and message string
  */
 export const validateEmail = (email, language = 'es') => {
-  const messages = {
-    es: {
-      required: 'El email es requerido',
-      invalid: 'Por favor ingresa un email válido',
-      format: 'El formato del email no es válido (ejemplo: usuario@dominio.com)',
-      valid: 'Email válido'
-    },
-    en: {
-      required: 'Email is required',
-      invalid: 'Please enter a valid email address',
-      format: 'Email format is invalid (example: user@domain.com)',
-      valid: 'Email is valid'
-    }
-  };
-
-  const msg = messages[language] || messages.es;
+  const msg = i18n.getTranslations(language, 'validation');
 
   if (!email || typeof email !== 'string') {
     return {
       isValid: false,
-      message: msg.required
+      message: msg.emailRequired
     };
   }
 
@@ -34,7 +21,7 @@ export const validateEmail = (email, language = 'es') => {
   if (trimmedEmail.length === 0) {
     return {
       isValid: false,
-      message: msg.required
+      message: msg.emailRequired
     };
   }
 
@@ -44,13 +31,13 @@ export const validateEmail = (email, language = 'es') => {
   if (!emailRegex.test(trimmedEmail)) {
     return {
       isValid: false,
-      message: msg.format
+      message: msg.emailFormat
     };
   }
 
   return {
     isValid: true,
-    message: msg.valid
+    message: msg.emailValid
   };
 };
 
@@ -67,37 +54,16 @@ export const isValidEmail = (email) => {
 /**
  * Validates password strength with enhanced requirements
  * @param {string} password - Password to validate
- * @param {string} language - Language for error messages ('es' or 'en')
+ * @param {string} language - Language for error messages, e.g. 'es' or 'en'
  * @returns {object} - Object with isValid boolean, message string, and detailed requirements
  */
 export const validatePassword = (password, language = 'es') => {
-  const messages = {
-    es: {
-      required: 'La contraseña es requerida',
-      minLength: 'La contraseña debe tener al menos 8 caracteres',
-      lowercase: 'La contraseña debe incluir al menos una letra minúscula',
-      uppercase: 'La contraseña debe incluir al menos una letra mayúscula',
-      number: 'La contraseña debe incluir al menos un número',
-      valid: 'Contraseña válida',
-      comprehensive: 'La contraseña debe tener al menos 8 caracteres, incluir mayúsculas, minúsculas y números'
-    },
-    en: {
-      required: 'Password is required',
-      minLength: 'Password must be at least 8 characters long',
-      lowercase: 'Password must include at least one lowercase letter',
-      uppercase: 'Password must include at least one uppercase letter',
-      number: 'Password must include at least one number',
-      valid: 'Password is valid',
-      comprehensive: 'Password must be at least 8 characters long and include uppercase, lowercase, and numbers'
-    }
-  };
-
-  const msg = messages[language] || messages.es;
+  const msg = i18n.getTranslations(language, 'validation');
 
   if (!password) {
     return {
       isValid: false,
-      message: msg.required,
+      message: msg.passwordRequired,
       requirements: {
         minLength: false,
         hasLowercase: false,
@@ -120,14 +86,14 @@ export const validatePassword = (password, language = 'es') => {
     // Return comprehensive message for registration forms
     return {
       isValid: false,
-      message: msg.comprehensive,
+      message: msg.passwordWeak,
       requirements: requirements
     };
   }
 
   return {
     isValid: true,
-    message: msg.valid,
+    message: msg.passwordValid,
     requirements: requirements
   };
 };
@@ -168,25 +134,12 @@ export const sanitizeInput = (input) => {
 /**
  * Validates form data for registration with enhanced validation
  * @param {object} formData - Form data to validate
- * @param {string} language - Language for error messages ('es' or 'en')
+ * @param {string} language - Language for error messages, e.g. 'es' or 'en'
  * @returns {object} - Object with isValid boolean and errors object
  */
 export const validateRegistrationForm = (formData, language = 'es') => {
   const errors = {};
-  const messages = {
-    es: {
-      nameLength: 'El nombre debe tener entre 2 y 50 caracteres',
-      passwordMismatch: 'Las contraseñas no coinciden',
-      confirmRequired: 'Debes confirmar tu contraseña'
-    },
-    en: {
-      nameLength: 'Name must be between 2 and 50 characters',
-      passwordMismatch: 'Passwords do not match',
-      confirmRequired: 'You must confirm your password'
-    }
-  };
-
-  const msg = messages[language] || messages.es;
+  const msg = i18n.getTranslations(language, 'validation');
 
   // Name validation
   if (!validateName(formData.name)) {
@@ -207,7 +160,7 @@ export const validateRegistrationForm = (formData, language = 'es') => {
 
   // Confirm password validation
   if (!formData.confirmPassword || formData.confirmPassword.trim().length === 0) {
-    errors.confirmPassword = msg.confirmRequired;
+    errors.confirmPassword = msg.confirmPasswordRequired;
   } else if (formData.password !== formData.confirmPassword) {
     errors.confirmPassword = msg.passwordMismatch;
   }
@@ -222,23 +175,12 @@ export const validateRegistrationForm = (formData, language = 'es') => {
 /**
  * Validates form data for login with enhanced validation
  * @param {object} formData - Form data to validate
- * @param {string} language - Language for error messages ('es' or 'en')
+ * @param {string} language - Language for error messages, e.g. 'es' or 'en'
  * @returns {object} - Object with isValid boolean and errors object
  */
 export const validateLoginForm = (formData, language = 'es') => {
   const errors = {};
-  const messages = {
-    es: {
-      passwordRequired: 'La contraseña es requerida',
-      passwordMinLength: 'La contraseña debe tener al menos 6 caracteres'
-    },
-    en: {
-      passwordRequired: 'Password is required',
-      passwordMinLength: 'Password must be at least 6 characters long'
-    }
-  };
-
-  const msg = messages[language] || messages.es;
+  const msg = i18n.getTranslations(language, 'validation');
 
   // Email validation with enhanced messages
   const emailValidation = validateEmail(formData.email, language);
@@ -15,6 +15,24 @@ export default {
         'gris-claro': '#F6F7F9',
         'negro-azulado': '#162032',
         'blanco': '#FFFFFF',
+        // Tokens of the active theme (src/shared/config/themes.js), e.g. bg-theme-surface or border-theme-primary/30
+        'theme': {
+          'background': 'rgb(var(--theme-background) / <alpha-value>)',
+          'surface': 'rgb(var(--theme-surface) / <alpha-value>)',
+          'text': 'rgb(var(--theme-text) / <alpha-value>)',
+          'primary': 'rgb(var(--theme-primary) / <alpha-value>)',
+          'secondary': 'rgb(var(--theme-secondary) / <alpha-value>)',
+          'accent': 'rgb(var(--theme-accent) / <alpha-value>)',
+          'on-primary': 'rgb(var(--theme-on-primary) / <alpha-value>)',
+          'border': 'rgb(var(--theme-border) / <alpha-value>)',
+          'success': 'rgb(var(--theme-success) / <alpha-value>)',
+          'warning': 'rgb(var(--theme-warning) / <alpha-value>)',
+          'error': 'rgb(var(--theme-error) / <alpha-value>)',
+          'focus': 'rgb(var(--theme-focus) / <alpha-value>)',
+          // Accent of the open project (projects.color), the primary color elsewhere
+          'project': 'rgb(var(--theme-project, var(--theme-primary)) / <alpha-value>)',
+          'on-project': 'rgb(var(--theme-on-project, var(--theme-on-primary)) / <alpha-value>)',
+        },
       },
       fontFamily: {
         'baskerville': ['Libre Baskerville', 'serif'],
@@ -1,5 +1,6 @@
 import { defineConfig } from 'vite'
 import { resolve } from 'path'
+import { getDevPort } from './src/scripts/devPorts.js'
 
 // App specific config
 export default defineConfig({
@@ -15,9 +16,13 @@ export default defineConfig({
       }
     }
   },
+  // Usual ports are in src/scripts/devPorts.js; dev-setup.js may switch to a fallback
   server: {
-    port: 5175,
+    port: getDevPort('app'),
     open: true
   },
+  preview: {
+    port: getDevPort('production')
+  },
   publicDir: '../../public'
 })
\ No newline at end of file
@@ -1,5 +1,6 @@
 import { defineConfig } from 'vite'
 import { resolve } from 'path'
+import { getDevPort } from './src/scripts/devPorts.js'
 
 // Default config for development - serves both landing and app
 export default defineConfig({
@@ -12,12 +13,16 @@ export default defineConfig({
         landing: resolve(__dirname, 'src/landing/index.html'),
         app: resolve(__dirname, 'src/app/index.html'),
         authCallback: resolve(__dirname, 'auth/callback.html'),
-        authReset: resolve(__dirname, 'auth/reset-password.html')
+        authReset: resolve(__dirname, 'auth/reset-password.html'),
+        betaStatus: resolve(__dirname, 'beta/status.html')
       }
     }
   },
   server: {
     port: 5173,
     open: '/src/landing/index.html'
+  },
+  preview: {
+    port: getDevPort('production')
   }
 })
\ No newline at end of file
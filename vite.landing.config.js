@@ -1,5 +1,6 @@
 import { defineConfig } from 'vite'
 import { resolve } from 'path'
+import { getDevPort } from './src/scripts/devPorts.js'
 
 // Landing page specific config
 export default defineConfig({
@@ -11,13 +12,18 @@ export default defineConfig({
       input: {
         main: resolve(__dirname, 'src/landing/index.html'),
         authCallback: resolve(__dirname, 'auth/callback.html'),
-        authReset: resolve(__dirname, 'auth/reset-password.html')
+        authReset: resolve(__dirname, 'auth/reset-password.html'),
+        betaStatus: resolve(__dirname, 'beta/status.html')
       }
     }
   },
+  // Usual ports are in src/scripts/devPorts.js; dev-setup.js may switch to a fallback
   server: {
-    port: 5174,
+    port: getDevPort('landing'),
     open: true
   },
+  preview: {
+    port: getDevPort('production')
+  },
   publicDir: '../../public'
 })
\ No newline at end of file